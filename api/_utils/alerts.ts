@@ -0,0 +1,317 @@
+/**
+ * Price and portfolio alerts (server side)
+ *
+ * Rules live in artifacts/{appId}/users/{uid}/alertRules and triggered alerts in alertHistory
+ * (see src/services/alertService.js). The scheduled refresh evaluates the rules after it has
+ * written the day's prices and snapshot; the evaluation mirrors src/utils/alertRules.js.
+ *
+ * Web Push: every alertHistory entry with `pushed: false` is sent to the user's
+ * pushSubscriptions (VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY / VAPID_SUBJECT) and then marked
+ * as pushed - also when push is not configured or the user has no subscribed device, so
+ * entries never pile up for a later delivery.
+ */
+
+import webpush from 'web-push';
+import type { Firestore } from 'firebase-admin/firestore';
+import { convertCurrency, type UsdRates } from './fxRates';
+import type { AssetDoc } from './priceLedger';
+import type { PortfolioSnapshot } from './snapshots';
+
+const BATCH_LIMIT = 490;
+
+/** Above this many pending alerts a single summary notification is sent */
+const MAX_SEPARATE_PUSHES = 3;
+
+export interface AlertRule {
+  id: string;
+  type: 'price' | 'change' | 'portfolio' | 'drift';
+  assetId?: string | null;
+  direction?: 'above' | 'below';
+  threshold: number;
+  currency?: string | null;
+  groupType?: string | null;
+  enabled?: boolean;
+  active?: boolean;
+}
+
+export interface AlertAsset {
+  id: string;
+  name?: string;
+  symbol?: string;
+  currency: string;
+  price: number | null;      // asset currency
+  changePct: number | null;
+  value: number;             // one common currency (ILS here)
+  [field: string]: any;      // category, platform, tags... for allocation groups
+}
+
+export interface AlertState {
+  assets: AlertAsset[];
+  totals: Record<string, number>;
+  allocationGroups: Array<{ type: string; targets?: Record<string, number> }>;
+}
+
+export interface AlertResult {
+  met: boolean;
+  value: number;
+  title: string;
+  body: string;
+}
+
+// ==================== EVALUATION ====================
+
+const formatNumber = (value: number, digits = 2) =>
+  Number(value).toLocaleString('he-IL', { maximumFractionDigits: digits });
+
+const assetLabel = (asset: AlertAsset) => asset.symbol || asset.name || asset.id;
+
+function getAllocationDrift(assets: AlertAsset[], group: AlertState['allocationGroups'][number] | undefined) {
+  const total = assets.reduce((sum, asset) => sum + (Number(asset.value) || 0), 0);
+  if (!group || total <= 0) return [];
+
+  const matches = (asset: AlertAsset, item: string) => (group.type === 'tags'
+    ? Array.isArray(asset.tags) && asset.tags.includes(item)
+    : asset[group.type] === item);
+
+  return Object.entries(group.targets || {}).map(([item, target]) => {
+    const value = assets
+      .filter(asset => matches(asset, item))
+      .reduce((sum, asset) => sum + (Number(asset.value) || 0), 0);
+    const actual = (value / total) * 100;
+    const targetPercent = Number(target) || 0;
+    return { item, target: targetPercent, actual, drift: actual - targetPercent };
+  });
+}
+
+/**
+ * Evaluate a single rule - null when it cannot be evaluated right now (its state is kept)
+ */
+export function evaluateAlertRule(rule: AlertRule, state: AlertState): AlertResult | null {
+  const threshold = Number(rule.threshold);
+  if (!Number.isFinite(threshold)) return null;
+  const above = rule.direction !== 'below';
+
+  switch (rule.type) {
+    case 'price': {
+      const asset = state.assets.find(a => a.id === rule.assetId);
+      if (!asset || !asset.price || asset.price <= 0) return null;
+      return {
+        met: above ? asset.price >= threshold : asset.price <= threshold,
+        value: asset.price,
+        title: `${assetLabel(asset)}: ${above ? 'מעל' : 'מתחת ל-'}${formatNumber(threshold)} ${asset.currency}`,
+        body: `המחיר ${above ? 'עלה' : 'ירד'} ל-${formatNumber(asset.price)} ${asset.currency}`,
+      };
+    }
+
+    case 'change': {
+      const asset = state.assets.find(a => a.id === rule.assetId);
+      const change = asset ? asset.changePct : null;
+      if (!asset || typeof change !== 'number' || isNaN(change)) return null;
+      const limit = Math.abs(threshold);
+      return {
+        met: above ? change >= limit : change <= -limit,
+        value: change,
+        title: `${assetLabel(asset)}: ${above ? 'עלייה' : 'ירידה'} יומית של ${formatNumber(limit, 1)}%`,
+        body: `שינוי יומי של ${change > 0 ? '+' : ''}${formatNumber(change, 2)}%`,
+      };
+    }
+
+    case 'portfolio': {
+      const currency = rule.currency || 'ILS';
+      const total = state.totals[currency];
+      if (typeof total !== 'number' || isNaN(total)) return null;
+      return {
+        met: above ? total >= threshold : total <= threshold,
+        value: total,
+        title: `שווי התיק ${above ? 'מעל' : 'מתחת ל-'}${formatNumber(threshold, 0)} ${currency}`,
+        body: `שווי התיק כעת ${formatNumber(total, 0)} ${currency}`,
+      };
+    }
+
+    case 'drift': {
+      const group = state.allocationGroups.find(g => g.type === (rule.groupType || 'category'));
+      const drifts = getAllocationDrift(state.assets, group);
+      if (drifts.length === 0) return null;
+      const worst = drifts.reduce((max, d) => (Math.abs(d.drift) > Math.abs(max.drift) ? d : max));
+      return {
+        met: Math.abs(worst.drift) >= Math.abs(threshold),
+        value: worst.drift,
+        title: `סטייה מהקצאת היעד: ${worst.item}`,
+        body: `${formatNumber(worst.actual, 1)}% מהתיק לעומת יעד של ${formatNumber(worst.target, 1)}%`,
+      };
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Edge-triggered check: fires rules whose condition became true, re-arms those that became false
+ */
+export function checkAlertRules(rules: AlertRule[], state: AlertState) {
+  const fired: Array<{ rule: AlertRule; result: AlertResult }> = [];
+  const rearmed: AlertRule[] = [];
+
+  for (const rule of rules) {
+    if (rule.enabled === false) continue;
+    const result = evaluateAlertRule(rule, state);
+    if (!result) continue;
+    if (result.met && !rule.active) fired.push({ rule, result });
+    else if (!result.met && rule.active) rearmed.push(rule);
+  }
+
+  return { fired, rearmed };
+}
+
+/**
+ * Evaluate a user's rules against the refreshed asset documents and today's snapshot
+ * @returns Number of alerts triggered
+ */
+export async function evaluateUserAlerts(
+  db: Firestore,
+  appId: string,
+  uid: string,
+  snapshot: PortfolioSnapshot,
+  usdRates: UsdRates | null = null
+): Promise<number> {
+  const userPath = `artifacts/${appId}/users/${uid}`;
+  const rulesSnap = await db.collection(`${userPath}/alertRules`).get();
+  const rules = rulesSnap.docs.map(d => ({ id: d.id, ...d.data() }) as AlertRule);
+  if (!rules.some(rule => rule.enabled !== false)) return 0;
+
+  const assetsSnap = await db.collection(`${userPath}/assets`).get();
+  const assets: AssetDoc[] = assetsSnap.docs.map(d => ({ id: d.id, ...d.data() }));
+
+  let allocationGroups: AlertState['allocationGroups'] = [];
+  if (rules.some(rule => rule.type === 'drift')) {
+    const data = (await db.doc(`${userPath}/settings/rebalancing`).get()).data();
+    if (Array.isArray(data?.groups)) allocationGroups = data.groups;
+    else if (data?.targets) allocationGroups = [{ type: 'category', targets: data.targets }];
+  }
+
+  const totals: Record<string, number> = {};
+  for (const rule of rules.filter(r => r.type === 'portfolio')) {
+    const currency = rule.currency || 'ILS';
+    const total = convertCurrency(snapshot.totalValue, 'ILS', currency, snapshot.fxRate, usdRates);
+    if (total !== null) totals[currency] = total;
+  }
+
+  const state: AlertState = {
+    assets: assets.map(asset => ({
+      ...asset,
+      currency: asset.currency || 'ILS',
+      price: asset.assetMode === 'QUANTITY' && asset.currentPrice > 0 ? Number(asset.currentPrice) : null,
+      changePct: typeof asset.priceChange24h === 'number' ? asset.priceChange24h : null,
+      value: snapshot.assets[asset.id]?.value || 0,
+    })),
+    totals,
+    allocationGroups,
+  };
+
+  const { fired, rearmed } = checkAlertRules(rules, state);
+  if (fired.length === 0 && rearmed.length === 0) return 0;
+
+  const now = new Date();
+  const batch = db.batch();
+  for (const { rule, result } of fired) {
+    batch.set(db.collection(`${userPath}/alertHistory`).doc(), {
+      ruleId: rule.id,
+      type: rule.type,
+      title: result.title,
+      body: result.body,
+      value: result.value,
+      source: 'cron',
+      triggeredAt: now,
+      read: false,
+      pushed: false,
+    });
+    batch.update(db.doc(`${userPath}/alertRules/${rule.id}`), { active: true, lastTriggeredAt: now });
+  }
+  for (const rule of rearmed) {
+    batch.update(db.doc(`${userPath}/alertRules/${rule.id}`), { active: false });
+  }
+  await batch.commit();
+
+  return fired.length;
+}
+
+// ==================== WEB PUSH ====================
+
+let vapidConfigured: boolean | null = null;
+
+/**
+ * Configure web-push from the environment (once)
+ */
+export function isPushConfigured(): boolean {
+  if (vapidConfigured !== null) return vapidConfigured;
+  const publicKey = process.env.VAPID_PUBLIC_KEY;
+  const privateKey = process.env.VAPID_PRIVATE_KEY;
+  if (!publicKey || !privateKey) {
+    vapidConfigured = false;
+    return false;
+  }
+  webpush.setVapidDetails(process.env.VAPID_SUBJECT || 'mailto:admin@example.com', publicKey, privateKey);
+  vapidConfigured = true;
+  return true;
+}
+
+/**
+ * Send a user's pending alerts to all their subscribed devices and mark them as pushed.
+ * Subscriptions the push service reports as gone (404 / 410) are deleted.
+ */
+export async function sendPendingAlertPushes(db: Firestore, appId: string, uid: string) {
+  const userPath = `artifacts/${appId}/users/${uid}`;
+  const pendingSnap = await db.collection(`${userPath}/alertHistory`).where('pushed', '==', false).get();
+  const configured = isPushConfigured();
+  const result = { configured, alerts: pendingSnap.size, sent: 0, failed: 0 };
+  if (pendingSnap.empty) return result;
+
+  const pending = pendingSnap.docs
+    .map(d => ({ id: d.id, ...d.data() }) as { id: string; title: string; body: string; triggeredAt?: any })
+    .sort((a, b) => (a.triggeredAt?.toMillis?.() || 0) - (b.triggeredAt?.toMillis?.() || 0));
+
+  const subscriptionsSnap = configured ? await db.collection(`${userPath}/pushSubscriptions`).get() : null;
+
+  if (subscriptionsSnap && !subscriptionsSnap.empty) {
+    const payloads = pending.length > MAX_SEPARATE_PUSHES
+      ? [{
+        title: `${pending.length} התראות חדשות`,
+        body: pending.slice(0, MAX_SEPARATE_PUSHES).map(alert => alert.title).join(' · '),
+        tag: 'alerts',
+      }]
+      : pending.map(alert => ({ title: alert.title, body: alert.body, tag: alert.id }));
+
+    for (const subscriptionDoc of subscriptionsSnap.docs) {
+      const { endpoint, keys } = subscriptionDoc.data();
+      for (const payload of payloads) {
+        try {
+          await webpush.sendNotification({ endpoint, keys }, JSON.stringify({ ...payload, url: '/alerts' }), { TTL: 24 * 60 * 60 });
+          result.sent++;
+        } catch (error: any) {
+          result.failed++;
+          if (error?.statusCode === 404 || error?.statusCode === 410) {
+            await subscriptionDoc.ref.delete();
+            break;
+          }
+          console.error(`[ALERTS] Push failed for user ${uid}:`, error?.message || error);
+        }
+      }
+    }
+  }
+
+  let batch = db.batch();
+  let ops = 0;
+  for (const d of pendingSnap.docs) {
+    batch.update(d.ref, { pushed: true });
+    ops++;
+    if (ops >= BATCH_LIMIT) {
+      await batch.commit();
+      batch = db.batch();
+      ops = 0;
+    }
+  }
+  if (ops > 0) await batch.commit();
+
+  return result;
+}
@@ -0,0 +1,191 @@
+/**
+ * Exchange balance sync - turns aggregated exchange balances into QUANTITY assets
+ *
+ * Matching, per exchange ticker:
+ * 1. An asset created by a previous sync (`exchangeSync.key` = "<exchange>:<ticker>")
+ * 2. A hand-entered QUANTITY asset on the same platform with the same cg: ID
+ * 3. Otherwise a new asset (apiId cg:<coingeckoId>, priced by the regular quote flow)
+ *
+ * Assets with a transaction ledger are never overwritten - their position is derived from
+ * the ledger, so the difference is only reported. A ticker without a known CoinGecko ID
+ * is reported as unmapped.
+ *
+ * When the adapter returned warnings (e.g. the Earn or Staking endpoint failed) the balances
+ * may be incomplete: quantities only grow, and nothing is lowered or zeroed ('partial').
+ */
+
+import { Timestamp, type Firestore } from 'firebase-admin/firestore';
+import { TICKER_TO_COINGECKO, type YahooQuoteResult } from './quotes';
+import { resolveQuoteId, type AssetDoc } from './priceLedger';
+
+const BATCH_LIMIT = 490;
+
+/** Dust below this is ignored */
+const MIN_AMOUNT = 1e-8;
+
+export interface ExchangeSyncItem {
+  asset: string;
+  apiId: string | null;
+  quantity: number;
+  wallets: Record<string, number>;
+  status: 'created' | 'updated' | 'unchanged' | 'ledger' | 'unmapped' | 'zeroed' | 'partial';
+  assetId?: string;
+  previousQuantity?: number;
+}
+
+export interface ExchangeSyncResult {
+  items: ExchangeSyncItem[];
+  created: number;
+  updated: number;
+}
+
+/**
+ * Resolve the cg: ID for an exchange ticker (existing assets on the platform win over the table)
+ */
+export function resolveExchangeCoinId(ticker: string, platformAssets: AssetDoc[]): string | null {
+  const known = platformAssets.find(a => String(a.symbol || '').toUpperCase() === ticker && resolveQuoteId(a)?.startsWith('cg:'));
+  if (known) return resolveQuoteId(known);
+  const coinId = TICKER_TO_COINGECKO[ticker];
+  return coinId ? `cg:${coinId}` : null;
+}
+
+/**
+ * Upsert a user's assets from aggregated exchange balances
+ * @param quotes - Current quotes keyed by cg: ID (initial cost basis of new assets)
+ * @param warnings - Adapter warnings; any warning keeps the sync from lowering quantities
+ * @param dryRun - Compute the result without writing
+ */
+export async function upsertExchangeAssets(
+  db: Firestore,
+  appId: string,
+  uid: string,
+  exchange: string,
+  platform: string,
+  totals: Map<string, { total: number; wallets: Record<string, number> }>,
+  quotes: Map<string, YahooQuoteResult>,
+  warnings: string[] = [],
+  dryRun = false
+): Promise<ExchangeSyncResult> {
+  const partial = warnings.length > 0;
+  const assetsRef = db.collection(`artifacts/${appId}/users/${uid}/assets`);
+  const snap = await assetsRef.get();
+  const assets: AssetDoc[] = snap.docs.map(d => ({ id: d.id, ...d.data() }));
+  const platformAssets = assets.filter(a => a.platform === platform);
+
+  let batch = db.batch();
+  let ops = 0;
+  const queue = async (apply: () => void) => {
+    if (dryRun) return;
+    apply();
+    ops++;
+    if (ops >= BATCH_LIMIT) {
+      await batch.commit();
+      batch = db.batch();
+      ops = 0;
+    }
+  };
+
+  const items: ExchangeSyncItem[] = [];
+  const seen = new Set<string>();
+  const now = Timestamp.now();
+
+  for (const [ticker, { total, wallets }] of totals) {
+    if (total < MIN_AMOUNT) continue;
+
+    const key = `${exchange}:${ticker}`;
+    const apiId = resolveExchangeCoinId(ticker, platformAssets);
+    if (!apiId) {
+      items.push({ asset: ticker, apiId: null, quantity: total, wallets, status: 'unmapped' });
+      continue;
+    }
+
+    const existing = assets.find(a => a.exchangeSync?.key === key)
+      || platformAssets.find(a => a.assetMode === 'QUANTITY' && !a.exchangeSync && resolveQuoteId(a) === apiId);
+    if (existing) seen.add(existing.id);
+
+    const exchangeSync = { exchange, key, wallets, syncedAt: now };
+    const item: ExchangeSyncItem = { asset: ticker, apiId, quantity: total, wallets, status: 'created' };
+
+    if (existing) {
+      item.assetId = existing.id;
+      item.previousQuantity = Number(existing.quantity) || 0;
+
+      if (existing.hasTransactions) {
+        item.status = 'ledger';
+      } else if (Math.abs(item.previousQuantity - total) < MIN_AMOUNT) {
+        item.status = 'unchanged';
+        await queue(() => batch.update(assetsRef.doc(existing.id), { exchangeSync }));
+      } else if (partial && total < item.previousQuantity) {
+        item.status = 'partial';
+      } else {
+        item.status = 'updated';
+        const purchasePrice = Number(existing.purchasePrice) || 0;
+        await queue(() => batch.update(assetsRef.doc(existing.id), {
+          quantity: total,
+          originalValue: total * purchasePrice,
+          exchangeSync,
+        }));
+      }
+    } else {
+      // Cost basis is unknown to the exchange balance API - start from today's price
+      const quote = quotes.get(apiId);
+      const price = quote && !quote.error && quote.price ? quote.price : 0;
+      const ref = assetsRef.doc();
+      item.assetId = ref.id;
+      await queue(() => batch.set(ref, {
+        name: ticker,
+        symbol: ticker,
+        apiId,
+        marketDataSource: 'coingecko',
+        instrument: 'מטבע קריפטו',
+        platform,
+        category: 'קריפטו',
+        subcategory: 'אחר',
+        currency: 'USD',
+        tags: [],
+        assetType: 'CRYPTO',
+        assetMode: 'QUANTITY',
+        quantity: total,
+        purchasePrice: price,
+        purchaseDate: now.toDate().toISOString().split('T')[0],
+        originalValue: total * price,
+        ...(price > 0 && { currentPrice: price, lastUpdated: now }),
+        exchangeSync,
+      }));
+    }
+
+    items.push(item);
+  }
+
+  // Previously synced assets that are no longer on the exchange
+  for (const asset of assets) {
+    if (asset.exchangeSync?.exchange !== exchange || seen.has(asset.id)) continue;
+    if (!(Number(asset.quantity) > 0)) continue;
+
+    const item: ExchangeSyncItem = {
+      asset: String(asset.symbol || asset.name),
+      apiId: resolveQuoteId(asset),
+      quantity: 0,
+      wallets: {},
+      status: asset.hasTransactions ? 'ledger' : partial ? 'partial' : 'zeroed',
+      assetId: asset.id,
+      previousQuantity: Number(asset.quantity) || 0,
+    };
+    if (item.status === 'zeroed') {
+      await queue(() => batch.update(assetsRef.doc(asset.id), {
+        quantity: 0,
+        originalValue: 0,
+        exchangeSync: { ...asset.exchangeSync, wallets: {}, syncedAt: now },
+      }));
+    }
+    items.push(item);
+  }
+
+  if (ops > 0) await batch.commit();
+
+  return {
+    items,
+    created: items.filter(i => i.status === 'created').length,
+    updated: items.filter(i => i.status === 'updated' || i.status === 'zeroed').length,
+  };
+}
@@ -0,0 +1,119 @@
+/**
+ * Binance adapter - spot wallet, Simple Earn (flexible + locked) and staking positions
+ *
+ * Signed requests: HMAC-SHA256 of the query string with the API secret,
+ * key in the X-MBX-APIKEY header.
+ */
+
+import { createHmac } from 'crypto';
+import { fetchWithTimeout } from '../http';
+import {
+  ExchangeApiError,
+  type BalancesResult,
+  type ExchangeAdapter,
+  type ExchangeBalance,
+  type ExchangeCredentials,
+  type KeyPermissions,
+} from './types';
+
+const PAGE_SIZE = 100;
+
+/** apiRestrictions flags that let a key move or trade funds */
+const UNSAFE_FLAGS = [
+  'enableWithdrawals',
+  'enableSpotAndMarginTrading',
+  'enableMargin',
+  'enableFutures',
+  'enableVanillaOptions',
+  'enablePortfolioMarginTrading',
+  'enableInternalTransfer',
+  'permitsUniversalTransfer',
+];
+
+async function signedGet(
+  baseUrl: string,
+  path: string,
+  credentials: ExchangeCredentials,
+  params: Record<string, string | number> = {}
+): Promise<any> {
+  const query = new URLSearchParams({
+    ...Object.fromEntries(Object.entries(params).map(([k, v]) => [k, String(v)])),
+    recvWindow: '10000',
+    timestamp: String(Date.now()),
+  }).toString();
+  const signature = createHmac('sha256', credentials.apiSecret).update(query).digest('hex');
+
+  const response = await fetchWithTimeout(`${baseUrl}${path}?${query}&signature=${signature}`, {
+    method: 'GET',
+    headers: { 'X-MBX-APIKEY': credentials.apiKey },
+    timeoutMs: 10000,
+  });
+  const body: any = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    throw new ExchangeApiError('binance', response.status, body?.msg || response.statusText);
+  }
+  return body;
+}
+
+/** Simple Earn positions are paged ({ rows, total }) */
+async function fetchPaged(baseUrl: string, path: string, credentials: ExchangeCredentials): Promise<any[]> {
+  const rows: any[] = [];
+  for (let current = 1; ; current++) {
+    const page = await signedGet(baseUrl, path, credentials, { current, size: PAGE_SIZE });
+    rows.push(...(page?.rows || []));
+    if (!page?.rows?.length || rows.length >= Number(page.total || 0)) break;
+  }
+  return rows;
+}
+
+export const binanceAdapter: ExchangeAdapter = {
+  id: 'binance',
+  label: 'Binance',
+  baseUrlEnv: 'BINANCE_API_URL',
+  defaultBaseUrl: 'https://api.binance.com',
+
+  async checkPermissions(credentials, baseUrl): Promise<KeyPermissions> {
+    const restrictions = await signedGet(baseUrl, '/sapi/v1/account/apiRestrictions', credentials);
+    const unsafe = UNSAFE_FLAGS.filter(flag => restrictions?.[flag] === true);
+    return { readOnly: restrictions?.enableReading === true && unsafe.length === 0, unsafe };
+  },
+
+  async fetchBalances(credentials, baseUrl): Promise<BalancesResult> {
+    const balances: ExchangeBalance[] = [];
+    const warnings: string[] = [];
+
+    const account = await signedGet(baseUrl, '/api/v3/account', credentials, { omitZeroBalances: 'true' });
+    const spot: ExchangeBalance[] = (account?.balances || []).map((b: any) => ({
+      asset: String(b.asset).toUpperCase(),
+      amount: Number(b.free || 0) + Number(b.locked || 0),
+      wallet: 'spot' as const,
+    }));
+
+    try {
+      const flexible = await fetchPaged(baseUrl, '/sapi/v1/simple-earn/flexible/position', credentials);
+      const locked = await fetchPaged(baseUrl, '/sapi/v1/simple-earn/locked/position', credentials);
+      flexible.forEach(row => balances.push({ asset: String(row.asset).toUpperCase(), amount: Number(row.totalAmount || 0), wallet: 'earn' }));
+      locked.forEach(row => balances.push({ asset: String(row.asset).toUpperCase(), amount: Number(row.amount || 0), wallet: 'earn' }));
+    } catch (error: any) {
+      warnings.push(`Simple Earn: ${error?.message || 'unavailable'}`);
+    }
+
+    try {
+      const staking = await signedGet(baseUrl, '/sapi/v1/staking/position', credentials, { product: 'STAKING' });
+      (Array.isArray(staking) ? staking : []).forEach(row => {
+        balances.push({ asset: String(row.asset).toUpperCase(), amount: Number(row.amount || 0), wallet: 'staking' });
+      });
+    } catch (error: any) {
+      warnings.push(`Staking: ${error?.message || 'unavailable'}`);
+    }
+
+    // Flexible Earn also shows up in the spot wallet as LD<asset> - count it once (LDO itself stays)
+    const earnAssets = new Set(balances.filter(b => b.wallet === 'earn').map(b => b.asset));
+    spot
+      .filter(b => !(b.asset.startsWith('LD') && earnAssets.has(b.asset.slice(2))))
+      .forEach(b => balances.push(b));
+
+    return { balances: balances.filter(b => b.amount > 0), warnings };
+  },
+};
@@ -0,0 +1,110 @@
+/**
+ * Bybit adapter (v5 API) - unified trading + funding wallets, Earn flexible savings
+ * and on-chain staking positions
+ *
+ * Signed requests: HMAC-SHA256 of timestamp + apiKey + recvWindow + queryString,
+ * sent in the X-BAPI-* headers.
+ */
+
+import { createHmac } from 'crypto';
+import { fetchWithTimeout } from '../http';
+import {
+  ExchangeApiError,
+  type BalancesResult,
+  type ExchangeAdapter,
+  type ExchangeBalance,
+  type ExchangeCredentials,
+  type ExchangeWallet,
+  type KeyPermissions,
+} from './types';
+
+const RECV_WINDOW = '10000';
+
+async function signedGet(
+  baseUrl: string,
+  path: string,
+  credentials: ExchangeCredentials,
+  params: Record<string, string> = {}
+): Promise<any> {
+  const query = new URLSearchParams(params).toString();
+  const timestamp = String(Date.now());
+  const signature = createHmac('sha256', credentials.apiSecret)
+    .update(timestamp + credentials.apiKey + RECV_WINDOW + query)
+    .digest('hex');
+
+  const response = await fetchWithTimeout(`${baseUrl}${path}${query ? `?${query}` : ''}`, {
+    method: 'GET',
+    headers: {
+      'X-BAPI-API-KEY': credentials.apiKey,
+      'X-BAPI-TIMESTAMP': timestamp,
+      'X-BAPI-RECV-WINDOW': RECV_WINDOW,
+      'X-BAPI-SIGN': signature,
+    },
+    timeoutMs: 10000,
+  });
+  const body: any = await response.json().catch(() => null);
+
+  // Bybit answers 200 with a non-zero retCode for API errors
+  if (!response.ok || body?.retCode !== 0) {
+    throw new ExchangeApiError('bybit', response.status, body?.retMsg || response.statusText);
+  }
+  return body.result;
+}
+
+const toBalances = (rows: any[], wallet: ExchangeWallet, amountField: string): ExchangeBalance[] =>
+  (rows || []).map(row => ({
+    asset: String(row.coin).toUpperCase(),
+    amount: Number(row[amountField] || 0),
+    wallet,
+  }));
+
+export const bybitAdapter: ExchangeAdapter = {
+  id: 'bybit',
+  label: 'Bybit',
+  baseUrlEnv: 'BYBIT_API_URL',
+  defaultBaseUrl: 'https://api.bybit.com',
+
+  async checkPermissions(credentials, baseUrl): Promise<KeyPermissions> {
+    const info = await signedGet(baseUrl, '/v5/user/query-api', credentials);
+    const readOnly = Number(info?.readOnly) === 1;
+    if (readOnly) return { readOnly, unsafe: [] };
+
+    const granted = Object.entries(info?.permissions || {})
+      .filter(([, values]) => Array.isArray(values) && values.length > 0)
+      .map(([group]) => group);
+    return { readOnly, unsafe: granted.length ? granted : ['readOnly=0'] };
+  },
+
+  async fetchBalances(credentials, baseUrl): Promise<BalancesResult> {
+    const balances: ExchangeBalance[] = [];
+    const warnings: string[] = [];
+
+    // Unified trading account; classic accounts still have a separate SPOT wallet
+    try {
+      const unified = await signedGet(baseUrl, '/v5/account/wallet-balance', credentials, { accountType: 'UNIFIED' });
+      balances.push(...toBalances(unified?.list?.[0]?.coin, 'spot', 'walletBalance'));
+    } catch (error: any) {
+      const classic = await signedGet(baseUrl, '/v5/account/wallet-balance', credentials, { accountType: 'SPOT' });
+      balances.push(...toBalances(classic?.list?.[0]?.coin, 'spot', 'walletBalance'));
+      warnings.push(`Unified account: ${error?.message || 'unavailable'} - used the SPOT wallet`);
+    }
+
+    try {
+      const funding = await signedGet(baseUrl, '/v5/asset/transfer/query-account-coins-balance', credentials, { accountType: 'FUND' });
+      balances.push(...toBalances(funding?.balance, 'spot', 'walletBalance'));
+    } catch (error: any) {
+      warnings.push(`Funding wallet: ${error?.message || 'unavailable'}`);
+    }
+
+    for (const [category, wallet] of [['FlexibleSaving', 'earn'], ['OnChain', 'staking']] as const) {
+      try {
+        const earn = await signedGet(baseUrl, '/v5/earn/position', credentials, { category });
+        balances.push(...toBalances(earn?.list, wallet, 'amount'));
+      } catch (error: any) {
+        warnings.push(`Earn (${category}): ${error?.message || 'unavailable'}`);
+      }
+    }
+
+    return { balances: balances.filter(b => b.amount > 0), warnings };
+  },
+};
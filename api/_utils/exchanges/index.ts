@@ -0,0 +1,49 @@
+/**
+ * Exchange adapter registry
+ *
+ * Adding an exchange = implementing ExchangeAdapter (types.ts) and registering it here.
+ * Each adapter's base URL can be overridden by its env variable, e.g.
+ * BINANCE_API_URL=http://127.0.0.1:4010 to run /api/exchange-sync against a mock server.
+ */
+
+import { binanceAdapter } from './binance';
+import { bybitAdapter } from './bybit';
+import type { ExchangeAdapter, ExchangeBalance } from './types';
+
+export * from './types';
+
+const adapters = new Map<string, ExchangeAdapter>();
+
+export function registerExchangeAdapter(adapter: ExchangeAdapter): void {
+  adapters.set(adapter.id, adapter);
+}
+
+registerExchangeAdapter(binanceAdapter);
+registerExchangeAdapter(bybitAdapter);
+
+export function getExchangeAdapter(id: string): ExchangeAdapter | null {
+  return adapters.get(id) || null;
+}
+
+export function listExchangeAdapters(): ExchangeAdapter[] {
+  return [...adapters.values()];
+}
+
+export function getExchangeBaseUrl(adapter: ExchangeAdapter): string {
+  return (process.env[adapter.baseUrlEnv] || adapter.defaultBaseUrl).replace(/\/$/, '');
+}
+
+/**
+ * Sum balances per asset, keeping the split by wallet
+ * @returns Map asset -> { total, wallets: { spot, earn, staking } }
+ */
+export function aggregateBalances(balances: ExchangeBalance[]): Map<string, { total: number; wallets: Record<string, number> }> {
+  const totals = new Map<string, { total: number; wallets: Record<string, number> }>();
+  for (const balance of balances) {
+    const entry = totals.get(balance.asset) || { total: 0, wallets: {} };
+    entry.total += balance.amount;
+    entry.wallets[balance.wallet] = (entry.wallets[balance.wallet] || 0) + balance.amount;
+    totals.set(balance.asset, entry);
+  }
+  return totals;
+}
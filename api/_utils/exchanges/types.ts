@@ -0,0 +1,54 @@
+/**
+ * Exchange adapter contract - one implementation per exchange (binance.ts, bybit.ts)
+ *
+ * Adapters only read: the keys are checked to be read-only before they are stored,
+ * and every call is a signed GET. The base URL is injectable so the sync route can run
+ * against a local mock server (see scripts/mock-exchange-server.mjs).
+ */
+
+export type ExchangeWallet = 'spot' | 'earn' | 'staking';
+
+export interface ExchangeCredentials {
+  apiKey: string;
+  apiSecret: string;
+}
+
+export interface ExchangeBalance {
+  /** Exchange ticker, upper case (BTC, ETH, USDT...) */
+  asset: string;
+  amount: number;
+  wallet: ExchangeWallet;
+}
+
+export interface BalancesResult {
+  balances: ExchangeBalance[];
+  /** Non-fatal problems, e.g. a key without earn permission */
+  warnings: string[];
+}
+
+export interface KeyPermissions {
+  readOnly: boolean;
+  /** Permissions that make the key unsafe to store (trading, withdrawals...) */
+  unsafe: string[];
+}
+
+export interface ExchangeAdapter {
+  id: string;
+  label: string;
+  /** Env variable that overrides defaultBaseUrl (local mock server) */
+  baseUrlEnv: string;
+  defaultBaseUrl: string;
+  checkPermissions(credentials: ExchangeCredentials, baseUrl: string): Promise<KeyPermissions>;
+  fetchBalances(credentials: ExchangeCredentials, baseUrl: string): Promise<BalancesResult>;
+}
+
+export class ExchangeApiError extends Error {
+  constructor(
+    public exchange: string,
+    public status: number,
+    message: string
+  ) {
+    super(`${exchange}: ${message}`);
+    this.name = 'ExchangeApiError';
+  }
+}
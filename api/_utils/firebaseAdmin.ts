@@ -0,0 +1,79 @@
+/**
+ * Firebase Admin bootstrap for serverless functions
+ *
+ * Credentials (first match wins):
+ * - FIREBASE_SERVICE_ACCOUNT: service account JSON (raw or base64)
+ * - GOOGLE_APPLICATION_CREDENTIALS: path to a service account file (application default)
+ *
+ * Local testing: when FIRESTORE_EMULATOR_HOST / FIREBASE_AUTH_EMULATOR_HOST are set,
+ * firebase-admin talks to the emulators and no credentials are required.
+ */
+
+import { initializeApp, getApps, cert, applicationDefault, type App } from 'firebase-admin/app';
+import { getFirestore, type Firestore } from 'firebase-admin/firestore';
+import { getAuth, type Auth } from 'firebase-admin/auth';
+import type { VercelRequest } from '@vercel/node';
+
+let adminApp: App | null = null;
+
+function parseServiceAccount(raw: string): Record<string, string> {
+  const json = raw.trim().startsWith('{') ? raw : Buffer.from(raw, 'base64').toString('utf8');
+  return JSON.parse(json);
+}
+
+export function getAdminApp(): App {
+  if (adminApp) return adminApp;
+  if (getApps().length > 0) {
+    adminApp = getApps()[0];
+    return adminApp;
+  }
+
+  const projectId = process.env.FIREBASE_PROJECT_ID || process.env.VITE_FIREBASE_PROJECT_ID;
+  const usingEmulator = !!process.env.FIRESTORE_EMULATOR_HOST;
+
+  if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+    const serviceAccount = parseServiceAccount(process.env.FIREBASE_SERVICE_ACCOUNT);
+    adminApp = initializeApp({
+      credential: cert(serviceAccount),
+      projectId: projectId || serviceAccount.project_id,
+    });
+  } else if (usingEmulator) {
+    adminApp = initializeApp({ projectId: projectId || 'demo-my-wealth' });
+  } else {
+    adminApp = initializeApp({ credential: applicationDefault(), projectId });
+  }
+
+  return adminApp;
+}
+
+export function getAdminDb(): Firestore {
+  return getFirestore(getAdminApp());
+}
+
+export function getAdminAuth(): Auth {
+  return getAuth(getAdminApp());
+}
+
+/**
+ * The artifacts/{appId} namespace used by the client (VITE_APP_ID)
+ */
+export function getAppId(): string {
+  return process.env.APP_ID || process.env.VITE_APP_ID || 'my-wealth-app';
+}
+
+/**
+ * Verify the Firebase ID token sent as `Authorization: Bearer <token>`
+ * @returns The caller's uid, or null when missing/invalid
+ */
+export async function verifyRequestUser(req: VercelRequest): Promise<string | null> {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) return null;
+
+  try {
+    const decoded = await getAdminAuth().verifyIdToken(match[1]);
+    return decoded.uid;
+  } catch {
+    return null;
+  }
+}
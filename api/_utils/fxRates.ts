@@ -0,0 +1,48 @@
+/**
+ * Server-side FX table - every currency the provider lists, quoted per 1 USD.
+ * Any pair converts through USD (EUR→ILS = ILS per USD / EUR per USD), so the cron
+ * and the snapshot writers value EUR / GBP assets the same way the client does.
+ */
+
+import { fetchReliable, fetchJsonSafe } from './http';
+
+/** Units of each currency per 1 USD ({ USD: 1, ILS: 3.65, EUR: 0.92, ... }) */
+export type UsdRates = Record<string, number>;
+
+/**
+ * Latest USD-based rates, or null when the provider is unavailable
+ */
+export async function fetchUsdRates(): Promise<UsdRates | null> {
+  try {
+    const response = await fetchReliable('https://api.exchangerate-api.com/v4/latest/USD', { timeoutMs: 5000, retries: 2 });
+    if (!response.ok) return null;
+    const data = await fetchJsonSafe(response);
+    const rates: UsdRates = { USD: 1 };
+    Object.entries(data?.rates || {}).forEach(([code, rate]) => {
+      if (Number(rate) > 0) rates[code] = Number(rate);
+    });
+    return rates.ILS ? rates : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Convert between any two currencies
+ * @param fxRate - USD→ILS rate (takes precedence for the USD/ILS leg, so it matches the user's stored rate)
+ * @returns Null when either currency has no rate - callers skip instead of counting 1:1
+ */
+export function convertCurrency(
+  amount: number,
+  from: string,
+  to: string,
+  fxRate: number | null,
+  usdRates: UsdRates | null = null
+): number | null {
+  if (from === to) return amount;
+  const perUsd = (code: string) => (code === 'ILS' ? fxRate : code === 'USD' ? 1 : usdRates?.[code]);
+  const fromRate = perUsd(from);
+  const toRate = perUsd(to);
+  if (!fromRate || !toRate) return null;
+  return amount * toRate / fromRate;
+}
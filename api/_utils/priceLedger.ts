@@ -0,0 +1,176 @@
+/**
+ * Internal Ledger (server side) - the cron twin of persistPricesToFirestore in useAssets
+ *
+ * On a NEW DAY (Israel time):
+ * - Archives current price as `previousClosePrice`
+ * - Saves close date as `lastCloseDate`
+ *
+ * Always:
+ * - Updates `currentPrice` (in the asset currency), `priceChange24h`, `lastUpdated`, `currency`
+ */
+
+import { Timestamp, type Firestore } from 'firebase-admin/firestore';
+import { TICKER_TO_COINGECKO, type YahooQuoteResult } from './quotes';
+import { getSnapshotDateKey } from './snapshots';
+import { convertCurrency, type UsdRates } from './fxRates';
+
+export type AssetDoc = { id: string } & Record<string, any>;
+
+const BATCH_LIMIT = 490;
+
+function isNumericSecurityId(str: unknown): boolean {
+  if (!str || typeof str !== 'string') return false;
+  return /^\d{4,10}$/.test(str.replace(/^(tase:|yahoo:|cg:)/, ''));
+}
+
+function isCryptoAsset(asset: AssetDoc): boolean {
+  return asset.marketDataSource === 'coingecko' ||
+    asset.type === 'CRYPTO' ||
+    asset.assetType === 'CRYPTO' ||
+    asset.category === 'קריפטו';
+}
+
+/**
+ * Same filter as refreshPrices in useAssets - only assets with a live market price
+ */
+export function isTrackableAsset(asset: AssetDoc): boolean {
+  if (asset.assetMode !== 'QUANTITY') return false;
+  if (!asset.apiId && !asset.symbol) return false;
+  if (asset.marketDataSource === 'manual') return false;
+
+  if (asset.marketDataSource === 'tase-local') return true;
+  if (asset.apiId?.startsWith('tase:')) return true;
+  if (asset.symbol?.endsWith('.TA') && !asset.apiId?.startsWith('yahoo:')) return true;
+
+  if (isCryptoAsset(asset) || asset.apiId?.startsWith('cg:')) return true;
+
+  if (asset.marketDataSource && asset.marketDataSource !== 'manual') return true;
+
+  return false;
+}
+
+/**
+ * Resolve the internal quote ID (cg:/yahoo:/tase:) - mirrors resolveInternalId in src/services/internalIds.js
+ */
+export function resolveQuoteId(asset: AssetDoc): string | null {
+  const apiId: string | undefined = asset.apiId;
+
+  if (apiId && /^(cg|yahoo|tase):/.test(apiId)) {
+    const legacyTase = apiId.match(/^yahoo:(\d+)(\.TA)?$/);
+    return legacyTase ? `tase:${legacyTase[1]}` : apiId;
+  }
+
+  if (isCryptoAsset(asset)) {
+    const coinId: string | undefined = apiId || asset.coingeckoId || asset.symbol;
+    if (coinId) {
+      const clean = coinId.replace(/^(cg:|yahoo:|tase:)/, '');
+      return `cg:${TICKER_TO_COINGECKO[clean] || TICKER_TO_COINGECKO[clean.toUpperCase()] || clean}`;
+    }
+  }
+
+  const isTase =
+    asset.marketDataSource === 'tase-local' ||
+    asset.marketDataSource === 'tase' ||
+    asset.exchange === 'TASE' ||
+    asset.provider === 'tase-local' ||
+    (asset.currency === 'ILS' && isNumericSecurityId(apiId || asset.symbol)) ||
+    (asset.symbol?.endsWith('.TA') && isNumericSecurityId(apiId));
+
+  if (isTase) {
+    const securityNumber = asset.securityId || asset.extra?.securityNumber || asset.taseSecurityNumber || apiId || asset.symbol;
+    const clean = String(securityNumber || '').replace(/^(tase:|yahoo:|cg:)/, '').replace(/\.TA$/, '');
+    if (isNumericSecurityId(clean)) return `tase:${clean}`;
+  }
+
+  const symbol: string | undefined = apiId || asset.symbol;
+  if (!symbol) return null;
+  return symbol.includes(':') ? symbol : `yahoo:${symbol}`;
+}
+
+function toDate(value: unknown): Date | null {
+  if (!value) return null;
+  if (value instanceof Timestamp) return value.toDate();
+  if (value instanceof Date) return value;
+  if (typeof value === 'number' || typeof value === 'string') return new Date(value);
+  return null;
+}
+
+function isNewDay(lastUpdated: unknown): boolean {
+  const lastDate = toDate(lastUpdated);
+  if (!lastDate || isNaN(lastDate.getTime())) return true;
+  return getSnapshotDateKey(lastDate) !== getSnapshotDateKey();
+}
+
+/**
+ * Apply fetched quotes to a user's asset documents
+ * @param quotes - Quote results keyed by internal ID
+ * @returns Number of asset documents updated
+ */
+export async function applyQuotesToAssets(
+  db: Firestore,
+  appId: string,
+  uid: string,
+  assets: AssetDoc[],
+  quotes: Map<string, YahooQuoteResult>,
+  fxRate: number | null,
+  usdRates: UsdRates | null = null
+): Promise<number> {
+  let batch = db.batch();
+  let ops = 0;
+  let updated = 0;
+
+  for (const asset of assets) {
+    const quoteId = resolveQuoteId(asset);
+    const quote = quoteId ? quotes.get(quoteId) : undefined;
+    if (!quote || quote.error || !quote.price) continue;
+
+    const updates: Record<string, any> = {};
+
+    // A. Daily Archive Protocol
+    const dayChanged = isNewDay(asset.lastUpdated);
+    if (dayChanged && asset.currentPrice > 0) {
+      updates.previousClosePrice = asset.currentPrice;
+      updates.lastCloseDate = asset.lastUpdated || Timestamp.now();
+    } else if (!asset.previousClosePrice && asset.purchasePrice) {
+      updates.previousClosePrice = asset.purchasePrice;
+    }
+
+    // B. Currency conversion into the asset currency
+    const apiCurrency = quote.currency || 'USD';
+    const targetCurrency = asset.currency || apiCurrency;
+    const finalPrice = convertCurrency(quote.price, apiCurrency, targetCurrency, fxRate, usdRates);
+    if (finalPrice === null) continue; // No rate for the pair - never store an unconverted price
+
+    // C. Real daily change against the stored baseline
+    const baseline = updates.previousClosePrice || asset.previousClosePrice || asset.purchasePrice;
+    const changePct = baseline > 0
+      ? ((finalPrice - baseline) / baseline) * 100
+      : (quote.changePct || 0);
+
+    // D. Write updates - only if the price moved or the day rolled over
+    const priceDiff = Math.abs((asset.currentPrice || 0) - finalPrice);
+    if (priceDiff <= 0.0001 && !dayChanged) continue;
+
+    updates.currentPrice = finalPrice;
+    updates.priceChange24h = changePct;
+    updates.lastUpdated = Timestamp.now();
+    updates.currency = targetCurrency;
+
+    batch.update(db.doc(`artifacts/${appId}/users/${uid}/assets/${asset.id}`), updates);
+    ops++;
+    updated++;
+
+    // Firestore batch limit
+    if (ops >= BATCH_LIMIT) {
+      await batch.commit();
+      batch = db.batch();
+      ops = 0;
+    }
+  }
+
+  if (ops > 0) {
+    await batch.commit();
+  }
+
+  return updated;
+}
@@ -0,0 +1,43 @@
+/**
+ * Symmetric encryption for user secrets stored in Firestore (exchange API keys)
+ *
+ * AES-256-GCM with a server-only key: EXCHANGE_KEYS_SECRET (any string - it is hashed
+ * to 32 bytes). Ciphertext format: "v1:<iv>:<auth tag>:<data>" (base64 parts), so the
+ * stored value is useless without the server environment.
+ */
+
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto';
+
+const VERSION = 'v1';
+
+function getKey(): Buffer {
+  const secret = process.env.EXCHANGE_KEYS_SECRET;
+  if (!secret) {
+    throw new Error('EXCHANGE_KEYS_SECRET is not configured');
+  }
+  return createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Encrypt a JSON-serializable value
+ */
+export function encryptSecret(value: unknown): string {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', getKey(), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return [VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':');
+}
+
+/**
+ * Decrypt a value written by encryptSecret (throws when the key or payload does not match)
+ */
+export function decryptSecret<T = unknown>(payload: string): T {
+  const [version, iv, tag, data] = String(payload).split(':');
+  if (version !== VERSION || !iv || !tag || !data) {
+    throw new Error('Unsupported secret format');
+  }
+  const decipher = createDecipheriv('aes-256-gcm', getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  const text = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+  return JSON.parse(text) as T;
+}
@@ -0,0 +1,157 @@
+/**
+ * Portfolio snapshots (server side)
+ *
+ * Writes artifacts/{appId}/users/{uid}/portfolioSnapshots/{YYYY-MM-DD} - the collection
+ * read by usePortfolioHistory. The document ID is the date key, so writing the same day
+ * twice simply replaces that day's snapshot (idempotent).
+ *
+ * Values are computed from the prices persisted on the asset documents
+ * (currentPrice is stored in the asset currency by the Internal Ledger).
+ */
+
+import { Timestamp, type Firestore } from 'firebase-admin/firestore';
+import { convertCurrency, fetchUsdRates, type UsdRates } from './fxRates';
+
+export interface SnapshotAssetEntry {
+  name: string;
+  value: number;         // ILS
+  nativeValue: number;   // asset currency
+  currency: string;
+  quantity: number | null;
+  price: number | null;  // asset currency
+  cost: number | null;   // cost basis, asset currency (null when a revalued asset has none)
+  platform: string | null;
+  fxUnavailable?: boolean; // no rate for the currency - value 0, left out of the total
+}
+
+export interface PortfolioSnapshot {
+  date: string;
+  totalValue: number;
+  assetsCount: number;
+  assets: Record<string, SnapshotAssetEntry>;
+  fxRate: number | null;   // null when no USD→ILS rate was available
+  currency: 'ILS';
+  source: string;
+  timestamp: Timestamp;
+}
+
+/**
+ * Date key in Israel time - the day boundary the users actually live in
+ */
+export function getSnapshotDateKey(date: Date = new Date()): string {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: 'Asia/Jerusalem',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(date);
+}
+
+/**
+ * USD→ILS rate last stored for the user (settings/currencyRate)
+ * @returns Null when none is stored - USD assets are then flagged, never valued at a guessed rate
+ */
+export async function getStoredFxRate(db: Firestore, appId: string, uid: string): Promise<number | null> {
+  try {
+    const snap = await db.doc(`artifacts/${appId}/users/${uid}/settings/currencyRate`).get();
+    const rate = Number(snap.data()?.rate);
+    return rate > 0 ? rate : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Value of a revalued (LEGACY) asset on a date - mirrors getValuationValue in src/utils/valuations.js
+ */
+function getValuationValue(asset: Record<string, any>, date: string): number {
+  const base = Number(asset.originalValue ?? asset.value) || 0;
+  const valuation = asset.valuation;
+  if (!valuation?.date) return base;
+  const value = Number(valuation.value ?? base) || 0;
+  const annualRate = Number(valuation.annualRate) || 0;
+  const years = (Date.parse(`${date}T00:00:00`) - Date.parse(`${valuation.date}T00:00:00`)) / 86400000 / 365.25;
+  return annualRate && years > 0 ? value * Math.pow(1 + annualRate / 100, years) : value;
+}
+
+/**
+ * Build a snapshot from raw asset documents
+ */
+export function buildSnapshot(
+  assets: Array<{ id: string } & Record<string, any>>,
+  fxRate: number | null,
+  source: string,
+  date: string = getSnapshotDateKey(),
+  usdRates: UsdRates | null = null
+): PortfolioSnapshot {
+  const entries: Record<string, SnapshotAssetEntry> = {};
+  let totalValue = 0;
+
+  for (const asset of assets) {
+    const currency = asset.currency || 'ILS';
+    let nativeValue = 0;
+    let quantity: number | null = null;
+    let price: number | null = null;
+    let cost: number | null = 0;
+
+    if (asset.assetMode === 'QUANTITY') {
+      quantity = Number(asset.quantity) || 0;
+      cost = quantity * (Number(asset.purchasePrice) || 0);
+      price = Number(asset.currentPrice) || Number(asset.purchasePrice) || 0;
+      nativeValue = quantity * price;
+    } else {
+      nativeValue = getValuationValue(asset, date);
+      cost = typeof asset.valuation?.cost === 'number' ? asset.valuation.cost : null;
+    }
+
+    const converted = convertCurrency(nativeValue, currency, 'ILS', fxRate, usdRates);
+    const value = converted ?? 0;
+    totalValue += value;
+    entries[asset.id] = {
+      name: asset.name || asset.symbol || asset.id,
+      value,
+      nativeValue,
+      currency,
+      quantity,
+      price,
+      cost,
+      platform: asset.platform || null,
+      ...(converted === null ? { fxUnavailable: true } : {}),
+    };
+  }
+
+  return {
+    date,
+    totalValue,
+    assetsCount: assets.length,
+    assets: entries,
+    fxRate,
+    currency: 'ILS',
+    source,
+    timestamp: Timestamp.now(),
+  };
+}
+
+/**
+ * Build and write today's snapshot for a single user
+ * @returns The written snapshot
+ */
+export async function writeUserSnapshot(
+  db: Firestore,
+  appId: string,
+  uid: string,
+  options: { source: string; fxRate?: number | null; usdRates?: UsdRates | null }
+): Promise<PortfolioSnapshot> {
+  const assetsSnap = await db.collection(`artifacts/${appId}/users/${uid}/assets`).get();
+  const assets = assetsSnap.docs.map(d => ({ id: d.id, ...d.data() }));
+  const fxRate = options.fxRate || await getStoredFxRate(db, appId, uid);
+
+  // Only fetch the full table when the user holds something other than ILS / USD
+  const needsTable = assets.some((a: Record<string, any>) => !['ILS', 'USD', undefined].includes(a.currency));
+  const usdRates = options.usdRates ?? (needsTable ? await fetchUsdRates() : null);
+
+  const snapshot = buildSnapshot(assets, fxRate, options.source, undefined, usdRates);
+  await db.doc(`artifacts/${appId}/users/${uid}/portfolioSnapshots/${snapshot.date}`).set(snapshot);
+
+  return snapshot;
+}
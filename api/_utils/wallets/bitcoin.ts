@@ -0,0 +1,42 @@
+/**
+ * Bitcoin provider - confirmed + mempool balance of a single address
+ *
+ * Uses the Esplora REST API (mempool.space / blockstream.info expose the same shape).
+ */
+
+import { fetchWithTimeout } from '../http';
+import { ChainApiError, type BalanceProvider, type WalletBalancesResult } from './types';
+
+const SATS_PER_BTC = 1e8;
+
+/** Legacy (1...), P2SH (3...) and bech32 / bech32m (bc1...) mainnet addresses */
+const ADDRESS_PATTERN = /^(bc1[02-9ac-hj-np-z]{11,71}|[13][1-9A-HJ-NP-Za-km-z]{25,34})$/;
+
+export const bitcoinProvider: BalanceProvider = {
+  id: 'btc',
+  label: 'Bitcoin',
+  nativeSymbol: 'BTC',
+  nativeCoinId: 'bitcoin',
+  baseUrlEnv: 'BITCOIN_API_URL',
+  defaultBaseUrl: 'https://mempool.space',
+
+  isValidAddress(address) {
+    return ADDRESS_PATTERN.test(address);
+  },
+
+  async fetchBalances(address, baseUrl): Promise<WalletBalancesResult> {
+    const response = await fetchWithTimeout(`${baseUrl}/api/address/${address}`, { timeoutMs: 10000 });
+    if (!response.ok) {
+      throw new ChainApiError('btc', response.status, (await response.text().catch(() => '')) || response.statusText);
+    }
+    const body: any = await response.json();
+
+    const net = (stats: any) => Number(stats?.funded_txo_sum || 0) - Number(stats?.spent_txo_sum || 0);
+    const sats = net(body?.chain_stats) + net(body?.mempool_stats);
+
+    return {
+      balances: [{ symbol: 'BTC', amount: sats / SATS_PER_BTC, coinId: 'bitcoin', contract: null }],
+      warnings: [],
+    };
+  },
+};
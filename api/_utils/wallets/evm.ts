@@ -0,0 +1,89 @@
+/**
+ * Ethereum (EVM) provider - native ETH plus a fixed list of ERC-20 tokens, over JSON-RPC
+ *
+ * Only known token contracts are queried: an address can't list its own ERC-20 holdings
+ * over plain RPC, and airdropped spam tokens often reuse real tickers anyway.
+ */
+
+import { fetchWithTimeout } from '../http';
+import { ChainApiError, fromBaseUnits, type BalanceProvider, type WalletBalance, type WalletBalancesResult } from './types';
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+/** balanceOf(address) selector */
+const BALANCE_OF = '0x70a08231';
+
+export const EVM_TOKENS: Array<{ symbol: string; contract: string; decimals: number; coinId: string }> = [
+  { symbol: 'USDT', contract: '0xdAC17F958D2ee523a2206206994597C13D831ec7', decimals: 6, coinId: 'tether' },
+  { symbol: 'USDC', contract: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', decimals: 6, coinId: 'usd-coin' },
+  { symbol: 'DAI', contract: '0x6B175474E89094C44Da98b954EedeAC495271d0F', decimals: 18, coinId: 'dai' },
+  { symbol: 'WBTC', contract: '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599', decimals: 8, coinId: 'wrapped-bitcoin' },
+  { symbol: 'LINK', contract: '0x514910771AF9Ca656af840dff83E8264EcF986CA', decimals: 18, coinId: 'chainlink' },
+  { symbol: 'UNI', contract: '0x1f9840a85d5aF5bf1D1762F925BDADdC4201F984', decimals: 18, coinId: 'uniswap' },
+  { symbol: 'SHIB', contract: '0x95aD61b0a150d79219dCF64E1E6Cc01f0B64C4cE', decimals: 18, coinId: 'shiba-inu' },
+  { symbol: 'PEPE', contract: '0x6982508145454Ce325dDbE47a25d4ec3d2311933', decimals: 18, coinId: 'pepe' },
+];
+
+async function rpcBatch(baseUrl: string, calls: Array<{ method: string; params: any[] }>): Promise<any[]> {
+  const response = await fetchWithTimeout(baseUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(calls.map((call, id) => ({ jsonrpc: '2.0', id, ...call }))),
+    timeoutMs: 10000,
+  });
+  const body: any = await response.json().catch(() => null);
+  if (!response.ok || !Array.isArray(body)) {
+    throw new ChainApiError('evm', response.status, body?.error?.message || response.statusText);
+  }
+
+  // Batch responses may come back in any order
+  const byId = new Map(body.map((entry: any) => [entry.id, entry]));
+  return calls.map((_, id) => byId.get(id));
+}
+
+export const evmProvider: BalanceProvider = {
+  id: 'evm',
+  label: 'Ethereum (EVM)',
+  nativeSymbol: 'ETH',
+  nativeCoinId: 'ethereum',
+  baseUrlEnv: 'EVM_RPC_URL',
+  defaultBaseUrl: 'https://ethereum-rpc.publicnode.com',
+
+  isValidAddress(address) {
+    return ADDRESS_PATTERN.test(address);
+  },
+
+  async fetchBalances(address, baseUrl): Promise<WalletBalancesResult> {
+    const owner = address.slice(2).toLowerCase().padStart(64, '0');
+    const [native, ...tokens] = await rpcBatch(baseUrl, [
+      { method: 'eth_getBalance', params: [address, 'latest'] },
+      ...EVM_TOKENS.map(token => ({
+        method: 'eth_call',
+        params: [{ to: token.contract, data: `${BALANCE_OF}${owner}` }, 'latest'],
+      })),
+    ]);
+
+    if (!native || native.error) {
+      throw new ChainApiError('evm', 502, native?.error?.message || 'eth_getBalance failed');
+    }
+
+    const balances: WalletBalance[] = [
+      { symbol: 'ETH', amount: fromBaseUnits(native.result, 18), coinId: 'ethereum', contract: null },
+    ];
+    const warnings: string[] = [];
+
+    tokens.forEach((entry, i) => {
+      const token = EVM_TOKENS[i];
+      if (!entry || entry.error) {
+        warnings.push(`${token.symbol}: ${entry?.error?.message || 'no response'}`);
+        return;
+      }
+      const amount = entry.result && entry.result !== '0x' ? fromBaseUnits(entry.result, token.decimals) : 0;
+      if (amount > 0) {
+        balances.push({ symbol: token.symbol, amount, coinId: token.coinId, contract: token.contract });
+      }
+    });
+
+    return { balances, warnings };
+  },
+};
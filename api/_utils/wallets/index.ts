@@ -0,0 +1,38 @@
+/**
+ * Balance provider registry
+ *
+ * Adding a chain = implementing BalanceProvider (types.ts) and registering it here.
+ * Each provider's base URL can be overridden by its env variable, e.g.
+ * SOLANA_RPC_URL=http://127.0.0.1:4020 to run /api/wallet-balances against a local stand-in.
+ */
+
+import { bitcoinProvider } from './bitcoin';
+import { evmProvider } from './evm';
+import { solanaProvider } from './solana';
+import { tonProvider } from './ton';
+import type { BalanceProvider } from './types';
+
+export * from './types';
+
+const providers = new Map<string, BalanceProvider>();
+
+export function registerBalanceProvider(provider: BalanceProvider): void {
+  providers.set(provider.id, provider);
+}
+
+registerBalanceProvider(bitcoinProvider);
+registerBalanceProvider(evmProvider);
+registerBalanceProvider(solanaProvider);
+registerBalanceProvider(tonProvider);
+
+export function getBalanceProvider(chain: string): BalanceProvider | null {
+  return providers.get(chain) || null;
+}
+
+export function listBalanceProviders(): BalanceProvider[] {
+  return [...providers.values()];
+}
+
+export function getProviderBaseUrl(provider: BalanceProvider): string {
+  return (process.env[provider.baseUrlEnv] || provider.defaultBaseUrl).replace(/\/$/, '');
+}
@@ -0,0 +1,87 @@
+/**
+ * Solana provider - native SOL plus SPL token accounts, over JSON-RPC
+ *
+ * Every SPL token the address holds is returned; mints outside SOLANA_TOKENS come back
+ * without a CoinGecko ID (reported as unmapped rather than guessed from a ticker).
+ */
+
+import { fetchWithTimeout } from '../http';
+import { ChainApiError, type BalanceProvider, type WalletBalance, type WalletBalancesResult } from './types';
+
+const LAMPORTS_PER_SOL = 1e9;
+const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+
+/** Base58 public key */
+const ADDRESS_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+export const SOLANA_TOKENS: Record<string, { symbol: string; coinId: string }> = {
+  EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v: { symbol: 'USDC', coinId: 'usd-coin' },
+  Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB: { symbol: 'USDT', coinId: 'tether' },
+  JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN: { symbol: 'JUP', coinId: 'jupiter-exchange-solana' },
+  DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263: { symbol: 'BONK', coinId: 'bonk' },
+};
+
+async function rpc(baseUrl: string, method: string, params: any[]): Promise<any> {
+  const response = await fetchWithTimeout(baseUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+    timeoutMs: 10000,
+  });
+  const body: any = await response.json().catch(() => null);
+  if (!response.ok || !body || body.error) {
+    throw new ChainApiError('sol', response.ok ? 502 : response.status, body?.error?.message || response.statusText);
+  }
+  return body.result;
+}
+
+export const solanaProvider: BalanceProvider = {
+  id: 'sol',
+  label: 'Solana',
+  nativeSymbol: 'SOL',
+  nativeCoinId: 'solana',
+  baseUrlEnv: 'SOLANA_RPC_URL',
+  defaultBaseUrl: 'https://api.mainnet-beta.solana.com',
+
+  isValidAddress(address) {
+    return ADDRESS_PATTERN.test(address);
+  },
+
+  async fetchBalances(address, baseUrl): Promise<WalletBalancesResult> {
+    const native = await rpc(baseUrl, 'getBalance', [address]);
+    const balances: WalletBalance[] = [
+      { symbol: 'SOL', amount: Number(native?.value || 0) / LAMPORTS_PER_SOL, coinId: 'solana', contract: null },
+    ];
+    const warnings: string[] = [];
+
+    try {
+      const accounts = await rpc(baseUrl, 'getTokenAccountsByOwner', [
+        address,
+        { programId: TOKEN_PROGRAM_ID },
+        { encoding: 'jsonParsed' },
+      ]);
+
+      // One mint can be spread over several token accounts
+      const byMint = new Map<string, number>();
+      (accounts?.value || []).forEach((entry: any) => {
+        const info = entry?.account?.data?.parsed?.info;
+        const amount = Number(info?.tokenAmount?.uiAmountString ?? info?.tokenAmount?.uiAmount ?? 0);
+        if (info?.mint && amount > 0) byMint.set(info.mint, (byMint.get(info.mint) || 0) + amount);
+      });
+
+      byMint.forEach((amount, mint) => {
+        const known = SOLANA_TOKENS[mint];
+        balances.push({
+          symbol: known?.symbol || `${mint.slice(0, 4)}…${mint.slice(-4)}`,
+          amount,
+          coinId: known?.coinId || null,
+          contract: mint,
+        });
+      });
+    } catch (error: any) {
+      warnings.push(`SPL tokens: ${error?.message || 'unavailable'}`);
+    }
+
+    return { balances, warnings };
+  },
+};
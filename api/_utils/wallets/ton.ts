@@ -0,0 +1,72 @@
+/**
+ * TON provider - native TON plus jettons, over the tonapi.io REST API
+ *
+ * Jettons are matched by master address (raw form), not by ticker - fake "USD₮" jettons
+ * are common. TON_API_KEY is optional and only raises the rate limit.
+ */
+
+import { fetchWithTimeout } from '../http';
+import { ChainApiError, fromBaseUnits, type BalanceProvider, type WalletBalance, type WalletBalancesResult } from './types';
+
+/** User-friendly (base64url, 48 chars) or raw (workchain:hex) address */
+const ADDRESS_PATTERN = /^([A-Za-z0-9_-]{48}|-?\d+:[0-9a-fA-F]{64})$/;
+
+export const TON_JETTONS: Record<string, { symbol: string; coinId: string }> = {
+  '0:b113a994b5024a16719f69139328eb759596c38a25f59028b146fecdc3621dfe': { symbol: 'USDT', coinId: 'tether' },
+};
+
+async function tonGet(baseUrl: string, path: string): Promise<any> {
+  const apiKey = process.env.TON_API_KEY;
+  const response = await fetchWithTimeout(`${baseUrl}${path}`, {
+    headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+    timeoutMs: 10000,
+  });
+  const body: any = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new ChainApiError('ton', response.status, body?.error || response.statusText);
+  }
+  return body;
+}
+
+export const tonProvider: BalanceProvider = {
+  id: 'ton',
+  label: 'TON',
+  nativeSymbol: 'TON',
+  nativeCoinId: 'the-open-network',
+  baseUrlEnv: 'TON_API_URL',
+  defaultBaseUrl: 'https://tonapi.io',
+
+  isValidAddress(address) {
+    return ADDRESS_PATTERN.test(address);
+  },
+
+  async fetchBalances(address, baseUrl): Promise<WalletBalancesResult> {
+    const id = encodeURIComponent(address);
+    const account = await tonGet(baseUrl, `/v2/accounts/${id}`);
+    const balances: WalletBalance[] = [
+      { symbol: 'TON', amount: fromBaseUnits(account?.balance ?? 0, 9), coinId: 'the-open-network', contract: null },
+    ];
+    const warnings: string[] = [];
+
+    try {
+      const jettons = await tonGet(baseUrl, `/v2/accounts/${id}/jettons`);
+      (jettons?.balances || []).forEach((entry: any) => {
+        const master = String(entry?.jetton?.address || '').toLowerCase();
+        const amount = fromBaseUnits(entry?.balance ?? 0, Number(entry?.jetton?.decimals ?? 9));
+        if (!master || amount <= 0) return;
+
+        const known = TON_JETTONS[master];
+        balances.push({
+          symbol: known?.symbol || String(entry?.jetton?.symbol || master.slice(-6)).toUpperCase(),
+          amount,
+          coinId: known?.coinId || null,
+          contract: master,
+        });
+      });
+    } catch (error: any) {
+      warnings.push(`Jettons: ${error?.message || 'unavailable'}`);
+    }
+
+    return { balances, warnings };
+  },
+};
@@ -0,0 +1,56 @@
+/**
+ * Balance provider contract - one implementation per chain (bitcoin.ts, evm.ts, solana.ts, ton.ts)
+ *
+ * Providers only read public address data, so no credentials are involved. The base URL
+ * is injectable so /api/wallet-balances can run against a local stand-in
+ * (see scripts/mock-chain-server.mjs).
+ */
+
+export type WalletChain = 'btc' | 'evm' | 'sol' | 'ton';
+
+export interface WalletBalance {
+  /** Ticker, upper case (BTC, ETH, USDT...) */
+  symbol: string;
+  amount: number;
+  /** CoinGecko ID (priced as cg:<coinId>), null for tokens without a known mapping */
+  coinId: string | null;
+  /** Token contract / mint / jetton master - null for the chain's native coin */
+  contract: string | null;
+}
+
+export interface WalletBalancesResult {
+  balances: WalletBalance[];
+  /** Non-fatal problems, e.g. token lookup failed but the native balance was read */
+  warnings: string[];
+}
+
+export interface BalanceProvider {
+  id: WalletChain;
+  label: string;
+  nativeSymbol: string;
+  nativeCoinId: string;
+  /** Env variable that overrides defaultBaseUrl (local stand-in) */
+  baseUrlEnv: string;
+  defaultBaseUrl: string;
+  isValidAddress(address: string): boolean;
+  fetchBalances(address: string, baseUrl: string): Promise<WalletBalancesResult>;
+}
+
+export class ChainApiError extends Error {
+  constructor(
+    public chain: string,
+    public status: number,
+    message: string
+  ) {
+    super(`${chain}: ${message}`);
+    this.name = 'ChainApiError';
+  }
+}
+
+/** Integer base units (hex or decimal string) → decimal amount */
+export function fromBaseUnits(value: string | number | bigint | null | undefined, decimals: number): number {
+  if (value === null || value === undefined || value === '') return 0;
+  const units = typeof value === 'bigint' ? value : BigInt(value);
+  const scale = 10n ** BigInt(decimals);
+  return Number(units / scale) + Number(units % scale) / Number(scale);
+}
@@ -0,0 +1,196 @@
+/**
+ * Yahoo Finance chart history - shared by /api/history and /api/fx (historical rates)
+ *
+ * Optional events (chart `events=` param):
+ * - div:   amount per share, in the quote currency, ex-dividend timestamp
+ * - split: numerator / denominator (2:1 split → 2/1, 1:10 reverse split → 1/10), ex-date timestamp
+ */
+
+import { fetchReliable, fetchJsonSafe, fetchWithCoalescing } from './http';
+import { MINOR_CURRENCY_UNITS } from './quotes';
+
+export interface HistoryPoint {
+  t: number; // timestamp (milliseconds)
+  v: number; // value (price)
+}
+
+export interface DividendEvent {
+  t: number;      // ex-dividend timestamp (milliseconds)
+  amount: number; // per share, in `currency`
+}
+
+export interface SplitEvent {
+  t: number;           // ex-date timestamp (milliseconds)
+  numerator: number;   // new units
+  denominator: number; // per old units
+  ratio: number;       // numerator / denominator
+}
+
+export interface HistoryResult {
+  id: string;
+  points: HistoryPoint[];
+  currency: string;
+  source: 'coingecko' | 'yahoo';
+  dividends?: DividendEvent[];
+  splits?: SplitEvent[];
+}
+
+/**
+ * Convert range to Yahoo Finance range parameter
+ */
+export function rangeToYahooRange(range: string): string {
+  switch (range) {
+    case '1d':
+      return '1d';
+    case '5d':
+      return '5d';
+    case '1mo':
+      return '1mo';
+    case '3mo':
+      return '3mo';
+    case '6mo':
+      return '6mo';
+    case '1y':
+      return '1y';
+    case '5y':
+      return '5y';
+    case '10y':
+      return '10y';
+    case 'max':
+      return 'max';
+    default:
+      return '1mo';
+  }
+}
+
+/**
+ * Fetch stock/ETF/index history from Yahoo Finance
+ */
+export async function fetchYahooHistory(
+  symbol: string,
+  range: string,
+  interval: string = '1d',
+  originalId?: string,
+  events: string[] = []
+): Promise<HistoryResult | null> {
+  try {
+    const yahooRange = rangeToYahooRange(range);
+    const eventsParam = events.length > 0 ? `&events=${events.join(',')}` : '';
+    const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?interval=${interval}&range=${yahooRange}${eventsParam}`;
+    
+    // Use coalescing to dedupe identical concurrent requests
+    const coalesceKey = `history:yahoo:${symbol}:${range}:${interval}:${events.join(',')}`;
+    
+    const response = await fetchWithCoalescing(coalesceKey, () =>
+      fetchReliable(url, {
+        timeoutMs: 10000,
+        retries: 2,
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+          'Accept': 'application/json',
+          'Accept-Language': 'en-US,en;q=0.9',
+        },
+      })
+    );
+    
+    // Handle upstream failures properly - don't hide auth failures as 404
+    if (!response.ok) {
+      if (response.status === 401 || response.status === 403 || response.status >= 500) {
+        throw new Error(`Upstream Yahoo failure: HTTP ${response.status}`);
+      }
+      // For other errors (404, etc.), return null (will be handled as "History data not found")
+      return null;
+    }
+
+    const data = await fetchJsonSafe(response);
+    
+    // Defensive parsing: ensure chart structure exists
+    if (!data || !data.chart || !Array.isArray(data.chart.result) || data.chart.result.length === 0) {
+      console.warn(`Yahoo history: invalid response structure for ${symbol}`);
+      return null;
+    }
+
+    const chartResult = data.chart.result[0];
+
+    if (!chartResult) {
+      return null;
+    }
+
+    const timestamps = chartResult.timestamp || [];
+    const closes = chartResult.indicators?.quote?.[0]?.close || [];
+    const meta = chartResult.meta || {};
+    const currency = (symbol.endsWith('.TA') ? 'ILS' : (meta.currency || 'USD'));
+
+    // Use originalId if provided (for TASE), otherwise determine from symbol
+    let internalId: string;
+    if (originalId) {
+      internalId = originalId;
+    } else if (symbol.endsWith('.TA') && /^\d+\.TA$/.test(symbol)) {
+      const securityId = symbol.replace('.TA', '');
+      internalId = `tase:${securityId}`;
+    } else {
+      internalId = `yahoo:${symbol}`;
+    }
+
+    const points: HistoryPoint[] = timestamps
+      .map((ts: number, i: number) => ({
+        t: ts * 1000, // Convert to milliseconds
+        v: closes[i] || 0,
+      }))
+      .filter((p: HistoryPoint) => p.v > 0);
+
+    // TASE Agorot → Shekels conversion (and LSE pence → pounds)
+    // Yahoo returns currency "ILA" for Agorot-quoted instruments
+    // We normalize to ILS and divide all points by 100
+    const rawCurrency = meta.currency || '';
+    const isIndex = symbol.startsWith('^');
+    let normalizedCurrency = currency;
+
+    // Dividend events: { "<unix seconds>": { amount, date } }
+    const dividends: DividendEvent[] | undefined = events.includes('div')
+      ? Object.values(chartResult.events?.dividends || {})
+        .map((d: any) => ({ t: Number(d.date) * 1000, amount: Number(d.amount) }))
+        .filter((d: DividendEvent) => d.t > 0 && d.amount > 0)
+        .sort((a: DividendEvent, b: DividendEvent) => a.t - b.t)
+      : undefined;
+
+    // Split events: { "<unix seconds>": { date, numerator, denominator, splitRatio } }
+    const splits: SplitEvent[] | undefined = events.includes('split')
+      ? Object.values(chartResult.events?.splits || {})
+        .map((s: any) => {
+          const numerator = Number(s.numerator);
+          const denominator = Number(s.denominator);
+          return { t: Number(s.date) * 1000, numerator, denominator, ratio: denominator > 0 ? numerator / denominator : 0 };
+        })
+        .filter((s: SplitEvent) => s.t > 0 && s.ratio > 0 && s.ratio !== 1)
+        .sort((a: SplitEvent, b: SplitEvent) => a.t - b.t)
+      : undefined;
+
+    const majorCurrency = MINOR_CURRENCY_UNITS[rawCurrency];
+    if (majorCurrency && !isIndex) {
+      // Convert all point values from Agorot to Shekels
+      points.forEach((p) => {
+        p.v = p.v / 100;
+      });
+      dividends?.forEach((d) => {
+        d.amount = d.amount / 100;
+      });
+      normalizedCurrency = majorCurrency;
+    } else if (majorCurrency && isIndex) {
+      normalizedCurrency = majorCurrency;
+    }
+
+    return {
+      id: internalId,
+      points,
+      currency: normalizedCurrency,
+      source: 'yahoo',
+      ...(dividends ? { dividends } : {}),
+      ...(splits ? { splits } : {}),
+    };
+  } catch (error) {
+    console.error(`Yahoo history error for ${symbol}:`, error);
+    // Re-throw to be handled by caller (for proper 502 response on upstream failures)
+    throw error;
+  }
+}
@@ -0,0 +1,57 @@
+/**
+ * Alerts Push API - delivers the caller's pending alerts as Web Push (see _utils/alerts)
+ *
+ * POST /api/alerts-push
+ * Headers: Authorization: Bearer <Firebase ID token>
+ *
+ * Called by the app right after a price refresh triggered alerts (the scheduled refresh
+ * sends its own). Every alertHistory entry with `pushed: false` is sent to the user's
+ * subscribed devices and marked as pushed.
+ *
+ * Response: { configured, alerts, sent, failed } - configured is false when the VAPID keys
+ * are not set (alerts then stay in-app only).
+ */
+
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import { getAdminDb, getAppId, verifyRequestUser } from './_utils/firebaseAdmin';
+import { sendPendingAlertPushes } from './_utils/alerts';
+
+export default async function handler(
+  req: VercelRequest,
+  res: VercelResponse
+) {
+  // Ensure JSON content-type for all responses
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Cache-Control', 'no-store');
+
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const uid = await verifyRequestUser(req);
+    if (!uid) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const result = await sendPendingAlertPushes(getAdminDb(), getAppId(), uid);
+    return res.status(200).json(result);
+  } catch (error: any) {
+    console.error('Alerts push API error:', error);
+    const requestId = req.headers['x-vercel-id'] || req.headers['x-request-id'] || 'unknown';
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error?.message || 'Unknown error',
+      requestId: String(requestId),
+    });
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * CPI API - Israeli consumer price index (מדד המחירים לצרכן) by month
+ * Uses the Central Bureau of Statistics price index API (series 120010 - general CPI)
+ *
+ * GET /api/cpi?from=YYYY-MM
+ *
+ * CBS reports each month on the base in force at the time (the base is rebased every
+ * few years), so the series is chained into a single continuous index here.
+ */
+
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import { fetchReliable, fetchJsonSafe } from './_utils/http';
+
+interface CpiPoint {
+  month: string; // 'YYYY-MM'
+  value: number; // chained index (latest month on its published base)
+}
+
+interface CpiResult {
+  points: CpiPoint[];
+  timestamp: number;
+  source: string;
+}
+
+const CPI_SERIES_ID = '120010';
+const MAX_PAGES = 10;
+
+/**
+ * Chain CBS entries (newest first, each on its own base) into one continuous series.
+ * Within a base the published values are used as-is; across a rebase the monthly
+ * percent change links the two bases.
+ */
+function chainCpi(entries: any[]): CpiPoint[] {
+  const sorted = entries
+    .filter((e) => e?.year && e?.month && e?.currBase?.value > 0)
+    .sort((a, b) => a.year - b.year || a.month - b.month);
+
+  const raw: { month: string; value: number; base: string; percent: number }[] = sorted.map((e) => ({
+    month: `${e.year}-${String(e.month).padStart(2, '0')}`,
+    value: Number(e.currBase.value),
+    base: String(e.currBase.baseDesc || ''),
+    percent: Number(e.percent) || 0,
+  }));
+  if (raw.length === 0) return [];
+
+  // Walk back from the latest month so the newest values stay on the published base
+  const points: CpiPoint[] = new Array(raw.length);
+  points[raw.length - 1] = { month: raw[raw.length - 1].month, value: raw[raw.length - 1].value };
+  for (let i = raw.length - 2; i >= 0; i--) {
+    const next = raw[i + 1];
+    const ratio = next.base === raw[i].base
+      ? raw[i].value / next.value
+      : 1 / (1 + next.percent / 100);
+    points[i] = { month: raw[i].month, value: points[i + 1].value * ratio };
+  }
+  return points;
+}
+
+export default async function handler(
+  req: VercelRequest,
+  res: VercelResponse
+) {
+  // Ensure JSON content-type for all responses
+  res.setHeader('Content-Type', 'application/json');
+
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const from = typeof req.query.from === 'string' && /^\d{4}-\d{2}$/.test(req.query.from)
+    ? req.query.from
+    : '2000-01';
+  const [fromYear, fromMonth] = from.split('-');
+  const now = new Date();
+  const endPeriod = `${String(now.getMonth() + 1).padStart(2, '0')}-${now.getFullYear()}`;
+
+  try {
+    const entries: any[] = [];
+    let url: string | null = `https://api.cbs.gov.il/index/data/price?id=${CPI_SERIES_ID}&format=json&download=false&startPeriod=${fromMonth}-${fromYear}&endPeriod=${endPeriod}&PageSize=1000`;
+
+    for (let page = 0; url && page < MAX_PAGES; page++) {
+      const response = await fetchReliable(url, { timeoutMs: 8000, retries: 2 });
+      if (!response.ok) {
+        throw new Error(`CBS API error: ${response.status}`);
+      }
+      const data = await fetchJsonSafe(response);
+      entries.push(...(data?.month?.[0]?.date || []));
+      url = data?.paging?.next_url || null;
+    }
+
+    const points = chainCpi(entries);
+    if (points.length === 0) {
+      return res.status(404).json({ error: 'CPI data not found' });
+    }
+
+    const result: CpiResult = {
+      points,
+      timestamp: Date.now(),
+      source: 'cbs',
+    };
+
+    // CPI is published once a month (on the 15th)
+    res.setHeader('Cache-Control', 's-maxage=86400, stale-while-revalidate=604800');
+
+    return res.status(200).json(result);
+  } catch (error: any) {
+    console.error('CPI API error:', error);
+    const requestId = req.headers['x-vercel-id'] || req.headers['x-request-id'] || 'unknown';
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error?.message || 'Unknown error',
+      requestId: String(requestId),
+    });
+  }
+}
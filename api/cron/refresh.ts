@@ -0,0 +1,157 @@
+/**
+ * Scheduled price refresh (Vercel Cron)
+ *
+ * GET /api/cron/refresh
+ * Headers: Authorization: Bearer <CRON_SECRET>   (sent automatically by Vercel Cron)
+ *      or  x-cron-secret: <CRON_SECRET>           (manual / local runs)
+ * Query (optional): ?uid=<uid> - refresh a single user, ?dryRun=1 - fetch only, no writes
+ *
+ * For every user: fetches quotes for the trackable assets (same providers as /api/quote),
+ * writes currentPrice / previousClosePrice through the Internal Ledger and then writes the
+ * day's portfolioSnapshots document - so history keeps growing even when nobody opens the app.
+ * The user's alert rules are then checked against the new prices and triggered alerts are
+ * sent as Web Push (see _utils/alerts).
+ *
+ * Schedule (vercel.json): 20:15 UTC - 23:15 in Israel in summer, 22:15 in winter - so the
+ * snapshot is always keyed to the same Israeli day (21:00 UTC is already midnight in summer).
+ */
+
+import { timingSafeEqual } from 'crypto';
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import { getAdminDb, getAppId } from '../_utils/firebaseAdmin';
+import { fetchQuotes, type YahooQuoteResult } from '../_utils/quotes';
+import { applyQuotesToAssets, isTrackableAsset, resolveQuoteId, type AssetDoc } from '../_utils/priceLedger';
+import { getStoredFxRate, writeUserSnapshot } from '../_utils/snapshots';
+import { fetchUsdRates } from '../_utils/fxRates';
+import { evaluateUserAlerts, sendPendingAlertPushes } from '../_utils/alerts';
+
+interface UserRefreshResult {
+  uid: string;
+  trackable: number;
+  updated: number;
+  snapshotValue?: number;
+  alerts?: number;
+  error?: string;
+}
+
+/**
+ * Constant-time comparison of the provided secret against CRON_SECRET
+ */
+function isAuthorized(req: VercelRequest, secret: string): boolean {
+  const header = req.headers.authorization || '';
+  const bearer = header.match(/^Bearer\s+(.+)$/i)?.[1];
+  const custom = req.headers['x-cron-secret'];
+  const provided = bearer || (typeof custom === 'string' ? custom : '');
+  if (!provided) return false;
+
+  const a = Buffer.from(provided);
+  const b = Buffer.from(secret);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+export default async function handler(
+  req: VercelRequest,
+  res: VercelResponse
+) {
+  // Ensure JSON content-type for all responses
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    return res.status(500).json({ error: 'CRON_SECRET is not configured' });
+  }
+  if (!isAuthorized(req, secret)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const onlyUid = typeof req.query.uid === 'string' ? req.query.uid : null;
+  const dryRun = req.query.dryRun === '1' || req.query.dryRun === 'true';
+
+  try {
+    const db = getAdminDb();
+    const appId = getAppId();
+
+    // 1. Load every user's trackable assets
+    const userRefs = onlyUid
+      ? [db.doc(`artifacts/${appId}/users/${onlyUid}`)]
+      : await db.collection(`artifacts/${appId}/users`).listDocuments();
+
+    const users: Array<{ uid: string; assets: AssetDoc[] }> = [];
+    for (const ref of userRefs) {
+      const snap = await ref.collection('assets').get();
+      users.push({ uid: ref.id, assets: snap.docs.map(d => ({ id: d.id, ...d.data() })) });
+    }
+
+    // 2. One quote request for all users (IDs deduped)
+    const quoteIds = new Set<string>();
+    for (const { assets } of users) {
+      for (const asset of assets.filter(isTrackableAsset)) {
+        const id = resolveQuoteId(asset);
+        if (id) quoteIds.add(id);
+      }
+    }
+
+    const quotes = new Map<string, YahooQuoteResult>();
+    if (quoteIds.size > 0) {
+      const results = await fetchQuotes([...quoteIds]);
+      results.forEach(result => quotes.set(result.id, result));
+    }
+
+    const usdRates = await fetchUsdRates();
+    const liveFxRate = usdRates?.ILS || null;
+
+    // 3. Per user: Internal Ledger update + daily snapshot + alert rules
+    const results: UserRefreshResult[] = [];
+    for (const { uid, assets } of users) {
+      const trackable = assets.filter(isTrackableAsset);
+      const result: UserRefreshResult = { uid, trackable: trackable.length, updated: 0 };
+
+      try {
+        const fxRate = liveFxRate || await getStoredFxRate(db, appId, uid);
+
+        if (!dryRun) {
+          result.updated = await applyQuotesToAssets(db, appId, uid, trackable, quotes, fxRate, usdRates);
+          if (assets.length > 0) {
+            const snapshot = await writeUserSnapshot(db, appId, uid, { source: 'cron', fxRate, usdRates });
+            result.snapshotValue = snapshot.totalValue;
+            result.alerts = await evaluateUserAlerts(db, appId, uid, snapshot, usdRates);
+            if (result.alerts > 0) await sendPendingAlertPushes(db, appId, uid);
+          }
+        }
+      } catch (error: any) {
+        console.error(`[CRON] Refresh failed for user ${uid}:`, error);
+        result.error = error?.message || 'Unknown error';
+      }
+
+      results.push(result);
+    }
+
+    const failedQuotes = [...quotes.values()].filter(q => q.error).map(q => q.id);
+
+    return res.status(200).json({
+      dryRun,
+      users: results.length,
+      quotes: quoteIds.size,
+      failedQuotes,
+      fxRate: liveFxRate,
+      assetsUpdated: results.reduce((sum, r) => sum + r.updated, 0),
+      snapshots: results.filter(r => r.snapshotValue !== undefined).length,
+      alerts: results.reduce((sum, r) => sum + (r.alerts || 0), 0),
+      errors: results.filter(r => r.error).length,
+      results,
+    });
+  } catch (error: any) {
+    console.error('Cron refresh error:', error);
+    const requestId = req.headers['x-vercel-id'] || req.headers['x-request-id'] || 'unknown';
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error?.message || 'Unknown error',
+      requestId: String(requestId),
+    });
+  }
+}
@@ -0,0 +1,203 @@
+/**
+ * Exchange Sync API - read-only balance sync for Binance / Bybit (see _utils/exchanges)
+ *
+ * POST /api/exchange-sync
+ * Headers: Authorization: Bearer <Firebase ID token>
+ * Body:
+ *   { "action": "connect", "exchange": "binance", "apiKey": "...", "apiSecret": "...", "platform": "Binance" }
+ *   { "action": "sync", "exchange": "binance" | undefined (all connected), "dryRun": false }
+ *   { "action": "disconnect", "exchange": "binance" }
+ *
+ * Keys are accepted only when the exchange reports them as read-only, and are stored
+ * encrypted (AES-256-GCM, EXCHANGE_KEYS_SECRET) in exchangeCredentials/{exchange} - a
+ * collection the client rules never expose. The client reads the connection status from
+ * exchangeConnections/{exchange}.
+ *
+ * Local testing: point BINANCE_API_URL / BYBIT_API_URL at scripts/mock-exchange-server.mjs.
+ */
+
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import { Timestamp, type Firestore } from 'firebase-admin/firestore';
+import { getAdminDb, getAppId, verifyRequestUser } from './_utils/firebaseAdmin';
+import { encryptSecret, decryptSecret } from './_utils/secretBox';
+import {
+  aggregateBalances,
+  getExchangeAdapter,
+  getExchangeBaseUrl,
+  ExchangeApiError,
+  type ExchangeCredentials,
+} from './_utils/exchanges';
+import { upsertExchangeAssets, resolveExchangeCoinId } from './_utils/exchangeSync';
+import { fetchQuotes, type YahooQuoteResult } from './_utils/quotes';
+
+const userDoc = (db: Firestore, appId: string, uid: string) => db.doc(`artifacts/${appId}/users/${uid}`);
+
+async function syncExchange(db: Firestore, appId: string, uid: string, exchange: string, dryRun: boolean) {
+  const adapter = getExchangeAdapter(exchange);
+  const user = userDoc(db, appId, uid);
+  const [connectionSnap, credentialsSnap] = await Promise.all([
+    user.collection('exchangeConnections').doc(exchange).get(),
+    user.collection('exchangeCredentials').doc(exchange).get(),
+  ]);
+  if (!adapter || !connectionSnap.exists || !credentialsSnap.exists) {
+    return { exchange, error: 'Not connected' };
+  }
+
+  const connection = connectionSnap.data() || {};
+  const platform = connection.platform || adapter.label;
+
+  try {
+    const credentials = decryptSecret<ExchangeCredentials>(credentialsSnap.get('ciphertext'));
+    const { balances, warnings } = await adapter.fetchBalances(credentials, getExchangeBaseUrl(adapter));
+    const totals = aggregateBalances(balances);
+
+    // Today's prices for the initial cost basis of new assets
+    const assetsSnap = await user.collection('assets').where('platform', '==', platform).get();
+    const platformAssets = assetsSnap.docs.map(d => ({ id: d.id, ...d.data() }));
+    const ids = [...new Set([...totals.keys()]
+      .map(ticker => resolveExchangeCoinId(ticker, platformAssets))
+      .filter((id): id is string => !!id))];
+    const quotes = new Map<string, YahooQuoteResult>();
+    if (ids.length > 0) {
+      (await fetchQuotes(ids)).forEach(quote => quotes.set(quote.id, quote));
+    }
+
+    const result = await upsertExchangeAssets(db, appId, uid, exchange, platform, totals, quotes, warnings, dryRun);
+
+    if (!dryRun) {
+      await connectionSnap.ref.update({
+        lastSyncAt: Timestamp.now(),
+        lastError: null,
+        lastResult: { created: result.created, updated: result.updated, assets: result.items.length, warnings },
+      });
+    }
+    return { exchange, ...result, warnings };
+  } catch (error: any) {
+    console.error(`[EXCHANGE SYNC] ${exchange} failed for user ${uid}:`, error);
+    const message = error?.message || 'Unknown error';
+    if (!dryRun) {
+      await connectionSnap.ref.update({ lastSyncAt: Timestamp.now(), lastError: message });
+    }
+    return { exchange, error: message };
+  }
+}
+
+export default async function handler(
+  req: VercelRequest,
+  res: VercelResponse
+) {
+  // Ensure JSON content-type for all responses
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Cache-Control', 'no-store');
+
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!process.env.EXCHANGE_KEYS_SECRET) {
+    return res.status(500).json({ error: 'EXCHANGE_KEYS_SECRET is not configured' });
+  }
+
+  try {
+    const uid = await verifyRequestUser(req);
+    if (!uid) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const db = getAdminDb();
+    const appId = getAppId();
+    const body = req.body || {};
+    const action = body.action;
+    const exchange = typeof body.exchange === 'string' ? body.exchange.toLowerCase() : null;
+
+    if (exchange && !getExchangeAdapter(exchange)) {
+      return res.status(400).json({ error: 'Unknown exchange', message: `Unsupported exchange "${exchange}"` });
+    }
+
+    if (action === 'connect') {
+      const adapter = exchange ? getExchangeAdapter(exchange) : null;
+      const apiKey = typeof body.apiKey === 'string' ? body.apiKey.trim() : '';
+      const apiSecret = typeof body.apiSecret === 'string' ? body.apiSecret.trim() : '';
+      if (!adapter || !apiKey || !apiSecret) {
+        return res.status(400).json({ error: 'Missing parameters', message: 'exchange, apiKey and apiSecret are required' });
+      }
+
+      const credentials = { apiKey, apiSecret };
+      let permissions;
+      try {
+        permissions = await adapter.checkPermissions(credentials, getExchangeBaseUrl(adapter));
+      } catch (error: any) {
+        const status = error instanceof ExchangeApiError && error.status >= 400 && error.status < 500 ? 400 : 502;
+        return res.status(status).json({ error: 'Key check failed', message: error?.message || 'Unknown error' });
+      }
+      if (!permissions.readOnly) {
+        return res.status(400).json({
+          error: 'Key is not read-only',
+          message: 'Create a read-only API key (no trading, transfers or withdrawals)',
+          unsafe: permissions.unsafe,
+        });
+      }
+
+      const user = userDoc(db, appId, uid);
+      const platform = typeof body.platform === 'string' && body.platform.trim() ? body.platform.trim() : adapter.label;
+      await user.collection('exchangeCredentials').doc(adapter.id).set({
+        ciphertext: encryptSecret(credentials),
+        updatedAt: Timestamp.now(),
+      });
+      await user.collection('exchangeConnections').doc(adapter.id).set({
+        exchange: adapter.id,
+        label: adapter.label,
+        platform,
+        keyHint: `…${apiKey.slice(-4)}`,
+        readOnly: true,
+        connectedAt: Timestamp.now(),
+        lastSyncAt: null,
+        lastError: null,
+      });
+
+      return res.status(200).json({ exchange: adapter.id, connected: true, platform });
+    }
+
+    if (action === 'sync') {
+      const dryRun = body.dryRun === true;
+      const exchanges = exchange
+        ? [exchange]
+        : (await userDoc(db, appId, uid).collection('exchangeConnections').get()).docs.map(d => d.id);
+
+      const results = [];
+      for (const id of exchanges) {
+        results.push(await syncExchange(db, appId, uid, id, dryRun));
+      }
+      return res.status(200).json({ dryRun, results });
+    }
+
+    if (action === 'disconnect') {
+      if (!exchange) {
+        return res.status(400).json({ error: 'Missing parameters', message: 'exchange is required' });
+      }
+      const user = userDoc(db, appId, uid);
+      await user.collection('exchangeCredentials').doc(exchange).delete();
+      await user.collection('exchangeConnections').doc(exchange).delete();
+      return res.status(200).json({ exchange, connected: false });
+    }
+
+    return res.status(400).json({ error: 'Unknown action', message: 'Expected connect, sync or disconnect' });
+  } catch (error: any) {
+    console.error('Exchange sync API error:', error);
+    const requestId = req.headers['x-vercel-id'] || req.headers['x-request-id'] || 'unknown';
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error?.message || 'Unknown error',
+      requestId: String(requestId),
+    });
+  }
+}
@@ -1,10 +1,16 @@
 /**
  * FX API - Fetch exchange rates
  * Uses ExchangeRate-API (free tier, no API key required)
+ *
+ * GET /api/fx?base=EUR&quote=ILS - any pair the provider lists for `base`
+ *
+ * Historical mode: ?from=YYYY-MM-DD[&to=YYYY-MM-DD] returns the daily close for every
+ * trading day in the range, from the Yahoo `<QUOTE>=X` chart (quote units per 1 USD).
  */
 
 import type { VercelRequest, VercelResponse } from '@vercel/node';
 import { fetchReliable, fetchJsonSafe } from './_utils/http';
+import { fetchYahooHistory } from './_utils/yahooHistory';
 
 interface FXResult {
   base: string;
@@ -14,6 +20,56 @@ interface FXResult {
   source: string;
 }
 
+interface FXHistoryResult {
+  base: string;
+  quote: string;
+  from: string;
+  to: string;
+  rates: { date: string; rate: number }[];
+  timestamp: number;
+  source: string;
+}
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Smallest Yahoo range that still covers `from`
+ */
+function rangeCovering(from: string): string {
+  const years = (Date.now() - new Date(`${from}T00:00:00Z`).getTime()) / (365 * DAY_MS);
+  if (years <= 1) return '1y';
+  if (years <= 5) return '5y';
+  if (years <= 10) return '10y';
+  return 'max';
+}
+
+/**
+ * Daily USD→quote rates between two dates (inclusive)
+ */
+async function fetchFxHistory(quote: string, from: string, to: string): Promise<FXHistoryResult | null> {
+  const symbol = `${quote}=X`;
+  const history = await fetchYahooHistory(symbol, rangeCovering(from), '1d', `yahoo:${symbol}`);
+  if (!history || history.points.length === 0) return null;
+
+  // FX bars are stamped at London midnight (23:00 UTC in summer) - shift by half a day
+  // before taking the UTC date so each close lands on its own trading day
+  const rates = history.points
+    .map((p) => ({ date: new Date(p.t + DAY_MS / 2).toISOString().split('T')[0], rate: p.v }))
+    .filter((r) => r.date >= from && r.date <= to);
+
+  return {
+    base: 'USD',
+    quote,
+    from,
+    to,
+    rates,
+    timestamp: Date.now(),
+    source: 'yahoo',
+  };
+}
+
 export default async function handler(
   req: VercelRequest,
   res: VercelResponse
@@ -34,23 +90,57 @@ export default async function handler(
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const base = (req.query.base as string) || 'USD';
-  const quote = (req.query.quote as string) || 'ILS';
+  const base = ((req.query.base as string) || 'USD').toUpperCase();
+  const quote = ((req.query.quote as string) || 'ILS').toUpperCase();
+
+  if (!CURRENCY_CODE.test(base) || !CURRENCY_CODE.test(quote)) {
+    return res.status(400).json({
+      error: 'Invalid currency code',
+      message: 'Use 3-letter ISO codes, e.g. base=EUR&quote=ILS'
+    });
+  }
 
   try {
-    // ExchangeRate-API provides USD as base
-    if (base !== 'USD') {
-      // For non-USD base, we need to convert
-      // This is a simplified version - for production, use a more robust FX API
-      return res.status(400).json({ 
-        error: 'Only USD base currency is supported',
-        message: 'Please use base=USD'
-      });
+    const from = req.query.from as string | undefined;
+    if (from) {
+      // Yahoo history is fetched as <QUOTE>=X, which is always quoted against USD
+      if (base !== 'USD') {
+        return res.status(400).json({
+          error: 'Only USD base currency is supported for history',
+          message: 'Please use base=USD'
+        });
+      }
+
+      const to = (req.query.to as string) || new Date().toISOString().split('T')[0];
+      if (!DATE_KEY.test(from) || !DATE_KEY.test(to) || from > to) {
+        return res.status(400).json({
+          error: 'Invalid date range',
+          message: 'Use from=YYYY-MM-DD and optional to=YYYY-MM-DD (from <= to)'
+        });
+      }
+
+      const history = await fetchFxHistory(quote, from, to);
+      if (!history) {
+        return res.status(404).json({
+          error: `Exchange rate history not found for ${base}/${quote}`
+        });
+      }
+
+      // Past closes never change; the current day is refreshed hourly
+      res.setHeader('Cache-Control', 's-maxage=3600, stale-while-revalidate=86400');
+      return res.status(200).json(history);
     }
 
     const url = `https://api.exchangerate-api.com/v4/latest/${base}`;
     const response = await fetchReliable(url, { timeoutMs: 5000, retries: 2 });
 
+    // Unknown base currency - let the client triangulate via USD
+    if (response.status === 404) {
+      return res.status(404).json({
+        error: `Exchange rate not found for ${base}/${quote}`
+      });
+    }
+
     if (!response.ok) {
       throw new Error(`ExchangeRate API error: ${response.status}`);
     }
@@ -1,22 +1,26 @@
 /**
  * History API - Fetch historical price data for charts
  * Supports crypto (CoinGecko) and stocks/ETFs/indices (Yahoo Finance)
+ *
+ * Optional: ?events=div,split adds the corporate events Yahoo reports for the range
+ * - div:   amount per share, in the quote currency, ex-dividend timestamp
+ * - split: numerator / denominator (2:1 split → 2/1, 1:10 reverse split → 1/10), ex-date timestamp
  */
 
 import type { VercelRequest, VercelResponse } from '@vercel/node';
 import { fetchReliable, fetchJsonSafe, fetchWithCoalescing } from './_utils/http';
+import { fetchYahooHistory } from './_utils/yahooHistory';
+import type { HistoryResult } from './_utils/yahooHistory';
 import { getInstrumentBySecurityId } from './_data/taseInstruments';
 
-interface HistoryPoint {
-  t: number; // timestamp (milliseconds)
-  v: number; // value (price)
-}
+const SUPPORTED_EVENTS = ['div', 'split'];
 
-interface HistoryResult {
-  id: string;
-  points: HistoryPoint[];
-  currency: string;
-  source: 'coingecko' | 'yahoo';
+/**
+ * Parse the `events` query param (comma-separated) into the supported Yahoo event names
+ */
+function parseEvents(raw: unknown): string[] {
+  if (typeof raw !== 'string' || !raw) return [];
+  return raw.split(',').map(e => e.trim()).filter(e => SUPPORTED_EVENTS.includes(e));
 }
 
 /**
@@ -56,34 +60,13 @@ function rangeToDays(range: string): number {
       return 365;
     case '5y':
       return 1825;
+    case '10y':
+      return 3650;
     default:
       return 30;
   }
 }
 
-/**
- * Convert range to Yahoo Finance range parameter
- */
-function rangeToYahooRange(range: string): string {
-  switch (range) {
-    case '1d':
-      return '1d';
-    case '5d':
-      return '5d';
-    case '1mo':
-      return '1mo';
-    case '3mo':
-      return '3mo';
-    case '6mo':
-      return '6mo';
-    case '1y':
-      return '1y';
-    case '5y':
-      return '5y';
-    default:
-      return '1mo';
-  }
-}
 
 /**
  * Fetch crypto history from CoinGecko
@@ -204,109 +187,6 @@ async function fetchBinanceHistory(
   }
 }
 
-/**
- * Fetch stock/ETF/index history from Yahoo Finance
- */
-async function fetchYahooHistory(
-  symbol: string,
-  range: string,
-  interval: string = '1d',
-  originalId?: string
-): Promise<HistoryResult | null> {
-  try {
-    const yahooRange = rangeToYahooRange(range);
-    const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?interval=${interval}&range=${yahooRange}`;
-    
-    // Use coalescing to dedupe identical concurrent requests
-    const coalesceKey = `history:yahoo:${symbol}:${range}:${interval}`;
-    
-    const response = await fetchWithCoalescing(coalesceKey, () =>
-      fetchReliable(url, {
-        timeoutMs: 10000,
-        retries: 2,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-          'Accept': 'application/json',
-          'Accept-Language': 'en-US,en;q=0.9',
-        },
-      })
-    );
-    
-    // Handle upstream failures properly - don't hide auth failures as 404
-    if (!response.ok) {
-      if (response.status === 401 || response.status === 403 || response.status >= 500) {
-        throw new Error(`Upstream Yahoo failure: HTTP ${response.status}`);
-      }
-      // For other errors (404, etc.), return null (will be handled as "History data not found")
-      return null;
-    }
-
-    const data = await fetchJsonSafe(response);
-    
-    // Defensive parsing: ensure chart structure exists
-    if (!data || !data.chart || !Array.isArray(data.chart.result) || data.chart.result.length === 0) {
-      console.warn(`Yahoo history: invalid response structure for ${symbol}`);
-      return null;
-    }
-
-    const chartResult = data.chart.result[0];
-
-    if (!chartResult) {
-      return null;
-    }
-
-    const timestamps = chartResult.timestamp || [];
-    const closes = chartResult.indicators?.quote?.[0]?.close || [];
-    const meta = chartResult.meta || {};
-    const currency = (symbol.endsWith('.TA') ? 'ILS' : (meta.currency || 'USD'));
-
-    // Use originalId if provided (for TASE), otherwise determine from symbol
-    let internalId: string;
-    if (originalId) {
-      internalId = originalId;
-    } else if (symbol.endsWith('.TA') && /^\d+\.TA$/.test(symbol)) {
-      const securityId = symbol.replace('.TA', '');
-      internalId = `tase:${securityId}`;
-    } else {
-      internalId = `yahoo:${symbol}`;
-    }
-
-    const points: HistoryPoint[] = timestamps
-      .map((ts: number, i: number) => ({
-        t: ts * 1000, // Convert to milliseconds
-        v: closes[i] || 0,
-      }))
-      .filter((p: HistoryPoint) => p.v > 0);
-
-    // TASE Agorot → Shekels conversion
-    // Yahoo returns currency "ILA" for Agorot-quoted instruments
-    // We normalize to ILS and divide all points by 100
-    const rawCurrency = meta.currency || '';
-    const isIndex = symbol.startsWith('^');
-    let normalizedCurrency = currency;
-
-    if (rawCurrency === 'ILA' && !isIndex) {
-      // Convert all point values from Agorot to Shekels
-      points.forEach((p) => {
-        p.v = p.v / 100;
-      });
-      normalizedCurrency = 'ILS';
-    } else if (rawCurrency === 'ILA' && isIndex) {
-      normalizedCurrency = 'ILS';
-    }
-
-    return {
-      id: internalId,
-      points,
-      currency: normalizedCurrency,
-      source: 'yahoo',
-    };
-  } catch (error) {
-    console.error(`Yahoo history error for ${symbol}:`, error);
-    // Re-throw to be handled by caller (for proper 502 response on upstream failures)
-    throw error;
-  }
-}
 
 export default async function handler(
   req: VercelRequest,
@@ -334,6 +214,7 @@ export default async function handler(
   const id = req.query.id as string;
   const range = (req.query.range as string) || '1mo';
   const interval = (req.query.interval as string) || '1d';
+  const events = parseEvents(req.query.events);
 
   if (!id) {
     if (isHead) {
@@ -352,7 +233,7 @@ export default async function handler(
       result = await fetchCoinGeckoHistory(symbol, range);
     } else {
       try {
-        result = await fetchYahooHistory(symbol, range, interval, id);
+        result = await fetchYahooHistory(symbol, range, interval, id, events);
       } catch (error: any) {
         // Handle upstream failures (401/403/5xx) - return {id, error} with status 200 (consistent with quote)
         if (error.message && error.message.includes('Upstream Yahoo failure')) {
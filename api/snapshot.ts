@@ -0,0 +1,58 @@
+/**
+ * Portfolio Snapshot API - write today's portfolioSnapshots document for the caller
+ *
+ * POST /api/snapshot
+ * Headers: Authorization: Bearer <Firebase ID token>
+ *
+ * The snapshot is keyed by today's date (Israel time), so repeated calls on the same day are
+ * idempotent. Past days can't be written - they hold the values TWR / XIRR are computed from.
+ */
+
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import { getAdminDb, getAppId, verifyRequestUser } from './_utils/firebaseAdmin';
+import { writeUserSnapshot } from './_utils/snapshots';
+
+export default async function handler(
+  req: VercelRequest,
+  res: VercelResponse
+) {
+  // Ensure JSON content-type for all responses
+  res.setHeader('Content-Type', 'application/json');
+
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const uid = await verifyRequestUser(req);
+    if (!uid) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const snapshot = await writeUserSnapshot(getAdminDb(), getAppId(), uid, { source: 'server' });
+
+    return res.status(200).json({
+      date: snapshot.date,
+      totalValue: snapshot.totalValue,
+      assetsCount: snapshot.assetsCount,
+      fxRate: snapshot.fxRate,
+    });
+  } catch (error: any) {
+    console.error('Snapshot API error:', error);
+    const requestId = req.headers['x-vercel-id'] || req.headers['x-request-id'] || 'unknown';
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error?.message || 'Unknown error',
+      requestId: String(requestId),
+    });
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * Wallet Balances API - public on-chain balances of a self-custody wallet address
+ *
+ * GET /api/wallet-balances?chain=btc|evm|sol|ton&address=<public address>
+ *
+ * Returns the native coin and token balances with their internal price ID (cg:<coinId>),
+ * so the client can keep QUANTITY assets in sync and price them through /api/quote.
+ * Tokens without a known CoinGecko ID come back with apiId null.
+ *
+ * Providers live in _utils/wallets; each one's base URL can be overridden
+ * (BITCOIN_API_URL, EVM_RPC_URL, SOLANA_RPC_URL, TON_API_URL) - see scripts/mock-chain-server.mjs.
+ */
+
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import { getBalanceProvider, getProviderBaseUrl, listBalanceProviders, ChainApiError } from './_utils/wallets';
+
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Content-Type', 'application/json');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const chain = String(req.query.chain || '').toLowerCase();
+  const address = String(req.query.address || '').trim();
+  const provider = getBalanceProvider(chain);
+
+  if (!provider) {
+    return res.status(400).json({
+      error: 'Unknown chain',
+      message: `Expected one of: ${listBalanceProviders().map(p => p.id).join(', ')}`,
+    });
+  }
+  if (!provider.isValidAddress(address)) {
+    return res.status(400).json({ error: 'Invalid address', message: `Not a valid ${provider.label} address` });
+  }
+
+  try {
+    const { balances, warnings } = await provider.fetchBalances(address, getProviderBaseUrl(provider));
+
+    res.setHeader('Cache-Control', 'public, s-maxage=60, stale-while-revalidate=300');
+    return res.status(200).json({
+      chain: provider.id,
+      address,
+      balances: balances.map(b => ({
+        symbol: b.symbol,
+        amount: b.amount,
+        apiId: b.coinId ? `cg:${b.coinId}` : null,
+        contract: b.contract,
+      })),
+      warnings,
+    });
+  } catch (error: any) {
+    console.error(`[WALLET BALANCES] ${chain} ${address} failed:`, error);
+    if (error instanceof ChainApiError) {
+      return res.status(502).json({ error: 'Provider error', message: error.message });
+    }
+    const requestId = req.headers['x-vercel-id'] || req.headers['x-request-id'] || 'unknown';
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error?.message || 'Unknown error',
+      requestId: String(requestId),
+    });
+  }
+}
@@ -62,3 +62,44 @@ self.addEventListener('activate', (event) => {
         })
     );
 });
+
+// Web Push - price and portfolio alerts (sent by /api/alerts-push and the scheduled refresh)
+self.addEventListener('push', (event) => {
+    let data = {};
+    try {
+        data = event.data ? event.data.json() : {};
+    } catch (error) {
+        data = { body: event.data ? event.data.text() : '' };
+    }
+
+    event.waitUntil(
+        self.registration.showNotification(data.title || 'התראה חדשה', {
+            body: data.body || '',
+            icon: '/icon.svg',
+            badge: '/icon.svg',
+            tag: data.tag,
+            dir: 'rtl',
+            lang: 'he',
+            data: { url: data.url || '/alerts' }
+        })
+    );
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = event.notification.data?.url || '/alerts';
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+            .then((clientList) => {
+                // Focus an open tab of the app if there is one
+                for (const client of clientList) {
+                    if ('focus' in client) {
+                        client.navigate(url);
+                        return client.focus();
+                    }
+                }
+                return self.clients.openWindow(url);
+            })
+    );
+});
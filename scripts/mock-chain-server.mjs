@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+// Local stand-in for the on-chain balance providers of /api/wallet-balances
+//
+// Usage:
+//   node scripts/mock-chain-server.mjs            # listens on 4020
+//   BITCOIN_API_URL=http://127.0.0.1:4020 TON_API_URL=http://127.0.0.1:4020 \
+//   EVM_RPC_URL=http://127.0.0.1:4020/evm SOLANA_RPC_URL=http://127.0.0.1:4020/sol vercel dev --listen 3000
+//
+// Any address that passes the route's format check works and gets the same balances.
+
+import { createServer } from 'node:http';
+
+const PORT = Number(process.env.PORT || 4020);
+
+const hex = (units) => `0x${BigInt(units).toString(16)}`;
+
+// ---- EVM (JSON-RPC batch) ----
+const ERC20_BALANCES = {
+  '0xdac17f958d2ee523a2206206994597c13d831ec7': 1500n * 10n ** 6n, // USDT
+  '0x514910771af9ca656af840dff83e8264ecf986ca': 12n * 10n ** 18n, // LINK
+};
+const evm = (call) => {
+  if (call.method === 'eth_getBalance') return hex(125n * 10n ** 16n); // 1.25 ETH
+  if (call.method === 'eth_call') return hex(ERC20_BALANCES[call.params[0].to.toLowerCase()] || 0n);
+  return null;
+};
+
+// ---- Solana (JSON-RPC) ----
+const sol = (call) => {
+  if (call.method === 'getBalance') return { context: { slot: 1 }, value: 4_200_000_000 }; // 4.2 SOL
+  if (call.method === 'getTokenAccountsByOwner') {
+    const account = (mint, uiAmountString) => ({
+      account: { data: { parsed: { info: { mint, tokenAmount: { uiAmountString } } } } },
+    });
+    return {
+      context: { slot: 1 },
+      value: [
+        account('EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', '310.5'), // USDC
+        account('EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', '9.5'),
+        account('So1MockMintXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXX', '1000'), // unmapped
+      ],
+    };
+  }
+  return null;
+};
+
+const rpcResponse = (handler, call) => ({ jsonrpc: '2.0', id: call.id, result: handler(call) });
+
+const readBody = (req) => new Promise((resolve) => {
+  let data = '';
+  req.on('data', (chunk) => { data += chunk; });
+  req.on('end', () => resolve(data ? JSON.parse(data) : null));
+});
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  let status = 200;
+  let payload;
+
+  if (req.method === 'POST' && (url.pathname === '/evm' || url.pathname === '/sol')) {
+    const handler = url.pathname === '/evm' ? evm : sol;
+    const body = await readBody(req);
+    payload = Array.isArray(body) ? body.map((call) => rpcResponse(handler, call)) : rpcResponse(handler, body);
+  } else if (url.pathname.startsWith('/api/address/')) {
+    payload = {
+      chain_stats: { funded_txo_sum: 5_000_000, spent_txo_sum: 1_000_000 },
+      mempool_stats: { funded_txo_sum: 250_000, spent_txo_sum: 0 },
+    }; // 0.0425 BTC
+  } else if (/^\/v2\/accounts\/[^/]+\/jettons$/.test(url.pathname)) {
+    payload = {
+      balances: [
+        { balance: '42000000', jetton: { address: '0:b113a994b5024a16719f69139328eb759596c38a25f59028b146fecdc3621dfe', symbol: 'USD₮', decimals: 6 } },
+        { balance: '5000000000', jetton: { address: '0:0000000000000000000000000000000000000000000000000000000000fa4e', symbol: 'USD₮', decimals: 9 } },
+      ],
+    };
+  } else if (/^\/v2\/accounts\/[^/]+$/.test(url.pathname)) {
+    payload = { balance: 331_500_000_000 }; // 331.5 TON
+  } else {
+    status = 404;
+    payload = { error: `No mock for ${req.method} ${url.pathname}` };
+  }
+
+  res.setHeader('Content-Type', 'application/json');
+  res.writeHead(status).end(JSON.stringify(payload));
+  console.log(`${req.method} ${url.pathname} -> ${status}`);
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock chain APIs on http://127.0.0.1:${PORT}`);
+});
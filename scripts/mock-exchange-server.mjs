@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+// Mock Binance + Bybit API for local runs of /api/exchange-sync
+//
+// Usage:
+//   node scripts/mock-exchange-server.mjs            # listens on 4010
+//   BINANCE_API_URL=http://127.0.0.1:4010 BYBIT_API_URL=http://127.0.0.1:4010 \
+//   EXCHANGE_KEYS_SECRET=dev FIRESTORE_EMULATOR_HOST=127.0.0.1:8080 vercel dev --listen 3000
+//
+// Any key works; signatures are not verified, only that the auth headers are present.
+// MOCK_READ_ONLY=0 makes both exchanges report a trading-enabled key (connect must refuse it).
+
+import { createServer } from 'node:http';
+
+const PORT = Number(process.env.PORT || 4010);
+const READ_ONLY = process.env.MOCK_READ_ONLY !== '0';
+
+const bybit = (result) => ({ retCode: 0, retMsg: 'OK', result, time: Date.now() });
+
+const routes = {
+  // ---- Binance ----
+  '/sapi/v1/account/apiRestrictions': () => ({
+    ipRestrict: false,
+    enableReading: true,
+    enableWithdrawals: false,
+    enableSpotAndMarginTrading: !READ_ONLY,
+    enableFutures: false,
+    enableMargin: false,
+    enableInternalTransfer: false,
+    permitsUniversalTransfer: false,
+  }),
+  '/api/v3/account': () => ({
+    balances: [
+      { asset: 'BTC', free: '0.01500000', locked: '0.00000000' },
+      { asset: 'ETH', free: '0.40000000', locked: '0.10000000' },
+      { asset: 'LDUSDT', free: '250.00000000', locked: '0.00000000' },
+      { asset: 'USDT', free: '120.50000000', locked: '0.00000000' },
+      { asset: 'NOTACOIN', free: '5.00000000', locked: '0.00000000' },
+    ],
+  }),
+  '/sapi/v1/simple-earn/flexible/position': () => ({ rows: [{ asset: 'USDT', totalAmount: '250.00000000' }], total: 1 }),
+  '/sapi/v1/simple-earn/locked/position': () => ({ rows: [{ asset: 'SOL', amount: '3.5' }], total: 1 }),
+  '/sapi/v1/staking/position': () => [{ asset: 'ETH', amount: '0.25' }],
+
+  // ---- Bybit ----
+  '/v5/user/query-api': () => bybit({
+    readOnly: READ_ONLY ? 1 : 0,
+    permissions: READ_ONLY ? {} : { Spot: ['SpotTrade'] },
+  }),
+  '/v5/account/wallet-balance': () => bybit({
+    list: [{ accountType: 'UNIFIED', coin: [{ coin: 'BTC', walletBalance: '0.002' }, { coin: 'TON', walletBalance: '150' }] }],
+  }),
+  '/v5/asset/transfer/query-account-coins-balance': () => bybit({
+    accountType: 'FUND',
+    balance: [{ coin: 'USDC', walletBalance: '80' }],
+  }),
+  '/v5/earn/position': (params) => bybit({
+    list: params.get('category') === 'OnChain'
+      ? [{ coin: 'ETH', amount: '0.05' }]
+      : [{ coin: 'USDT', amount: '40' }],
+  }),
+};
+
+const server = createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const route = routes[url.pathname];
+  const hasAuth = req.headers['x-mbx-apikey'] || (req.headers['x-bapi-api-key'] && req.headers['x-bapi-sign']);
+
+  res.setHeader('Content-Type', 'application/json');
+  if (!route) {
+    res.writeHead(404).end(JSON.stringify({ code: -1, msg: `No mock for ${url.pathname}` }));
+  } else if (!hasAuth) {
+    res.writeHead(401).end(JSON.stringify({ code: -2015, msg: 'Missing API key headers' }));
+  } else {
+    res.writeHead(200).end(JSON.stringify(route(url.searchParams)));
+  }
+  console.log(`${req.method} ${url.pathname} -> ${res.statusCode}`);
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock exchange API on http://127.0.0.1:${PORT} (read-only keys: ${READ_ONLY})`);
+});
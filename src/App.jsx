@@ -5,8 +5,12 @@ import { useAuth } from './hooks/useAuth';
 import { useAssets } from './hooks/useAssets';
 import { useSystemData } from './hooks/useSystemData';
 import { useCurrency } from './hooks/useCurrency';
+import { useSettings } from './hooks/useSettings';
 import { useAIConfig } from './hooks/useAIConfig';
 import { useOnboarding } from './hooks/useOnboarding';
+import { useGoals } from './hooks/useGoals';
+import { useAlerts } from './hooks/useAlerts';
+import { useRebalancingDrift } from './hooks/useRebalancingDrift';
 import { useDemoData, DemoDataProvider } from './contexts/DemoDataContext';
 import { HeaderProvider } from './contexts/HeaderContext';
 import { db, appId } from './services/firebase';
@@ -24,12 +28,21 @@ import ChartBuilder from './pages/ChartBuilder';
 import DynamicDashboard from './pages/DynamicDashboard';
 import UserManagement from './pages/UserManagement';
 import Rebalancing from './pages/Rebalancing';
+import Income from './pages/Income';
+import Liabilities from './pages/Liabilities';
+import Goals from './pages/Goals';
+import Planning from './pages/Planning';
+import Alerts from './pages/Alerts';
+import TaxReport from './pages/TaxReport';
+import ImportWizard from './pages/ImportWizard';
+import PensionImport from './pages/PensionImport';
 import Profile from './pages/Profile';
 import NotFound from './pages/NotFound';
 import TermsOfService from './pages/legal/TermsOfService';
 import PrivacyPolicy from './pages/legal/PrivacyPolicy';
 import OnboardingWizard from './components/OnboardingWizard';
 import CoachmarkTour from './components/CoachmarkTour';
+import { ReportingCurrencyProvider } from './contexts/ReportingCurrencyContext';
 import { DEFAULT_SYSTEM_DATA } from './constants/defaults';
 import { confirmAlert, successAlert, errorAlert } from './utils/alerts';
 import { checkApiHealth } from './services/backendApi';
@@ -38,8 +51,12 @@ function App() {
   const { user, loading: authLoading } = useAuth();
   const { currencyRate, refreshCurrencyRate } = useCurrency(user);
   const { systemData, setSystemData } = useSystemData(user);
-  const { assets, addAsset, updateAsset, deleteAsset, initializeAssets, refreshPrices, pricesLoading, assetsLoading, lastPriceUpdate } = useAssets(user, currencyRate.rate);
+  const { settings } = useSettings(user);
+  const { assets, addAsset, updateAsset, deleteAsset, initializeAssets, refreshPrices, pricesLoading, assetsLoading, lastPriceUpdate, valueCurrency } = useAssets(user, currencyRate.rate, settings.reportingCurrency);
   const { aiConfig } = useAIConfig(user);
+  const { goals } = useGoals(user, assets, valueCurrency, currencyRate.rate);
+  const alerts = useAlerts(user);
+  const { status: driftStatus } = useRebalancingDrift(user, assets, systemData, !assetsLoading && !pricesLoading);
   const {
     hasCompletedOnboarding,
     showCoachmarks,
@@ -105,8 +122,8 @@ function App() {
   // Generate portfolio context string for AI interactions
   // This will be updated inside DemoDataProvider to use demo context if active
   const portfolioContextString = useMemo(() => {
-    return generatePortfolioContext(assets);
-  }, [assets]);
+    return generatePortfolioContext(assets, valueCurrency, goals);
+  }, [assets, valueCurrency, goals]);
 
   // Create user document when user first logs in
   useEffect(() => {
@@ -268,6 +285,9 @@ function App() {
           pricesLoading={pricesLoading}
           assetsLoading={assetsLoading}
           lastPriceUpdate={lastPriceUpdate}
+          valueCurrency={valueCurrency}
+          alerts={alerts}
+          driftStatus={driftStatus}
         />
       </HeaderProvider>
     </DemoDataProvider>
@@ -296,7 +316,10 @@ const AppWithDemo = ({
   refreshPrices,
   pricesLoading,
   assetsLoading,
-  lastPriceUpdate
+  lastPriceUpdate,
+  valueCurrency,
+  alerts,
+  driftStatus
 }) => {
   const { isActive: isDemoActive, addDemoAsset, updateDemoAsset, deleteDemoAsset, updateDemoSystemData, demoSystemData, demoAssets } = useDemoData();
 
@@ -354,14 +377,14 @@ const AppWithDemo = ({
   const displayAssets = isDemoActive && demoAssets.length > 0 ? demoAssets : assets;
 
   return (
-    <>
+    <ReportingCurrencyProvider currency={isDemoActive ? 'ILS' : valueCurrency}>
       {/* Coachmark Tour - shown after onboarding */}
       <CoachmarkTour
         isActive={showCoachmarks}
         onComplete={dismissCoachmarks}
       />
 
-      <Layout totalWealth={totalWealth} currencyRate={currencyRate} user={user}>
+      <Layout totalWealth={totalWealth} currencyRate={currencyRate} user={user} unreadAlerts={isDemoActive ? 0 : alerts.unreadCount} driftStatus={isDemoActive ? null : driftStatus}>
         <ErrorBoundary
           title="שגיאה בטעינת הדף"
           message="אירעה שגיאה בטעינת הדף. אנא נסה לרענן את הדף או לחזור לדף הבית."
@@ -374,7 +397,7 @@ const AppWithDemo = ({
                   title="שגיאה בטעינת הדשבורד"
                   message="אירעה שגיאה בטעינת הדשבורד. חלק מהגרפים עלולים לא להיטען, אך שאר האפליקציה תמשיך לעבוד."
                 >
-                  <Dashboard assets={displayAssets} systemData={displaySystemData} currencyRate={currencyRate} isLoading={pricesLoading || assetsLoading} user={user} />
+                  <Dashboard assets={displayAssets} systemData={displaySystemData} currencyRate={currencyRate} isLoading={pricesLoading || assetsLoading} user={user} driftStatus={isDemoActive ? null : driftStatus} />
                 </ErrorBoundary>
               }
             />
@@ -437,6 +460,37 @@ const AppWithDemo = ({
                 </ErrorBoundary>
               }
             />
+            <Route
+              path="/assets/import"
+              element={
+                <ErrorBoundary
+                  title="שגיאה בטעינת אשף הייבוא"
+                  message="אירעה שגיאה בטעינת אשף הייבוא מדוח ברוקר. אנא נסה לרענן את הדף."
+                >
+                  <ImportWizard
+                    assets={displayAssets}
+                    systemData={displaySystemData}
+                    user={isDemoActive ? null : user}
+                  />
+                </ErrorBoundary>
+              }
+            />
+            <Route
+              path="/assets/import/pension"
+              element={
+                <ErrorBoundary
+                  title="שגיאה בטעינת ייבוא המסלקה"
+                  message="אירעה שגיאה בטעינת הייבוא מהמסלקה הפנסיונית. אנא נסה לרענן את הדף."
+                >
+                  <PensionImport
+                    assets={displayAssets}
+                    systemData={displaySystemData}
+                    setSystemData={handleSetSystemData}
+                    user={isDemoActive ? null : user}
+                  />
+                </ErrorBoundary>
+              }
+            />
             <Route
               path="/assets/edit/:id"
               element={
@@ -450,6 +504,7 @@ const AppWithDemo = ({
                     systemData={displaySystemData}
                     setSystemData={handleSetSystemData}
                     portfolioContext={portfolioContextString}
+                    user={isDemoActive ? null : user}
                   />
                 </ErrorBoundary>
               }
@@ -518,6 +573,95 @@ const AppWithDemo = ({
                 </ErrorBoundary>
               }
             />
+            <Route
+              path="/tax-report"
+              element={
+                <ErrorBoundary
+                  title="שגיאה בטעינת דוח המס"
+                  message="אירעה שגיאה בטעינת דוח רווחי ההון. אנא נסה לרענן את הדף."
+                >
+                  <TaxReport
+                    assets={displayAssets}
+                    user={isDemoActive ? null : user}
+                  />
+                </ErrorBoundary>
+              }
+            />
+            <Route
+              path="/income"
+              element={
+                <ErrorBoundary
+                  title="שגיאה בטעינת דף ההכנסות"
+                  message="אירעה שגיאה בטעינת דף ההכנסות. אנא נסה לרענן את הדף."
+                >
+                  <Income
+                    assets={displayAssets}
+                    user={isDemoActive ? null : user}
+                    currencyRate={currencyRate}
+                  />
+                </ErrorBoundary>
+              }
+            />
+            <Route
+              path="/liabilities"
+              element={
+                <ErrorBoundary
+                  title="שגיאה בטעינת דף ההתחייבויות"
+                  message="אירעה שגיאה בטעינת דף ההתחייבויות. אנא נסה לרענן את הדף."
+                >
+                  <Liabilities
+                    user={isDemoActive ? null : user}
+                    currencyRate={currencyRate}
+                  />
+                </ErrorBoundary>
+              }
+            />
+            <Route
+              path="/goals"
+              element={
+                <ErrorBoundary
+                  title="שגיאה בטעינת דף היעדים"
+                  message="אירעה שגיאה בטעינת דף היעדים. אנא נסה לרענן את הדף."
+                >
+                  <Goals
+                    assets={displayAssets}
+                    user={isDemoActive ? null : user}
+                    currencyRate={currencyRate}
+                  />
+                </ErrorBoundary>
+              }
+            />
+            <Route
+              path="/planning"
+              element={
+                <ErrorBoundary
+                  title="שגיאה בטעינת תכנון הפרישה"
+                  message="אירעה שגיאה בטעינת דף תכנון הפרישה. אנא נסה לרענן את הדף."
+                >
+                  <Planning
+                    assets={displayAssets}
+                    user={isDemoActive ? null : user}
+                  />
+                </ErrorBoundary>
+              }
+            />
+            <Route
+              path="/alerts"
+              element={
+                <ErrorBoundary
+                  title="שגיאה בטעינת ההתראות"
+                  message="אירעה שגיאה בטעינת דף ההתראות. אנא נסה לרענן את הדף."
+                >
+                  <Alerts
+                    assets={displayAssets}
+                    user={isDemoActive ? null : user}
+                    rules={alerts.rules}
+                    history={alerts.history}
+                    loading={alerts.loading}
+                  />
+                </ErrorBoundary>
+              }
+            />
             <Route
               path="/admin/users"
               element={
@@ -557,7 +701,7 @@ const AppWithDemo = ({
           </Routes>
         </ErrorBoundary>
       </Layout>
-    </>
+    </ReportingCurrencyProvider>
   );
 }
 
@@ -1,6 +1,9 @@
 import { useState, useMemo } from 'react';
 import { RotateCcw, Search, AlertCircle, Check, RefreshCw, Loader2 } from 'lucide-react';
 import { confirmAlert, successToast } from '../utils/alerts';
+import { getAssetPosition } from '../services/transactionService';
+import { convertWithMatrix, getCurrencySymbol } from '../services/currency';
+import { useFxMatrix } from '../hooks/useFxMatrix';
 
 /**
  * רכיב לניהול ושחזור עלויות מקוריות של נכסים
@@ -12,26 +15,36 @@ const AssetCostReset = ({ assets, onUpdateAsset, isLoading = false, currencyRate
     const [isRefreshing, setIsRefreshing] = useState(false);
 
     // סנן רק נכסים במצב QUANTITY שיש להם מחיר רכישה מקורי
+    // הפוזיציה נגזרת מיומן התנועות כשקיים, אחרת מהשדות quantity/purchasePrice
     const quantityAssets = useMemo(() => {
-        return assets.filter(asset =>
-            asset.assetMode === 'QUANTITY' &&
-            asset.quantity &&
-            asset.purchasePrice
-        );
+        return assets
+            .filter(asset => asset.assetMode === 'QUANTITY')
+            .map(asset => {
+                const position = getAssetPosition(asset);
+                return {
+                    ...asset,
+                    quantity: position.quantity,
+                    purchasePrice: position.avgCost,
+                    originalValue: position.costBasis
+                };
+            })
+            .filter(asset => asset.quantity && asset.purchasePrice);
     }, [assets]);
 
+    // שערי המרה מכל מטבעות הנכסים (כולל EUR / GBP) - נכס ללא שער מוצג במטבע שלו ומסומן
+    const fx = useFxMatrix(
+        [...quantityAssets.map(asset => asset.currency || 'ILS'), 'USD'],
+        'ILS',
+        currencyRate?.rate
+    );
+
     /**
      * המרת מטבע - helper function (synchronous for display)
+     * @returns {number|null} null כשאין שער המרה
      */
     const convertCurrencySync = (amount, fromCurrency, toCurrency) => {
         if (fromCurrency === toCurrency) return amount;
-        const rate = currencyRate?.rate || 3.65;
-        if (fromCurrency === 'USD' && toCurrency === 'ILS') {
-            return amount * rate;
-        } else if (fromCurrency === 'ILS' && toCurrency === 'USD') {
-            return amount / rate;
-        }
-        return amount;
+        return convertWithMatrix(amount, fromCurrency, fx.rates, toCurrency);
     };
 
     /**
@@ -83,7 +96,10 @@ const AssetCostReset = ({ assets, onUpdateAsset, isLoading = false, currencyRate
             let displayOriginalValue = originalValue;
             let displayProfitLoss = profitLoss;
 
-            if (previewCurrency !== assetCurrency) {
+            // בלי שער המרה - מציגים במטבע הנכס במקום לנחש 1:1
+            const canConvert = convertCurrencySync(1, assetCurrency, previewCurrency) !== null;
+
+            if (previewCurrency !== assetCurrency && canConvert) {
                 displayCurrentPrice = convertCurrencySync(currentPrice, assetCurrency, previewCurrency);
                 displayPurchasePrice = convertCurrencySync(purchasePrice, assetCurrency, previewCurrency);
                 displayValue = convertCurrencySync(value, assetCurrency, previewCurrency);
@@ -98,10 +114,11 @@ const AssetCostReset = ({ assets, onUpdateAsset, isLoading = false, currencyRate
                 displayValue,
                 displayOriginalValue,
                 displayProfitLoss,
-                displayCurrency: previewCurrency
+                displayCurrency: canConvert ? previewCurrency : assetCurrency,
+                fxMissing: !canConvert && !fx.loading
             };
         });
-    }, [filteredAssets, previewCurrency, currencyRate]);
+    }, [filteredAssets, previewCurrency, fx]);
 
     /**
      * שחזר את העלות המקורית של נכס
@@ -120,8 +137,11 @@ const AssetCostReset = ({ assets, onUpdateAsset, isLoading = false, currencyRate
 
         try {
             // עדכן את הנכס - החזר את המחיר הנוכחי למחיר הרכישה המקורי
+            // יומן התנועות נשמר בתת-אוסף נפרד - לא כותבים אותו על מסמך הנכס
+            const assetFields = { ...asset };
+            delete assetFields.transactions;
             await onUpdateAsset(asset.id, {
-                ...asset,
+                ...assetFields,
                 currentPrice: asset.purchasePrice,
                 priceChange24h: 0,
                 profitLoss: 0,
@@ -296,7 +316,7 @@ const AssetCostReset = ({ assets, onUpdateAsset, isLoading = false, currencyRate
                                     const profitLossPercent = asset.profitLossPercent || 0;
                                     const isProfit = profitLoss > 0;
                                     const isLoss = profitLoss < 0;
-                                    const currencySymbol = asset.displayCurrency === 'USD' ? '$' : '₪';
+                                    const currencySymbol = getCurrencySymbol(asset.displayCurrency);
 
                                     return (
                                         <tr key={asset.id} className="hover:bg-slate-50 dark:hover:bg-slate-700/50">
@@ -306,6 +326,11 @@ const AssetCostReset = ({ assets, onUpdateAsset, isLoading = false, currencyRate
                                                     <span className="text-xs text-slate-500 dark:text-slate-400">
                                                         {asset.symbol} • {asset.category}
                                                     </span>
+                                                    {asset.fxMissing && (
+                                                        <span className="text-xs text-amber-600 dark:text-amber-400 flex items-center gap-1">
+                                                            <AlertCircle size={10} /> אין שער המרה ל-{asset.currency} - מוצג במטבע הנכס
+                                                        </span>
+                                                    )}
                                                 </div>
                                             </td>
                                             <td className="px-4 py-3">
@@ -0,0 +1,178 @@
+import { useState, useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer, CartesianGrid } from 'recharts';
+import { LineChart as LineChartIcon, Loader2, AlertCircle } from 'lucide-react';
+import { useBacktestSeries } from '../hooks/useBacktestSeries';
+import {
+  REBALANCE_FREQUENCIES, BACKTEST_RANGES, getModelWeights, getCurrentWeights, getCommonMonths, spansMonths, runBacktest,
+} from '../utils/backtest';
+
+const HEBREW_FONT = "'Assistant', 'Heebo', 'Rubik', sans-serif";
+const SELECT_CLASS = 'mt-1 w-full p-2 rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 text-slate-900 dark:text-white';
+
+const METRICS = [
+  { key: 'cagr', label: 'תשואה שנתית (CAGR)', better: 'high' },
+  { key: 'volatility', label: 'תנודתיות שנתית', better: 'low' },
+  { key: 'maxDrawdown', label: 'ירידה מקסימלית', better: 'high' },
+  { key: 'totalReturn', label: 'תשואה מצטברת', better: 'high' },
+];
+
+const formatMonth = (month) => {
+  const [year, m] = month.split('-');
+  return `${m}/${year.slice(2)}`;
+};
+
+const formatPercent = (value) => `${value > 0 ? '+' : ''}${value.toFixed(1)}%`;
+
+/**
+ * BacktestPanel Component
+ * Simulates a model portfolio with periodic rebalancing against the current priced holdings (see utils/backtest)
+ *
+ * @param {Object} model - { name, sleeves: [{ label, proxy, weight }] }
+ * @param {Array} assets - Valued assets (the current allocation)
+ */
+const BacktestPanel = ({ model, assets }) => {
+  const [range, setRange] = useState('10y');
+  const [frequency, setFrequency] = useState('yearly');
+
+  const modelWeights = useMemo(() => getModelWeights(model), [model]);
+  const current = useMemo(() => getCurrentWeights(assets), [assets]);
+  const ids = useMemo(
+    () => [...Object.keys(modelWeights), ...Object.keys(current.weights)],
+    [modelWeights, current]
+  );
+  const { closes, missing, loading } = useBacktestSeries(ids, range);
+
+  const backtest = useMemo(() => {
+    const modelIds = Object.keys(modelWeights);
+    const months = getCommonMonths(closes, modelIds);
+    if (months.length === 0) return null;
+
+    // Holdings whose history doesn't span the model's months are left out of the comparison
+    const currentTotal = Object.values(current.weights).reduce((sum, value) => sum + value, 0);
+    const currentWeights = Object.fromEntries(Object.entries(current.weights)
+      .filter(([id]) => spansMonths(closes[id], months)));
+    const usedTotal = Object.values(currentWeights).reduce((sum, value) => sum + value, 0);
+
+    return {
+      months,
+      model: runBacktest(closes, modelWeights, months, frequency),
+      current: runBacktest(closes, currentWeights, months, frequency),
+      coverage: currentTotal > 0 ? (current.coverage * usedTotal) / currentTotal : 0,
+    };
+  }, [closes, modelWeights, current, frequency]);
+
+  const chartData = useMemo(() => (backtest?.model ? backtest.months.map((month, i) => ({
+    month,
+    model: backtest.model.values[i],
+    current: backtest.current?.values[i],
+  })) : []), [backtest]);
+
+  const missingProxies = missing.filter(id => modelWeights[id]);
+
+  return (
+    <section className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-slate-200 dark:border-slate-700 p-4 md:p-6 space-y-4">
+      <div className="flex items-center gap-3">
+        <LineChartIcon className="text-emerald-600 dark:text-emerald-400" size={20} />
+        <div>
+          <h3 className="text-lg font-bold text-slate-900 dark:text-white">בקטסט - {model.name}</h3>
+          <p className="text-xs text-slate-500 dark:text-slate-400">
+            סימולציה על מחירי סוף חודש של נכסי הייצוג, מול ההחזקות הנוכחיות. ללא עמלות, מסים והמרות מטבע.
+          </p>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm">
+        <label className="text-slate-600 dark:text-slate-300">
+          תקופה
+          <select value={range} onChange={(e) => setRange(e.target.value)} className={SELECT_CLASS}>
+            {Object.entries(BACKTEST_RANGES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+        </label>
+        <label className="text-slate-600 dark:text-slate-300">
+          תדירות איזון
+          <select value={frequency} onChange={(e) => setFrequency(e.target.value)} className={SELECT_CLASS}>
+            {Object.entries(REBALANCE_FREQUENCIES).map(([key, f]) => <option key={key} value={key}>{f.label}</option>)}
+          </select>
+        </label>
+      </div>
+
+      {missingProxies.length > 0 && (
+        <div className="flex items-start gap-2 p-3 rounded-xl bg-amber-50 dark:bg-amber-900/20 text-xs text-amber-700 dark:text-amber-400">
+          <AlertCircle size={14} className="mt-0.5 shrink-0" />
+          <span>אין היסטוריית מחירים עבור: {missingProxies.join(', ')}</span>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex items-center justify-center gap-2 py-12 text-sm text-slate-500 dark:text-slate-400">
+          <Loader2 size={16} className="animate-spin" />
+          טוען היסטוריית מחירים...
+        </div>
+      ) : !backtest?.model ? (
+        <p className="text-center py-12 text-sm text-slate-400 dark:text-slate-500">
+          אין מספיק היסטוריה משותפת לכל נכסי הייצוג של המודל (נדרשת לפחות שנה)
+        </p>
+      ) : (
+        <>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b-2 border-slate-200 dark:border-slate-700 text-slate-700 dark:text-slate-300">
+                  <th className="text-right py-2 px-3 font-bold">מדד</th>
+                  <th className="text-center py-2 px-3 font-bold">{model.name}</th>
+                  <th className="text-center py-2 px-3 font-bold">התיק הנוכחי</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100 dark:divide-slate-700">
+                {METRICS.map(metric => {
+                  const modelValue = backtest.model[metric.key];
+                  const currentValue = backtest.current?.[metric.key];
+                  const modelWins = currentValue !== undefined
+                    && (metric.better === 'high' ? modelValue > currentValue : modelValue < currentValue);
+                  return (
+                    <tr key={metric.key}>
+                      <td className="py-2 px-3 text-slate-700 dark:text-slate-300">{metric.label}</td>
+                      <td className={`py-2 px-3 text-center font-bold ${modelWins ? 'text-emerald-600 dark:text-emerald-400' : 'text-slate-900 dark:text-white'}`}>
+                        {metric.key === 'volatility' ? `${modelValue.toFixed(1)}%` : formatPercent(modelValue)}
+                      </td>
+                      <td className="py-2 px-3 text-center font-bold text-slate-900 dark:text-white">
+                        {currentValue === undefined ? '—' : metric.key === 'volatility' ? `${currentValue.toFixed(1)}%` : formatPercent(currentValue)}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="h-72" dir="ltr">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={chartData} margin={{ top: 8, right: 8, left: 0, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+                <XAxis dataKey="month" tickFormatter={formatMonth} tick={{ fontSize: 11, fontFamily: HEBREW_FONT }} minTickGap={24} />
+                <YAxis tick={{ fontSize: 11, fontFamily: HEBREW_FONT }} width={40} domain={['auto', 'auto']} />
+                <Tooltip
+                  labelFormatter={formatMonth}
+                  formatter={(value, name) => [value.toFixed(1), name]}
+                  contentStyle={{ fontFamily: HEBREW_FONT, direction: 'rtl' }}
+                />
+                <Legend wrapperStyle={{ fontFamily: HEBREW_FONT, fontSize: 12 }} />
+                <Line type="monotone" dataKey="model" name={model.name} stroke="#10B981" strokeWidth={2} dot={false} />
+                {backtest.current && (
+                  <Line type="monotone" dataKey="current" name="התיק הנוכחי" stroke="#3B82F6" strokeWidth={2} dot={false} />
+                )}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          <p className="text-xs text-slate-500 dark:text-slate-400">
+            {formatMonth(backtest.months[0])} - {formatMonth(backtest.months[backtest.months.length - 1])} · צמיחה של 100 ·
+            {' '}התיק הנוכחי מיוצג ע&quot;י {backtest.coverage.toFixed(0)}% משוויו (החזקות עם מחיר שוק והיסטוריה מלאה לתקופה)
+          </p>
+        </>
+      )}
+    </section>
+  );
+};
+
+export default BacktestPanel;
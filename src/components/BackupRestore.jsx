@@ -0,0 +1,268 @@
+import { useState, useMemo } from 'react';
+import { Download, Upload, Loader2, AlertCircle, CheckCircle, FileJson } from 'lucide-react';
+import { confirmAlert, successToast, errorAlert } from '../utils/alerts';
+import { downloadBlob } from '../utils/exportFile';
+import {
+    BACKUP_COLLECTIONS,
+    RESTORE_MODES,
+    exportUserData,
+    countBackupDocuments,
+    validateBackup,
+    diffBackup,
+    restoreUserData
+} from '../services/backupService';
+
+// תווית בעברית לנתיב אוסף ('assets' / 'assets/transactions')
+const getPathLabel = (path) => {
+    const [name, sub] = path.split('/');
+    const schema = BACKUP_COLLECTIONS[name];
+    if (!schema) return path;
+    return sub ? `${schema.label} › ${schema.subcollections?.[sub]?.label || sub}` : schema.label;
+};
+
+/**
+ * גיבוי מלא של החשבון לקובץ JSON ושחזור ממנו (מיזוג / החלפה) עם תצוגה מקדימה של השינויים
+ */
+const BackupRestore = ({ user }) => {
+    const [includeSecrets, setIncludeSecrets] = useState(false);
+    const [isExporting, setIsExporting] = useState(false);
+    const [isAnalyzing, setIsAnalyzing] = useState(false);
+    const [isRestoring, setIsRestoring] = useState(false);
+    const [fileName, setFileName] = useState('');
+    const [backup, setBackup] = useState(null);
+    const [current, setCurrent] = useState(null);
+    const [errors, setErrors] = useState([]);
+    const [mode, setMode] = useState('merge');
+
+    // dry run - מחושב מחדש בכל החלפת מצב שחזור
+    const diff = useMemo(() => (backup && current ? diffBackup(backup, current, mode) : null), [backup, current, mode]);
+
+    const totals = useMemo(() => {
+        if (!diff) return null;
+        return Object.values(diff).reduce((acc, bucket) => ({
+            create: acc.create + bucket.create.length,
+            update: acc.update + bucket.update.length,
+            unchanged: acc.unchanged + bucket.unchanged.length,
+            delete: acc.delete + bucket.delete.length
+        }), { create: 0, update: 0, unchanged: 0, delete: 0 });
+    }, [diff]);
+
+    const resetRestore = () => {
+        setBackup(null);
+        setCurrent(null);
+        setErrors([]);
+        setFileName('');
+    };
+
+    const handleExport = async () => {
+        setIsExporting(true);
+        try {
+            const data = await exportUserData(user, { includeSecrets });
+            const date = new Date().toISOString().slice(0, 10);
+            downloadBlob(`my-wealth-backup-${date}.json`, new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+            const count = Object.values(countBackupDocuments(data)).reduce((sum, n) => sum + n, 0);
+            successToast(`הגיבוי הורד (${count} מסמכים)`);
+        } catch (error) {
+            console.error('Error exporting backup:', error);
+            errorAlert('שגיאה', 'אירעה שגיאה ביצירת הגיבוי');
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    const handleFile = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        resetRestore();
+        setFileName(file.name);
+        setIsAnalyzing(true);
+        try {
+            let parsed;
+            try {
+                parsed = JSON.parse(await file.text());
+            } catch {
+                setErrors(['הקובץ אינו JSON תקין']);
+                return;
+            }
+
+            const validation = validateBackup(parsed);
+            if (!validation.valid) {
+                setErrors(validation.errors);
+                return;
+            }
+
+            setCurrent(await exportUserData(user));
+            setBackup(parsed);
+        } catch (error) {
+            console.error('Error analyzing backup:', error);
+            setErrors([`שגיאה בקריאת הנתונים הקיימים: ${error.message}`]);
+        } finally {
+            setIsAnalyzing(false);
+        }
+    };
+
+    const handleRestore = async () => {
+        if (!backup || !current) return;
+
+        const text = mode === 'replace' && totals.delete > 0
+            ? `${totals.create + totals.update} מסמכים ייכתבו ו-${totals.delete} מסמכים יימחקו לצמיתות. להמשיך?`
+            : `${totals.create + totals.update} מסמכים ייכתבו לחשבון. להמשיך?`;
+        const confirmed = await confirmAlert('שחזור מגיבוי', text, 'warning', mode === 'replace' && totals.delete > 0);
+        if (!confirmed) return;
+
+        setIsRestoring(true);
+        try {
+            const result = await restoreUserData(user, backup, current, mode);
+            successToast(`השחזור הושלם: ${result.written} נכתבו, ${result.deleted} נמחקו`, 3000);
+            resetRestore();
+        } catch (error) {
+            console.error('Error restoring backup:', error);
+            errorAlert('שגיאה', `השחזור נכשל באמצע - מומלץ להריץ אותו שוב מאותו קובץ. ${error.message}`);
+        } finally {
+            setIsRestoring(false);
+        }
+    };
+
+    if (!user) {
+        return (
+            <div className="text-sm text-slate-500 dark:text-slate-400">
+                גיבוי ושחזור זמינים רק למשתמש מחובר (לא במצב דמו).
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            {/* Export */}
+            <div className="space-y-3">
+                <h4 className="text-sm font-semibold text-slate-700 dark:text-slate-200">ייצוא גיבוי</h4>
+                <p className="text-sm text-slate-500 dark:text-slate-400">
+                    כל הנכסים, התנועות, ההכנסות, הפעולות התאגידיות, תמונות המצב, הגרפים, הדוחות, השיחות וההגדרות - בקובץ JSON אחד.
+                </p>
+                <label className="flex items-center gap-2 text-sm text-slate-600 dark:text-slate-300">
+                    <input
+                        type="checkbox"
+                        checked={includeSecrets}
+                        onChange={(e) => setIncludeSecrets(e.target.checked)}
+                        className="rounded border-slate-300 text-emerald-600 focus:ring-emerald-500"
+                    />
+                    כלול מפתחות API בקובץ (שמור את הקובץ במקום בטוח)
+                </label>
+                <button
+                    onClick={handleExport}
+                    disabled={isExporting}
+                    className="flex items-center gap-2 px-4 py-2 bg-emerald-600 hover:bg-emerald-700 disabled:opacity-50 text-white rounded-lg text-sm font-medium transition-colors"
+                >
+                    {isExporting ? <Loader2 size={16} className="animate-spin" /> : <Download size={16} />}
+                    הורד גיבוי
+                </button>
+            </div>
+
+            <div className="border-t border-slate-100 dark:border-slate-700" />
+
+            {/* Restore */}
+            <div className="space-y-3">
+                <h4 className="text-sm font-semibold text-slate-700 dark:text-slate-200">שחזור מגיבוי</h4>
+                <label className={`inline-flex items-center gap-2 px-4 py-2 border border-slate-300 dark:border-slate-600 rounded-lg text-sm font-medium text-slate-700 dark:text-slate-200 hover:bg-slate-50 dark:hover:bg-slate-700 transition-colors cursor-pointer ${isAnalyzing || isRestoring ? 'opacity-50 pointer-events-none' : ''}`}>
+                    {isAnalyzing ? <Loader2 size={16} className="animate-spin" /> : <Upload size={16} />}
+                    בחר קובץ גיבוי
+                    <input type="file" accept=".json,application/json" onChange={handleFile} className="hidden" />
+                </label>
+                {fileName && (
+                    <div className="flex items-center gap-2 text-sm text-slate-500 dark:text-slate-400">
+                        <FileJson size={16} />
+                        <span dir="ltr">{fileName}</span>
+                        {backup?.exportedAt && <span>· נוצר {new Date(backup.exportedAt).toLocaleString('he-IL')}</span>}
+                    </div>
+                )}
+
+                {errors.length > 0 && (
+                    <div className="p-3 rounded-lg bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800">
+                        <div className="flex items-center gap-2 text-sm font-medium text-red-700 dark:text-red-300 mb-2">
+                            <AlertCircle size={16} />
+                            הקובץ אינו גיבוי תקין
+                        </div>
+                        <ul className="text-xs text-red-600 dark:text-red-300 space-y-1 max-h-40 overflow-y-auto" dir="ltr">
+                            {errors.slice(0, 50).map((error, i) => <li key={i}>{error}</li>)}
+                            {errors.length > 50 && <li>… {errors.length - 50} more</li>}
+                        </ul>
+                    </div>
+                )}
+
+                {diff && (
+                    <>
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                            {Object.entries(RESTORE_MODES).map(([key, option]) => (
+                                <button
+                                    key={key}
+                                    onClick={() => setMode(key)}
+                                    className={`p-3 rounded-lg border text-right transition-colors ${mode === key
+                                        ? 'border-emerald-500 bg-emerald-50 dark:bg-emerald-900/20'
+                                        : 'border-slate-200 dark:border-slate-700 hover:bg-slate-50 dark:hover:bg-slate-700/50'
+                                        }`}
+                                >
+                                    <div className="text-sm font-medium text-slate-700 dark:text-slate-200">{option.label}</div>
+                                    <div className="text-xs text-slate-500 dark:text-slate-400 mt-0.5">{option.description}</div>
+                                </button>
+                            ))}
+                        </div>
+
+                        <div className="overflow-x-auto">
+                            <table className="w-full text-sm">
+                                <thead>
+                                    <tr className="text-xs text-slate-500 dark:text-slate-400 border-b border-slate-200 dark:border-slate-700">
+                                        <th className="text-right py-2 font-medium">אוסף</th>
+                                        <th className="text-center py-2 font-medium">חדש</th>
+                                        <th className="text-center py-2 font-medium">עדכון</th>
+                                        <th className="text-center py-2 font-medium">ללא שינוי</th>
+                                        <th className="text-center py-2 font-medium">מחיקה</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {Object.entries(diff).map(([path, bucket]) => (
+                                        <tr key={path} className="border-b border-slate-100 dark:border-slate-700/50 text-slate-700 dark:text-slate-200">
+                                            <td className="py-2">{getPathLabel(path)}</td>
+                                            <td className="text-center py-2 text-emerald-600 dark:text-emerald-400">{bucket.create.length || '-'}</td>
+                                            <td className="text-center py-2 text-blue-600 dark:text-blue-400">{bucket.update.length || '-'}</td>
+                                            <td className="text-center py-2 text-slate-400">{bucket.unchanged.length || '-'}</td>
+                                            <td className="text-center py-2 text-red-600 dark:text-red-400">{bucket.delete.length || '-'}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        {totals.create + totals.update + totals.delete === 0 ? (
+                            <div className="flex items-center gap-2 text-sm text-emerald-600 dark:text-emerald-400">
+                                <CheckCircle size={16} />
+                                החשבון כבר זהה לגיבוי - אין מה לשחזר
+                            </div>
+                        ) : (
+                            <div className="flex gap-2">
+                                <button
+                                    onClick={handleRestore}
+                                    disabled={isRestoring}
+                                    className={`flex items-center gap-2 px-4 py-2 disabled:opacity-50 text-white rounded-lg text-sm font-medium transition-colors ${mode === 'replace' ? 'bg-red-600 hover:bg-red-700' : 'bg-emerald-600 hover:bg-emerald-700'}`}
+                                >
+                                    {isRestoring && <Loader2 size={16} className="animate-spin" />}
+                                    {mode === 'replace' ? 'החלף נתונים' : 'מזג נתונים'}
+                                </button>
+                                <button
+                                    onClick={resetRestore}
+                                    disabled={isRestoring}
+                                    className="px-4 py-2 text-sm text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-700 rounded-lg transition-colors"
+                                >
+                                    ביטול
+                                </button>
+                            </div>
+                        )}
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default BackupRestore;
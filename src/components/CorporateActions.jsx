@@ -0,0 +1,338 @@
+import { useState, useEffect } from 'react';
+import { Loader2, AlertCircle, Search, Check, GitMerge } from 'lucide-react';
+import { confirmAlert, successToast, errorAlert, infoAlert } from '../utils/alerts';
+import {
+    CORPORATE_ACTION_TYPES,
+    subscribeToCorporateActions,
+    applyCorporateAction,
+    detectSplits,
+    getActionRatio
+} from '../services/corporateActionService';
+
+const emptyAction = () => ({
+    type: 'split',
+    date: new Date().toISOString().split('T')[0],
+    numerator: '2',
+    denominator: '1',
+    newSymbol: '',
+    newName: '',
+    finalPrice: '',
+    note: ''
+});
+
+const inputClass = 'w-full p-2 border border-slate-200 dark:border-slate-600 rounded-lg bg-white dark:bg-slate-700 text-slate-900 dark:text-slate-100 text-sm';
+
+/**
+ * פעולות תאגידיות של נכס - פיצול, איחוד, שינוי סימול, מיזוג ומחיקה מהמסחר.
+ * כל פעולה מתאימה את הכמות ועלות היחידה (העלות הכוללת לא משתנה) ונרשמת ביומן ביקורת.
+ */
+const CorporateActions = ({ user, asset }) => {
+    const [actions, setActions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [detecting, setDetecting] = useState(false);
+    const [detected, setDetected] = useState(null);
+    const [draft, setDraft] = useState(emptyAction);
+
+    const typeInfo = CORPORATE_ACTION_TYPES[draft.type];
+
+    useEffect(() => {
+        if (!user || !asset?.id) {
+            setLoading(false);
+            return;
+        }
+        setLoading(true);
+        const unsubscribe = subscribeToCorporateActions(user, (items) => {
+            setActions(items);
+            setLoading(false);
+        }, asset.id);
+        return () => unsubscribe();
+    }, [user, asset?.id]);
+
+    const formatNumber = (num, digits = 4) =>
+        Number(num || 0).toLocaleString('he-IL', { maximumFractionDigits: digits });
+
+    const describeAction = (action) => {
+        const parts = [];
+        if (action.ratio) parts.push(`${formatNumber(action.numerator)}:${formatNumber(action.denominator)}`);
+        if (action.newSymbol) parts.push(`${action.before?.symbol || '—'} → ${action.newSymbol}`);
+        if (action.finalPrice) parts.push(`מחיר סופי ${formatNumber(action.finalPrice)}`);
+        return parts.join(' · ') || '—';
+    };
+
+    const apply = async (action) => {
+        const ratio = getActionRatio(action);
+        const label = CORPORATE_ACTION_TYPES[action.type].label;
+        const details = ratio
+            ? `הכמות תוכפל ב-${formatNumber(ratio, 6)} (${formatNumber(asset.quantity, 6)} ← ${formatNumber((Number(asset.quantity) || 0) * ratio, 6)}) ועלות היחידה תחולק בהתאם.`
+            : 'פרטי הנכס יעודכנו.';
+
+        const confirmed = await confirmAlert(`${label} - ${action.date}`, details, 'question');
+        if (!confirmed) return false;
+
+        setSaving(true);
+        try {
+            await applyCorporateAction(user, asset, action);
+            await successToast('הפעולה נרשמה', 1500);
+            return true;
+        } catch (error) {
+            console.error('Error applying corporate action:', error);
+            await errorAlert('שגיאה', `אירעה שגיאה ברישום הפעולה: ${error.message}`);
+            return false;
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (typeInfo.hasRatio && !getActionRatio(draft)) {
+            await errorAlert('שגיאה', 'יש להזין יחס תקין');
+            return;
+        }
+        if (typeInfo.hasSymbol && !draft.newSymbol.trim()) {
+            await errorAlert('שגיאה', 'יש להזין את הסימול החדש');
+            return;
+        }
+        if (await apply(draft)) setDraft(emptyAction());
+    };
+
+    const handleDetect = async () => {
+        setDetecting(true);
+        try {
+            const splits = await detectSplits(asset, actions);
+            setDetected(splits);
+            if (splits.length === 0) {
+                await infoAlert('לא נמצאו פיצולים', 'לא נמצאו פיצולים שלא נרשמו מאז תאריך הרכישה.');
+            }
+        } catch (error) {
+            console.error('Error detecting splits:', error);
+            await errorAlert('שגיאה', `אירעה שגיאה בבדיקת הפיצולים: ${error.message}`);
+        } finally {
+            setDetecting(false);
+        }
+    };
+
+    const handleApplyDetected = async (split) => {
+        if (await apply({ ...split, source: 'yahoo' })) {
+            setDetected(prev => prev.filter(s => s.date !== split.date));
+        }
+    };
+
+    if (!user) {
+        return (
+            <div className="flex items-center gap-3 p-4 text-slate-500 dark:text-slate-400">
+                <AlertCircle size={20} />
+                <p>פעולות תאגידיות זמינות רק למשתמש מחובר (לא במצב דמו).</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            {/* Split detection */}
+            <div className="flex flex-wrap items-center justify-between gap-3">
+                <p className="text-sm text-slate-600 dark:text-slate-400">
+                    פיצולים מ-30 הימים האחרונים מעודכנים אוטומטית. פיצולים ישנים יותר מוצגים כאן לאישור.
+                </p>
+                <button
+                    type="button"
+                    onClick={handleDetect}
+                    disabled={detecting || asset.apiId?.startsWith('cg:')}
+                    className="flex items-center gap-2 px-4 py-2 text-sm font-medium bg-slate-100 dark:bg-slate-700 hover:bg-slate-200 dark:hover:bg-slate-600 text-slate-700 dark:text-slate-200 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    {detecting ? <Loader2 size={16} className="animate-spin" /> : <Search size={16} />}
+                    בדוק פיצולים ב-Yahoo
+                </button>
+            </div>
+
+            {detected?.length > 0 && (
+                <div className="space-y-2 p-4 bg-amber-50 dark:bg-amber-900/20 rounded-lg border border-amber-200 dark:border-amber-800">
+                    <p className="text-xs font-semibold text-amber-700 dark:text-amber-300">
+                        פיצולים שלא נרשמו - אשר רק אם הכמות שהוזנה היא מלפני הפיצול
+                    </p>
+                    {detected.map(split => (
+                        <div key={split.date} className="flex items-center gap-3 text-sm">
+                            <span className="font-mono text-slate-600 dark:text-slate-300 w-24">{split.date}</span>
+                            <span className="flex-1 text-slate-700 dark:text-slate-200">
+                                {CORPORATE_ACTION_TYPES[split.type].label} {formatNumber(split.numerator)}:{formatNumber(split.denominator)}
+                            </span>
+                            <button
+                                type="button"
+                                onClick={() => handleApplyDetected(split)}
+                                disabled={saving}
+                                className="flex items-center gap-1 px-3 py-1.5 text-xs font-medium bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg transition-colors disabled:opacity-50"
+                            >
+                                <Check size={14} />
+                                החל
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {/* Manual action */}
+            <form onSubmit={handleSubmit} className="grid grid-cols-2 md:grid-cols-6 gap-3 items-end p-4 bg-slate-50 dark:bg-slate-900/50 rounded-lg border border-slate-200 dark:border-slate-700">
+                <div className="col-span-2">
+                    <label className="block text-xs font-semibold text-slate-600 dark:text-slate-400 mb-1">פעולה</label>
+                    <select
+                        value={draft.type}
+                        onChange={e => {
+                            const type = e.target.value;
+                            setDraft({
+                                ...draft,
+                                type,
+                                numerator: type === 'reverse_split' ? '1' : type === 'split' ? '2' : '1',
+                                denominator: type === 'reverse_split' ? '10' : '1'
+                            });
+                        }}
+                        className={inputClass}
+                    >
+                        {Object.entries(CORPORATE_ACTION_TYPES).map(([key, { label }]) => (
+                            <option key={key} value={key}>{label}</option>
+                        ))}
+                    </select>
+                </div>
+                <div className="col-span-2 md:col-span-1">
+                    <label className="block text-xs font-semibold text-slate-600 dark:text-slate-400 mb-1">תאריך</label>
+                    <input
+                        type="date"
+                        required
+                        value={draft.date}
+                        onChange={e => setDraft({ ...draft, date: e.target.value })}
+                        className={inputClass}
+                    />
+                </div>
+                {typeInfo.hasRatio && (
+                    <>
+                        <div>
+                            <label className="block text-xs font-semibold text-slate-600 dark:text-slate-400 mb-1">יחידות חדשות</label>
+                            <input
+                                type="number"
+                                step="any"
+                                min="0"
+                                value={draft.numerator}
+                                onChange={e => setDraft({ ...draft, numerator: e.target.value })}
+                                className={`${inputClass} font-mono`}
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-xs font-semibold text-slate-600 dark:text-slate-400 mb-1">לכל יחידות קיימות</label>
+                            <input
+                                type="number"
+                                step="any"
+                                min="0"
+                                value={draft.denominator}
+                                onChange={e => setDraft({ ...draft, denominator: e.target.value })}
+                                className={`${inputClass} font-mono`}
+                            />
+                        </div>
+                    </>
+                )}
+                {typeInfo.hasSymbol && (
+                    <>
+                        <div>
+                            <label className="block text-xs font-semibold text-slate-600 dark:text-slate-400 mb-1">סימול חדש</label>
+                            <input
+                                type="text"
+                                value={draft.newSymbol}
+                                onChange={e => setDraft({ ...draft, newSymbol: e.target.value })}
+                                className={`${inputClass} font-mono`}
+                                dir="ltr"
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-xs font-semibold text-slate-600 dark:text-slate-400 mb-1">שם חדש (אופציונלי)</label>
+                            <input
+                                type="text"
+                                value={draft.newName}
+                                onChange={e => setDraft({ ...draft, newName: e.target.value })}
+                                className={inputClass}
+                            />
+                        </div>
+                    </>
+                )}
+                {draft.type === 'delisting' && (
+                    <div>
+                        <label className="block text-xs font-semibold text-slate-600 dark:text-slate-400 mb-1">מחיר סופי (אופציונלי)</label>
+                        <input
+                            type="number"
+                            step="any"
+                            min="0"
+                            value={draft.finalPrice}
+                            onChange={e => setDraft({ ...draft, finalPrice: e.target.value })}
+                            className={`${inputClass} font-mono`}
+                        />
+                    </div>
+                )}
+                <button
+                    type="submit"
+                    disabled={saving}
+                    className="flex items-center justify-center gap-2 px-4 py-2 text-sm font-medium bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    {saving ? <Loader2 size={16} className="animate-spin" /> : <GitMerge size={16} />}
+                    רשום
+                </button>
+                <div className="col-span-2 md:col-span-6">
+                    <input
+                        type="text"
+                        value={draft.note}
+                        onChange={e => setDraft({ ...draft, note: e.target.value })}
+                        placeholder="הערה (אופציונלי)"
+                        className={inputClass}
+                    />
+                </div>
+            </form>
+
+            {/* Audit log */}
+            <div className="bg-white dark:bg-slate-800 rounded-lg border border-slate-200 dark:border-slate-700 overflow-hidden">
+                <div className="overflow-x-auto">
+                    <table className="w-full">
+                        <thead className="bg-slate-50 dark:bg-slate-900/50 border-b border-slate-200 dark:border-slate-700">
+                            <tr>
+                                <th className="px-4 py-3 text-right text-sm font-semibold text-slate-700 dark:text-slate-300">תאריך</th>
+                                <th className="px-4 py-3 text-right text-sm font-semibold text-slate-700 dark:text-slate-300">פעולה</th>
+                                <th className="px-4 py-3 text-right text-sm font-semibold text-slate-700 dark:text-slate-300">פרטים</th>
+                                <th className="px-4 py-3 text-right text-sm font-semibold text-slate-700 dark:text-slate-300">כמות לפני ← אחרי</th>
+                                <th className="px-4 py-3 text-right text-sm font-semibold text-slate-700 dark:text-slate-300">מקור</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-slate-200 dark:divide-slate-700">
+                            {loading ? (
+                                <tr>
+                                    <td colSpan="5" className="px-4 py-8 text-center">
+                                        <Loader2 size={20} className="animate-spin inline text-slate-400" />
+                                    </td>
+                                </tr>
+                            ) : actions.length === 0 ? (
+                                <tr>
+                                    <td colSpan="5" className="px-4 py-8 text-center text-sm text-slate-500 dark:text-slate-400">
+                                        לא נרשמו פעולות תאגידיות לנכס זה
+                                    </td>
+                                </tr>
+                            ) : (
+                                actions.map(action => (
+                                    <tr key={action.id} className="hover:bg-slate-50 dark:hover:bg-slate-700/50">
+                                        <td className="px-4 py-3 text-sm font-mono text-slate-600 dark:text-slate-300">{action.date}</td>
+                                        <td className="px-4 py-3 text-sm text-slate-700 dark:text-slate-200">
+                                            {CORPORATE_ACTION_TYPES[action.type]?.label || action.type}
+                                        </td>
+                                        <td className="px-4 py-3 text-sm font-mono text-slate-600 dark:text-slate-300" dir="ltr">{describeAction(action)}</td>
+                                        <td className="px-4 py-3 text-sm font-mono text-slate-600 dark:text-slate-300">
+                                            {formatNumber(action.before?.quantity, 6)} ← {formatNumber(action.after?.quantity, 6)}
+                                        </td>
+                                        <td className="px-4 py-3 text-xs text-slate-500 dark:text-slate-400">
+                                            {action.source === 'yahoo' ? 'Yahoo (אוטומטי)' : 'ידני'}
+                                        </td>
+                                    </tr>
+                                ))
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default CorporateActions;
@@ -4,15 +4,17 @@
  * Proper Hebrew text direction and currency/percentage formatting
  */
 
+import { useReportingCurrency } from '../contexts/reportingCurrency';
+
 // Hebrew font stack
 const HEBREW_FONT = "'Assistant', 'Heebo', 'Rubik', sans-serif";
 
 // Format currency for Hebrew locale with proper spacing
-const formatCurrency = (value) => {
+const formatCurrency = (value, currency = 'ILS') => {
   if (typeof value !== 'number' || isNaN(value)) return '—';
   return new Intl.NumberFormat('he-IL', {
     style: 'currency',
-    currency: 'ILS',
+    currency,
     minimumFractionDigits: 0,
     maximumFractionDigits: 0,
   }).format(value);
@@ -26,6 +28,7 @@ const formatPercentage = (value, total) => {
 };
 
 const CustomTooltip = ({ active, payload, label, totalValue, showPercentage = false }) => {
+  const currency = useReportingCurrency();
   if (!active || !payload || !payload.length) {
     return null;
   }
@@ -130,7 +133,7 @@ const CustomTooltip = ({ active, payload, label, totalValue, showPercentage = fa
             fontFamily: 'system-ui, sans-serif',
           }}
         >
-          {formatCurrency(value)}
+          {formatCurrency(value, currency)}
         </span>
       </div>
 
@@ -3,15 +3,17 @@
  * Clean, minimal RTL-aware design with smart text handling
  */
 
+import { useReportingCurrency } from '../contexts/reportingCurrency';
+
 // Hebrew font stack
 const HEBREW_FONT = "'Assistant', 'Heebo', 'Rubik', sans-serif";
 
 // Format currency for Hebrew locale
-const formatCurrency = (value) => {
+const formatCurrency = (value, currency = 'ILS') => {
   if (typeof value !== 'number' || isNaN(value)) return '';
   return new Intl.NumberFormat('he-IL', {
     style: 'currency',
-    currency: 'ILS',
+    currency,
     minimumFractionDigits: 0,
     maximumFractionDigits: 0,
   }).format(value);
@@ -55,6 +57,7 @@ const getContrastColor = (hexColor) => {
 };
 
 const CustomTreemapContent = (props) => {
+  const currency = useReportingCurrency();
   const { x, y, width, height, name, size, fill, depth } = props;
   
   // Skip rendering for root node
@@ -150,7 +153,7 @@ const CustomTreemapContent = (props) => {
             opacity: 0.9,
           }}
         >
-          {formatCurrency(size)}
+          {formatCurrency(size, currency)}
         </text>
       )}
     </g>
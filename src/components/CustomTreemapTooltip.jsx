@@ -3,15 +3,17 @@
  * Proper Hebrew text direction and currency formatting
  */
 
+import { useReportingCurrency } from '../contexts/reportingCurrency';
+
 // Hebrew font stack
 const HEBREW_FONT = "'Assistant', 'Heebo', 'Rubik', sans-serif";
 
 // Format currency for Hebrew locale with proper spacing
-const formatCurrency = (value) => {
+const formatCurrency = (value, currency = 'ILS') => {
   if (typeof value !== 'number' || isNaN(value)) return '—';
   return new Intl.NumberFormat('he-IL', {
     style: 'currency',
-    currency: 'ILS',
+    currency,
     minimumFractionDigits: 0,
     maximumFractionDigits: 0,
   }).format(value);
@@ -25,6 +27,7 @@ const formatPercentage = (value, total) => {
 };
 
 const CustomTreemapTooltip = ({ active, payload, totalValue }) => {
+  const currency = useReportingCurrency();
   if (!active || !payload || !payload.length) {
     return null;
   }
@@ -95,7 +98,7 @@ const CustomTreemapTooltip = ({ active, payload, totalValue }) => {
           fontFamily: 'system-ui, sans-serif',
         }}
       >
-        {formatCurrency(value)}
+        {formatCurrency(value, currency)}
       </div>
 
       {/* Percentage if total is available */}
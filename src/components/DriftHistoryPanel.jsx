@@ -0,0 +1,106 @@
+import { useMemo } from 'react';
+import { BarChart, Bar, Cell, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid } from 'recharts';
+import { History } from 'lucide-react';
+
+const HEBREW_FONT = "'Assistant', 'Heebo', 'Rubik', sans-serif";
+
+const formatDay = (date) => {
+  const [year, month, day] = date.split('-');
+  return `${day}/${month}/${year.slice(2)}`;
+};
+
+/**
+ * DriftHistoryPanel Component
+ * How often the portfolio left its drift bands - one bar per recorded day (largest drift of any group)
+ *
+ * @param {Array} history - driftHistory entries, oldest first (see services/rebalancingService)
+ * @param {Object} groupTypes - GROUP_TYPES of the rebalancing page (labels)
+ */
+const DriftHistoryPanel = ({ history, groupTypes }) => {
+  const series = useMemo(() => history.map(entry => ({
+    date: entry.date,
+    maxDrift: Math.max(0, ...Object.values(entry.groups || {}).map(g => Number(g.maxDrift) || 0)),
+    needsRebalancing: !!entry.needsRebalancing,
+  })), [history]);
+
+  const stats = useMemo(() => {
+    const breachedDays = history.filter(entry => entry.needsRebalancing);
+    const byGroup = {};
+    breachedDays.forEach(entry => {
+      Object.values(entry.groups || {}).forEach(group => {
+        if (group.breaches > 0) byGroup[group.type] = (byGroup[group.type] || 0) + 1;
+      });
+    });
+    return {
+      days: history.length,
+      breachedDays: breachedDays.length,
+      lastBreach: breachedDays.length > 0 ? breachedDays[breachedDays.length - 1].date : null,
+      byGroup: Object.entries(byGroup).sort((a, b) => b[1] - a[1]),
+    };
+  }, [history]);
+
+  return (
+    <section className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-slate-100 dark:border-slate-700 p-6">
+      <div className="flex items-center gap-3 mb-4">
+        <History className="text-emerald-600 dark:text-emerald-400" size={20} />
+        <div>
+          <h3 className="text-lg font-bold text-slate-900 dark:text-white">היסטוריית סטייה</h3>
+          <p className="text-xs text-slate-500 dark:text-slate-400">הסטייה הגדולה בכל יום ומתי התיק יצא מטווח היעדים</p>
+        </div>
+      </div>
+
+      {history.length === 0 ? (
+        <p className="text-center py-8 text-sm text-slate-400 dark:text-slate-500">הסטייה נרשמת פעם ביום מרגע שמירת היעדים - עדיין אין נתונים</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4 text-sm">
+            <div className="p-3 rounded-xl bg-slate-50 dark:bg-slate-900/50">
+              <div className="text-xs text-slate-500 dark:text-slate-400">ימים שנרשמו</div>
+              <div className="text-lg font-bold text-slate-900 dark:text-white">{stats.days}</div>
+            </div>
+            <div className="p-3 rounded-xl bg-slate-50 dark:bg-slate-900/50">
+              <div className="text-xs text-slate-500 dark:text-slate-400">ימים מחוץ לטווח</div>
+              <div className="text-lg font-bold text-amber-600 dark:text-amber-400">
+                {stats.breachedDays} <span className="text-xs font-medium">({((stats.breachedDays / stats.days) * 100).toFixed(0)}%)</span>
+              </div>
+            </div>
+            <div className="p-3 rounded-xl bg-slate-50 dark:bg-slate-900/50">
+              <div className="text-xs text-slate-500 dark:text-slate-400">חריגה אחרונה</div>
+              <div className="text-lg font-bold text-slate-900 dark:text-white">{stats.lastBreach ? formatDay(stats.lastBreach) : '—'}</div>
+            </div>
+            <div className="p-3 rounded-xl bg-slate-50 dark:bg-slate-900/50">
+              <div className="text-xs text-slate-500 dark:text-slate-400">חריגות לפי קבוצה</div>
+              <div className="text-xs font-semibold text-slate-700 dark:text-slate-200 mt-1 space-y-0.5">
+                {stats.byGroup.length === 0 ? '—' : stats.byGroup.map(([type, days]) => (
+                  <div key={type}>{groupTypes[type]?.label || type}: {days} ימים</div>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          <div className="h-56" dir="ltr">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={series} margin={{ top: 5, right: 10, left: 0, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" vertical={false} />
+                <XAxis dataKey="date" tickFormatter={formatDay} tick={{ fontSize: 11, fontFamily: HEBREW_FONT }} minTickGap={20} />
+                <YAxis tickFormatter={(v) => `${v}%`} tick={{ fontSize: 11, fontFamily: HEBREW_FONT }} width={40} />
+                <Tooltip
+                  labelFormatter={formatDay}
+                  formatter={(value, name, { payload }) => [`${value.toFixed(1)} נק' ${payload.needsRebalancing ? '(מחוץ לטווח)' : '(בטווח)'}`, 'סטייה מרבית']}
+                  contentStyle={{ fontFamily: HEBREW_FONT, direction: 'rtl' }}
+                />
+                <Bar dataKey="maxDrift" radius={[3, 3, 0, 0]}>
+                  {series.map(point => (
+                    <Cell key={point.date} fill={point.needsRebalancing ? '#f59e0b' : '#10b981'} />
+                  ))}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      )}
+    </section>
+  );
+};
+
+export default DriftHistoryPanel;
@@ -0,0 +1,259 @@
+import { useState } from 'react';
+import { RefreshCw, Loader2, Link2, Unlink, AlertCircle, ShieldCheck } from 'lucide-react';
+import { confirmAlert, successToast, errorAlert } from '../utils/alerts';
+import { useExchangeConnections } from '../hooks/useExchangeConnections';
+import {
+    SUPPORTED_EXCHANGES,
+    connectExchange,
+    syncExchanges,
+    disconnectExchange
+} from '../services/exchangeService';
+
+const INPUT_CLASS = 'w-full p-2 text-sm rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 text-slate-900 dark:text-white';
+
+const ITEM_STATUS = {
+    created: { label: 'נוצר', className: 'text-emerald-600 dark:text-emerald-400' },
+    updated: { label: 'עודכן', className: 'text-blue-600 dark:text-blue-400' },
+    unchanged: { label: 'ללא שינוי', className: 'text-slate-400' },
+    zeroed: { label: 'אופס (לא בבורסה)', className: 'text-amber-600 dark:text-amber-400' },
+    ledger: { label: 'יומן תנועות - לא עודכן', className: 'text-amber-600 dark:text-amber-400' },
+    partial: { label: 'נתונים חלקיים - הכמות לא הופחתה', className: 'text-amber-600 dark:text-amber-400' },
+    unmapped: { label: 'אין מזהה CoinGecko', className: 'text-red-600 dark:text-red-400' },
+};
+
+const formatTime = (value) => {
+    const date = value?.toDate ? value.toDate() : value ? new Date(value) : null;
+    return date ? date.toLocaleString('he-IL') : 'טרם סונכרן';
+};
+
+/**
+ * חיבור חשבונות Binance / Bybit במפתחות לקריאה בלבד וסנכרון היתרות לנכסים
+ */
+const ExchangeConnections = ({ user, platforms = [] }) => {
+    const { connections } = useExchangeConnections(user);
+    const [forms, setForms] = useState({});
+    const [busy, setBusy] = useState(null);
+    const [results, setResults] = useState({});
+
+    if (!user) {
+        return (
+            <div className="text-sm text-slate-500 dark:text-slate-400">
+                חיבור בורסות זמין רק למשתמש מחובר (לא במצב דמו).
+            </div>
+        );
+    }
+
+    const getForm = (exchange) => forms[exchange.id] || {
+        apiKey: '',
+        apiSecret: '',
+        platform: platforms.find(p => p.name.toLowerCase() === exchange.label.toLowerCase())?.name || exchange.label
+    };
+
+    const updateForm = (exchange, patch) => {
+        setForms(prev => ({ ...prev, [exchange.id]: { ...getForm(exchange), ...patch } }));
+    };
+
+    const handleConnect = async (exchange) => {
+        const form = getForm(exchange);
+        if (!form.apiKey.trim() || !form.apiSecret.trim()) {
+            errorAlert('שגיאה', 'יש להזין API Key ו-Secret');
+            return;
+        }
+
+        setBusy(exchange.id);
+        try {
+            await connectExchange(user, { exchange: exchange.id, ...form });
+            setForms(prev => ({ ...prev, [exchange.id]: undefined }));
+            successToast(`${exchange.label} חובר`);
+        } catch (error) {
+            const unsafe = error.details?.unsafe;
+            errorAlert(
+                'החיבור נכשל',
+                unsafe?.length ? `המפתח מאפשר פעולות מעבר לקריאה (${unsafe.join(', ')}). צור מפתח לקריאה בלבד.` : error.message
+            );
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const handleSync = async (exchange) => {
+        setBusy(exchange.id);
+        try {
+            const response = await syncExchanges(user, exchange.id);
+            const result = response.results?.[0];
+            setResults(prev => ({ ...prev, [exchange.id]: result }));
+            if (result?.error) {
+                errorAlert('הסנכרון נכשל', result.error);
+            } else {
+                successToast(`סונכרן: ${result.created} נוצרו, ${result.updated} עודכנו`, 2500);
+            }
+        } catch (error) {
+            errorAlert('הסנכרון נכשל', error.message);
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const handleDisconnect = async (exchange) => {
+        const confirmed = await confirmAlert(
+            `ניתוק ${exchange.label}`,
+            'המפתחות יימחקו מהשרת. הנכסים שסונכרנו יישארו בתיק ולא יתעדכנו יותר.',
+            'warning',
+            true
+        );
+        if (!confirmed) return;
+
+        setBusy(exchange.id);
+        try {
+            await disconnectExchange(user, exchange.id);
+            setResults(prev => ({ ...prev, [exchange.id]: undefined }));
+        } catch (error) {
+            errorAlert('שגיאה', error.message);
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    return (
+        <div className="space-y-4">
+            <div className="flex items-start gap-2 p-3 rounded-lg bg-slate-50 dark:bg-slate-900/50 text-xs text-slate-500 dark:text-slate-400">
+                <ShieldCheck size={16} className="flex-shrink-0 text-emerald-600 dark:text-emerald-400" />
+                <span>
+                    רק מפתחות לקריאה בלבד מתקבלים - מפתח שמאפשר מסחר, העברות או משיכות נדחה. המפתחות נשמרים מוצפנים בשרת ואינם נשלחים חזרה לדפדפן.
+                    הסנכרון מעדכן כמויות של נכסים מסוג קריפטו (ארנק ספוט, Earn וסטייקינג) לפי מזהי CoinGecko; נכס עם יומן תנועות לא נדרס.
+                </span>
+            </div>
+
+            {SUPPORTED_EXCHANGES.map(exchange => {
+                const connection = connections[exchange.id];
+                const result = results[exchange.id];
+                const form = getForm(exchange);
+                const isBusy = busy === exchange.id;
+
+                return (
+                    <div key={exchange.id} className="border border-slate-200 dark:border-slate-700 rounded-lg p-4 space-y-3">
+                        <div className="flex items-center justify-between gap-2">
+                            <div>
+                                <div className="font-semibold text-slate-700 dark:text-slate-200">{exchange.label}</div>
+                                {connection ? (
+                                    <div className="text-xs text-slate-500 dark:text-slate-400">
+                                        מחובר · <span dir="ltr">{connection.keyHint}</span> · פלטפורמה: {connection.platform} · סנכרון אחרון: {formatTime(connection.lastSyncAt)}
+                                    </div>
+                                ) : (
+                                    <div className="text-xs text-slate-500 dark:text-slate-400">{exchange.keyHelp}</div>
+                                )}
+                            </div>
+                            {connection && (
+                                <div className="flex gap-2">
+                                    <button
+                                        onClick={() => handleSync(exchange)}
+                                        disabled={isBusy}
+                                        className="flex items-center gap-1.5 px-3 py-1.5 bg-emerald-600 hover:bg-emerald-700 disabled:opacity-50 text-white rounded-lg text-sm font-medium transition-colors"
+                                    >
+                                        {isBusy ? <Loader2 size={14} className="animate-spin" /> : <RefreshCw size={14} />}
+                                        סנכרן
+                                    </button>
+                                    <button
+                                        onClick={() => handleDisconnect(exchange)}
+                                        disabled={isBusy}
+                                        className="flex items-center gap-1.5 px-3 py-1.5 text-sm text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg transition-colors"
+                                    >
+                                        <Unlink size={14} />
+                                        נתק
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+
+                        {connection?.lastError && (
+                            <div className="flex items-center gap-2 text-xs text-red-600 dark:text-red-400">
+                                <AlertCircle size={14} />
+                                <span dir="ltr">{connection.lastError}</span>
+                            </div>
+                        )}
+
+                        {!connection && (
+                            <div className="grid grid-cols-1 md:grid-cols-4 gap-2">
+                                <input
+                                    type="text"
+                                    placeholder="API Key"
+                                    value={form.apiKey}
+                                    onChange={(e) => updateForm(exchange, { apiKey: e.target.value })}
+                                    className={INPUT_CLASS}
+                                    dir="ltr"
+                                    autoComplete="off"
+                                />
+                                <input
+                                    type="password"
+                                    placeholder="API Secret"
+                                    value={form.apiSecret}
+                                    onChange={(e) => updateForm(exchange, { apiSecret: e.target.value })}
+                                    className={INPUT_CLASS}
+                                    dir="ltr"
+                                    autoComplete="new-password"
+                                />
+                                <select
+                                    value={form.platform}
+                                    onChange={(e) => updateForm(exchange, { platform: e.target.value })}
+                                    className={INPUT_CLASS}
+                                >
+                                    {!platforms.some(p => p.name === form.platform) && <option value={form.platform}>{form.platform}</option>}
+                                    {platforms.map(p => <option key={p.name} value={p.name}>{p.name}</option>)}
+                                </select>
+                                <button
+                                    onClick={() => handleConnect(exchange)}
+                                    disabled={isBusy}
+                                    className="flex items-center justify-center gap-1.5 px-3 py-2 bg-emerald-600 hover:bg-emerald-700 disabled:opacity-50 text-white rounded-lg text-sm font-medium transition-colors"
+                                >
+                                    {isBusy ? <Loader2 size={14} className="animate-spin" /> : <Link2 size={14} />}
+                                    חבר
+                                </button>
+                            </div>
+                        )}
+
+                        {result?.items?.length > 0 && (
+                            <div className="overflow-x-auto">
+                                <table className="w-full text-sm">
+                                    <thead>
+                                        <tr className="text-xs text-slate-500 dark:text-slate-400 border-b border-slate-200 dark:border-slate-700">
+                                            <th className="text-right py-1.5 font-medium">מטבע</th>
+                                            <th className="text-right py-1.5 font-medium">כמות</th>
+                                            <th className="text-right py-1.5 font-medium">פירוט</th>
+                                            <th className="text-right py-1.5 font-medium">מצב</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {result.items.map(item => (
+                                            <tr key={item.asset} className="border-b border-slate-100 dark:border-slate-700/50 text-slate-700 dark:text-slate-200">
+                                                <td className="py-1.5 font-medium" dir="ltr">{item.asset}</td>
+                                                <td className="py-1.5" dir="ltr">
+                                                    {item.quantity.toLocaleString(undefined, { maximumFractionDigits: 8 })}
+                                                    {item.previousQuantity !== undefined && item.previousQuantity !== item.quantity && (
+                                                        <span className="text-xs text-slate-400"> (היה {item.previousQuantity.toLocaleString(undefined, { maximumFractionDigits: 8 })})</span>
+                                                    )}
+                                                </td>
+                                                <td className="py-1.5 text-xs text-slate-400" dir="ltr">
+                                                    {Object.entries(item.wallets).map(([wallet, amount]) => `${wallet}: ${amount}`).join(' · ') || '—'}
+                                                </td>
+                                                <td className={`py-1.5 text-xs ${ITEM_STATUS[item.status]?.className || ''}`}>
+                                                    {ITEM_STATUS[item.status]?.label || item.status}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                                {result.warnings?.length > 0 && (
+                                    <ul className="mt-2 text-xs text-amber-600 dark:text-amber-400" dir="ltr">
+                                        {result.warnings.map((warning, i) => <li key={i}>{warning}</li>)}
+                                    </ul>
+                                )}
+                            </div>
+                        )}
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+export default ExchangeConnections;
@@ -0,0 +1,79 @@
+import { useMemo } from 'react';
+import { ComposedChart, Area, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, ReferenceLine } from 'recharts';
+
+const HEBREW_FONT = "'Assistant', 'Heebo', 'Rubik', sans-serif";
+
+const formatAxisTick = (value) => {
+  if (value >= 1000000) return `${(value / 1000000).toFixed(1)}M`;
+  if (value >= 1000) return `${(value / 1000).toFixed(0)}K`;
+  return value.toLocaleString('he-IL');
+};
+
+const BANDS = [
+  { key: 'outer', label: '10%-90%', opacity: 0.15 },
+  { key: 'inner', label: '25%-75%', opacity: 0.3 },
+];
+
+/**
+ * FanChart Component
+ * Percentile bands of the simulated portfolio value by age (stacked areas on the 10th percentile)
+ *
+ * @param {Array} data - runMonteCarlo years: [{ age, p10, p25, p50, p75, p90 }]
+ * @param {number} retirementAge - Marked with a reference line
+ * @param {Function} formatValue - Tooltip formatter (reporting currency)
+ */
+const FanChart = ({ data, retirementAge, formatValue }) => {
+  // Stack: p10 (transparent) + (p25 - p10) + (p75 - p25) + (p90 - p75)
+  const rows = useMemo(() => data.map(row => ({
+    ...row,
+    base: row.p10,
+    lowerOuter: row.p25 - row.p10,
+    inner: row.p75 - row.p25,
+    upperOuter: row.p90 - row.p75,
+  })), [data]);
+
+  const renderTooltip = ({ active, payload }) => {
+    if (!active || !payload?.length) return null;
+    const row = payload[0].payload;
+    return (
+      <div className="bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-lg p-2 text-xs shadow" dir="rtl" style={{ fontFamily: HEBREW_FONT }}>
+        <div className="font-semibold text-slate-700 dark:text-slate-200 mb-1">גיל {row.age}</div>
+        {[['p90', 'אחוזון 90'], ['p75', 'אחוזון 75'], ['p50', 'חציון'], ['p25', 'אחוזון 25'], ['p10', 'אחוזון 10']].map(([key, label]) => (
+          <div key={key} className="flex justify-between gap-4 text-slate-600 dark:text-slate-300">
+            <span>{label}</span>
+            <span className="font-mono">{formatValue(row[key])}</span>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  if (data.length === 0) {
+    return (
+      <div className="h-full flex items-center justify-center">
+        <p className="text-sm text-slate-500 dark:text-slate-400">אין נתונים להצגה</p>
+      </div>
+    );
+  }
+
+  return (
+    <ResponsiveContainer width="100%" height="100%">
+      <ComposedChart data={rows} margin={{ top: 5, right: 10, left: 10, bottom: 5 }}>
+        <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" vertical={false} />
+        <XAxis dataKey="age" tick={{ fontSize: 11, fontFamily: HEBREW_FONT, fill: '#64748b' }} minTickGap={16} />
+        <YAxis tick={{ fontSize: 11, fontFamily: HEBREW_FONT, fill: '#64748b' }} tickFormatter={formatAxisTick} />
+        <Tooltip content={renderTooltip} />
+        <Area type="monotone" dataKey="base" stackId="fan" stroke="none" fill="transparent" isAnimationActive={false} />
+        <Area type="monotone" dataKey="lowerOuter" stackId="fan" stroke="none" fill="#10B981" fillOpacity={BANDS[0].opacity} name={BANDS[0].label} isAnimationActive={false} />
+        <Area type="monotone" dataKey="inner" stackId="fan" stroke="none" fill="#10B981" fillOpacity={BANDS[1].opacity} name={BANDS[1].label} isAnimationActive={false} />
+        <Area type="monotone" dataKey="upperOuter" stackId="fan" stroke="none" fill="#10B981" fillOpacity={BANDS[0].opacity} name={BANDS[0].label} isAnimationActive={false} />
+        <Line type="monotone" dataKey="p50" name="חציון" stroke="#059669" strokeWidth={2} dot={false} isAnimationActive={false} />
+        {retirementAge && (
+          <ReferenceLine x={retirementAge} stroke="#f59e0b" strokeDasharray="4 4" label={{ value: 'פרישה', position: 'top', fontSize: 11, fill: '#f59e0b' }} />
+        )}
+      </ComposedChart>
+    </ResponsiveContainer>
+  );
+};
+
+export default FanChart;
@@ -0,0 +1,72 @@
+import { GOAL_TYPES } from '../services/goalService';
+import { formatMonthLabel } from '../utils/income';
+
+const formatCurrency = (value, currency = 'ILS') => {
+  if (typeof value !== 'number' || isNaN(value)) return '—';
+  return new Intl.NumberFormat('he-IL', {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(value);
+};
+
+/**
+ * GoalProgress Component
+ * One goal: progress bar toward the target and the monthly contribution still needed
+ *
+ * @param {Object} goal - Valued goal (output of useGoals)
+ * @param {boolean} isVisible - Wealth visibility toggle (masks the amounts)
+ * @param {React.ReactNode} actions - Optional buttons (edit / delete)
+ */
+const GoalProgress = ({ goal, isVisible = true, actions = null }) => {
+  const type = GOAL_TYPES[goal.type] || GOAL_TYPES.other;
+  const mask = (value) => (isVisible ? formatCurrency(value, goal.currency) : '••••••');
+  // No rate for the goal currency - progress and the required contribution are unknown
+  const unknown = goal.progress === null;
+  const reached = !unknown && goal.progress >= 100;
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between gap-2">
+        <div className="flex items-center gap-2 min-w-0">
+          <span className="w-2.5 h-2.5 rounded-full flex-shrink-0" style={{ backgroundColor: type.color }} />
+          <span className="font-medium text-slate-800 dark:text-white truncate">{goal.name}</span>
+          <span className="text-xs text-slate-400 whitespace-nowrap">{type.label}</span>
+        </div>
+        <div className="flex items-center gap-1">
+          <span className={`text-sm font-bold font-mono ${reached ? 'text-emerald-600 dark:text-emerald-400' : 'text-slate-700 dark:text-slate-200'}`}>
+            {unknown ? '—' : `${goal.progress.toFixed(0)}%`}
+          </span>
+          {actions}
+        </div>
+      </div>
+
+      <div className="h-2.5 rounded-full bg-slate-100 dark:bg-slate-700 overflow-hidden">
+        <div
+          className="h-full rounded-full transition-all"
+          style={{ width: `${unknown ? 0 : Math.min(100, goal.progress)}%`, backgroundColor: reached ? '#10b981' : type.color }}
+        />
+      </div>
+
+      <div className="flex flex-wrap justify-between gap-x-4 gap-y-1 text-xs text-slate-500 dark:text-slate-400">
+        <span>
+          <span className="font-mono">{mask(goal.currentAmount)}</span> מתוך <span className="font-mono">{mask(Number(goal.targetAmount) || 0)}</span>
+        </span>
+        <span>
+          יעד: {goal.targetDate ? formatMonthLabel(goal.targetDate.slice(0, 7)) : '—'}
+          {goal.targetDate && ` (${goal.monthsLeft} חודשים)`}
+        </span>
+        <span>
+          {unknown
+            ? 'אין שער המרה - לא ניתן לחשב'
+            : reached || goal.requiredMonthly === 0
+              ? 'היעד יושג בלי הפקדות נוספות'
+              : <>נדרש: <span className="font-mono font-semibold text-slate-700 dark:text-slate-200">{mask(goal.requiredMonthly)}</span> לחודש</>}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default GoalProgress;
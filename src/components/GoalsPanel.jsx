@@ -0,0 +1,58 @@
+import { useMemo } from 'react';
+import { Target } from 'lucide-react';
+import { Link } from 'react-router-dom';
+import GoalProgress from './GoalProgress';
+import { getGoalsTotals } from '../utils/goals';
+
+/**
+ * GoalsPanel Component
+ * Progress toward each goal and the total monthly contribution still needed
+ *
+ * @param {Array} goals - Valued goals (output of useGoals)
+ * @param {Function} formatValue - Formats an amount in the reporting currency
+ * @param {boolean} isVisible - Wealth visibility toggle (masks the figures)
+ * @param {boolean} loading
+ */
+const GoalsPanel = ({ goals, formatValue, isVisible = true, loading = false }) => {
+  const totals = useMemo(() => getGoalsTotals(goals), [goals]);
+  const mask = (value) => (isVisible ? formatValue(value) : '••••••');
+
+  const figures = [
+    { label: 'הוקצה ליעדים', value: totals.current },
+    { label: 'סך היעדים', value: totals.target },
+    { label: 'הפקדה חודשית נדרשת', value: totals.requiredMonthly },
+  ];
+
+  return (
+    <div className="bg-white dark:bg-[#1E1E2D] rounded-xl p-4 md:p-6 shadow-sm border border-slate-200 dark:border-slate-700">
+      <div className="flex items-center gap-2 mb-4">
+        <div className="bg-blue-500/10 rounded-full p-2">
+          <Target className="w-4 h-4 text-slate-700 dark:text-slate-300" />
+        </div>
+        <h3 className="text-base md:text-lg font-bold text-slate-800 dark:text-white">יעדים</h3>
+        <Link to="/goals" className="text-xs text-emerald-600 dark:text-emerald-400 hover:underline">ניהול יעדים</Link>
+      </div>
+
+      <div className="grid grid-cols-3 gap-2 mb-4">
+        {figures.map(f => (
+          <div key={f.label} className="rounded-lg bg-slate-50 dark:bg-slate-800/60 p-3">
+            <div className="text-xs text-slate-500 dark:text-slate-400">{f.label}</div>
+            {loading ? (
+              <div className="h-6 w-20 mt-1 bg-slate-200 dark:bg-slate-700 rounded animate-pulse" />
+            ) : (
+              <div className="text-base md:text-xl font-bold font-mono text-slate-800 dark:text-white">{mask(f.value)}</div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="space-y-4">
+        {goals.map(goal => (
+          <GoalProgress key={goal.id} goal={goal} isVisible={isVisible} />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default GoalsPanel;
@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react';
 import { NavLink, useNavigate, useLocation } from 'react-router-dom';
-import { Wallet, LayoutDashboard, Sparkles, Database, Plus, Settings, BarChart3, LogOut, User, Shield, LayoutGrid, Scale, Eye, EyeOff, Menu, X, Moon, Sun, TestTube } from 'lucide-react';
+import { Wallet, LayoutDashboard, Sparkles, Database, Plus, Settings, BarChart3, LogOut, User, Shield, LayoutGrid, Scale, Coins, Receipt, Landmark, Target, Rocket, Bell, Eye, EyeOff, Menu, X, Moon, Sun, TestTube } from 'lucide-react';
 import { useAuth } from '../hooks/useAuth';
 import { useAdmin } from '../hooks/useAdmin';
 import { useDarkMode } from '../hooks/useDarkMode';
@@ -9,10 +9,13 @@ import { confirmAlert } from '../utils/alerts';
 import InstallPrompt from './InstallPrompt';
 import TopBar from './TopBar';
 import { useHeader } from '../contexts/HeaderContext';
+import { useReportingCurrency } from '../contexts/reportingCurrency';
+import { getCurrencySymbol } from '../services/currency';
 
-const Layout = ({ children, totalWealth, currencyRate, user }) => {
+const Layout = ({ children, totalWealth, currencyRate, user, unreadAlerts = 0, driftStatus = null }) => {
   const navigate = useNavigate();
   const location = useLocation();
+  const currencySymbol = getCurrencySymbol(useReportingCurrency());
   const { signOut } = useAuth();
   const { isAdmin } = useAdmin(user);
   const { isDarkMode, toggleDarkMode } = useDarkMode();
@@ -226,6 +229,91 @@ const Layout = ({ children, totalWealth, currencyRate, user }) => {
             }
           >
             <Scale size={22} className="flex-shrink-0" /> <span className="font-hebrew">איזון תיק</span>
+            {driftStatus?.needsRebalancing && (
+              <span
+                className="mr-auto px-2 py-0.5 rounded-full bg-amber-500 text-white text-xs font-bold"
+                title={`${driftStatus.breaches} פריטים מחוץ לטווח הסטייה`}
+              >
+                נדרש איזון
+              </span>
+            )}
+          </NavLink>
+          <NavLink
+            to="/tax-report"
+            onClick={() => setMobileMenuOpen(false)}
+            className={({ isActive }) =>
+              `w-full flex items-center gap-4 px-5 py-4 md:py-3 rounded-xl transition-all font-semibold text-base md:text-base ${isActive
+                ? 'bg-emerald-600 dark:bg-emerald-700 text-white shadow-lg shadow-emerald-500/20'
+                : 'hover:bg-slate-800 dark:hover:bg-slate-700 text-slate-300 dark:text-slate-300 hover:text-white'
+              }`
+            }
+          >
+            <Receipt size={22} className="flex-shrink-0" /> <span className="font-hebrew">דוח מס</span>
+          </NavLink>
+          <NavLink
+            to="/income"
+            onClick={() => setMobileMenuOpen(false)}
+            className={({ isActive }) =>
+              `w-full flex items-center gap-4 px-5 py-4 md:py-3 rounded-xl transition-all font-semibold text-base md:text-base ${isActive
+                ? 'bg-emerald-600 dark:bg-emerald-700 text-white shadow-lg shadow-emerald-500/20'
+                : 'hover:bg-slate-800 dark:hover:bg-slate-700 text-slate-300 dark:text-slate-300 hover:text-white'
+              }`
+            }
+          >
+            <Coins size={22} className="flex-shrink-0" /> <span className="font-hebrew">הכנסה פסיבית</span>
+          </NavLink>
+          <NavLink
+            to="/liabilities"
+            onClick={() => setMobileMenuOpen(false)}
+            className={({ isActive }) =>
+              `w-full flex items-center gap-4 px-5 py-4 md:py-3 rounded-xl transition-all font-semibold text-base md:text-base ${isActive
+                ? 'bg-emerald-600 dark:bg-emerald-700 text-white shadow-lg shadow-emerald-500/20'
+                : 'hover:bg-slate-800 dark:hover:bg-slate-700 text-slate-300 dark:text-slate-300 hover:text-white'
+              }`
+            }
+          >
+            <Landmark size={22} className="flex-shrink-0" /> <span className="font-hebrew">התחייבויות</span>
+          </NavLink>
+          <NavLink
+            to="/goals"
+            onClick={() => setMobileMenuOpen(false)}
+            className={({ isActive }) =>
+              `w-full flex items-center gap-4 px-5 py-4 md:py-3 rounded-xl transition-all font-semibold text-base md:text-base ${isActive
+                ? 'bg-emerald-600 dark:bg-emerald-700 text-white shadow-lg shadow-emerald-500/20'
+                : 'hover:bg-slate-800 dark:hover:bg-slate-700 text-slate-300 dark:text-slate-300 hover:text-white'
+              }`
+            }
+          >
+            <Target size={22} className="flex-shrink-0" /> <span className="font-hebrew">יעדים</span>
+          </NavLink>
+          <NavLink
+            to="/planning"
+            onClick={() => setMobileMenuOpen(false)}
+            className={({ isActive }) =>
+              `w-full flex items-center gap-4 px-5 py-4 md:py-3 rounded-xl transition-all font-semibold text-base md:text-base ${isActive
+                ? 'bg-emerald-600 dark:bg-emerald-700 text-white shadow-lg shadow-emerald-500/20'
+                : 'hover:bg-slate-800 dark:hover:bg-slate-700 text-slate-300 dark:text-slate-300 hover:text-white'
+              }`
+            }
+          >
+            <Rocket size={22} className="flex-shrink-0" /> <span className="font-hebrew">תכנון פרישה</span>
+          </NavLink>
+          <NavLink
+            to="/alerts"
+            onClick={() => setMobileMenuOpen(false)}
+            className={({ isActive }) =>
+              `w-full flex items-center gap-4 px-5 py-4 md:py-3 rounded-xl transition-all font-semibold text-base md:text-base ${isActive
+                ? 'bg-emerald-600 dark:bg-emerald-700 text-white shadow-lg shadow-emerald-500/20'
+                : 'hover:bg-slate-800 dark:hover:bg-slate-700 text-slate-300 dark:text-slate-300 hover:text-white'
+              }`
+            }
+          >
+            <Bell size={22} className="flex-shrink-0" /> <span className="font-hebrew">התראות</span>
+            {unreadAlerts > 0 && (
+              <span className="mr-auto min-w-[1.25rem] px-1.5 py-0.5 rounded-full bg-red-500 text-white text-xs font-bold text-center">
+                {unreadAlerts > 99 ? '99+' : unreadAlerts}
+              </span>
+            )}
           </NavLink>
           <NavLink
             to="/settings"
@@ -299,7 +387,7 @@ const Layout = ({ children, totalWealth, currencyRate, user }) => {
               </button>
             </div>
             <div className="text-2xl md:text-2xl font-bold text-emerald-400 mb-1 font-hebrew">
-              {isWealthVisible ? `₪${totalWealth.toLocaleString()}` : '••••••'}
+              {isWealthVisible ? `${currencySymbol}${totalWealth.toLocaleString()}` : '••••••'}
             </div>
             <div className="text-xs text-slate-500 font-sans">1$ = ₪{currencyRate.rate}</div>
           </div>
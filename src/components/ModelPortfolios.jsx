@@ -0,0 +1,393 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Library, Plus, Trash2, Pencil, Copy, Save, Loader2, X, Check, AlertCircle, ArrowLeftRight } from 'lucide-react';
+import {
+  MODEL_PORTFOLIOS, subscribeToModelPortfolios, saveModelPortfolio, deleteModelPortfolio,
+} from '../services/rebalancingService';
+import { resolveInternalId } from '../services/internalIds';
+import { getAvailableItems, HIERARCHY_GROUP_TYPE } from '../utils/rebalancing';
+import { getAssetItem } from '../utils/rebalanceSolver';
+import { successToast, errorAlert, confirmAlert } from '../utils/alerts';
+import BacktestPanel from './BacktestPanel';
+
+const INPUT_CLASS = 'mt-1 w-full p-2 rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 text-slate-900 dark:text-white';
+const CELL_INPUT_CLASS = 'w-full p-1.5 rounded border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 text-slate-900 dark:text-white text-sm';
+const EMPTY_SLEEVE = { label: '', item: '', proxy: '', weight: '' };
+
+const sumWeights = (sleeves) => sleeves.reduce((sum, sleeve) => sum + (Number(sleeve.weight) || 0), 0);
+
+const itemName = (item) => (typeof item === 'string' ? item : item.name);
+
+/**
+ * ModelPortfolios Component
+ * Library of model portfolios (built-in and saved), applying a model to a target group and backtesting it
+ *
+ * @param {Array} assets - Valued assets
+ * @param {Array} groups - Rebalancing groups (hierarchy groups can't receive a model)
+ * @param {Object} systemData - Items of every group type
+ * @param {Object} groupTypes - GROUP_TYPES of the rebalancing page (labels)
+ * @param {Object} user - Firebase user (null → built-in models only)
+ * @param {Function} onApply - Called with (groupId, targets)
+ */
+const ModelPortfolios = ({ assets, groups, systemData, groupTypes, user, onApply }) => {
+  const [customModels, setCustomModels] = useState([]);
+  const [selectedId, setSelectedId] = useState(MODEL_PORTFOLIOS[0].id);
+  const [applyGroupId, setApplyGroupId] = useState('');
+  const [mapping, setMapping] = useState({});
+  const [draft, setDraft] = useState(null); // Model being edited
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => subscribeToModelPortfolios(user, setCustomModels), [user]);
+
+  const models = useMemo(() => [
+    ...MODEL_PORTFOLIOS.map(model => ({ ...model, builtIn: true })),
+    ...customModels,
+  ], [customModels]);
+  const model = models.find(m => m.id === selectedId) || models[0];
+
+  const flatGroups = useMemo(() => groups.filter(g => g.type !== HIERARCHY_GROUP_TYPE), [groups]);
+  const applyGroup = flatGroups.find(g => g.id === applyGroupId) || flatGroups[0];
+  const groupItems = useMemo(
+    () => (applyGroup ? getAvailableItems(applyGroup.type, systemData, assets).map(itemName) : []),
+    [applyGroup, systemData, assets]
+  );
+
+  // Items of the model, each mapped to an item of the group (default: the same name)
+  const modelItems = useMemo(() => {
+    const totals = {};
+    (model?.sleeves || []).forEach(sleeve => {
+      const item = sleeve.item || sleeve.label;
+      totals[item] = (totals[item] || 0) + (Number(sleeve.weight) || 0);
+    });
+    return Object.entries(totals).map(([item, weight]) => ({
+      item,
+      weight,
+      target: mapping[item] ?? (groupItems.includes(item) ? item : ''),
+    }));
+  }, [model, mapping, groupItems]);
+  const unmapped = modelItems.filter(row => !row.target);
+
+  const handleSelect = (modelId) => {
+    setSelectedId(modelId);
+    setMapping({});
+  };
+
+  const handleApply = () => {
+    if (!applyGroup || unmapped.length > 0) return;
+    const targets = Object.fromEntries(groupItems.map(item => [item, 0]));
+    modelItems.forEach(row => {
+      targets[row.target] = Math.round(((targets[row.target] || 0) + row.weight) * 10) / 10;
+    });
+    onApply(applyGroup.id, targets);
+  };
+
+  // Draft from the targets of a group - each item is represented by its largest priced holding
+  const handlePrefill = (groupId) => {
+    const group = flatGroups.find(g => g.id === groupId);
+    if (!group) return;
+    const proxies = {};
+    assets
+      .filter(asset => asset.assetMode === 'QUANTITY' && resolveInternalId(asset))
+      .sort((a, b) => (Number(b.value) || 0) - (Number(a.value) || 0))
+      .forEach(asset => {
+        const item = getAssetItem(asset, group);
+        if (!proxies[item]) proxies[item] = resolveInternalId(asset);
+      });
+    const sleeves = Object.entries(group.targets || {})
+      .filter(([, target]) => Number(target) > 0)
+      .map(([item, target]) => ({ label: item, item, proxy: proxies[item] || '', weight: Number(target) }));
+    setDraft({ ...draft, sleeves: sleeves.length > 0 ? sleeves : [{ ...EMPTY_SLEEVE }] });
+  };
+
+  const updateSleeve = (index, changes) => {
+    setDraft({ ...draft, sleeves: draft.sleeves.map((sleeve, i) => (i === index ? { ...sleeve, ...changes } : sleeve)) });
+  };
+
+  const handleSave = async () => {
+    if (!draft.name.trim()) {
+      await errorAlert('שגיאה', 'יש לתת שם למודל');
+      return;
+    }
+    const sleeves = draft.sleeves.filter(sleeve => sleeve.proxy && Number(sleeve.weight) > 0);
+    if (sleeves.length === 0 || Math.abs(sumWeights(sleeves) - 100) > 0.01) {
+      await errorAlert('שגיאה', 'משקלי המודל חייבים להסתכם ל-100% ולכל רכיב נדרש נכס ייצוג');
+      return;
+    }
+    setSaving(true);
+    try {
+      const id = await saveModelPortfolio(user, { ...draft, sleeves });
+      handleSelect(id);
+      setDraft(null);
+      await successToast('המודל נשמר', 1500);
+    } catch (error) {
+      console.error('Error saving model portfolio:', error);
+      await errorAlert('שגיאה', 'אירעה שגיאה בשמירת המודל');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (target) => {
+    const confirmed = await confirmAlert('מחיקת מודל', `למחוק את "${target.name}"?`, 'warning', true);
+    if (!confirmed) return;
+    try {
+      await deleteModelPortfolio(user, target.id);
+      if (selectedId === target.id) handleSelect(MODEL_PORTFOLIOS[0].id);
+    } catch (error) {
+      console.error('Error deleting model portfolio:', error);
+      await errorAlert('שגיאה', 'אירעה שגיאה במחיקת המודל');
+    }
+  };
+
+  const draftTotal = draft ? sumWeights(draft.sleeves) : 0;
+
+  return (
+    <div className="space-y-6">
+      {/* Library */}
+      <section className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-slate-200 dark:border-slate-700 p-4 md:p-6 space-y-4">
+        <div className="flex items-center justify-between gap-3">
+          <div className="flex items-center gap-3">
+            <Library className="text-emerald-600 dark:text-emerald-400" size={20} />
+            <div>
+              <h3 className="text-lg font-bold text-slate-900 dark:text-white">ספריית מודלים</h3>
+              <p className="text-xs text-slate-500 dark:text-slate-400">תבניות הקצאה מוכרות ומודלים ששמרת - לבחירה, החלה על היעדים ובקטסט</p>
+            </div>
+          </div>
+          {user && !draft && (
+            <button
+              onClick={() => setDraft({ name: '', description: '', sleeves: [{ ...EMPTY_SLEEVE }] })}
+              className="flex items-center gap-1.5 px-3 py-2 rounded-xl bg-emerald-600 hover:bg-emerald-700 text-white text-sm font-medium"
+            >
+              <Plus size={16} />
+              מודל חדש
+            </button>
+          )}
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-3">
+          {models.map(m => {
+            const isSelected = m.id === model?.id;
+            return (
+              <div
+                key={m.id}
+                onClick={() => handleSelect(m.id)}
+                className={`p-4 rounded-xl border cursor-pointer transition-all ${isSelected
+                  ? 'border-emerald-500 bg-emerald-50/50 dark:bg-emerald-900/10'
+                  : 'border-slate-200 dark:border-slate-700 hover:border-slate-300 dark:hover:border-slate-600'
+                  }`}
+              >
+                <div className="flex items-start justify-between gap-2">
+                  <div>
+                    <div className="font-bold text-slate-900 dark:text-white">{m.name}</div>
+                    {m.description && <p className="text-xs text-slate-500 dark:text-slate-400 mt-0.5">{m.description}</p>}
+                  </div>
+                  <div className="flex items-center gap-1 shrink-0" onClick={(e) => e.stopPropagation()}>
+                    {user && (
+                      <button
+                        onClick={() => setDraft(m.builtIn
+                          ? { name: `${m.name} (עותק)`, description: m.description, sleeves: m.sleeves.map(s => ({ ...s })) }
+                          : { ...m, sleeves: m.sleeves.map(s => ({ ...s })) })}
+                        className="p-1.5 rounded-lg text-slate-400 hover:text-slate-700 hover:bg-slate-100 dark:hover:bg-slate-700"
+                        title={m.builtIn ? 'שכפל לעריכה' : 'ערוך'}
+                      >
+                        {m.builtIn ? <Copy size={14} /> : <Pencil size={14} />}
+                      </button>
+                    )}
+                    {!m.builtIn && (
+                      <button
+                        onClick={() => handleDelete(m)}
+                        className="p-1.5 rounded-lg text-red-400 hover:text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20"
+                        title="מחק"
+                      >
+                        <Trash2 size={14} />
+                      </button>
+                    )}
+                  </div>
+                </div>
+                <div className="flex h-2 rounded-full overflow-hidden mt-3 bg-slate-100 dark:bg-slate-700">
+                  {m.sleeves.map((sleeve, i) => (
+                    <div
+                      key={i}
+                      style={{ width: `${sleeve.weight}%`, opacity: 1 - (i % 4) * 0.2 }}
+                      className="bg-emerald-500"
+                      title={`${sleeve.label} ${sleeve.weight}%`}
+                    />
+                  ))}
+                </div>
+                <div className="flex flex-wrap gap-x-3 gap-y-1 mt-2 text-xs text-slate-600 dark:text-slate-300">
+                  {m.sleeves.map((sleeve, i) => (
+                    <span key={i}>{sleeve.label} <span className="font-bold">{sleeve.weight}%</span></span>
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </section>
+
+      {/* Editor */}
+      {draft && (
+        <section className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-slate-200 dark:border-slate-700 p-4 md:p-6 space-y-4">
+          <div className="flex items-center justify-between">
+            <h3 className="text-lg font-bold text-slate-900 dark:text-white">{draft.id ? 'עריכת מודל' : 'מודל חדש'}</h3>
+            <button onClick={() => setDraft(null)} className="p-1.5 rounded-lg text-slate-400 hover:bg-slate-100 dark:hover:bg-slate-700">
+              <X size={16} />
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+            <label className="text-slate-600 dark:text-slate-300">
+              שם
+              <input value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} className={INPUT_CLASS} />
+            </label>
+            <label className="text-slate-600 dark:text-slate-300">
+              תיאור
+              <input value={draft.description} onChange={(e) => setDraft({ ...draft, description: e.target.value })} className={INPUT_CLASS} />
+            </label>
+            {flatGroups.length > 0 && (
+              <label className="text-slate-600 dark:text-slate-300">
+                מילוי מהיעדים של
+                <select value="" onChange={(e) => handlePrefill(e.target.value)} className={INPUT_CLASS}>
+                  <option value="">בחר קבוצה...</option>
+                  {flatGroups.map(g => <option key={g.id} value={g.id}>{groupTypes[g.type]?.label || g.type}</option>)}
+                </select>
+              </label>
+            )}
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-slate-200 dark:border-slate-700 text-slate-600 dark:text-slate-300">
+                  <th className="text-right py-2 px-2 font-semibold">רכיב</th>
+                  <th className="text-right py-2 px-2 font-semibold">פריט יעד</th>
+                  <th className="text-right py-2 px-2 font-semibold">נכס ייצוג (מזהה שוק)</th>
+                  <th className="text-right py-2 px-2 font-semibold w-24">משקל %</th>
+                  <th className="w-8" />
+                </tr>
+              </thead>
+              <tbody>
+                {draft.sleeves.map((sleeve, i) => (
+                  <tr key={i}>
+                    <td className="py-1 px-2"><input value={sleeve.label} onChange={(e) => updateSleeve(i, { label: e.target.value })} className={CELL_INPUT_CLASS} /></td>
+                    <td className="py-1 px-2"><input value={sleeve.item} onChange={(e) => updateSleeve(i, { item: e.target.value })} className={CELL_INPUT_CLASS} /></td>
+                    <td className="py-1 px-2">
+                      <input
+                        value={sleeve.proxy}
+                        onChange={(e) => updateSleeve(i, { proxy: e.target.value })}
+                        placeholder="yahoo:VTI"
+                        dir="ltr"
+                        className={`${CELL_INPUT_CLASS} font-mono`}
+                      />
+                    </td>
+                    <td className="py-1 px-2">
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        step="0.5"
+                        value={sleeve.weight}
+                        onChange={(e) => updateSleeve(i, { weight: e.target.value })}
+                        className={`${CELL_INPUT_CLASS} font-mono`}
+                      />
+                    </td>
+                    <td className="py-1 px-2">
+                      <button
+                        onClick={() => setDraft({ ...draft, sleeves: draft.sleeves.filter((_, j) => j !== i) })}
+                        disabled={draft.sleeves.length === 1}
+                        className="p-1 rounded text-red-400 hover:text-red-600 disabled:opacity-30"
+                      >
+                        <Trash2 size={14} />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <button
+              onClick={() => setDraft({ ...draft, sleeves: [...draft.sleeves, { ...EMPTY_SLEEVE }] })}
+              className="flex items-center gap-1.5 text-sm text-emerald-600 dark:text-emerald-400 hover:underline"
+            >
+              <Plus size={14} />
+              הוסף רכיב
+            </button>
+            <div className="flex items-center gap-3">
+              <span className={`flex items-center gap-1 text-sm font-bold ${Math.abs(draftTotal - 100) < 0.01 ? 'text-emerald-600 dark:text-emerald-400' : 'text-red-600 dark:text-red-400'}`}>
+                {Math.abs(draftTotal - 100) < 0.01 ? <Check size={14} /> : <AlertCircle size={14} />}
+                {draftTotal.toFixed(1)}%
+              </span>
+              <button
+                onClick={handleSave}
+                disabled={saving}
+                className="flex items-center gap-1.5 px-4 py-2 rounded-xl bg-emerald-600 hover:bg-emerald-700 disabled:opacity-50 text-white text-sm font-medium"
+              >
+                {saving ? <Loader2 size={16} className="animate-spin" /> : <Save size={16} />}
+                שמור מודל
+              </button>
+            </div>
+          </div>
+        </section>
+      )}
+
+      {/* Apply to targets */}
+      {model && applyGroup && (
+        <section className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-slate-200 dark:border-slate-700 p-4 md:p-6 space-y-4">
+          <div className="flex items-center gap-3">
+            <ArrowLeftRight className="text-emerald-600 dark:text-emerald-400" size={20} />
+            <div>
+              <h3 className="text-lg font-bold text-slate-900 dark:text-white">החלת {model.name} על היעדים</h3>
+              <p className="text-xs text-slate-500 dark:text-slate-400">כל רכיב של המודל משויך לפריט בקבוצה; יעדי הקבוצה יוחלפו ויש לשמור אותם בלשונית הגדרת היעדים</p>
+            </div>
+          </div>
+
+          <label className="block text-sm text-slate-600 dark:text-slate-300 max-w-xs">
+            קבוצת יעדים
+            <select
+              value={applyGroup.id}
+              onChange={(e) => {
+                setApplyGroupId(e.target.value);
+                setMapping({});
+              }}
+              className={INPUT_CLASS}
+            >
+              {flatGroups.map(g => <option key={g.id} value={g.id}>{groupTypes[g.type]?.label || g.type}</option>)}
+            </select>
+          </label>
+
+          <div className="space-y-2">
+            {modelItems.map(row => (
+              <div key={row.item} className="flex items-center gap-3 text-sm">
+                <span className="w-40 font-semibold text-slate-800 dark:text-slate-100 truncate">{row.item}</span>
+                <span className="w-14 font-bold text-slate-600 dark:text-slate-300">{row.weight}%</span>
+                <span className="text-slate-400">←</span>
+                <select
+                  value={row.target}
+                  onChange={(e) => setMapping({ ...mapping, [row.item]: e.target.value })}
+                  className="flex-1 max-w-xs p-1.5 rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 text-slate-900 dark:text-white"
+                >
+                  <option value="">בחר פריט...</option>
+                  {groupItems.map(item => <option key={item} value={item}>{item}</option>)}
+                </select>
+              </div>
+            ))}
+          </div>
+
+          <button
+            onClick={handleApply}
+            disabled={unmapped.length > 0}
+            className="flex items-center gap-1.5 px-4 py-2 rounded-xl bg-emerald-600 hover:bg-emerald-700 disabled:opacity-50 text-white text-sm font-medium"
+          >
+            <Check size={16} />
+            החל על היעדים
+          </button>
+        </section>
+      )}
+
+      {model && <BacktestPanel model={model} assets={assets} />}
+    </div>
+  );
+};
+
+export default ModelPortfolios;
@@ -0,0 +1,118 @@
+import { useState, useMemo } from 'react';
+import { ComposedChart, Area, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, Legend } from 'recharts';
+import { Landmark } from 'lucide-react';
+import { Link } from 'react-router-dom';
+import PayoffChart from './PayoffChart';
+import { buildNetWorthSeries, projectPayoff } from '../utils/liabilities';
+
+const HEBREW_FONT = "'Assistant', 'Heebo', 'Rubik', sans-serif";
+
+const VIEWS = [
+  { key: 'history', label: 'שווי נקי לאורך זמן' },
+  { key: 'payoff', label: 'צפי פירעון' },
+];
+
+const formatAxisTick = (value) => {
+  const abs = Math.abs(value);
+  if (abs >= 1000000) return `${(value / 1000000).toFixed(1)}M`;
+  if (abs >= 1000) return `${(value / 1000).toFixed(0)}K`;
+  return value.toLocaleString('he-IL');
+};
+
+/**
+ * NetWorthPanel Component
+ * Assets − liabilities: current figures, net worth over the portfolio history and the projected payoff
+ *
+ * @param {Array} liabilities - Valued liabilities (output of useLiabilities)
+ * @param {number} totalAssets - Portfolio value (reporting currency)
+ * @param {number} totalLiabilities - Outstanding balance (reporting currency)
+ * @param {Array} history - Portfolio history points { date, value } in the reporting currency
+ * @param {Function} formatValue - Formats an amount in the reporting currency
+ * @param {boolean} isVisible - Wealth visibility toggle (masks the figures)
+ * @param {boolean} loading
+ */
+const NetWorthPanel = ({ liabilities, totalAssets, totalLiabilities, history, formatValue, isVisible = true, loading = false }) => {
+  const [view, setView] = useState('history');
+
+  const series = useMemo(() => buildNetWorthSeries(history, liabilities), [history, liabilities]);
+  const payoff = useMemo(() => projectPayoff(liabilities), [liabilities]);
+
+  const mask = (value) => (isVisible ? formatValue(value) : '••••••');
+  const figures = [
+    { label: 'נכסים', value: totalAssets, className: 'text-slate-800 dark:text-white' },
+    { label: 'התחייבויות', value: -totalLiabilities, className: 'text-red-500' },
+    { label: 'שווי נקי', value: totalAssets - totalLiabilities, className: 'text-emerald-600 dark:text-emerald-400' },
+  ];
+
+  return (
+    <div className="bg-white dark:bg-[#1E1E2D] rounded-xl p-4 md:p-6 shadow-sm border border-slate-200 dark:border-slate-700">
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-3 mb-4">
+        <div className="flex items-center gap-2">
+          <div className="bg-red-500/10 rounded-full p-2">
+            <Landmark className="w-4 h-4 text-slate-700 dark:text-slate-300" />
+          </div>
+          <h3 className="text-base md:text-lg font-bold text-slate-800 dark:text-white">שווי נקי</h3>
+          <Link to="/liabilities" className="text-xs text-emerald-600 dark:text-emerald-400 hover:underline">ניהול התחייבויות</Link>
+        </div>
+
+        <div className="flex bg-slate-100 dark:bg-slate-700 rounded-lg p-1 self-start">
+          {VIEWS.map(v => (
+            <button
+              key={v.key}
+              onClick={() => setView(v.key)}
+              className={`px-3 py-1 text-xs font-medium rounded-md transition-all ${view === v.key
+                ? 'bg-white dark:bg-slate-600 shadow-sm text-emerald-600 dark:text-emerald-400'
+                : 'text-slate-500 dark:text-slate-400 hover:text-slate-700 dark:hover:text-slate-300'
+                }`}
+            >
+              {v.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-3 gap-2 mb-4">
+        {figures.map(f => (
+          <div key={f.label} className="rounded-lg bg-slate-50 dark:bg-slate-800/60 p-3">
+            <div className="text-xs text-slate-500 dark:text-slate-400">{f.label}</div>
+            {loading ? (
+              <div className="h-6 w-20 mt-1 bg-slate-200 dark:bg-slate-700 rounded animate-pulse" />
+            ) : (
+              <div className={`text-base md:text-xl font-bold font-mono ${f.className}`}>{mask(f.value)}</div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="h-64 md:h-72" dir="ltr">
+        {view === 'payoff' ? (
+          <PayoffChart data={payoff} liabilities={liabilities} formatValue={mask} />
+        ) : series.length === 0 ? (
+          <div className="h-full flex items-center justify-center">
+            <p className="text-sm text-slate-500 dark:text-slate-400">אין נתונים להצגה</p>
+          </div>
+        ) : (
+          <ResponsiveContainer width="100%" height="100%">
+            <ComposedChart data={series} margin={{ top: 5, right: 10, left: 10, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" vertical={false} />
+              <XAxis dataKey="date" tick={{ fontSize: 11, fontFamily: HEBREW_FONT, fill: '#64748b' }} minTickGap={24} />
+              <YAxis tick={{ fontSize: 11, fontFamily: HEBREW_FONT, fill: '#64748b' }} tickFormatter={formatAxisTick} />
+              <Tooltip formatter={(value) => mask(value)} contentStyle={{ fontFamily: HEBREW_FONT, direction: 'rtl' }} />
+              <Legend wrapperStyle={{ fontFamily: HEBREW_FONT, fontSize: 12 }} />
+              <Area type="monotone" dataKey="netWorth" name="שווי נקי" stroke="#10B981" fill="#10B981" fillOpacity={0.2} />
+              <Line type="monotone" dataKey="assets" name="נכסים" stroke="#3B82F6" dot={false} strokeWidth={1.5} />
+              <Line type="monotone" dataKey="liabilities" name="התחייבויות" stroke="#EF4444" dot={false} strokeWidth={1.5} />
+            </ComposedChart>
+          </ResponsiveContainer>
+        )}
+      </div>
+      {view === 'history' && (
+        <p className="text-xs text-slate-500 dark:text-slate-400 mt-2">
+          לפי טווח הזמן שנבחר בגרף השווי. יתרות ההתחייבויות מחושבות מלוח הסילוקין ומומרות בשערי היום.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default NetWorthPanel;
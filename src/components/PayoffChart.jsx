@@ -0,0 +1,57 @@
+import { AreaChart, Area, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, Legend } from 'recharts';
+
+const HEBREW_FONT = "'Assistant', 'Heebo', 'Rubik', sans-serif";
+
+const PALETTE = ['#ef4444', '#f59e0b', '#8b5cf6', '#ec4899', '#6366f1', '#14b8a6', '#64748b'];
+
+const formatAxisTick = (value) => {
+  if (value >= 1000000) return `${(value / 1000000).toFixed(1)}M`;
+  if (value >= 1000) return `${(value / 1000).toFixed(0)}K`;
+  return value.toLocaleString('he-IL');
+};
+
+/**
+ * PayoffChart Component
+ * Projected outstanding balance per liability (stacked) until the last one is paid off
+ *
+ * @param {Array} data - Output of projectPayoff
+ * @param {Array} liabilities - Valued liabilities (output of useLiabilities) - one area each
+ * @param {Function} formatValue - Tooltip formatter (reporting currency)
+ */
+const PayoffChart = ({ data, liabilities, formatValue }) => {
+  const series = liabilities.filter(l => data[0]?.[l.id] !== undefined);
+
+  if (data.length === 0) {
+    return (
+      <div className="h-full flex items-center justify-center">
+        <p className="text-sm text-slate-500 dark:text-slate-400">אין יתרות פתוחות</p>
+      </div>
+    );
+  }
+
+  return (
+    <ResponsiveContainer width="100%" height="100%">
+      <AreaChart data={data} margin={{ top: 5, right: 10, left: 10, bottom: 5 }}>
+        <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" vertical={false} />
+        <XAxis dataKey="label" tick={{ fontSize: 11, fontFamily: HEBREW_FONT, fill: '#64748b' }} minTickGap={24} />
+        <YAxis tick={{ fontSize: 11, fontFamily: HEBREW_FONT, fill: '#64748b' }} tickFormatter={formatAxisTick} />
+        <Tooltip formatter={(value) => formatValue(value)} contentStyle={{ fontFamily: HEBREW_FONT, direction: 'rtl' }} />
+        <Legend wrapperStyle={{ fontFamily: HEBREW_FONT, fontSize: 12 }} />
+        {series.map((l, i) => (
+          <Area
+            key={l.id}
+            type="monotone"
+            dataKey={l.id}
+            name={l.name}
+            stackId="balance"
+            stroke={PALETTE[i % PALETTE.length]}
+            fill={PALETTE[i % PALETTE.length]}
+            fillOpacity={0.25}
+          />
+        ))}
+      </AreaChart>
+    </ResponsiveContainer>
+  );
+};
+
+export default PayoffChart;
@@ -0,0 +1,114 @@
+import { useState } from 'react';
+import { Percent } from 'lucide-react';
+import { RETURN_PERIODS, formatReturn } from '../utils/returns';
+
+const SCOPES = [
+  { key: 'portfolio', label: 'כל התיק' },
+  { key: 'platform', label: 'לפי פלטפורמה' },
+  { key: 'asset', label: 'לפי נכס' },
+];
+
+const returnColor = (ratio) => {
+  if (typeof ratio !== 'number' || !isFinite(ratio) || ratio === 0) return 'text-slate-500 dark:text-slate-400';
+  return ratio > 0 ? 'text-green-500' : 'text-red-500';
+};
+
+/**
+ * ReturnsPanel Component
+ * Period returns table - TWR (main figure) and money-weighted IRR per period
+ *
+ * @param {Object} returns - Output of useReturns: { portfolio, byPlatform, byAsset, fxUnavailable }
+ * @param {boolean} loading - Snapshot history still loading
+ */
+const ReturnsPanel = ({ returns, loading = false }) => {
+  const [scope, setScope] = useState('portfolio');
+
+  const rows = !returns
+    ? []
+    : scope === 'portfolio'
+      ? [{ key: 'portfolio', name: 'כל התיק', returns: returns.portfolio }]
+      : scope === 'platform'
+        ? returns.byPlatform.map(p => ({ key: p.name, name: p.name, returns: p.returns }))
+        : returns.byAsset.map(a => ({ key: a.id, name: a.name, returns: a.returns }));
+
+  const hasPartial = rows.some(row => Object.values(row.returns).some(r => r?.partial));
+
+  return (
+    <div className="bg-white dark:bg-[#1E1E2D] rounded-xl p-4 md:p-6 shadow-sm border border-slate-200 dark:border-slate-700">
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-3 mb-4">
+        <div className="flex items-center gap-2">
+          <div className="bg-indigo-500/10 rounded-full p-2">
+            <Percent className="w-4 h-4 text-slate-700 dark:text-slate-300" />
+          </div>
+          <h3 className="text-base md:text-lg font-bold text-slate-800 dark:text-white">תשואות לפי תקופה</h3>
+        </div>
+
+        <div className="flex bg-slate-100 dark:bg-slate-700 rounded-lg p-1 self-start">
+          {SCOPES.map(s => (
+            <button
+              key={s.key}
+              onClick={() => setScope(s.key)}
+              className={`px-3 py-1 text-xs font-medium rounded-md transition-all ${scope === s.key
+                ? 'bg-white dark:bg-slate-600 shadow-sm text-emerald-600 dark:text-emerald-400'
+                : 'text-slate-500 dark:text-slate-400 hover:text-slate-700 dark:hover:text-slate-300'
+                }`}
+            >
+              {s.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="h-16 bg-slate-100 dark:bg-slate-700 rounded-lg animate-pulse" />
+      ) : rows.length === 0 ? (
+        <p className="text-sm text-slate-500 dark:text-slate-400 text-center py-4">
+          התשואות יחושבו לאחר שיצטברו תמונות מצב יומיות של התיק
+        </p>
+      ) : (
+        <div className="overflow-x-auto max-h-80 overflow-y-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-xs text-slate-500 dark:text-slate-400 border-b border-slate-200 dark:border-slate-700">
+                <th className="text-right font-medium py-2 pl-3"></th>
+                {Object.entries(RETURN_PERIODS).map(([key, period]) => (
+                  <th key={key} className="text-center font-medium py-2 px-2" title={period.label}>
+                    {period.label}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.key} className="border-b border-slate-100 dark:border-slate-700/50 last:border-0">
+                  <td className="py-2 pl-3 font-medium text-slate-700 dark:text-slate-200 whitespace-nowrap">{row.name}</td>
+                  {Object.keys(RETURN_PERIODS).map(key => {
+                    const r = row.returns[key];
+                    return (
+                      <td key={key} className="py-2 px-2 text-center" dir="ltr">
+                        <div className={`font-semibold ${returnColor(r?.twr)}`}>
+                          {formatReturn(r?.twr)}{r?.partial ? '*' : ''}
+                        </div>
+                        <div className="text-[10px] text-slate-400" title="תשואה משוקללת כסף (IRR)">
+                          IRR {formatReturn(r?.irr)}
+                        </div>
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <p className="text-[10px] md:text-xs text-slate-400 mt-3 leading-relaxed">
+        TWR - תשואה משוקללת זמן, מנטרלת הפקדות ומשיכות. IRR - תשואה משוקללת כסף, מושפעת מתזמון ההפקדות.
+        {hasPartial && ' * ההיסטוריה מתחילה בתוך התקופה.'}
+        {returns?.fxUnavailable?.length > 0 && ` הכנסות ועסקאות ב-${returns.fxUnavailable.join(', ')} לא נכללו - אין שער המרה.`}
+      </p>
+    </div>
+  );
+};
+
+export default ReturnsPanel;
@@ -1,4 +1,5 @@
 import { Wallet, Calendar, TrendingUp, TrendingDown, ArrowUp, ArrowDown } from 'lucide-react';
+import { formatReturn } from '../utils/returns';
 
 /**
  * SummaryCard Component
@@ -9,8 +10,10 @@ import { Wallet, Calendar, TrendingUp, TrendingDown, ArrowUp, ArrowDown } from '
  * @param {React.Component} icon - The icon component to display
  * @param {Object} plData - Profit/Loss data (optional): { amount: number, percent: number }
  * @param {string} iconBgColor - Background color for the icon circle (optional)
+ * @param {string} subtitle - Secondary line under the value (optional)
+ * @param {Array} periodReturns - Period returns row (optional): [{ label: string, value: number|null }]
  */
-const SummaryCard = ({ title, value, icon: Icon, plData, iconBgColor = 'bg-blue-500/10', loading = false }) => {
+const SummaryCard = ({ title, value, icon: Icon, plData, iconBgColor = 'bg-blue-500/10', loading = false, subtitle = null, periodReturns = null }) => {
   const isPositive = plData ? plData.amount >= 0 : null;
   const plColor = isPositive === true ? 'text-green-500' : isPositive === false ? 'text-red-500' : '';
   const plBgColor = isPositive === true ? 'bg-green-500/10' : isPositive === false ? 'bg-red-500/10' : '';
@@ -86,6 +89,30 @@ const SummaryCard = ({ title, value, icon: Icon, plData, iconBgColor = 'bg-blue-
             : plData.amount}
         </div>
       )}
+
+      {/* Subtitle (if applicable) */}
+      {subtitle && (
+        <div className="text-[9px] md:text-xs text-slate-500 dark:text-slate-400 mt-0.5 md:mt-1 leading-tight">
+          {subtitle}
+        </div>
+      )}
+
+      {/* Period Returns (if applicable) */}
+      {periodReturns?.length > 0 && (
+        <div className="hidden md:grid grid-cols-4 gap-1 mt-2 pt-2 border-t border-slate-100 dark:border-slate-700">
+          {periodReturns.map(({ label, value: ratio }) => (
+            <div key={label} className="text-center">
+              <div className="text-[10px] text-slate-400 leading-tight">{label}</div>
+              <div
+                className={`text-xs font-semibold leading-tight ${typeof ratio !== 'number' ? 'text-slate-400' : ratio >= 0 ? 'text-green-500' : 'text-red-500'}`}
+                dir="ltr"
+              >
+                {formatReturn(ratio)}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,74 @@
+import { useMemo } from 'react';
+import { getTreeAllocation, getItemBand, getBandLimit } from '../utils/rebalancing';
+
+/**
+ * TargetTreeAnalysis Component
+ * Current against target on every level of a hierarchy group - within the parent and of the whole portfolio
+ *
+ * @param {Object} group - { levels, tree, band, itemBands }
+ * @param {Array} assets - Valued assets
+ * @param {Function} formatValue - Formats an amount in the reporting currency
+ */
+const TargetTreeAnalysis = ({ group, assets, formatValue }) => {
+  const rows = useMemo(() => getTreeAllocation(assets, group), [assets, group]);
+
+  if (rows.length === 0) {
+    return (
+      <div className="text-center py-12 text-slate-400 dark:text-slate-500">
+        <p className="text-sm">אין נתונים להצגה עבור עץ היעדים</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="border-b-2 border-slate-200 dark:border-slate-700 text-slate-700 dark:text-slate-300">
+            <th className="text-right py-3 px-4 font-bold">פריט</th>
+            <th className="text-center py-3 px-3 font-bold">שווי</th>
+            <th className="text-center py-3 px-3 font-bold">נוכחי ברמה</th>
+            <th className="text-center py-3 px-3 font-bold">יעד ברמה</th>
+            <th className="text-center py-3 px-3 font-bold">סטייה ברמה</th>
+            <th className="text-center py-3 px-3 font-bold hidden md:table-cell">נוכחי / יעד מהתיק</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-slate-100 dark:divide-slate-700">
+          {rows.map(row => {
+            const limit = getBandLimit(getItemBand(group, row.path), row.target);
+            const breached = Math.abs(row.drift) > 0.01 && Math.abs(row.drift) > limit;
+            return (
+              <tr key={row.path} className="hover:bg-slate-50 dark:hover:bg-slate-700/50 transition-colors">
+                <td className="py-3 px-4">
+                  <span
+                    className={`text-slate-900 dark:text-white ${row.depth === 0 ? 'font-bold' : 'font-medium'}`}
+                    style={{ paddingRight: `${row.depth * 1.25}rem` }}
+                  >
+                    {row.depth > 0 && <span className="text-slate-300 dark:text-slate-600 ml-1">└</span>}
+                    {row.item}
+                  </span>
+                </td>
+                <td className="py-3 px-3 text-center font-mono text-slate-600 dark:text-slate-300">{formatValue(row.value)}</td>
+                <td className="py-3 px-3 text-center font-bold text-slate-900 dark:text-white">{row.current.toFixed(1)}%</td>
+                <td className="py-3 px-3 text-center text-slate-700 dark:text-slate-300">{row.target > 0 ? `${row.target}%` : '—'}</td>
+                <td className="py-3 px-3 text-center">
+                  <span className={`inline-block px-2.5 py-0.5 rounded-full text-xs font-bold ${breached
+                    ? 'bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-400'
+                    : 'bg-emerald-50 dark:bg-emerald-900/20 text-emerald-700 dark:text-emerald-400'
+                    }`}>
+                    {row.drift > 0 ? '+' : ''}{row.drift.toFixed(1)}
+                  </span>
+                </td>
+                <td className="py-3 px-3 text-center text-xs text-slate-500 dark:text-slate-400 hidden md:table-cell">
+                  {row.currentAbs.toFixed(1)}% / {row.targetAbs.toFixed(1)}%
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default TargetTreeAnalysis;
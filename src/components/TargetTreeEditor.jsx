@@ -0,0 +1,179 @@
+import { useState, useMemo } from 'react';
+import { ChevronDown, ChevronLeft, Plus, AlertCircle, Check } from 'lucide-react';
+import { getAvailableItems, hasChildTargets, PATH_SEPARATOR } from '../utils/rebalancing';
+
+/**
+ * Immutable update of one node of a target tree
+ * @param {Object} nodes - { [item]: { target, children } }
+ * @param {Array} keys - Item at each level down to the node
+ * @param {Function} update - node → new node
+ */
+const updateNode = (nodes, [key, ...rest], update) => {
+  const node = nodes?.[key] || { target: 0 };
+  return {
+    ...(nodes || {}),
+    [key]: rest.length === 0
+      ? update(node)
+      : { ...node, children: updateNode(node.children, rest, update) },
+  };
+};
+
+const sumTargets = (nodes) =>
+  Object.values(nodes || {}).reduce((sum, node) => sum + (Number(node?.target) || 0), 0);
+
+/**
+ * TargetTreeEditor Component
+ * Nested targets of a hierarchy group - each level is a percent of its parent and sums to 100%
+ *
+ * @param {Object} group - { levels, tree }
+ * @param {Array} assets - Valued assets
+ * @param {Object} systemData - Items of the first level
+ * @param {Object} groupTypes - GROUP_TYPES of the rebalancing page (level labels)
+ * @param {Function} onChange - Called with the new tree
+ */
+const TargetTreeEditor = ({ group, assets, systemData, groupTypes, onChange }) => {
+  const levels = useMemo(() => group.levels || [], [group.levels]);
+  const tree = group.tree || {};
+  const [expanded, setExpanded] = useState(() => new Set());
+
+  // Value of every path prefix, and the items held under it at the next level
+  const { valueByPath, heldByPath } = useMemo(() => {
+    const values = { '': 0 };
+    const held = {};
+    (assets || []).forEach(asset => {
+      const value = Number(asset.value) || 0;
+      values[''] += value;
+      let prefix = '';
+      for (const level of levels) {
+        const item = asset[level];
+        if (!item) break;
+        (held[prefix] = held[prefix] || new Set()).add(item);
+        prefix = prefix ? `${prefix}${PATH_SEPARATOR}${item}` : item;
+        values[prefix] = (values[prefix] || 0) + value;
+      }
+    });
+    return { valueByPath: values, heldByPath: held };
+  }, [assets, levels]);
+
+  const toggle = (path) => {
+    const next = new Set(expanded);
+    if (next.has(path)) next.delete(path);
+    else next.add(path);
+    setExpanded(next);
+  };
+
+  const setTarget = (keys, value) => {
+    const target = Math.max(0, Math.min(100, Number(value) || 0));
+    onChange(updateNode(tree, keys, node => ({ ...node, target })));
+  };
+
+  const addItem = (keys, item) => {
+    if (!item) return;
+    if (keys.length === 0) {
+      onChange({ ...tree, [item]: tree[item] || { target: 0 } });
+    } else {
+      onChange(updateNode(tree, keys, node => ({ ...node, children: { ...(node.children || {}), [item]: { target: 0 } } })));
+    }
+  };
+
+  const renderLevel = (nodes, depth, keys, parentAbs) => {
+    const level = levels[depth];
+    const prefix = keys.join(PATH_SEPARATOR);
+    const items = [...new Set([
+      ...Object.keys(nodes || {}),
+      ...(heldByPath[prefix] || []),
+    ])];
+    items.sort((a, b) => (Number(nodes?.[b]?.target) || 0) - (Number(nodes?.[a]?.target) || 0) || (valueByPath[b] || 0) - (valueByPath[a] || 0));
+    const addable = getAvailableItems(level, systemData, assets)
+      .map(item => (typeof item === 'string' ? item : item.name))
+      .filter(name => !items.includes(name));
+    const total = sumTargets(nodes);
+    const isDefined = depth === 0 || total > 0;
+    const isValid = Math.abs(total - 100) < 0.01;
+
+    return (
+      <div className={depth > 0 ? 'mr-6 pr-3 border-r-2 border-slate-200 dark:border-slate-700 space-y-2' : 'space-y-2'}>
+        <div className="flex items-center justify-between text-xs text-slate-500 dark:text-slate-400">
+          <span className="font-semibold">{groupTypes[level]?.label || level}{depth > 0 && ' (מתוך ההורה)'}</span>
+          {isDefined && (
+            <span className={`flex items-center gap-1 font-bold ${isValid ? 'text-emerald-600 dark:text-emerald-400' : 'text-red-600 dark:text-red-400'}`}>
+              {isValid ? <Check size={12} /> : <AlertCircle size={12} />}
+              {total.toFixed(1)}%
+            </span>
+          )}
+        </div>
+
+        {items.map(item => {
+          const node = nodes?.[item];
+          const itemKeys = [...keys, item];
+          const path = itemKeys.join(PATH_SEPARATOR);
+          const target = Number(node?.target) || 0;
+          const targetAbs = (parentAbs * target) / 100;
+          const parentValue = valueByPath[prefix] || 0;
+          const current = parentValue > 0 ? ((valueByPath[path] || 0) / parentValue) * 100 : 0;
+          const canSplit = depth + 1 < levels.length;
+          const isOpen = expanded.has(path) || hasChildTargets(node);
+
+          return (
+            <div key={path} className="space-y-2">
+              <div className="flex items-center gap-2 p-2 rounded-xl bg-slate-50 dark:bg-slate-900/50 border border-slate-200 dark:border-slate-700">
+                {canSplit ? (
+                  <button
+                    onClick={() => toggle(path)}
+                    disabled={hasChildTargets(node)}
+                    className="p-1 rounded text-slate-500 hover:bg-slate-200 dark:hover:bg-slate-700 disabled:opacity-60"
+                    title={isOpen ? 'כווץ' : `פצל לפי ${groupTypes[levels[depth + 1]]?.label || levels[depth + 1]}`}
+                  >
+                    {isOpen ? <ChevronDown size={16} /> : <ChevronLeft size={16} />}
+                  </button>
+                ) : (
+                  <span className="w-6" />
+                )}
+                <span className="flex-1 text-sm font-semibold text-slate-800 dark:text-slate-100 truncate">{item}</span>
+                <span className="text-xs text-slate-500 dark:text-slate-400 hidden sm:inline">נוכחי {current.toFixed(1)}%</span>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  step="0.1"
+                  value={target}
+                  onChange={(e) => setTarget(itemKeys, e.target.value)}
+                  className="w-20 border border-slate-300 dark:border-slate-600 rounded-lg px-2 py-1 text-right font-bold bg-white dark:bg-slate-700 text-slate-900 dark:text-slate-100"
+                />
+                <span className="text-sm font-bold text-slate-500 dark:text-slate-400">%</span>
+                <span className="w-20 text-xs text-slate-500 dark:text-slate-400 text-left" title="חלק מכלל התיק">= {targetAbs.toFixed(1)}%</span>
+              </div>
+              {canSplit && isOpen && renderLevel(node?.children, depth + 1, itemKeys, targetAbs)}
+            </div>
+          );
+        })}
+
+        {addable.length > 0 && (
+          <div className="flex items-center gap-2 text-xs">
+            <Plus size={14} className="text-slate-400" />
+            <select
+              value=""
+              onChange={(e) => addItem(keys, e.target.value)}
+              className="border border-slate-200 dark:border-slate-600 rounded-lg px-2 py-1 bg-white dark:bg-slate-700 text-slate-700 dark:text-slate-200"
+            >
+              <option value="">הוסף {groupTypes[level]?.label || level}...</option>
+              {addable.map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="text-xs text-slate-500 dark:text-slate-400">
+        {levels.map(level => groupTypes[level]?.label || level).join(PATH_SEPARATOR)}
+        {' '}· כל רמה מחושבת כאחוז מהפריט שמעליה ומסתכמת ל-100%. פריט שלא פוצל הוא יעד סופי.
+      </div>
+      {levels.length > 0 && renderLevel(tree, 0, [], 100)}
+    </div>
+  );
+};
+
+export default TargetTreeEditor;
@@ -0,0 +1,340 @@
+import { useState, useMemo, useEffect } from 'react';
+import { addDoc, collection } from 'firebase/firestore';
+import { ListChecks, ArrowUpCircle, ArrowDownCircle, AlertCircle, Save, Loader2, Lock } from 'lucide-react';
+import { db, appId } from '../services/firebase';
+import { solveRebalance, SOLVER_MODES, UNASSIGNED_ITEM } from '../utils/rebalanceSolver';
+import { isGroupValid } from '../utils/rebalancing';
+import { useReportingCurrency } from '../contexts/reportingCurrency';
+import { getCurrencySymbol } from '../services/currency';
+import { successToast, errorAlert } from '../utils/alerts';
+
+const INPUT_CLASS = 'mt-1 w-full p-2 rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 text-slate-900 dark:text-white';
+const CELL_INPUT_CLASS = 'w-28 p-1 rounded border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 text-slate-900 dark:text-white text-sm font-mono';
+
+const UNFILLED_REASONS = {
+  'no-holding': 'אין בפריט נכס נסחר לקנייה',
+  'no-cash': 'אין מספיק מזומן (בפלטפורמה)',
+  'min-trade': 'מתחת לגודל העסקה המינימלי',
+  rounding: 'עיגול ליחידות שלמות',
+};
+
+const formatUnits = (units) => units.toLocaleString('he-IL', { maximumFractionDigits: units < 1 ? 6 : 2 });
+
+/**
+ * TradeListPlanner Component
+ * Deterministic trade list for one allocation group (see utils/rebalanceSolver), saveable as a report
+ *
+ * @param {Array} assets - Valued assets (reporting currency)
+ * @param {Array} groups - Rebalancing groups: [{ id, type, targets }]
+ * @param {Object} groupTypes - GROUP_TYPES of the rebalancing page (labels)
+ * @param {Object} user - Firebase user (null → no saving)
+ * @param {Function} onSaved - Called with the saved report
+ */
+const TradeListPlanner = ({ assets, groups, groupTypes, user, onSaved }) => {
+  const reportingCurrency = useReportingCurrency();
+  const currencySymbol = getCurrencySymbol(reportingCurrency);
+  const validGroups = useMemo(() => groups.filter(isGroupValid), [groups]);
+
+  const [groupId, setGroupId] = useState(validGroups[0]?.id || '');
+  const [mode, setMode] = useState('full');
+  const [newCash, setNewCash] = useState('');
+  const [minTrade, setMinTrade] = useState('');
+  const [wholeShares, setWholeShares] = useState(true);
+  const [keepWithinPlatform, setKeepWithinPlatform] = useState(false);
+  const [platforms, setPlatforms] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!validGroups.some(g => g.id === groupId)) setGroupId(validGroups[0]?.id || '');
+  }, [validGroups, groupId]);
+
+  const platformNames = useMemo(
+    () => [...new Set(assets.map(a => a.platform).filter(Boolean))].sort(),
+    [assets]
+  );
+  const group = validGroups.find(g => g.id === groupId);
+  const hasPlatformCash = Object.values(platforms).some(p => Number(p.cash) > 0);
+
+  const result = useMemo(() => (group ? solveRebalance(assets, group, {
+    mode,
+    newCash: Number(newCash) || 0,
+    minTrade: Number(minTrade) || 0,
+    wholeShares,
+    keepWithinPlatform,
+    platforms,
+  }) : null), [assets, group, mode, newCash, minTrade, wholeShares, keepWithinPlatform, platforms]);
+
+  const updatePlatform = (name, changes) => {
+    setPlatforms({ ...platforms, [name]: { ...(platforms[name] || {}), ...changes } });
+  };
+
+  const formatAmount = (value) => `${currencySymbol}${Math.round(value).toLocaleString('he-IL')}`;
+  const groupLabel = group ? groupTypes[group.type]?.label || group.type : '';
+
+  const buildReport = () => {
+    const lines = [
+      `## רשימת פעולות לאיזון - ${groupLabel}`,
+      '',
+      `- **מצב:** ${SOLVER_MODES[mode].label}`,
+      `- **כסף חדש:** ${formatAmount(result.totals.newCash)}`,
+      `- **סה"כ מכירות:** ${formatAmount(result.totals.sell)} · **סה"כ קניות:** ${formatAmount(result.totals.buy)} · **מזומן שנותר:** ${formatAmount(result.totals.cashLeft)}`,
+      `- **אילוצים:** ${[
+        minTrade ? `עסקה מינימלית ${formatAmount(Number(minTrade))}` : null,
+        wholeShares ? 'יחידות שלמות' : null,
+        keepWithinPlatform ? 'ללא העברות בין פלטפורמות' : null,
+        ...Object.entries(platforms).filter(([, p]) => p.locked).map(([name]) => `${name} נעולה`),
+      ].filter(Boolean).join(', ') || 'ללא'}`,
+      '',
+      '### פעולות',
+      '',
+      '| פעולה | נכס | פלטפורמה | יחידות | מחיר | סכום |',
+      '|---|---|---|---|---|---|',
+      ...result.trades.map(t => `| ${t.side === 'buy' ? 'קנייה' : 'מכירה'} | ${t.name}${t.symbol ? ` (${t.symbol})` : ''} | ${t.platform || '—'} | ${formatUnits(t.units)} | ${currencySymbol}${t.price.toLocaleString('he-IL', { maximumFractionDigits: 2 })} | ${formatAmount(t.amount)} |`),
+      '',
+      '### הקצאה',
+      '',
+      '| פריט | נוכחי | יעד | אחרי הביצוע |',
+      '|---|---|---|---|',
+      ...Object.keys(result.after).map(item => `| ${item} | ${(result.before[item] || 0).toFixed(1)}% | ${(result.targets[item] || 0).toFixed(1)}% | ${result.after[item].toFixed(1)}% |`),
+    ];
+    if (result.unfilled.length > 0) {
+      lines.push('', '### לא בוצע', '', ...result.unfilled.map(u => `- ${u.item}: ${formatAmount(u.amount)} - ${UNFILLED_REASONS[u.reason]}`));
+    }
+    return lines.join('\n');
+  };
+
+  const handleSave = async () => {
+    if (!user || !db || !result) return;
+    setSaving(true);
+    try {
+      const report = {
+        date: new Date().toISOString(),
+        displayDate: new Date().toLocaleDateString('he-IL'),
+        content: buildReport(),
+        tag: 'רשימת פעולות',
+        source: 'rebalancing',
+        trades: result.trades,
+        currency: reportingCurrency,
+      };
+      const reportRef = await addDoc(collection(db, 'artifacts', appId, 'users', user.uid, 'reports'), report);
+      successToast('רשימת הפעולות נשמרה בדוחות', 2000);
+      onSaved?.({ id: reportRef.id, ...report });
+    } catch (error) {
+      console.error('Error saving trade list:', error);
+      errorAlert('שגיאה', 'שמירת רשימת הפעולות נכשלה');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (validGroups.length === 0) {
+    return (
+      <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-slate-200 dark:border-slate-700 p-6 text-center text-sm text-slate-500 dark:text-slate-400">
+        הגדר קבוצת איזון שהיעדים שלה מסתכמים ל-100% כדי לקבל רשימת פעולות
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Settings */}
+      <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-slate-200 dark:border-slate-700 p-4 md:p-6 space-y-4">
+        <div className="flex items-center gap-2">
+          <ListChecks className="text-emerald-600 dark:text-emerald-400" size={20} />
+          <h3 className="text-lg font-bold text-slate-800 dark:text-white">מחולל רשימת פעולות</h3>
+        </div>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+          <label className="text-sm text-slate-600 dark:text-slate-300">
+            קבוצת איזון
+            <select value={groupId} onChange={e => setGroupId(e.target.value)} className={INPUT_CLASS}>
+              {validGroups.map(g => <option key={g.id} value={g.id}>{groupTypes[g.type]?.label || g.type}</option>)}
+            </select>
+          </label>
+          <label className="text-sm text-slate-600 dark:text-slate-300">
+            מצב
+            <select value={mode} onChange={e => setMode(e.target.value)} className={INPUT_CLASS}>
+              {Object.entries(SOLVER_MODES).map(([key, m]) => <option key={key} value={key}>{m.label}</option>)}
+            </select>
+          </label>
+          <label className="text-sm text-slate-600 dark:text-slate-300">
+            כסף חדש ({currencySymbol})
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={hasPlatformCash ? Object.values(platforms).reduce((sum, p) => sum + (Number(p.cash) || 0), 0) : newCash}
+              onChange={e => setNewCash(e.target.value)}
+              disabled={hasPlatformCash}
+              className={`${INPUT_CLASS} disabled:opacity-60`}
+            />
+          </label>
+          <label className="text-sm text-slate-600 dark:text-slate-300">
+            עסקה מינימלית ({currencySymbol})
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={minTrade}
+              onChange={e => setMinTrade(e.target.value)}
+              className={INPUT_CLASS}
+            />
+          </label>
+        </div>
+        <p className="text-xs text-slate-500 dark:text-slate-400">{SOLVER_MODES[mode].description}</p>
+        <div className="flex flex-wrap gap-6">
+          <label className="flex items-center gap-2 text-sm text-slate-700 dark:text-slate-300">
+            <input type="checkbox" checked={wholeShares} onChange={e => setWholeShares(e.target.checked)} className="rounded" />
+            עיגול ליחידות שלמות (קריפטו נשאר שברי)
+          </label>
+          <label className="flex items-center gap-2 text-sm text-slate-700 dark:text-slate-300">
+            <input type="checkbox" checked={keepWithinPlatform} onChange={e => setKeepWithinPlatform(e.target.checked)} className="rounded" />
+            ללא העברות כסף בין פלטפורמות
+          </label>
+        </div>
+
+        {/* Per-platform constraints */}
+        {platformNames.length > 0 && (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-right text-xs text-slate-500 dark:text-slate-400 border-b border-slate-200 dark:border-slate-700">
+                  <th className="py-2 px-2 font-medium">פלטפורמה</th>
+                  <th className="py-2 px-2 font-medium">מזומן זמין להשקעה ({currencySymbol})</th>
+                  <th className="py-2 px-2 font-medium">נעולה (ללא פעולות)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {platformNames.map(name => (
+                  <tr key={name} className="border-b border-slate-100 dark:border-slate-700/50">
+                    <td className="py-1.5 px-2 text-slate-700 dark:text-slate-200">{name}</td>
+                    <td className="py-1.5 px-2">
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        value={platforms[name]?.cash ?? ''}
+                        onChange={e => updatePlatform(name, { cash: e.target.value })}
+                        className={CELL_INPUT_CLASS}
+                      />
+                    </td>
+                    <td className="py-1.5 px-2">
+                      <input
+                        type="checkbox"
+                        checked={!!platforms[name]?.locked}
+                        onChange={e => updatePlatform(name, { locked: e.target.checked })}
+                        className="rounded"
+                      />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="text-xs text-slate-500 dark:text-slate-400 mt-2">מזומן לפי פלטפורמה מחליף את שדה הכסף החדש. פלטפורמה נעולה (למשל קרן פנסיה) נספרת בהקצאה אך לא נסחרת.</p>
+          </div>
+        )}
+      </div>
+
+      {/* Result */}
+      {result && (
+        <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-slate-200 dark:border-slate-700 p-4 md:p-6 space-y-4">
+          <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+            <div className="flex flex-wrap gap-4 text-sm">
+              <span className="text-red-600 dark:text-red-400">מכירות: <span className="font-mono font-semibold">{formatAmount(result.totals.sell)}</span></span>
+              <span className="text-emerald-600 dark:text-emerald-400">קניות: <span className="font-mono font-semibold">{formatAmount(result.totals.buy)}</span></span>
+              <span className="text-slate-600 dark:text-slate-300">מזומן שנותר: <span className="font-mono font-semibold">{formatAmount(result.totals.cashLeft)}</span></span>
+            </div>
+            {user && (
+              <button
+                onClick={handleSave}
+                disabled={saving || result.trades.length === 0}
+                className="flex items-center justify-center gap-2 px-4 py-2 text-sm font-medium bg-emerald-600 hover:bg-emerald-700 disabled:opacity-50 text-white rounded-lg transition-colors"
+              >
+                {saving ? <Loader2 size={16} className="animate-spin" /> : <Save size={16} />}
+                שמור לדוחות
+              </button>
+            )}
+          </div>
+
+          {result.trades.length === 0 ? (
+            <p className="text-sm text-slate-500 dark:text-slate-400 text-center py-4">אין פעולות לביצוע במגבלות שהוגדרו</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-right text-xs text-slate-500 dark:text-slate-400 border-b border-slate-200 dark:border-slate-700">
+                    <th className="py-2 px-2 font-medium">פעולה</th>
+                    <th className="py-2 px-2 font-medium">נכס</th>
+                    <th className="py-2 px-2 font-medium">פלטפורמה</th>
+                    <th className="py-2 px-2 font-medium">יחידות</th>
+                    <th className="py-2 px-2 font-medium">מחיר</th>
+                    <th className="py-2 px-2 font-medium">סכום</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.trades.map((trade, index) => (
+                    <tr key={`${trade.assetId}-${trade.side}-${index}`} className="border-b border-slate-100 dark:border-slate-700/50">
+                      <td className="py-2 px-2">
+                        {trade.side === 'buy' ? (
+                          <span className="flex items-center gap-1 text-emerald-600 dark:text-emerald-400 font-medium"><ArrowUpCircle size={16} /> קנייה</span>
+                        ) : (
+                          <span className="flex items-center gap-1 text-red-600 dark:text-red-400 font-medium"><ArrowDownCircle size={16} /> מכירה</span>
+                        )}
+                      </td>
+                      <td className="py-2 px-2 text-slate-800 dark:text-slate-100">
+                        {trade.name}
+                        {trade.symbol && <span className="text-xs text-slate-400 mr-1">({trade.symbol})</span>}
+                        <div className="text-xs text-slate-400">{trade.item}</div>
+                      </td>
+                      <td className="py-2 px-2 text-slate-600 dark:text-slate-300">{trade.platform || '—'}</td>
+                      <td className="py-2 px-2 font-mono text-slate-700 dark:text-slate-200">{formatUnits(trade.units)}</td>
+                      <td className="py-2 px-2 font-mono text-slate-600 dark:text-slate-300">
+                        {currencySymbol}{trade.price.toLocaleString('he-IL', { maximumFractionDigits: 2 })}
+                        {trade.priceNative !== null && trade.currency !== reportingCurrency && (
+                          <div className="text-xs text-slate-400">{trade.priceNative.toLocaleString('he-IL', { maximumFractionDigits: 2 })} {trade.currency}</div>
+                        )}
+                      </td>
+                      <td className="py-2 px-2 font-mono font-semibold text-slate-800 dark:text-slate-100">{formatAmount(trade.amount)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Allocation before / after */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+            {Object.keys(result.after).map(item => {
+              const target = result.targets[item] || 0;
+              const offTarget = Math.abs(result.after[item] - target) > 2;
+              return (
+                <div key={item} className="flex items-center justify-between gap-2 px-3 py-2 rounded-lg bg-slate-50 dark:bg-slate-900/50 text-sm">
+                  <span className="text-slate-700 dark:text-slate-200 truncate">
+                    {item === UNASSIGNED_ITEM && <Lock size={12} className="inline ml-1 text-slate-400" />}
+                    {item}
+                  </span>
+                  <span className="font-mono text-xs text-slate-500 dark:text-slate-400 flex-shrink-0">
+                    {(result.before[item] || 0).toFixed(1)}% ← <span className={offTarget ? 'text-amber-600 dark:text-amber-400' : 'text-emerald-600 dark:text-emerald-400'}>{result.after[item].toFixed(1)}%</span> (יעד {target.toFixed(1)}%)
+                  </span>
+                </div>
+              );
+            })}
+          </div>
+
+          {result.unfilled.length > 0 && (
+            <div className="p-3 rounded-lg bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 text-sm text-amber-800 dark:text-amber-300 space-y-1">
+              <div className="flex items-center gap-2 font-semibold">
+                <AlertCircle size={16} />
+                לא בוצע במלואו
+              </div>
+              {result.unfilled.map(u => (
+                <div key={u.item}>{u.item}: {formatAmount(u.amount)} - {UNFILLED_REASONS[u.reason]}</div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TradeListPlanner;
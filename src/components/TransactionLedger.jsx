@@ -0,0 +1,430 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Plus, Trash2, Loader2, AlertCircle, ListOrdered, Layers } from 'lucide-react';
+import { confirmAlert, successToast, errorAlert } from '../utils/alerts';
+import { useSettings } from '../hooks/useSettings';
+import {
+    TRANSACTION_TYPES,
+    subscribeToTransactions,
+    saveTransaction,
+    deleteTransaction,
+    derivePosition,
+    setAssetCostBasisMethod
+} from '../services/transactionService';
+import { COST_BASIS_METHODS, DEFAULT_COST_BASIS_METHOD, findOverSell } from '../utils/lotMatching';
+
+const TYPE_BADGE_CLASSES = {
+    buy: 'bg-emerald-100 dark:bg-emerald-900/30 text-emerald-700 dark:text-emerald-300',
+    sell: 'bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300',
+    deposit: 'bg-blue-100 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300',
+    withdrawal: 'bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-300',
+    transfer_in: 'bg-indigo-100 dark:bg-indigo-900/30 text-indigo-700 dark:text-indigo-300',
+    transfer_out: 'bg-purple-100 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300',
+    fee: 'bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-300',
+    split: 'bg-cyan-100 dark:bg-cyan-900/30 text-cyan-700 dark:text-cyan-300'
+};
+
+const emptyTransaction = () => ({
+    type: 'buy',
+    date: new Date().toISOString().split('T')[0],
+    quantity: '',
+    price: '',
+    fee: '',
+    note: '',
+    lotSelections: {}
+});
+
+/**
+ * יומן תנועות של נכס - קניות, מכירות, העברות ועמלות.
+ * הכמות ועלות הממוצע של הנכס נגזרות מהתנועות.
+ */
+const TransactionLedger = ({ user, asset }) => {
+    const [transactions, setTransactions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [draft, setDraft] = useState(emptyTransaction);
+    const { settings } = useSettings(user);
+
+    const defaultMethod = settings.costBasisMethod || DEFAULT_COST_BASIS_METHOD;
+    const method = asset?.costBasisMethod || defaultMethod;
+
+    const currencySymbol = asset?.currency === 'USD' ? '$' : '₪';
+
+    useEffect(() => {
+        if (!user || !asset?.id) {
+            setLoading(false);
+            return;
+        }
+        setLoading(true);
+        const unsubscribe = subscribeToTransactions(user, asset.id, (items) => {
+            setTransactions(items);
+            setLoading(false);
+        });
+        return () => unsubscribe();
+    }, [user, asset?.id]);
+
+    const position = useMemo(() => derivePosition(transactions, method), [transactions, method]);
+    const showLotPicker = draft.type === 'sell' && method === 'SPECIFIC' && position.openLots.length > 0;
+
+    const formatNumber = (num, digits = 2) =>
+        Number(num || 0).toLocaleString('he-IL', { maximumFractionDigits: digits });
+
+    const handleAdd = async (e) => {
+        e.preventDefault();
+        if (!draft.quantity && draft.type !== 'fee') {
+            await errorAlert('שגיאה', 'יש להזין כמות');
+            return;
+        }
+
+        // First ledger entry on an existing position - open it with the legacy quantity/price
+        // so the new transaction is added on top of what the asset already holds
+        const openingBalance = transactions.length === 0 && Number(asset.quantity) > 0
+            ? {
+                type: 'buy',
+                date: asset.purchaseDate || draft.date,
+                quantity: asset.quantity,
+                price: asset.purchasePrice || 0,
+                fee: 0,
+                note: 'יתרת פתיחה'
+            }
+            : null;
+
+        // A disposal larger than the position would be clamped by the lot matcher
+        const draftEntry = { ...draft, id: 'draft', createdAt: new Date() };
+        const overSell = findOverSell([...transactions, ...(openingBalance ? [openingBalance] : []), draftEntry]);
+        if (overSell?.transaction === draftEntry) {
+            await errorAlert('כמות גדולה מהמוחזק', `בתאריך ${draft.date} מוחזקות ${formatNumber(overSell.available, 8)} יחידות בלבד`);
+            return;
+        }
+
+        setSaving(true);
+        try {
+            if (openingBalance) {
+                await saveTransaction(user, asset.id, openingBalance);
+            }
+
+            const { lotSelections, ...transaction } = draft;
+            if (showLotPicker) {
+                transaction.lotSelections = Object.entries(lotSelections)
+                    .map(([lotId, quantity]) => ({ lotId, quantity: Number(quantity) || 0 }))
+                    .filter(selection => selection.quantity > 0);
+            }
+
+            await saveTransaction(user, asset.id, transaction);
+            setDraft(emptyTransaction());
+            await successToast('התנועה נשמרה', 1500);
+        } catch (error) {
+            console.error('Error saving transaction:', error);
+            await errorAlert('שגיאה', `אירעה שגיאה בשמירת התנועה: ${error.message}`);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async (tx) => {
+        const confirmed = await confirmAlert(
+            'מחיקת תנועה',
+            `האם למחוק את ה${TRANSACTION_TYPES[tx.type]?.label || 'תנועה'} מתאריך ${tx.date}?`,
+            'warning',
+            true
+        );
+        if (!confirmed) return;
+
+        try {
+            await deleteTransaction(user, asset.id, tx.id);
+        } catch (error) {
+            console.error('Error deleting transaction:', error);
+            await errorAlert('שגיאה', `אירעה שגיאה במחיקת התנועה: ${error.message}`);
+        }
+    };
+
+    const handleMethodChange = async (value) => {
+        try {
+            await setAssetCostBasisMethod(user, asset.id, value === 'DEFAULT' ? null : value);
+        } catch (error) {
+            console.error('Error updating cost basis method:', error);
+            await errorAlert('שגיאה', `אירעה שגיאה בעדכון שיטת החישוב: ${error.message}`);
+        }
+    };
+
+    if (!user) {
+        return (
+            <div className="flex items-center gap-3 p-4 text-slate-500 dark:text-slate-400">
+                <AlertCircle size={20} />
+                <p>יומן התנועות זמין רק למשתמש מחובר (לא במצב דמו).</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            {/* Cost basis method */}
+            <div className="flex flex-wrap items-center justify-between gap-3">
+                <div className="flex items-center gap-2 text-sm font-medium text-slate-700 dark:text-slate-300">
+                    <Layers size={16} />
+                    שיטת התאמת מנות
+                </div>
+                <select
+                    value={asset?.costBasisMethod || 'DEFAULT'}
+                    onChange={e => handleMethodChange(e.target.value)}
+                    className="p-2 border border-slate-200 dark:border-slate-600 rounded-lg bg-white dark:bg-slate-700 text-slate-900 dark:text-slate-100 text-sm"
+                >
+                    <option value="DEFAULT">ברירת מחדל ({COST_BASIS_METHODS[defaultMethod]?.label})</option>
+                    {Object.entries(COST_BASIS_METHODS).map(([key, { label }]) => (
+                        <option key={key} value={key}>{label}</option>
+                    ))}
+                </select>
+            </div>
+
+            {/* Derived position */}
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+                <div className="bg-blue-50 dark:bg-blue-900/20 rounded-lg p-3 border border-blue-200 dark:border-blue-800">
+                    <div className="text-sm text-blue-600 dark:text-blue-400 font-medium">כמות</div>
+                    <div className="text-xl font-bold text-blue-700 dark:text-blue-300 font-mono">
+                        {formatNumber(transactions.length ? position.quantity : asset.quantity, 6)}
+                    </div>
+                </div>
+                <div className="bg-emerald-50 dark:bg-emerald-900/20 rounded-lg p-3 border border-emerald-200 dark:border-emerald-800">
+                    <div className="text-sm text-emerald-600 dark:text-emerald-400 font-medium">עלות ממוצעת</div>
+                    <div className="text-xl font-bold text-emerald-700 dark:text-emerald-300 font-mono">
+                        {currencySymbol}{formatNumber(transactions.length ? position.avgCost : asset.purchasePrice, 4)}
+                    </div>
+                </div>
+                <div className="bg-slate-50 dark:bg-slate-900/50 rounded-lg p-3 border border-slate-200 dark:border-slate-700">
+                    <div className="text-sm text-slate-600 dark:text-slate-400 font-medium">עלות כוללת</div>
+                    <div className="text-xl font-bold text-slate-700 dark:text-slate-200 font-mono">
+                        {currencySymbol}{formatNumber(transactions.length ? position.costBasis : (asset.quantity || 0) * (asset.purchasePrice || 0))}
+                    </div>
+                </div>
+                <div className="bg-teal-50 dark:bg-teal-900/20 rounded-lg p-3 border border-teal-200 dark:border-teal-800">
+                    <div className="text-sm text-teal-600 dark:text-teal-400 font-medium">רווח ממומש</div>
+                    <div className={`text-xl font-bold font-mono ${position.realizedPL < 0 ? 'text-red-600 dark:text-red-400' : 'text-teal-700 dark:text-teal-300'}`} dir="ltr">
+                        {position.realizedPL < 0 ? '-' : ''}{currencySymbol}{formatNumber(Math.abs(position.realizedPL))}
+                    </div>
+                </div>
+                <div className="bg-purple-50 dark:bg-purple-900/20 rounded-lg p-3 border border-purple-200 dark:border-purple-800">
+                    <div className="text-sm text-purple-600 dark:text-purple-400 font-medium">עמלות</div>
+                    <div className="text-xl font-bold text-purple-700 dark:text-purple-300 font-mono">
+                        {currencySymbol}{formatNumber(position.totalFees)}
+                    </div>
+                </div>
+            </div>
+
+            {transactions.length === 0 && Number(asset.quantity) > 0 && (
+                <p className="text-xs text-amber-600 dark:text-amber-400">
+                    לנכס זה עדיין אין יומן תנועות. בשמירת התנועה הראשונה תיווצר אוטומטית תנועת פתיחה לפי הכמות ומחיר הרכישה הקיימים.
+                </p>
+            )}
+
+            {/* New transaction */}
+            <form onSubmit={handleAdd} className="grid grid-cols-2 md:grid-cols-6 gap-3 items-end p-4 bg-slate-50 dark:bg-slate-900/50 rounded-lg border border-slate-200 dark:border-slate-700">
+                <div className="col-span-2 md:col-span-1">
+                    <label className="block text-xs font-semibold text-slate-600 dark:text-slate-400 mb-1">סוג</label>
+                    <select
+                        value={draft.type}
+                        onChange={e => setDraft({ ...draft, type: e.target.value })}
+                        className="w-full p-2 border border-slate-200 dark:border-slate-600 rounded-lg bg-white dark:bg-slate-700 text-slate-900 dark:text-slate-100 text-sm"
+                    >
+                        {Object.entries(TRANSACTION_TYPES).filter(([, { system }]) => !system).map(([key, { label }]) => (
+                            <option key={key} value={key}>{label}</option>
+                        ))}
+                    </select>
+                </div>
+                <div className="col-span-2 md:col-span-1">
+                    <label className="block text-xs font-semibold text-slate-600 dark:text-slate-400 mb-1">תאריך</label>
+                    <input
+                        type="date"
+                        required
+                        value={draft.date}
+                        onChange={e => setDraft({ ...draft, date: e.target.value })}
+                        className="w-full p-2 border border-slate-200 dark:border-slate-600 rounded-lg bg-white dark:bg-slate-700 text-slate-900 dark:text-slate-100 text-sm"
+                    />
+                </div>
+                <div>
+                    <label className="block text-xs font-semibold text-slate-600 dark:text-slate-400 mb-1">כמות</label>
+                    <input
+                        type="number"
+                        step="any"
+                        min="0"
+                        value={draft.quantity}
+                        onChange={e => setDraft({ ...draft, quantity: e.target.value })}
+                        className="w-full p-2 border border-slate-200 dark:border-slate-600 rounded-lg bg-white dark:bg-slate-700 text-slate-900 dark:text-slate-100 font-mono text-sm"
+                    />
+                </div>
+                <div>
+                    <label className="block text-xs font-semibold text-slate-600 dark:text-slate-400 mb-1">מחיר ליחידה ({currencySymbol})</label>
+                    <input
+                        type="number"
+                        step="any"
+                        min="0"
+                        value={draft.price}
+                        onChange={e => setDraft({ ...draft, price: e.target.value })}
+                        className="w-full p-2 border border-slate-200 dark:border-slate-600 rounded-lg bg-white dark:bg-slate-700 text-slate-900 dark:text-slate-100 font-mono text-sm"
+                    />
+                </div>
+                <div>
+                    <label className="block text-xs font-semibold text-slate-600 dark:text-slate-400 mb-1">עמלה ({currencySymbol})</label>
+                    <input
+                        type="number"
+                        step="any"
+                        min="0"
+                        value={draft.fee}
+                        onChange={e => setDraft({ ...draft, fee: e.target.value })}
+                        className="w-full p-2 border border-slate-200 dark:border-slate-600 rounded-lg bg-white dark:bg-slate-700 text-slate-900 dark:text-slate-100 font-mono text-sm"
+                    />
+                </div>
+                <button
+                    type="submit"
+                    disabled={saving}
+                    className="flex items-center justify-center gap-2 px-4 py-2 text-sm font-medium bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    {saving ? <Loader2 size={16} className="animate-spin" /> : <Plus size={16} />}
+                    הוסף
+                </button>
+                {showLotPicker && (
+                    <div className="col-span-2 md:col-span-6 space-y-2">
+                        <p className="text-xs font-semibold text-slate-600 dark:text-slate-400">בחר מנות למכירה (יתרה לא משויכת תותאם לפי FIFO)</p>
+                        {position.openLots.map(lot => (
+                            <div key={lot.lotId} className="flex items-center gap-3 text-sm">
+                                <span className="font-mono text-slate-600 dark:text-slate-300 w-24">{lot.date}</span>
+                                <span className="font-mono text-slate-500 dark:text-slate-400 flex-1">
+                                    {formatNumber(lot.quantity, 6)} × {currencySymbol}{formatNumber(lot.unitCost, 4)}
+                                </span>
+                                <input
+                                    type="number"
+                                    step="any"
+                                    min="0"
+                                    max={lot.quantity}
+                                    value={draft.lotSelections[lot.lotId] || ''}
+                                    onChange={e => setDraft({ ...draft, lotSelections: { ...draft.lotSelections, [lot.lotId]: e.target.value } })}
+                                    placeholder="כמות"
+                                    className="w-28 p-1.5 border border-slate-200 dark:border-slate-600 rounded-lg bg-white dark:bg-slate-700 text-slate-900 dark:text-slate-100 font-mono text-sm"
+                                />
+                            </div>
+                        ))}
+                    </div>
+                )}
+                <div className="col-span-2 md:col-span-6">
+                    <input
+                        type="text"
+                        value={draft.note}
+                        onChange={e => setDraft({ ...draft, note: e.target.value })}
+                        placeholder="הערה (אופציונלי)"
+                        className="w-full p-2 border border-slate-200 dark:border-slate-600 rounded-lg bg-white dark:bg-slate-700 text-slate-900 dark:text-slate-100 text-sm"
+                    />
+                </div>
+            </form>
+
+            {/* Ledger table */}
+            <div className="bg-white dark:bg-slate-800 rounded-lg border border-slate-200 dark:border-slate-700 overflow-hidden">
+                <div className="overflow-x-auto">
+                    <table className="w-full">
+                        <thead className="bg-slate-50 dark:bg-slate-900/50 border-b border-slate-200 dark:border-slate-700">
+                            <tr>
+                                <th className="px-4 py-3 text-right text-sm font-semibold text-slate-700 dark:text-slate-300">תאריך</th>
+                                <th className="px-4 py-3 text-right text-sm font-semibold text-slate-700 dark:text-slate-300">סוג</th>
+                                <th className="px-4 py-3 text-right text-sm font-semibold text-slate-700 dark:text-slate-300">כמות</th>
+                                <th className="px-4 py-3 text-right text-sm font-semibold text-slate-700 dark:text-slate-300">מחיר</th>
+                                <th className="px-4 py-3 text-right text-sm font-semibold text-slate-700 dark:text-slate-300">עמלה</th>
+                                <th className="px-4 py-3 text-right text-sm font-semibold text-slate-700 dark:text-slate-300">הערה</th>
+                                <th className="px-4 py-3"></th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-slate-200 dark:divide-slate-700">
+                            {loading ? (
+                                <tr>
+                                    <td colSpan="7" className="px-4 py-8 text-center">
+                                        <Loader2 size={20} className="animate-spin inline text-slate-400" />
+                                    </td>
+                                </tr>
+                            ) : transactions.length === 0 ? (
+                                <tr>
+                                    <td colSpan="7" className="px-4 py-8 text-center text-slate-500 dark:text-slate-400">
+                                        <div className="flex flex-col items-center gap-2">
+                                            <ListOrdered size={24} />
+                                            אין תנועות עדיין
+                                        </div>
+                                    </td>
+                                </tr>
+                            ) : (
+                                [...transactions].reverse().map(tx => {
+                                    const typeInfo = TRANSACTION_TYPES[tx.type] || { label: tx.type, direction: 0 };
+                                    return (
+                                        <tr key={tx.id} className="hover:bg-slate-50 dark:hover:bg-slate-700/50">
+                                            <td className="px-4 py-3 text-sm text-slate-700 dark:text-slate-300 font-mono">{tx.date}</td>
+                                            <td className="px-4 py-3">
+                                                <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${TYPE_BADGE_CLASSES[tx.type] || TYPE_BADGE_CLASSES.fee}`}>
+                                                    {typeInfo.label}
+                                                </span>
+                                            </td>
+                                            <td className="px-4 py-3 text-sm font-mono text-slate-900 dark:text-slate-100">
+                                                {tx.type === 'split'
+                                                    ? `×${formatNumber(tx.ratio, 6)}`
+                                                    : `${typeInfo.direction < 0 && tx.quantity ? '-' : ''}${formatNumber(tx.quantity, 6)}`}
+                                            </td>
+                                            <td className="px-4 py-3 text-sm font-mono text-slate-700 dark:text-slate-300">
+                                                {tx.price ? `${currencySymbol}${formatNumber(tx.price, 4)}` : '-'}
+                                            </td>
+                                            <td className="px-4 py-3 text-sm font-mono text-slate-700 dark:text-slate-300">
+                                                {tx.fee ? `${currencySymbol}${formatNumber(tx.fee)}` : '-'}
+                                            </td>
+                                            <td className="px-4 py-3 text-xs text-slate-500 dark:text-slate-400">{tx.note || ''}</td>
+                                            <td className="px-4 py-3">
+                                                <button
+                                                    type="button"
+                                                    onClick={() => handleDelete(tx)}
+                                                    className="p-1.5 text-slate-400 hover:text-red-600 dark:hover:text-red-400 rounded transition-colors"
+                                                    title="מחק תנועה"
+                                                >
+                                                    <Trash2 size={16} />
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    );
+                                })
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            {/* Realized lots - for reconciling against broker statements */}
+            {position.closedLots.length > 0 && (
+                <div className="bg-white dark:bg-slate-800 rounded-lg border border-slate-200 dark:border-slate-700 overflow-hidden">
+                    <div className="px-4 py-3 border-b border-slate-200 dark:border-slate-700 bg-slate-50 dark:bg-slate-900/50 text-sm font-semibold text-slate-700 dark:text-slate-300">
+                        מנות ממומשות ({COST_BASIS_METHODS[position.method]?.label})
+                    </div>
+                    <div className="overflow-x-auto">
+                        <table className="w-full">
+                            <thead className="border-b border-slate-200 dark:border-slate-700">
+                                <tr>
+                                    <th className="px-4 py-2 text-right text-xs font-semibold text-slate-600 dark:text-slate-400">תאריך מכירה</th>
+                                    <th className="px-4 py-2 text-right text-xs font-semibold text-slate-600 dark:text-slate-400">תאריך רכישה</th>
+                                    <th className="px-4 py-2 text-right text-xs font-semibold text-slate-600 dark:text-slate-400">כמות</th>
+                                    <th className="px-4 py-2 text-right text-xs font-semibold text-slate-600 dark:text-slate-400">עלות</th>
+                                    <th className="px-4 py-2 text-right text-xs font-semibold text-slate-600 dark:text-slate-400">תמורה</th>
+                                    <th className="px-4 py-2 text-right text-xs font-semibold text-slate-600 dark:text-slate-400">רווח/הפסד</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-slate-200 dark:divide-slate-700">
+                                {position.closedLots.map((lot, index) => (
+                                    <tr key={`${lot.transactionId}-${lot.lotId}-${index}`}>
+                                        <td className="px-4 py-2 text-sm font-mono text-slate-700 dark:text-slate-300">{lot.disposedDate}</td>
+                                        <td className="px-4 py-2 text-sm font-mono text-slate-500 dark:text-slate-400">{lot.acquiredDate}</td>
+                                        <td className="px-4 py-2 text-sm font-mono text-slate-700 dark:text-slate-300">{formatNumber(lot.quantity, 6)}</td>
+                                        <td className="px-4 py-2 text-sm font-mono text-slate-700 dark:text-slate-300">{currencySymbol}{formatNumber(lot.cost)}</td>
+                                        <td className="px-4 py-2 text-sm font-mono text-slate-700 dark:text-slate-300">{currencySymbol}{formatNumber(lot.proceeds)}</td>
+                                        <td className={`px-4 py-2 text-sm font-mono ${lot.realizedPL >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`} dir="ltr">
+                                            {lot.realizedPL >= 0 ? '+' : '-'}{currencySymbol}{formatNumber(Math.abs(lot.realizedPL))}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default TransactionLedger;
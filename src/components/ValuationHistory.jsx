@@ -0,0 +1,305 @@
+import { useState, useEffect } from 'react';
+import { Plus, Trash2, Loader2, AlertCircle, Save } from 'lucide-react';
+import { confirmAlert, successToast, errorAlert } from '../utils/alerts';
+import {
+    VALUATION_SOURCES,
+    VALUATION_INTERPOLATIONS,
+    subscribeToValuations,
+    saveValuation,
+    deleteValuation,
+    updateValuationSettings
+} from '../services/valuationService';
+import { getValuationValue } from '../utils/valuations';
+import { getCurrencySymbol } from '../services/currency';
+
+const emptyValuation = () => ({
+    date: new Date().toISOString().split('T')[0],
+    value: '',
+    source: 'manual',
+    note: ''
+});
+
+const toSettings = (asset) => ({
+    interpolation: asset.valuation?.interpolation || 'step',
+    annualRate: asset.valuation?.annualRate ?? '',
+    cost: asset.valuation?.cost ?? (asset.originalValue || '')
+});
+
+const inputClass = 'w-full p-2 border border-slate-200 dark:border-slate-600 rounded-lg bg-white dark:bg-slate-700 text-slate-900 dark:text-slate-100 text-sm';
+
+/**
+ * הערכות שווי של נכס בשווי ידני (נדל"ן, חברה פרטית, קופה פנסיונית).
+ * כל הערכה מעדכנת את שווי הנכס; בין הערכות השווי נשאר קבוע או נע בקו ישר,
+ * ואחרי האחרונה הוא צובר את שיעור השינוי השנתי. העלות נשמרת בנפרד כדי שהערכה תיחשב רווח.
+ */
+const ValuationHistory = ({ user, asset }) => {
+    const [points, setPoints] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [draft, setDraft] = useState(emptyValuation);
+    const [settings, setSettings] = useState(() => toSettings(asset));
+
+    const symbol = getCurrencySymbol(asset.currency || 'ILS');
+
+    useEffect(() => {
+        if (!user || !asset?.id) {
+            setLoading(false);
+            return;
+        }
+        setLoading(true);
+        const unsubscribe = subscribeToValuations(user, asset.id, (items) => {
+            setPoints(items);
+            setLoading(false);
+        });
+        return () => unsubscribe();
+    }, [user, asset?.id]);
+
+    useEffect(() => {
+        setSettings(toSettings(asset));
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [asset?.id, asset?.valuation?.interpolation, asset?.valuation?.annualRate, asset?.valuation?.cost]);
+
+    const formatNumber = (num) =>
+        Number(num || 0).toLocaleString('he-IL', { maximumFractionDigits: 0 });
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (draft.value === '' || !(Number(draft.value) >= 0)) {
+            await errorAlert('שגיאה', 'יש להזין שווי תקין');
+            return;
+        }
+
+        setSaving(true);
+        try {
+            await saveValuation(user, asset, draft, points);
+            setDraft(emptyValuation());
+            await successToast('הערכת השווי נשמרה', 1500);
+        } catch (error) {
+            console.error('Error saving valuation:', error);
+            await errorAlert('שגיאה', `אירעה שגיאה בשמירת הערכת השווי: ${error.message}`);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async (point) => {
+        const confirmed = await confirmAlert(
+            'מחיקת הערכת שווי',
+            `האם למחוק את הערכת השווי מתאריך ${point.date}?`,
+            'warning',
+            true
+        );
+        if (!confirmed) return;
+
+        try {
+            await deleteValuation(user, asset, point.date, points);
+        } catch (error) {
+            console.error('Error deleting valuation:', error);
+            await errorAlert('שגיאה', `אירעה שגיאה במחיקת הערכת השווי: ${error.message}`);
+        }
+    };
+
+    const handleSaveSettings = async () => {
+        setSaving(true);
+        try {
+            await updateValuationSettings(user, asset, settings);
+            await successToast('הגדרות העקומה נשמרו', 1500);
+        } catch (error) {
+            console.error('Error saving valuation settings:', error);
+            await errorAlert('שגיאה', `אירעה שגיאה בשמירת ההגדרות: ${error.message}`);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (!user) {
+        return (
+            <div className="flex items-center gap-3 p-4 text-slate-500 dark:text-slate-400">
+                <AlertCircle size={20} />
+                <p>הערכות שווי זמינות רק למשתמש מחובר (לא במצב דמו).</p>
+            </div>
+        );
+    }
+
+    const hasCurve = !!asset.valuation?.date;
+
+    return (
+        <div className="space-y-6">
+            {/* Current value and curve settings */}
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-3 items-end p-4 bg-slate-50 dark:bg-slate-900/50 rounded-lg border border-slate-200 dark:border-slate-700">
+                <div className="col-span-2 md:col-span-1">
+                    <div className="text-xs font-semibold text-slate-600 dark:text-slate-400 mb-1">שווי נוכחי</div>
+                    <div className="text-lg font-bold font-mono text-slate-800 dark:text-white">
+                        {symbol}{formatNumber(getValuationValue(asset))}
+                    </div>
+                </div>
+                <div className="col-span-2 md:col-span-1">
+                    <label className="block text-xs font-semibold text-slate-600 dark:text-slate-400 mb-1">בין הערכות</label>
+                    <select
+                        value={settings.interpolation}
+                        onChange={e => setSettings({ ...settings, interpolation: e.target.value })}
+                        className={inputClass}
+                    >
+                        {Object.entries(VALUATION_INTERPOLATIONS).map(([key, { label }]) => (
+                            <option key={key} value={key}>{label}</option>
+                        ))}
+                    </select>
+                </div>
+                <div>
+                    <label className="block text-xs font-semibold text-slate-600 dark:text-slate-400 mb-1">שינוי שנתי אחרי ההערכה האחרונה (%)</label>
+                    <input
+                        type="number"
+                        step="any"
+                        value={settings.annualRate}
+                        onChange={e => setSettings({ ...settings, annualRate: e.target.value })}
+                        placeholder="0"
+                        className={`${inputClass} font-mono`}
+                    />
+                </div>
+                <div>
+                    <label className="block text-xs font-semibold text-slate-600 dark:text-slate-400 mb-1">עלות ({symbol})</label>
+                    <input
+                        type="number"
+                        step="any"
+                        min="0"
+                        value={settings.cost}
+                        onChange={e => setSettings({ ...settings, cost: e.target.value })}
+                        className={`${inputClass} font-mono`}
+                    />
+                </div>
+                <button
+                    type="button"
+                    onClick={handleSaveSettings}
+                    disabled={saving || !hasCurve}
+                    className="col-span-2 md:col-span-1 flex items-center justify-center gap-2 px-4 py-2 text-sm font-medium bg-slate-100 dark:bg-slate-700 hover:bg-slate-200 dark:hover:bg-slate-600 text-slate-700 dark:text-slate-200 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    <Save size={16} />
+                    שמור הגדרות
+                </button>
+                <p className="col-span-2 md:col-span-5 text-xs text-slate-500 dark:text-slate-400">
+                    שיעור שלילי מתאר פחת. העלות משמשת לחישוב הרווח והתשואה - הערכה חדשה משנה את השווי בלבד.
+                    {!hasCurve && ' ההגדרות זמינות אחרי הערכת השווי הראשונה.'}
+                </p>
+            </div>
+
+            {/* New valuation */}
+            <form onSubmit={handleSubmit} className="grid grid-cols-2 md:grid-cols-6 gap-3 items-end p-4 bg-slate-50 dark:bg-slate-900/50 rounded-lg border border-slate-200 dark:border-slate-700">
+                <div>
+                    <label className="block text-xs font-semibold text-slate-600 dark:text-slate-400 mb-1">תאריך</label>
+                    <input
+                        type="date"
+                        required
+                        value={draft.date}
+                        onChange={e => setDraft({ ...draft, date: e.target.value })}
+                        className={inputClass}
+                    />
+                </div>
+                <div>
+                    <label className="block text-xs font-semibold text-slate-600 dark:text-slate-400 mb-1">שווי ({symbol})</label>
+                    <input
+                        type="number"
+                        step="any"
+                        min="0"
+                        required
+                        value={draft.value}
+                        onChange={e => setDraft({ ...draft, value: e.target.value })}
+                        className={`${inputClass} font-mono`}
+                    />
+                </div>
+                <div>
+                    <label className="block text-xs font-semibold text-slate-600 dark:text-slate-400 mb-1">מקור</label>
+                    <select
+                        value={draft.source}
+                        onChange={e => setDraft({ ...draft, source: e.target.value })}
+                        className={inputClass}
+                    >
+                        {Object.entries(VALUATION_SOURCES).map(([key, label]) => (
+                            <option key={key} value={key}>{label}</option>
+                        ))}
+                    </select>
+                </div>
+                <div className="col-span-2">
+                    <label className="block text-xs font-semibold text-slate-600 dark:text-slate-400 mb-1">הערה</label>
+                    <input
+                        type="text"
+                        value={draft.note}
+                        onChange={e => setDraft({ ...draft, note: e.target.value })}
+                        placeholder="לדוגמה: שמאי מטעם הבנק"
+                        className={inputClass}
+                    />
+                </div>
+                <button
+                    type="submit"
+                    disabled={saving}
+                    className="col-span-2 md:col-span-1 flex items-center justify-center gap-2 px-4 py-2 text-sm font-medium bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    {saving ? <Loader2 size={16} className="animate-spin" /> : <Plus size={16} />}
+                    הוסף הערכה
+                </button>
+            </form>
+
+            {/* Valuation points */}
+            <div className="bg-white dark:bg-slate-800 rounded-lg border border-slate-200 dark:border-slate-700 overflow-hidden">
+                <div className="overflow-x-auto">
+                    <table className="w-full">
+                        <thead className="bg-slate-50 dark:bg-slate-900/50 border-b border-slate-200 dark:border-slate-700">
+                            <tr>
+                                <th className="px-4 py-3 text-right text-sm font-semibold text-slate-700 dark:text-slate-300">תאריך</th>
+                                <th className="px-4 py-3 text-right text-sm font-semibold text-slate-700 dark:text-slate-300">שווי</th>
+                                <th className="px-4 py-3 text-right text-sm font-semibold text-slate-700 dark:text-slate-300">שינוי</th>
+                                <th className="px-4 py-3 text-right text-sm font-semibold text-slate-700 dark:text-slate-300">מקור</th>
+                                <th className="px-4 py-3 text-right text-sm font-semibold text-slate-700 dark:text-slate-300">הערה</th>
+                                <th className="px-4 py-3"></th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-slate-200 dark:divide-slate-700">
+                            {loading ? (
+                                <tr>
+                                    <td colSpan="6" className="px-4 py-8 text-center">
+                                        <Loader2 size={20} className="animate-spin inline text-slate-400" />
+                                    </td>
+                                </tr>
+                            ) : points.length === 0 ? (
+                                <tr>
+                                    <td colSpan="6" className="px-4 py-8 text-center text-sm text-slate-500 dark:text-slate-400">
+                                        לא נרשמו הערכות שווי לנכס זה
+                                    </td>
+                                </tr>
+                            ) : (
+                                [...points].reverse().map((point, i, list) => {
+                                    const previous = list[i + 1];
+                                    const change = previous?.value > 0 ? ((point.value - previous.value) / previous.value) * 100 : null;
+                                    return (
+                                        <tr key={point.date} className="hover:bg-slate-50 dark:hover:bg-slate-700/50">
+                                            <td className="px-4 py-3 text-sm font-mono text-slate-600 dark:text-slate-300">{point.date}</td>
+                                            <td className="px-4 py-3 text-sm font-mono text-slate-800 dark:text-slate-100">{symbol}{formatNumber(point.value)}</td>
+                                            <td className={`px-4 py-3 text-sm font-mono ${change === null ? 'text-slate-400' : change >= 0 ? 'text-emerald-600 dark:text-emerald-400' : 'text-red-500'}`} dir="ltr">
+                                                {change === null ? '—' : `${change >= 0 ? '+' : ''}${change.toFixed(1)}%`}
+                                            </td>
+                                            <td className="px-4 py-3 text-xs text-slate-500 dark:text-slate-400">
+                                                {VALUATION_SOURCES[point.source] || point.source}
+                                            </td>
+                                            <td className="px-4 py-3 text-sm text-slate-600 dark:text-slate-300">{point.note || '—'}</td>
+                                            <td className="px-4 py-3 text-left">
+                                                <button
+                                                    type="button"
+                                                    onClick={() => handleDelete(point)}
+                                                    className="p-1.5 text-slate-400 hover:text-red-600 dark:hover:text-red-400 rounded transition-colors"
+                                                    title="מחק הערכה"
+                                                >
+                                                    <Trash2 size={16} />
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    );
+                                })
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ValuationHistory;
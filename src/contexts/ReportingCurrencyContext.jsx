@@ -0,0 +1,8 @@
+import { DEFAULT_REPORTING_CURRENCY } from '../services/currency';
+import { ReportingCurrencyContext } from './reportingCurrency';
+
+export const ReportingCurrencyProvider = ({ currency, children }) => (
+    <ReportingCurrencyContext.Provider value={currency || DEFAULT_REPORTING_CURRENCY}>
+        {children}
+    </ReportingCurrencyContext.Provider>
+);
@@ -0,0 +1,10 @@
+import { createContext, useContext } from 'react';
+import { DEFAULT_REPORTING_CURRENCY } from '../services/currency';
+
+/**
+ * The currency every total / P&L / chart value is expressed in (asset.value etc. from useAssets).
+ * Provided by App from the user's preferences (ReportingCurrencyProvider); demo mode is always ILS.
+ */
+export const ReportingCurrencyContext = createContext(DEFAULT_REPORTING_CURRENCY);
+
+export const useReportingCurrency = () => useContext(ReportingCurrencyContext);
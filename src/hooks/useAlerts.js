@@ -0,0 +1,55 @@
+import { useState, useEffect, useRef } from 'react';
+import { db } from '../services/firebase';
+import { subscribeToAlertRules, subscribeToAlertHistory } from '../services/alertService';
+import { warningToast } from '../utils/alerts';
+
+/**
+ * useAlerts - real-time alert rules and triggered alert history
+ *
+ * Alerts that arrive while the app is open (from a price refresh here or on another
+ * device, or from the scheduled server refresh) are shown as an in-app toast.
+ *
+ * @param {Object} user - Firebase user (null in demo mode → no alerts)
+ * @returns {Object} { rules, history, unreadCount, loading }
+ */
+export const useAlerts = (user) => {
+  const [rules, setRules] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const seenRef = useRef(null);
+
+  useEffect(() => {
+    if (!user || !db) {
+      setRules([]);
+      setHistory([]);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    seenRef.current = null;
+    const unsubscribeRules = subscribeToAlertRules(user, setRules);
+    const unsubscribeHistory = subscribeToAlertHistory(user, (items) => {
+      // The first snapshot is the existing history - only later entries are announced
+      if (seenRef.current) {
+        const fresh = items.filter(item => !item.read && !seenRef.current.has(item.id));
+        if (fresh.length > 0) {
+          const extra = fresh.length > 1 ? ` (+${fresh.length - 1} נוספות)` : '';
+          warningToast(`${fresh[0].title}${extra}`, fresh[0].body);
+        }
+      }
+      seenRef.current = new Set(items.map(item => item.id));
+      setHistory(items);
+      setLoading(false);
+    });
+
+    return () => {
+      unsubscribeRules();
+      unsubscribeHistory();
+    };
+  }, [user]);
+
+  const unreadCount = history.filter(item => !item.read).length;
+
+  return { rules, history, unreadCount, loading };
+};
@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import {
   collection, onSnapshot, addDoc, updateDoc, deleteDoc,
   doc, writeBatch, getDocs, getDoc, serverTimestamp, Timestamp,
@@ -7,7 +7,16 @@ import { db, appId } from '../services/firebase';
 import { INITIAL_ASSETS_SEED } from '../constants/defaults';
 import { fetchAssetPricesBatch, isAssetPriceStale } from '../services/priceService';
 import { normalizeAssetApiId, resolveInternalId } from '../services/internalIds';
-import { convertAmount } from '../services/currency';
+import { getPairRate, getFxMatrix, convertWithMatrix, DEFAULT_REPORTING_CURRENCY } from '../services/currency';
+import { subscribeToTransactions, applyLedgerPosition, getAssetPosition, deleteAllTransactions } from '../services/transactionService';
+import { DEFAULT_COST_BASIS_METHOD } from '../utils/lotMatching';
+import { buildPortfolioSnapshot, writePortfolioSnapshot, getSnapshotDateKey } from '../services/snapshotService';
+import { deleteAssetIncome } from '../services/incomeService';
+import { deleteAssetValuations } from '../services/valuationService';
+import { autoApplyRecentSplits } from '../services/corporateActionService';
+import { runAlertChecks } from '../services/alertService';
+import { getValuationValue, getValuationCost } from '../utils/valuations';
+import { successToast } from '../utils/alerts';
 
 // ==================== HELPERS ====================
 
@@ -38,6 +47,9 @@ function isNewDay(lastUpdatedTimestamp) {
   );
 }
 
+/** Money fields of a valued asset - computed in ILS, reported in the user's reporting currency */
+const REPORTING_FIELDS = ['value', 'currentPrice', 'costBasis', 'closedCostBasis', 'profitLoss', 'unrealizedProfitLoss', 'realizedProfitLoss'];
+
 // ==================== MAIN HOOK ====================
 
 /**
@@ -45,24 +57,37 @@ function isNewDay(lastUpdatedTimestamp) {
  *
  * Responsibilities:
  * 1. Listen to Firestore assets collection (real-time)
- * 2. Fetch live prices (TASE via browser, Global/Crypto via backend)
- * 3. Calculate asset values with currency conversion
- * 4. Persist prices to Firestore with Internal Ledger (daily snapshot)
- * 5. Auto-refresh every 5 minutes
+ * 2. Listen to per-asset transaction ledgers and derive quantity / average cost
+ * 3. Fetch live prices (TASE via browser, Global/Crypto via backend)
+ * 4. Calculate asset values with currency conversion (any currency, via the FX matrix)
+ * 5. Persist prices to Firestore with Internal Ledger (daily snapshot)
+ * 6. Auto-refresh every 5 minutes
+ * 7. Once a day, apply recent stock splits reported by Yahoo
+ * 8. Check the user's alert rules after every price refresh
+ *
+ * Values (value, P/L, cost basis) are in `valueCurrency` - the reporting currency when it has
+ * a rate, otherwise ILS. `valueILS` keeps the ILS value for snapshots / returns and
+ * `valueNative` the value in the asset's own currency.
  *
  * @param {Object} user - Firebase user
  * @param {number} currencyRate - USD→ILS exchange rate
+ * @param {string} reportingCurrency - Currency totals are reported in (default: ILS)
  */
-export const useAssets = (user, currencyRate) => {
+export const useAssets = (user, currencyRate, reportingCurrency = DEFAULT_REPORTING_CURRENCY) => {
   const [assets, setAssets] = useState([]);
   const [rawAssets, setRawAssets] = useState([]);
+  const [ledgers, setLedgers] = useState({});
   const [livePrices, setLivePrices] = useState({});
   const [pricesLoading, setPricesLoading] = useState(false);
   const [loading, setLoading] = useState(true);
   const [lastPriceUpdate, setLastPriceUpdate] = useState(null);
   const [disableLivePriceUpdates, setDisableLivePriceUpdates] = useState(false);
+  const [costBasisMethod, setCostBasisMethod] = useState(DEFAULT_COST_BASIS_METHOD);
+  const [valueCurrency, setValueCurrency] = useState('ILS');
   const priceRefreshTimeoutRef = useRef(null);
   const lastSyncRef = useRef(0);
+  const splitCheckRef = useRef(false);
+  const alertCheckRef = useRef(false);
 
   // ---- Load user settings ----
   useEffect(() => {
@@ -74,6 +99,7 @@ export const useAssets = (user, currencyRate) => {
         const snap = await getDoc(ref);
         if (snap.exists()) {
           setDisableLivePriceUpdates(snap.data().disableLivePriceUpdates || false);
+          setCostBasisMethod(snap.data().costBasisMethod || DEFAULT_COST_BASIS_METHOD);
         }
       } catch (error) {
         console.error('[useAssets] Error loading settings:', error);
@@ -120,80 +146,205 @@ export const useAssets = (user, currencyRate) => {
     return () => unsubscribe();
   }, [user]);
 
-  // ---- Calculate asset values ----
+  // ---- Listen to transaction ledgers ----
+  // Only assets flagged with `hasTransactions` are subscribed, to keep reads low
+  const ledgerAssetIds = useMemo(() => rawAssets
+    .filter(a => a.hasTransactions)
+    .map(a => a.id)
+    .sort()
+    .join(','), [rawAssets]);
+
   useEffect(() => {
-    const rate = currencyRate || 3.65;
+    if (!user || !db || !ledgerAssetIds) {
+      setLedgers({});
+      return;
+    }
 
-    Promise.all(rawAssets.map(async (asset) => {
-      let value = 0;
-      let currentPrice = null;
-      let profitLoss = null;
-      let profitLossPercent = null;
+    const ids = ledgerAssetIds.split(',');
+    setLedgers(prev => Object.fromEntries(Object.entries(prev).filter(([assetId]) => ids.includes(assetId))));
 
-      const priceKey = resolveInternalId(asset) || asset.apiId || asset.symbol;
-      const livePrice = priceKey ? livePrices[priceKey] : null;
+    const unsubscribers = ids.map(assetId => subscribeToTransactions(user, assetId, (transactions) => {
+      setLedgers(prev => ({ ...prev, [assetId]: transactions }));
+    }));
 
-      if (asset.assetMode === 'QUANTITY' && asset.quantity) {
-        if (livePrice) {
-          const nativePrice = livePrice.currentPrice;
-          const nativeCurrency = livePrice.currency || 'USD';
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [user, ledgerAssetIds]);
 
-          const priceInILS = await convertAmount(nativePrice, nativeCurrency, 'ILS', rate);
-          const priceInAssetCurrency = await convertAmount(nativePrice, nativeCurrency, asset.currency || 'USD', rate);
+  // Assets with quantity / purchasePrice derived from their ledger
+  const positionedAssets = useMemo(
+    () => rawAssets.map(asset => applyLedgerPosition(asset, ledgers[asset.id], costBasisMethod)),
+    [rawAssets, ledgers, costBasisMethod]
+  );
+
+  // ---- Calculate asset values ----
+  // profitLoss = unrealized (open lots at market) + realized (closed lots from the ledger)
+  // Every currency is converted through one FX matrix into ILS; an asset whose currency
+  // has no rate is flagged (`fxUnavailable`) and left out of the totals instead of valued 1:1
+  useEffect(() => {
+    let cancelled = false;
 
-          currentPrice = priceInILS;
-          value = asset.quantity * priceInILS;
+    const calculate = async () => {
+      const currencies = positionedAssets.flatMap(asset => {
+        const priceKey = resolveInternalId(asset) || asset.apiId || asset.symbol;
+        return [asset.currency || 'ILS', priceKey ? livePrices[priceKey]?.currency : null];
+      });
+      const { rates } = await getFxMatrix(
+        [...currencies, reportingCurrency],
+        'ILS',
+        currencyRate ? { USD: currencyRate } : {}
+      );
+      const toILS = (amount, currency) => convertWithMatrix(amount, currency, rates);
+
+      // Everything is computed in ILS, then re-expressed in the reporting currency
+      const target = rates[reportingCurrency] ? reportingCurrency : 'ILS';
+      const inReportingCurrency = (valued) => ({
+        ...valued,
+        valueILS: valued.value,
+        ...Object.fromEntries(REPORTING_FIELDS.map(field => [
+          field,
+          typeof valued[field] === 'number' ? valued[field] / rates[target] : valued[field],
+        ])),
+      });
 
-          const costBasis = asset.quantity * (asset.purchasePrice || 0);
-          const costBasisILS = await convertAmount(costBasis, asset.currency || 'ILS', 'ILS', rate);
+      const calculated = positionedAssets.map((asset) => {
+        let value = 0;
+        let currentPrice = null;
+        let profitLoss = null;
+        let profitLossPercent = null;
+        let unrealizedProfitLoss = null;
+        let legacyCost = null;
 
-          profitLoss = value - costBasisILS;
-          profitLossPercent = costBasisILS > 0 ? (profitLoss / costBasisILS) * 100 : 0;
+        const priceKey = resolveInternalId(asset) || asset.apiId || asset.symbol;
+        const livePrice = priceKey ? livePrices[priceKey] : null;
 
+        const assetCurrency = asset.currency || 'ILS';
+        const nativeCurrency = livePrice?.currency || 'USD';
+        const unconvertible = [assetCurrency, ...(livePrice ? [nativeCurrency] : [])]
+          .filter(currency => !rates[currency]);
+
+        if (unconvertible.length > 0) {
           return {
             ...asset,
-            value,
-            currentPrice,
-            currentPriceNative: priceInAssetCurrency,
-            profitLoss,
-            profitLossPercent,
-            hasLivePrice: true,
-            priceChange24h: livePrice.change24h || null,
+            value: 0,
+            currentPrice: null,
+            costBasis: null,
+            closedCostBasis: 0,
+            profitLoss: null,
+            profitLossPercent: null,
+            unrealizedProfitLoss: null,
+            realizedProfitLoss: 0,
+            hasLivePrice: false,
+            priceChange24h: livePrice?.change24h || null,
+            fxUnavailable: [...new Set(unconvertible)],
           };
+        }
+
+        const position = getAssetPosition(asset, costBasisMethod);
+        const realizedProfitLoss = position.fromLedger ? toILS(position.realizedPL, assetCurrency) : 0;
+        const closedCostILS = position.fromLedger ? toILS(position.closedCost, assetCurrency) : 0;
+
+        if (asset.assetMode === 'QUANTITY' && position.quantity) {
+          if (livePrice) {
+            const nativePrice = livePrice.currentPrice;
+
+            const priceInILS = toILS(nativePrice, nativeCurrency);
+            const priceInAssetCurrency = convertWithMatrix(nativePrice, nativeCurrency, rates, assetCurrency);
+
+            currentPrice = priceInILS;
+            value = position.quantity * priceInILS;
+
+            const costBasisILS = toILS(position.costBasis, assetCurrency);
+            const investedILS = costBasisILS + closedCostILS;
+
+            unrealizedProfitLoss = value - costBasisILS;
+            profitLoss = unrealizedProfitLoss + realizedProfitLoss;
+            profitLossPercent = investedILS > 0 ? (profitLoss / investedILS) * 100 : 0;
+
+            return {
+              ...asset,
+              value,
+              valueNative: position.quantity * priceInAssetCurrency,
+              currentPrice,
+              currentPriceNative: priceInAssetCurrency,
+              costBasis: costBasisILS,
+              closedCostBasis: closedCostILS,
+              profitLoss,
+              profitLossPercent,
+              unrealizedProfitLoss,
+              realizedProfitLoss,
+              hasLivePrice: true,
+              priceChange24h: livePrice.change24h || null,
+            };
+          } else {
+            value = toILS(position.costBasis, assetCurrency);
+          }
+        } else if (asset.assetMode === 'QUANTITY' && position.fromLedger) {
+          // Fully closed position - only the realized part remains
+          value = 0;
         } else {
-          const costBasis = asset.quantity * (asset.purchasePrice || 0);
-          value = await convertAmount(costBasis, asset.currency || 'ILS', 'ILS', rate);
+          value = toILS(getValuationValue(asset), assetCurrency);
+
+          // Revalued asset - the gain is measured against the recorded cost
+          const cost = getValuationCost(asset);
+          if (cost !== null) {
+            legacyCost = toILS(cost, assetCurrency);
+            unrealizedProfitLoss = value - legacyCost;
+            profitLoss = unrealizedProfitLoss;
+            profitLossPercent = legacyCost > 0 ? (profitLoss / legacyCost) * 100 : 0;
+          }
         }
-      } else {
-        value = await convertAmount(asset.originalValue || asset.value || 0, asset.currency || 'ILS', 'ILS', rate);
-      }
 
-      return {
-        ...asset,
-        value,
-        currentPrice,
-        profitLoss,
-        profitLossPercent,
-        hasLivePrice: false,
-        priceChange24h: livePrice?.change24h || null,
-      };
-    })).then(calculated => {
-      setAssets(calculated);
-      if (calculated.length > 0) setLoading(false);
-    });
-  }, [rawAssets, livePrices, currencyRate]);
+        if (realizedProfitLoss) {
+          profitLoss = realizedProfitLoss;
+          profitLossPercent = closedCostILS > 0 ? (realizedProfitLoss / closedCostILS) * 100 : 0;
+        }
+
+        return {
+          ...asset,
+          value,
+          valueNative: asset.assetMode === 'QUANTITY'
+            ? (position.quantity ? position.costBasis : 0)
+            : getValuationValue(asset),
+          currentPrice,
+          costBasis: asset.assetMode === 'QUANTITY' ? value : legacyCost,
+          closedCostBasis: closedCostILS,
+          profitLoss,
+          profitLossPercent,
+          unrealizedProfitLoss,
+          realizedProfitLoss,
+          hasLivePrice: false,
+          priceChange24h: livePrice?.change24h || null,
+        };
+      });
+
+      return { calculated: calculated.map(inReportingCurrency), target };
+    };
+
+    calculate()
+      .then(({ calculated, target }) => {
+        if (cancelled) return;
+        setValueCurrency(target);
+        setAssets(calculated);
+        if (calculated.length > 0) setLoading(false);
+      })
+      .catch(error => console.error('[useAssets] Value calculation error:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [positionedAssets, livePrices, currencyRate, costBasisMethod, reportingCurrency]);
 
   // ---- Fetch & persist prices ----
   const refreshPrices = useCallback(async () => {
     if (disableLivePriceUpdates) return;
-    if (rawAssets.length === 0) return;
+    if (positionedAssets.length === 0) return;
 
     // Debounce: minimum 3 seconds between syncs
     const now = Date.now();
     if (now - lastSyncRef.current < 3000) return;
     lastSyncRef.current = now;
 
-    const trackable = rawAssets.filter(asset => {
+    const trackable = positionedAssets.filter(asset => {
       if (asset.assetMode !== 'QUANTITY') return false;
       if (!asset.apiId && !asset.symbol) return false;
       if (asset.marketDataSource === 'manual') return false;
@@ -219,16 +370,20 @@ export const useAssets = (user, currencyRate) => {
       const prices = await fetchAssetPricesBatch(trackable);
       setLivePrices(prices);
       setLastPriceUpdate(new Date());
+      alertCheckRef.current = true;
 
       // ---- INTERNAL LEDGER: Persist to Firestore ----
       if (user && db && Object.keys(prices).length > 0) {
-        await persistPricesToFirestore(trackable, prices, user);
+        await persistPricesToFirestore(trackable, prices, user, {
+          allAssets: positionedAssets,
+          fxRate: currencyRate || null,
+        });
       }
     } catch (error) {
       console.error('[useAssets] Price fetch error:', error);
     }
     setPricesLoading(false);
-  }, [rawAssets, disableLivePriceUpdates, user]);
+  }, [positionedAssets, disableLivePriceUpdates, user, currencyRate]);
 
   // ---- Auto-refresh on load ----
   useEffect(() => {
@@ -256,30 +411,66 @@ export const useAssets = (user, currencyRate) => {
     };
   }, [rawAssets.length, refreshPrices, disableLivePriceUpdates]);
 
+  // ---- Alert rules: checked once the refreshed prices have been valued ----
+  useEffect(() => {
+    if (!alertCheckRef.current || !user || !db || assets.length === 0) return;
+    alertCheckRef.current = false;
+
+    runAlertChecks(user, assets, currencyRate)
+      .catch(error => console.error('[useAssets] Alert check error:', error));
+  }, [assets, user, currencyRate]);
+
+  // ---- Daily split check ----
+  useEffect(() => {
+    if (!user || !db || disableLivePriceUpdates || splitCheckRef.current || positionedAssets.length === 0) return;
+
+    const checkKey = `corporateActionsCheck_${user.uid}`;
+    const todayKey = getSnapshotDateKey();
+    if (localStorage.getItem(checkKey) === todayKey) return;
+    splitCheckRef.current = true;
+
+    autoApplyRecentSplits(user, positionedAssets)
+      .then(applied => {
+        localStorage.setItem(checkKey, todayKey);
+        if (applied.length > 0) {
+          successToast(`עודכן פיצול מניות: ${applied.map(a => a.name).join(', ')}`, 3000);
+        }
+      })
+      .catch(error => console.error('[useAssets] Split check error:', error));
+  }, [user, positionedAssets, disableLivePriceUpdates]);
+
   // ---- CRUD operations ----
   const addAsset = async (assetData) => {
     if (!user || !db) return;
     const { id, ...data } = assetData;
+    delete data.transactions; // ledger overlay lives in its own subcollection
     await addDoc(collection(db, 'artifacts', appId, 'users', user.uid, 'assets'), data);
   };
 
   const updateAsset = async (assetId, assetData) => {
     if (!user || !db) return;
     const { id, ...data } = assetData;
+    delete data.transactions; // ledger overlay lives in its own subcollection
     await updateDoc(doc(db, 'artifacts', appId, 'users', user.uid, 'assets', assetId), data);
   };
 
   const deleteAsset = async (assetId) => {
     if (!user || !db) return;
+    await deleteAllTransactions(user, assetId);
+    await deleteAssetIncome(user, assetId);
+    await deleteAssetValuations(user, assetId);
     await deleteDoc(doc(db, 'artifacts', appId, 'users', user.uid, 'assets', assetId));
   };
 
   const initializeAssets = async () => {
     if (!user || !db) return false;
     try {
-      const batch = writeBatch(db);
       const snapshot = await getDocs(collection(db, 'artifacts', appId, 'users', user.uid, 'assets'));
-      snapshot.docs.forEach((d) => batch.delete(d.ref));
+      // Same cascade as deleteAsset - no ledger, income or valuation history is left orphaned
+      for (const d of snapshot.docs) {
+        await deleteAsset(d.id);
+      }
+      const batch = writeBatch(db);
       INITIAL_ASSETS_SEED.forEach((seed) => {
         const ref = doc(collection(db, 'artifacts', appId, 'users', user.uid, 'assets'));
         batch.set(ref, seed);
@@ -302,6 +493,7 @@ export const useAssets = (user, currencyRate) => {
     pricesLoading,
     assetsLoading: loading,
     lastPriceUpdate,
+    valueCurrency,
   };
 };
 
@@ -314,18 +506,26 @@ export const useAssets = (user, currencyRate) => {
  * - Archives current price as `previousClosePrice`
  * - Saves close date as `lastCloseDate`
  * 
+ * - Writes the day's portfolioSnapshots/{YYYY-MM-DD} document (idempotent per date)
+ * 
  * Always:
  * - Updates `currentPrice`, `lastUpdated`, `currency`
  * - Calculates real daily P/L from stored baseline (not API data)
  * 
  * This ensures the "שווי לפי היסטוריה" dashboard shows accurate data.
+ *
+ * @param {Array} assets - Trackable assets whose prices were fetched
+ * @param {Object} prices - Live prices map keyed by internal ID
+ * @param {Object} user - Firebase user
+ * @param {Object} snapshotContext - { allAssets, fxRate } for the daily snapshot (fxRate null when not loaded)
  */
-async function persistPricesToFirestore(assets, prices, user) {
+async function persistPricesToFirestore(assets, prices, user, snapshotContext = {}) {
   if (!user || !db) return;
 
   try {
     const batch = writeBatch(db);
     let ops = 0;
+    let anyDayChanged = false;
 
     for (const asset of assets) {
       const priceKey = resolveInternalId(asset);
@@ -337,6 +537,7 @@ async function persistPricesToFirestore(assets, prices, user) {
 
       // A. Daily Archive Protocol
       const dayChanged = isNewDay(asset.lastUpdated);
+      if (dayChanged) anyDayChanged = true;
 
       if (dayChanged && asset.currentPrice && asset.currentPrice > 0) {
         // Archive yesterday's closing price
@@ -362,11 +563,13 @@ async function persistPricesToFirestore(assets, prices, user) {
       let finalPrice = priceData.currentPrice;
 
       if (apiCurrency !== targetCurrency) {
-        try {
-          finalPrice = await convertAmount(priceData.currentPrice, apiCurrency, targetCurrency);
-        } catch {
-          // Use unconverted price as fallback
+        const pairRate = await getPairRate(apiCurrency, targetCurrency);
+        if (!pairRate) {
+          // Don't store an unconverted price under the asset's currency
+          console.warn(`[LEDGER] No ${apiCurrency}/${targetCurrency} rate - skipping ${asset.name}`);
+          continue;
         }
+        finalPrice = priceData.currentPrice * pairRate;
       }
 
       // D. Write updates
@@ -392,6 +595,16 @@ async function persistPricesToFirestore(assets, prices, user) {
     if (ops > 0) {
       await batch.commit();
     }
+
+    // E. Daily portfolio snapshot - once per new day
+    if (anyDayChanged && snapshotContext.allAssets?.length) {
+      try {
+        const snapshot = await buildPortfolioSnapshot(snapshotContext.allAssets, prices, snapshotContext.fxRate);
+        await writePortfolioSnapshot(user, snapshot);
+      } catch (error) {
+        console.error('[LEDGER] Snapshot write error:', error);
+      }
+    }
   } catch (error) {
     console.error('[LEDGER] Firestore persistence error:', error);
     // Don't throw — prices were fetched successfully even if save failed
@@ -0,0 +1,57 @@
+import { useState, useEffect, useMemo } from 'react';
+import { fetchPriceHistory } from '../services/priceService';
+import { toMonthlyCloses } from '../utils/backtest';
+
+/**
+ * useBacktestSeries - monthly closes of internal IDs from /api/history
+ * @param {Array<string>} ids - Internal IDs ('yahoo:VTI', 'cg:bitcoin'...)
+ * @param {string} range - '5y' | '10y'
+ * @returns {Object} { closes: { [id]: { 'YYYY-MM': close } }, missing: [id], loading }
+ */
+export const useBacktestSeries = (ids, range = '10y') => {
+  const [closes, setCloses] = useState({});
+  const [missing, setMissing] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  // Stable key so a new array with the same IDs doesn't refetch
+  const key = useMemo(() => [...new Set(ids || [])].sort().join('|'), [ids]);
+
+  useEffect(() => {
+    if (!key) {
+      setCloses({});
+      setMissing([]);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+
+    const load = async () => {
+      const result = {};
+      const notFound = [];
+      // One series at a time - the history route is rate limited upstream
+      for (const id of key.split('|')) {
+        if (cancelled) return;
+        const history = await fetchPriceHistory({ apiId: id }, range);
+        if (history?.points?.length > 0) result[id] = toMonthlyCloses(history.points);
+        else notFound.push(id);
+      }
+      if (!cancelled) {
+        setCloses(result);
+        setMissing(notFound);
+      }
+    };
+
+    load()
+      .catch(error => console.error('[useBacktestSeries] Error loading history:', error))
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [key, range]);
+
+  return { closes, missing, loading };
+};
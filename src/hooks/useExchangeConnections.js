@@ -0,0 +1,31 @@
+import { useState, useEffect } from 'react';
+import { db } from '../services/firebase';
+import { subscribeToExchangeConnections } from '../services/exchangeService';
+
+/**
+ * useExchangeConnections - real-time status of the connected exchanges
+ * @param {Object} user - Firebase user (null in demo mode → no connections)
+ * @returns {Object} { connections: { [exchange]: connection }, loading }
+ */
+export const useExchangeConnections = (user) => {
+  const [connections, setConnections] = useState({});
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!user || !db) {
+      setConnections({});
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    const unsubscribe = subscribeToExchangeConnections(user, (items) => {
+      setConnections(items);
+      setLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [user]);
+
+  return { connections, loading };
+};
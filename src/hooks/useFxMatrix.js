@@ -0,0 +1,38 @@
+import { useState, useEffect } from 'react';
+import { getFxMatrix } from '../services/currency';
+
+/**
+ * Exchange rates from a set of currencies into one target currency
+ * @param {Array<string>} currencies - Currency codes in use (e.g. assets.map(a => a.currency))
+ * @param {string} target - Target currency (default: ILS)
+ * @param {number} [usdRate] - Known USD→target rate, so USD stays consistent with the app's currencyRate
+ * @returns {{ rates: Object<string, number>, missing: Array<string>, loading: boolean }}
+ */
+export const useFxMatrix = (currencies, target = 'ILS', usdRate = null) => {
+  const [matrix, setMatrix] = useState({ rates: { [target]: 1 }, missing: [] });
+  const [loading, setLoading] = useState(false);
+
+  // Stable key so a new array with the same currencies doesn't refetch
+  const key = [...new Set((currencies || []).filter(Boolean))].sort().join(',');
+
+  useEffect(() => {
+    let cancelled = false;
+    const overrides = target === 'ILS' && usdRate ? { USD: usdRate } : {};
+
+    setLoading(true);
+    getFxMatrix(key ? key.split(',') : [], target, overrides)
+      .then(result => {
+        if (!cancelled) setMatrix(result);
+      })
+      .catch(error => console.error('[useFxMatrix] Error loading rates:', error))
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [key, target, usdRate]);
+
+  return { ...matrix, loading };
+};
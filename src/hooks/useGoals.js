@@ -0,0 +1,43 @@
+import { useState, useEffect, useMemo } from 'react';
+import { db } from '../services/firebase';
+import { subscribeToGoals } from '../services/goalService';
+import { valueGoals } from '../utils/goals';
+import { useFxMatrix } from './useFxMatrix';
+
+/**
+ * useGoals - real-time goals with their progress from the assigned assets
+ * @param {Object} user - Firebase user (null in demo mode → no goals)
+ * @param {Array} assets - Valued assets (value in the reporting currency)
+ * @param {string} reportingCurrency - Currency of the asset values
+ * @param {number} [usdRate] - Known USD→ILS rate (keeps USD goals consistent with the app's currencyRate)
+ * @returns {Object} { goals, loading }
+ */
+export const useGoals = (user, assets, reportingCurrency = 'ILS', usdRate = null) => {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!user || !db) {
+      setItems([]);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    const unsubscribe = subscribeToGoals(user, (goals) => {
+      setItems(goals);
+      setLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [user]);
+
+  const fx = useFxMatrix(items.map(g => g.currency || 'ILS'), reportingCurrency, usdRate);
+
+  const goals = useMemo(
+    () => valueGoals(items, assets || [], fx.rates),
+    [items, assets, fx.rates]
+  );
+
+  return { goals, loading: loading || fx.loading };
+};
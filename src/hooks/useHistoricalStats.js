@@ -0,0 +1,61 @@
+import { useState, useEffect, useMemo } from 'react';
+import { fetchPriceHistory } from '../services/priceService';
+import { resolveInternalId } from '../services/internalIds';
+import { estimateReturnStats } from '../utils/monteCarlo';
+
+/** Range of /api/history used for the estimates */
+const HISTORY_RANGE = '5y';
+
+/**
+ * useHistoricalStats - annualized return and volatility of each priced asset from /api/history
+ * @param {Array} assets - Valued assets (only QUANTITY assets with a market data ID are read)
+ * @returns {Object} { stats: { [assetId]: { expectedReturn, volatility, months } }, loading }
+ */
+export const useHistoricalStats = (assets) => {
+  const [stats, setStats] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  // Stable key so price ticks (new asset objects) don't refetch
+  const key = useMemo(() => (assets || [])
+    .filter(a => a.assetMode === 'QUANTITY')
+    .map(a => [a.id, resolveInternalId(a)])
+    .filter(([, internalId]) => internalId)
+    .map(([assetId, internalId]) => `${assetId}:${internalId}`)
+    .sort()
+    .join('|'), [assets]);
+
+  useEffect(() => {
+    if (!key) {
+      setStats({});
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+
+    const load = async () => {
+      const result = {};
+      // One asset at a time - the history route is rate limited upstream
+      for (const entry of key.split('|')) {
+        const [assetId, internalId] = entry.split(/:(.+)/);
+        if (cancelled) return;
+        const history = await fetchPriceHistory({ apiId: internalId }, HISTORY_RANGE);
+        const assetStats = estimateReturnStats(history?.points);
+        if (assetStats) result[assetId] = assetStats;
+      }
+      if (!cancelled) setStats(result);
+    };
+
+    load()
+      .catch(error => console.error('[useHistoricalStats] Error loading history:', error))
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [key]);
+
+  return { stats, loading };
+};
@@ -0,0 +1,31 @@
+import { useState, useEffect } from 'react';
+import { db } from '../services/firebase';
+import { subscribeToImportProfiles } from '../services/importService';
+
+/**
+ * useImportProfiles - real-time broker import mapping profiles
+ * @param {Object} user - Firebase user (null in demo mode → no profiles)
+ * @returns {Object} { profiles, loading }
+ */
+export const useImportProfiles = (user) => {
+  const [profiles, setProfiles] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!user || !db) {
+      setProfiles([]);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    const unsubscribe = subscribeToImportProfiles(user, (items) => {
+      setProfiles(items);
+      setLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [user]);
+
+  return { profiles, loading };
+};
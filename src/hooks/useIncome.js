@@ -0,0 +1,31 @@
+import { useState, useEffect } from 'react';
+import { db } from '../services/firebase';
+import { subscribeToIncome } from '../services/incomeService';
+
+/**
+ * useIncome - real-time income events (dividends, interest, distributions)
+ * @param {Object} user - Firebase user (null in demo mode → no events)
+ * @returns {Object} { income, loading }
+ */
+export const useIncome = (user) => {
+  const [income, setIncome] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!user || !db) {
+      setIncome([]);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    const unsubscribe = subscribeToIncome(user, (items) => {
+      setIncome(items);
+      setLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [user]);
+
+  return { income, loading };
+};
@@ -0,0 +1,79 @@
+import { useState, useEffect, useMemo } from 'react';
+import { db } from '../services/firebase';
+import { getCpiSeries } from '../services/backendApi';
+import { subscribeToLiabilities } from '../services/liabilityService';
+import { valueLiabilities } from '../utils/liabilities';
+import { useFxMatrix } from './useFxMatrix';
+
+/** CPI-linked schedules read the index two months before each payment, plus one month for the ratio */
+const CPI_LOOKBACK_MONTHS = 3;
+
+/**
+ * useLiabilities - real-time liabilities with their schedules and current balances
+ * @param {Object} user - Firebase user (null in demo mode → no liabilities)
+ * @param {string} reportingCurrency - Currency of `value` / `totalValue`
+ * @param {number} [usdRate] - Known USD→ILS rate (keeps USD loans consistent with the app's currencyRate)
+ * @returns {Object} { liabilities, totalValue, loading }
+ */
+export const useLiabilities = (user, reportingCurrency = 'ILS', usdRate = null) => {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [cpiSeries, setCpiSeries] = useState([]);
+
+  useEffect(() => {
+    if (!user || !db) {
+      setItems([]);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    const unsubscribe = subscribeToLiabilities(user, (liabilities) => {
+      setItems(liabilities);
+      setLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [user]);
+
+  // First month the CPI-linked schedules need
+  const cpiFrom = useMemo(() => {
+    const first = items
+      .filter(l => l.indexation === 'cpi' && l.startDate)
+      .map(l => l.startDate.slice(0, 7))
+      .sort()[0];
+    if (!first) return null;
+    const [year, month] = first.split('-').map(Number);
+    const d = new Date(year, month - 1 - CPI_LOOKBACK_MONTHS, 1);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+  }, [items]);
+
+  useEffect(() => {
+    if (!cpiFrom) return;
+
+    let cancelled = false;
+    getCpiSeries(cpiFrom)
+      .then(points => {
+        if (!cancelled) setCpiSeries(points || []);
+      })
+      .catch(error => console.error('[useLiabilities] Error loading CPI:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [cpiFrom]);
+
+  const fx = useFxMatrix(items.map(l => l.currency || 'ILS'), reportingCurrency, usdRate);
+
+  const liabilities = useMemo(
+    () => valueLiabilities(items, cpiSeries, fx.rates),
+    [items, cpiSeries, fx.rates]
+  );
+
+  const totalValue = useMemo(
+    () => liabilities.reduce((sum, l) => sum + l.value, 0),
+    [liabilities]
+  );
+
+  return { liabilities, totalValue, loading: loading || fx.loading };
+};
@@ -0,0 +1,64 @@
+import { useState, useEffect, useRef } from 'react';
+
+/** Wait for the inputs to settle before re-running (typing in a field) */
+const DEBOUNCE_MS = 400;
+
+/**
+ * useMonteCarlo - runs the retirement simulation in a Web Worker (see workers/monteCarlo.worker.js)
+ * @param {Object|null} params - runMonteCarlo params (null → no run)
+ * @returns {Object} { result, running, error }
+ */
+export const useMonteCarlo = (params) => {
+  const workerRef = useRef(null);
+  const requestRef = useRef(0);
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const worker = new Worker(new URL('../workers/monteCarlo.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (event) => {
+      // Only the latest request updates the chart
+      if (event.data.id !== requestRef.current) return;
+      setRunning(false);
+      if (event.data.error) {
+        setError(event.data.error);
+      } else {
+        setError(null);
+        setResult(event.data.result);
+      }
+    };
+    worker.onerror = (event) => {
+      console.error('[useMonteCarlo] Worker error:', event.message);
+      setRunning(false);
+      setError(event.message);
+    };
+    workerRef.current = worker;
+
+    return () => {
+      worker.terminate();
+      workerRef.current = null;
+    };
+  }, []);
+
+  // Stable key so a new object with the same inputs doesn't re-run
+  const key = params ? JSON.stringify(params) : null;
+
+  useEffect(() => {
+    if (!key) {
+      setResult(null);
+      return;
+    }
+
+    const timeoutId = setTimeout(() => {
+      const id = requestRef.current + 1;
+      requestRef.current = id;
+      setRunning(true);
+      workerRef.current?.postMessage({ id, params: JSON.parse(key) });
+    }, DEBOUNCE_MS);
+
+    return () => clearTimeout(timeoutId);
+  }, [key]);
+
+  return { result, running, error };
+};
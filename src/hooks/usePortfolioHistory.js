@@ -9,7 +9,13 @@
  *     - date: string
  *     - totalValue: number
  *     - assetsCount: number
+ *     - assets: { [assetId]: { name, value, nativeValue, currency, quantity, price, cost, platform } }
+ *     - fxRate: number (USD→ILS on that day)
+ *     - source: 'client' | 'server' | 'cron'
  *     - timestamp: Firestore Timestamp
+ *
+ * Written by services/snapshotService (client, on the first price refresh of the day)
+ * and api/snapshot.ts / api/cron/refresh.ts (server, firebase-admin).
  */
 
 import { useState, useEffect } from 'react';
@@ -69,6 +75,8 @@ export const usePortfolioHistory = (user, timeRange = '1M') => {
               date: data.date,
               timestamp,
               value: data.totalValue,
+              fxRate: data.fxRate || null,
+              assets: data.assets || null,
             });
           }
         });
@@ -0,0 +1,62 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { db } from '../services/firebase';
+import { subscribeToRebalancingGroups, recordDriftStatus } from '../services/rebalancingService';
+import { getDriftStatus } from '../utils/rebalancing';
+
+/**
+ * useRebalancingDrift - live drift of the portfolio against the rebalancing targets
+ *
+ * Recomputed whenever the asset values change, and recorded once the prices have settled:
+ * today's driftHistory entry is rewritten only when the breached items (or the rounded
+ * drift) change.
+ *
+ * @param {Object} user - Firebase user (null in demo mode → no status)
+ * @param {Array} assets - Valued assets
+ * @param {Object} systemData - Categories, platforms... (items of the groups)
+ * @param {boolean} [ready] - Asset values are final (not loading) - required for recording
+ * @returns {Object} { status, groups, loading } - status: see utils/rebalancing getDriftStatus
+ */
+export const useRebalancingDrift = (user, assets, systemData, ready = true) => {
+  const [groups, setGroups] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const recordedKeyRef = useRef(null);
+
+  useEffect(() => {
+    if (!user || !db) {
+      setGroups([]);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    const unsubscribe = subscribeToRebalancingGroups(user, (items) => {
+      setGroups(items);
+      setLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [user]);
+
+  const status = useMemo(
+    () => getDriftStatus(assets, groups, systemData),
+    [assets, groups, systemData]
+  );
+
+  useEffect(() => {
+    if (!user || !db || !ready || !status) return;
+
+    const key = JSON.stringify([
+      new Date().toLocaleDateString('en-CA'),
+      status.groups.map(g => [g.id, Math.round(g.maxDrift), g.items.filter(i => i.breached).map(i => i.item)]),
+    ]);
+    if (recordedKeyRef.current === key) return;
+    recordedKeyRef.current = key;
+
+    recordDriftStatus(user, status).catch(error => {
+      console.error('Error recording drift status:', error);
+      recordedKeyRef.current = null;
+    });
+  }, [user, ready, status]);
+
+  return { status, groups, loading };
+};
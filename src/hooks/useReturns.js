@@ -0,0 +1,100 @@
+import { useState, useEffect, useMemo } from 'react';
+import { db } from '../services/firebase';
+import { fetchPortfolioSnapshots, getSnapshotDateKey } from '../services/snapshotService';
+import { computePortfolioReturns } from '../utils/returns';
+import { getValuationValue, getValuationCost, applyValuationHistory } from '../utils/valuations';
+import { useIncome } from './useIncome';
+import { useValuations } from './useValuations';
+import { useFxMatrix } from './useFxMatrix';
+
+/**
+ * Build today's point from the live valuation (same shape as a stored snapshot)
+ * @param {Array} assets - Valued assets from useAssets (value in ILS)
+ * @param {number|null} fxRate - USD→ILS rate (null when unavailable)
+ */
+const buildLiveSnapshot = (assets, fxRate) => ({
+  date: getSnapshotDateKey(),
+  fxRate,
+  assets: Object.fromEntries(assets.map(asset => {
+    const quantity = Number(asset.quantity) || 0;
+    const nativeValue = asset.assetMode === 'QUANTITY' && typeof asset.currentPriceNative === 'number'
+      ? quantity * asset.currentPriceNative
+      : getValuationValue(asset);
+    const cost = asset.assetMode === 'QUANTITY'
+      ? quantity * (Number(asset.purchasePrice) || 0)
+      : getValuationCost(asset);
+
+    return [asset.id, {
+      name: asset.name || asset.symbol || asset.id,
+      value: Number(asset.valueILS ?? asset.value) || 0,
+      nativeValue,
+      currency: asset.currency || 'ILS',
+      cost,
+      platform: asset.platform || null,
+    }];
+  })),
+});
+
+/**
+ * useReturns - TWR / XIRR period returns for the portfolio, each platform and each asset
+ *
+ * Reads every stored portfolioSnapshot once and appends the live valuation as today's point.
+ * Income events count as distributions, so the results are total returns. Income and ledger
+ * transactions are converted with the FX matrix when the snapshots have no rate for their currency. Revalued assets
+ * follow their valuation curves in the stored history (see utils/valuations).
+ *
+ * @param {Object} user - Firebase user (null in demo mode → no history, no returns)
+ * @param {Array} assets - Valued assets from useAssets
+ * @param {number} [currencyRate] - USD→ILS rate (currencyRate.rate from useCurrency)
+ * @returns {Object} { returns: { portfolio, byPlatform, byAsset } | null, loading }
+ */
+export const useReturns = (user, assets, currencyRate) => {
+  const [snapshots, setSnapshots] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const { income } = useIncome(user);
+  const { valuations } = useValuations(user, assets);
+  const fx = useFxMatrix(
+    [...income.map(e => e.currency || 'ILS'), ...assets.map(a => a.currency || 'ILS')],
+    'ILS',
+    currencyRate
+  );
+
+  useEffect(() => {
+    if (!user || !db) {
+      setSnapshots([]);
+      setLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    fetchPortfolioSnapshots(user)
+      .then(items => {
+        if (!cancelled) setSnapshots(items);
+      })
+      .catch(error => {
+        console.error('[useReturns] Error loading snapshots:', error);
+        if (!cancelled) setSnapshots([]);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user]);
+
+  const returns = useMemo(() => {
+    if (!user || snapshots.length === 0 || assets.length === 0) return null;
+    try {
+      const history = applyValuationHistory(snapshots, valuations, assets);
+      return computePortfolioReturns(history, buildLiveSnapshot(assets, currencyRate || null), assets, new Date(), income, fx.rates);
+    } catch (error) {
+      console.error('[useReturns] Calculation error:', error);
+      return null;
+    }
+  }, [user, snapshots, valuations, assets, currencyRate, income, fx.rates]);
+
+  return { returns, loading };
+};
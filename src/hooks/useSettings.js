@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
-import { doc, getDoc, setDoc } from 'firebase/firestore';
+import { doc, onSnapshot, setDoc } from 'firebase/firestore';
 import { db, appId } from '../services/firebase';
+import { DEFAULT_REPORTING_CURRENCY } from '../services/currency';
 
 /**
  * Hook לניהול הגדרות משתמש
@@ -10,35 +11,32 @@ import { db, appId } from '../services/firebase';
 export const useSettings = (user) => {
   const [settings, setSettings] = useState({
     disableLivePriceUpdates: false, // כיבוי עדכון מחירים אוטומטי
+    reportingCurrency: DEFAULT_REPORTING_CURRENCY, // מטבע הדיווח של כל הסכומים באפליקציה
   });
   const [loading, setLoading] = useState(true);
 
-  // טען הגדרות מ-Firestore
+  // האזן להגדרות ב-Firestore - כל מופע של ה-hook מתעדכן מיד כשההגדרות משתנות
   useEffect(() => {
     if (!user || !db) {
       setLoading(false);
       return;
     }
 
-    const loadSettings = async () => {
-      try {
-        const settingsRef = doc(db, 'artifacts', appId, 'users', user.uid, 'settings', 'preferences');
-        const settingsSnap = await getDoc(settingsRef);
-        
-        if (settingsSnap.exists()) {
-          setSettings(prev => ({
-            ...prev,
-            ...settingsSnap.data()
-          }));
-        }
-      } catch (error) {
-        console.error('Error loading settings:', error);
-      } finally {
-        setLoading(false);
+    const settingsRef = doc(db, 'artifacts', appId, 'users', user.uid, 'settings', 'preferences');
+    const unsubscribe = onSnapshot(settingsRef, (settingsSnap) => {
+      if (settingsSnap.exists()) {
+        setSettings(prev => ({
+          ...prev,
+          ...settingsSnap.data()
+        }));
       }
-    };
+      setLoading(false);
+    }, (error) => {
+      console.error('Error loading settings:', error);
+      setLoading(false);
+    });
 
-    loadSettings();
+    return () => unsubscribe();
   }, [user]);
 
   /**
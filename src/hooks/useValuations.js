@@ -0,0 +1,46 @@
+import { useState, useEffect, useMemo } from 'react';
+import { db } from '../services/firebase';
+import { fetchValuations } from '../services/valuationService';
+
+/**
+ * useValuations - revaluation points of the revalued (LEGACY) assets, for the history curves
+ * @param {Object} user - Firebase user (null in demo mode → no valuations)
+ * @param {Array} assets - Portfolio assets; only those with a `valuation` summary are read
+ * @returns {Object} { valuations: { [assetId]: points }, loading }
+ */
+export const useValuations = (user, assets) => {
+  const [valuations, setValuations] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  // Re-read only when a revaluation is added or removed (the summary date changes)
+  const key = useMemo(() => (assets || [])
+    .filter(a => a.assetMode !== 'QUANTITY' && a.valuation?.date)
+    .map(a => `${a.id}:${a.valuation.date}`)
+    .sort()
+    .join('|'), [assets]);
+
+  useEffect(() => {
+    if (!user || !db || !key) {
+      setValuations({});
+      setLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    fetchValuations(user, key.split('|').map(entry => entry.split(':')[0]))
+      .then(result => {
+        if (!cancelled) setValuations(result);
+      })
+      .catch(error => console.error('[useValuations] Error loading valuations:', error))
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user, key]);
+
+  return { valuations, loading };
+};
@@ -0,0 +1,447 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Bell, BellRing, BellOff, Plus, Trash2, Edit2, Loader2, Pause, Play, CheckCheck, History, Clock, X } from 'lucide-react';
+import SummaryCard from '../components/SummaryCard';
+import { SUPPORTED_CURRENCIES } from '../services/currency';
+import {
+  ALERT_TYPES, ALERT_GROUP_TYPES,
+  saveAlertRule, setAlertRuleEnabled, deleteAlertRule, markAlertsRead, clearAlertHistory,
+  isPushSupported, getPushSubscription, enablePushNotifications, disablePushNotifications,
+} from '../services/alertService';
+import { useReportingCurrency } from '../contexts/reportingCurrency';
+import { successToast, errorAlert, confirmAlert } from '../utils/alerts';
+
+const INPUT_CLASS = 'mt-1 w-full p-2 rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 text-slate-900 dark:text-white';
+
+const DIRECTION_LABELS = {
+  price: { above: 'עולה מעל', below: 'יורד מתחת ל-' },
+  change: { above: 'עלייה יומית של לפחות', below: 'ירידה יומית של לפחות' },
+  portfolio: { above: 'עולה מעל', below: 'יורד מתחת ל-' },
+};
+
+const formatNumber = (value, digits = 2) =>
+  (typeof value === 'number' && !isNaN(value) ? value.toLocaleString('he-IL', { maximumFractionDigits: digits }) : '—');
+
+const formatDateTime = (value) => {
+  const date = value?.toDate ? value.toDate() : value ? new Date(value) : null;
+  if (!date || isNaN(date.getTime())) return '—';
+  return date.toLocaleString('he-IL', { dateStyle: 'short', timeStyle: 'short' });
+};
+
+const emptyDraft = (currency = 'ILS') => ({
+  id: null,
+  type: 'price',
+  assetId: '',
+  direction: 'below',
+  threshold: '',
+  currency,
+  groupType: 'category',
+});
+
+/**
+ * Human readable rule condition
+ */
+const describeRule = (rule, assetsById) => {
+  const asset = assetsById.get(rule.assetId);
+  const assetName = asset ? (asset.symbol || asset.name) : 'נכס שנמחק';
+  const direction = rule.direction === 'below' ? 'below' : 'above';
+  switch (rule.type) {
+    case 'price':
+      return `${assetName} ${DIRECTION_LABELS.price[direction]}${direction === 'above' ? ' ' : ''}${formatNumber(rule.threshold)} ${asset?.currency || ''}`;
+    case 'change':
+      return `${assetName}: ${DIRECTION_LABELS.change[direction]} ${formatNumber(rule.threshold, 1)}%`;
+    case 'portfolio':
+      return `שווי התיק ${DIRECTION_LABELS.portfolio[direction]}${direction === 'above' ? ' ' : ''}${formatNumber(rule.threshold, 0)} ${rule.currency || 'ILS'}`;
+    case 'drift':
+      return `${ALERT_GROUP_TYPES[rule.groupType] || ALERT_GROUP_TYPES.category}: סטייה של ${formatNumber(rule.threshold, 1)} נקודות אחוז מהיעד`;
+    default:
+      return '';
+  }
+};
+
+const Alerts = ({ assets = [], user, rules = [], history = [], loading }) => {
+  const reportingCurrency = useReportingCurrency();
+  const [draft, setDraft] = useState(() => emptyDraft(reportingCurrency));
+  const [saving, setSaving] = useState(false);
+  const [pushEnabled, setPushEnabled] = useState(false);
+  const [pushBusy, setPushBusy] = useState(false);
+  const pushSupported = isPushSupported();
+
+  useEffect(() => {
+    if (!pushSupported) return;
+    getPushSubscription()
+      .then(subscription => setPushEnabled(!!subscription))
+      .catch(() => setPushEnabled(false));
+  }, [pushSupported]);
+
+  const assetsById = useMemo(() => new Map(assets.map(a => [a.id, a])), [assets]);
+  const pricedAssets = useMemo(
+    () => assets.filter(a => a.assetMode === 'QUANTITY').sort((a, b) => (b.value || 0) - (a.value || 0)),
+    [assets]
+  );
+  const unread = history.filter(item => !item.read);
+  const activeRules = rules.filter(rule => rule.enabled !== false);
+  const selectedAsset = assetsById.get(draft.assetId);
+  const needsAsset = draft.type === 'price' || draft.type === 'change';
+
+  const handleTypeChange = (type) => {
+    setDraft({
+      ...draft,
+      type,
+      assetId: (type === 'price' || type === 'change') && !draft.assetId ? pricedAssets[0]?.id || '' : draft.assetId,
+      threshold: '',
+    });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (needsAsset && !draft.assetId) {
+      errorAlert('חסרים פרטים', 'יש לבחור נכס');
+      return;
+    }
+    if (!(Number(draft.threshold) > 0)) {
+      errorAlert('חסרים פרטים', 'יש להזין ערך סף גדול מאפס');
+      return;
+    }
+    setSaving(true);
+    try {
+      await saveAlertRule(user, draft);
+      setDraft(emptyDraft(reportingCurrency));
+      successToast(draft.id ? 'ההתראה עודכנה' : 'ההתראה נשמרה');
+    } catch (error) {
+      console.error('[Alerts] Save error:', error);
+      errorAlert('שגיאה', 'שמירת ההתראה נכשלה');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEdit = (rule) => {
+    setDraft({
+      ...emptyDraft(reportingCurrency),
+      id: rule.id,
+      type: rule.type,
+      assetId: rule.assetId || '',
+      direction: rule.direction || 'above',
+      threshold: rule.threshold,
+      currency: rule.currency || reportingCurrency,
+      groupType: rule.groupType || 'category',
+    });
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const handleToggle = async (rule) => {
+    try {
+      await setAlertRuleEnabled(user, rule.id, rule.enabled === false);
+    } catch (error) {
+      console.error('[Alerts] Toggle error:', error);
+      errorAlert('שגיאה', 'עדכון ההתראה נכשל');
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    const confirmed = await confirmAlert('מחיקת התראה', 'למחוק את ההתראה? היסטוריית ההתראות שהופעלו תישמר.', 'warning', true);
+    if (!confirmed) return;
+    try {
+      await deleteAlertRule(user, rule.id);
+      if (draft.id === rule.id) setDraft(emptyDraft(reportingCurrency));
+      successToast('ההתראה נמחקה');
+    } catch (error) {
+      console.error('[Alerts] Delete error:', error);
+      errorAlert('שגיאה', 'מחיקת ההתראה נכשלה');
+    }
+  };
+
+  const handleMarkRead = async () => {
+    try {
+      await markAlertsRead(user, unread.map(item => item.id));
+    } catch (error) {
+      console.error('[Alerts] Mark read error:', error);
+      errorAlert('שגיאה', 'עדכון ההתראות נכשל');
+    }
+  };
+
+  const handleClearHistory = async () => {
+    const confirmed = await confirmAlert('ניקוי היסטוריה', 'למחוק את כל ההתראות שהופעלו?', 'warning', true);
+    if (!confirmed) return;
+    try {
+      await clearAlertHistory(user);
+      successToast('ההיסטוריה נמחקה');
+    } catch (error) {
+      console.error('[Alerts] Clear history error:', error);
+      errorAlert('שגיאה', 'מחיקת ההיסטוריה נכשלה');
+    }
+  };
+
+  const handlePushToggle = async () => {
+    setPushBusy(true);
+    try {
+      if (pushEnabled) {
+        await disablePushNotifications(user);
+        setPushEnabled(false);
+        successToast('התראות Push כובו במכשיר זה');
+      } else {
+        await enablePushNotifications(user);
+        setPushEnabled(true);
+        successToast('התראות Push הופעלו במכשיר זה');
+      }
+    } catch (error) {
+      console.error('[Alerts] Push subscription error:', error);
+      errorAlert('שגיאה', Notification.permission === 'denied'
+        ? 'ההרשאה להתראות נחסמה בדפדפן - יש לאפשר אותה בהגדרות האתר'
+        : 'הפעלת התראות Push נכשלה');
+    } finally {
+      setPushBusy(false);
+    }
+  };
+
+  if (!user) {
+    return (
+      <div className="max-w-7xl mx-auto p-6 text-center text-slate-500 dark:text-slate-400" dir="rtl">
+        התראות אינן זמינות במצב דמו
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto space-y-6 pb-8 md:pb-12" dir="rtl">
+      {/* Header */}
+      <header className="flex flex-col mr-12 md:mr-0 md:flex-row md:items-center md:justify-between gap-4 pb-6 border-b border-slate-200 dark:border-slate-700">
+        <div className="flex items-center gap-3">
+          <div className="w-12 h-12 rounded-2xl bg-gradient-to-br from-rose-500 to-red-600 flex items-center justify-center shadow-lg">
+            <Bell className="text-white" size={24} />
+          </div>
+          <div>
+            <h2 className="text-2xl md:text-3xl font-bold text-slate-900 dark:text-white">התראות</h2>
+            <p className="text-slate-500 dark:text-slate-400 text-sm mt-1">מחיר, שינוי יומי, שווי התיק וסטייה מהקצאת היעד - נבדקות בכל רענון מחירים</p>
+          </div>
+        </div>
+        {pushSupported ? (
+          <button
+            onClick={handlePushToggle}
+            disabled={pushBusy}
+            className={`flex items-center gap-2 px-4 py-2 text-sm font-medium rounded-lg transition-colors disabled:opacity-50 ${pushEnabled
+              ? 'bg-slate-100 dark:bg-slate-700 hover:bg-slate-200 dark:hover:bg-slate-600 text-slate-700 dark:text-slate-200'
+              : 'bg-emerald-600 hover:bg-emerald-700 text-white'
+              }`}
+          >
+            {pushBusy ? <Loader2 size={16} className="animate-spin" /> : pushEnabled ? <BellOff size={16} /> : <BellRing size={16} />}
+            {pushEnabled ? 'כבה Push במכשיר זה' : 'הפעל Push במכשיר זה'}
+          </button>
+        ) : (
+          <p className="text-xs text-slate-500 dark:text-slate-400">התראות Push אינן זמינות בדפדפן זה - ההתראות יוצגו באפליקציה בלבד</p>
+        )}
+      </header>
+
+      {/* KPI Cards */}
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-1.5 md:gap-4">
+        <SummaryCard
+          title="התראות פעילות"
+          value={`${activeRules.length} / ${rules.length}`}
+          icon={Bell}
+          iconBgColor="bg-rose-500/10"
+          loading={loading}
+        />
+        <SummaryCard
+          title="שלא נקראו"
+          value={String(unread.length)}
+          icon={BellRing}
+          iconBgColor="bg-amber-500/10"
+          loading={loading}
+        />
+        <SummaryCard
+          title="הופעלה לאחרונה"
+          value={history[0] ? formatDateTime(history[0].triggeredAt) : '—'}
+          icon={Clock}
+          iconBgColor="bg-blue-500/10"
+          loading={loading}
+        />
+      </div>
+
+      {/* Add / Edit Rule */}
+      <form onSubmit={handleSave} className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-slate-200 dark:border-slate-700 p-4 md:p-6 space-y-3">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-bold text-slate-800 dark:text-white">{draft.id ? 'עריכת התראה' : 'התראה חדשה'}</h3>
+          {draft.id && (
+            <button
+              type="button"
+              onClick={() => setDraft(emptyDraft(reportingCurrency))}
+              className="flex items-center gap-1 text-sm text-slate-500 hover:text-slate-700 dark:text-slate-400 dark:hover:text-slate-200"
+            >
+              <X size={14} />
+              ביטול עריכה
+            </button>
+          )}
+        </div>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+          <label className="text-sm text-slate-600 dark:text-slate-300">
+            סוג
+            <select value={draft.type} onChange={e => handleTypeChange(e.target.value)} className={INPUT_CLASS}>
+              {Object.entries(ALERT_TYPES).map(([key, t]) => <option key={key} value={key}>{t.label}</option>)}
+            </select>
+          </label>
+
+          {needsAsset && (
+            <label className="text-sm text-slate-600 dark:text-slate-300">
+              נכס
+              <select value={draft.assetId} onChange={e => setDraft({ ...draft, assetId: e.target.value })} className={INPUT_CLASS}>
+                <option value="">בחר נכס</option>
+                {pricedAssets.map(a => <option key={a.id} value={a.id}>{a.name}{a.symbol ? ` (${a.symbol})` : ''}</option>)}
+              </select>
+            </label>
+          )}
+
+          {draft.type === 'drift' ? (
+            <label className="text-sm text-slate-600 dark:text-slate-300">
+              קבוצת הקצאה
+              <select value={draft.groupType} onChange={e => setDraft({ ...draft, groupType: e.target.value })} className={INPUT_CLASS}>
+                {Object.entries(ALERT_GROUP_TYPES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+              </select>
+            </label>
+          ) : (
+            <label className="text-sm text-slate-600 dark:text-slate-300">
+              תנאי
+              <select value={draft.direction} onChange={e => setDraft({ ...draft, direction: e.target.value })} className={INPUT_CLASS}>
+                <option value="above">{DIRECTION_LABELS[draft.type].above}</option>
+                <option value="below">{DIRECTION_LABELS[draft.type].below}</option>
+              </select>
+            </label>
+          )}
+
+          {draft.type === 'portfolio' && (
+            <label className="text-sm text-slate-600 dark:text-slate-300">
+              מטבע
+              <select value={draft.currency} onChange={e => setDraft({ ...draft, currency: e.target.value })} className={INPUT_CLASS}>
+                {SUPPORTED_CURRENCIES.map(({ code, symbol }) => <option key={code} value={code}>{code} ({symbol})</option>)}
+              </select>
+            </label>
+          )}
+
+          <label className="text-sm text-slate-600 dark:text-slate-300">
+            {draft.type === 'price' && `מחיר (${selectedAsset?.currency || 'מטבע הנכס'})`}
+            {draft.type === 'change' && 'שינוי יומי (%)'}
+            {draft.type === 'portfolio' && `שווי (${draft.currency})`}
+            {draft.type === 'drift' && 'סטייה מהיעד (נקודות אחוז)'}
+            <input
+              type="number"
+              step="any"
+              min="0"
+              value={draft.threshold}
+              onChange={e => setDraft({ ...draft, threshold: e.target.value })}
+              className={INPUT_CLASS}
+            />
+            {draft.type === 'price' && selectedAsset?.hasLivePrice && (
+              <span className="block mt-1 text-xs text-slate-500 dark:text-slate-400">
+                מחיר נוכחי: {formatNumber(selectedAsset.currentPriceNative)} {selectedAsset.currency}
+              </span>
+            )}
+          </label>
+        </div>
+        {draft.type === 'drift' && (
+          <p className="text-xs text-slate-500 dark:text-slate-400">ההתראה מופעלת כשאחד הפריטים בקבוצה חורג מיעד ההקצאה שהוגדר בדף האיזון.</p>
+        )}
+
+        <button
+          type="submit"
+          disabled={saving}
+          className="w-full md:w-auto flex items-center justify-center gap-2 px-6 py-2.5 bg-emerald-600 hover:bg-emerald-700 disabled:opacity-50 text-white rounded-lg font-medium transition-colors"
+        >
+          {saving ? <Loader2 size={16} className="animate-spin" /> : <Plus size={16} />}
+          {draft.id ? 'עדכן התראה' : 'שמור התראה'}
+        </button>
+      </form>
+
+      {/* Rules List */}
+      <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-slate-200 dark:border-slate-700 p-4 md:p-6">
+        <h3 className="text-lg font-bold text-slate-800 dark:text-white mb-4">ההתראות שלי</h3>
+        {loading ? (
+          <div className="flex justify-center py-8"><Loader2 className="animate-spin text-slate-400" size={24} /></div>
+        ) : rules.length === 0 ? (
+          <p className="text-sm text-slate-500 dark:text-slate-400 text-center py-6">עדיין לא הוגדרו התראות</p>
+        ) : (
+          <div className="divide-y divide-slate-100 dark:divide-slate-700">
+            {rules.map(rule => {
+              const type = ALERT_TYPES[rule.type] || ALERT_TYPES.price;
+              const paused = rule.enabled === false;
+              return (
+                <div key={rule.id} className={`flex items-center gap-3 py-3 ${paused ? 'opacity-50' : ''}`}>
+                  <span
+                    className="px-2 py-0.5 rounded-full text-xs font-medium text-white flex-shrink-0"
+                    style={{ backgroundColor: type.color }}
+                  >
+                    {type.label}
+                  </span>
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-medium text-slate-800 dark:text-slate-100 truncate">{describeRule(rule, assetsById)}</p>
+                    <p className="text-xs text-slate-500 dark:text-slate-400">
+                      {rule.active ? 'התנאי מתקיים כעת - תופעל שוב אחרי שיפסיק להתקיים' : 'ממתינה'}
+                      {rule.lastTriggeredAt && ` · הופעלה לאחרונה ${formatDateTime(rule.lastTriggeredAt)}`}
+                    </p>
+                  </div>
+                  <button onClick={() => handleToggle(rule)} className="p-1.5 text-slate-400 hover:text-slate-700 dark:hover:text-slate-200" title={paused ? 'הפעל' : 'השהה'}>
+                    {paused ? <Play size={16} /> : <Pause size={16} />}
+                  </button>
+                  <button onClick={() => handleEdit(rule)} className="p-1.5 text-slate-400 hover:text-blue-600" title="ערוך">
+                    <Edit2 size={16} />
+                  </button>
+                  <button onClick={() => handleDelete(rule)} className="p-1.5 text-slate-400 hover:text-red-600" title="מחק">
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      {/* History */}
+      <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-slate-200 dark:border-slate-700 p-4 md:p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-bold text-slate-800 dark:text-white flex items-center gap-2">
+            <History size={18} />
+            היסטוריית התראות
+          </h3>
+          <div className="flex gap-3">
+            {unread.length > 0 && (
+              <button onClick={handleMarkRead} className="flex items-center gap-1 text-sm text-emerald-600 dark:text-emerald-400 hover:underline">
+                <CheckCheck size={14} />
+                סמן הכל כנקרא
+              </button>
+            )}
+            {history.length > 0 && (
+              <button onClick={handleClearHistory} className="flex items-center gap-1 text-sm text-slate-500 hover:text-red-600">
+                <Trash2 size={14} />
+                נקה
+              </button>
+            )}
+          </div>
+        </div>
+        {history.length === 0 ? (
+          <p className="text-sm text-slate-500 dark:text-slate-400 text-center py-6">עדיין לא הופעלו התראות</p>
+        ) : (
+          <div className="space-y-2">
+            {history.map(item => (
+              <div
+                key={item.id}
+                className={`p-3 rounded-lg border ${item.read
+                  ? 'border-slate-100 dark:border-slate-700'
+                  : 'border-amber-200 dark:border-amber-800 bg-amber-50 dark:bg-amber-900/20'
+                  }`}
+              >
+                <div className="flex items-center justify-between gap-2">
+                  <span className="text-sm font-semibold text-slate-800 dark:text-slate-100">{item.title}</span>
+                  <span className="text-xs text-slate-400 flex-shrink-0">{formatDateTime(item.triggeredAt)}</span>
+                </div>
+                <p className="text-xs text-slate-600 dark:text-slate-300 mt-0.5">
+                  {item.body}
+                  {item.source === 'cron' && ' · נבדק ברענון המתוזמן'}
+                </p>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Alerts;
@@ -1,6 +1,6 @@
 import { useState, useEffect, useMemo, useRef } from 'react';
 import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
-import { ArrowLeft, Sparkles, Loader2, Plus, ArrowRight, Calculator, RefreshCw, Calendar, Hash, X, Layers, Search, DollarSign, Tag } from 'lucide-react';
+import { ArrowLeft, Sparkles, Loader2, Plus, ArrowRight, Calculator, RefreshCw, Calendar, Hash, X, Layers, Search, DollarSign, Tag, ListOrdered, GitMerge, Wallet, TrendingUp } from 'lucide-react';
 import { callGeminiAI } from '../services/gemini';
 import { infoAlert, successToast, errorAlert } from '../utils/alerts';
 import { generateRandomColor } from '../constants/defaults';
@@ -9,13 +9,21 @@ import CustomSelect from '../components/CustomSelect';
 import FormSection from '../components/FormSection';
 import AssetModeSelector from '../components/AssetModeSelector';
 import CalculatedField from '../components/CalculatedField';
-import { fetchAssetPrice, fetchAssetHistoricalPrice, convertCurrency } from '../services/priceService';
-
-const AssetForm = ({ onSave, assets = [], systemData, setSystemData, portfolioContext = "" }) => {
+import TransactionLedger from '../components/TransactionLedger';
+import CorporateActions from '../components/CorporateActions';
+import ValuationHistory from '../components/ValuationHistory';
+import { fetchAssetPrice, fetchAssetHistoricalPrice } from '../services/priceService';
+import { convertAmountAtDate, SUPPORTED_CURRENCIES, getCurrencySymbol } from '../services/currency';
+import { getWalletBalances } from '../services/backendApi';
+import { WALLET_CHAINS, getWalletChain, getWalletKey, guessWalletChain, isValidWalletAddress } from '../services/walletService';
+
+const AssetForm = ({ onSave, assets = [], systemData, setSystemData, portfolioContext = "", user = null }) => {
   const navigate = useNavigate();
   const { id } = useParams();
   const [searchParams] = useSearchParams();
   const editAsset = id ? assets.find(a => a.id === id) : null;
+  const hasLedger = !!editAsset?.transactions?.length;
+  const [activeTab, setActiveTab] = useState('details'); // 'details' | 'transactions' | 'corporate' | 'valuations'
 
   // Redirect if trying to edit non-existent asset
   useEffect(() => {
@@ -48,7 +56,9 @@ const AssetForm = ({ onSave, assets = [], systemData, setSystemData, portfolioCo
     quantity: '',
     purchasePrice: '',
     purchaseDate: new Date().toISOString().split('T')[0], // Today's date as default
-    totalCost: '' // For reverse calculation
+    totalCost: '', // For reverse calculation
+    walletChain: '', // Public address tracking (crypto only) - see walletService
+    walletAddress: ''
   });
   const [tagLoading, setTagLoading] = useState(false);
   const [aiSuggestLoading, setAiSuggestLoading] = useState(false);
@@ -58,8 +68,10 @@ const AssetForm = ({ onSave, assets = [], systemData, setSystemData, portfolioCo
 
   // Reactive currency conversion state
   const [nativePrice, setNativePrice] = useState(null); // Raw price from API in native currency
+  const [nativePriceDate, setNativePriceDate] = useState(null); // Set when nativePrice is a historical close (converted at that date's rate)
   const [nativeCurrency, setNativeCurrency] = useState(null); // Native currency of the asset (e.g., 'USD', 'ILS')
   const [exchangeRate, setExchangeRate] = useState(null); // Cached USD/ILS exchange rate
+  const [fxUnavailable, setFxUnavailable] = useState(null); // 'EUR/ILS' when the pair has no rate (price is not converted)
   const [isPriceManual, setIsPriceManual] = useState(false); // True if user manually edited price (disable auto-updates)
   const [showNewSymbol, setShowNewSymbol] = useState(false);
   const [newSymbolValue, setNewSymbolValue] = useState('');
@@ -67,6 +79,7 @@ const AssetForm = ({ onSave, assets = [], systemData, setSystemData, portfolioCo
   const [newPlatformValue, setNewPlatformValue] = useState('');
   const [showNewInstrument, setShowNewInstrument] = useState(false);
   const [newInstrumentValue, setNewInstrumentValue] = useState('');
+  const [walletCheck, setWalletCheck] = useState(null); // { loading, tokens, error } for the address balance check
 
   // Handle adding new symbol
   const handleAddSymbol = () => {
@@ -144,7 +157,9 @@ const AssetForm = ({ onSave, assets = [], systemData, setSystemData, portfolioCo
         quantity: editAsset.quantity || '',
         purchasePrice: editAsset.purchasePrice || '',
         purchaseDate: editAsset.purchaseDate || new Date().toISOString().split('T')[0],
-        totalCost: editAsset.totalCost || ''
+        totalCost: editAsset.totalCost || '',
+        walletChain: editAsset.wallet?.chain || '',
+        walletAddress: editAsset.wallet?.address || ''
       });
     } else if (!id) {
       // Only reset on new asset (not edit), and preserve query params
@@ -165,7 +180,9 @@ const AssetForm = ({ onSave, assets = [], systemData, setSystemData, portfolioCo
         assetMode: 'QUANTITY',
         quantity: '',
         purchasePrice: '',
-        purchaseDate: new Date().toISOString().split('T')[0]
+        purchaseDate: new Date().toISOString().split('T')[0],
+        walletChain: '',
+        walletAddress: ''
       }));
     }
   }, [editAsset, id, initialPlatform, initialCategory, initialInstrument]);
@@ -205,6 +222,7 @@ const AssetForm = ({ onSave, assets = [], systemData, setSystemData, portfolioCo
       };
       setCurrentPriceData(null);
       setNativePrice(null);
+      setNativePriceDate(null);
       setNativeCurrency(null);
       setIsPriceManual(false);
       setLastEditedField(null);
@@ -250,6 +268,7 @@ const AssetForm = ({ onSave, assets = [], systemData, setSystemData, portfolioCo
       }));
       setCurrentPriceData(null);
       setNativePrice(null);
+      setNativePriceDate(null);
       setNativeCurrency(null);
       setIsPriceManual(false);
       setLastEditedField(null);
@@ -303,11 +322,10 @@ const AssetForm = ({ onSave, assets = [], systemData, setSystemData, portfolioCo
   useEffect(() => {
     if (formData.category === 'מזומן' && formData.symbol) {
       const symbol = formData.symbol;
-      // Check if symbol is exactly ILS or USD, or contains them in parentheses
-      if (symbol === 'ILS' || symbol === 'מזומן (ILS)' || symbol.includes('(ILS)')) {
-        setFormData(prev => ({ ...prev, currency: 'ILS' }));
-      } else if (symbol === 'USD' || symbol === 'מזומן (USD)' || symbol.includes('(USD)')) {
-        setFormData(prev => ({ ...prev, currency: 'USD' }));
+      // Check if symbol is exactly a currency code, or contains one in parentheses
+      const match = SUPPORTED_CURRENCIES.find(({ code }) => symbol === code || symbol.includes(`(${code})`));
+      if (match) {
+        setFormData(prev => ({ ...prev, currency: match.code }));
       }
     }
   }, [formData.category, formData.symbol]);
@@ -384,6 +402,7 @@ const AssetForm = ({ onSave, assets = [], systemData, setSystemData, portfolioCo
         // This is a deliberate user action — they want to update the price.
         console.log('[BUTTON] Auto-filling price fields (force refresh)');
         setNativePrice(priceData.currentPrice);
+        setNativePriceDate(null);
         setNativeCurrency(priceData.currency || 'USD');
         setIsPriceManual(false);
 
@@ -392,7 +411,9 @@ const AssetForm = ({ onSave, assets = [], systemData, setSystemData, portfolioCo
         const displayPrice = await convertAmount(priceData.currentPrice, priceData.currency || 'USD', formData.currency);
 
         await successToast(
-          `מחיר נוכחי: ${displayPrice.toFixed(2)} ${formData.currency}`,
+          displayPrice === null
+            ? `מחיר נוכחי: ${priceData.currentPrice.toFixed(2)} ${priceData.currency || 'USD'}`
+            : `מחיר נוכחי: ${displayPrice.toFixed(2)} ${formData.currency}`,
           3000
         );
       } else {
@@ -472,6 +493,7 @@ const AssetForm = ({ onSave, assets = [], systemData, setSystemData, portfolioCo
 
         // Update native price (this will trigger Effect C to convert)
         setNativePrice(historicalPrice);
+        setNativePriceDate(formData.purchaseDate);
         if (!nativeCurrency) {
           setNativeCurrency(assetNativeCurrency);
         }
@@ -479,11 +501,17 @@ const AssetForm = ({ onSave, assets = [], systemData, setSystemData, portfolioCo
 
         // Get converted price for toast message
         let displayPrice = historicalPrice;
+        let displayCurrency = formData.currency;
         if (assetNativeCurrency !== formData.currency) {
-          displayPrice = await convertCurrency(historicalPrice, assetNativeCurrency, formData.currency);
+          displayPrice = await convertAmountAtDate(historicalPrice, assetNativeCurrency, formData.currency, formData.purchaseDate);
+          // No rate for the pair - show the native price
+          if (displayPrice === null) {
+            displayPrice = historicalPrice;
+            displayCurrency = assetNativeCurrency;
+          }
         }
 
-        await successToast(`מחיר היסטורי: ${displayPrice.toFixed(2)} ${formData.currency}`, 2000);
+        await successToast(`מחיר היסטורי: ${displayPrice.toFixed(2)} ${displayCurrency}`, 2000);
       } else {
         await errorAlert('שגיאה', 'לא ניתן לשלוף מחיר היסטורי. נסה תאריך אחר או הזן ידנית.');
       }
@@ -587,6 +615,7 @@ const AssetForm = ({ onSave, assets = [], systemData, setSystemData, portfolioCo
 
           // Update native price (this will trigger Effect C to convert)
           setNativePrice(historicalPrice);
+          setNativePriceDate(formData.purchaseDate);
           if (!nativeCurrency) {
             setNativeCurrency(assetNativeCurrency);
           }
@@ -637,6 +666,7 @@ const AssetForm = ({ onSave, assets = [], systemData, setSystemData, portfolioCo
           // Only auto-fill for NEW assets.
           if (!editAsset) {
             setNativePrice(assetNativePrice);
+            setNativePriceDate(null);
             setNativeCurrency(assetNativeCurrency);
             setIsPriceManual(false); // Reset manual mode when fetching from API
           } else {
@@ -668,8 +698,11 @@ const AssetForm = ({ onSave, assets = [], systemData, setSystemData, portfolioCo
       if ((nativeCurrency === 'USD' && formData.currency === 'ILS') ||
         (nativeCurrency === 'ILS' && formData.currency === 'USD')) {
         try {
-          const { getExchangeRate } = await import('../services/priceService');
-          const rate = await getExchangeRate();
+          // A historical price is converted at its own date's rate
+          const { getExchangeRate, getHistoricalExchangeRate } = await import('../services/currency');
+          const rate = nativePriceDate
+            ? await getHistoricalExchangeRate(nativePriceDate)
+            : await getExchangeRate();
           setExchangeRate(rate);
         } catch (error) {
           console.error('Error fetching exchange rate:', error);
@@ -678,7 +711,7 @@ const AssetForm = ({ onSave, assets = [], systemData, setSystemData, portfolioCo
     };
 
     updateExchangeRate();
-  }, [nativeCurrency, formData.currency]);
+  }, [nativeCurrency, formData.currency, nativePriceDate]);
 
   // Effect C: Convert price when currency or native price changes (REACTIVE)
   useEffect(() => {
@@ -693,13 +726,29 @@ const AssetForm = ({ onSave, assets = [], systemData, setSystemData, portfolioCo
 
       // Use canonical conversion function (handles same-currency case)
       try {
-        const { convertAmount } = await import('../services/currency');
+        const { convertAmount, getPairRate } = await import('../services/currency');
+
+        // Pairs other than USD/ILS go through the FX matrix - never fill an unconverted price
+        const isUsdIls = [nativeCurrency, formData.currency].sort().join('/') === 'ILS/USD';
+        if (nativeCurrency !== formData.currency && !isUsdIls) {
+          const pairRate = await getPairRate(nativeCurrency, formData.currency);
+          if (!pairRate) {
+            setFxUnavailable(`${nativeCurrency}/${formData.currency}`);
+            return;
+          }
+        }
+        setFxUnavailable(null);
+
         const convertedPrice = await convertAmount(
           nativePrice,
           nativeCurrency,
           formData.currency,
           exchangeRate
         );
+        if (convertedPrice === null) {
+          setFxUnavailable(`${nativeCurrency}/${formData.currency}`);
+          return;
+        }
 
         // Update price field immediately (Excel-like reactivity)
         // Only update if the price actually changed (avoid unnecessary updates)
@@ -843,6 +892,7 @@ const AssetForm = ({ onSave, assets = [], systemData, setSystemData, portfolioCo
     // Reset all related state
     setCurrentPriceData(null);
     setNativePrice(null);
+    setNativePriceDate(null);
     setNativeCurrency(null);
     setExchangeRate(null);
     setIsPriceManual(false);
@@ -855,9 +905,39 @@ const AssetForm = ({ onSave, assets = [], systemData, setSystemData, portfolioCo
     setNewInstrumentValue('');
   };
 
+  // Read the address balance now and fill the quantity (tokens become assets on the next wallet sync)
+  const handleCheckWallet = async () => {
+    const walletChain = formData.walletChain || guessWalletChain(formData);
+    const walletAddress = formData.walletAddress.trim();
+    if (!isValidWalletAddress(walletChain, walletAddress)) {
+      setWalletCheck({ error: `הכתובת אינה כתובת ${getWalletChain(walletChain)?.label || ''} תקינה` });
+      return;
+    }
+
+    setWalletCheck({ loading: true });
+    try {
+      const result = await getWalletBalances(walletChain, walletAddress);
+      const native = result.balances.find(b => !b.contract);
+      if (!hasLedger) {
+        setFormData(prev => ({ ...prev, walletChain, assetMode: 'QUANTITY', quantity: String(native?.amount ?? 0) }));
+        setLastEditedField('quantity');
+      }
+      setWalletCheck({ native, tokens: result.balances.filter(b => b.contract) });
+    } catch (error) {
+      setWalletCheck({ error: error.message });
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
+    const walletAddress = formData.walletAddress.trim();
+    const walletChain = formData.walletChain || guessWalletChain(formData);
+    if (walletAddress && !isValidWalletAddress(walletChain, walletAddress)) {
+      errorAlert('כתובת ארנק לא תקינה', `הכתובת אינה כתובת ${getWalletChain(walletChain)?.label || ''} תקינה`);
+      return;
+    }
+
     // Build asset data based on mode
     const assetData = {
       name: formData.name,
@@ -874,7 +954,9 @@ const AssetForm = ({ onSave, assets = [], systemData, setSystemData, portfolioCo
       assetMode: formData.assetMode
     };
 
-    if (formData.assetMode === 'QUANTITY') {
+    if (formData.assetMode === 'QUANTITY' && hasLedger) {
+      // Position is derived from the transaction ledger - don't overwrite it from the form
+    } else if (formData.assetMode === 'QUANTITY') {
       // New quantity-based tracking
       assetData.quantity = Number(formData.quantity) || 0;
       assetData.purchasePrice = Number(formData.purchasePrice) || 0;
@@ -889,6 +971,19 @@ const AssetForm = ({ onSave, assets = [], systemData, setSystemData, portfolioCo
       assetData.purchaseDate = null;
     }
 
+    // Wallet-tracked address (token assets created by the sync keep theirs untouched)
+    if (!editAsset?.wallet?.contract && (walletAddress || editAsset?.wallet)) {
+      assetData.wallet = walletAddress
+        ? {
+          chain: walletChain,
+          address: walletAddress,
+          contract: null,
+          key: getWalletKey(walletChain, walletAddress),
+          syncedAt: editAsset?.wallet?.address === walletAddress ? editAsset.wallet.syncedAt || null : null
+        }
+        : null;
+    }
+
     const isEdit = !!editAsset;
     if (isEdit) {
       assetData.id = editAsset.id;
@@ -941,6 +1036,78 @@ const AssetForm = ({ onSave, assets = [], systemData, setSystemData, portfolioCo
           </button>
         )}
       </header>
+      {/* Tabs - transactions ledger and corporate actions for a quantity-tracked asset, valuations for a manually valued one */}
+      {editAsset && (formData.assetMode === 'QUANTITY' || formData.category !== 'מזומן') && (
+        <div className="flex gap-2 border-b border-slate-200 dark:border-slate-700 overflow-x-auto mb-6">
+          <button
+            type="button"
+            onClick={() => setActiveTab('details')}
+            className={`px-4 py-2 text-sm font-medium transition-colors border-b-2 whitespace-nowrap ${activeTab === 'details'
+              ? 'border-emerald-600 dark:border-emerald-400 text-emerald-600 dark:text-emerald-400'
+              : 'border-transparent text-slate-500 dark:text-slate-400 hover:text-slate-700 dark:hover:text-slate-300'
+              }`}
+          >
+            פרטי נכס
+          </button>
+          {formData.assetMode === 'QUANTITY' ? (
+            <>
+              <button
+                type="button"
+                onClick={() => setActiveTab('transactions')}
+                className={`px-4 py-2 text-sm font-medium transition-colors border-b-2 whitespace-nowrap flex items-center gap-1.5 ${activeTab === 'transactions'
+                  ? 'border-emerald-600 dark:border-emerald-400 text-emerald-600 dark:text-emerald-400'
+                  : 'border-transparent text-slate-500 dark:text-slate-400 hover:text-slate-700 dark:hover:text-slate-300'
+                  }`}
+              >
+                <ListOrdered size={14} />
+                תנועות
+                {hasLedger && (
+                  <span className="text-xs bg-slate-100 dark:bg-slate-700 text-slate-600 dark:text-slate-300 px-1.5 rounded-full">
+                    {editAsset.transactions.length}
+                  </span>
+                )}
+              </button>
+              <button
+                type="button"
+                onClick={() => setActiveTab('corporate')}
+                className={`px-4 py-2 text-sm font-medium transition-colors border-b-2 whitespace-nowrap flex items-center gap-1.5 ${activeTab === 'corporate'
+                  ? 'border-emerald-600 dark:border-emerald-400 text-emerald-600 dark:text-emerald-400'
+                  : 'border-transparent text-slate-500 dark:text-slate-400 hover:text-slate-700 dark:hover:text-slate-300'
+                  }`}
+              >
+                <GitMerge size={14} />
+                פעולות תאגידיות
+              </button>
+            </>
+          ) : (
+            <button
+              type="button"
+              onClick={() => setActiveTab('valuations')}
+              className={`px-4 py-2 text-sm font-medium transition-colors border-b-2 whitespace-nowrap flex items-center gap-1.5 ${activeTab === 'valuations'
+                ? 'border-emerald-600 dark:border-emerald-400 text-emerald-600 dark:text-emerald-400'
+                : 'border-transparent text-slate-500 dark:text-slate-400 hover:text-slate-700 dark:hover:text-slate-300'
+                }`}
+            >
+              <TrendingUp size={14} />
+              הערכות שווי
+            </button>
+          )}
+        </div>
+      )}
+
+      {editAsset && activeTab === 'transactions' ? (
+        <div className="md:bg-white md:dark:bg-slate-800 p-2 md:p-8 md:rounded-2xl md:shadow-lg md:border md:border-slate-100 dark:border-slate-700">
+          <TransactionLedger user={user} asset={editAsset} />
+        </div>
+      ) : editAsset && activeTab === 'corporate' ? (
+        <div className="md:bg-white md:dark:bg-slate-800 p-2 md:p-8 md:rounded-2xl md:shadow-lg md:border md:border-slate-100 dark:border-slate-700">
+          <CorporateActions user={user} asset={editAsset} />
+        </div>
+      ) : editAsset && activeTab === 'valuations' && formData.assetMode !== 'QUANTITY' ? (
+        <div className="md:bg-white md:dark:bg-slate-800 p-2 md:p-8 md:rounded-2xl md:shadow-lg md:border md:border-slate-100 dark:border-slate-700">
+          <ValuationHistory user={user} asset={editAsset} />
+        </div>
+      ) : (
       <form onSubmit={handleSubmit} className="md:bg-white md:dark:bg-slate-800 p-2 md:p-8 md:rounded-2xl md:shadow-lg md:border md:border-slate-100 dark:border-slate-700 space-y-8">
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
           <div>
@@ -1181,6 +1348,7 @@ const AssetForm = ({ onSave, assets = [], systemData, setSystemData, portfolioCo
                       setLastEditedField(null);
                       // Reset native price and currency - will be set by useEffect
                       setNativePrice(null);
+                      setNativePriceDate(null);
                       setNativeCurrency(null);
                       setIsPriceManual(false); // Reset manual mode when selecting new asset
                     } else {
@@ -1199,6 +1367,7 @@ const AssetForm = ({ onSave, assets = [], systemData, setSystemData, portfolioCo
                       });
                       setCurrentPriceData(null);
                       setNativePrice(null);
+                      setNativePriceDate(null);
                       setNativeCurrency(null);
                       setIsPriceManual(false);
                       setLastEditedField(null);
@@ -1417,27 +1586,85 @@ const AssetForm = ({ onSave, assets = [], systemData, setSystemData, portfolioCo
             <div className="md:col-span-2">
               <label className="block text-sm font-medium text-slate-700 dark:text-slate-200 mb-2">מטבע</label>
               <div className="flex gap-3">
-                <button
-                  type="button"
-                  onClick={() => setFormData({ ...formData, currency: 'ILS' })}
-                  className={`flex-1 px-4 py-1 rounded-xl border-2 transition-all font-medium ${formData.currency === 'ILS'
-                    ? 'bg-emerald-600 dark:bg-emerald-500 text-white border-emerald-600 dark:border-emerald-500 shadow-md'
-                    : 'bg-white dark:bg-slate-700 text-slate-700 dark:text-slate-300 border-slate-300 dark:border-slate-600 hover:border-emerald-400 dark:hover:border-emerald-500'
-                    }`}
-                >
-                  <span className="text-2xl mb-1 block">₪</span>
-                </button>
-                <button
-                  type="button"
-                  onClick={() => setFormData({ ...formData, currency: 'USD' })}
-                  className={`flex-1 px-4 py-1 rounded-xl border-2 transition-all font-medium ${formData.currency === 'USD'
-                    ? 'bg-emerald-600 dark:bg-emerald-500 text-white border-emerald-600 dark:border-emerald-500 shadow-md'
-                    : 'bg-white dark:bg-slate-700 text-slate-700 dark:text-slate-300 border-slate-300 dark:border-slate-600 hover:border-emerald-400 dark:hover:border-emerald-500'
-                    }`}
-                >
-                  <span className="text-2xl mb-1 mt-1 block">$</span>
-                </button>
+                {[...SUPPORTED_CURRENCIES, ...(SUPPORTED_CURRENCIES.some(c => c.code === formData.currency) ? [] : [{ code: formData.currency, symbol: formData.currency }])].map(currency => (
+                  <button
+                    key={currency.code}
+                    type="button"
+                    title={currency.label || currency.code}
+                    onClick={() => setFormData({ ...formData, currency: currency.code })}
+                    className={`flex-1 px-4 py-1 rounded-xl border-2 transition-all font-medium ${formData.currency === currency.code
+                      ? 'bg-emerald-600 dark:bg-emerald-500 text-white border-emerald-600 dark:border-emerald-500 shadow-md'
+                      : 'bg-white dark:bg-slate-700 text-slate-700 dark:text-slate-300 border-slate-300 dark:border-slate-600 hover:border-emerald-400 dark:hover:border-emerald-500'
+                      }`}
+                  >
+                    <span className="text-2xl mb-1 block">{currency.symbol}</span>
+                  </button>
+                ))}
               </div>
+              {fxUnavailable && (
+                <p className="mt-2 text-xs text-amber-600 dark:text-amber-400">
+                  לא נמצא שער המרה {fxUnavailable} - המחיר לא הומר, הזן אותו ידנית במטבע הנבחר
+                </p>
+              )}
+            </div>
+          )}
+
+          {/* Public wallet address - crypto only */}
+          {formData.category === 'קריפטו' && (
+            <div className="md:col-span-2">
+              <label className="block text-sm font-semibold text-slate-700 dark:text-slate-300 mb-2 flex items-center gap-2">
+                <Wallet size={14} />
+                כתובת ארנק ציבורית (אופציונלי)
+              </label>
+              {editAsset?.wallet?.contract ? (
+                <p className="text-xs text-slate-500 dark:text-slate-400">
+                  טוקן שנוסף מסנכרון הארנק <span dir="ltr">{editAsset.wallet.address}</span> ({getWalletChain(editAsset.wallet.chain)?.label}) - הכמות מתעדכנת מהרשת
+                </p>
+              ) : (
+                <>
+                  <div className="flex flex-col md:flex-row gap-2">
+                    <select
+                      value={formData.walletChain || guessWalletChain(formData) || 'evm'}
+                      onChange={e => { setFormData({ ...formData, walletChain: e.target.value }); setWalletCheck(null); }}
+                      className="p-3 border border-slate-200 dark:border-slate-600 rounded-lg bg-white dark:bg-slate-700 text-slate-900 dark:text-slate-100"
+                    >
+                      {WALLET_CHAINS.map(chain => <option key={chain.id} value={chain.id}>{chain.label}</option>)}
+                    </select>
+                    <input
+                      type="text"
+                      dir="ltr"
+                      className="flex-1 p-3 border border-slate-200 dark:border-slate-600 rounded-lg bg-white dark:bg-slate-700 text-slate-900 dark:text-slate-100 font-mono text-sm"
+                      value={formData.walletAddress}
+                      onChange={e => { setFormData({ ...formData, walletAddress: e.target.value }); setWalletCheck(null); }}
+                      placeholder={getWalletChain(formData.walletChain || guessWalletChain(formData) || 'evm')?.placeholder}
+                      autoComplete="off"
+                    />
+                    <button
+                      type="button"
+                      onClick={handleCheckWallet}
+                      disabled={!formData.walletAddress.trim() || walletCheck?.loading}
+                      className="px-4 py-2 rounded-lg bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-300 hover:bg-slate-200 dark:hover:bg-slate-600 disabled:opacity-50 flex items-center justify-center gap-2 text-sm font-medium"
+                    >
+                      {walletCheck?.loading ? <Loader2 size={14} className="animate-spin" /> : <RefreshCw size={14} />}
+                      בדוק יתרה
+                    </button>
+                  </div>
+                  <p className="mt-1 text-xs text-slate-500 dark:text-slate-400">
+                    כתובת ציבורית בלבד - לעולם לא מפתח פרטי או מילות שחזור. הכמות מתעדכנת בכפתור סנכרון ארנקים במסך הנכסים, וטוקנים שנמצאים בכתובת נוספים כנכסים נפרדים.
+                  </p>
+                  {walletCheck?.error && (
+                    <p className="mt-1 text-xs text-red-600 dark:text-red-400">{walletCheck.error}</p>
+                  )}
+                  {walletCheck?.native && (
+                    <p className="mt-1 text-xs text-emerald-600 dark:text-emerald-400" dir="rtl">
+                      יתרה: <span dir="ltr">{walletCheck.native.amount.toLocaleString(undefined, { maximumFractionDigits: 8 })} {walletCheck.native.symbol}</span>
+                      {walletCheck.tokens.length > 0 && (
+                        <> · טוקנים: <span dir="ltr">{walletCheck.tokens.map(t => `${t.amount.toLocaleString(undefined, { maximumFractionDigits: 4 })} ${t.symbol}`).join(', ')}</span></>
+                      )}
+                    </p>
+                  )}
+                </>
+              )}
             </div>
           )}
 
@@ -1457,10 +1684,28 @@ const AssetForm = ({ onSave, assets = [], systemData, setSystemData, portfolioCo
                   placeholder="הזן סכום"
                 />
                 <span className="absolute right-3 top-1/2 -translate-y-1/2 text-slate-500 dark:text-slate-400 text-sm font-bold">
-                  {formData.currency === 'ILS' ? '₪' : '$'}
+                  {getCurrencySymbol(formData.currency)}
                 </span>
               </div>
             </div>
+          ) : formData.assetMode === 'QUANTITY' && hasLedger ? (
+            /* Position derived from the transactions ledger */
+            <div className="md:col-span-2 bg-blue-50 dark:bg-blue-900/20 p-4 rounded-xl border border-blue-200 dark:border-blue-800">
+              <p className="text-sm text-blue-700 dark:text-blue-300 font-medium mb-1">
+                הכמות ועלות הרכישה מחושבות מיומן התנועות
+              </p>
+              <p className="text-sm text-slate-600 dark:text-slate-300 font-mono">
+                {Number(editAsset.quantity || 0).toLocaleString('he-IL', { maximumFractionDigits: 6 })} יחידות × {getCurrencySymbol(formData.currency)}{Number(editAsset.purchasePrice || 0).toLocaleString('he-IL', { maximumFractionDigits: 4 })} עלות ממוצעת
+              </p>
+              <button
+                type="button"
+                onClick={() => setActiveTab('transactions')}
+                className="mt-2 text-xs font-bold text-blue-600 dark:text-blue-400 flex items-center gap-1"
+              >
+                <ListOrdered size={12} />
+                לניהול התנועות
+              </button>
+            </div>
           ) : formData.assetMode === 'QUANTITY' ? (
             <>
               {/* Row 1: Date + Price (auto-fetched) */}
@@ -1534,6 +1779,7 @@ const AssetForm = ({ onSave, assets = [], systemData, setSystemData, portfolioCo
                         // Store the manually entered price as native price in the selected currency
                         // This way, currency conversion will work from this base
                         setNativePrice(priceNum);
+                        setNativePriceDate(null);
                         if (!nativeCurrency) {
                           setNativeCurrency(formData.currency);
                         }
@@ -1556,6 +1802,7 @@ const AssetForm = ({ onSave, assets = [], systemData, setSystemData, portfolioCo
                       const priceNum = Number(newPrice);
                       if (priceNum > 0 && !isNaN(priceNum)) {
                         setNativePrice(priceNum);
+                        setNativePriceDate(null);
                         if (!nativeCurrency) {
                           setNativeCurrency(formData.currency);
                         }
@@ -1577,7 +1824,7 @@ const AssetForm = ({ onSave, assets = [], systemData, setSystemData, portfolioCo
                     placeholder="נשלף אוטומטית"
                   />
                   <span className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-500 dark:text-slate-400 text-sm">
-                    {formData.currency === 'ILS' ? '₪' : '$'}
+                    {getCurrencySymbol(formData.currency)}
                   </span>
                   {priceLoading && (
                     <span className="absolute right-3 top-1/2 -translate-y-1/2">
@@ -1618,7 +1865,7 @@ const AssetForm = ({ onSave, assets = [], systemData, setSystemData, portfolioCo
 
                         />
                         <span className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-500 dark:text-slate-400 text-sm font-bold">
-                          {formData.currency === 'ILS' ? '₪' : '$'}
+                          {getCurrencySymbol(formData.currency)}
                         </span>
                       </div>
                       {lastEditedField === 'totalCost' && formData.purchasePrice && formData.totalCost && (
@@ -1653,7 +1900,7 @@ const AssetForm = ({ onSave, assets = [], systemData, setSystemData, portfolioCo
                       />
                       {lastEditedField === 'quantity' && formData.purchasePrice && formData.quantity && (
                         <p className="text-xs text-emerald-600 dark:text-emerald-400 mt-1 font-medium">
-                          ✓ עלות: {formData.currency === 'ILS' ? '₪' : '$'}{(Number(formData.quantity) * Number(formData.purchasePrice)).toLocaleString('he-IL', { maximumFractionDigits: 2 })}
+                          ✓ עלות: {getCurrencySymbol(formData.currency)}{(Number(formData.quantity) * Number(formData.purchasePrice)).toLocaleString('he-IL', { maximumFractionDigits: 2 })}
                         </p>
                       )}
                     </div>
@@ -1668,11 +1915,11 @@ const AssetForm = ({ onSave, assets = [], systemData, setSystemData, portfolioCo
                 </label>
                 <div className="flex flex-wrap gap-4 items-center">
                   <div className="text-2xl font-bold text-emerald-600 dark:text-emerald-400 font-mono" >
-                    {formData.currency === 'ILS' ? '₪' : '$'}
+                    {getCurrencySymbol(formData.currency)}
                     {estimatedValue.toLocaleString('he-IL', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
                   </div>
                   <div className="text-sm text-emerald-600/80 dark:text-emerald-400/80">
-                    = {formData.quantity || '?'} יחידות × {formData.purchasePrice ? `${formData.currency === 'ILS' ? '₪' : '$'}${Number(formData.purchasePrice).toLocaleString('he-IL', { maximumFractionDigits: 4 })}` : '?'} ליחידה
+                    = {formData.quantity || '?'} יחידות × {formData.purchasePrice ? `${getCurrencySymbol(formData.currency)}${Number(formData.purchasePrice).toLocaleString('he-IL', { maximumFractionDigits: 4 })}` : '?'} ליחידה
                   </div>
                 </div>
                 {!formData.purchasePrice && formData.apiId && (
@@ -1683,16 +1930,22 @@ const AssetForm = ({ onSave, assets = [], systemData, setSystemData, portfolioCo
               </div>
             </>
           ) : (
-            /* LEGACY Mode - Static Value */
+            /* LEGACY Mode - Static Value (follows the valuations once the asset has been revalued) */
             <div>
               <label className="block text-sm font-medium text-slate-700 dark:text-slate-200 mb-2">שווי כולל</label>
               <input
                 type="number"
                 required
-                className="w-full p-3 border border-slate-200 dark:border-slate-600 rounded-lg bg-white dark:bg-slate-700 text-slate-900 dark:text-slate-100"
+                readOnly={!!editAsset?.valuation?.date}
+                className="w-full p-3 border border-slate-200 dark:border-slate-600 rounded-lg bg-white dark:bg-slate-700 text-slate-900 dark:text-slate-100 read-only:opacity-60"
                 value={formData.originalValue}
                 onChange={e => setFormData({ ...formData, originalValue: e.target.value })}
               />
+              {editAsset?.valuation?.date && (
+                <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+                  השווי מתעדכן מהערכות השווי (עדכון אחרון {editAsset.valuation.date})
+                </p>
+              )}
             </div>
           )}
         </div>
@@ -1743,6 +1996,7 @@ const AssetForm = ({ onSave, assets = [], systemData, setSystemData, portfolioCo
           </button>
         </div>
       </form>
+      )}
     </div>
   );
 };
@@ -1,8 +1,8 @@
 import { useState, useMemo, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Plus, Search, Edit2, Trash2, Eye, ArrowUpDown, LayoutGrid, Layers, Building2, ChevronDown, ChevronUp, X, Tag, Database, Palette, RefreshCw, TestTube, TrendingUp, BarChart3, Package, FileText, Bitcoin } from 'lucide-react';
+import { Plus, Search, Edit2, Trash2, Eye, ArrowUpDown, LayoutGrid, Layers, Building2, ChevronDown, ChevronUp, X, Tag, Database, Palette, RefreshCw, TestTube, TrendingUp, BarChart3, Package, FileText, Bitcoin, FileSpreadsheet, Wallet } from 'lucide-react';
 import Modal from '../components/Modal';
-import { confirmAlert, successToast } from '../utils/alerts';
+import { confirmAlert, successToast, infoAlert, errorAlert } from '../utils/alerts';
 import CustomSelect from '../components/CustomSelect';
 import { useDemoData } from '../contexts/DemoDataContext';
 import { useAdmin } from '../hooks/useAdmin';
@@ -12,10 +12,15 @@ import AssetKPIs from './assets/components/AssetKPIs';
 import ViewPresetSelector, { VIEW_PRESETS } from './assets/components/ViewPresetSelector';
 import MobileAssetCard from './assets/components/MobileAssetCard';
 import { usePriceSync } from '../hooks/usePriceSync';
+import { useReportingCurrency } from '../contexts/reportingCurrency';
+import { getCurrencySymbol } from '../services/currency';
+import { syncWalletAssets } from '../services/walletService';
 
 const AssetManager = ({ assets, onDelete, systemData, setSystemData, onResetData, user }) => {
   const { demoAssets, isActive: isDemoActive, toggleDemoMode } = useDemoData();
   const { isAdmin } = useAdmin(user);
+  const reportingCurrency = useReportingCurrency();
+  const reportingSymbol = getCurrencySymbol(reportingCurrency);
 
   // Use demo assets if tour is active, otherwise use real assets
   const displayAssets = isDemoActive && demoAssets.length > 0 ? demoAssets : assets;
@@ -24,6 +29,34 @@ const AssetManager = ({ assets, onDelete, systemData, setSystemData, onResetData
   const { syncPrices, isSyncing, lastSync } = usePriceSync(isDemoActive ? [] : assets);
 
   const navigate = useNavigate();
+
+  // Self-custody wallets tracked by public address (see walletService)
+  const [walletSyncing, setWalletSyncing] = useState(false);
+  const hasWallets = !isDemoActive && !!user && assets.some(a => a.wallet?.address && !a.wallet.contract);
+
+  const handleWalletSync = async () => {
+    setWalletSyncing(true);
+    try {
+      const { items, errors } = await syncWalletAssets(user, assets);
+      const count = (status) => items.filter(i => i.status === status).length;
+      const lines = [`נוצרו ${count('created')}, עודכנו ${count('updated') + count('zeroed')}, ללא שינוי ${count('unchanged')}`];
+      const ledger = items.filter(i => i.status === 'ledger');
+      const unmapped = items.filter(i => i.status === 'unmapped');
+      if (ledger.length) lines.push(`עם יומן תנועות (לא עודכנו): ${ledger.map(i => `${i.name} ${i.quantity}`).join(', ')}`);
+      if (unmapped.length) lines.push(`טוקנים ללא מחיר ב-CoinGecko: ${unmapped.map(i => i.symbol).join(', ')}`);
+      errors.forEach(e => lines.push(`${e.chain} ${e.address.slice(0, 8)}…: ${e.message}`));
+
+      if (ledger.length || unmapped.length || errors.length) {
+        infoAlert('סנכרון ארנקים', lines.join(' · '));
+      } else {
+        successToast(lines[0], 2500);
+      }
+    } catch (error) {
+      errorAlert('סנכרון ארנקים נכשל', error.message);
+    } finally {
+      setWalletSyncing(false);
+    }
+  };
   const [searchTerm, setSearchTerm] = useState('');
   const [filterPlatform, setFilterPlatform] = useState('all');
   const [filterCategory, setFilterCategory] = useState('all');
@@ -92,7 +125,7 @@ const AssetManager = ({ assets, onDelete, systemData, setSystemData, onResetData
   };
 
   const formatMoney = (val, curr) => {
-    return curr === 'USD' ? `$${val.toLocaleString()}` : `₪${val.toLocaleString()}`;
+    return `${getCurrencySymbol(curr)}${val.toLocaleString()}`;
   };
 
   const handleEdit = (asset) => {
@@ -286,6 +319,25 @@ const AssetManager = ({ assets, onDelete, systemData, setSystemData, onResetData
                 </span>
               )}
             </button>
+            {hasWallets && (
+              <button
+                onClick={handleWalletSync}
+                disabled={walletSyncing}
+                className="bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-300 px-3 md:px-5 py-2.5 rounded-lg flex items-center gap-2 font-medium hover:bg-slate-200 dark:hover:bg-slate-600 transition-colors disabled:opacity-50"
+                title="עדכון כמויות מכתובות הארנק הציבוריות"
+              >
+                <Wallet size={16} className={walletSyncing ? 'animate-pulse' : ''} />
+                <span className="hidden sm:inline">{walletSyncing ? 'מסנכרן...' : 'סנכרון ארנקים'}</span>
+              </button>
+            )}
+            <button
+              onClick={() => navigate('/assets/import')}
+              className="bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-300 px-3 md:px-5 py-2.5 rounded-lg flex items-center gap-2 font-medium hover:bg-slate-200 dark:hover:bg-slate-600 transition-colors"
+              title="ייבוא מדוח ברוקר (CSV / Excel)"
+            >
+              <FileSpreadsheet size={16} />
+              <span className="hidden sm:inline">ייבוא</span>
+            </button>
             <button
               onClick={() => navigate('/assets/add')}
               className="bg-emerald-600 dark:bg-emerald-700 text-white px-5 py-1.5 md:py-2.5 rounded-lg flex items-center gap-2 font-medium hover:bg-emerald-700 dark:hover:bg-emerald-600 transition-colors shadow-sm"
@@ -592,7 +644,7 @@ const AssetManager = ({ assets, onDelete, systemData, setSystemData, onResetData
                             {/* Right: Value & % */}
                             <div className="text-right flex-shrink-0">
                               <div className="text-base font-bold text-slate-900 dark:text-white leading-tight">
-                                ₪{Math.round(totalValue).toLocaleString()}
+                                {reportingSymbol}{Math.round(totalValue).toLocaleString()}
                               </div>
                               <div className="flex items-center justify-end gap-1 mt-0.5">
                                 <div className="text-[11px] font-medium text-emerald-600 dark:text-emerald-400 bg-emerald-50 dark:bg-emerald-900/30 px-1.5 py-0.5 rounded" dir="ltr">
@@ -647,7 +699,7 @@ const AssetManager = ({ assets, onDelete, systemData, setSystemData, onResetData
                           <div className="flex items-center gap-4 flex-shrink-0">
                             <div className="text-right min-w-[100px]">
                               <div className="text-lg font-bold text-slate-900 dark:text-white">
-                                ₪{totalValue.toLocaleString()}
+                                {reportingSymbol}{totalValue.toLocaleString()}
                               </div>
                               <div className="text-xs text-slate-500 dark:text-slate-400">
                                 {((totalValue / sortedAssets.reduce((sum, a) => sum + (a.value || 0), 0)) * 100).toFixed(1)}%
@@ -805,9 +857,9 @@ const AssetManager = ({ assets, onDelete, systemData, setSystemData, onResetData
                                     )}
                                     {visibleColumns.value && (
                                       <td className="p-3 md:p-4">
-                                        <div className="font-bold text-slate-900 dark:text-white">₪{asset.value.toLocaleString()}</div>
+                                        <div className="font-bold text-slate-900 dark:text-white">{reportingSymbol}{asset.value.toLocaleString()}</div>
                                         <div className="text-xs text-slate-400 dark:text-slate-500" dir="ltr">
-                                          בקניה: {asset.currency === 'USD' ? '$' : '₪'}{Math.round(asset.originalValue || 0).toLocaleString()}
+                                          בקניה: {getCurrencySymbol(asset.currency)}{Math.round(asset.originalValue || 0).toLocaleString()}
                                         </div>
                                         {asset.priceChange24h !== null && asset.priceChange24h !== undefined && (
                                           <div className={`text-xs mt-1 font-medium ${asset.priceChange24h >= 0 ? 'text-emerald-500' : 'text-red-500'}`}>
@@ -821,7 +873,7 @@ const AssetManager = ({ assets, onDelete, systemData, setSystemData, onResetData
                                         {asset.profitLoss !== null && asset.profitLoss !== undefined ? (
                                           <div>
                                             <div className={`font-bold ${asset.profitLoss >= 0 ? 'text-emerald-600 dark:text-emerald-400' : 'text-red-600 dark:text-red-400'}`}>
-                                              {asset.profitLoss >= 0 ? '+' : ''}₪{Math.round(asset.profitLoss).toLocaleString()}
+                                              {asset.profitLoss >= 0 ? '+' : ''}{reportingSymbol}{Math.round(asset.profitLoss).toLocaleString()}
                                             </div>
                                             <div className={`text-xs ${asset.profitLossPercent >= 0 ? 'text-emerald-500' : 'text-red-500'}`}>
                                               {asset.profitLossPercent >= 0 ? '+' : ''}{asset.profitLossPercent?.toFixed(1)}%
@@ -875,12 +927,18 @@ const AssetManager = ({ assets, onDelete, systemData, setSystemData, onResetData
                   <div className="bg-green-50 dark:bg-green-900/20 p-4 rounded-xl">
                     <div className="text-base md:text-sm text-slate-500 dark:text-slate-400">שווי נוכחי</div>
                     <div className="text-2xl font-bold text-green-600 dark:text-green-400" dir="ltr">
-                      ₪{selectedAsset.value.toLocaleString()}
+                      {reportingSymbol}{selectedAsset.value.toLocaleString()}
                     </div>
+                    {/* שווי במטבע הנכס כשהוא שונה ממטבע הדיווח */}
+                    {selectedAsset.currency !== reportingCurrency && selectedAsset.valueNative !== undefined && (
+                      <div className="text-sm md:text-xs text-slate-400 dark:text-slate-500 mt-1" dir="ltr">
+                        {selectedAsset.currency}: {getCurrencySymbol(selectedAsset.currency)}{Math.round(selectedAsset.valueNative).toLocaleString()}
+                      </div>
+                    )}
                     {/* הצג שווי מקור רק אם שונה משווי נוכחי */}
                     {selectedAsset.originalValue && selectedAsset.originalValue !== selectedAsset.value && (
                       <div className="text-sm md:text-xs text-slate-400 dark:text-slate-500 mt-1" dir="ltr">
-                        בקניה: {selectedAsset.currency === 'USD' ? '$' : '₪'}{(selectedAsset.originalValue || 0).toLocaleString()}
+                        בקניה: {getCurrencySymbol(selectedAsset.currency)}{(selectedAsset.originalValue || 0).toLocaleString()}
                       </div>
                     )}
                   </div>
@@ -891,7 +949,7 @@ const AssetManager = ({ assets, onDelete, systemData, setSystemData, onResetData
                     <div className={`p-4 rounded-xl ${selectedAsset.profitLoss >= 0 ? 'bg-emerald-50 dark:bg-emerald-900/20' : 'bg-red-50 dark:bg-red-900/20'}`}>
                       <div className="text-base md:text-sm text-slate-500 dark:text-slate-400">רווח/הפסד</div>
                       <div className={`text-2xl font-bold ${selectedAsset.profitLoss >= 0 ? 'text-emerald-600 dark:text-emerald-400' : 'text-red-600 dark:text-red-400'}`}>
-                        {selectedAsset.profitLoss >= 0 ? '+' : ''}₪{Math.round(selectedAsset.profitLoss).toLocaleString()}
+                        {selectedAsset.profitLoss >= 0 ? '+' : ''}{reportingSymbol}{Math.round(selectedAsset.profitLoss).toLocaleString()}
                       </div>
                       <div className={`text-base md:text-sm ${selectedAsset.profitLossPercent >= 0 ? 'text-emerald-500' : 'text-red-500'}`}>
                         {selectedAsset.profitLossPercent >= 0 ? '+' : ''}{selectedAsset.profitLossPercent?.toFixed(2)}%
@@ -912,7 +970,7 @@ const AssetManager = ({ assets, onDelete, systemData, setSystemData, onResetData
                     <div className="bg-gray-50 dark:bg-gray-900/20 p-3 rounded-lg text-center">
                       <div className="text-sm md:text-xs text-gray-600 dark:text-gray-400">מחיר רכישה</div>
                       <div className="font-bold text-gray-700 dark:text-gray-300 font-mono" dir="ltr">
-                        {selectedAsset.currency === 'USD' ? '$' : '₪'}{(selectedAsset.purchasePrice || 0).toLocaleString()}
+                        {getCurrencySymbol(selectedAsset.currency)}{(selectedAsset.purchasePrice || 0).toLocaleString()}
                       </div>
                     </div>
                     {(typeof selectedAsset.currentPriceNative === 'number' && selectedAsset.currentPriceNative > 0) ||
@@ -921,8 +979,8 @@ const AssetManager = ({ assets, onDelete, systemData, setSystemData, onResetData
                         <div className="text-sm md:text-xs text-emerald-600 dark:text-emerald-400">מחיר נוכחי</div>
                         <div className="font-bold text-emerald-700 dark:text-emerald-300 font-mono" dir="ltr">
                           {typeof selectedAsset.currentPriceNative === 'number' && selectedAsset.currentPriceNative > 0
-                            ? `${selectedAsset.currency === 'USD' ? '$' : '₪'}${selectedAsset.currentPriceNative.toLocaleString()}`
-                            : `₪${(selectedAsset.currentPrice || 0).toLocaleString()}`}
+                            ? `${getCurrencySymbol(selectedAsset.currency)}${selectedAsset.currentPriceNative.toLocaleString()}`
+                            : `${reportingSymbol}${(selectedAsset.currentPrice || 0).toLocaleString()}`}
                         </div>
                         {selectedAsset.hasLivePrice && (
                           <div className="text-xs text-emerald-500 flex items-center justify-center gap-1 mt-1">
@@ -1,10 +1,13 @@
 import { useState, useMemo, useEffect } from 'react';
 import { useAuth } from '../hooks/useAuth';
 import { useAssets } from '../hooks/useAssets';
+import { useLiabilities } from '../hooks/useLiabilities';
 import { useCurrency } from '../hooks/useCurrency';
 import { useSystemData } from '../hooks/useSystemData';
+import { useReportingCurrency } from '../contexts/reportingCurrency';
+import { getCurrencySymbol } from '../services/currency';
 import { saveChartConfig, subscribeToChartConfigs, deleteChartConfig, updateChartOrders } from '../services/chartService';
-import { aggregateData, getColorForItem, translateTag } from '../utils/chartUtils';
+import { aggregateChartData, getColorForItem, translateTag } from '../utils/chartUtils';
 import ChartRenderer from '../components/ChartRenderer';
 import { successAlert, errorAlert, confirmAlert, successToast } from '../utils/alerts';
 import CustomSelect from '../components/CustomSelect';
@@ -14,13 +17,16 @@ import {
   Save, BarChart3, Filter, X, Eye, PieChart, BarChart, BarChart2, Radar, Gauge, LayoutGrid,
   Plus, Trash2, ArrowUp, ArrowDown, Monitor, Smartphone, Edit2, Check, AreaChart, LineChart,
   TrendingUp, Grid, Settings, Sparkles, Loader2, ChevronDown, ChevronUp, LucideBarChartHorizontal,
-  Wallet, Layers, Coins, Binary, Type, Tag, Banknote
+  Wallet, Layers, Coins, Binary, Type, Tag, Banknote, Landmark
 } from 'lucide-react';
 
 const ChartBuilder = () => {
   const { user } = useAuth();
   const { currencyRate } = useCurrency(user);
-  const { assets } = useAssets(user, currencyRate.rate);
+  const reportingCurrency = useReportingCurrency();
+  const { assets, valueCurrency } = useAssets(user, currencyRate.rate, reportingCurrency);
+  const { liabilities } = useLiabilities(user, reportingCurrency, currencyRate.rate);
+  const currencySymbol = getCurrencySymbol(valueCurrency);
   const { systemData } = useSystemData(user);
 
   const [config, setConfig] = useState({
@@ -83,7 +89,8 @@ const ChartBuilder = () => {
       'symbol': 'סמל נכס',
       'name': 'שם נכס',
       'tags': 'תגיות נכסים',
-      'currency': 'מטבע נכס'
+      'currency': 'מטבע נכס',
+      'liabilities': 'התחייבויות'
     };
     return translations[dataKey] || dataKey;
   };
@@ -152,7 +159,7 @@ const ChartBuilder = () => {
 
   // Helper function to get chart data for a chart config
   const getChartDataForConfig = (chartConfig) => {
-    const aggregated = aggregateData(assets, chartConfig.dataKey, chartConfig.filters || {}, chartConfig.labelMode || 'symbol');
+    const aggregated = aggregateChartData(assets, liabilities, chartConfig.dataKey, chartConfig.filters || {}, chartConfig.labelMode || 'symbol');
 
 
     if (chartConfig.chartType === 'Treemap') {
@@ -167,8 +174,8 @@ const ChartBuilder = () => {
 
   // Aggregate data based on current config
   const aggregatedData = useMemo(() => {
-    return aggregateData(assets, config.dataKey, config.filters, config.labelMode);
-  }, [assets, config.dataKey, config.filters, config.labelMode]);
+    return aggregateChartData(assets, liabilities, config.dataKey, config.filters, config.labelMode);
+  }, [assets, liabilities, config.dataKey, config.filters, config.labelMode]);
 
   // Prepare data for different chart types
   const chartData = useMemo(() => {
@@ -310,7 +317,7 @@ const ChartBuilder = () => {
 
     setLoadingSuggestions(true);
     try {
-      const portfolioContext = generatePortfolioContext(assets);
+      const portfolioContext = generatePortfolioContext(assets, valueCurrency);
 
       // Get available options for the AI
       const availableChartTypes = ['PieChart', 'BarChart', 'HorizontalBarChart', 'RadialBar', 'Treemap', 'RadarChart', 'AreaChart', 'LineChart', 'ComposedChart'];
@@ -432,7 +439,7 @@ ${portfolioContext}
 
     setLoadingCustomChart(true);
     try {
-      const portfolioContext = generatePortfolioContext(assets);
+      const portfolioContext = generatePortfolioContext(assets, valueCurrency);
 
       const availableChartTypes = ['PieChart', 'BarChart', 'HorizontalBarChart', 'RadialBar', 'Treemap', 'RadarChart', 'AreaChart', 'LineChart', 'ComposedChart'];
       const availableDataKeys = ['category', 'subcategory', 'platform', 'instrument', 'symbol', 'name', 'tags', 'currency'];
@@ -841,7 +848,7 @@ ${portfolioContext}
                     ) : aiSuggestions.length > 0 ? (
                       <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
                         {aiSuggestions.map((suggestion, index) => {
-                          const suggestionData = aggregateData(assets, suggestion.dataKey, suggestion.filters);
+                          const suggestionData = aggregateChartData(assets, liabilities, suggestion.dataKey, suggestion.filters);
                           return (
                             <div
                               key={index}
@@ -872,7 +879,7 @@ ${portfolioContext}
                                 </span>
                               </div>
                               <div className="text-xs text-slate-500 dark:text-slate-400">
-                                {suggestionData.length} פריטים • ₪{suggestionData.reduce((sum, item) => sum + item.value, 0).toLocaleString()}
+                                {suggestionData.length} פריטים • {currencySymbol}{suggestionData.reduce((sum, item) => sum + item.value, 0).toLocaleString()}
                               </div>
                             </div>
                           );
@@ -968,7 +975,8 @@ ${portfolioContext}
                     { value: 'symbol', label: 'סמל', icon: Binary },
                     { value: 'name', label: 'שם נכס', icon: Type },
                     { value: 'tags', label: 'תגיות', icon: Tag },
-                    { value: 'currency', label: 'מטבע', icon: Banknote }
+                    { value: 'currency', label: 'מטבע', icon: Banknote },
+                    { value: 'liabilities', label: 'התחייבויות', icon: Landmark }
                   ].map(group => {
                     const IconComponent = group.icon;
                     return (
@@ -1270,7 +1278,7 @@ ${portfolioContext}
                     <div className="flex justify-between items-center py-1.5 border-b border-slate-200 dark:border-slate-700">
                       <span className="text-slate-600 dark:text-slate-300">סה"כ ערך</span>
                       <span className="font-semibold text-slate-800 dark:text-white">
-                        ₪{aggregatedData.reduce((sum, item) => sum + item.value, 0).toLocaleString()}
+                        {currencySymbol}{aggregatedData.reduce((sum, item) => sum + item.value, 0).toLocaleString()}
                       </span>
                     </div>
                   </div>
@@ -1384,7 +1392,8 @@ ${portfolioContext}
                       { value: 'instrument', label: 'מטבעות בסיס' },
                       { value: 'symbol', label: 'סמל' },
                       { value: 'tags', label: 'תגיות' },
-                      { value: 'currency', label: 'מטבע' }
+                      { value: 'currency', label: 'מטבע' },
+                      { value: 'liabilities', label: 'התחייבויות' }
                     ].map(group => (
                       <button
                         key={group.value}
@@ -1519,7 +1528,7 @@ ${portfolioContext}
                     <div className="flex justify-between items-center py-1.5">
                       <span className="text-slate-600 dark:text-slate-300">סה"כ ערך</span>
                       <span className="font-semibold text-slate-800 dark:text-white">
-                        ₪{aggregatedData.reduce((sum, item) => sum + item.value, 0).toLocaleString()}
+                        {currencySymbol}{aggregatedData.reduce((sum, item) => sum + item.value, 0).toLocaleString()}
                       </span>
                     </div>
                   </div>
@@ -1,27 +1,39 @@
 import { useMemo, useState, useEffect } from 'react';
-import { Cloud, Eye, EyeOff, Wallet, Calendar, TrendingUp, ChevronDown, ChevronUp, XCircle, History, PieChart as PieChartIcon, LayoutGrid, Layers, Coins } from 'lucide-react';
+import { Link } from 'react-router-dom';
+import { Cloud, Eye, EyeOff, Wallet, Calendar, TrendingUp, ChevronDown, ChevronUp, XCircle, History, PieChart as PieChartIcon, LayoutGrid, Layers, Coins, AlertTriangle, Scale } from 'lucide-react';
 import TreemapChart from '../components/TreemapChart';
 import ChartRenderer from '../components/ChartRenderer';
 import SummaryCard from '../components/SummaryCard';
+import ReturnsPanel from '../components/ReturnsPanel';
+import NetWorthPanel from '../components/NetWorthPanel';
+import GoalsPanel from '../components/GoalsPanel';
 import ErrorBoundary from '../components/ErrorBoundary';
 import { useDemoData } from '../contexts/DemoDataContext';
 import { fetchPriceHistory } from '../services/priceService';
+import { fetchHistoricalRates, getRateForDate, convertIlsSeries } from '../services/currency';
 import { resolveInternalId } from '../services/internalIds';
 import { confirmAlert } from '../utils/alerts';
 import { getColorForItem } from '../utils/chartUtils';
+import { applyValuationHistory } from '../utils/valuations';
 import { usePriceSync } from '../hooks/usePriceSync';
 import { usePortfolioHistory } from '../hooks/usePortfolioHistory';
+import { useReturns } from '../hooks/useReturns';
+import { useLiabilities } from '../hooks/useLiabilities';
+import { useValuations } from '../hooks/useValuations';
+import { useGoals } from '../hooks/useGoals';
+import { RETURN_PERIODS } from '../utils/returns';
 import { useHeader } from '../contexts/HeaderContext';
+import { useReportingCurrency } from '../contexts/reportingCurrency';
 
 // Hebrew font stack
 const HEBREW_FONT = "'Assistant', 'Heebo', 'Rubik', sans-serif";
 
 // Format currency for Hebrew locale
-const formatCurrency = (value) => {
+const formatCurrency = (value, currency = 'ILS') => {
   if (typeof value !== 'number' || isNaN(value)) return '—';
   return new Intl.NumberFormat('he-IL', {
     style: 'currency',
-    currency: 'ILS',
+    currency,
     minimumFractionDigits: 0,
     maximumFractionDigits: 0,
   }).format(value);
@@ -166,7 +178,7 @@ const ChartLoader = () => (
   </div>
 );
 
-const Dashboard = ({ assets, systemData, currencyRate, isLoading = false, user }) => {
+const Dashboard = ({ assets, systemData, currencyRate, isLoading = false, user, driftStatus = null }) => {
   const { setTitle } = useHeader();
 
   // Set header title
@@ -181,6 +193,7 @@ const Dashboard = ({ assets, systemData, currencyRate, isLoading = false, user }
   }, []);
 
   const { demoAssets, isActive: isDemoActive, demoSystemData, clearDemoAssets, refreshInterval } = useDemoData();
+  const reportingCurrency = useReportingCurrency();
 
   // Use demo assets if tour is active, otherwise use real assets
   const displayAssets = useMemo(() => {
@@ -251,6 +264,10 @@ const Dashboard = ({ assets, systemData, currencyRate, isLoading = false, user }
   // Calculate total cost basis (historical value - שווי לפי היסטוריה)
   const totalCostBasis = useMemo(() => {
     return displayAssets.reduce((sum, item) => {
+      // Cost basis already derived (in the reporting currency) from the ledger / lot matching in useAssets
+      if (typeof item.costBasis === 'number') {
+        return sum + item.costBasis;
+      }
       if (item.assetMode === 'QUANTITY' && item.quantity && item.purchasePrice) {
         const costBasis = item.quantity * item.purchasePrice;
         return sum + (item.currency === 'USD' ? costBasis * (currencyRate || 3.65) : costBasis);
@@ -261,23 +278,57 @@ const Dashboard = ({ assets, systemData, currencyRate, isLoading = false, user }
     }, 0);
   }, [displayAssets, currencyRate]);
 
-  // Calculate total profit/loss
+  // Calculate total profit/loss (realized from closed lots + unrealized on open positions)
   const totalProfitLoss = useMemo(() => {
-    const totalPL = displayAssets.reduce((sum, item) => {
+    let totalPL = 0;
+    let realized = 0;
+    let closedCost = 0;
+
+    displayAssets.forEach(item => {
       if (item.profitLoss !== null && item.profitLoss !== undefined) {
-        return sum + (item.profitLoss || 0);
+        totalPL += item.profitLoss || 0;
       }
-      return sum;
-    }, 0);
+      realized += item.realizedProfitLoss || 0;
+      closedCost += item.closedCostBasis || 0;
+    });
 
-    const totalPLPercent = totalCostBasis > 0 ? (totalPL / totalCostBasis) * 100 : 0;
+    const invested = totalCostBasis + closedCost;
+    const totalPLPercent = invested > 0 ? (totalPL / invested) * 100 : 0;
 
     return {
       amount: totalPL,
-      percent: totalPLPercent
+      percent: totalPLPercent,
+      realized,
+      unrealized: totalPL - realized
     };
   }, [displayAssets, totalCostBasis]);
 
+  // Time-weighted / money-weighted returns from the snapshot history (none in demo mode)
+  const { returns, loading: returnsLoading } = useReturns(isDemoActive ? null : user, displayAssets, currencyRate?.rate);
+
+  // Liabilities for the net worth view (none in demo mode)
+  const { liabilities, totalValue: totalLiabilities, loading: liabilitiesLoading } = useLiabilities(
+    isDemoActive ? null : user,
+    reportingCurrency,
+    currencyRate?.rate
+  );
+
+  // Goals progress from the assigned assets (none in demo mode)
+  const { goals, loading: goalsLoading } = useGoals(
+    isDemoActive ? null : user,
+    displayAssets,
+    reportingCurrency,
+    currencyRate?.rate
+  );
+
+  const portfolioPeriodReturns = useMemo(() => {
+    if (!returns) return null;
+    return Object.entries(RETURN_PERIODS).map(([key, period]) => ({
+      label: period.shortLabel,
+      value: returns.portfolio[key]?.twr ?? null,
+    }));
+  }, [returns]);
+
   // Calculate daily profit/loss (using 24h change if available, otherwise estimate)
   const dailyProfitLoss = useMemo(() => {
     // Try to use priceChange24h from assets
@@ -308,16 +359,6 @@ const Dashboard = ({ assets, systemData, currencyRate, isLoading = false, user }
     };
   }, [displayAssets, totalWealth, totalProfitLoss]);
 
-  // Get main currency (most common currency in portfolio)
-  const mainCurrency = useMemo(() => {
-    const currencyMap = {};
-    displayAssets.forEach(a => {
-      currencyMap[a.currency] = (currencyMap[a.currency] || 0) + a.value;
-    });
-    const sorted = Object.entries(currencyMap).sort((a, b) => b[1] - a[1]);
-    return sorted.length > 0 ? sorted[0][0] : 'ILS';
-  }, [displayAssets]);
-
   // Data aggregations
   const dataByCategory = useMemo(() => {
     const map = {};
@@ -430,6 +471,12 @@ const Dashboard = ({ assets, systemData, currencyRate, isLoading = false, user }
   // Check if we have data (use displayAssets which includes demo data)
   const hasData = displayAssets && displayAssets.length > 0;
 
+  // Assets in a currency with no exchange rate - excluded from the totals rather than valued 1:1
+  const unconvertedAssets = useMemo(
+    () => (displayAssets || []).filter(asset => asset.fxUnavailable?.length),
+    [displayAssets]
+  );
+
   // State for collapsible chart
   const [isChartOpen, setIsChartOpen] = useState(false);
 
@@ -437,11 +484,20 @@ const Dashboard = ({ assets, systemData, currencyRate, isLoading = false, user }
   const [timeRange, setTimeRange] = useState('1M');
 
   // Fetch portfolio history from snapshots (preferred method)
-  const { history: snapshotHistory, loading: snapshotLoading } = usePortfolioHistory(user, timeRange);
+  const { history: storedHistory, loading: snapshotLoading } = usePortfolioHistory(user, timeRange);
+
+  // Revalued assets follow their valuation curves instead of the value recorded that day
+  const { valuations } = useValuations(isDemoActive ? null : user, displayAssets);
+  const snapshotHistory = useMemo(
+    () => applyValuationHistory(storedHistory, valuations, displayAssets),
+    [storedHistory, valuations, displayAssets]
+  );
 
   // State for portfolio history data
   const [portfolioHistory, setPortfolioHistory] = useState([]);
   const [historyLoading, setHistoryLoading] = useState(false);
+  // True when the history could not be converted to the reporting currency (no FX rate)
+  const [historyRateUnavailable, setHistoryRateUnavailable] = useState(false);
   // State for Chart 2 (Distribution) configuration
   const [distributionView, setDistributionView] = useState('graph'); // 'graph' | 'map'
   const [distributionGroup, setDistributionGroup] = useState('category'); // 'category' | 'subcategory' | 'platform' | 'instrument'
@@ -493,10 +549,26 @@ const Dashboard = ({ assets, systemData, currencyRate, isLoading = false, user }
   // Use portfolio snapshots if available, otherwise calculate from asset histories
   useEffect(() => {
     // Priority 1: Use saved snapshots (fast, accurate, includes all assets)
+    // Snapshots and asset histories are valued in ILS - re-expressed in the reporting currency
+    setHistoryRateUnavailable(false);
     if (snapshotHistory && snapshotHistory.length > 0 && !isDemoActive) {
-      setPortfolioHistory(snapshotHistory);
+      let cancelled = false;
+      convertIlsSeries(snapshotHistory, reportingCurrency, currencyRate?.rate)
+        .then(points => {
+          if (cancelled) return;
+          setPortfolioHistory(points || []);
+          setHistoryRateUnavailable(!points);
+        })
+        .catch(error => {
+          console.error('Error converting portfolio history:', error);
+          if (cancelled) return;
+          setPortfolioHistory([]);
+          setHistoryRateUnavailable(true);
+        });
       setHistoryLoading(snapshotLoading);
-      return;
+      return () => {
+        cancelled = true;
+      };
     }
 
     // Priority 2: Fallback to calculating from individual asset histories
@@ -587,12 +659,17 @@ const Dashboard = ({ assets, systemData, currencyRate, isLoading = false, user }
               // Convert prices to ILS if needed and multiply by quantity
               // History format: { points: [{ t: timestamp_ms, v: price }], currency: 'USD'|'ILS' }
               const assetCurrency = priceHistory.currency || asset.currency || 'USD';
+              // Each USD point is converted at its own date's rate (today's rate only as a fallback)
+              const fxRates = assetCurrency === 'USD'
+                ? await fetchHistoricalRates(priceHistory.points[0].t)
+                : [];
               return priceHistory.points.map((point) => {
-                const priceInILS = assetCurrency === 'USD' ? point.v * rate : point.v;
-                const assetValue = asset.quantity * priceInILS;
                 const date = new Date(point.t);
+                const dateKey = date.toISOString().split('T')[0];
+                const pointRate = assetCurrency === 'USD' ? (getRateForDate(fxRates, dateKey) || rate) : 1;
+                const assetValue = asset.quantity * point.v * pointRate;
                 return {
-                  date: date.toISOString().split('T')[0],
+                  date: dateKey,
                   timestamp: point.t,
                   value: assetValue
                 };
@@ -685,7 +762,7 @@ const Dashboard = ({ assets, systemData, currencyRate, isLoading = false, user }
               (asset.apiId || asset.symbol));
           })
           .reduce((sum, asset) => {
-            return sum + (asset.value || 0);
+            return sum + (asset.valueILS ?? asset.value ?? 0);
           }, 0);
 
         // Add fixed value to each data point
@@ -694,7 +771,9 @@ const Dashboard = ({ assets, systemData, currencyRate, isLoading = false, user }
           value: point.value + fixedAssetsValue
         }));
 
-        setPortfolioHistory(finalData);
+        const converted = await convertIlsSeries(finalData, reportingCurrency, currencyRate?.rate);
+        setPortfolioHistory(converted || []);
+        setHistoryRateUnavailable(!converted);
       } catch (error) {
         console.error('Error calculating portfolio history:', error);
         setPortfolioHistory([]);
@@ -704,7 +783,7 @@ const Dashboard = ({ assets, systemData, currencyRate, isLoading = false, user }
     };
 
     calculatePortfolioHistory();
-  }, [displayAssets, timeRange, currencyRate, totalWealth, hasData, isDemoActive, snapshotHistory, snapshotLoading]);
+  }, [displayAssets, timeRange, currencyRate, totalWealth, hasData, isDemoActive, snapshotHistory, snapshotLoading, reportingCurrency]);
 
   // Update history in real-time for demo mode
   useEffect(() => {
@@ -751,6 +830,20 @@ const Dashboard = ({ assets, systemData, currencyRate, isLoading = false, user }
       <header className="mb-6 flex flex md:flex-row justify-between items-start md:items-end gap-4 mr-12 md:mr-0">
         <div>
           <h2 className="text-2xl md:text-3xl font-bold text-slate-800 dark:text-white">דשבורד ראשי</h2>
+          {driftStatus && !isLoading && (
+            <Link
+              to="/rebalancing#analysis"
+              className={`mt-2 inline-flex items-center gap-1.5 px-3 py-1 rounded-full text-xs font-semibold border transition-colors ${driftStatus.needsRebalancing
+                ? 'bg-amber-50 dark:bg-amber-900/20 text-amber-700 dark:text-amber-400 border-amber-200 dark:border-amber-800 hover:bg-amber-100'
+                : 'bg-emerald-50 dark:bg-emerald-900/20 text-emerald-700 dark:text-emerald-400 border-emerald-200 dark:border-emerald-800 hover:bg-emerald-100'
+                }`}
+            >
+              <Scale className="w-3.5 h-3.5" />
+              {driftStatus.needsRebalancing
+                ? `נדרש איזון · ${driftStatus.breaches} ${driftStatus.breaches === 1 ? 'פריט' : 'פריטים'} מחוץ לטווח`
+                : 'התיק בטווח היעדים'}
+            </Link>
+          )}
         </div>
         {isDemoActive && (
           <button
@@ -763,12 +856,22 @@ const Dashboard = ({ assets, systemData, currencyRate, isLoading = false, user }
         )}
       </header>
 
+      {unconvertedAssets.length > 0 && (
+        <div className="flex items-start gap-2 p-3 rounded-lg bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 text-sm text-amber-800 dark:text-amber-300">
+          <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+          <span>
+            לא נמצא שער המרה ל-{[...new Set(unconvertedAssets.flatMap(a => a.fxUnavailable))].join(', ')}.
+            {' '}הנכסים {unconvertedAssets.map(a => a.name).join(', ')} אינם נכללים בסך השווי.
+          </span>
+        </div>
+      )}
+
       {/* Top Summary Cards */}
       <div className="grid grid-cols-2 md:grid-cols-3 gap-1.5 md:gap-4 mb-6">
         {!isMobile && (
           <SummaryCard
-            title={`תיק לפי מטבע ראשי (${mainCurrency})`}
-            value={isWealthVisible ? formatCurrency(totalWealth) : '••••••'}
+            title={`שווי התיק (${reportingCurrency})`}
+            value={isWealthVisible ? formatCurrency(totalWealth, reportingCurrency) : '••••••'}
             icon={Wallet}
             iconBgColor="bg-blue-500/10"
             loading={isLoading || !hasData}
@@ -776,14 +879,14 @@ const Dashboard = ({ assets, systemData, currencyRate, isLoading = false, user }
         )}
         {/* <SummaryCard
             title="שווי לפי היסטוריה"
-            value={isWealthVisible ? formatCurrency(totalCostBasis) : '••••••'}
+            value={isWealthVisible ? formatCurrency(totalCostBasis, reportingCurrency) : '••••••'}
             icon={History}
             iconBgColor="bg-slate-500/10"
             loading={isLoading || !hasData}
           /> */}
         <SummaryCard
           title="רווח/הפסד יומי"
-          value={isWealthVisible ? formatCurrency(dailyProfitLoss.amount) : '••••••'}
+          value={isWealthVisible ? formatCurrency(dailyProfitLoss.amount, reportingCurrency) : '••••••'}
           icon={Calendar}
           iconBgColor="bg-purple-500/10"
           plData={dailyProfitLoss}
@@ -791,14 +894,61 @@ const Dashboard = ({ assets, systemData, currencyRate, isLoading = false, user }
         />
         <SummaryCard
           title="רווח/הפסד כולל"
-          value={isWealthVisible ? formatCurrency(totalProfitLoss.amount) : '••••••'}
+          value={isWealthVisible ? formatCurrency(totalProfitLoss.amount, reportingCurrency) : '••••••'}
           icon={TrendingUp}
           iconBgColor="bg-emerald-500/10"
           plData={totalProfitLoss}
+          subtitle={isWealthVisible && totalProfitLoss.realized
+            ? `ממומש ${formatCurrency(totalProfitLoss.realized, reportingCurrency)} · לא ממומש ${formatCurrency(totalProfitLoss.unrealized, reportingCurrency)}`
+            : null}
+          periodReturns={portfolioPeriodReturns}
           loading={isLoading || !hasData}
         />
       </div>
 
+      {/* Period Returns (TWR / IRR) */}
+      {!isDemoActive && (
+        <ErrorBoundary
+          title="שגיאה בחישוב התשואות"
+          message="טבלת התשואות לא נטענה. שאר הדשבורד ימשיך לעבוד כרגיל."
+        >
+          <ReturnsPanel returns={returns} loading={returnsLoading || isLoading} />
+        </ErrorBoundary>
+      )}
+
+      {/* Net Worth (assets − liabilities) */}
+      {!isDemoActive && liabilities.length > 0 && (
+        <ErrorBoundary
+          title="שגיאה בחישוב השווי הנקי"
+          message="תצוגת השווי הנקי לא נטענה. שאר הדשבורד ימשיך לעבוד כרגיל."
+        >
+          <NetWorthPanel
+            liabilities={liabilities}
+            totalAssets={totalWealth}
+            totalLiabilities={totalLiabilities}
+            history={portfolioHistory}
+            formatValue={(value) => formatCurrency(value, reportingCurrency)}
+            isVisible={isWealthVisible}
+            loading={isLoading || !hasData || liabilitiesLoading}
+          />
+        </ErrorBoundary>
+      )}
+
+      {/* Goals */}
+      {!isDemoActive && goals.length > 0 && (
+        <ErrorBoundary
+          title="שגיאה בחישוב היעדים"
+          message="תצוגת היעדים לא נטענה. שאר הדשבורד ימשיך לעבוד כרגיל."
+        >
+          <GoalsPanel
+            goals={goals}
+            formatValue={(value) => formatCurrency(value, reportingCurrency)}
+            isVisible={isWealthVisible}
+            loading={isLoading || !hasData || goalsLoading}
+          />
+        </ErrorBoundary>
+      )}
+
       {/* Collapsible Balance Chart Section */}
       <div className="bg-white dark:bg-[#1E1E2D] rounded-xl p-4 md:p-6 shadow-sm border border-slate-200 dark:border-slate-700">
         {/* Clickable Header */}
@@ -813,7 +963,7 @@ const Dashboard = ({ assets, systemData, currencyRate, isLoading = false, user }
               {isLoading || !hasData ? (
                 <div className="h-8 w-32 bg-slate-200 dark:bg-slate-700 rounded animate-pulse" />
               ) : isWealthVisible ? (
-                formatCurrency(totalWealth)
+                formatCurrency(totalWealth, reportingCurrency)
               ) : (
                 '••••••'
               )}
@@ -878,6 +1028,10 @@ const Dashboard = ({ assets, systemData, currencyRate, isLoading = false, user }
             <div className="h-64 md:h-80">
               {isLoading || historyLoading || !hasData ? (
                 <ChartLoader />
+              ) : historyRateUnavailable ? (
+                <div className="h-full flex items-center justify-center">
+                  <p className="text-sm text-amber-600 dark:text-amber-400">שער ההמרה ל-{reportingCurrency} אינו זמין - לא ניתן להציג את ההיסטוריה</p>
+                </div>
               ) : portfolioHistory.length === 0 ? (
                 <div className="h-full flex items-center justify-center">
                   <p className="text-sm text-slate-500 dark:text-slate-400">אין נתונים להצגה</p>
@@ -1,10 +1,13 @@
 import { useState, useEffect, useMemo } from 'react';
 import { useAuth } from '../hooks/useAuth';
 import { useAssets } from '../hooks/useAssets';
+import { useLiabilities } from '../hooks/useLiabilities';
 import { useCurrency } from '../hooks/useCurrency';
 import { useSystemData } from '../hooks/useSystemData';
+import { useReportingCurrency } from '../contexts/reportingCurrency';
+import { getCurrencySymbol } from '../services/currency';
 import { subscribeToChartConfigs, deleteChartConfig } from '../services/chartService';
-import { aggregateData, getColorForItem } from '../utils/chartUtils';
+import { aggregateChartData, getColorForItem } from '../utils/chartUtils';
 import ChartRenderer from '../components/ChartRenderer';
 import { Cloud, Trash2, Edit2, Filter, X, Settings, Eye, EyeOff, PieChart, BarChart, BarChart2, Radar, Gauge, LayoutGrid } from 'lucide-react';
 import { confirmAlert, successAlert, errorAlert } from '../utils/alerts';
@@ -14,7 +17,10 @@ import CustomSelect from '../components/CustomSelect';
 const DynamicDashboard = () => {
   const { user } = useAuth();
   const { currencyRate } = useCurrency(user);
-  const { assets } = useAssets(user, currencyRate.rate);
+  const reportingCurrency = useReportingCurrency();
+  const { assets, valueCurrency } = useAssets(user, currencyRate.rate, reportingCurrency);
+  const { liabilities } = useLiabilities(user, reportingCurrency, currencyRate.rate);
+  const currencySymbol = getCurrencySymbol(valueCurrency);
   const { systemData } = useSystemData(user);
 
   const [widgets, setWidgets] = useState([]);
@@ -112,7 +118,7 @@ const DynamicDashboard = () => {
 
   // Main chart data
   const mainChartData = useMemo(() => {
-    const aggregatedData = aggregateData(assets, mainChartConfig.dataKey, mainChartConfig.filters);
+    const aggregatedData = aggregateChartData(assets, liabilities, mainChartConfig.dataKey, mainChartConfig.filters);
 
     if (mainChartConfig.chartType === 'Treemap') {
       return aggregatedData.map(item => ({
@@ -123,7 +129,7 @@ const DynamicDashboard = () => {
     }
 
     return aggregatedData;
-  }, [assets, mainChartConfig, systemData]);
+  }, [assets, liabilities, mainChartConfig, systemData]);
 
   const mainChartTotalValue = useMemo(() => {
     return mainChartData.reduce((sum, item) => sum + (item.value || item.size || 0), 0);
@@ -149,7 +155,7 @@ const DynamicDashboard = () => {
 
   // Prepare chart data for each widget
   const getChartDataForWidget = (widget) => {
-    const aggregatedData = aggregateData(assets, widget.dataKey, widget.filters || {});
+    const aggregatedData = aggregateChartData(assets, liabilities, widget.dataKey, widget.filters || {});
 
     if (widget.chartType === 'Treemap') {
       return aggregatedData.map(item => ({
@@ -218,7 +224,7 @@ const DynamicDashboard = () => {
             </button>
           </div>
           <div className="text-2xl md:text-3xl font-black text-slate-800 dark:text-white font-mono">
-            {isWealthVisible ? `₪${totalWealth.toLocaleString()}` : '••••••'}
+            {isWealthVisible ? `${currencySymbol}${totalWealth.toLocaleString()}` : '••••••'}
           </div>
         </div>
       </header>
@@ -275,7 +281,8 @@ const DynamicDashboard = () => {
                     { value: 'platform', label: 'חשבונות וארנקים' },
                     { value: 'instrument', label: 'מטבעות בסיס' },
                     { value: 'tags', label: 'תגיות' },
-                    { value: 'currency', label: 'מטבע' }
+                    { value: 'currency', label: 'מטבע' },
+                    { value: 'liabilities', label: 'התחייבויות' }
                   ].map(group => (
                     <button
                       key={group.value}
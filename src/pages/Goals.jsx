@@ -0,0 +1,383 @@
+import { useState, useMemo } from 'react';
+import { Target, Plus, Trash2, Edit2, Loader2, PiggyBank, Flag, CalendarClock, X } from 'lucide-react';
+import SummaryCard from '../components/SummaryCard';
+import GoalProgress from '../components/GoalProgress';
+import { useGoals } from '../hooks/useGoals';
+import { useReportingCurrency } from '../contexts/reportingCurrency';
+import { SUPPORTED_CURRENCIES } from '../services/currency';
+import { GOAL_TYPES, DEFAULT_EXPECTED_RETURN, saveGoal, deleteGoal } from '../services/goalService';
+import { getAssignedPercents, getGoalsTotals } from '../utils/goals';
+import { formatMonthLabel } from '../utils/income';
+import { successToast, errorAlert, confirmAlert } from '../utils/alerts';
+
+const INPUT_CLASS = 'mt-1 w-full p-2 rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 text-slate-900 dark:text-white';
+const ROW_INPUT_CLASS = 'w-full p-2 rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 text-slate-900 dark:text-white text-sm';
+
+const formatCurrency = (value, currency = 'ILS') => {
+  if (typeof value !== 'number' || isNaN(value)) return '—';
+  return new Intl.NumberFormat('he-IL', {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(value);
+};
+
+const emptyDraft = () => ({
+  id: null,
+  name: '',
+  type: 'home',
+  currency: 'ILS',
+  targetAmount: '',
+  targetDate: '',
+  expectedReturn: DEFAULT_EXPECTED_RETURN,
+  allocations: [],
+  note: '',
+});
+
+const Goals = ({ assets = [], user, currencyRate }) => {
+  const reportingCurrency = useReportingCurrency();
+  const { goals, loading } = useGoals(user, assets, reportingCurrency, currencyRate?.rate);
+  const [draft, setDraft] = useState(emptyDraft);
+  const [saving, setSaving] = useState(false);
+
+  const totals = useMemo(() => getGoalsTotals(goals), [goals]);
+  const nextTarget = goals.find(g => !g.fxUnavailable && g.progress < 100)?.targetDate || null;
+  const unconverted = goals.filter(g => g.fxUnavailable);
+
+  // Percent of each asset already assigned to the other goals
+  const assignedElsewhere = useMemo(() => getAssignedPercents(goals, draft.id), [goals, draft.id]);
+  const sortedAssets = useMemo(
+    () => [...assets].sort((a, b) => (b.value || 0) - (a.value || 0)),
+    [assets]
+  );
+
+  const updateAllocation = (index, changes) => {
+    setDraft({
+      ...draft,
+      allocations: draft.allocations.map((a, i) => (i === index ? { ...a, ...changes } : a)),
+    });
+  };
+
+  const addAllocation = () => {
+    const used = new Set(draft.allocations.map(a => a.assetId));
+    const next = sortedAssets.find(a => !used.has(a.id) && (assignedElsewhere[a.id] || 0) < 100);
+    if (!next) return;
+    setDraft({
+      ...draft,
+      allocations: [...draft.allocations, { assetId: next.id, percent: 100 - (assignedElsewhere[next.id] || 0) }],
+    });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!draft.name.trim() || !(Number(draft.targetAmount) > 0) || !draft.targetDate) {
+      errorAlert('חסרים פרטים', 'יש להזין שם, סכום יעד ותאריך יעד');
+      return;
+    }
+    const overAssigned = draft.allocations.find(a => (assignedElsewhere[a.assetId] || 0) + (Number(a.percent) || 0) > 100);
+    if (overAssigned) {
+      const asset = assets.find(a => a.id === overAssigned.assetId);
+      errorAlert('הקצאה חורגת', `${asset?.name || 'הנכס'} משויך כבר ב-${assignedElsewhere[overAssigned.assetId]}% ליעדים אחרים - ניתן להקצות עד ${100 - assignedElsewhere[overAssigned.assetId]}%`);
+      return;
+    }
+    setSaving(true);
+    try {
+      await saveGoal(user, draft);
+      setDraft(emptyDraft());
+      successToast(draft.id ? 'היעד עודכן' : 'היעד נשמר');
+    } catch (error) {
+      console.error('[Goals] Save error:', error);
+      errorAlert('שגיאה', 'שמירת היעד נכשלה');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEdit = (goal) => {
+    setDraft({
+      ...emptyDraft(),
+      id: goal.id,
+      name: goal.name,
+      type: goal.type,
+      currency: goal.currency,
+      targetAmount: goal.targetAmount,
+      targetDate: goal.targetDate,
+      expectedReturn: goal.expectedReturn ?? DEFAULT_EXPECTED_RETURN,
+      allocations: goal.allocations || [],
+      note: goal.note || '',
+    });
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const handleDelete = async (goal) => {
+    const confirmed = await confirmAlert('מחיקת יעד', `למחוק את "${goal.name}"? הנכסים המשויכים לא יימחקו.`, 'warning', true);
+    if (!confirmed) return;
+    try {
+      await deleteGoal(user, goal.id);
+      if (draft.id === goal.id) setDraft(emptyDraft());
+      successToast('היעד נמחק');
+    } catch (error) {
+      console.error('[Goals] Delete error:', error);
+      errorAlert('שגיאה', 'מחיקת היעד נכשלה');
+    }
+  };
+
+  if (!user) {
+    return (
+      <div className="max-w-7xl mx-auto p-6 text-center text-slate-500 dark:text-slate-400" dir="rtl">
+        מעקב יעדים אינו זמין במצב דמו
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto space-y-6 pb-8 md:pb-12" dir="rtl">
+      {/* Header */}
+      <header className="flex flex-col mr-12 md:mr-0 md:flex-row md:items-center md:justify-between gap-4 pb-6 border-b border-slate-200 dark:border-slate-700">
+        <div className="flex items-center gap-3">
+          <div className="w-12 h-12 rounded-2xl bg-gradient-to-br from-blue-500 to-indigo-600 flex items-center justify-center shadow-lg">
+            <Target className="text-white" size={24} />
+          </div>
+          <div>
+            <h2 className="text-2xl md:text-3xl font-bold text-slate-900 dark:text-white">יעדים</h2>
+            <p className="text-slate-500 dark:text-slate-400 text-sm mt-1">חיסכון למטרה - נכסים משויכים, התקדמות והפקדה חודשית נדרשת</p>
+          </div>
+        </div>
+      </header>
+
+      {unconverted.length > 0 && (
+        <div className="p-3 rounded-lg bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 text-sm text-amber-800 dark:text-amber-300">
+          לא נמצא שער המרה ל-{[...new Set(unconverted.map(g => g.currency))].join(', ')}.
+          {' '}היעדים {unconverted.map(g => g.name).join(', ')} אינם נכללים בסיכומים.
+        </div>
+      )}
+
+      {/* KPI Cards */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-1.5 md:gap-4">
+        <SummaryCard
+          title={`הוקצה ליעדים (${reportingCurrency})`}
+          value={formatCurrency(totals.current, reportingCurrency)}
+          icon={PiggyBank}
+          iconBgColor="bg-emerald-500/10"
+          loading={loading}
+        />
+        <SummaryCard
+          title="סך היעדים"
+          value={formatCurrency(totals.target, reportingCurrency)}
+          icon={Flag}
+          iconBgColor="bg-blue-500/10"
+          loading={loading}
+        />
+        <SummaryCard
+          title="הפקדה חודשית נדרשת"
+          value={formatCurrency(totals.requiredMonthly, reportingCurrency)}
+          icon={Target}
+          iconBgColor="bg-amber-500/10"
+          loading={loading}
+        />
+        <SummaryCard
+          title="היעד הקרוב"
+          value={nextTarget ? formatMonthLabel(nextTarget.slice(0, 7)) : '—'}
+          icon={CalendarClock}
+          iconBgColor="bg-purple-500/10"
+          loading={loading}
+        />
+      </div>
+
+      {/* Add / Edit Goal */}
+      <form onSubmit={handleSave} className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-slate-200 dark:border-slate-700 p-4 md:p-6 space-y-3">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-bold text-slate-800 dark:text-white">{draft.id ? 'עריכת יעד' : 'הוספת יעד'}</h3>
+          {draft.id && (
+            <button
+              type="button"
+              onClick={() => setDraft(emptyDraft())}
+              className="flex items-center gap-1 text-sm text-slate-500 hover:text-slate-700 dark:text-slate-400 dark:hover:text-slate-200"
+            >
+              <X size={14} />
+              ביטול עריכה
+            </button>
+          )}
+        </div>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+          <label className="col-span-2 text-sm text-slate-600 dark:text-slate-300">
+            שם
+            <input
+              type="text"
+              value={draft.name}
+              onChange={e => setDraft({ ...draft, name: e.target.value })}
+              placeholder="הון עצמי לדירה"
+              className={INPUT_CLASS}
+            />
+          </label>
+          <label className="text-sm text-slate-600 dark:text-slate-300">
+            סוג
+            <select value={draft.type} onChange={e => setDraft({ ...draft, type: e.target.value })} className={INPUT_CLASS}>
+              {Object.entries(GOAL_TYPES).map(([key, t]) => <option key={key} value={key}>{t.label}</option>)}
+            </select>
+          </label>
+          <label className="text-sm text-slate-600 dark:text-slate-300">
+            מטבע
+            <select value={draft.currency} onChange={e => setDraft({ ...draft, currency: e.target.value })} className={INPUT_CLASS}>
+              {SUPPORTED_CURRENCIES.map(({ code, symbol }) => <option key={code} value={code}>{code} ({symbol})</option>)}
+            </select>
+          </label>
+          <label className="text-sm text-slate-600 dark:text-slate-300">
+            סכום יעד
+            <input
+              type="number"
+              step="any"
+              min="0"
+              value={draft.targetAmount}
+              onChange={e => setDraft({ ...draft, targetAmount: e.target.value })}
+              className={INPUT_CLASS}
+            />
+          </label>
+          <label className="text-sm text-slate-600 dark:text-slate-300">
+            תאריך יעד
+            <input
+              type="date"
+              value={draft.targetDate}
+              onChange={e => setDraft({ ...draft, targetDate: e.target.value })}
+              className={INPUT_CLASS}
+            />
+          </label>
+          <label className="text-sm text-slate-600 dark:text-slate-300">
+            תשואה שנתית צפויה (%)
+            <input
+              type="number"
+              step="any"
+              value={draft.expectedReturn}
+              onChange={e => setDraft({ ...draft, expectedReturn: e.target.value })}
+              className={INPUT_CLASS}
+            />
+          </label>
+          <label className="text-sm text-slate-600 dark:text-slate-300">
+            הערה
+            <input
+              type="text"
+              value={draft.note}
+              onChange={e => setDraft({ ...draft, note: e.target.value })}
+              className={INPUT_CLASS}
+            />
+          </label>
+        </div>
+
+        {/* Assigned assets */}
+        <div className="space-y-2 p-3 rounded-lg bg-slate-50 dark:bg-slate-900/50 border border-slate-200 dark:border-slate-700">
+          <div className="flex items-center justify-between">
+            <span className="text-sm font-semibold text-slate-700 dark:text-slate-200">נכסים משויכים</span>
+            <button
+              type="button"
+              onClick={addAllocation}
+              disabled={draft.allocations.length >= assets.length}
+              className="flex items-center gap-1 text-sm text-emerald-600 dark:text-emerald-400 hover:underline disabled:opacity-50 disabled:no-underline"
+            >
+              <Plus size={14} />
+              שייך נכס
+            </button>
+          </div>
+          {draft.allocations.length === 0 ? (
+            <p className="text-xs text-slate-500 dark:text-slate-400">ניתן לשייך נכס שלם או אחוז ממנו - ההתקדמות מחושבת לפי השווי הנוכחי של החלק המשויך.</p>
+          ) : (
+            draft.allocations.map((allocation, index) => {
+              const asset = assets.find(a => a.id === allocation.assetId);
+              const free = 100 - (assignedElsewhere[allocation.assetId] || 0);
+              return (
+                <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                  <select
+                    value={allocation.assetId}
+                    onChange={e => updateAllocation(index, { assetId: e.target.value })}
+                    className={`${ROW_INPUT_CLASS} col-span-6 md:col-span-7`}
+                  >
+                    {sortedAssets
+                      .filter(a => a.id === allocation.assetId || !draft.allocations.some(other => other.assetId === a.id))
+                      .map(a => <option key={a.id} value={a.id}>{a.name}{a.symbol ? ` (${a.symbol})` : ''}</option>)}
+                  </select>
+                  <div className="col-span-3 md:col-span-2 relative">
+                    <input
+                      type="number"
+                      min="0"
+                      max={free}
+                      step="any"
+                      value={allocation.percent}
+                      onChange={e => updateAllocation(index, { percent: e.target.value })}
+                      className={`${ROW_INPUT_CLASS} pl-6`}
+                    />
+                    <span className="absolute left-2 top-1/2 -translate-y-1/2 text-xs text-slate-400">%</span>
+                  </div>
+                  <span className="col-span-2 text-xs font-mono text-slate-500 dark:text-slate-400 truncate">
+                    {formatCurrency((asset?.value || 0) * (Number(allocation.percent) || 0) / 100, reportingCurrency)}
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => setDraft({ ...draft, allocations: draft.allocations.filter((_, i) => i !== index) })}
+                    className="col-span-1 p-1 text-slate-400 hover:text-red-600 justify-self-end"
+                    title="הסר"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              );
+            })
+          )}
+        </div>
+
+        <button
+          type="submit"
+          disabled={saving}
+          className="w-full md:w-auto flex items-center justify-center gap-2 px-6 py-2.5 bg-emerald-600 hover:bg-emerald-700 disabled:opacity-50 text-white rounded-lg font-medium transition-colors"
+        >
+          {saving ? <Loader2 size={16} className="animate-spin" /> : <Plus size={16} />}
+          {draft.id ? 'עדכן יעד' : 'שמור יעד'}
+        </button>
+      </form>
+
+      {/* Goals List */}
+      <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-slate-200 dark:border-slate-700 p-4 md:p-6">
+        <h3 className="text-lg font-bold text-slate-800 dark:text-white mb-4">היעדים שלי</h3>
+        {loading ? (
+          <div className="flex justify-center py-6"><Loader2 className="animate-spin text-slate-400" /></div>
+        ) : goals.length === 0 ? (
+          <p className="text-sm text-slate-500 dark:text-slate-400 text-center py-4">עדיין לא הוגדרו יעדים</p>
+        ) : (
+          <div className="space-y-6">
+            {goals.map(goal => (
+              <div key={goal.id} className="space-y-2">
+                <GoalProgress
+                  goal={goal}
+                  actions={(
+                    <>
+                      <button onClick={() => handleEdit(goal)} className="p-1 text-slate-400 hover:text-blue-600" title="עריכה">
+                        <Edit2 size={16} />
+                      </button>
+                      <button onClick={() => handleDelete(goal)} className="p-1 text-slate-400 hover:text-red-600" title="מחיקה">
+                        <Trash2 size={16} />
+                      </button>
+                    </>
+                  )}
+                />
+                {goal.assigned.length > 0 && (
+                  <div className="flex flex-wrap gap-1.5">
+                    {goal.assigned.map(a => (
+                      <span key={a.assetId} className="text-xs px-2 py-0.5 rounded-full bg-slate-100 dark:bg-slate-700 text-slate-600 dark:text-slate-300">
+                        {a.name} · {a.percent}% · {formatCurrency(a.value, reportingCurrency)}
+                      </span>
+                    ))}
+                  </div>
+                )}
+                {goal.note && <p className="text-xs text-slate-400">{goal.note}</p>}
+              </div>
+            ))}
+          </div>
+        )}
+        <p className="text-xs text-slate-500 dark:text-slate-400 mt-4">
+          ההפקדה הנדרשת מניחה שהחלק המשויך וההפקדות צוברים את התשואה השנתית הצפויה של היעד עד תאריך היעד.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default Goals;
@@ -0,0 +1,649 @@
+import { useState, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { FileSpreadsheet, Upload, Loader2, Save, Trash2, ArrowRight, CheckCircle, AlertTriangle } from 'lucide-react';
+import { useImportProfiles } from '../hooks/useImportProfiles';
+import { useSettings } from '../hooks/useSettings';
+import { readSpreadsheetFile } from '../utils/spreadsheet';
+import {
+  IMPORT_MODES, IMPORT_FIELDS, BROKER_PRESETS,
+  findHeaderRow, suggestMapping, validateMapping, mapImportRows, markDuplicateRows,
+} from '../utils/brokerImport';
+import {
+  saveImportProfile, deleteImportProfile, resolveImportRecords, buildImportPlan,
+  commitImportPlan, searchResultToAsset, needsOpeningBalance,
+} from '../services/importService';
+import { SUPPORTED_CURRENCIES } from '../services/currency';
+import { successToast, errorAlert, confirmAlert } from '../utils/alerts';
+
+const STEPS = [
+  { key: 'upload', label: 'קובץ' },
+  { key: 'mapping', label: 'מיפוי עמודות' },
+  { key: 'preview', label: 'תצוגה מקדימה' },
+  { key: 'done', label: 'סיום' },
+];
+
+const STATUS_BADGES = {
+  new: { label: 'נכס חדש', className: 'bg-emerald-100 text-emerald-700 dark:bg-emerald-900/30 dark:text-emerald-400' },
+  merge: { label: 'הוספה לנכס קיים', className: 'bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-400' },
+  duplicate: { label: 'קיים - ידולג', className: 'bg-slate-100 text-slate-600 dark:bg-slate-700 dark:text-slate-300' },
+  unresolved: { label: 'לא זוהה', className: 'bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-400' },
+};
+
+const INPUT_CLASS = 'mt-1 w-full p-2 rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 text-slate-900 dark:text-white';
+
+/** Instrument / category for an imported security (fixed entries that always exist) */
+const instrumentFor = (asset) => (asset.assetType === 'CRYPTO' ? 'מטבע קריפטו' : asset.assetType === 'ETF' ? 'קרן סל (ETF)' : 'מניה בודדת');
+const categoryFor = (asset) => (asset.assetType === 'CRYPTO' ? 'קריפטו' : 'מניות');
+
+const defaultConfig = (broker = 'generic') => ({
+  broker,
+  mode: 'holdings',
+  mapping: {},
+  dateOrder: BROKER_PRESETS[broker].dateOrder,
+  pricesInAgorot: BROKER_PRESETS[broker].pricesInAgorot,
+  defaultCurrency: 'ILS',
+});
+
+const ImportWizard = ({ assets, systemData, user }) => {
+  const navigate = useNavigate();
+  const { profiles } = useImportProfiles(user);
+  const { settings } = useSettings(user);
+
+  const [step, setStep] = useState('upload');
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState([]);
+  const [headerRow, setHeaderRow] = useState(0);
+  const [config, setConfig] = useState(() => defaultConfig());
+  const [profileId, setProfileId] = useState('');
+  const [profileName, setProfileName] = useState('');
+  const [reading, setReading] = useState(false);
+  const [resolving, setResolving] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [resolutions, setResolutions] = useState({});
+  const [platform, setPlatform] = useState(systemData.platforms[0]?.name || '');
+  const [importing, setImporting] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const headers = useMemo(() => rows[headerRow] || [], [rows, headerRow]);
+  const visibleFields = useMemo(() => Object.entries(IMPORT_FIELDS)
+    .filter(([, field]) => !field.modes || field.modes.includes(config.mode)), [config.mode]);
+  const mappingErrors = useMemo(() => validateMapping(config.mapping, config.mode), [config.mapping, config.mode]);
+
+  const records = useMemo(
+    () => (rows.length ? markDuplicateRows(mapImportRows(rows, headerRow, config)) : []),
+    [rows, headerRow, config]
+  );
+  const invalidRecords = useMemo(() => records.filter(r => r.errors.length), [records]);
+  const plan = useMemo(
+    () => buildImportPlan(records, resolutions, assets, config.mode, platform),
+    [records, resolutions, assets, config.mode, platform]
+  );
+  const totals = useMemo(() => {
+    const writable = plan.filter(item => item.status === 'new' || item.status === 'merge');
+    return {
+      newAssets: plan.filter(item => item.status === 'new' && item.records.length).length,
+      rows: writable.reduce((sum, item) => sum + item.records.length, 0),
+      skipped: plan.reduce((sum, item) => sum + item.skipped.length, 0),
+      unresolved: plan.filter(item => item.status === 'unresolved').length,
+    };
+  }, [plan]);
+
+  if (!user) {
+    return (
+      <div className="max-w-7xl mx-auto p-6 text-center text-slate-500 dark:text-slate-400" dir="rtl">
+        ייבוא מדוחות ברוקר אינו זמין במצב דמו
+      </div>
+    );
+  }
+
+  const applyBroker = (broker, fileRows = rows, savedMapping = {}) => {
+    const index = findHeaderRow(fileRows, broker);
+    setHeaderRow(index);
+    setConfig(prev => ({
+      ...prev,
+      broker,
+      dateOrder: BROKER_PRESETS[broker].dateOrder,
+      pricesInAgorot: BROKER_PRESETS[broker].pricesInAgorot,
+      mapping: suggestMapping(fileRows[index] || [], broker, savedMapping),
+    }));
+    const brokerPlatform = systemData.platforms.find(p => p.name === BROKER_PRESETS[broker].label);
+    if (brokerPlatform) setPlatform(brokerPlatform.name);
+  };
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    setReading(true);
+    try {
+      const fileRows = await readSpreadsheetFile(file);
+      if (fileRows.length < 2) {
+        await errorAlert('שגיאה', 'לא נמצאו שורות נתונים בקובץ');
+        return;
+      }
+      setFileName(file.name);
+      setRows(fileRows);
+      setResolutions({});
+      applyBroker(config.broker, fileRows, config.mapping);
+      setStep('mapping');
+    } catch (error) {
+      console.error('[ImportWizard] Read error:', error);
+      await errorAlert('שגיאה', `לא ניתן לקרוא את הקובץ: ${error.message}`);
+    } finally {
+      setReading(false);
+    }
+  };
+
+  const handleMappingChange = (field, header) => {
+    setConfig(prev => {
+      const mapping = { ...prev.mapping };
+      if (header) mapping[field] = header;
+      else delete mapping[field];
+      return { ...prev, mapping };
+    });
+  };
+
+  const handleProfileSelect = (id) => {
+    setProfileId(id);
+    const profile = profiles.find(p => p.id === id);
+    if (!profile) {
+      setProfileName('');
+      return;
+    }
+    setProfileName(profile.name);
+    const index = findHeaderRow(rows, profile.broker);
+    setHeaderRow(index);
+    setConfig({
+      broker: profile.broker,
+      mode: profile.mode,
+      dateOrder: profile.dateOrder,
+      pricesInAgorot: profile.pricesInAgorot,
+      defaultCurrency: profile.defaultCurrency,
+      mapping: suggestMapping(rows[index] || [], profile.broker, profile.mapping),
+    });
+  };
+
+  const handleSaveProfile = async () => {
+    if (!profileName.trim()) {
+      await errorAlert('שגיאה', 'יש להזין שם לפרופיל');
+      return;
+    }
+    try {
+      const existing = profiles.find(p => p.id === profileId && p.name === profileName.trim());
+      const id = await saveImportProfile(user, { ...config, id: existing?.id, name: profileName });
+      setProfileId(id);
+      await successToast('פרופיל המיפוי נשמר', 2000);
+    } catch (error) {
+      console.error('[ImportWizard] Save profile error:', error);
+      await errorAlert('שגיאה', 'שמירת הפרופיל נכשלה');
+    }
+  };
+
+  const handleDeleteProfile = async () => {
+    const profile = profiles.find(p => p.id === profileId);
+    if (!profile) return;
+    const confirmed = await confirmAlert('מחיקת פרופיל', `למחוק את פרופיל המיפוי "${profile.name}"?`, 'warning', true);
+    if (!confirmed) return;
+    await deleteImportProfile(user, profile.id);
+    setProfileId('');
+    setProfileName('');
+  };
+
+  const handleResolve = async () => {
+    setResolving(true);
+    setProgress({ done: 0, total: 0 });
+    try {
+      const valid = records.filter(r => !r.errors.length);
+      const resolved = await resolveImportRecords(valid, (done, total) => setProgress({ done, total }));
+      setResolutions(resolved);
+      setStep('preview');
+    } catch (error) {
+      console.error('[ImportWizard] Resolve error:', error);
+      await errorAlert('שגיאה', 'זיהוי הניירות נכשל. נסה שוב.');
+    } finally {
+      setResolving(false);
+    }
+  };
+
+  const handleCandidate = (key, candidate) => {
+    setResolutions(prev => ({
+      ...prev,
+      [key]: candidate
+        ? { status: 'resolved', asset: searchResultToAsset(candidate), manual: true, candidates: prev[key]?.candidates }
+        : { status: 'unresolved', candidates: prev[key]?.candidates || [] },
+    }));
+  };
+
+  const handleImport = async () => {
+    const confirmed = await confirmAlert(
+      'ייבוא',
+      config.mode === 'holdings'
+        ? `ייווצרו ${totals.newAssets} נכסים בפלטפורמה "${platform}". להמשיך?`
+        : `יירשמו ${totals.rows} תנועות ביומני הנכסים. להמשיך?`,
+      'question'
+    );
+    if (!confirmed) return;
+
+    setImporting(true);
+    try {
+      const counts = await commitImportPlan(user, plan, {
+        mode: config.mode,
+        platform,
+        defaultMethod: settings.costBasisMethod,
+        note: `ייבוא - ${fileName}`,
+        instrumentFor,
+        categoryFor,
+      });
+      setResult(counts);
+      setStep('done');
+    } catch (error) {
+      console.error('[ImportWizard] Import error:', error);
+      await errorAlert('שגיאה', `הייבוא נכשל: ${error.message}`);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const resetWizard = () => {
+    setStep('upload');
+    setRows([]);
+    setFileName('');
+    setResolutions({});
+    setResult(null);
+  };
+
+  const stepIndex = STEPS.findIndex(s => s.key === step);
+
+  return (
+    <div className="max-w-7xl mx-auto space-y-6 pb-8 md:pb-12" dir="rtl">
+      {/* Header */}
+      <header className="flex flex-col mr-12 md:mr-0 md:flex-row md:items-center md:justify-between gap-4 pb-6 border-b border-slate-200 dark:border-slate-700">
+        <div className="flex items-center gap-3">
+          <button
+            onClick={() => navigate('/assets')}
+            className="p-2 hover:bg-slate-200 dark:hover:bg-slate-700 rounded-full transition"
+          >
+            <ArrowRight size={24} className="text-slate-800 dark:text-slate-200" />
+          </button>
+          <div className="w-12 h-12 rounded-2xl bg-gradient-to-br from-emerald-500 to-teal-600 flex items-center justify-center shadow-lg">
+            <FileSpreadsheet className="text-white" size={24} />
+          </div>
+          <div>
+            <h2 className="text-2xl md:text-3xl font-bold text-slate-900 dark:text-white">ייבוא מדוח ברוקר</h2>
+            <p className="text-slate-500 dark:text-slate-400 text-sm mt-1">CSV או Excel מאקסלנס, מיטב, IBKR, Blink ועוד</p>
+          </div>
+        </div>
+        <div className="flex items-center gap-2 text-xs">
+          {STEPS.map((s, i) => (
+            <span
+              key={s.key}
+              className={`px-2.5 py-1 rounded-full ${i === stepIndex
+                ? 'bg-emerald-600 text-white'
+                : i < stepIndex
+                  ? 'bg-emerald-100 text-emerald-700 dark:bg-emerald-900/30 dark:text-emerald-400'
+                  : 'bg-slate-100 text-slate-500 dark:bg-slate-700 dark:text-slate-400'
+                }`}
+            >
+              {i + 1}. {s.label}
+            </span>
+          ))}
+        </div>
+      </header>
+
+      {/* Step 1 - upload */}
+      {step === 'upload' && (
+        <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-slate-200 dark:border-slate-700 p-4 md:p-6 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <label className="text-sm text-slate-600 dark:text-slate-300">
+              ברוקר
+              <select value={config.broker} onChange={e => setConfig(defaultConfig(e.target.value))} className={INPUT_CLASS}>
+                {Object.entries(BROKER_PRESETS).map(([key, preset]) => <option key={key} value={key}>{preset.label}</option>)}
+              </select>
+            </label>
+            <div className="text-sm text-slate-600 dark:text-slate-300">
+              סוג הדוח
+              <div className="mt-1 grid grid-cols-2 gap-2">
+                {Object.entries(IMPORT_MODES).map(([key, mode]) => (
+                  <button
+                    key={key}
+                    type="button"
+                    onClick={() => setConfig(prev => ({ ...prev, mode: key }))}
+                    className={`text-right p-2 rounded-lg border-2 transition-all ${config.mode === key
+                      ? 'border-emerald-600 dark:border-emerald-500 bg-emerald-50 dark:bg-emerald-900/20'
+                      : 'border-slate-200 dark:border-slate-600 hover:border-emerald-400'
+                      }`}
+                  >
+                    <p className="text-sm font-medium text-slate-700 dark:text-slate-100">{mode.label}</p>
+                    <p className="text-xs text-slate-500 dark:text-slate-300 mt-0.5">{mode.description}</p>
+                  </button>
+                ))}
+              </div>
+            </div>
+          </div>
+          <label className="flex flex-col items-center justify-center gap-3 p-10 border-2 border-dashed border-slate-300 dark:border-slate-600 rounded-xl cursor-pointer hover:border-emerald-500 transition-colors">
+            {reading ? <Loader2 size={32} className="animate-spin text-emerald-600" /> : <Upload size={32} className="text-slate-400" />}
+            <span className="text-sm text-slate-600 dark:text-slate-300">{reading ? 'קורא את הקובץ...' : 'בחר קובץ CSV או XLSX'}</span>
+            <input
+              type="file"
+              accept=".csv,.txt,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+              className="hidden"
+              disabled={reading}
+              onChange={e => handleFile(e.target.files?.[0])}
+            />
+          </label>
+          <p className="text-xs text-slate-500 dark:text-slate-400">
+            קרן פנסיה, קופת גמל או קרן השתלמות?{' '}
+            <button type="button" onClick={() => navigate('/assets/import/pension')} className="text-emerald-600 dark:text-emerald-400 hover:underline">
+              ייבוא קבצי XML מהמסלקה הפנסיונית
+            </button>
+          </p>
+        </div>
+      )}
+
+      {/* Step 2 - column mapping */}
+      {step === 'mapping' && (
+        <div className="space-y-6">
+          <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-slate-200 dark:border-slate-700 p-4 md:p-6 space-y-4">
+            <div className="flex flex-wrap items-end gap-3">
+              <label className="text-sm text-slate-600 dark:text-slate-300 min-w-[12rem]">
+                פרופיל שמור
+                <select value={profileId} onChange={e => handleProfileSelect(e.target.value)} className={INPUT_CLASS}>
+                  <option value="">ללא</option>
+                  {profiles.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                </select>
+              </label>
+              <label className="text-sm text-slate-600 dark:text-slate-300 min-w-[12rem]">
+                שם לשמירה
+                <input type="text" value={profileName} onChange={e => setProfileName(e.target.value)} placeholder="למשל: מיטב - תנועות" className={INPUT_CLASS} />
+              </label>
+              <button
+                onClick={handleSaveProfile}
+                className="flex items-center gap-2 px-4 py-2 bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-200 rounded-lg hover:bg-slate-200 dark:hover:bg-slate-600 transition-colors"
+              >
+                <Save size={16} />
+                שמור פרופיל
+              </button>
+              {profileId && (
+                <button
+                  onClick={handleDeleteProfile}
+                  className="p-2 text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg transition-colors"
+                  title="מחק פרופיל"
+                >
+                  <Trash2 size={16} />
+                </button>
+              )}
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+              <label className="text-sm text-slate-600 dark:text-slate-300">
+                ברוקר
+                <select value={config.broker} onChange={e => applyBroker(e.target.value, rows, config.mapping)} className={INPUT_CLASS}>
+                  {Object.entries(BROKER_PRESETS).map(([key, preset]) => <option key={key} value={key}>{preset.label}</option>)}
+                </select>
+              </label>
+              <label className="text-sm text-slate-600 dark:text-slate-300">
+                סוג הדוח
+                <select value={config.mode} onChange={e => setConfig(prev => ({ ...prev, mode: e.target.value }))} className={INPUT_CLASS}>
+                  {Object.entries(IMPORT_MODES).map(([key, mode]) => <option key={key} value={key}>{mode.label}</option>)}
+                </select>
+              </label>
+              <label className="text-sm text-slate-600 dark:text-slate-300">
+                שורת כותרות
+                <input
+                  type="number"
+                  min="1"
+                  max={rows.length}
+                  value={headerRow + 1}
+                  onChange={e => {
+                    const index = Math.min(Math.max((Number(e.target.value) || 1) - 1, 0), rows.length - 1);
+                    setHeaderRow(index);
+                    setConfig(prev => ({ ...prev, mapping: suggestMapping(rows[index] || [], prev.broker, prev.mapping) }));
+                  }}
+                  className={INPUT_CLASS}
+                />
+              </label>
+              <label className="text-sm text-slate-600 dark:text-slate-300">
+                פורמט תאריך
+                <select value={config.dateOrder} onChange={e => setConfig(prev => ({ ...prev, dateOrder: e.target.value }))} className={INPUT_CLASS}>
+                  <option value="DMY">יום/חודש/שנה</option>
+                  <option value="MDY">חודש/יום/שנה</option>
+                  <option value="YMD">שנה-חודש-יום</option>
+                </select>
+              </label>
+              <label className="text-sm text-slate-600 dark:text-slate-300">
+                מטבע ברירת מחדל
+                <select value={config.defaultCurrency} onChange={e => setConfig(prev => ({ ...prev, defaultCurrency: e.target.value }))} className={INPUT_CLASS}>
+                  {SUPPORTED_CURRENCIES.map(c => <option key={c.code} value={c.code}>{c.code}</option>)}
+                </select>
+              </label>
+            </div>
+            <label className="flex items-center gap-2 text-sm text-slate-600 dark:text-slate-300">
+              <input
+                type="checkbox"
+                checked={config.pricesInAgorot}
+                onChange={e => setConfig(prev => ({ ...prev, pricesInAgorot: e.target.checked }))}
+              />
+              מחירי ניירות בשקלים מופיעים באגורות (כמקובל בבורסת תל אביב)
+            </label>
+
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+              {visibleFields.map(([field, { label }]) => (
+                <label key={field} className="text-sm text-slate-600 dark:text-slate-300">
+                  {label}
+                  <select
+                    value={config.mapping[field] || ''}
+                    onChange={e => handleMappingChange(field, e.target.value)}
+                    className={INPUT_CLASS}
+                  >
+                    <option value="">— לא ממופה —</option>
+                    {headers.filter(Boolean).map(h => <option key={h} value={h}>{h}</option>)}
+                  </select>
+                </label>
+              ))}
+            </div>
+
+            {mappingErrors.length > 0 && (
+              <div className="flex items-start gap-2 p-3 rounded-lg bg-amber-50 dark:bg-amber-900/20 text-sm text-amber-800 dark:text-amber-300">
+                <AlertTriangle size={16} className="mt-0.5 flex-shrink-0" />
+                <span>חסר מיפוי עבור: {mappingErrors.join(', ')}</span>
+              </div>
+            )}
+          </div>
+
+          {/* Sample rows */}
+          <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-slate-200 dark:border-slate-700 p-4 md:p-6">
+            <h3 className="text-lg font-bold text-slate-800 dark:text-white mb-3">דוגמה ({fileName})</h3>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-right text-slate-500 dark:text-slate-400 border-b border-slate-200 dark:border-slate-700">
+                    <th className="p-2">שורה</th>
+                    {visibleFields.map(([field, { label }]) => <th key={field} className="p-2">{label}</th>)}
+                    <th className="p-2">הערות</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {records.slice(0, 8).map(record => (
+                    <tr key={record.rowNumber} className="border-b border-slate-100 dark:border-slate-700/50 text-slate-700 dark:text-slate-200">
+                      <td className="p-2 text-slate-400">{record.rowNumber}</td>
+                      {visibleFields.map(([field]) => (
+                        <td key={field} className="p-2" dir={field === 'name' ? undefined : 'ltr'}>
+                          {record[field] === null || record[field] === undefined || record[field] === '' ? '—' : String(record[field])}
+                        </td>
+                      ))}
+                      <td className="p-2 text-xs text-red-600 dark:text-red-400">{record.errors.join(', ')}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="flex flex-wrap items-center justify-between gap-3 mt-4">
+              <p className="text-xs text-slate-500 dark:text-slate-400">
+                {records.length} שורות · {invalidRecords.length} לא תקינות (ידולגו)
+              </p>
+              <div className="flex gap-2">
+                <button
+                  onClick={resetWizard}
+                  className="px-4 py-2 text-sm text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-700 rounded-lg transition-colors"
+                >
+                  קובץ אחר
+                </button>
+                <button
+                  onClick={handleResolve}
+                  disabled={resolving || mappingErrors.length > 0 || records.length === invalidRecords.length}
+                  className="flex items-center gap-2 px-4 py-2 bg-emerald-600 hover:bg-emerald-700 disabled:opacity-50 text-white rounded-lg font-medium transition-colors"
+                >
+                  {resolving && <Loader2 size={16} className="animate-spin" />}
+                  {resolving ? `מזהה ניירות (${progress.done}/${progress.total})...` : 'זיהוי ותצוגה מקדימה'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Step 3 - preview */}
+      {step === 'preview' && (
+        <div className="space-y-6">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-1.5 md:gap-4">
+            {[
+              { label: config.mode === 'holdings' ? 'נכסים לייבוא' : 'תנועות לייבוא', value: config.mode === 'holdings' ? totals.newAssets : totals.rows },
+              { label: 'שורות כפולות / קיימות', value: totals.skipped },
+              { label: 'ניירות לא מזוהים', value: totals.unresolved },
+              { label: 'שורות לא תקינות', value: invalidRecords.length },
+            ].map(card => (
+              <div key={card.label} className="bg-white dark:bg-slate-800 rounded-xl p-3 md:p-4 border border-slate-200 dark:border-slate-700 shadow-sm">
+                <p className="text-xs text-slate-500 dark:text-slate-400">{card.label}</p>
+                <p className="text-xl font-bold text-slate-900 dark:text-white">{card.value}</p>
+              </div>
+            ))}
+          </div>
+
+          <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-slate-200 dark:border-slate-700 p-4 md:p-6 space-y-4">
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-right text-slate-500 dark:text-slate-400 border-b border-slate-200 dark:border-slate-700">
+                    <th className="p-2">נייר בדוח</th>
+                    <th className="p-2">זוהה כ-</th>
+                    <th className="p-2">מצב</th>
+                    <th className="p-2">שורות</th>
+                    <th className="p-2">ידולגו</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {plan.map(item => {
+                    const resolution = resolutions[item.key];
+                    const candidates = resolution?.candidates || item.candidates || [];
+                    return (
+                      <tr key={item.key} className="border-b border-slate-100 dark:border-slate-700/50 text-slate-700 dark:text-slate-200 align-top">
+                        <td className="p-2">
+                          <div className="font-medium" dir="ltr">{item.key}</div>
+                          {item.records[0]?.name && <div className="text-xs text-slate-400">{item.records[0].name}</div>}
+                        </td>
+                        <td className="p-2">
+                          {item.asset && (
+                            <div>
+                              <div>{item.asset.name}</div>
+                              <div className="text-xs text-slate-400 font-mono" dir="ltr">{item.asset.apiId} · {item.asset.currency}</div>
+                            </div>
+                          )}
+                          {(item.status === 'unresolved' || resolution?.manual) && candidates.length > 0 && (
+                            <select
+                              value={resolution?.manual ? item.asset?.apiId : ''}
+                              onChange={e => handleCandidate(item.key, candidates.find(c => searchResultToAsset(c).apiId === e.target.value))}
+                              className="mt-1 w-full p-1.5 text-xs rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700"
+                            >
+                              <option value="">בחר נייר מתוצאות החיפוש...</option>
+                              {candidates.map(c => (
+                                <option key={c.id} value={searchResultToAsset(c).apiId}>{c.symbol} · {c.name} ({c.exchange || c.provider})</option>
+                              ))}
+                            </select>
+                          )}
+                          {item.status === 'unresolved' && candidates.length === 0 && (
+                            <div className="text-xs text-amber-600 dark:text-amber-400">לא נמצאו תוצאות - הוסף את הנכס ידנית</div>
+                          )}
+                          {needsOpeningBalance(item) && (
+                            <div className="text-xs text-slate-400 mt-1">תיווצר תנועת פתיחה לפי הכמות הקיימת ({item.existing.quantity})</div>
+                          )}
+                        </td>
+                        <td className="p-2">
+                          <span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_BADGES[item.status].className}`}>
+                            {STATUS_BADGES[item.status].label}
+                          </span>
+                        </td>
+                        <td className="p-2">{item.records.length}</td>
+                        <td className="p-2 text-slate-400">{item.skipped.length || '—'}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            {invalidRecords.length > 0 && (
+              <details className="text-sm">
+                <summary className="cursor-pointer text-slate-600 dark:text-slate-300">שורות לא תקינות ({invalidRecords.length})</summary>
+                <ul className="mt-2 space-y-1 text-xs text-slate-500 dark:text-slate-400">
+                  {invalidRecords.map(r => <li key={r.rowNumber}>שורה {r.rowNumber}: {r.errors.join(', ')}</li>)}
+                </ul>
+              </details>
+            )}
+
+            <div className="flex flex-wrap items-end justify-between gap-3 pt-2">
+              {config.mode === 'holdings' || plan.some(item => item.status === 'new') ? (
+                <label className="text-sm text-slate-600 dark:text-slate-300 min-w-[12rem]">
+                  פלטפורמה לנכסים חדשים
+                  <select value={platform} onChange={e => setPlatform(e.target.value)} className={INPUT_CLASS}>
+                    {systemData.platforms.map(p => <option key={p.name} value={p.name}>{p.name}</option>)}
+                  </select>
+                </label>
+              ) : <span />}
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setStep('mapping')}
+                  className="px-4 py-2 text-sm text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-700 rounded-lg transition-colors"
+                >
+                  חזרה למיפוי
+                </button>
+                <button
+                  onClick={handleImport}
+                  disabled={importing || totals.rows === 0}
+                  className="flex items-center gap-2 px-4 py-2 bg-emerald-600 hover:bg-emerald-700 disabled:opacity-50 text-white rounded-lg font-medium transition-colors"
+                >
+                  {importing ? <Loader2 size={16} className="animate-spin" /> : <Upload size={16} />}
+                  ייבא
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Step 4 - done */}
+      {step === 'done' && result && (
+        <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-slate-200 dark:border-slate-700 p-6 md:p-10 text-center space-y-4">
+          <CheckCircle size={40} className="mx-auto text-emerald-600" />
+          <p className="text-lg font-bold text-slate-800 dark:text-white">הייבוא הושלם</p>
+          <p className="text-sm text-slate-500 dark:text-slate-400">
+            נוצרו {result.assets} נכסים{config.mode === 'transactions' ? ` ונרשמו ${result.transactions} תנועות` : ''}.
+          </p>
+          <div className="flex justify-center gap-2">
+            <button
+              onClick={resetWizard}
+              className="px-4 py-2 text-sm text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-700 rounded-lg transition-colors"
+            >
+              ייבוא קובץ נוסף
+            </button>
+            <button
+              onClick={() => navigate('/assets')}
+              className="px-4 py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg font-medium transition-colors"
+            >
+              לניהול הנכסים
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImportWizard;
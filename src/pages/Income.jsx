@@ -0,0 +1,442 @@
+import { useState, useMemo } from 'react';
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, Legend } from 'recharts';
+import { Coins, Plus, Trash2, Download, Loader2, CalendarDays, Percent, Receipt, TrendingUp, AlertCircle } from 'lucide-react';
+import SummaryCard from '../components/SummaryCard';
+import { useIncome } from '../hooks/useIncome';
+import { useFxMatrix } from '../hooks/useFxMatrix';
+import { INCOME_TYPES, DEFAULT_WITHHOLDING_RATE, saveIncomeEvent, deleteIncomeEvent, backfillDividends, getSignedNet } from '../services/incomeService';
+import { resolveInternalId } from '../services/internalIds';
+import { getMonthlyIncome, getTrailingIncome, projectIncome, groupProjectedByMonth, incomeToIls } from '../utils/income';
+import { successToast, errorAlert, confirmAlert, infoAlert } from '../utils/alerts';
+
+const HEBREW_FONT = "'Assistant', 'Heebo', 'Rubik', sans-serif";
+
+const formatCurrency = (value, currency = 'ILS') => {
+  if (typeof value !== 'number' || isNaN(value)) return '—';
+  return new Intl.NumberFormat('he-IL', {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: 0,
+    maximumFractionDigits: currency === 'ILS' ? 0 : 2,
+  }).format(value);
+};
+
+const formatPercent = (ratio) => (typeof ratio === 'number' && isFinite(ratio) ? `${(ratio * 100).toFixed(2)}%` : '—');
+
+const emptyDraft = () => ({
+  assetId: '',
+  type: 'dividend',
+  date: new Date().toISOString().split('T')[0],
+  currency: 'ILS',
+  gross: '',
+  withholding: '',
+  note: '',
+});
+
+const Income = ({ assets, user, currencyRate }) => {
+  const { income, loading } = useIncome(user);
+  const [draft, setDraft] = useState(emptyDraft);
+  const [saving, setSaving] = useState(false);
+  const [withholdingPct, setWithholdingPct] = useState(DEFAULT_WITHHOLDING_RATE * 100);
+  const [backfilling, setBackfilling] = useState(false);
+  const fx = useFxMatrix(income.map(e => e.currency || 'ILS'), 'ILS', currencyRate?.rate);
+
+  const assetsById = useMemo(() => Object.fromEntries(assets.map(a => [a.id, a])), [assets]);
+
+  // Assets Yahoo can report dividends for (stocks / ETFs / TASE securities)
+  const dividendAssets = useMemo(() => assets.filter(a => {
+    if (a.assetMode !== 'QUANTITY' || a.marketDataSource === 'manual') return false;
+    const id = resolveInternalId(a);
+    return id && !id.startsWith('cg:');
+  }), [assets]);
+
+  const monthly = useMemo(() => getMonthlyIncome(income, fx.rates, 24), [income, fx.rates]);
+  const trailing = useMemo(() => getTrailingIncome(income, assets, fx.rates), [income, assets, fx.rates]);
+  const projected = useMemo(() => projectIncome(income, assets, fx.rates, 12), [income, assets, fx.rates]);
+  const calendar = useMemo(() => groupProjectedByMonth(projected, 12), [projected]);
+  const projectedTotal = useMemo(() => projected.reduce((sum, p) => sum + (p.netIls ?? 0), 0), [projected]);
+
+  const yieldRows = useMemo(() => Object.entries(trailing.byAsset)
+    .map(([assetId, data]) => ({ assetId, name: assetsById[assetId]?.name || assetsById[assetId]?.symbol || 'נכס שנמחק', ...data }))
+    .sort((a, b) => (b.net - b.expenses) - (a.net - a.expenses)), [trailing, assetsById]);
+
+  const isExpenseDraft = !!INCOME_TYPES[draft.type]?.outflow;
+  const draftNet = (Number(draft.gross) || 0) - (isExpenseDraft ? 0 : Number(draft.withholding) || 0);
+
+  const handleAssetChange = (assetId) => {
+    const asset = assetsById[assetId];
+    setDraft({ ...draft, assetId, currency: asset?.currency || draft.currency });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!draft.assetId || !(Number(draft.gross) > 0)) {
+      errorAlert('חסרים פרטים', 'יש לבחור נכס ולהזין סכום');
+      return;
+    }
+    setSaving(true);
+    try {
+      await saveIncomeEvent(user, draft);
+      setDraft({ ...emptyDraft(), assetId: draft.assetId, currency: draft.currency, type: draft.type });
+      successToast('ההכנסה נשמרה');
+    } catch (error) {
+      console.error('[Income] Save error:', error);
+      errorAlert('שגיאה', 'שמירת ההכנסה נכשלה');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (event) => {
+    const confirmed = await confirmAlert('מחיקת הכנסה', `למחוק את ה${INCOME_TYPES[event.type]?.label || 'הכנסה'} מ-${event.date}?`, 'warning', true);
+    if (!confirmed) return;
+    try {
+      await deleteIncomeEvent(user, event.id);
+      successToast('ההכנסה נמחקה');
+    } catch (error) {
+      console.error('[Income] Delete error:', error);
+      errorAlert('שגיאה', 'מחיקת ההכנסה נכשלה');
+    }
+  };
+
+  const handleBackfill = async () => {
+    if (dividendAssets.length === 0) return;
+    setBackfilling(true);
+    let added = 0;
+    let failed = 0;
+    for (const asset of dividendAssets) {
+      try {
+        added += await backfillDividends(user, asset, income, { withholdingRate: (Number(withholdingPct) || 0) / 100 });
+      } catch (error) {
+        console.error(`[Income] Backfill error for ${asset.name}:`, error);
+        failed++;
+      }
+    }
+    setBackfilling(false);
+
+    if (added > 0) {
+      successToast(`נוספו ${added} חלוקות דיבידנד`);
+    } else {
+      infoAlert('לא נמצאו חלוקות חדשות', failed > 0
+        ? `${failed} נכסים לא נטענו. ייתכן שהשרת אינו זמין.`
+        : 'כל הדיבידנדים הידועים כבר רשומים.');
+    }
+  };
+
+  if (!user) {
+    return (
+      <div className="max-w-7xl mx-auto p-6 text-center text-slate-500 dark:text-slate-400" dir="rtl">
+        מעקב הכנסות אינו זמין במצב דמו
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto space-y-6 pb-8 md:pb-12" dir="rtl">
+      {/* Header */}
+      <header className="flex flex-col mr-12 md:mr-0 md:flex-row md:items-center md:justify-between gap-4 pb-6 border-b border-slate-200 dark:border-slate-700">
+        <div className="flex items-center gap-3">
+          <div className="w-12 h-12 rounded-2xl bg-gradient-to-br from-amber-500 to-orange-600 flex items-center justify-center shadow-lg">
+            <Coins className="text-white" size={24} />
+          </div>
+          <div>
+            <h2 className="text-2xl md:text-3xl font-bold text-slate-900 dark:text-white">הכנסה פסיבית</h2>
+            <p className="text-slate-500 dark:text-slate-400 text-sm mt-1">דיבידנדים, ריביות, חלוקות ושכר דירה - ברוטו, ניכוי במקור ונטו, והוצאות הנכסים</p>
+          </div>
+        </div>
+      </header>
+
+      {!fx.loading && fx.missing.length > 0 && (
+        <div className="flex items-start gap-2 p-3 rounded-xl bg-amber-50 dark:bg-amber-900/20 text-sm text-amber-700 dark:text-amber-400">
+          <AlertCircle size={16} className="mt-0.5 shrink-0" />
+          <span>אין שער המרה ל-₪ עבור {fx.missing.join(', ')} - הכנסות במטבעות אלה לא נכללו בסכומים</span>
+        </div>
+      )}
+
+      {/* KPI Cards */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-1.5 md:gap-4">
+        <SummaryCard
+          title="הכנסה נטו - 12 חודשים"
+          value={formatCurrency(trailing.net - trailing.expenses)}
+          subtitle={trailing.expenses > 0 ? `אחרי הוצאות של ${formatCurrency(trailing.expenses)}` : null}
+          icon={Coins}
+          iconBgColor="bg-amber-500/10"
+          loading={loading}
+        />
+        <SummaryCard
+          title="תשואת דיבידנד (ברוטו)"
+          value={formatPercent(trailing.yield)}
+          icon={Percent}
+          iconBgColor="bg-emerald-500/10"
+          loading={loading}
+        />
+        <SummaryCard
+          title="מס שנוכה במקור - 12 חודשים"
+          value={formatCurrency(trailing.withholding)}
+          icon={Receipt}
+          iconBgColor="bg-red-500/10"
+          loading={loading}
+        />
+        <SummaryCard
+          title="צפי הכנסה - 12 חודשים הבאים"
+          value={formatCurrency(projectedTotal)}
+          icon={TrendingUp}
+          iconBgColor="bg-blue-500/10"
+          loading={loading}
+        />
+      </div>
+
+      {/* Monthly Income Chart */}
+      <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-slate-200 dark:border-slate-700 p-4 md:p-6">
+        <h3 className="text-lg font-bold text-slate-800 dark:text-white mb-4">הכנסה חודשית (₪)</h3>
+        <div className="h-64 md:h-72" dir="ltr">
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={monthly} margin={{ top: 5, right: 10, left: 10, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" vertical={false} />
+              <XAxis dataKey="label" tick={{ fontSize: 11, fontFamily: HEBREW_FONT, fill: '#64748b' }} />
+              <YAxis tick={{ fontSize: 11, fontFamily: HEBREW_FONT, fill: '#64748b' }} tickFormatter={v => v.toLocaleString('he-IL')} />
+              <Tooltip formatter={(value) => formatCurrency(value)} contentStyle={{ fontFamily: HEBREW_FONT, direction: 'rtl' }} />
+              <Legend wrapperStyle={{ fontFamily: HEBREW_FONT, fontSize: 12 }} />
+              <Bar dataKey="net" name="נטו" stackId="income" fill="#10B981" />
+              <Bar dataKey="withholding" name="ניכוי במקור" stackId="income" fill="#F87171" radius={[4, 4, 0, 0]} />
+              {monthly.some(m => m.expenses > 0) && (
+                <Bar dataKey="expenses" name="הוצאות" fill="#94A3B8" radius={[4, 4, 0, 0]} />
+              )}
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      {/* Projected Calendar */}
+      <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-slate-200 dark:border-slate-700 p-4 md:p-6">
+        <div className="flex items-center gap-2 mb-1">
+          <CalendarDays size={18} className="text-slate-600 dark:text-slate-400" />
+          <h3 className="text-lg font-bold text-slate-800 dark:text-white">לוח הכנסות צפוי</h3>
+        </div>
+        <p className="text-xs text-slate-500 dark:text-slate-400 mb-4">הערכה לפי תדירות החלוקות בעבר, הסכום האחרון למניה והכמות המוחזקת היום (נטו, ₪)</p>
+        <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-6 gap-2">
+          {calendar.map(month => (
+            <div key={month.month} className="rounded-xl border border-slate-200 dark:border-slate-700 p-3">
+              <div className="text-xs text-slate-500 dark:text-slate-400">{month.label}</div>
+              <div className={`text-base font-bold ${month.total > 0 ? 'text-emerald-600 dark:text-emerald-400' : 'text-slate-400'}`}>
+                {month.total > 0 ? formatCurrency(month.total) : '—'}
+              </div>
+              {month.payouts.map(p => (
+                <div key={`${p.assetId}-${p.date}`} className="text-[10px] text-slate-500 dark:text-slate-400 truncate" title={`${p.name} · ${p.date}`}>
+                  {p.name} · {p.date.slice(8)}
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Add Income Event */}
+        <form onSubmit={handleSave} className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-slate-200 dark:border-slate-700 p-4 md:p-6 space-y-3">
+          <h3 className="text-lg font-bold text-slate-800 dark:text-white">הוספת הכנסה</h3>
+          <div className="grid grid-cols-2 gap-3">
+            <label className="col-span-2 text-sm text-slate-600 dark:text-slate-300">
+              נכס
+              <select
+                value={draft.assetId}
+                onChange={e => handleAssetChange(e.target.value)}
+                className="mt-1 w-full p-2 rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 text-slate-900 dark:text-white"
+              >
+                <option value="">בחר נכס</option>
+                {assets.map(a => <option key={a.id} value={a.id}>{a.name || a.symbol}</option>)}
+              </select>
+            </label>
+            <label className="text-sm text-slate-600 dark:text-slate-300">
+              סוג
+              <select
+                value={draft.type}
+                onChange={e => setDraft({ ...draft, type: e.target.value })}
+                className="mt-1 w-full p-2 rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 text-slate-900 dark:text-white"
+              >
+                {Object.entries(INCOME_TYPES).map(([key, t]) => <option key={key} value={key}>{t.label}</option>)}
+              </select>
+            </label>
+            <label className="text-sm text-slate-600 dark:text-slate-300">
+              תאריך תשלום
+              <input
+                type="date"
+                value={draft.date}
+                onChange={e => setDraft({ ...draft, date: e.target.value })}
+                className="mt-1 w-full p-2 rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 text-slate-900 dark:text-white"
+              />
+            </label>
+            <label className="text-sm text-slate-600 dark:text-slate-300">
+              {isExpenseDraft ? 'סכום' : 'ברוטו'}
+              <input
+                type="number"
+                step="any"
+                min="0"
+                value={draft.gross}
+                onChange={e => setDraft({ ...draft, gross: e.target.value })}
+                className="mt-1 w-full p-2 rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 text-slate-900 dark:text-white"
+              />
+            </label>
+            <label className="text-sm text-slate-600 dark:text-slate-300">
+              ניכוי מס במקור
+              <input
+                type="number"
+                step="any"
+                min="0"
+                value={isExpenseDraft ? '' : draft.withholding}
+                onChange={e => setDraft({ ...draft, withholding: e.target.value })}
+                disabled={isExpenseDraft}
+                className="mt-1 w-full p-2 rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 text-slate-900 dark:text-white disabled:opacity-50"
+              />
+            </label>
+            <label className="text-sm text-slate-600 dark:text-slate-300">
+              מטבע תשלום
+              <select
+                value={draft.currency}
+                onChange={e => setDraft({ ...draft, currency: e.target.value })}
+                className="mt-1 w-full p-2 rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 text-slate-900 dark:text-white"
+              >
+                <option value="ILS">ILS</option>
+                <option value="USD">USD</option>
+              </select>
+            </label>
+            <div className="text-sm text-slate-600 dark:text-slate-300">
+              נטו
+              <div className="mt-1 p-2 rounded-lg bg-slate-50 dark:bg-slate-700/50 font-semibold text-slate-800 dark:text-white">
+                {formatCurrency(isExpenseDraft ? -Math.max(draftNet, 0) : Math.max(draftNet, 0), draft.currency)}
+              </div>
+            </div>
+            <label className="col-span-2 text-sm text-slate-600 dark:text-slate-300">
+              הערה
+              <input
+                type="text"
+                value={draft.note}
+                onChange={e => setDraft({ ...draft, note: e.target.value })}
+                className="mt-1 w-full p-2 rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 text-slate-900 dark:text-white"
+              />
+            </label>
+          </div>
+          <button
+            type="submit"
+            disabled={saving}
+            className="w-full flex items-center justify-center gap-2 px-4 py-2.5 bg-emerald-600 hover:bg-emerald-700 disabled:opacity-50 text-white rounded-lg font-medium transition-colors"
+          >
+            {saving ? <Loader2 size={16} className="animate-spin" /> : <Plus size={16} />}
+            שמור הכנסה
+          </button>
+        </form>
+
+        {/* Backfill + Yield per asset */}
+        <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-slate-200 dark:border-slate-700 p-4 md:p-6 space-y-4">
+          <div>
+            <h3 className="text-lg font-bold text-slate-800 dark:text-white">משיכת היסטוריית דיבידנדים</h3>
+            <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+              טוען חלוקות מ-Yahoo Finance ל-{dividendAssets.length} ניירות ערך, לפי הכמות שהוחזקה בכל תאריך אקס. חלוקות שכבר רשומות מדולגות.
+            </p>
+          </div>
+          <div className="flex items-end gap-3">
+            <label className="text-sm text-slate-600 dark:text-slate-300">
+              ניכוי במקור (%)
+              <input
+                type="number"
+                min="0"
+                max="100"
+                value={withholdingPct}
+                onChange={e => setWithholdingPct(e.target.value)}
+                className="mt-1 w-24 p-2 rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 text-slate-900 dark:text-white"
+              />
+            </label>
+            <button
+              onClick={handleBackfill}
+              disabled={backfilling || dividendAssets.length === 0}
+              className="flex items-center gap-2 px-4 py-2.5 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white rounded-lg font-medium transition-colors"
+            >
+              {backfilling ? <Loader2 size={16} className="animate-spin" /> : <Download size={16} />}
+              משוך דיבידנדים
+            </button>
+          </div>
+
+          <div>
+            <h4 className="text-sm font-bold text-slate-700 dark:text-slate-200 mb-2">תשואה לפי נכס - 12 חודשים</h4>
+            {yieldRows.length === 0 ? (
+              <p className="text-sm text-slate-500 dark:text-slate-400">אין הכנסות ב-12 החודשים האחרונים</p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-xs text-slate-500 dark:text-slate-400 border-b border-slate-200 dark:border-slate-700">
+                    <th className="text-right py-1.5 font-medium">נכס</th>
+                    <th className="text-right py-1.5 font-medium">נטו</th>
+                    <th className="text-right py-1.5 font-medium">תשואה</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {yieldRows.map(row => (
+                    <tr key={row.assetId} className="border-b border-slate-100 dark:border-slate-700/50 last:border-0">
+                      <td className="py-1.5 text-slate-700 dark:text-slate-200">{row.name}</td>
+                      <td className="py-1.5 text-slate-700 dark:text-slate-200">{formatCurrency(row.net - row.expenses)}</td>
+                      <td className="py-1.5 text-emerald-600 dark:text-emerald-400 font-semibold">{formatPercent(row.yield)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Events Table */}
+      <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-slate-200 dark:border-slate-700 p-4 md:p-6">
+        <h3 className="text-lg font-bold text-slate-800 dark:text-white mb-4">היסטוריית הכנסות</h3>
+        {loading ? (
+          <div className="flex justify-center py-6"><Loader2 className="animate-spin text-slate-400" /></div>
+        ) : income.length === 0 ? (
+          <p className="text-sm text-slate-500 dark:text-slate-400 text-center py-4">עדיין לא נרשמו הכנסות</p>
+        ) : (
+          <div className="overflow-x-auto max-h-[28rem] overflow-y-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-xs text-slate-500 dark:text-slate-400 border-b border-slate-200 dark:border-slate-700">
+                  <th className="text-right py-2 font-medium">תאריך</th>
+                  <th className="text-right py-2 font-medium">נכס</th>
+                  <th className="text-right py-2 font-medium">סוג</th>
+                  <th className="text-right py-2 font-medium">ברוטו</th>
+                  <th className="text-right py-2 font-medium">ניכוי</th>
+                  <th className="text-right py-2 font-medium">נטו</th>
+                  <th className="text-right py-2 font-medium">נטו (₪)</th>
+                  <th className="py-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {income.map(event => (
+                  <tr key={event.id} className="border-b border-slate-100 dark:border-slate-700/50 last:border-0">
+                    <td className="py-2 text-slate-600 dark:text-slate-300 whitespace-nowrap">{event.date}</td>
+                    <td className="py-2 text-slate-700 dark:text-slate-200">
+                      {assetsById[event.assetId]?.name || assetsById[event.assetId]?.symbol || 'נכס שנמחק'}
+                      {event.source === 'yahoo' && <span className="mr-1 text-[10px] text-blue-500">Yahoo</span>}
+                    </td>
+                    <td className="py-2 text-slate-600 dark:text-slate-300">{INCOME_TYPES[event.type]?.label || event.type}</td>
+                    <td className="py-2 text-slate-700 dark:text-slate-200">{formatCurrency(event.gross, event.currency)}</td>
+                    <td className="py-2 text-red-500">{formatCurrency(event.withholding, event.currency)}</td>
+                    <td className={`py-2 font-semibold ${INCOME_TYPES[event.type]?.outflow ? 'text-red-500' : 'text-slate-700 dark:text-slate-200'}`}>{formatCurrency(getSignedNet(event), event.currency)}</td>
+                    <td className="py-2 text-slate-500 dark:text-slate-400">{formatCurrency(incomeToIls(getSignedNet(event), event.currency, fx.rates))}</td>
+                    <td className="py-2">
+                      <button
+                        onClick={() => handleDelete(event)}
+                        className="p-1.5 text-slate-400 hover:text-red-500 transition-colors"
+                        title="מחק"
+                      >
+                        <Trash2 size={14} />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Income;
@@ -0,0 +1,453 @@
+import { useState, useMemo } from 'react';
+import { Landmark, Plus, Trash2, Edit2, Loader2, CalendarClock, Receipt, Percent, X, ChevronDown, ChevronUp } from 'lucide-react';
+import SummaryCard from '../components/SummaryCard';
+import PayoffChart from '../components/PayoffChart';
+import { useLiabilities } from '../hooks/useLiabilities';
+import { useReportingCurrency } from '../contexts/reportingCurrency';
+import { SUPPORTED_CURRENCIES } from '../services/currency';
+import {
+  LIABILITY_TYPES,
+  INDEXATION_TYPES,
+  AMORTIZATION_METHODS,
+  DEFAULT_PRIME_RATE,
+  DEFAULT_EXPECTED_INFLATION,
+  saveLiability,
+  deleteLiability
+} from '../services/liabilityService';
+import { projectPayoff, getEffectiveRate } from '../utils/liabilities';
+import { formatMonthLabel } from '../utils/income';
+import { successToast, errorAlert, confirmAlert } from '../utils/alerts';
+
+const INPUT_CLASS = 'mt-1 w-full p-2 rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 text-slate-900 dark:text-white';
+
+const formatCurrency = (value, currency = 'ILS') => {
+  if (typeof value !== 'number' || isNaN(value)) return '—';
+  return new Intl.NumberFormat('he-IL', {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(value);
+};
+
+const formatRate = (value) => `${(Number(value) || 0).toFixed(2)}%`;
+
+const emptyDraft = () => ({
+  id: null,
+  name: '',
+  type: 'mortgage',
+  lender: '',
+  currency: 'ILS',
+  principal: '',
+  startDate: new Date().toISOString().split('T')[0],
+  termMonths: 240,
+  rate: '',
+  indexation: 'none',
+  primeRate: DEFAULT_PRIME_RATE,
+  expectedInflation: DEFAULT_EXPECTED_INFLATION,
+  amortization: 'spitzer',
+  note: '',
+});
+
+const Liabilities = ({ user, currencyRate }) => {
+  const reportingCurrency = useReportingCurrency();
+  const { liabilities, totalValue, loading } = useLiabilities(user, reportingCurrency, currencyRate?.rate);
+  const [draft, setDraft] = useState(emptyDraft);
+  const [saving, setSaving] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+
+  const payoff = useMemo(() => projectPayoff(liabilities), [liabilities]);
+  const monthlyTotal = useMemo(
+    () => liabilities.reduce((sum, l) => sum + (l.fxUnavailable ? 0 : l.monthlyPayment * l.fxRate), 0),
+    [liabilities]
+  );
+  const interestTotal = useMemo(
+    () => liabilities.reduce((sum, l) => sum + (l.fxUnavailable ? 0 : l.remainingInterest * l.fxRate), 0),
+    [liabilities]
+  );
+  const lastPayoff = useMemo(
+    () => liabilities.map(l => l.payoffMonth).filter(Boolean).sort().pop() || null,
+    [liabilities]
+  );
+  const unconverted = liabilities.filter(l => l.fxUnavailable);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!draft.name.trim() || !(Number(draft.principal) > 0) || !draft.startDate) {
+      errorAlert('חסרים פרטים', 'יש להזין שם, סכום קרן ותאריך התחלה');
+      return;
+    }
+    setSaving(true);
+    try {
+      await saveLiability(user, draft);
+      setDraft(emptyDraft());
+      successToast(draft.id ? 'ההתחייבות עודכנה' : 'ההתחייבות נשמרה');
+    } catch (error) {
+      console.error('[Liabilities] Save error:', error);
+      errorAlert('שגיאה', 'שמירת ההתחייבות נכשלה');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEdit = (liability) => {
+    setDraft({
+      ...emptyDraft(),
+      ...liability,
+      primeRate: liability.primeRate ?? DEFAULT_PRIME_RATE,
+      expectedInflation: liability.expectedInflation ?? DEFAULT_EXPECTED_INFLATION,
+    });
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const handleDelete = async (liability) => {
+    const confirmed = await confirmAlert('מחיקת התחייבות', `למחוק את "${liability.name}"?`, 'warning', true);
+    if (!confirmed) return;
+    try {
+      await deleteLiability(user, liability.id);
+      if (draft.id === liability.id) setDraft(emptyDraft());
+      successToast('ההתחייבות נמחקה');
+    } catch (error) {
+      console.error('[Liabilities] Delete error:', error);
+      errorAlert('שגיאה', 'מחיקת ההתחייבות נכשלה');
+    }
+  };
+
+  if (!user) {
+    return (
+      <div className="max-w-7xl mx-auto p-6 text-center text-slate-500 dark:text-slate-400" dir="rtl">
+        מעקב התחייבויות אינו זמין במצב דמו
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto space-y-6 pb-8 md:pb-12" dir="rtl">
+      {/* Header */}
+      <header className="flex flex-col mr-12 md:mr-0 md:flex-row md:items-center md:justify-between gap-4 pb-6 border-b border-slate-200 dark:border-slate-700">
+        <div className="flex items-center gap-3">
+          <div className="w-12 h-12 rounded-2xl bg-gradient-to-br from-rose-500 to-red-600 flex items-center justify-center shadow-lg">
+            <Landmark className="text-white" size={24} />
+          </div>
+          <div>
+            <h2 className="text-2xl md:text-3xl font-bold text-slate-900 dark:text-white">התחייבויות</h2>
+            <p className="text-slate-500 dark:text-slate-400 text-sm mt-1">משכנתאות, הלוואות ומרג&apos;ין - יתרה, לוח סילוקין וצפי פירעון</p>
+          </div>
+        </div>
+      </header>
+
+      {unconverted.length > 0 && (
+        <div className="p-3 rounded-lg bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 text-sm text-amber-800 dark:text-amber-300">
+          לא נמצא שער המרה ל-{[...new Set(unconverted.map(l => l.currency))].join(', ')}.
+          {' '}ההתחייבויות {unconverted.map(l => l.name).join(', ')} אינן נכללות בסיכומים.
+        </div>
+      )}
+
+      {/* KPI Cards */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-1.5 md:gap-4">
+        <SummaryCard
+          title={`יתרה לסילוק (${reportingCurrency})`}
+          value={formatCurrency(totalValue, reportingCurrency)}
+          icon={Landmark}
+          iconBgColor="bg-red-500/10"
+          loading={loading}
+        />
+        <SummaryCard
+          title="החזר חודשי"
+          value={formatCurrency(monthlyTotal, reportingCurrency)}
+          icon={Receipt}
+          iconBgColor="bg-amber-500/10"
+          loading={loading}
+        />
+        <SummaryCard
+          title="ריבית צפויה עד הסוף"
+          value={formatCurrency(interestTotal, reportingCurrency)}
+          icon={Percent}
+          iconBgColor="bg-purple-500/10"
+          loading={loading}
+        />
+        <SummaryCard
+          title="סיום פירעון"
+          value={lastPayoff ? formatMonthLabel(lastPayoff) : '—'}
+          icon={CalendarClock}
+          iconBgColor="bg-emerald-500/10"
+          loading={loading}
+        />
+      </div>
+
+      {/* Payoff Projection */}
+      <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-slate-200 dark:border-slate-700 p-4 md:p-6">
+        <h3 className="text-lg font-bold text-slate-800 dark:text-white">צפי פירעון</h3>
+        <p className="text-xs text-slate-500 dark:text-slate-400 mb-4">
+          יתרה צפויה לפי לוח הסילוקין, בשערי המטבע של היום. הלוואות צמודות מדד לפי האינפלציה הצפויה; הלוואות פריים לפי הפריים השמור.
+        </p>
+        <div className="h-64 md:h-72" dir="ltr">
+          <PayoffChart data={payoff} liabilities={liabilities} formatValue={(value) => formatCurrency(value, reportingCurrency)} />
+        </div>
+      </div>
+
+      {/* Add / Edit Liability */}
+      <form onSubmit={handleSave} className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-slate-200 dark:border-slate-700 p-4 md:p-6 space-y-3">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-bold text-slate-800 dark:text-white">{draft.id ? 'עריכת התחייבות' : 'הוספת התחייבות'}</h3>
+          {draft.id && (
+            <button
+              type="button"
+              onClick={() => setDraft(emptyDraft())}
+              className="flex items-center gap-1 text-sm text-slate-500 hover:text-slate-700 dark:text-slate-400 dark:hover:text-slate-200"
+            >
+              <X size={14} />
+              ביטול עריכה
+            </button>
+          )}
+        </div>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+          <label className="col-span-2 text-sm text-slate-600 dark:text-slate-300">
+            שם
+            <input
+              type="text"
+              value={draft.name}
+              onChange={e => setDraft({ ...draft, name: e.target.value })}
+              placeholder="משכנתא - מסלול קבועה"
+              className={INPUT_CLASS}
+            />
+          </label>
+          <label className="text-sm text-slate-600 dark:text-slate-300">
+            סוג
+            <select value={draft.type} onChange={e => setDraft({ ...draft, type: e.target.value })} className={INPUT_CLASS}>
+              {Object.entries(LIABILITY_TYPES).map(([key, t]) => <option key={key} value={key}>{t.label}</option>)}
+            </select>
+          </label>
+          <label className="text-sm text-slate-600 dark:text-slate-300">
+            מלווה
+            <input
+              type="text"
+              value={draft.lender}
+              onChange={e => setDraft({ ...draft, lender: e.target.value })}
+              className={INPUT_CLASS}
+            />
+          </label>
+          <label className="text-sm text-slate-600 dark:text-slate-300">
+            קרן
+            <input
+              type="number"
+              step="any"
+              min="0"
+              value={draft.principal}
+              onChange={e => setDraft({ ...draft, principal: e.target.value })}
+              className={INPUT_CLASS}
+            />
+          </label>
+          <label className="text-sm text-slate-600 dark:text-slate-300">
+            מטבע
+            <select value={draft.currency} onChange={e => setDraft({ ...draft, currency: e.target.value })} className={INPUT_CLASS}>
+              {SUPPORTED_CURRENCIES.map(({ code, symbol }) => <option key={code} value={code}>{code} ({symbol})</option>)}
+            </select>
+          </label>
+          <label className="text-sm text-slate-600 dark:text-slate-300">
+            תאריך קבלה
+            <input
+              type="date"
+              value={draft.startDate}
+              onChange={e => setDraft({ ...draft, startDate: e.target.value })}
+              className={INPUT_CLASS}
+            />
+          </label>
+          <label className="text-sm text-slate-600 dark:text-slate-300">
+            תקופה (חודשים, 0 = פתוחה)
+            <input
+              type="number"
+              min="0"
+              value={draft.termMonths}
+              onChange={e => setDraft({ ...draft, termMonths: e.target.value })}
+              className={INPUT_CLASS}
+            />
+          </label>
+          <label className="text-sm text-slate-600 dark:text-slate-300">
+            הצמדה
+            <select value={draft.indexation} onChange={e => setDraft({ ...draft, indexation: e.target.value })} className={INPUT_CLASS}>
+              {Object.entries(INDEXATION_TYPES).map(([key, t]) => <option key={key} value={key}>{t.label}</option>)}
+            </select>
+          </label>
+          <label className="text-sm text-slate-600 dark:text-slate-300">
+            {draft.indexation === 'prime' ? 'מרווח מעל פריים (%)' : 'ריבית שנתית (%)'}
+            <input
+              type="number"
+              step="any"
+              value={draft.rate}
+              onChange={e => setDraft({ ...draft, rate: e.target.value })}
+              className={INPUT_CLASS}
+            />
+          </label>
+          {draft.indexation === 'prime' && (
+            <label className="text-sm text-slate-600 dark:text-slate-300">
+              ריבית פריים (%)
+              <input
+                type="number"
+                step="any"
+                value={draft.primeRate}
+                onChange={e => setDraft({ ...draft, primeRate: e.target.value })}
+                className={INPUT_CLASS}
+              />
+            </label>
+          )}
+          {draft.indexation === 'cpi' && (
+            <label className="text-sm text-slate-600 dark:text-slate-300">
+              אינפלציה צפויה (%)
+              <input
+                type="number"
+                step="any"
+                value={draft.expectedInflation}
+                onChange={e => setDraft({ ...draft, expectedInflation: e.target.value })}
+                className={INPUT_CLASS}
+              />
+            </label>
+          )}
+          <label className="text-sm text-slate-600 dark:text-slate-300">
+            שיטת החזר
+            <select
+              value={Number(draft.termMonths) > 0 ? draft.amortization : 'bullet'}
+              onChange={e => setDraft({ ...draft, amortization: e.target.value })}
+              disabled={!(Number(draft.termMonths) > 0)}
+              className={`${INPUT_CLASS} disabled:opacity-60`}
+            >
+              {Object.entries(AMORTIZATION_METHODS).map(([key, m]) => <option key={key} value={key}>{m.label}</option>)}
+            </select>
+          </label>
+          <label className="col-span-2 md:col-span-4 text-sm text-slate-600 dark:text-slate-300">
+            הערה
+            <input
+              type="text"
+              value={draft.note}
+              onChange={e => setDraft({ ...draft, note: e.target.value })}
+              className={INPUT_CLASS}
+            />
+          </label>
+        </div>
+        <button
+          type="submit"
+          disabled={saving}
+          className="w-full md:w-auto flex items-center justify-center gap-2 px-6 py-2.5 bg-emerald-600 hover:bg-emerald-700 disabled:opacity-50 text-white rounded-lg font-medium transition-colors"
+        >
+          {saving ? <Loader2 size={16} className="animate-spin" /> : <Plus size={16} />}
+          {draft.id ? 'עדכן התחייבות' : 'שמור התחייבות'}
+        </button>
+      </form>
+
+      {/* Liabilities Table */}
+      <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-slate-200 dark:border-slate-700 p-4 md:p-6">
+        <h3 className="text-lg font-bold text-slate-800 dark:text-white mb-4">ההתחייבויות שלי</h3>
+        {loading ? (
+          <div className="flex justify-center py-6"><Loader2 className="animate-spin text-slate-400" /></div>
+        ) : liabilities.length === 0 ? (
+          <p className="text-sm text-slate-500 dark:text-slate-400 text-center py-4">עדיין לא נרשמו התחייבויות</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-xs text-slate-500 dark:text-slate-400 border-b border-slate-200 dark:border-slate-700">
+                  <th className="text-right py-2 font-medium">שם</th>
+                  <th className="text-right py-2 font-medium">סוג</th>
+                  <th className="text-right py-2 font-medium">ריבית</th>
+                  <th className="text-right py-2 font-medium">יתרה</th>
+                  <th className="text-right py-2 font-medium">החזר חודשי</th>
+                  <th className="text-right py-2 font-medium">סיום</th>
+                  <th className="py-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {liabilities.map(liability => (
+                  <LiabilityRow
+                    key={liability.id}
+                    liability={liability}
+                    expanded={expandedId === liability.id}
+                    onToggle={() => setExpandedId(expandedId === liability.id ? null : liability.id)}
+                    onEdit={() => handleEdit(liability)}
+                    onDelete={() => handleDelete(liability)}
+                  />
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const LiabilityRow = ({ liability, expanded, onToggle, onEdit, onDelete }) => {
+  const type = LIABILITY_TYPES[liability.type] || LIABILITY_TYPES.other;
+  const rateLabel = liability.indexation === 'prime'
+    ? `P${Number(liability.rate) >= 0 ? '+' : ''}${Number(liability.rate) || 0}% (${formatRate(getEffectiveRate(liability))})`
+    : `${formatRate(liability.rate)}${liability.indexation === 'cpi' ? ' + מדד' : ''}`;
+
+  return (
+    <>
+      <tr className="border-b border-slate-100 dark:border-slate-700/50">
+        <td className="py-2 text-slate-700 dark:text-slate-200">
+          <div className="font-medium">{liability.name}</div>
+          {liability.lender && <div className="text-xs text-slate-400">{liability.lender}</div>}
+        </td>
+        <td className="py-2">
+          <span className="inline-flex items-center gap-1.5 text-slate-600 dark:text-slate-300">
+            <span className="w-2 h-2 rounded-full" style={{ backgroundColor: type.color }} />
+            {type.label}
+          </span>
+        </td>
+        <td className="py-2 text-slate-600 dark:text-slate-300 whitespace-nowrap" dir="ltr">{rateLabel}</td>
+        <td className="py-2 font-semibold text-slate-800 dark:text-white whitespace-nowrap">{formatCurrency(liability.balance, liability.currency)}</td>
+        <td className="py-2 text-slate-600 dark:text-slate-300 whitespace-nowrap">{formatCurrency(liability.monthlyPayment, liability.currency)}</td>
+        <td className="py-2 text-slate-600 dark:text-slate-300 whitespace-nowrap">{liability.payoffMonth ? formatMonthLabel(liability.payoffMonth) : 'פתוחה'}</td>
+        <td className="py-2 whitespace-nowrap text-left">
+          {liability.schedule.length > 0 && (
+            <button onClick={onToggle} className="p-1 text-slate-400 hover:text-slate-600 dark:hover:text-slate-200" title="לוח סילוקין">
+              {expanded ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+            </button>
+          )}
+          <button onClick={onEdit} className="p-1 text-slate-400 hover:text-blue-600" title="עריכה">
+            <Edit2 size={16} />
+          </button>
+          <button onClick={onDelete} className="p-1 text-slate-400 hover:text-red-600" title="מחיקה">
+            <Trash2 size={16} />
+          </button>
+        </td>
+      </tr>
+      {expanded && (
+        <tr>
+          <td colSpan={7} className="pb-4">
+            <div className="max-h-80 overflow-y-auto rounded-lg border border-slate-200 dark:border-slate-700">
+              <table className="w-full text-xs">
+                <thead className="sticky top-0 bg-slate-50 dark:bg-slate-900">
+                  <tr className="text-slate-500 dark:text-slate-400">
+                    <th className="text-right py-1.5 px-2 font-medium">חודש</th>
+                    <th className="text-right py-1.5 px-2 font-medium">יתרת פתיחה</th>
+                    {liability.indexation === 'cpi' && <th className="text-right py-1.5 px-2 font-medium">הצמדה</th>}
+                    <th className="text-right py-1.5 px-2 font-medium">ריבית</th>
+                    <th className="text-right py-1.5 px-2 font-medium">קרן</th>
+                    <th className="text-right py-1.5 px-2 font-medium">תשלום</th>
+                    <th className="text-right py-1.5 px-2 font-medium">יתרה</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {liability.schedule.map(row => (
+                    <tr key={row.month} className="border-t border-slate-100 dark:border-slate-700/50 text-slate-600 dark:text-slate-300">
+                      <td className="py-1 px-2 whitespace-nowrap">{formatMonthLabel(row.month)}</td>
+                      <td className="py-1 px-2">{formatCurrency(row.opening, liability.currency)}</td>
+                      {liability.indexation === 'cpi' && <td className="py-1 px-2">{formatCurrency(row.indexation, liability.currency)}</td>}
+                      <td className="py-1 px-2">{formatCurrency(row.interest, liability.currency)}</td>
+                      <td className="py-1 px-2">{formatCurrency(row.principal, liability.currency)}</td>
+                      <td className="py-1 px-2 font-medium">{formatCurrency(row.payment, liability.currency)}</td>
+                      <td className="py-1 px-2">{formatCurrency(row.balance, liability.currency)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </td>
+        </tr>
+      )}
+    </>
+  );
+};
+
+export default Liabilities;
@@ -0,0 +1,367 @@
+import { useState, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { PiggyBank, Upload, Loader2, ArrowRight, CheckCircle, AlertTriangle } from 'lucide-react';
+import { readPensionXmlFile, PENSION_PRODUCT_TYPES } from '../utils/pensionXml';
+import { buildPensionPlan, commitPensionPlan, getPensionAssetName } from '../services/pensionService';
+import { generateRandomColor } from '../constants/defaults';
+import { errorAlert, confirmAlert } from '../utils/alerts';
+
+const STEPS = [
+  { key: 'upload', label: 'קבצים' },
+  { key: 'preview', label: 'תצוגה מקדימה' },
+  { key: 'done', label: 'סיום' },
+];
+
+const STATUS_BADGES = {
+  new: { label: 'נכס חדש', className: 'bg-emerald-100 text-emerald-700 dark:bg-emerald-900/30 dark:text-emerald-400' },
+  update: { label: 'עדכון יתרה', className: 'bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-400' },
+  older: { label: 'קובץ ישן - להיסטוריה בלבד', className: 'bg-slate-100 text-slate-600 dark:bg-slate-700 dark:text-slate-300' },
+};
+
+const INPUT_CLASS = 'mt-1 w-full p-2 rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 text-slate-900 dark:text-white';
+
+const formatIls = (value) => (value === null || value === undefined ? '—' : `₪${Math.round(value).toLocaleString()}`);
+const formatPercent = (value) => (value === null || value === undefined ? '—' : `${value}%`);
+
+/** Existing platform for a provider ("מיטב דש" -> "מיטב"), or the provider name as a new platform */
+const findPlatform = (platforms, providerName) =>
+  platforms.find(p => p.name === providerName)?.name
+  || platforms.find(p => providerName.includes(p.name) || p.name.includes(providerName))?.name
+  || providerName;
+
+const PensionImport = ({ assets, systemData, setSystemData, user }) => {
+  const navigate = useNavigate();
+
+  const [step, setStep] = useState('upload');
+  const [fileNames, setFileNames] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [warnings, setWarnings] = useState([]);
+  const [links, setLinks] = useState({});
+  const [category, setCategory] = useState(
+    systemData.categories.find(c => c.name === 'מניות')?.name || systemData.categories[0]?.name || 'אחר'
+  );
+  const [reading, setReading] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const plan = useMemo(() => buildPensionPlan(accounts, assets, links), [accounts, assets, links]);
+
+  // Manual assets that can take an account imported for the first time (e.g. a hand-entered קרן השתלמות)
+  const linkableAssets = useMemo(
+    () => assets.filter(a => a.assetMode !== 'QUANTITY' && !a.pension?.accountId),
+    [assets]
+  );
+
+  const totalBalance = useMemo(
+    () => plan.filter(item => item.status !== 'older').reduce((sum, item) => sum + item.account.balance, 0),
+    [plan]
+  );
+
+  if (!user) {
+    return (
+      <div className="max-w-7xl mx-auto p-6 text-center text-slate-500 dark:text-slate-400" dir="rtl">
+        ייבוא מהמסלקה הפנסיונית אינו זמין במצב דמו
+      </div>
+    );
+  }
+
+  const handleFiles = async (files) => {
+    if (!files?.length) return;
+    setReading(true);
+    try {
+      const parsed = [];
+      const fileWarnings = [];
+      for (const file of files) {
+        try {
+          const { accounts: fileAccounts, warnings: messages } = await readPensionXmlFile(file);
+          parsed.push(...fileAccounts);
+          fileWarnings.push(...messages.map(message => `${file.name}: ${message}`));
+        } catch (error) {
+          fileWarnings.push(`${file.name}: ${error.message}`);
+        }
+      }
+      if (parsed.length === 0) {
+        await errorAlert('שגיאה', 'לא נמצאו חשבונות בקבצים שנבחרו');
+        setWarnings(fileWarnings);
+        return;
+      }
+      setFileNames(Array.from(files, f => f.name));
+      setAccounts(parsed);
+      setWarnings(fileWarnings);
+      setLinks({});
+      setStep('preview');
+    } finally {
+      setReading(false);
+    }
+  };
+
+  const handleLink = (key, assetId) => {
+    setLinks(prev => {
+      const next = { ...prev };
+      if (assetId) next[key] = assetId;
+      else delete next[key];
+      return next;
+    });
+  };
+
+  const handleImport = async () => {
+    const created = plan.filter(item => item.status === 'new').length;
+    const updated = plan.filter(item => item.status === 'update').length;
+    const confirmed = await confirmAlert(
+      'ייבוא',
+      `ייווצרו ${created} נכסים ויעודכנו ${updated} נכסים קיימים. להמשיך?`,
+      'question'
+    );
+    if (!confirmed) return;
+
+    setImporting(true);
+    try {
+      const platformFor = (account) => findPlatform(systemData.platforms, account.providerName);
+
+      // New providers / product types are added to the lists, as the asset form does
+      const newItems = plan.filter(item => item.status === 'new');
+      const missingPlatforms = [...new Set(newItems.map(item => platformFor(item.account)))]
+        .filter(name => !systemData.platforms.some(p => p.name === name));
+      const missingInstruments = [...new Set(newItems.map(item => PENSION_PRODUCT_TYPES[item.account.productType].instrument))]
+        .filter(name => !systemData.instruments.some(i => i.name === name));
+      if (missingPlatforms.length || missingInstruments.length) {
+        await setSystemData({
+          ...systemData,
+          platforms: [...systemData.platforms, ...missingPlatforms.map(name => ({ name, color: generateRandomColor() }))],
+          instruments: [...systemData.instruments, ...missingInstruments.map(name => ({ name, color: generateRandomColor() }))],
+        });
+      }
+
+      const counts = await commitPensionPlan(user, plan, {
+        platformFor,
+        category,
+        note: `ייבוא - ${fileNames.join(', ')}`,
+      });
+      setResult(counts);
+      setStep('done');
+    } catch (error) {
+      console.error('[PensionImport] Import error:', error);
+      await errorAlert('שגיאה', `הייבוא נכשל: ${error.message}`);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const resetImport = () => {
+    setStep('upload');
+    setAccounts([]);
+    setWarnings([]);
+    setFileNames([]);
+    setLinks({});
+    setResult(null);
+  };
+
+  const stepIndex = STEPS.findIndex(s => s.key === step);
+
+  return (
+    <div className="max-w-7xl mx-auto space-y-6 pb-8 md:pb-12" dir="rtl">
+      {/* Header */}
+      <header className="flex flex-col mr-12 md:mr-0 md:flex-row md:items-center md:justify-between gap-4 pb-6 border-b border-slate-200 dark:border-slate-700">
+        <div className="flex items-center gap-3">
+          <button
+            onClick={() => navigate('/assets')}
+            className="p-2 hover:bg-slate-200 dark:hover:bg-slate-700 rounded-full transition"
+          >
+            <ArrowRight size={24} className="text-slate-800 dark:text-slate-200" />
+          </button>
+          <div className="w-12 h-12 rounded-2xl bg-gradient-to-br from-violet-500 to-purple-600 flex items-center justify-center shadow-lg">
+            <PiggyBank className="text-white" size={24} />
+          </div>
+          <div>
+            <h2 className="text-2xl md:text-3xl font-bold text-slate-900 dark:text-white">ייבוא מהמסלקה הפנסיונית</h2>
+            <p className="text-slate-500 dark:text-slate-400 text-sm mt-1">קבצי XML של קרנות פנסיה, קופות גמל וקרנות השתלמות</p>
+          </div>
+        </div>
+        <div className="flex items-center gap-2 text-xs">
+          {STEPS.map((s, i) => (
+            <span
+              key={s.key}
+              className={`px-2.5 py-1 rounded-full ${i === stepIndex
+                ? 'bg-emerald-600 text-white'
+                : i < stepIndex
+                  ? 'bg-emerald-100 text-emerald-700 dark:bg-emerald-900/30 dark:text-emerald-400'
+                  : 'bg-slate-100 text-slate-500 dark:bg-slate-700 dark:text-slate-400'
+                }`}
+            >
+              {i + 1}. {s.label}
+            </span>
+          ))}
+        </div>
+      </header>
+
+      {warnings.length > 0 && (
+        <div className="p-3 rounded-lg bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 text-sm">
+          <div className="flex items-center gap-2 font-medium text-amber-700 dark:text-amber-300 mb-1">
+            <AlertTriangle size={16} />
+            הערות מהקבצים
+          </div>
+          <ul className="text-xs text-amber-700 dark:text-amber-300 space-y-0.5" dir="ltr">
+            {warnings.map((warning, i) => <li key={i}>{warning}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {/* Step 1 - upload */}
+      {step === 'upload' && (
+        <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-slate-200 dark:border-slate-700 p-4 md:p-6 space-y-4">
+          <p className="text-sm text-slate-600 dark:text-slate-300">
+            הורד את קבצי ה-XML מאתר המסלקה הפנסיונית (קובץ לכל גוף מנהל) ובחר את כולם. הקבצים נקראים בדפדפן בלבד ואינם נשלחים לשרת.
+          </p>
+          <label className="flex flex-col items-center justify-center gap-3 p-10 border-2 border-dashed border-slate-300 dark:border-slate-600 rounded-xl cursor-pointer hover:border-emerald-500 transition-colors">
+            {reading ? <Loader2 size={32} className="animate-spin text-emerald-600" /> : <Upload size={32} className="text-slate-400" />}
+            <span className="text-sm text-slate-600 dark:text-slate-300">{reading ? 'קורא את הקבצים...' : 'בחר קובץ XML אחד או יותר'}</span>
+            <input
+              type="file"
+              accept=".xml,.dat,text/xml,application/xml"
+              multiple
+              className="hidden"
+              disabled={reading}
+              onChange={e => handleFiles(e.target.files)}
+            />
+          </label>
+        </div>
+      )}
+
+      {/* Step 2 - preview */}
+      {step === 'preview' && (
+        <div className="space-y-6">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-1.5 md:gap-4">
+            {[
+              { label: 'חשבונות בקבצים', value: plan.length },
+              { label: 'נכסים חדשים', value: plan.filter(item => item.status === 'new').length },
+              { label: 'עדכוני יתרה', value: plan.filter(item => item.status === 'update').length },
+              { label: 'סך יתרות', value: formatIls(totalBalance) },
+            ].map(card => (
+              <div key={card.label} className="bg-white dark:bg-slate-800 rounded-xl p-3 md:p-4 border border-slate-200 dark:border-slate-700 shadow-sm">
+                <p className="text-xs text-slate-500 dark:text-slate-400">{card.label}</p>
+                <p className="text-xl font-bold text-slate-900 dark:text-white">{card.value}</p>
+              </div>
+            ))}
+          </div>
+
+          <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-slate-200 dark:border-slate-700 p-4 md:p-6 space-y-4">
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-right text-slate-500 dark:text-slate-400 border-b border-slate-200 dark:border-slate-700">
+                    <th className="p-2">חשבון</th>
+                    <th className="p-2">מסלול</th>
+                    <th className="p-2">יתרה</th>
+                    <th className="p-2">דמי ניהול (הפקדה / צבירה)</th>
+                    <th className="p-2">הפקדות (עובד / מעסיק / פיצויים)</th>
+                    <th className="p-2">נכס</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {plan.map(({ account, status, existing }) => (
+                    <tr key={account.key} className="border-b border-slate-100 dark:border-slate-700/50 text-slate-700 dark:text-slate-200 align-top">
+                      <td className="p-2">
+                        <div className="font-medium">{account.planName || PENSION_PRODUCT_TYPES[account.productType].label}</div>
+                        <div className="text-xs text-slate-400">
+                          {account.providerName} · {PENSION_PRODUCT_TYPES[account.productType].label}
+                          {account.accountNumber && <span dir="ltr"> · {account.accountNumber}</span>}
+                        </div>
+                      </td>
+                      <td className="p-2 text-xs">{account.trackName || '—'}</td>
+                      <td className="p-2">
+                        <div className="font-medium">{formatIls(account.balance)}</div>
+                        <div className="text-xs text-slate-400">
+                          {account.valuationDate ? new Date(account.valuationDate).toLocaleDateString('he-IL') : 'ללא תאריך'}
+                        </div>
+                        {existing && (
+                          <div className="text-xs text-slate-400">קודם: {formatIls(Number(existing.originalValue) || 0)}</div>
+                        )}
+                      </td>
+                      <td className="p-2 text-xs">{formatPercent(account.fees.deposit)} / {formatPercent(account.fees.balance)}</td>
+                      <td className="p-2 text-xs">
+                        {formatIls(account.contributions.employee)} / {formatIls(account.contributions.employer)} / {formatIls(account.contributions.severance)}
+                      </td>
+                      <td className="p-2">
+                        <span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_BADGES[status].className}`}>
+                          {STATUS_BADGES[status].label}
+                        </span>
+                        {existing?.pension?.accountId === account.key ? (
+                          <div className="text-xs text-slate-400 mt-1">{existing.name}</div>
+                        ) : (
+                          <select
+                            value={links[account.key] || ''}
+                            onChange={e => handleLink(account.key, e.target.value)}
+                            className="mt-1 w-full p-1.5 text-xs rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700"
+                          >
+                            <option value="">{`נכס חדש: ${getPensionAssetName(account)}`}</option>
+                            {linkableAssets
+                              .filter(a => a.id === links[account.key] || !Object.values(links).includes(a.id))
+                              .map(a => <option key={a.id} value={a.id}>עדכון: {a.name} ({a.platform})</option>)}
+                          </select>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="flex flex-wrap items-end justify-between gap-3 pt-2">
+              {plan.some(item => item.status === 'new') ? (
+                <label className="text-sm text-slate-600 dark:text-slate-300 min-w-[12rem]">
+                  קטגוריה לנכסים חדשים
+                  <select value={category} onChange={e => setCategory(e.target.value)} className={INPUT_CLASS}>
+                    {systemData.categories.map(c => <option key={c.name} value={c.name}>{c.name}</option>)}
+                  </select>
+                </label>
+              ) : <span />}
+              <div className="flex gap-2">
+                <button
+                  onClick={resetImport}
+                  className="px-4 py-2 text-sm text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-700 rounded-lg transition-colors"
+                >
+                  קבצים אחרים
+                </button>
+                <button
+                  onClick={handleImport}
+                  disabled={importing || plan.length === 0}
+                  className="flex items-center gap-2 px-4 py-2 bg-emerald-600 hover:bg-emerald-700 disabled:opacity-50 text-white rounded-lg font-medium transition-colors"
+                >
+                  {importing ? <Loader2 size={16} className="animate-spin" /> : <Upload size={16} />}
+                  ייבא
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Step 3 - done */}
+      {step === 'done' && result && (
+        <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-slate-200 dark:border-slate-700 p-6 md:p-10 text-center space-y-4">
+          <CheckCircle size={40} className="mx-auto text-emerald-600" />
+          <p className="text-lg font-bold text-slate-800 dark:text-white">הייבוא הושלם</p>
+          <p className="text-sm text-slate-500 dark:text-slate-400">
+            נוצרו {result.created} נכסים, עודכנו {result.updated} ונשמרו {result.valuations} נקודות בהיסטוריית השווי.
+          </p>
+          <div className="flex justify-center gap-2">
+            <button
+              onClick={resetImport}
+              className="px-4 py-2 text-sm text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-700 rounded-lg transition-colors"
+            >
+              ייבוא קבצים נוספים
+            </button>
+            <button
+              onClick={() => navigate('/assets')}
+              className="px-4 py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg font-medium transition-colors"
+            >
+              לניהול הנכסים
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PensionImport;
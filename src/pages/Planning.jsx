@@ -0,0 +1,302 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { Rocket, Wallet, Percent, Sunset, Hourglass, Loader2, Save, RotateCcw } from 'lucide-react';
+import SummaryCard from '../components/SummaryCard';
+import FanChart from '../components/FanChart';
+import { useHistoricalStats } from '../hooks/useHistoricalStats';
+import { useMonteCarlo } from '../hooks/useMonteCarlo';
+import { useReportingCurrency } from '../contexts/reportingCurrency';
+import { DEFAULT_PLAN, subscribeToPlan, savePlan } from '../services/planningService';
+import { buildCategoryAssumptions } from '../utils/monteCarlo';
+import { successToast, errorAlert } from '../utils/alerts';
+
+const INPUT_CLASS = 'mt-1 w-full p-2 rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 text-slate-900 dark:text-white';
+const CELL_INPUT_CLASS = 'w-20 p-1 rounded border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 text-slate-900 dark:text-white text-sm font-mono';
+
+/** Paths per run - enough for stable percentiles, fast enough to re-run while typing */
+const SIMULATIONS = 2000;
+
+const formatCurrency = (value, currency = 'ILS') => {
+  if (typeof value !== 'number' || isNaN(value)) return '—';
+  return new Intl.NumberFormat('he-IL', {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(value);
+};
+
+const formatPercent = (value) => (typeof value === 'number' ? `${value.toFixed(1)}%` : '—');
+
+const PLAN_FIELDS = [
+  { key: 'currentAge', label: 'גיל נוכחי' },
+  { key: 'retirementAge', label: 'גיל פרישה' },
+  { key: 'targetAge', label: 'גיל יעד (סוף התכנית)' },
+  { key: 'monthlyContribution', label: 'הפקדה חודשית עד הפרישה' },
+  { key: 'withdrawalRate', label: 'שיעור משיכה שנתי (%)' },
+  { key: 'inflation', label: 'אינפלציה שנתית (%)' },
+];
+
+const Planning = ({ assets = [], user }) => {
+  const reportingCurrency = useReportingCurrency();
+  const [plan, setPlan] = useState(DEFAULT_PLAN);
+  const [loaded, setLoaded] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const loadedRef = useRef(false);
+
+  // The saved plan fills the form once - later edits stay local until saved
+  useEffect(() => {
+    if (!user) {
+      setLoaded(true);
+      return;
+    }
+    const unsubscribe = subscribeToPlan(user, (saved) => {
+      if (loadedRef.current) return;
+      loadedRef.current = true;
+      setPlan(saved);
+      setLoaded(true);
+    });
+    return () => unsubscribe();
+  }, [user]);
+
+  const { stats, loading: statsLoading } = useHistoricalStats(assets);
+  const categories = useMemo(() => buildCategoryAssumptions(assets, stats), [assets, stats]);
+  const totalValue = useMemo(() => categories.reduce((sum, c) => sum + c.value, 0), [categories]);
+
+  const buckets = useMemo(() => categories.map(c => {
+    const override = plan.overrides?.[c.category] || {};
+    const pick = (value, fallback) => (value === '' || value == null || isNaN(Number(value)) ? fallback : Number(value));
+    return {
+      value: c.value,
+      expectedReturn: pick(override.expectedReturn, c.expectedReturn),
+      volatility: Math.abs(pick(override.volatility, c.volatility)),
+    };
+  }), [categories, plan.overrides]);
+
+  const currentAge = Number(plan.currentAge) || 0;
+  const retirementAge = Math.max(currentAge, Number(plan.retirementAge) || 0);
+  const targetAge = Math.max(retirementAge + 1, Number(plan.targetAge) || 0);
+  const isValid = loaded && buckets.length > 0 && currentAge > 0 && targetAge - currentAge <= 100;
+
+  const { result, running, error } = useMonteCarlo(isValid ? {
+    buckets,
+    monthlyContribution: Number(plan.monthlyContribution) || 0,
+    withdrawalRate: Number(plan.withdrawalRate) || 0,
+    inflation: Number(plan.inflation) || 0,
+    currentAge,
+    retirementAge,
+    targetAge,
+    simulations: SIMULATIONS,
+    seed: 1,
+  } : null);
+
+  const setOverride = (category, field, value) => {
+    setPlan({
+      ...plan,
+      overrides: {
+        ...plan.overrides,
+        [category]: { ...(plan.overrides?.[category] || {}), [field]: value },
+      },
+    });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await savePlan(user, plan);
+      successToast('התכנית נשמרה');
+    } catch (err) {
+      console.error('[Planning] Save error:', err);
+      errorAlert('שגיאה', 'שמירת התכנית נכשלה');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const successProbability = result?.successProbability;
+  const successColor = successProbability >= 85 ? 'text-emerald-600 dark:text-emerald-400'
+    : successProbability >= 65 ? 'text-amber-500' : 'text-red-500';
+
+  return (
+    <div className="max-w-7xl mx-auto space-y-6 pb-8 md:pb-12" dir="rtl">
+      {/* Header */}
+      <header className="flex flex-col mr-12 md:mr-0 md:flex-row md:items-center md:justify-between gap-4 pb-6 border-b border-slate-200 dark:border-slate-700">
+        <div className="flex items-center gap-3">
+          <div className="w-12 h-12 rounded-2xl bg-gradient-to-br from-amber-500 to-orange-600 flex items-center justify-center shadow-lg">
+            <Rocket className="text-white" size={24} />
+          </div>
+          <div>
+            <h2 className="text-2xl md:text-3xl font-bold text-slate-900 dark:text-white">תכנון פרישה</h2>
+            <p className="text-slate-500 dark:text-slate-400 text-sm mt-1">סימולציית מונטה קרלו - טווח תוצאות אפשרי והסיכוי שהכסף יספיק עד גיל היעד</p>
+          </div>
+        </div>
+        {user && (
+          <div className="flex gap-2">
+            <button
+              onClick={() => setPlan({ ...plan, overrides: {} })}
+              className="flex items-center gap-2 px-4 py-2 text-sm font-medium bg-slate-100 dark:bg-slate-700 hover:bg-slate-200 dark:hover:bg-slate-600 text-slate-700 dark:text-slate-200 rounded-lg transition-colors"
+            >
+              <RotateCcw size={16} />
+              הנחות מההיסטוריה
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving || !loaded}
+              className="flex items-center gap-2 px-4 py-2 text-sm font-medium bg-emerald-600 hover:bg-emerald-700 disabled:opacity-50 text-white rounded-lg transition-colors"
+            >
+              {saving ? <Loader2 size={16} className="animate-spin" /> : <Save size={16} />}
+              שמור תכנית
+            </button>
+          </div>
+        )}
+      </header>
+
+      {/* KPI Cards */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-1.5 md:gap-4">
+        <SummaryCard
+          title={`שווי התיק היום (${reportingCurrency})`}
+          value={formatCurrency(totalValue, reportingCurrency)}
+          icon={Wallet}
+          iconBgColor="bg-blue-500/10"
+        />
+        <SummaryCard
+          title={`סיכוי הצלחה עד גיל ${targetAge}`}
+          value={<span className={successColor}>{formatPercent(successProbability)}</span>}
+          icon={Percent}
+          iconBgColor="bg-emerald-500/10"
+          loading={!result && running}
+        />
+        <SummaryCard
+          title={`חציון בגיל ${retirementAge}`}
+          value={formatCurrency(result?.medianAtRetirement, reportingCurrency)}
+          icon={Sunset}
+          iconBgColor="bg-amber-500/10"
+          loading={!result && running}
+        />
+        <SummaryCard
+          title="משיכה שנתית (חציון)"
+          value={formatCurrency(result?.medianWithdrawal, reportingCurrency)}
+          subtitle={result?.depletedMedianAge ? `בתרחישים שנכשלו הכסף נגמר בגיל ${Math.round(result.depletedMedianAge)} (חציון)` : null}
+          icon={Hourglass}
+          iconBgColor="bg-purple-500/10"
+          loading={!result && running}
+        />
+      </div>
+
+      {/* Plan Inputs */}
+      <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-slate-200 dark:border-slate-700 p-4 md:p-6 space-y-3">
+        <h3 className="text-lg font-bold text-slate-800 dark:text-white">הנחות התכנית</h3>
+        <div className="grid grid-cols-2 md:grid-cols-6 gap-3">
+          {PLAN_FIELDS.map(field => (
+            <label key={field.key} className="text-sm text-slate-600 dark:text-slate-300">
+              {field.label}
+              <input
+                type="number"
+                step="any"
+                min="0"
+                value={plan[field.key]}
+                onChange={e => setPlan({ ...plan, [field.key]: e.target.value })}
+                className={INPUT_CLASS}
+              />
+            </label>
+          ))}
+        </div>
+        <p className="text-xs text-slate-500 dark:text-slate-400">
+          כל הסכומים בכסף של היום ({reportingCurrency}). המשיכה נקבעת בגיל הפרישה כשיעור המשיכה מהשווי באותו רגע, ונשארת קבועה בערך ריאלי.
+        </p>
+      </div>
+
+      {/* Category Assumptions */}
+      <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-slate-200 dark:border-slate-700 p-4 md:p-6">
+        <div className="flex items-center gap-2 mb-4">
+          <h3 className="text-lg font-bold text-slate-800 dark:text-white">תשואה ותנודתיות לפי קטגוריה</h3>
+          {statsLoading && <Loader2 size={16} className="animate-spin text-slate-400" />}
+        </div>
+        {categories.length === 0 ? (
+          <p className="text-sm text-slate-500 dark:text-slate-400 text-center py-4">אין נכסים בתיק</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-xs text-slate-500 dark:text-slate-400 border-b border-slate-200 dark:border-slate-700">
+                  <th className="text-right py-2 font-medium">קטגוריה</th>
+                  <th className="text-right py-2 font-medium">שווי</th>
+                  <th className="text-right py-2 font-medium">משקל</th>
+                  <th className="text-right py-2 font-medium">הערכה (תשואה / תנודתיות)</th>
+                  <th className="text-right py-2 font-medium">תשואה שנתית (%)</th>
+                  <th className="text-right py-2 font-medium">תנודתיות (%)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {categories.map(c => {
+                  const override = plan.overrides?.[c.category] || {};
+                  return (
+                    <tr key={c.category} className="border-b border-slate-100 dark:border-slate-700/50">
+                      <td className="py-2 font-medium text-slate-700 dark:text-slate-200">{c.category}</td>
+                      <td className="py-2 text-slate-600 dark:text-slate-300 whitespace-nowrap">{formatCurrency(c.value, reportingCurrency)}</td>
+                      <td className="py-2 text-slate-600 dark:text-slate-300">{formatPercent(totalValue > 0 ? (c.value / totalValue) * 100 : 0)}</td>
+                      <td className="py-2 text-slate-500 dark:text-slate-400 whitespace-nowrap">
+                        <span className="font-mono" dir="ltr">{formatPercent(c.expectedReturn)} / {formatPercent(c.volatility)}</span>
+                        <span className="text-xs mr-2">
+                          {c.source === 'history' ? `היסטוריה (${Math.round(c.coverage * 100)}% מהשווי)` : 'ברירת מחדל'}
+                        </span>
+                      </td>
+                      <td className="py-2">
+                        <input
+                          type="number"
+                          step="any"
+                          value={override.expectedReturn ?? ''}
+                          placeholder={c.expectedReturn.toFixed(1)}
+                          onChange={e => setOverride(c.category, 'expectedReturn', e.target.value)}
+                          className={CELL_INPUT_CLASS}
+                        />
+                      </td>
+                      <td className="py-2">
+                        <input
+                          type="number"
+                          step="any"
+                          min="0"
+                          value={override.volatility ?? ''}
+                          placeholder={c.volatility.toFixed(1)}
+                          onChange={e => setOverride(c.category, 'volatility', e.target.value)}
+                          className={CELL_INPUT_CLASS}
+                        />
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+        <p className="text-xs text-slate-500 dark:text-slate-400 mt-2">
+          ההערכה מחושבת מתשואות חודשיות של 5 השנים האחרונות (/api/history), משוקללת לפי שווי הנכסים. שדה ריק = ההערכה.
+        </p>
+      </div>
+
+      {/* Fan Chart */}
+      <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-slate-200 dark:border-slate-700 p-4 md:p-6">
+        <div className="flex items-center gap-2">
+          <h3 className="text-lg font-bold text-slate-800 dark:text-white">טווח שווי התיק לפי גיל</h3>
+          {running && <Loader2 size={16} className="animate-spin text-slate-400" />}
+        </div>
+        <p className="text-xs text-slate-500 dark:text-slate-400 mb-4">
+          {SIMULATIONS.toLocaleString('he-IL')} תרחישים. הרצועה הכהה - 50% מהתרחישים (אחוזונים 25-75), הבהירה - 80% (10-90).
+        </p>
+        {error && (
+          <div className="p-3 mb-3 rounded-lg bg-red-50 dark:bg-red-900/20 text-sm text-red-700 dark:text-red-300">
+            הסימולציה נכשלה: {error}
+          </div>
+        )}
+        <div className="h-72 md:h-96" dir="ltr">
+          <FanChart
+            data={result?.years || []}
+            retirementAge={retirementAge}
+            formatValue={(value) => formatCurrency(value, reportingCurrency)}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Planning;
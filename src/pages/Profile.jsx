@@ -5,10 +5,13 @@ import { doc, getDoc } from 'firebase/firestore';
 import { db, appId } from '../services/firebase';
 import { useAuth } from '../hooks/useAuth';
 import { confirmAlert } from '../utils/alerts';
+import { useReportingCurrency } from '../contexts/reportingCurrency';
+import { getCurrencySymbol } from '../services/currency';
 
 const Profile = ({ user, assets, totalWealth, systemData }) => {
   const navigate = useNavigate();
   const { signOut } = useAuth();
+  const currencySymbol = getCurrencySymbol(useReportingCurrency());
   const [userData, setUserData] = useState(null);
   const [loading, setLoading] = useState(true);
 
@@ -341,7 +344,7 @@ const Profile = ({ user, assets, totalWealth, systemData }) => {
                   <TrendingUp size={16} className="text-emerald-600 dark:text-emerald-300" />
                   <div>
                     <div className="text-xs text-slate-500 dark:text-slate-200/70">ממוצע לנכס</div>
-                    <div className="text-sm font-semibold text-slate-900 dark:text-white">{isWealthVisible ? `₪${stats.avgValuePerAsset.toLocaleString()}` : '••••••'}</div>
+                    <div className="text-sm font-semibold text-slate-900 dark:text-white">{isWealthVisible ? `${currencySymbol}${stats.avgValuePerAsset.toLocaleString()}` : '••••••'}</div>
                   </div>
                 </div>
                 <div className="flex items-center gap-2 px-3 py-2 rounded-lg bg-slate-50 dark:bg-white/5 border border-slate-200 dark:border-white/10">
@@ -391,7 +394,7 @@ const Profile = ({ user, assets, totalWealth, systemData }) => {
                 </div>
               </div>
               <div className="text-2xl font-bold text-slate-900 dark:text-white">
-                {isWealthVisible ? `₪${totalWealth.toLocaleString()}` : '••••••'}
+                {isWealthVisible ? `${currencySymbol}${totalWealth.toLocaleString()}` : '••••••'}
               </div>
             </div>
 
@@ -457,7 +460,7 @@ const Profile = ({ user, assets, totalWealth, systemData }) => {
                 <div className="flex justify-between items-center p-4 bg-slate-50 dark:bg-slate-900/30 rounded-lg border border-slate-200 dark:border-slate-700">
                   <span className="text-sm text-slate-600 dark:text-slate-400">שווי אפיק מוביל</span>
                   <span className="text-lg font-semibold text-slate-900 dark:text-white">
-                    {isWealthVisible ? `₪${stats.topCategory.value.toLocaleString()}` : '••••••'}
+                    {isWealthVisible ? `${currencySymbol}${stats.topCategory.value.toLocaleString()}` : '••••••'}
                   </span>
                 </div>
               </>
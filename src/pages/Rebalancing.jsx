@@ -1,11 +1,24 @@
 import { useState, useEffect, useMemo } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { doc, getDoc, setDoc, onSnapshot, collection, addDoc, query, orderBy } from 'firebase/firestore';
-import { Scale, Target, Loader2, Save, Sparkles, AlertCircle, TrendingUp, TrendingDown, Plus, Trash2, X, Tag, Database, Palette, DollarSign, Layers, Copy, Check, Eye, Percent, FileText, ChevronDown, ChevronUp } from 'lucide-react';
+import { Scale, Target, Loader2, Save, Sparkles, AlertCircle, TrendingUp, TrendingDown, Plus, Trash2, X, Tag, Database, Palette, DollarSign, Layers, Copy, Check, Eye, Percent, FileText, ChevronDown, ChevronUp, ListTree } from 'lucide-react';
 import { db, appId } from '../services/firebase';
 import { callGeminiAI, parseAndValidateRebalancingAllocation } from '../services/gemini';
 import MarkdownRenderer from '../components/MarkdownRenderer';
 import { successToast, errorAlert, confirmAlert } from '../utils/alerts';
+import { useReportingCurrency } from '../contexts/reportingCurrency';
+import { getCurrencySymbol } from '../services/currency';
+import TradeListPlanner from '../components/TradeListPlanner';
+import DriftHistoryPanel from '../components/DriftHistoryPanel';
+import TargetTreeEditor from '../components/TargetTreeEditor';
+import TargetTreeAnalysis from '../components/TargetTreeAnalysis';
+import ModelPortfolios from '../components/ModelPortfolios';
+import { subscribeToDriftHistory } from '../services/rebalancingService';
+import {
+  getAvailableItems as getGroupItems, calculateCurrentAllocation as getCurrentAllocation, getGroupTotalPercentage,
+  getGroupDrift, getItemBand, DRIFT_BAND_MODES, DEFAULT_DRIFT_BAND, isGroupValid, flattenTargetTree, getHierarchyPath,
+  HIERARCHY_GROUP_TYPE, HIERARCHY_LEVEL_TYPES, MAX_HIERARCHY_LEVELS,
+} from '../utils/rebalancing';
 
 const GROUP_TYPES = {
   category: { label: 'אפיקי השקעה', icon: Tag, color: '#3B82F6' },
@@ -14,31 +27,38 @@ const GROUP_TYPES = {
   instrument: { label: 'מטבעות בסיס', icon: Palette, color: '#8B5CF6' },
   symbol: { label: 'סמל', icon: Layers, color: '#F59E0B' },
   tags: { label: 'תגיות', icon: Tag, color: '#EF4444' },
-  currency: { label: 'מטבע', icon: DollarSign, color: '#6366F1' }
+  currency: { label: 'מטבע', icon: DollarSign, color: '#6366F1' },
+  hierarchy: { label: 'עץ יעדים', icon: ListTree, color: '#0EA5E9' }
 };
 
 const Rebalancing = ({ assets, systemData, user, currencyRate, portfolioContext = "" }) => {
   const navigate = useNavigate();
   const location = useLocation();
+  const reportingCurrency = useReportingCurrency();
+  const currencySymbol = getCurrencySymbol(reportingCurrency);
   const [groups, setGroups] = useState([]);
   const [lastAnalysis, setLastAnalysis] = useState('');
   const [saving, setSaving] = useState(false);
   const [analyzing, setAnalyzing] = useState(false);
   const [showAddGroup, setShowAddGroup] = useState(false);
   const [newGroupType, setNewGroupType] = useState('');
+  const [newGroupLevels, setNewGroupLevels] = useState(['category', 'subcategory', 'symbol']); // Levels of a new hierarchy group
   const [groupAIPrompts, setGroupAIPrompts] = useState({});
   const [groupAILoading, setGroupAILoading] = useState({});
   const [activeGroupView, setActiveGroupView] = useState(null); // For tabs
   const [copied, setCopied] = useState(false);
-  const [showAmounts, setShowAmounts] = useState(true); // החלף בין הצגת סכומים (₪) או אחוזים (%)
+  const [showAmounts, setShowAmounts] = useState(true); // החלף בין הצגת סכומים (במטבע הדיווח) או אחוזים (%)
   const [firebaseLoaded, setFirebaseLoaded] = useState(false); // Track if Firebase data was loaded
   const [reports, setReports] = useState([]); // List of saved reports
   const [selectedReport, setSelectedReport] = useState(null); // Currently selected report
   const [showAllReports, setShowAllReports] = useState(false); // Show all reports or just the latest
+  const [driftHistory, setDriftHistory] = useState([]); // Daily drift entries (oldest first)
   const [activeTab, setActiveTab] = useState(() => {
-    // Check if URL has #reports or #analysis hash
+    // Check if URL has #reports, #analysis, #trades or #models hash
     if (location.hash === '#reports') return 'reports';
     if (location.hash === '#analysis') return 'analysis';
+    if (location.hash === '#trades') return 'trades';
+    if (location.hash === '#models') return 'models';
     return 'rebalancing';
   });
 
@@ -48,6 +68,10 @@ const Rebalancing = ({ assets, systemData, user, currencyRate, portfolioContext
       setActiveTab('reports');
     } else if (location.hash === '#analysis') {
       setActiveTab('analysis');
+    } else if (location.hash === '#trades') {
+      setActiveTab('trades');
+    } else if (location.hash === '#models') {
+      setActiveTab('models');
     }
   }, [location.hash]);
 
@@ -127,6 +151,12 @@ const Rebalancing = ({ assets, systemData, user, currencyRate, portfolioContext
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [user]);
 
+  // Load drift history from Firebase
+  useEffect(() => {
+    if (!user || !db) return;
+    return subscribeToDriftHistory(user, setDriftHistory);
+  }, [user]);
+
   // Initialize default groups (category and symbol)
   // Only initialize if Firebase has been checked and no groups exist
   useEffect(() => {
@@ -171,93 +201,10 @@ const Rebalancing = ({ assets, systemData, user, currencyRate, portfolioContext
   }, [assets]);
 
   // Get available items for a group type
-  const getAvailableItems = (groupType) => {
-    if (!systemData || !assets) return [];
-
-    switch (groupType) {
-      case 'category':
-        return systemData.categories || [];
-      case 'subcategory':
-        return systemData.subcategories || [];
-      case 'platform':
-        return systemData.platforms || [];
-      case 'instrument':
-        return systemData.instruments || [];
-      case 'symbol':
-        return systemData.symbols || [];
-      case 'tags':
-        const tagSet = new Set();
-        assets.forEach(asset => {
-          if (Array.isArray(asset.tags)) {
-            asset.tags.forEach(tag => tagSet.add(tag));
-          }
-        });
-        return Array.from(tagSet).map(tag => ({ name: tag, color: '#94a3b8' }));
-      case 'currency':
-        const currencySet = new Set();
-        assets.forEach(asset => {
-          if (asset.currency) currencySet.add(asset.currency);
-        });
-        return Array.from(currencySet).map(curr => ({ name: curr, color: '#94a3b8' }));
-      default:
-        return [];
-    }
-  };
+  const getAvailableItems = (groupType) => getGroupItems(groupType, systemData, assets);
 
   // Calculate current allocation for a group
-  const calculateCurrentAllocation = (group) => {
-    if (!assets || assets.length === 0 || totalWealth === 0) return {};
-
-    const allocation = {};
-    const availableItems = getAvailableItems(group.type);
-
-    availableItems.forEach(item => {
-      const itemName = typeof item === 'string' ? item : item.name;
-      let matchingAssets = [];
-
-      switch (group.type) {
-        case 'category':
-          matchingAssets = assets.filter(a => a.category === itemName);
-          break;
-        case 'subcategory':
-          matchingAssets = assets.filter(a => a.subcategory === itemName);
-          break;
-        case 'platform':
-          matchingAssets = assets.filter(a => a.platform === itemName);
-          break;
-        case 'instrument':
-          matchingAssets = assets.filter(a => a.instrument === itemName);
-          break;
-        case 'symbol':
-          matchingAssets = assets.filter(a => a.symbol === itemName);
-          break;
-        case 'tags':
-          matchingAssets = assets.filter(a =>
-            Array.isArray(a.tags) && a.tags.includes(itemName)
-          );
-          break;
-        case 'currency':
-          matchingAssets = assets.filter(a => a.currency === itemName);
-          break;
-      }
-
-      const totalValue = matchingAssets.reduce((sum, a) => sum + a.value, 0);
-      allocation[itemName] = (totalValue / totalWealth) * 100;
-    });
-
-    return allocation;
-  };
-
-  // Calculate total percentage for a group
-  const getGroupTotalPercentage = (group) => {
-    if (!group || !group.targets || typeof group.targets !== 'object') {
-      return 0;
-    }
-    return Object.values(group.targets).reduce((sum, val) => {
-      const numVal = Number(val);
-      return sum + (isNaN(numVal) ? 0 : numVal);
-    }, 0);
-  };
+  const calculateCurrentAllocation = (group) => getCurrentAllocation(assets, group, systemData);
 
   // Handle target change
   const handleTargetChange = (groupId, itemName, value) => {
@@ -278,6 +225,46 @@ const Rebalancing = ({ assets, systemData, user, currencyRate, portfolioContext
     }));
   };
 
+  // Handle target tree change (hierarchy groups) - the flat targets are the absolute leaf targets
+  const handleTreeChange = (groupId, tree) => {
+    setGroups(prev => prev.map(group => (
+      group.id === groupId ? { ...group, tree, targets: flattenTargetTree(tree) } : group
+    )));
+  };
+
+  // Handle drift band change for a whole group
+  const handleBandChange = (groupId, changes) => {
+    setGroups(prev => prev.map(group => {
+      if (group.id === groupId) {
+        return { ...group, band: { ...(group.band || DEFAULT_DRIFT_BAND), ...changes } };
+      }
+      return group;
+    }));
+  };
+
+  // Handle drift band override for a single item (empty value → back to the group's band)
+  const handleItemBandChange = (groupId, itemName, changes) => {
+    setGroups(prev => prev.map(group => {
+      if (group.id !== groupId) return group;
+      const itemBands = { ...(group.itemBands || {}) };
+      const band = { ...getItemBand(group, itemName), ...(itemBands[itemName] || {}), ...changes };
+      if (band.value === '' || band.value === null) {
+        delete itemBands[itemName];
+      } else {
+        itemBands[itemName] = { mode: band.mode, value: Math.max(0, Number(band.value) || 0) };
+      }
+      return { ...group, itemBands };
+    }));
+  };
+
+  // Apply a model portfolio - replaces the group's targets (saved with the rest of the targets)
+  const handleApplyModel = async (groupId, targets) => {
+    setGroups(prev => prev.map(group => (group.id === groupId ? { ...group, targets } : group)));
+    setActiveGroupView(groupId);
+    setActiveTab('rebalancing');
+    await successToast('המודל הוחל על היעדים - יש לשמור כדי לעדכן', 2500);
+  };
+
   // Add new group
   const handleAddGroup = () => {
     if (!newGroupType) return;
@@ -294,11 +281,19 @@ const Rebalancing = ({ assets, systemData, user, currencyRate, portfolioContext
       newTargets[itemName] = 0;
     });
 
-    const newGroup = {
-      id: `${newGroupType}-${Date.now()}`,
-      type: newGroupType,
-      targets: newTargets
-    };
+    const newGroup = newGroupType === HIERARCHY_GROUP_TYPE
+      ? {
+        id: `${newGroupType}-${Date.now()}`,
+        type: newGroupType,
+        levels: newGroupLevels.filter(Boolean),
+        tree: {},
+        targets: {}
+      }
+      : {
+        id: `${newGroupType}-${Date.now()}`,
+        type: newGroupType,
+        targets: newTargets
+      };
 
     setGroups(prev => [...prev, newGroup]);
     setShowAddGroup(false);
@@ -330,10 +325,7 @@ const Rebalancing = ({ assets, systemData, user, currencyRate, portfolioContext
 
   // Save all groups to Firebase
   const handleSaveTargets = async () => {
-    const invalidGroups = groups.filter(group => {
-      const total = getGroupTotalPercentage(group);
-      return Math.abs(total - 100) > 0.01;
-    });
+    const invalidGroups = groups.filter(group => !isGroupValid(group));
 
     if (invalidGroups.length > 0) {
       const groupLabels = invalidGroups.map(g => GROUP_TYPES[g.type]?.label).join(', ');
@@ -364,10 +356,7 @@ const Rebalancing = ({ assets, systemData, user, currencyRate, portfolioContext
 
   // Analyze with AI
   const handleAnalyze = async () => {
-    const invalidGroups = groups.filter(group => {
-      const total = getGroupTotalPercentage(group);
-      return Math.abs(total - 100) > 0.01;
-    });
+    const invalidGroups = groups.filter(group => !isGroupValid(group));
 
     if (invalidGroups.length > 0) {
       await errorAlert('שגיאה', 'אנא הגדר יעדים תקינים (100%) לכל הקבוצות לפני הניתוח');
@@ -395,7 +384,9 @@ const Rebalancing = ({ assets, systemData, user, currencyRate, portfolioContext
           .join('\n');
 
         const assetsByItem = {};
-        const availableItems = getAvailableItems(group.type);
+        const availableItems = group.type === HIERARCHY_GROUP_TYPE
+          ? Object.keys(group.targets || {})
+          : getAvailableItems(group.type);
 
         availableItems.forEach(item => {
           const itemName = typeof item === 'string' ? item : item.name;
@@ -425,19 +416,22 @@ const Rebalancing = ({ assets, systemData, user, currencyRate, portfolioContext
             case 'currency':
               matchingAssets = assets.filter(a => a.currency === itemName);
               break;
+            case HIERARCHY_GROUP_TYPE:
+              matchingAssets = assets.filter(a => getHierarchyPath(a, group) === itemName);
+              break;
           }
 
           if (matchingAssets.length > 0) {
             const total = matchingAssets.reduce((sum, a) => sum + a.value, 0);
             assetsByItem[itemName] = {
               total,
-              assets: matchingAssets.map(a => `  - ${a.name}: ₪${a.value.toLocaleString()}`).join('\n')
+              assets: matchingAssets.map(a => `  - ${a.name}: ${currencySymbol}${a.value.toLocaleString()}`).join('\n')
             };
           }
         });
 
         const assetsSummary = Object.entries(assetsByItem)
-          .map(([item, data]) => `${item} (₪${data.total.toLocaleString()}):\n${data.assets}`)
+          .map(([item, data]) => `${item} (${currencySymbol}${data.total.toLocaleString()}):\n${data.assets}`)
           .join('\n\n');
 
         return {
@@ -452,7 +446,8 @@ const Rebalancing = ({ assets, systemData, user, currencyRate, portfolioContext
 אתה יועץ השקעות מקצועי. עזור למשתמש לאזן את תיק ההשקעות שלו.
 
 **נתונים כלליים:**
-- סה"כ תיק: ₪${totalWealth.toLocaleString()}
+- סה"כ תיק: ${currencySymbol}${totalWealth.toLocaleString()}
+- מטבע דיווח: ${reportingCurrency}
 - שער חליפין: 1$ = ₪${currencyRate.rate}
 
 ${analysisData.map((data, idx) => `
@@ -469,10 +464,10 @@ ${data.assetsSummary}
 **בקשה:**
 אנא החזר תשובה בעברית בפורמט Markdown עם:
 1. **סיכום המצב הנוכחי** - השוואה בין הקצאה נוכחית ליעד לכל קבוצת איזון
-2. **המלצות ספציפיות** - בדיוק כמה כסף (בשקלים) למכור מכל פריט שעבר את היעד, וכמה לקנות בכל פריט שתחת היעד
+2. **המלצות ספציפיות** - בדיוק כמה כסף (ב-${reportingCurrency}) למכור מכל פריט שעבר את היעד, וכמה לקנות בכל פריט שתחת היעד
 3. **תוכנית פעולה** - צעדים מעשיים לביצוע
 
-השתמש בנתונים המדויקים שסופקו. תן המלצות ספציפיות בכסף (₪) ולא רק באחוזים.
+השתמש בנתונים המדויקים שסופקו. תן המלצות ספציפיות בכסף (${currencySymbol}) ולא רק באחוזים.
 `;
 
       const result = await callGeminiAI(prompt, portfolioContext);
@@ -720,7 +715,7 @@ ${currentTargets ? `**יעדים נוכחיים (אם קיימים):**\n${curren
         id: group.id,
         type: group.type,
         total: total,
-        isValid: Math.abs(total - 100) < 0.01 || allTargetsZero
+        isValid: isGroupValid(group) || allTargetsZero
       };
     });
   }, [groups]);
@@ -743,7 +738,7 @@ ${currentTargets ? `**יעדים נוכחיים (אם קיימים):**\n${curren
         <div className="flex items-center gap-4">
           <div className="text-right">
             <div className="text-xs text-slate-500 dark:text-slate-400 mb-1">סה"כ תיק</div>
-            <div className="text-2xl font-black text-emerald-600 dark:text-emerald-400 font-mono">₪{totalWealth.toLocaleString()}</div>
+            <div className="text-2xl font-black text-emerald-600 dark:text-emerald-400 font-mono">{currencySymbol}{totalWealth.toLocaleString()}</div>
           </div>
         </div>
       </header>
@@ -771,6 +766,24 @@ ${currentTargets ? `**יעדים נוכחיים (אם קיימים):**\n${curren
         >
           סטטוס יעדים
         </button>
+        <button
+          onClick={() => setActiveTab('trades')}
+          className={`px-6 py-3 text-sm font-medium transition-colors border-b-2 ${activeTab === 'trades'
+              ? 'border-emerald-600 dark:border-emerald-400 text-emerald-600 dark:text-emerald-400'
+              : 'border-transparent text-slate-500 dark:text-slate-400 hover:text-slate-700 dark:hover:text-slate-300'
+            }`}
+        >
+          רשימת פעולות
+        </button>
+        <button
+          onClick={() => setActiveTab('models')}
+          className={`px-6 py-3 text-sm font-medium transition-colors border-b-2 ${activeTab === 'models'
+              ? 'border-emerald-600 dark:border-emerald-400 text-emerald-600 dark:text-emerald-400'
+              : 'border-transparent text-slate-500 dark:text-slate-400 hover:text-slate-700 dark:hover:text-slate-300'
+            }`}
+        >
+          מודלים ובקטסט
+        </button>
         <button
           onClick={() => setActiveTab('reports')}
           className={`px-6 py-3 text-sm font-medium transition-colors border-b-2 ${activeTab === 'reports'
@@ -852,7 +865,7 @@ ${currentTargets ? `**יעדים נוכחיים (אם קיימים):**\n${curren
                   </select>
                   <button
                     onClick={handleAddGroup}
-                    disabled={!newGroupType}
+                    disabled={!newGroupType || (newGroupType === HIERARCHY_GROUP_TYPE && newGroupLevels.length < 2)}
                     className="bg-emerald-600 dark:bg-emerald-700 text-white px-6 py-2.5 rounded-xl hover:bg-emerald-700 dark:hover:bg-emerald-600 disabled:opacity-40 disabled:cursor-not-allowed transition-all flex items-center justify-center gap-2 text-sm font-medium"
                   >
                     <Plus size={16} />
@@ -868,6 +881,29 @@ ${currentTargets ? `**יעדים נוכחיים (אם קיימים):**\n${curren
                     <X size={16} />
                   </button>
                 </div>
+                {newGroupType === HIERARCHY_GROUP_TYPE && (
+                  <div className="flex flex-wrap items-center gap-2 mt-3 text-sm text-slate-600 dark:text-slate-300">
+                    <span>רמות:</span>
+                    {Array.from({ length: MAX_HIERARCHY_LEVELS }, (_, index) => (
+                      <select
+                        key={index}
+                        value={newGroupLevels[index] || ''}
+                        onChange={(e) => {
+                          const levels = newGroupLevels.slice(0, index);
+                          if (e.target.value) levels.push(e.target.value);
+                          setNewGroupLevels(levels);
+                        }}
+                        disabled={index > 0 && !newGroupLevels[index - 1]}
+                        className="border border-slate-300 dark:border-slate-600 rounded-xl px-3 py-2 bg-white dark:bg-slate-700 text-slate-900 dark:text-slate-100 disabled:opacity-40"
+                      >
+                        <option value="">{index === 0 ? 'בחר רמה...' : 'ללא'}</option>
+                        {HIERARCHY_LEVEL_TYPES
+                          .filter(type => type === newGroupLevels[index] || !newGroupLevels.slice(0, index).includes(type))
+                          .map(type => <option key={type} value={type}>{GROUP_TYPES[type].label}</option>)}
+                      </select>
+                    ))}
+                  </div>
+                )}
               </div>
             )}
 
@@ -940,50 +976,90 @@ ${currentTargets ? `**יעדים נוכחיים (אם קיימים):**\n${curren
                           )}
                         </div>
 
+                        {/* Drift Band */}
+                        <div className="flex flex-wrap items-center gap-3 p-4 bg-slate-50 dark:bg-slate-900 rounded-xl border border-slate-200 dark:border-slate-700 text-sm">
+                          <Target size={16} className="text-slate-600 dark:text-slate-400" />
+                          <span className="font-semibold text-slate-800 dark:text-slate-100">טווח סטייה מותר</span>
+                          <span className="text-slate-500 dark:text-slate-400">±</span>
+                          <input
+                            type="number"
+                            min="0"
+                            step="0.5"
+                            value={(group.band || DEFAULT_DRIFT_BAND).value}
+                            onChange={(e) => handleBandChange(group.id, { value: Math.max(0, Number(e.target.value) || 0) })}
+                            className="w-20 border border-slate-300 dark:border-slate-600 rounded-lg px-2 py-1.5 text-right bg-white dark:bg-slate-700 text-slate-900 dark:text-slate-100"
+                          />
+                          <select
+                            value={(group.band || DEFAULT_DRIFT_BAND).mode}
+                            onChange={(e) => handleBandChange(group.id, { mode: e.target.value })}
+                            className="border border-slate-300 dark:border-slate-600 rounded-lg px-2 py-1.5 bg-white dark:bg-slate-700 text-slate-900 dark:text-slate-100"
+                          >
+                            {Object.entries(DRIFT_BAND_MODES).map(([key, mode]) => (
+                              <option key={key} value={key}>{mode.label}</option>
+                            ))}
+                          </select>
+                          <span className="text-xs text-slate-500 dark:text-slate-400">
+                            {(group.band || DEFAULT_DRIFT_BAND).mode === 'relative'
+                              ? 'לדוגמה: 20% מיעד של 30% = ±6 נקודות'
+                              : 'לדוגמה: 5 נקודות מיעד של 30% = 25%-35%'}
+                            {' '}· ניתן לקבוע טווח שונה לכל פריט
+                          </span>
+                        </div>
+
                         {/* AI Distribution Input */}
-                        <div className="p-4 bg-slate-50 dark:bg-slate-900 rounded-xl border border-slate-200 dark:border-slate-700">
-                          <div className="flex items-center gap-2 mb-3">
-                            <Sparkles size={16} className="text-slate-600 dark:text-slate-400" />
-                            <label className="text-sm font-semibold text-slate-800 dark:text-slate-100">
-                              חלוקה אוטומטית עם AI
-                            </label>
-                          </div>
-                          <div className="flex flex-col sm:flex-row items-stretch sm:items-center gap-2">
-                            <input
-                              type="text"
-                              value={groupAIPrompts[group.id] || ''}
-                              onChange={(e) => setGroupAIPrompts(prev => ({ ...prev, [group.id]: e.target.value }))}
-                              placeholder="לדוגמה: אני רוצה שרוב התיק ילך למניות, קצת לקריפטו ו3 חודשי מחיה מזומן"
-                              className="flex-1 border border-slate-300 dark:border-slate-600 rounded-xl px-4 py-2.5 text-sm text-right focus:outline-none focus:ring-2 focus:ring-slate-200 focus:border-slate-500 bg-white dark:bg-slate-700 text-slate-900 dark:text-slate-100"
-                              onKeyDown={(e) => {
-                                if (e.key === 'Enter' && !e.shiftKey) {
-                                  e.preventDefault();
-                                  handleAIDistribute(group.id);
-                                }
-                              }}
-                            />
-                            <button
-                              onClick={() => handleAIDistribute(group.id)}
-                              disabled={groupAILoading[group.id] || !groupAIPrompts[group.id]?.trim()}
-                              className="bg-slate-700 dark:bg-slate-600 text-white px-5 py-2.5 rounded-xl hover:bg-slate-800 dark:hover:bg-slate-500 disabled:opacity-40 disabled:cursor-not-allowed transition-all flex items-center justify-center gap-2 text-sm font-medium whitespace-nowrap"
-                            >
-                              {groupAILoading[group.id] ? (
-                                <>
-                                  <Loader2 size={16} className="animate-spin" />
-                                  מחשב...
-                                </>
-                              ) : (
-                                <>
-                                  <Sparkles size={16} />
-                                  חלק עם AI
-                                </>
-                              )}
-                            </button>
+                        {group.type !== HIERARCHY_GROUP_TYPE && (
+                          <div className="p-4 bg-slate-50 dark:bg-slate-900 rounded-xl border border-slate-200 dark:border-slate-700">
+                            <div className="flex items-center gap-2 mb-3">
+                              <Sparkles size={16} className="text-slate-600 dark:text-slate-400" />
+                              <label className="text-sm font-semibold text-slate-800 dark:text-slate-100">
+                                חלוקה אוטומטית עם AI
+                              </label>
+                            </div>
+                            <div className="flex flex-col sm:flex-row items-stretch sm:items-center gap-2">
+                              <input
+                                type="text"
+                                value={groupAIPrompts[group.id] || ''}
+                                onChange={(e) => setGroupAIPrompts(prev => ({ ...prev, [group.id]: e.target.value }))}
+                                placeholder="לדוגמה: אני רוצה שרוב התיק ילך למניות, קצת לקריפטו ו3 חודשי מחיה מזומן"
+                                className="flex-1 border border-slate-300 dark:border-slate-600 rounded-xl px-4 py-2.5 text-sm text-right focus:outline-none focus:ring-2 focus:ring-slate-200 focus:border-slate-500 bg-white dark:bg-slate-700 text-slate-900 dark:text-slate-100"
+                                onKeyDown={(e) => {
+                                  if (e.key === 'Enter' && !e.shiftKey) {
+                                    e.preventDefault();
+                                    handleAIDistribute(group.id);
+                                  }
+                                }}
+                              />
+                              <button
+                                onClick={() => handleAIDistribute(group.id)}
+                                disabled={groupAILoading[group.id] || !groupAIPrompts[group.id]?.trim()}
+                                className="bg-slate-700 dark:bg-slate-600 text-white px-5 py-2.5 rounded-xl hover:bg-slate-800 dark:hover:bg-slate-500 disabled:opacity-40 disabled:cursor-not-allowed transition-all flex items-center justify-center gap-2 text-sm font-medium whitespace-nowrap"
+                              >
+                                {groupAILoading[group.id] ? (
+                                  <>
+                                    <Loader2 size={16} className="animate-spin" />
+                                    מחשב...
+                                  </>
+                                ) : (
+                                  <>
+                                    <Sparkles size={16} />
+                                    חלק עם AI
+                                  </>
+                                )}
+                              </button>
+                            </div>
                           </div>
-                        </div>
+                        )}
 
-                        {/* Target Cards - Horizontal Scrollable */}
-                        {availableItems.length === 0 ? (
+                        {/* Target Cards - Horizontal Scrollable (hierarchy groups: nested target tree) */}
+                        {group.type === HIERARCHY_GROUP_TYPE ? (
+                          <TargetTreeEditor
+                            group={group}
+                            assets={assets}
+                            systemData={systemData}
+                            groupTypes={GROUP_TYPES}
+                            onChange={(tree) => handleTreeChange(group.id, tree)}
+                          />
+                        ) : availableItems.length === 0 ? (
                           <div className="text-center py-8 text-slate-400 dark:text-slate-500 text-sm">
                             אין פריטים זמינים עבור {groupConfig?.label}
                           </div>
@@ -1020,6 +1096,27 @@ ${currentTargets ? `**יעדים נוכחיים (אם קיימים):**\n${curren
                                       />
                                       <span className="text-xl font-bold text-slate-500 dark:text-slate-400">%</span>
                                     </div>
+                                    <div className="flex items-center gap-1.5 mt-3 text-xs text-slate-500 dark:text-slate-400" title="טווח סטייה לפריט - ריק = טווח הקבוצה">
+                                      <span>טווח ±</span>
+                                      <input
+                                        type="number"
+                                        min="0"
+                                        step="0.5"
+                                        value={group.itemBands?.[itemName]?.value ?? ''}
+                                        placeholder={String(getItemBand({ band: group.band }, itemName).value)}
+                                        onChange={(e) => handleItemBandChange(group.id, itemName, { value: e.target.value })}
+                                        className="w-14 border border-slate-200 dark:border-slate-600 rounded px-1.5 py-0.5 text-right bg-white dark:bg-slate-700 text-slate-900 dark:text-slate-100"
+                                      />
+                                      <select
+                                        value={getItemBand(group, itemName).mode}
+                                        onChange={(e) => handleItemBandChange(group.id, itemName, { mode: e.target.value })}
+                                        className="border border-slate-200 dark:border-slate-600 rounded px-1 py-0.5 bg-white dark:bg-slate-700 text-slate-900 dark:text-slate-100"
+                                      >
+                                        {Object.entries(DRIFT_BAND_MODES).map(([key, mode]) => (
+                                          <option key={key} value={key}>{mode.short}</option>
+                                        ))}
+                                      </select>
+                                    </div>
                                   </div>
                                 );
                               })}
@@ -1183,8 +1280,20 @@ ${currentTargets ? `**יעדים נוכחיים (אם קיימים):**\n${curren
                   {groups.map((group) => {
                     if (groups.length > 1 && activeGroupView !== group.id) return null;
 
+                    if (group.type === HIERARCHY_GROUP_TYPE) {
+                      return (
+                        <TargetTreeAnalysis
+                          key={group.id}
+                          group={group}
+                          assets={assets}
+                          formatValue={(value) => `${currencySymbol}${Math.round(value).toLocaleString()}`}
+                        />
+                      );
+                    }
+
                     const groupConfig = GROUP_TYPES[group.type];
                     const currentAlloc = calculateCurrentAllocation(group);
+                    const groupDrift = getGroupDrift(currentAlloc, group);
                     const availableItems = getAvailableItems(group.type);
                     const itemsWithData = availableItems.filter(item => {
                       const itemName = typeof item === 'string' ? item : item.name;
@@ -1209,6 +1318,7 @@ ${currentTargets ? `**יעדים נוכחיים (אם קיימים):**\n${curren
                               <th className="text-center py-3 px-4 text-sm font-bold text-slate-700 dark:text-slate-300 min-w-[200px]">הקצאה</th>
                               <th className="text-center py-3 px-4 text-sm font-bold text-slate-700 dark:text-slate-300 min-w-[80px]">נוכחי</th>
                               <th className="text-center py-3 px-4 text-sm font-bold text-slate-700 dark:text-slate-300 min-w-[80px]">יעד</th>
+                              <th className="text-center py-3 px-4 text-sm font-bold text-slate-700 dark:text-slate-300 min-w-[100px]">טווח</th>
                               <th className="text-center py-3 px-4 text-sm font-bold text-slate-700 dark:text-slate-300 min-w-[100px] hidden md:table-cell">הפרש</th>
                             </tr>
                           </thead>
@@ -1219,6 +1329,7 @@ ${currentTargets ? `**יעדים נוכחיים (אם קיימים):**\n${curren
                               const absDiff = Math.abs(diff);
                               const absDiffAmount = Math.abs(diffAmount);
                               const itemColor = getItemColor(group, itemName);
+                              const itemDrift = groupDrift.items.find(i => i.item === itemName);
 
                               // Determine status: diffAmount > 0 means need to add, < 0 means need to reduce
                               const isUnderweight = diffAmount > 0.01; // Need to add money
@@ -1302,7 +1413,7 @@ ${currentTargets ? `**יעדים נוכחיים (אם קיימים):**\n${curren
                                                 right: `${current}%`,
                                                 width: `${Math.min(target - current, 100 - current)}%`
                                               }}
-                                              title={showAmounts ? `צריך להוסיף: ₪${absDiffAmount.toLocaleString()}` : `צריך להוסיף: ${absDiff.toFixed(1)}%`}
+                                              title={showAmounts ? `צריך להוסיף: ${currencySymbol}${absDiffAmount.toLocaleString()}` : `צריך להוסיף: ${absDiff.toFixed(1)}%`}
                                             >
                                               <TrendingUp size={12} className="text-emerald-700" />
                                             </div>
@@ -1315,7 +1426,7 @@ ${currentTargets ? `**יעדים נוכחיים (אם קיימים):**\n${curren
                                                 right: `${target}%`,
                                                 width: `${Math.min(current - target, 100 - target)}%`
                                               }}
-                                              title={showAmounts ? `צריך להסיר: ₪${absDiffAmount.toLocaleString()}` : `צריך להסיר: ${absDiff.toFixed(1)}%`}
+                                              title={showAmounts ? `צריך להסיר: ${currencySymbol}${absDiffAmount.toLocaleString()}` : `צריך להסיר: ${absDiff.toFixed(1)}%`}
                                             >
                                               <TrendingDown size={12} className="text-red-700" />
                                             </div>
@@ -1351,8 +1462,8 @@ ${currentTargets ? `**יעדים נוכחיים (אם קיימים):**\n${curren
                                               <div className={`w-3 h-3 rounded-full border-2 border-dashed ${isUnderweight ? 'bg-emerald-400 dark:bg-emerald-500 border-emerald-600 dark:border-emerald-400' : 'bg-red-400 dark:bg-red-500 border-red-600 dark:border-red-400'
                                                 }`} />
                                               <span>{isUnderweight
-                                                ? (showAmounts ? `צריך להוסיף ₪${absDiffAmount.toLocaleString()}` : `צריך להוסיף ${absDiff.toFixed(1)}%`)
-                                                : (showAmounts ? `צריך להסיר ₪${absDiffAmount.toLocaleString()}` : `צריך להסיר ${absDiff.toFixed(1)}%`)
+                                                ? (showAmounts ? `צריך להוסיף ${currencySymbol}${absDiffAmount.toLocaleString()}` : `צריך להוסיף ${absDiff.toFixed(1)}%`)
+                                                : (showAmounts ? `צריך להסיר ${currencySymbol}${absDiffAmount.toLocaleString()}` : `צריך להסיר ${absDiff.toFixed(1)}%`)
                                               }</span>
                                             </div>
                                           )}
@@ -1376,6 +1487,20 @@ ${currentTargets ? `**יעדים נוכחיים (אם קיימים):**\n${curren
                                       <span className="text-xs text-slate-400 dark:text-slate-500">—</span>
                                     )}
                                   </td>
+                                  <td className="py-4 px-4 text-center">
+                                    {itemDrift && (
+                                      <div className="flex flex-col items-center gap-1">
+                                        <span className={`inline-flex items-center gap-1 px-2.5 py-0.5 rounded-full text-xs font-bold ${itemDrift.breached
+                                            ? 'bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-400'
+                                            : 'bg-emerald-50 dark:bg-emerald-900/20 text-emerald-700 dark:text-emerald-400'
+                                          }`}>
+                                          {itemDrift.breached ? <AlertCircle size={12} /> : <Check size={12} />}
+                                          {itemDrift.breached ? 'מחוץ לטווח' : 'בטווח'}
+                                        </span>
+                                        <span className="text-[10px] text-slate-500 dark:text-slate-400">{`±${itemDrift.limit.toFixed(1)} נק'`}</span>
+                                      </div>
+                                    )}
+                                  </td>
                                   <td className="py-4 px-4 text-center hidden md:table-cell">
                                     {absDiffAmount > 1 && target > 0 && (
                                       <span className={`inline-flex items-center gap-1 px-3 py-1 rounded-full text-xs font-bold ${isUnderweight
@@ -1387,12 +1512,12 @@ ${currentTargets ? `**יעדים נוכחיים (אם קיימים):**\n${curren
                                         {isUnderweight ? (
                                           <>
                                             <TrendingUp size={12} />
-                                            {showAmounts ? `הוסף ₪${absDiffAmount.toLocaleString()}` : `הוסף ${absDiff.toFixed(1)}%`}
+                                            {showAmounts ? `הוסף ${currencySymbol}${absDiffAmount.toLocaleString()}` : `הוסף ${absDiff.toFixed(1)}%`}
                                           </>
                                         ) : isOverweight ? (
                                           <>
                                             <TrendingDown size={12} />
-                                            {showAmounts ? `הסר ₪${absDiffAmount.toLocaleString()}` : `הסר ${absDiff.toFixed(1)}%`}
+                                            {showAmounts ? `הסר ${currencySymbol}${absDiffAmount.toLocaleString()}` : `הסר ${absDiff.toFixed(1)}%`}
                                           </>
                                         ) : (
                                           <span className="text-slate-500 dark:text-slate-400">מאוזן</span>
@@ -1453,9 +1578,37 @@ ${currentTargets ? `**יעדים נוכחיים (אם קיימים):**\n${curren
               )}
             </div>
           </section>
+
+          {user && groups.length > 0 && (
+            <DriftHistoryPanel history={driftHistory} groupTypes={GROUP_TYPES} />
+          )}
         </>
       )}
 
+      {activeTab === 'trades' && (
+        <TradeListPlanner
+          assets={assets}
+          groups={groups}
+          groupTypes={GROUP_TYPES}
+          user={user}
+          onSaved={(report) => {
+            setSelectedReport(report);
+            setActiveTab('reports');
+          }}
+        />
+      )}
+
+      {activeTab === 'models' && (
+        <ModelPortfolios
+          assets={assets}
+          groups={groups}
+          systemData={systemData}
+          groupTypes={GROUP_TYPES}
+          user={user}
+          onApply={handleApplyModel}
+        />
+      )}
+
       {activeTab === 'reports' && (
         <>
           {/* Create New AI Report Button - Top */}
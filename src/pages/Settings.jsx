@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { Settings as SettingsIcon, DollarSign, Moon, Sun, Palette, Rocket, GraduationCap, RefreshCw, TestTube, Clock, Bomb, TrendingUp, RotateCcw, Download, CheckCircle, Smartphone } from 'lucide-react';
+import { Settings as SettingsIcon, DollarSign, Moon, Sun, Palette, Rocket, GraduationCap, RefreshCw, TestTube, Clock, Bomb, TrendingUp, RotateCcw, Download, CheckCircle, Smartphone, Layers, DatabaseBackup, Link2 } from 'lucide-react';
 import { confirmAlert, successToast } from '../utils/alerts';
 import { useDarkMode } from '../hooks/useDarkMode';
 import { useDemoData } from '../contexts/DemoDataContext';
@@ -8,6 +8,10 @@ import { useAdmin } from '../hooks/useAdmin';
 import { useSettings } from '../hooks/useSettings';
 import DataRepair from '../components/DataRepair';
 import AssetCostReset from '../components/AssetCostReset';
+import BackupRestore from '../components/BackupRestore';
+import ExchangeConnections from '../components/ExchangeConnections';
+import { COST_BASIS_METHODS, DEFAULT_COST_BASIS_METHOD } from '../utils/lotMatching';
+import { SUPPORTED_CURRENCIES, DEFAULT_REPORTING_CURRENCY } from '../services/currency';
 
 
 const Settings = ({ systemData, setSystemData, currencyRate, user, onResetData, onRefreshCurrency, onResetOnboarding, onStartCoachmarks, assets, onUpdateAsset, assetsLoading, pricesLoading, onRefreshPrices }) => {
@@ -130,6 +134,24 @@ const Settings = ({ systemData, setSystemData, currencyRate, user, onResetData,
         >
           שחזור עלויות
         </button>
+        <button
+          onClick={() => setActiveSection('backup')}
+          className={`px-4 py-2 text-sm font-medium transition-colors border-b-2 whitespace-nowrap ${activeSection === 'backup'
+            ? 'border-emerald-600 dark:border-emerald-400 text-emerald-600 dark:text-emerald-400'
+            : 'border-transparent text-slate-500 dark:text-slate-400 hover:text-slate-700 dark:hover:text-slate-300'
+            }`}
+        >
+          גיבוי ושחזור
+        </button>
+        <button
+          onClick={() => setActiveSection('exchanges')}
+          className={`px-4 py-2 text-sm font-medium transition-colors border-b-2 whitespace-nowrap ${activeSection === 'exchanges'
+            ? 'border-emerald-600 dark:border-emerald-400 text-emerald-600 dark:text-emerald-400'
+            : 'border-transparent text-slate-500 dark:text-slate-400 hover:text-slate-700 dark:hover:text-slate-300'
+            }`}
+        >
+          חיבורי בורסות
+        </button>
         <button
           onClick={() => setActiveSection('demo')}
           className={`px-4 py-2 text-sm font-medium transition-colors border-b-2 whitespace-nowrap ${activeSection === 'demo'
@@ -218,6 +240,72 @@ const Settings = ({ systemData, setSystemData, currencyRate, user, onResetData,
             </div>
           </div>
 
+          <div className="bg-white dark:bg-slate-800 rounded-lg border border-slate-200 dark:border-slate-700 overflow-hidden">
+            <div className="px-5 py-3 border-b border-slate-100 dark:border-slate-700 bg-slate-50/50 dark:bg-slate-900/50">
+              <div className="flex items-center gap-2.5">
+                <Layers className="text-emerald-600 dark:text-emerald-400" size={18} />
+                <h3 className="text-base font-semibold text-slate-700 dark:text-slate-100">חישוב רווח ממומש</h3>
+              </div>
+            </div>
+            <div className="p-4 space-y-3">
+              <p className="text-xs text-slate-500 dark:text-slate-300">
+                שיטת התאמת המנות במכירה. ניתן לדרוס את השיטה לכל נכס בלשונית התנועות שלו. השינוי ייכנס לתוקף לאחר רענון הדף.
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+                {Object.entries(COST_BASIS_METHODS).map(([key, { label, description }]) => {
+                  const isSelected = (settings.costBasisMethod || DEFAULT_COST_BASIS_METHOD) === key;
+                  return (
+                    <button
+                      key={key}
+                      onClick={() => updateSettings({ costBasisMethod: key })}
+                      disabled={settingsLoading}
+                      className={`text-right p-3 rounded-lg border-2 transition-all ${isSelected
+                        ? 'border-emerald-600 dark:border-emerald-500 bg-emerald-50 dark:bg-emerald-900/20'
+                        : 'border-slate-200 dark:border-slate-600 hover:border-emerald-400 dark:hover:border-emerald-500'
+                        }`}
+                    >
+                      <p className="text-sm font-medium text-slate-700 dark:text-slate-100">{label}</p>
+                      <p className="text-xs text-slate-500 dark:text-slate-300 mt-0.5">{description}</p>
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          </div>
+
+          <div className="bg-white dark:bg-slate-800 rounded-lg border border-slate-200 dark:border-slate-700 overflow-hidden">
+            <div className="px-5 py-3 border-b border-slate-100 dark:border-slate-700 bg-slate-50/50 dark:bg-slate-900/50">
+              <div className="flex items-center gap-2.5">
+                <DollarSign className="text-emerald-600 dark:text-emerald-400" size={18} />
+                <h3 className="text-base font-semibold text-slate-700 dark:text-slate-100">מטבע דיווח</h3>
+              </div>
+            </div>
+            <div className="p-4 space-y-3">
+              <p className="text-xs text-slate-500 dark:text-slate-300">
+                המטבע שבו מוצגים שווי התיק, הרווח וההפסד, הגרפים וסכומי האיזון. כל נכס ממשיך להציג גם את ערכו במטבע שלו.
+              </p>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                {SUPPORTED_CURRENCIES.map(({ code, symbol, label }) => {
+                  const isSelected = (settings.reportingCurrency || DEFAULT_REPORTING_CURRENCY) === code;
+                  return (
+                    <button
+                      key={code}
+                      onClick={() => updateSettings({ reportingCurrency: code })}
+                      disabled={settingsLoading}
+                      className={`text-right p-3 rounded-lg border-2 transition-all ${isSelected
+                        ? 'border-emerald-600 dark:border-emerald-500 bg-emerald-50 dark:bg-emerald-900/20'
+                        : 'border-slate-200 dark:border-slate-600 hover:border-emerald-400 dark:hover:border-emerald-500'
+                        }`}
+                    >
+                      <p className="text-sm font-medium text-slate-700 dark:text-slate-100">{symbol} {code}</p>
+                      <p className="text-xs text-slate-500 dark:text-slate-300 mt-0.5">{label}</p>
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          </div>
+
           {/* Reset Database Button (Admin only) or Demo Mode Button (Regular users) */}
           {isAdmin && onResetData && (
             <div className="bg-white dark:bg-slate-800 rounded-lg border border-slate-200 dark:border-slate-700 overflow-hidden">
@@ -364,6 +452,46 @@ const Settings = ({ systemData, setSystemData, currencyRate, user, onResetData,
         </div>
       )}
 
+      {/* Backup & Restore Section */}
+      {activeSection === 'backup' && (
+        <div className="space-y-4">
+          <div className="bg-white dark:bg-slate-800 rounded-lg border border-slate-200 dark:border-slate-700 overflow-hidden">
+            <div className="px-5 py-3 border-b border-slate-100 dark:border-slate-700 bg-slate-50/50 dark:bg-slate-900/50">
+              <div className="flex items-center gap-2.5">
+                <DatabaseBackup size={18} className="text-emerald-600 dark:text-emerald-400" />
+                <h3 className="text-base font-semibold text-slate-700 dark:text-slate-100">גיבוי ושחזור</h3>
+              </div>
+              <p className="text-sm text-slate-500 dark:text-slate-300 mt-1">
+                ייצוא כל נתוני החשבון לקובץ JSON ושחזור ממנו - לאותו חשבון או לחשבון / פרויקט Firebase אחר
+              </p>
+            </div>
+            <div className="p-6">
+              <BackupRestore user={user} />
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Exchange Connections Section */}
+      {activeSection === 'exchanges' && (
+        <div className="space-y-4">
+          <div className="bg-white dark:bg-slate-800 rounded-lg border border-slate-200 dark:border-slate-700 overflow-hidden">
+            <div className="px-5 py-3 border-b border-slate-100 dark:border-slate-700 bg-slate-50/50 dark:bg-slate-900/50">
+              <div className="flex items-center gap-2.5">
+                <Link2 size={18} className="text-emerald-600 dark:text-emerald-400" />
+                <h3 className="text-base font-semibold text-slate-700 dark:text-slate-100">חיבורי בורסות</h3>
+              </div>
+              <p className="text-sm text-slate-500 dark:text-slate-300 mt-1">
+                סנכרון יתרות ספוט, Earn וסטייקינג מ-Binance ו-Bybit לנכסי קריפטו בתיק
+              </p>
+            </div>
+            <div className="p-6">
+              <ExchangeConnections user={user} platforms={systemData?.platforms || []} />
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Demo Mode Section */}
       {activeSection === 'demo' && (
         <div className="space-y-4">
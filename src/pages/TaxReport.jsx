@@ -0,0 +1,305 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Receipt, Download, FileText, Loader2, TrendingUp, TrendingDown, AlertCircle, Landmark, ArrowDownRight } from 'lucide-react';
+import SummaryCard from '../components/SummaryCard';
+import { useSettings } from '../hooks/useSettings';
+import { getCpiSeries } from '../services/backendApi';
+import { fetchHistoricalRates } from '../services/currency';
+import { ISRAELI_CGT_RATE, buildTaxDisposals, summarizeTaxYears, getTaxYearSummary } from '../utils/capitalGainsTax';
+import { DEFAULT_COST_BASIS_METHOD } from '../utils/lotMatching';
+import { downloadCsv, printReport } from '../utils/exportFile';
+import { errorAlert } from '../utils/alerts';
+
+const formatCurrency = (value, currency = 'ILS') => {
+  if (typeof value !== 'number' || isNaN(value)) return '—';
+  return new Intl.NumberFormat('he-IL', {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 2,
+  }).format(value);
+};
+
+const round = (value, digits = 2) => (typeof value === 'number' && isFinite(value) ? Number(value.toFixed(digits)) : '');
+
+const DISPOSAL_COLUMNS = [
+  { key: 'name', label: 'נכס' },
+  { key: 'symbol', label: 'סימול' },
+  { key: 'currency', label: 'מטבע' },
+  { key: 'quantity', label: 'כמות' },
+  { key: 'buyDate', label: 'תאריך רכישה' },
+  { key: 'sellDate', label: 'תאריך מכירה' },
+  { key: 'cost', label: 'עלות (מטבע הנכס)' },
+  { key: 'proceeds', label: 'תמורה (מטבע הנכס)' },
+  { key: 'fxBuy', label: 'שער ביום הרכישה' },
+  { key: 'fxSell', label: 'שער ביום המכירה' },
+  { key: 'cpiBuy', label: 'מדד ידוע ברכישה' },
+  { key: 'cpiSell', label: 'מדד ידוע במכירה' },
+  { key: 'costIls', label: 'עלות (₪)' },
+  { key: 'proceedsIls', label: 'תמורה (₪)' },
+  { key: 'nominalGain', label: 'רווח נומינלי (₪)' },
+  { key: 'inflationAmount', label: 'סכום אינפלציוני (₪)' },
+  { key: 'realGain', label: 'רווח ריאלי / הפסד (₪)' },
+];
+
+const SUMMARY_COLUMNS = [
+  { key: 'year', label: 'שנת מס' },
+  { key: 'gains', label: 'רווחים (₪)' },
+  { key: 'losses', label: 'הפסדים (₪)' },
+  { key: 'carryIn', label: 'הפסד מועבר משנים קודמות (₪)' },
+  { key: 'lossOffset', label: 'קיזוז הפסד מועבר (₪)' },
+  { key: 'taxable', label: 'רווח חייב במס (₪)' },
+  { key: 'tax', label: `מס (${ISRAELI_CGT_RATE * 100}%) (₪)` },
+  { key: 'carryOut', label: 'הפסד להעברה (₪)' },
+];
+
+const DISCLAIMER = 'הדוח מחושב מיומן התנועות לצורך עזר בלבד ואינו מהווה ייעוץ מס. נכסים ללא יומן תנועות אינם נכללים.\n'
+  + 'נכסים שקליים: רווח ריאלי לפי המדד הידוע ביום הרכישה והמכירה. נכסים במט"ח: רווח נומינלי בשקלים לפי שער הדולר ביום הרכישה והמכירה.';
+
+const toExportRow = (row) => ({
+  ...row,
+  quantity: round(row.quantity, 6),
+  cost: round(row.cost),
+  proceeds: round(row.proceeds),
+  fxBuy: round(row.fxBuy, 4),
+  fxSell: round(row.fxSell, 4),
+  cpiBuy: round(row.cpiBuy, 3),
+  cpiSell: round(row.cpiSell, 3),
+  costIls: round(row.costIls),
+  proceedsIls: round(row.proceedsIls),
+  nominalGain: round(row.nominalGain),
+  inflationAmount: round(row.inflationAmount),
+  realGain: row.realGain === null ? 'חסר שער' : round(row.realGain),
+});
+
+const TaxReport = ({ assets, user }) => {
+  const { settings } = useSettings(user);
+  const [rates, setRates] = useState({ fx: [], cpi: [] });
+  const [ratesLoading, setRatesLoading] = useState(true);
+  const [year, setYear] = useState(new Date().getFullYear());
+
+  const ledgerAssets = useMemo(() => assets.filter(a => a.transactions?.length), [assets]);
+
+  // Earliest buy month (minus a quarter for the known-index lag) bounds the CPI request
+  const firstMonth = useMemo(() => {
+    const dates = ledgerAssets.flatMap(a => a.transactions.map(tx => tx.date)).filter(Boolean).sort();
+    if (!dates.length) return null;
+    const first = new Date(`${dates[0]}T00:00:00`);
+    first.setMonth(first.getMonth() - 3);
+    return `${first.getFullYear()}-${String(first.getMonth() + 1).padStart(2, '0')}`;
+  }, [ledgerAssets]);
+
+  useEffect(() => {
+    if (!firstMonth) {
+      setRatesLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+    setRatesLoading(true);
+    Promise.all([fetchHistoricalRates(`${firstMonth}-01`), getCpiSeries(firstMonth)])
+      .then(([fx, cpi]) => {
+        if (cancelled) return;
+        setRates({ fx, cpi: cpi || [] });
+      })
+      .catch(error => console.error('[TaxReport] Error loading rates:', error))
+      .finally(() => {
+        if (!cancelled) setRatesLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [firstMonth]);
+
+  const disposals = useMemo(
+    () => buildTaxDisposals(ledgerAssets, rates, settings.costBasisMethod || DEFAULT_COST_BASIS_METHOD),
+    [ledgerAssets, rates, settings.costBasisMethod]
+  );
+  const taxYears = useMemo(() => summarizeTaxYears(disposals), [disposals]);
+
+  const years = useMemo(() => {
+    const list = new Set(taxYears.map(y => y.year));
+    list.add(new Date().getFullYear());
+    return [...list].sort((a, b) => b - a);
+  }, [taxYears]);
+
+  const summary = getTaxYearSummary(taxYears, year);
+
+  const yearRows = useMemo(() => disposals.filter(r => r.sellDate.startsWith(String(year))), [disposals, year]);
+
+  const exportSections = () => [
+    {
+      heading: 'סיכום שנתי',
+      columns: SUMMARY_COLUMNS,
+      rows: [Object.fromEntries(SUMMARY_COLUMNS.map(c => [c.key, c.key === 'year' ? summary.year : round(summary[c.key])]))],
+    },
+    { heading: 'פירוט מכירות', columns: DISPOSAL_COLUMNS, rows: yearRows.map(toExportRow) },
+  ];
+
+  const handleExportCsv = () => {
+    downloadCsv(`tax-report-${year}.csv`, exportSections());
+  };
+
+  const handlePrint = () => {
+    const opened = printReport(`דוח רווחי הון לשנת המס ${year}`, exportSections(), DISCLAIMER);
+    if (!opened) errorAlert('החלון נחסם', 'יש לאפשר חלונות קופצים כדי להפיק PDF');
+  };
+
+  if (!user) {
+    return (
+      <div className="max-w-7xl mx-auto p-6 text-center text-slate-500 dark:text-slate-400" dir="rtl">
+        דוח המס אינו זמין במצב דמו
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto space-y-6 pb-8 md:pb-12" dir="rtl">
+      {/* Header */}
+      <header className="flex flex-col mr-12 md:mr-0 md:flex-row md:items-center md:justify-between gap-4 pb-6 border-b border-slate-200 dark:border-slate-700">
+        <div className="flex items-center gap-3">
+          <div className="w-12 h-12 rounded-2xl bg-gradient-to-br from-sky-500 to-indigo-600 flex items-center justify-center shadow-lg">
+            <Receipt className="text-white" size={24} />
+          </div>
+          <div>
+            <h2 className="text-2xl md:text-3xl font-bold text-slate-900 dark:text-white">דוח מס רווחי הון</h2>
+            <p className="text-slate-500 dark:text-slate-400 text-sm mt-1">רווחים והפסדים ממומשים לשנת המס, מס {ISRAELI_CGT_RATE * 100}% וקיזוז הפסדים מועברים</p>
+          </div>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={year}
+            onChange={e => setYear(Number(e.target.value))}
+            className="p-2 rounded-lg border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 text-slate-900 dark:text-white text-sm"
+          >
+            {years.map(y => <option key={y} value={y}>{y}</option>)}
+          </select>
+          <button
+            onClick={handleExportCsv}
+            disabled={yearRows.length === 0}
+            className="flex items-center gap-2 px-4 py-2 text-sm font-medium bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Download size={16} />
+            CSV
+          </button>
+          <button
+            onClick={handlePrint}
+            disabled={yearRows.length === 0}
+            className="flex items-center gap-2 px-4 py-2 text-sm font-medium bg-slate-700 hover:bg-slate-800 text-white rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <FileText size={16} />
+            PDF
+          </button>
+        </div>
+      </header>
+
+      {/* KPI Cards */}
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-1.5 md:gap-4">
+        <SummaryCard
+          title="רווחים ממומשים (ריאלי)"
+          value={formatCurrency(summary.gains)}
+          icon={TrendingUp}
+          iconBgColor="bg-emerald-500/10"
+          loading={ratesLoading}
+        />
+        <SummaryCard
+          title="הפסדים ממומשים"
+          value={formatCurrency(summary.losses)}
+          icon={TrendingDown}
+          iconBgColor="bg-red-500/10"
+          loading={ratesLoading}
+        />
+        <SummaryCard
+          title="הפסד מועבר משנים קודמות"
+          value={formatCurrency(summary.carryIn)}
+          subtitle={summary.lossOffset > 0 ? `קוזז השנה: ${formatCurrency(summary.lossOffset)}` : null}
+          icon={ArrowDownRight}
+          iconBgColor="bg-amber-500/10"
+          loading={ratesLoading}
+        />
+        <SummaryCard
+          title={`מס לתשלום (${ISRAELI_CGT_RATE * 100}%)`}
+          value={formatCurrency(summary.tax)}
+          subtitle={`רווח חייב: ${formatCurrency(summary.taxable)}`}
+          icon={Landmark}
+          iconBgColor="bg-indigo-500/10"
+          loading={ratesLoading}
+        />
+        <SummaryCard
+          title="הפסד להעברה לשנה הבאה"
+          value={formatCurrency(summary.carryOut)}
+          icon={Receipt}
+          iconBgColor="bg-slate-500/10"
+          loading={ratesLoading}
+        />
+      </div>
+
+      {summary.incomplete > 0 && !ratesLoading && (
+        <div className="flex items-start gap-3 p-4 rounded-xl bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 text-sm text-amber-800 dark:text-amber-200">
+          <AlertCircle size={18} className="flex-shrink-0 mt-0.5" />
+          <span>
+            {summary.incomplete} מכירות לא נכללו בסיכום - חסר שער חליפין היסטורי (נתמך רק דולר/שקל).
+          </span>
+        </div>
+      )}
+
+      {/* Disposals */}
+      <div className="bg-white dark:bg-slate-800 rounded-2xl shadow-sm border border-slate-200 dark:border-slate-700 p-4 md:p-6">
+        <h3 className="text-lg font-bold text-slate-800 dark:text-white mb-1">פירוט מכירות - {year}</h3>
+        <p className="text-xs text-slate-500 dark:text-slate-400 mb-4">
+          כל שורה היא מנה שנמכרה (לפי שיטת התאמת המנות של הנכס). נכסים ללא יומן תנועות אינם נכללים.
+        </p>
+        {ratesLoading ? (
+          <div className="py-8 text-center">
+            <Loader2 size={20} className="animate-spin inline text-slate-400" />
+          </div>
+        ) : yearRows.length === 0 ? (
+          <p className="py-8 text-center text-sm text-slate-500 dark:text-slate-400">לא נרשמו מכירות בשנת המס {year}</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-xs text-slate-500 dark:text-slate-400 border-b border-slate-200 dark:border-slate-700">
+                  <th className="text-right py-2 font-medium">נכס</th>
+                  <th className="text-right py-2 font-medium">רכישה</th>
+                  <th className="text-right py-2 font-medium">מכירה</th>
+                  <th className="text-right py-2 font-medium">כמות</th>
+                  <th className="text-right py-2 font-medium">עלות (₪)</th>
+                  <th className="text-right py-2 font-medium">תמורה (₪)</th>
+                  <th className="text-right py-2 font-medium">נומינלי</th>
+                  <th className="text-right py-2 font-medium">אינפלציוני</th>
+                  <th className="text-right py-2 font-medium">ריאלי / הפסד</th>
+                </tr>
+              </thead>
+              <tbody>
+                {yearRows.map((row, index) => (
+                  <tr key={`${row.assetId}-${row.buyDate}-${row.sellDate}-${index}`} className="border-b border-slate-100 dark:border-slate-700/50 last:border-0">
+                    <td className="py-2 text-slate-700 dark:text-slate-200">
+                      {row.name}
+                      {row.currency !== 'ILS' && <span className="text-xs text-slate-400 mr-1">({row.currency})</span>}
+                    </td>
+                    <td className="py-2 text-slate-600 dark:text-slate-300 whitespace-nowrap">{row.buyDate}</td>
+                    <td className="py-2 text-slate-600 dark:text-slate-300 whitespace-nowrap">{row.sellDate}</td>
+                    <td className="py-2 text-slate-600 dark:text-slate-300">{row.quantity.toLocaleString('he-IL', { maximumFractionDigits: 6 })}</td>
+                    <td className="py-2 text-slate-700 dark:text-slate-200">{formatCurrency(row.costIls)}</td>
+                    <td className="py-2 text-slate-700 dark:text-slate-200">{formatCurrency(row.proceedsIls)}</td>
+                    <td className="py-2 text-slate-700 dark:text-slate-200">{formatCurrency(row.nominalGain)}</td>
+                    <td className="py-2 text-slate-500 dark:text-slate-400">{row.currency === 'ILS' ? formatCurrency(row.inflationAmount) : '—'}</td>
+                    <td className={`py-2 font-semibold ${row.realGain === null ? 'text-amber-600 dark:text-amber-400' : row.realGain < 0 ? 'text-red-600 dark:text-red-400' : 'text-emerald-600 dark:text-emerald-400'}`}>
+                      {row.realGain === null ? 'חסר שער' : formatCurrency(row.realGain)}
+                      {row.missing.includes('cpi') && <span className="block text-[10px] font-normal text-amber-600 dark:text-amber-400">ללא תיאום מדד</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <p className="text-xs text-slate-500 dark:text-slate-400 whitespace-pre-line">{DISCLAIMER}</p>
+    </div>
+  );
+};
+
+export default TaxReport;
@@ -1,13 +1,30 @@
-import { DollarSign, Package, Building2 } from 'lucide-react';
+import { DollarSign, Package, Building2, TrendingUp, CheckCircle } from 'lucide-react';
+import { useReportingCurrency } from '../../../contexts/reportingCurrency';
+import { getCurrencySymbol } from '../../../services/currency';
 
 const AssetKPIs = ({ assets }) => {
+    const symbol = getCurrencySymbol(useReportingCurrency());
+
     // Calculate KPIs from assets
     const totalValue = assets.reduce((sum, asset) => sum + (asset.value || 0), 0);
     const totalAssets = assets.length;
     const numOfPlatforms = new Set(assets.map(asset => asset.platform).filter(Boolean)).size;
 
+    // Realized P/L comes from closed lots in the ledger; unrealized is the rest of profitLoss
+    const realizedPL = assets.reduce((sum, asset) => sum + (asset.realizedProfitLoss || 0), 0);
+    const totalPL = assets.reduce((sum, asset) => sum + (asset.profitLoss || 0), 0);
+    const unrealizedPL = totalPL - realizedPL;
+
+    const plColor = (amount) => amount > 0
+        ? 'text-green-600 dark:text-green-400'
+        : amount < 0
+            ? 'text-red-600 dark:text-red-400'
+            : 'text-slate-900 dark:text-white';
+
+    const formatPL = (amount) => `${amount > 0 ? '+' : amount < 0 ? '-' : ''}${symbol} ${Math.abs(Math.round(amount)).toLocaleString()}`;
+
     return (
-        <div className="grid grid-cols-3 gap-2 md:gap-4">
+        <div className="grid grid-cols-3 md:grid-cols-5 gap-2 md:gap-4">
             {/* Total Value */}
             <div className="bg-white dark:bg-slate-800 rounded-lg md:rounded-xl p-2 md:p-4 border border-slate-200 dark:border-slate-700 shadow-sm">
                 <div className="flex items-center gap-1.5 md:gap-3">
@@ -17,7 +34,7 @@ const AssetKPIs = ({ assets }) => {
                     <div className="flex-1 min-w-0">
                         <p className="text-[10px] md:text-xs font-medium text-slate-500 dark:text-slate-400">שווי כולל</p>
                         <p className="text-sm md:text-xl font-bold text-slate-900 dark:text-white " dir="ltr">
-                            ₪ {Math.round(totalValue).toLocaleString()}
+                            {symbol} {Math.round(totalValue).toLocaleString()}
                         </p>
                     </div>
                 </div>
@@ -52,6 +69,36 @@ const AssetKPIs = ({ assets }) => {
                     </div>
                 </div>
             </div>
+
+            {/* Unrealized P/L */}
+            <div className="bg-white dark:bg-slate-800 rounded-lg md:rounded-xl p-2 md:p-4 border border-slate-200 dark:border-slate-700 shadow-sm">
+                <div className="flex items-center gap-1.5 md:gap-3">
+                    <div className="p-1.5 hidden md:block md:p-2.5 rounded-md md:rounded-lg bg-amber-50 dark:bg-amber-900/20 flex-shrink-0">
+                        <TrendingUp size={20} className="hidden md:block text-amber-600 dark:text-amber-400" />
+                    </div>
+                    <div className="flex-1 min-w-0">
+                        <p className="text-[10px] md:text-xs font-medium text-slate-500 dark:text-slate-400">רווח לא ממומש</p>
+                        <p className={`text-sm md:text-xl font-bold ${plColor(unrealizedPL)}`} dir="ltr">
+                            {formatPL(unrealizedPL)}
+                        </p>
+                    </div>
+                </div>
+            </div>
+
+            {/* Realized P/L */}
+            <div className="bg-white dark:bg-slate-800 rounded-lg md:rounded-xl p-2 md:p-4 border border-slate-200 dark:border-slate-700 shadow-sm">
+                <div className="flex items-center gap-1.5 md:gap-3">
+                    <div className="p-1.5 hidden md:block md:p-2.5 rounded-md md:rounded-lg bg-teal-50 dark:bg-teal-900/20 flex-shrink-0">
+                        <CheckCircle size={20} className="hidden md:block text-teal-600 dark:text-teal-400" />
+                    </div>
+                    <div className="flex-1 min-w-0">
+                        <p className="text-[10px] md:text-xs font-medium text-slate-500 dark:text-slate-400">רווח ממומש</p>
+                        <p className={`text-sm md:text-xl font-bold ${plColor(realizedPL)}`} dir="ltr">
+                            {formatPL(realizedPL)}
+                        </p>
+                    </div>
+                </div>
+            </div>
         </div>
     );
 };
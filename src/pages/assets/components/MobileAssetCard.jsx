@@ -1,4 +1,9 @@
+import { useReportingCurrency } from '../../../contexts/reportingCurrency';
+import { getCurrencySymbol } from '../../../services/currency';
+
 const MobileAssetCard = ({ asset, onClick }) => {
+    const symbol = getCurrencySymbol(useReportingCurrency());
+
     return (
         <div
             onClick={() => onClick(asset)}
@@ -12,7 +17,7 @@ const MobileAssetCard = ({ asset, onClick }) => {
             </div>
             <div className="text-left">
                 <div className="font-bold text-sm text-slate-900 dark:text-white" dir="ltr">
-                    ₪{Math.round(asset.value).toLocaleString()}
+                    {symbol}{Math.round(asset.value).toLocaleString()}
                 </div>
                 <div className="text-xs mt-0.5 flex justify-end gap-1">
                     {asset.profitLoss !== null && asset.profitLoss !== undefined ? (
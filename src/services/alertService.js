@@ -0,0 +1,367 @@
+import {
+  collection, addDoc, updateDoc, deleteDoc, setDoc, doc, getDoc, getDocs,
+  onSnapshot, query, orderBy, limit, writeBatch,
+} from 'firebase/firestore';
+import { db, appId } from './firebase';
+import { getFxMatrix } from './currency';
+import { callAlertsPush } from './backendApi';
+import { checkAlertRules } from '../utils/alertRules';
+
+/**
+ * Service for price and portfolio alerts.
+ *
+ * Paths:
+ *   artifacts/{appId}/users/{uid}/alertRules/{ruleId}
+ *   artifacts/{appId}/users/{uid}/alertHistory/{alertId}
+ *   artifacts/{appId}/users/{uid}/pushSubscriptions/{subscriptionId}
+ *
+ * Rules are checked after every price refresh in useAssets (runAlertChecks) and by the
+ * scheduled /api/cron/refresh job; evaluation lives in utils/alertRules. A triggered rule
+ * writes an alertHistory entry - shown in the app - and /api/alerts-push sends the pending
+ * entries as Web Push to every subscribed device.
+ *
+ * Rule shape:
+ * {
+ *   type: 'price' | 'change' | 'portfolio' | 'drift',
+ *   assetId: string | null,                // price / change
+ *   direction: 'above' | 'below',          // drift ignores it (either way)
+ *   threshold: number,                     // price: asset currency, change / drift: %, portfolio: `currency`
+ *   currency: string | null,               // portfolio
+ *   groupType: string | null,              // drift - an allocation group of the rebalancing page
+ *   enabled: boolean,
+ *   active: boolean,                       // condition met at the last check (re-armed when false)
+ *   lastTriggeredAt: Date | null,
+ *   createdAt: Date
+ * }
+ *
+ * History entry: { ruleId, type, title, body, value, source: 'app' | 'cron', triggeredAt, read, pushed }
+ */
+
+// ==================== CONSTANTS ====================
+
+export const ALERT_TYPES = {
+  price: { label: 'מחיר נכס', color: '#3b82f6' },
+  change: { label: 'שינוי יומי', color: '#f59e0b' },
+  portfolio: { label: 'שווי התיק', color: '#10b981' },
+  drift: { label: 'סטייה מהקצאת היעד', color: '#8b5cf6' },
+};
+
+/** Allocation groups a drift rule can watch (the group types of the rebalancing page) */
+export const ALERT_GROUP_TYPES = {
+  category: 'אפיקי השקעה',
+  subcategory: 'קטגוריות חלוקה',
+  platform: 'חשבונות וארנקים',
+  instrument: 'מטבעות בסיס',
+  symbol: 'סמל',
+  tags: 'תגיות',
+  currency: 'מטבע',
+};
+
+const HISTORY_LIMIT = 100;
+const VAPID_PUBLIC_KEY = import.meta.env.VITE_VAPID_PUBLIC_KEY || '';
+
+const userCollection = (user, name) =>
+  collection(db, 'artifacts', appId, 'users', user.uid, name);
+
+// ==================== RULES ====================
+
+/**
+ * Subscribe to all alert rules (real-time), newest first
+ * @param {Object} user - Firebase user object
+ * @param {Function} callback - Receives the rule array
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToAlertRules = (user, callback) => {
+  if (!user || !db) return () => { };
+
+  return onSnapshot(userCollection(user, 'alertRules'), (snapshot) => {
+    const items = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+    items.sort((a, b) => (b.createdAt?.seconds || 0) - (a.createdAt?.seconds || 0));
+    callback(items);
+  }, (error) => {
+    console.error('[alertService] Rules snapshot error:', error);
+    callback([]);
+  });
+};
+
+/**
+ * Normalize form values: known enum values, numbers, only the fields the type uses
+ * @param {Object} rule - Raw form values
+ * @returns {Object} Rule ready to store
+ */
+export const normalizeAlertRule = (rule) => {
+  const type = ALERT_TYPES[rule.type] ? rule.type : 'price';
+  return {
+    type,
+    assetId: type === 'price' || type === 'change' ? rule.assetId || null : null,
+    direction: rule.direction === 'below' ? 'below' : 'above',
+    threshold: type === 'price' || type === 'portfolio'
+      ? Number(rule.threshold) || 0
+      : Math.abs(Number(rule.threshold) || 0),
+    currency: type === 'portfolio' ? rule.currency || 'ILS' : null,
+    groupType: type === 'drift' ? (ALERT_GROUP_TYPES[rule.groupType] ? rule.groupType : 'category') : null,
+    enabled: rule.enabled !== false,
+  };
+};
+
+/**
+ * Add or update a rule. An edited rule is re-armed, so it fires again if its new condition is already met.
+ * @param {Object} user - Firebase user object
+ * @param {Object} rule - Rule (with `id` to update)
+ * @returns {Promise<string>} Rule ID
+ */
+export const saveAlertRule = async (user, rule) => {
+  if (!user || !db) throw new Error('User or database not available');
+  const payload = { ...normalizeAlertRule(rule), active: false, updatedAt: new Date() };
+  if ((payload.type === 'price' || payload.type === 'change') && !payload.assetId) {
+    throw new Error('Price and change alerts require an asset');
+  }
+
+  if (rule.id) {
+    await updateDoc(doc(userCollection(user, 'alertRules'), rule.id), payload);
+    return rule.id;
+  }
+  const docRef = await addDoc(userCollection(user, 'alertRules'), {
+    ...payload,
+    lastTriggeredAt: null,
+    createdAt: new Date(),
+  });
+  return docRef.id;
+};
+
+/**
+ * Pause or resume a rule
+ * @param {Object} user - Firebase user object
+ * @param {string} ruleId
+ * @param {boolean} enabled
+ */
+export const setAlertRuleEnabled = async (user, ruleId, enabled) => {
+  if (!user || !db) throw new Error('User or database not available');
+  await updateDoc(doc(userCollection(user, 'alertRules'), ruleId), { enabled, active: false });
+};
+
+/**
+ * Delete a rule (its history entries are kept)
+ * @param {Object} user - Firebase user object
+ * @param {string} ruleId
+ */
+export const deleteAlertRule = async (user, ruleId) => {
+  if (!user || !db) return;
+  await deleteDoc(doc(userCollection(user, 'alertRules'), ruleId));
+};
+
+// ==================== HISTORY ====================
+
+/**
+ * Subscribe to the latest triggered alerts (real-time), newest first
+ * @param {Object} user - Firebase user object
+ * @param {Function} callback - Receives the entry array
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToAlertHistory = (user, callback) => {
+  if (!user || !db) return () => { };
+
+  const q = query(userCollection(user, 'alertHistory'), orderBy('triggeredAt', 'desc'), limit(HISTORY_LIMIT));
+  return onSnapshot(q, (snapshot) => {
+    callback(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+  }, (error) => {
+    console.error('[alertService] History snapshot error:', error);
+    callback([]);
+  });
+};
+
+/**
+ * Mark history entries as read
+ * @param {Object} user - Firebase user object
+ * @param {Array<string>} alertIds
+ */
+export const markAlertsRead = async (user, alertIds) => {
+  if (!user || !db || alertIds.length === 0) return;
+  const batch = writeBatch(db);
+  alertIds.forEach(id => batch.update(doc(userCollection(user, 'alertHistory'), id), { read: true }));
+  await batch.commit();
+};
+
+/**
+ * Delete the whole alert history
+ * @param {Object} user - Firebase user object
+ */
+export const clearAlertHistory = async (user) => {
+  if (!user || !db) return;
+  const snapshot = await getDocs(userCollection(user, 'alertHistory'));
+  if (snapshot.empty) return;
+
+  let batch = writeBatch(db);
+  let ops = 0;
+  for (const d of snapshot.docs) {
+    batch.delete(d.ref);
+    ops++;
+    if (ops >= 490) {
+      await batch.commit();
+      batch = writeBatch(db);
+      ops = 0;
+    }
+  }
+  if (ops > 0) await batch.commit();
+};
+
+// ==================== EVALUATION ====================
+
+/**
+ * Allocation groups saved by the rebalancing page (legacy `targets` → a category group)
+ */
+const loadAllocationGroups = async (user) => {
+  const snap = await getDoc(doc(db, 'artifacts', appId, 'users', user.uid, 'settings', 'rebalancing'));
+  if (!snap.exists()) return [];
+  const data = snap.data();
+  if (Array.isArray(data.groups)) return data.groups;
+  return data.targets ? [{ type: 'category', targets: data.targets }] : [];
+};
+
+/**
+ * Check the user's rules against freshly valued assets and record what fired
+ * @param {Object} user - Firebase user object
+ * @param {Array} assets - Valued assets from useAssets (valueILS, currentPriceNative, priceChange24h)
+ * @param {number} [usdRate] - Known USD→ILS rate
+ * @returns {Promise<Array>} Fired rules: [{ rule, result }]
+ */
+export const runAlertChecks = async (user, assets, usdRate = null) => {
+  if (!user || !db) return [];
+
+  const rulesSnap = await getDocs(userCollection(user, 'alertRules'));
+  const rules = rulesSnap.docs.map(d => ({ id: d.id, ...d.data() }));
+  if (!rules.some(rule => rule.enabled !== false)) return [];
+
+  const allocationGroups = rules.some(rule => rule.type === 'drift') ? await loadAllocationGroups(user) : [];
+
+  // Portfolio totals in every currency a portfolio rule uses
+  const totalILS = assets.reduce((sum, asset) => sum + (Number(asset.valueILS ?? asset.value) || 0), 0);
+  const { rates } = await getFxMatrix(
+    rules.filter(rule => rule.type === 'portfolio').map(rule => rule.currency || 'ILS'),
+    'ILS',
+    usdRate ? { USD: usdRate } : {}
+  );
+  const totals = Object.fromEntries(Object.entries(rates).map(([currency, rate]) => [currency, totalILS / rate]));
+
+  const state = {
+    assets: assets.map(asset => ({
+      id: asset.id,
+      name: asset.name,
+      symbol: asset.symbol,
+      currency: asset.currency || 'ILS',
+      price: asset.hasLivePrice ? asset.currentPriceNative : null,
+      changePct: asset.priceChange24h,
+      value: Number(asset.valueILS ?? asset.value) || 0,
+      category: asset.category,
+      subcategory: asset.subcategory,
+      platform: asset.platform,
+      instrument: asset.instrument,
+      tags: asset.tags,
+    })),
+    totals,
+    allocationGroups,
+  };
+
+  const { fired, rearmed } = checkAlertRules(rules, state);
+  if (fired.length === 0 && rearmed.length === 0) return [];
+
+  const now = new Date();
+  const batch = writeBatch(db);
+  fired.forEach(({ rule, result }) => {
+    batch.set(doc(userCollection(user, 'alertHistory')), {
+      ruleId: rule.id,
+      type: rule.type,
+      title: result.title,
+      body: result.body,
+      value: result.value,
+      source: 'app',
+      triggeredAt: now,
+      read: false,
+      pushed: false,
+    });
+    batch.update(doc(userCollection(user, 'alertRules'), rule.id), { active: true, lastTriggeredAt: now });
+  });
+  rearmed.forEach(rule => {
+    batch.update(doc(userCollection(user, 'alertRules'), rule.id), { active: false });
+  });
+  await batch.commit();
+
+  if (fired.length > 0) {
+    callAlertsPush(user).catch(error => console.warn('[alertService] Push delivery failed:', error.message));
+  }
+  return fired;
+};
+
+// ==================== WEB PUSH ====================
+
+/** VAPID public key (base64url) → the byte array PushManager expects */
+const urlBase64ToUint8Array = (base64) => {
+  const padded = (base64 + '='.repeat((4 - (base64.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(padded), c => c.charCodeAt(0));
+};
+
+/** Stable document ID for a push endpoint */
+const getSubscriptionId = async (endpoint) => {
+  const hash = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(endpoint));
+  return Array.from(new Uint8Array(hash).slice(0, 20), b => b.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Whether this browser can receive Web Push and the app has a VAPID key
+ * @returns {boolean}
+ */
+export const isPushSupported = () =>
+  !!VAPID_PUBLIC_KEY && 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+/**
+ * This device's current push subscription
+ * @returns {Promise<PushSubscription|null>}
+ */
+export const getPushSubscription = async () => {
+  if (!isPushSupported()) return null;
+  const registration = await navigator.serviceWorker.getRegistration();
+  return registration ? registration.pushManager.getSubscription() : null;
+};
+
+/**
+ * Ask for notification permission, subscribe this device and store the subscription
+ * @param {Object} user - Firebase user object
+ * @returns {Promise<PushSubscription>}
+ * @throws {Error} When unsupported or the permission is denied
+ */
+export const enablePushNotifications = async (user) => {
+  if (!user || !db) throw new Error('User or database not available');
+  if (!isPushSupported()) throw new Error('Push notifications are not supported');
+
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') throw new Error('Notification permission denied');
+
+  const registration = await navigator.serviceWorker.ready;
+  const subscription = await registration.pushManager.getSubscription()
+    || await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(VAPID_PUBLIC_KEY),
+    });
+
+  const { endpoint, keys } = subscription.toJSON();
+  await setDoc(doc(userCollection(user, 'pushSubscriptions'), await getSubscriptionId(endpoint)), {
+    endpoint,
+    keys,
+    userAgent: navigator.userAgent,
+    createdAt: new Date(),
+  });
+  return subscription;
+};
+
+/**
+ * Unsubscribe this device and remove its stored subscription
+ * @param {Object} user - Firebase user object
+ */
+export const disablePushNotifications = async (user) => {
+  const subscription = await getPushSubscription();
+  if (!subscription) return;
+  if (user && db) {
+    await deleteDoc(doc(userCollection(user, 'pushSubscriptions'), await getSubscriptionId(subscription.endpoint)));
+  }
+  await subscription.unsubscribe();
+};
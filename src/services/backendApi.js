@@ -299,7 +299,7 @@ export async function getQuotes(ids) {
 /**
  * Get history for an asset
  * @param {string} id - Internal asset ID
- * @param {string} range - Time range (1d, 5d, 1mo, 3mo, 6mo, 1y, 5y)
+ * @param {string} range - Time range (1d, 5d, 1mo, 3mo, 6mo, 1y, 5y, 10y)
  * @param {string} interval - Data interval (1d, 1h, etc.)
  * @returns {Promise<Object|null>} History result with points array, or null if error/no data
  */
@@ -348,6 +348,90 @@ export async function getHistory(id, range = '1mo', interval = '1d') {
   }
 }
 
+/**
+ * Get dividend events for an asset (Yahoo chart events=div)
+ * @param {string} id - Internal asset ID (yahoo:/tase:)
+ * @param {string} range - Time range (1y, 5y, 10y, max)
+ * @returns {Promise<Object|null>} { currency, dividends: [{ t, amount }] }, or null if error/no data
+ */
+export async function getDividendHistory(id, range = '5y') {
+  if (!id || id.startsWith('cg:')) {
+    return null;
+  }
+
+  // Skip history fetch on localhost to avoid errors when backend is not running locally
+  if (typeof window !== 'undefined' && (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1')) {
+    console.debug(`Skipping dividend fetch for ${id} on localhost`);
+    return null;
+  }
+
+  const cacheKey = getCacheKey('dividends', id, range);
+  const url = `${API_BASE}/history?id=${encodeURIComponent(id)}&range=${range}&interval=1d&events=div`;
+
+  try {
+    const result = await fetchWithCache(url, {
+      method: 'GET',
+      headers: { 'Content-Type': 'application/json' },
+    }, cacheKey, 'history');
+
+    const history = result.data;
+    if (!history || history.error || !Array.isArray(history.dividends)) {
+      return null;
+    }
+
+    return { currency: history.currency, dividends: history.dividends };
+  } catch (error) {
+    console.error('Error fetching dividends:', {
+      url,
+      id,
+      error: error.message
+    });
+    return null;
+  }
+}
+
+/**
+ * Get split events for an asset (Yahoo chart events=split)
+ * @param {string} id - Internal asset ID (yahoo:/tase:)
+ * @param {string} range - Time range (1y, 5y, 10y, max)
+ * @returns {Promise<Array|null>} [{ t, numerator, denominator, ratio }], or null if error/no data
+ */
+export async function getSplitHistory(id, range = 'max') {
+  if (!id || id.startsWith('cg:')) {
+    return null;
+  }
+
+  // Skip history fetch on localhost to avoid errors when backend is not running locally
+  if (typeof window !== 'undefined' && (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1')) {
+    console.debug(`Skipping split fetch for ${id} on localhost`);
+    return null;
+  }
+
+  const cacheKey = getCacheKey('splits', id, range);
+  const url = `${API_BASE}/history?id=${encodeURIComponent(id)}&range=${range}&interval=1mo&events=split`;
+
+  try {
+    const result = await fetchWithCache(url, {
+      method: 'GET',
+      headers: { 'Content-Type': 'application/json' },
+    }, cacheKey, 'history');
+
+    const history = result.data;
+    if (!history || history.error || !Array.isArray(history.splits)) {
+      return null;
+    }
+
+    return history.splits;
+  } catch (error) {
+    console.error('Error fetching splits:', {
+      url,
+      id,
+      error: error.message
+    });
+    return null;
+  }
+}
+
 /**
  * Get exchange rate
  * @param {string} base - Base currency (default: USD)
@@ -374,6 +458,143 @@ export async function getFx(base = 'USD', quote = 'ILS') {
   }
 }
 
+/**
+ * Get daily historical exchange rates (Yahoo <QUOTE>=X closes)
+ * @param {string} from - First date 'YYYY-MM-DD'
+ * @param {string|null} to - Last date 'YYYY-MM-DD' (default: today)
+ * @param {string} base - Base currency (only USD is supported)
+ * @param {string} quote - Quote currency (default: ILS)
+ * @returns {Promise<Array|null>} [{ date: 'YYYY-MM-DD', rate }], oldest first, or null if error
+ */
+export async function getFxHistory(from, to = null, base = 'USD', quote = 'ILS') {
+  if (!from) {
+    return null;
+  }
+
+  const cacheKey = getCacheKey('fx', base, quote, from, to || 'today');
+  const url = `${API_BASE}/fx?base=${base}&quote=${quote}&from=${from}${to ? `&to=${to}` : ''}`;
+
+  try {
+    const result = await fetchWithCache(url, {
+      method: 'GET',
+      headers: { 'Content-Type': 'application/json' },
+    }, cacheKey, 'fx');
+
+    const history = result.data;
+    if (!history || history.error || !Array.isArray(history.rates)) {
+      return null;
+    }
+
+    return history.rates;
+  } catch (error) {
+    console.error('Error fetching FX history:', {
+      url,
+      error: error.message
+    });
+    return null;
+  }
+}
+
+/**
+ * Get the Israeli consumer price index by month (chained across CBS rebases)
+ * @param {string} from - First month 'YYYY-MM'
+ * @returns {Promise<Array|null>} [{ month: 'YYYY-MM', value }], oldest first, or null if error
+ */
+export async function getCpiSeries(from = '2000-01') {
+  const cacheKey = getCacheKey('cpi', from);
+  const url = `${API_BASE}/cpi?from=${from}`;
+
+  try {
+    const result = await fetchWithCache(url, {
+      method: 'GET',
+      headers: { 'Content-Type': 'application/json' },
+    }, cacheKey, 'cpi');
+
+    const cpi = result.data;
+    if (!cpi || cpi.error || !Array.isArray(cpi.points)) {
+      return null;
+    }
+
+    return cpi.points;
+  } catch (error) {
+    console.error('Error fetching CPI:', {
+      url,
+      error: error.message
+    });
+    return null;
+  }
+}
+
+/**
+ * Call the exchange balance sync route as the signed-in user (see api/exchange-sync.ts)
+ * @param {Object} user - Firebase user (ID token is sent as Bearer)
+ * @param {Object} body - { action: 'connect' | 'sync' | 'disconnect', exchange, ... }
+ * @returns {Promise<Object>} Route response
+ * @throws {Error} With the route's message (e.g. a key that is not read-only)
+ */
+export async function callExchangeSync(user, body) {
+  const token = await user.getIdToken();
+  const response = await fetch(`${API_BASE}/exchange-sync`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${token}`,
+    },
+    body: JSON.stringify(body),
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.message || data.details || data.error || `HTTP ${response.status}`);
+    error.details = data;
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Send the signed-in user's pending alerts as Web Push (see api/alerts-push.ts)
+ * @param {Object} user - Firebase user (ID token is sent as Bearer)
+ * @returns {Promise<Object>} { configured, alerts, sent, failed }
+ */
+export async function callAlertsPush(user) {
+  const token = await user.getIdToken();
+  const response = await fetch(`${API_BASE}/alerts-push`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${token}`,
+    },
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.message || data.details || data.error || `HTTP ${response.status}`);
+  }
+  return data;
+}
+
+/**
+ * Get the public on-chain balances of a wallet address (see api/wallet-balances.ts)
+ * @param {string} chain - 'btc' | 'evm' | 'sol' | 'ton'
+ * @param {string} address - Public address
+ * @returns {Promise<Object>} { chain, address, balances: [{ symbol, amount, apiId, contract }], warnings }
+ * @throws {Error} With the route's message (e.g. an invalid address)
+ */
+export async function getWalletBalances(chain, address) {
+  const params = new URLSearchParams({ chain, address });
+  const response = await fetch(`${API_BASE}/wallet-balances?${params}`, {
+    method: 'GET',
+    headers: { 'Content-Type': 'application/json' },
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.message || data.details || data.error || `HTTP ${response.status}`);
+  }
+  return data;
+}
+
 /**
  * Check API health (lightweight check)
  * @returns {Promise<boolean>} True if API is reachable
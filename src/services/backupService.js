@@ -0,0 +1,382 @@
+import { collection, doc, getDocs, writeBatch, Timestamp } from 'firebase/firestore';
+import { db, appId } from './firebase';
+
+/**
+ * Service for full account backup and restore.
+ *
+ * Exports the whole user tree (artifacts/{appId}/users/{uid}/...) to a versioned JSON
+ * file and restores it into the signed-in account - the same or another Firebase project.
+ *
+ * Backup shape:
+ * {
+ *   format: 'my-wealth-backup',
+ *   version: 1,
+ *   exportedAt: ISO string,
+ *   source: { appId, userId },
+ *   collections: {
+ *     assets: [{ id, data, subcollections: { transactions: [{ id, data }] } }],
+ *     settings: [{ id: 'config' | 'preferences' | 'rebalancing' | ..., data }],
+ *     ...
+ *   }
+ * }
+ *
+ * Firestore Timestamps are written as { __type: 'timestamp', value: ISO string }.
+ *
+ * Exchange connections (exchangeConnections / exchangeCredentials) are left out on purpose:
+ * only the server can write them (firestore.rules) and the encrypted API keys never reach the
+ * client, so a restored connection could not sync. Reconnect the exchange after a restore -
+ * the synced assets themselves are part of the backup.
+ */
+
+// ==================== CONSTANTS ====================
+
+export const BACKUP_FORMAT = 'my-wealth-backup';
+export const BACKUP_VERSION = 1;
+
+/**
+ * Collections of the user tree. `required` fields are checked on restore;
+ * `subcollections` are backed up under each document; `createOnly` collections can't be
+ * updated (firestore.rules) - a restore only adds the documents that don't exist yet.
+ */
+export const BACKUP_COLLECTIONS = {
+  assets: {
+    label: 'נכסים',
+    required: ['name'],
+    subcollections: {
+      transactions: { label: 'תנועות', required: ['type', 'date'] },
+      valuations: { label: 'היסטוריית שווי', required: ['date', 'value'] },
+    },
+  },
+  settings: { label: 'הגדרות (כולל systemData ואיזון)', required: [] },
+  income: { label: 'הכנסות', required: ['assetId', 'date'] },
+  liabilities: { label: 'התחייבויות', required: ['name', 'startDate'] },
+  goals: { label: 'יעדים', required: ['name', 'targetDate'] },
+  alertRules: { label: 'כללי התראה', required: ['type'] },
+  alertHistory: { label: 'היסטוריית התראות', required: ['title'] },
+  driftHistory: { label: 'היסטוריית סטייה מהיעדים', required: ['date'] },
+  modelPortfolios: { label: 'מודלי תיק', required: ['name'] },
+  corporateActions: { label: 'פעולות תאגידיות', required: ['assetId', 'type'], createOnly: true },
+  portfolioSnapshots: { label: 'תמונות מצב יומיות', required: ['date'] },
+  dashboard_widgets: { label: 'גרפים מותאמים', required: [] },
+  reports: { label: 'דוחות', required: [] },
+  chats: { label: 'שיחות AI', required: [], subcollections: { messages: { label: 'הודעות', required: [] } } },
+  importProfiles: { label: 'פרופילי ייבוא', required: ['name'] },
+};
+
+export const RESTORE_MODES = {
+  merge: { label: 'מיזוג', description: 'מסמכים מהגיבוי נכתבים מעל מסמכים עם אותו מזהה; כל השאר נשמר' },
+  replace: { label: 'החלפה', description: 'החשבון יהיה זהה לגיבוי - מסמכים שאינם בגיבוי יימחקו' },
+};
+
+/** Settings fields holding credentials - left out of backups unless asked for */
+const SECRET_FIELD_PATTERN = /api[-_]?key|secret|token/i;
+
+const BATCH_LIMIT = 490;
+
+const userPath = (user) => ['artifacts', appId, 'users', user.uid];
+
+// ==================== ENCODING ====================
+
+/**
+ * Firestore values -> JSON-safe values (Timestamps / Dates tagged)
+ * @param {*} value
+ * @param {boolean} stripSecrets - Drop credential fields
+ * @returns {*}
+ */
+const encodeValue = (value, stripSecrets = false) => {
+  if (value instanceof Timestamp) return { __type: 'timestamp', value: value.toDate().toISOString() };
+  if (value instanceof Date) return { __type: 'timestamp', value: value.toISOString() };
+  if (Array.isArray(value)) return value.map(v => encodeValue(v, stripSecrets));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([key]) => !(stripSecrets && SECRET_FIELD_PATTERN.test(key)))
+      .map(([key, v]) => [key, encodeValue(v, stripSecrets)]));
+  }
+  return value;
+};
+
+/**
+ * JSON values from a backup -> values to write (tagged timestamps back to Dates)
+ * @param {*} value
+ * @returns {*}
+ */
+const decodeValue = (value) => {
+  if (Array.isArray(value)) return value.map(decodeValue);
+  if (value && typeof value === 'object') {
+    if (value.__type === 'timestamp') return new Date(value.value);
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, decodeValue(v)]));
+  }
+  return value;
+};
+
+/** Key-order independent JSON, so a read-back document compares equal to its backup */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// ==================== EXPORT ====================
+
+const readCollection = async (pathSegments, schema, stripSecrets) => {
+  const snapshot = await getDocs(collection(db, ...pathSegments));
+  return Promise.all(snapshot.docs.map(async (d) => {
+    const entry = { id: d.id, data: encodeValue(d.data(), stripSecrets) };
+    if (schema.subcollections) {
+      entry.subcollections = {};
+      for (const [name, subSchema] of Object.entries(schema.subcollections)) {
+        entry.subcollections[name] = await readCollection([...pathSegments, d.id, name], subSchema, stripSecrets);
+      }
+    }
+    return entry;
+  }));
+};
+
+/**
+ * Read the whole user tree into a backup object
+ * @param {Object} user - Firebase user object
+ * @param {Object} options - { includeSecrets }
+ * @returns {Promise<Object>} Backup
+ */
+export const exportUserData = async (user, options = {}) => {
+  if (!user || !db) throw new Error('User or database not available');
+
+  const collections = {};
+  for (const [name, schema] of Object.entries(BACKUP_COLLECTIONS)) {
+    collections[name] = await readCollection([...userPath(user), name], schema, !options.includeSecrets);
+  }
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    source: { appId, userId: user.uid },
+    collections,
+  };
+};
+
+/**
+ * Document counts per collection (subcollections summed under their own name)
+ * @param {Object} backup
+ * @returns {Object} { [collection]: number }
+ */
+export const countBackupDocuments = (backup) => {
+  const counts = {};
+  const add = (name, entries) => {
+    counts[name] = (counts[name] || 0) + entries.length;
+    entries.forEach(entry => Object.entries(entry.subcollections || {}).forEach(([sub, subEntries]) => add(sub, subEntries)));
+  };
+  Object.entries(backup.collections || {}).forEach(([name, entries]) => add(name, entries));
+  return counts;
+};
+
+// ==================== VALIDATION ====================
+
+const validateEntries = (entries, schema, path, errors) => {
+  if (!Array.isArray(entries)) {
+    errors.push(`${path}: expected an array of documents`);
+    return;
+  }
+  const ids = new Set();
+  entries.forEach((entry, index) => {
+    const where = `${path}[${index}]`;
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`${where}: not an object`);
+      return;
+    }
+    if (typeof entry.id !== 'string' || !entry.id || entry.id.includes('/')) {
+      errors.push(`${where}: invalid document id`);
+    } else if (ids.has(entry.id)) {
+      errors.push(`${where}: duplicate id "${entry.id}"`);
+    } else {
+      ids.add(entry.id);
+    }
+    if (!entry.data || typeof entry.data !== 'object' || Array.isArray(entry.data)) {
+      errors.push(`${where}: missing data object`);
+      return;
+    }
+    schema.required.forEach(field => {
+      if (entry.data[field] === undefined || entry.data[field] === null || entry.data[field] === '') {
+        errors.push(`${where} (${entry.id}): missing required field "${field}"`);
+      }
+    });
+    Object.entries(entry.subcollections || {}).forEach(([name, subEntries]) => {
+      const subSchema = schema.subcollections?.[name];
+      if (!subSchema) {
+        errors.push(`${where}: unknown subcollection "${name}"`);
+        return;
+      }
+      validateEntries(subEntries, subSchema, `${path}/${entry.id}/${name}`, errors);
+    });
+  });
+};
+
+/**
+ * Schema validation of a parsed backup file
+ * @param {Object} backup - Parsed JSON
+ * @returns {{ valid: boolean, errors: Array<string> }}
+ */
+export const validateBackup = (backup) => {
+  const errors = [];
+  if (!backup || typeof backup !== 'object') {
+    return { valid: false, errors: ['File is not a JSON object'] };
+  }
+  if (backup.format !== BACKUP_FORMAT) errors.push(`Unknown format "${backup.format}"`);
+  if (typeof backup.version !== 'number' || backup.version < 1) {
+    errors.push('Missing backup version');
+  } else if (backup.version > BACKUP_VERSION) {
+    errors.push(`Backup version ${backup.version} is newer than this app supports (${BACKUP_VERSION})`);
+  }
+  if (!backup.collections || typeof backup.collections !== 'object') {
+    errors.push('Missing collections');
+  } else {
+    Object.entries(backup.collections).forEach(([name, entries]) => {
+      const schema = BACKUP_COLLECTIONS[name];
+      if (!schema) {
+        errors.push(`Unknown collection "${name}"`);
+        return;
+      }
+      validateEntries(entries, schema, name, errors);
+    });
+  }
+  return { valid: errors.length === 0, errors };
+};
+
+// ==================== DIFF ====================
+
+const diffEntries = (incoming, current, mode, schema, path, diff) => {
+  const currentById = new Map(current.map(entry => [entry.id, entry]));
+  const incomingIds = new Set(incoming.map(entry => entry.id));
+  const bucket = diff[path] || (diff[path] = { create: [], update: [], unchanged: [], delete: [] });
+
+  incoming.forEach(entry => {
+    const existing = currentById.get(entry.id);
+    if (!existing) bucket.create.push(entry.id);
+    // Existing documents of an append-only collection are kept as they are
+    else if (schema.createOnly || stableStringify(existing.data) === stableStringify(entry.data)) bucket.unchanged.push(entry.id);
+    else bucket.update.push(entry.id);
+
+    Object.keys(schema.subcollections || {}).forEach(name => {
+      diffEntries(
+        entry.subcollections?.[name] || [],
+        existing?.subcollections?.[name] || [],
+        mode,
+        schema.subcollections[name],
+        `${path}/${name}`,
+        diff
+      );
+    });
+  });
+
+  if (mode === 'replace') {
+    current.filter(entry => !incomingIds.has(entry.id)).forEach(entry => {
+      bucket.delete.push(entry.id);
+      // Deleting a document does not cascade - its subcollection documents go too
+      Object.keys(schema.subcollections || {}).forEach(name => {
+        const subBucket = diff[`${path}/${name}`] || (diff[`${path}/${name}`] = { create: [], update: [], unchanged: [], delete: [] });
+        (entry.subcollections?.[name] || []).forEach(sub => subBucket.delete.push(sub.id));
+      });
+    });
+  }
+};
+
+/**
+ * Dry run - what a restore would change, per collection path
+ * ('assets', 'assets/transactions', ...)
+ * @param {Object} backup - Validated backup
+ * @param {Object} current - exportUserData output for the signed-in account
+ * @param {string} mode - 'merge' | 'replace'
+ * @returns {Object} { [path]: { create, update, unchanged, delete } } (arrays of document IDs)
+ */
+export const diffBackup = (backup, current, mode) => {
+  const diff = {};
+  Object.entries(BACKUP_COLLECTIONS).forEach(([name, schema]) => {
+    // A collection missing from the backup is left alone even in replace mode
+    if (!backup.collections[name]) return;
+    diffEntries(backup.collections[name], current.collections[name] || [], mode, schema, name, diff);
+  });
+  return diff;
+};
+
+// ==================== RESTORE ====================
+
+/**
+ * Write a backup into the signed-in account.
+ * Documents are written whole (set) with their original IDs; in replace mode documents
+ * that are not in the backup are deleted. Unchanged documents are skipped, and documents of
+ * `createOnly` collections are only written when they don't exist yet. Secrets stripped from
+ * the backup are not written over the current values (settings documents are merged field by field).
+ *
+ * Every write is planned before the first commit, so nothing is written when the plan fails.
+ * Up to BATCH_LIMIT writes go in one atomic batch; larger restores are committed in consecutive batches.
+ * @param {Object} user - Firebase user object
+ * @param {Object} backup - Validated backup
+ * @param {Object} current - exportUserData output (same as used for the diff)
+ * @param {string} mode - 'merge' | 'replace'
+ * @returns {Promise<{written: number, deleted: number}>}
+ */
+export const restoreUserData = async (user, backup, current, mode) => {
+  if (!user || !db) throw new Error('User or database not available');
+
+  const operations = [];
+  const counts = { written: 0, deleted: 0 };
+
+  const planDelete = (pathSegments, entry, schema) => {
+    Object.entries(schema.subcollections || {}).forEach(([name, subSchema]) => {
+      (entry.subcollections?.[name] || []).forEach(sub => planDelete([...pathSegments, entry.id, name], sub, subSchema));
+    });
+    const ref = doc(db, ...pathSegments, entry.id);
+    operations.push(b => b.delete(ref));
+    counts.deleted++;
+  };
+
+  const planEntries = (pathSegments, incoming, existing, schema, mergeFields) => {
+    const incomingIds = new Set(incoming.map(entry => entry.id));
+    const existingById = new Map(existing.map(entry => [entry.id, entry]));
+
+    incoming.forEach(entry => {
+      const existingEntry = existingById.get(entry.id);
+      const unchanged = existingEntry && stableStringify(existingEntry.data) === stableStringify(entry.data);
+      if (!unchanged && !(existingEntry && schema.createOnly)) {
+        const ref = doc(db, ...pathSegments, entry.id);
+        const data = decodeValue(entry.data);
+        operations.push(b => (mergeFields ? b.set(ref, data, { merge: true }) : b.set(ref, data)));
+        counts.written++;
+      }
+
+      Object.entries(schema.subcollections || {}).forEach(([name, subSchema]) => {
+        planEntries(
+          [...pathSegments, entry.id, name],
+          entry.subcollections?.[name] || [],
+          existingEntry?.subcollections?.[name] || [],
+          subSchema,
+          false
+        );
+      });
+    });
+
+    if (mode === 'replace') {
+      existing.filter(e => !incomingIds.has(e.id)).forEach(entry => planDelete(pathSegments, entry, schema));
+    }
+  };
+
+  Object.entries(BACKUP_COLLECTIONS).forEach(([name, schema]) => {
+    if (!backup.collections[name]) return;
+    planEntries(
+      [...userPath(user), name],
+      backup.collections[name],
+      current.collections[name] || [],
+      schema,
+      name === 'settings'
+    );
+  });
+
+  for (let i = 0; i < operations.length; i += BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    operations.slice(i, i + BATCH_LIMIT).forEach(apply => apply(batch));
+    await batch.commit();
+  }
+  return counts;
+};
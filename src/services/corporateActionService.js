@@ -0,0 +1,315 @@
+import { collection, addDoc, doc, getDoc, getDocs, updateDoc, onSnapshot, query, where, Timestamp } from 'firebase/firestore';
+import { db, appId } from './firebase';
+import { getSplitHistory } from './backendApi';
+import { resolveInternalId } from './internalIds';
+import { saveTransaction } from './transactionService';
+import { sortTransactions } from '../utils/lotMatching';
+
+/**
+ * Service for corporate actions (splits, reverse splits, ticker changes, mergers, delistings).
+ *
+ * Path: artifacts/{appId}/users/{uid}/corporateActions/{actionId}
+ *
+ * Every applied action writes an append-only audit entry with the asset state
+ * before and after, so an adjustment can always be traced back.
+ *
+ * How the quantity is adjusted:
+ * - Ledger assets get a `split` transaction (see utils/lotMatching) - every open lot is rescaled
+ * - Other assets get quantity × ratio and purchasePrice ÷ ratio on the asset document
+ * The cost basis is unchanged either way.
+ *
+ * Audit entry shape:
+ * {
+ *   assetId: string,
+ *   assetName: string,
+ *   type: 'split' | 'reverse_split' | 'ticker_change' | 'merger' | 'delisting',
+ *   date: 'YYYY-MM-DD',         // ex-date / effective date
+ *   numerator: number | null,   // new units ...
+ *   denominator: number | null, // ... per old units
+ *   ratio: number | null,       // numerator / denominator
+ *   newSymbol: string | null,
+ *   newName: string | null,
+ *   finalPrice: number | null,  // delisting only
+ *   before: Object,             // { quantity, purchasePrice, symbol, apiId, name, currentPrice, previousClosePrice }
+ *   after: Object,
+ *   source: 'manual' | 'yahoo',
+ *   note: string,
+ *   createdAt: Date
+ * }
+ */
+
+// ==================== CONSTANTS ====================
+
+export const CORPORATE_ACTION_TYPES = {
+  split: { label: 'פיצול מניות', hasRatio: true },
+  reverse_split: { label: 'איחוד מניות', hasRatio: true },
+  ticker_change: { label: 'שינוי סימול', hasSymbol: true },
+  merger: { label: 'מיזוג לנייר אחר', hasRatio: true, hasSymbol: true },
+  delisting: { label: 'מחיקה מהמסחר' },
+};
+
+/** Splits newer than this are applied automatically; older ones wait for confirmation */
+export const AUTO_APPLY_SPLIT_DAYS = 30;
+
+const SPLIT_TYPES = ['split', 'reverse_split'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const corporateActionsRef = (user) =>
+  collection(db, 'artifacts', appId, 'users', user.uid, 'corporateActions');
+
+const toDateKey = (ms) => new Date(ms).toISOString().split('T')[0];
+
+/**
+ * Date key of a stored timestamp (Firestore Timestamp, Date, ms or string)
+ */
+const timestampToDateKey = (value) => {
+  if (!value) return null;
+  let date;
+  if (value instanceof Timestamp) date = value.toDate();
+  else if (value instanceof Date) date = value;
+  else date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : toDateKey(date.getTime());
+};
+
+/**
+ * Same provider prefix as the old apiId (yahoo:AAPL → yahoo:NEWT), bare symbol otherwise
+ */
+const deriveApiId = (apiId, newSymbol) => {
+  if (!apiId || !apiId.includes(':')) return newSymbol;
+  return `${apiId.split(':')[0]}:${newSymbol}`;
+};
+
+// ==================== FIRESTORE ====================
+
+/**
+ * Subscribe to corporate actions (real-time), newest first
+ * @param {Object} user - Firebase user object
+ * @param {Function} callback - Receives the action array
+ * @param {string|null} assetId - Limit to one asset
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToCorporateActions = (user, callback, assetId = null) => {
+  if (!user || !db) return () => { };
+
+  const source = assetId
+    ? query(corporateActionsRef(user), where('assetId', '==', assetId))
+    : corporateActionsRef(user);
+
+  return onSnapshot(source, (snapshot) => {
+    const items = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+    items.sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+    callback(items);
+  }, (error) => {
+    console.error('[corporateActionService] Snapshot error:', error);
+    callback([]);
+  });
+};
+
+/**
+ * Fetch all corporate actions once
+ * @param {Object} user - Firebase user object
+ * @returns {Promise<Array>}
+ */
+export const fetchCorporateActions = async (user) => {
+  if (!user || !db) return [];
+  const snapshot = await getDocs(corporateActionsRef(user));
+  return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+};
+
+// ==================== APPLY ====================
+
+/**
+ * Ratio (new units per old unit) of an action, or null when it has none
+ * @param {Object} action - { numerator, denominator } or { ratio }
+ * @returns {number|null}
+ */
+export const getActionRatio = (action) => {
+  const numerator = Number(action.numerator);
+  const denominator = Number(action.denominator);
+  if (numerator > 0 && denominator > 0) return numerator / denominator;
+  const ratio = Number(action.ratio);
+  return ratio > 0 ? ratio : null;
+};
+
+/**
+ * Apply a corporate action to an asset and write its audit entry.
+ * Stored prices that predate the action (the daily baseline and a stale current price)
+ * are rescaled too, so the daily change does not show the split as a loss.
+ * @param {Object} user - Firebase user object
+ * @param {Object} asset - Asset (the stored document is re-read for the raw values)
+ * @param {Object} action - { type, date, numerator?, denominator?, newSymbol?, newName?, finalPrice?, note?, source? }
+ * @returns {Promise<string>} Audit entry ID
+ */
+export const applyCorporateAction = async (user, asset, action) => {
+  if (!user || !db) throw new Error('User or database not available');
+
+  const typeInfo = CORPORATE_ACTION_TYPES[action.type];
+  if (!typeInfo) throw new Error(`Unknown corporate action type: ${action.type}`);
+  if (!action.date) throw new Error('Corporate action requires a date');
+
+  const ratio = typeInfo.hasRatio ? getActionRatio(action) : null;
+  if (typeInfo.hasRatio && (!ratio || ratio === 1)) throw new Error('Corporate action requires a valid ratio');
+  const newSymbol = (action.newSymbol || '').trim().toUpperCase();
+  if (typeInfo.hasSymbol && !newSymbol) throw new Error('Corporate action requires the new symbol');
+
+  const existing = await getDocs(query(corporateActionsRef(user), where('assetId', '==', asset.id)));
+  if (existing.docs.some(d => d.data().type === action.type && d.data().date === action.date)) {
+    throw new Error('Corporate action already recorded for this date');
+  }
+
+  const assetRef = doc(db, 'artifacts', appId, 'users', user.uid, 'assets', asset.id);
+  const assetSnap = await getDoc(assetRef);
+  if (!assetSnap.exists()) throw new Error('Asset not found');
+  const stored = assetSnap.data();
+
+  const before = {
+    quantity: Number(stored.quantity) || 0,
+    purchasePrice: Number(stored.purchasePrice) || 0,
+    symbol: stored.symbol || null,
+    apiId: stored.apiId || null,
+    name: stored.name || null,
+    currentPrice: stored.currentPrice ?? null,
+    previousClosePrice: stored.previousClosePrice ?? null,
+  };
+  const updates = {};
+
+  if (ratio) {
+    if (stored.hasTransactions) {
+      await saveTransaction(user, asset.id, {
+        type: 'split',
+        date: action.date,
+        ratio,
+        quantity: 0,
+        price: 0,
+        fee: 0,
+        note: action.note || typeInfo.label,
+      });
+    } else {
+      updates.quantity = before.quantity * ratio;
+      updates.purchasePrice = before.purchasePrice / ratio;
+    }
+
+    const lastUpdatedKey = timestampToDateKey(stored.lastUpdated);
+    if (typeof stored.currentPrice === 'number' && (!lastUpdatedKey || lastUpdatedKey < action.date)) {
+      updates.currentPrice = stored.currentPrice / ratio;
+    }
+    const lastCloseKey = timestampToDateKey(stored.lastCloseDate);
+    if (typeof stored.previousClosePrice === 'number' && (!lastCloseKey || lastCloseKey < action.date)) {
+      updates.previousClosePrice = stored.previousClosePrice / ratio;
+    }
+  }
+
+  if (newSymbol) {
+    updates.symbol = newSymbol;
+    updates.apiId = action.newApiId || deriveApiId(stored.apiId, newSymbol);
+    if (action.newName) updates.name = action.newName;
+  }
+
+  if (action.type === 'delisting') {
+    updates.delisted = true;
+    updates.marketDataSource = 'manual';
+    if (Number(action.finalPrice) > 0) updates.currentPrice = Number(action.finalPrice);
+  }
+
+  if (Object.keys(updates).length > 0) {
+    await updateDoc(assetRef, updates);
+  }
+
+  const after = {
+    ...before,
+    ...(ratio ? { quantity: before.quantity * ratio, purchasePrice: before.purchasePrice / ratio } : {}),
+    ...updates,
+  };
+  delete after.delisted;
+  delete after.marketDataSource;
+
+  const docRef = await addDoc(corporateActionsRef(user), {
+    assetId: asset.id,
+    assetName: stored.name || stored.symbol || asset.id,
+    type: action.type,
+    date: action.date,
+    numerator: typeInfo.hasRatio ? Number(action.numerator) || ratio : null,
+    denominator: typeInfo.hasRatio ? Number(action.denominator) || 1 : null,
+    ratio,
+    newSymbol: newSymbol || null,
+    newName: action.newName || null,
+    finalPrice: action.type === 'delisting' ? Number(action.finalPrice) || null : null,
+    before,
+    after,
+    source: action.source || 'manual',
+    note: action.note || '',
+    createdAt: new Date(),
+  });
+  return docRef.id;
+};
+
+// ==================== DETECTION ====================
+
+/**
+ * Splits Yahoo reports for an asset that apply to its holding and are not recorded yet.
+ * A split applies when its ex-date is after the first acquisition.
+ * @param {Object} asset - QUANTITY asset (with `transactions` when it has a ledger)
+ * @param {Array} actions - Corporate actions already recorded
+ * @returns {Promise<Array<{type, date, numerator, denominator, ratio}>>} Oldest first
+ */
+export const detectSplits = async (asset, actions = []) => {
+  if (asset.assetMode !== 'QUANTITY' || asset.delisted) return [];
+
+  const splits = await getSplitHistory(resolveInternalId(asset), 'max');
+  if (!splits?.length) return [];
+
+  const since = asset.transactions?.length
+    ? sortTransactions(asset.transactions)[0].date
+    : asset.purchaseDate;
+  const recorded = new Set(
+    actions.filter(a => a.assetId === asset.id && SPLIT_TYPES.includes(a.type)).map(a => a.date)
+  );
+
+  return splits
+    .map(s => ({
+      type: s.ratio > 1 ? 'split' : 'reverse_split',
+      date: toDateKey(s.t),
+      numerator: s.numerator,
+      denominator: s.denominator,
+      ratio: s.ratio,
+    }))
+    .filter(s => (!since || s.date > since) && !recorded.has(s.date));
+};
+
+/**
+ * Detect and apply the recent splits (last AUTO_APPLY_SPLIT_DAYS days) of every tracked asset.
+ * Older unrecorded splits are left for the user to confirm from the asset page - the
+ * quantity may already have been entered in post-split units.
+ * @param {Object} user - Firebase user object
+ * @param {Array} assets - Assets (with ledger overlay)
+ * @param {Date} today
+ * @returns {Promise<Array<{assetId, name, split}>>} Applied splits
+ */
+export const autoApplyRecentSplits = async (user, assets, today = new Date()) => {
+  if (!user || !db) return [];
+
+  const fromKey = toDateKey(today.getTime() - AUTO_APPLY_SPLIT_DAYS * DAY_MS);
+  const todayKey = toDateKey(today.getTime());
+  const actions = await fetchCorporateActions(user);
+  const applied = [];
+
+  const candidates = assets.filter(a =>
+    a.assetMode === 'QUANTITY' && !a.delisted && a.marketDataSource !== 'manual' && Number(a.quantity) > 0
+  );
+
+  for (const asset of candidates) {
+    try {
+      const splits = (await detectSplits(asset, actions))
+        .filter(s => s.date >= fromKey && s.date <= todayKey);
+      for (const split of splits) {
+        await applyCorporateAction(user, asset, { ...split, source: 'yahoo' });
+        applied.push({ assetId: asset.id, name: asset.name || asset.symbol, split });
+      }
+    } catch (error) {
+      console.error(`[corporateActionService] Split check failed for ${asset.id}:`, error);
+    }
+  }
+
+  return applied;
+};
@@ -6,7 +6,7 @@
  * Fallback: direct fetch to exchangerate-api.com if backend unavailable.
  */
 
-import { getFx } from './backendApi';
+import { getFx, getFxHistory } from './backendApi';
 
 // ==================== EXCHANGE RATE CACHE ====================
 
@@ -67,49 +67,280 @@ export async function getExchangeRate() {
   return data.rate;
 }
 
+// ==================== FX MATRIX ====================
+
+/** Currencies offered in asset forms (any ISO code is still converted if the provider lists it) */
+export const SUPPORTED_CURRENCIES = [
+  { code: 'ILS', symbol: '₪', label: 'שקל' },
+  { code: 'USD', symbol: '$', label: 'דולר' },
+  { code: 'EUR', symbol: '€', label: 'אירו' },
+  { code: 'GBP', symbol: '£', label: 'ליש"ט' },
+];
+
+/**
+ * Display symbol for a currency code ('EUR' → '€'); unknown codes are shown as-is
+ * @param {string} code
+ * @returns {string}
+ */
+export const getCurrencySymbol = (code) =>
+  SUPPORTED_CURRENCIES.find(c => c.code === (code || 'ILS'))?.symbol || code;
+
+/** Currency totals are reported in unless the user picks another one (settings/preferences.reportingCurrency) */
+export const DEFAULT_REPORTING_CURRENCY = 'ILS';
+
+// 'EUR/ILS' -> { promise, timestamp } (promise resolves to a rate or null)
+const pairCache = new Map();
+
+/**
+ * Fetch a direct pair from the backend (no triangulation)
+ * @returns {Promise<number|null>}
+ */
+async function fetchDirectPairRate(base, quote) {
+  if ((base === 'USD' && quote === 'ILS') || (base === 'ILS' && quote === 'USD')) {
+    // The hard-coded default is for display only - the matrix reports the pair as missing instead
+    const { rate, date } = await fetchExchangeRate();
+    if (date === 'fallback' && !fxCache.rate) return null;
+    return base === 'USD' ? rate : 1 / rate;
+  }
+
+  try {
+    const data = await getFx(base, quote);
+    if (data && typeof data.rate === 'number' && data.rate > 0) return data.rate;
+  } catch (err) {
+    console.warn(`[CURRENCY] FX ${base}/${quote} failed:`, err.message);
+  }
+  return null;
+}
+
+/**
+ * Exchange rate for any pair (quote units per 1 base).
+ * Tries the direct pair first, then triangulates via USD.
+ * @param {string} base - e.g. 'EUR'
+ * @param {string} quote - e.g. 'ILS'
+ * @returns {Promise<number|null>} Null when neither the pair nor both USD legs are available
+ */
+export async function getPairRate(base, quote) {
+  if (!base || !quote) return null;
+  if (base === quote) return 1;
+
+  const key = `${base}/${quote}`;
+  const cached = pairCache.get(key);
+  if (cached && Date.now() - cached.timestamp < fxCache.TTL) {
+    return cached.promise;
+  }
+
+  const promise = (async () => {
+    const direct = await fetchDirectPairRate(base, quote);
+    if (direct) return direct;
+    if (base === 'USD' || quote === 'USD') return null;
+
+    const [usdToBase, usdToQuote] = await Promise.all([
+      getPairRate('USD', base),
+      getPairRate('USD', quote),
+    ]);
+    return usdToBase && usdToQuote ? usdToQuote / usdToBase : null;
+  })();
+
+  pairCache.set(key, { promise, timestamp: Date.now() });
+  const rate = await promise;
+  // Don't keep a failure for the whole TTL
+  if (!rate) pairCache.delete(key);
+  return rate;
+}
+
+/**
+ * Rates from each currency into one target currency
+ * @param {Array<string>} currencies - Currency codes (duplicates / empty values are ignored)
+ * @param {string} target - Target currency (default: ILS)
+ * @param {Object} [overrides] - Known rates to use as-is, e.g. { USD: currencyRate }
+ * @returns {Promise<{rates: Object<string, number>, missing: Array<string>}>}
+ */
+export async function getFxMatrix(currencies, target = 'ILS', overrides = {}) {
+  const unique = [...new Set(currencies.filter(Boolean))];
+  const rates = { [target]: 1 };
+  const missing = [];
+
+  await Promise.all(unique.map(async (currency) => {
+    if (currency === target) return;
+    const rate = overrides[currency] || await getPairRate(currency, target);
+    if (rate) rates[currency] = rate;
+    else missing.push(currency);
+  }));
+
+  return { rates, missing };
+}
+
+/**
+ * Convert with a matrix from getFxMatrix (synchronous, for render paths)
+ * @param {number} amount
+ * @param {string} fromCurrency
+ * @param {Object} rates - matrix.rates (all into the same target)
+ * @param {string} [toCurrency] - Another currency in the matrix (default: the matrix target)
+ * @returns {number|null} Null when a rate is missing - never falls back to 1:1
+ */
+export function convertWithMatrix(amount, fromCurrency, rates, toCurrency = null) {
+  if (typeof amount !== 'number' || isNaN(amount)) return null;
+  const from = rates[fromCurrency || 'ILS'];
+  const to = toCurrency ? rates[toCurrency] : 1;
+  if (!from || !to) return null;
+  return amount * from / to;
+}
+
+// ==================== HISTORICAL RATES ====================
+
+const historicalFxCache = {
+  from: null,
+  promise: null,
+  timestamp: null,
+};
+
+const toDateKey = (date) => {
+  if (typeof date === 'string') return date.slice(0, 10);
+  return new Date(date).toISOString().split('T')[0];
+};
+
+/**
+ * Fetch daily USD→ILS rates from a date until today.
+ * One request covers every later `from`, so callers can ask per asset without refetching.
+ * @param {string|Date|number} from - First date needed
+ * @returns {Promise<Array<{date: string, rate: number}>>} Oldest first (empty when unavailable)
+ */
+export async function fetchHistoricalRates(from) {
+  const fromKey = toDateKey(from);
+  const fresh = historicalFxCache.timestamp && (Date.now() - historicalFxCache.timestamp < fxCache.TTL);
+
+  if (!fresh || !historicalFxCache.from || fromKey < historicalFxCache.from) {
+    historicalFxCache.from = fromKey;
+    historicalFxCache.timestamp = Date.now();
+    historicalFxCache.promise = getFxHistory(fromKey)
+      .then(rates => rates || [])
+      .catch(err => {
+        console.warn('[CURRENCY] Historical FX failed:', err.message);
+        return [];
+      });
+  }
+
+  const rates = await historicalFxCache.promise;
+  // A failed fetch should not stick for the whole TTL
+  if (rates.length === 0) historicalFxCache.timestamp = null;
+  return rates;
+}
+
+/**
+ * Rate on a date - the last close on or before it (weekends and holidays use the previous close)
+ * @param {Array<{date: string, rate: number}>} rates - Output of fetchHistoricalRates
+ * @param {string|Date|number} date
+ * @returns {number|null} Null when the date precedes the series
+ */
+export function getRateForDate(rates, date) {
+  const key = toDateKey(date);
+  if (!rates?.length || key < rates[0].date) return null;
+
+  let lo = 0;
+  let hi = rates.length - 1;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (rates[mid].date <= key) lo = mid;
+    else hi = mid - 1;
+  }
+  return rates[lo].rate;
+}
+
+/**
+ * USD→ILS rate on a past date, falling back to the current rate
+ * @param {string|Date|number} date
+ * @returns {Promise<number>}
+ */
+export async function getHistoricalExchangeRate(date) {
+  // A week of slack so a weekend / holiday date still finds the previous close
+  const from = new Date(new Date(toDateKey(date)).getTime() - 7 * 24 * 60 * 60 * 1000);
+  const rates = await fetchHistoricalRates(from);
+  return getRateForDate(rates, date) || await getExchangeRate();
+}
+
+/**
+ * Re-express an ILS value series (snapshots / reconstructed history) in another currency.
+ * USD uses each point's own date rate; other currencies have no history and use today's rate.
+ * @param {Array<{date: string, value: number}>} points - Oldest first
+ * @param {string} currency - Target currency
+ * @param {number} [usdRate] - Current USD→ILS rate, for dates before the rate history
+ * @returns {Promise<Array|null>} Same points with `value` converted, or null when a point has
+ *   no rate - ILS values are never passed off as the target currency
+ */
+export async function convertIlsSeries(points, currency, usdRate = null) {
+  if (!points?.length || !currency || currency === 'ILS') return points;
+
+  if (currency === 'USD') {
+    const fallback = usdRate || await getPairRate('USD', 'ILS');
+    const rates = await fetchHistoricalRates(points[0].date);
+    const converted = points.map(point => {
+      const rate = getRateForDate(rates, point.date) || fallback;
+      return rate ? { ...point, value: point.value / rate } : null;
+    });
+    return converted.includes(null) ? null : converted;
+  }
+
+  const rate = await getPairRate('ILS', currency);
+  if (!rate) return null;
+  return points.map(point => ({ ...point, value: point.value * rate }));
+}
+
 /**
  * Convert amount from one currency to another
  * 
  * Rules:
  * - Missing currencies → return as-is
  * - Same currency → return as-is
- * - Only USD↔ILS supported; other pairs return as-is
+ * - USD↔ILS uses `fxRate` when given; other pairs go through getPairRate
+ * - A pair with no available rate returns null - never falls back to 1:1
  * 
  * @param {number} amount
- * @param {string} fromCurrency - 'USD' | 'ILS'
- * @param {string} toCurrency - 'USD' | 'ILS'
- * @param {number} [fxRate] - Optional pre-fetched rate
- * @returns {Promise<number>}
+ * @param {string} fromCurrency - ISO code
+ * @param {string} toCurrency - ISO code
+ * @param {number} [fxRate] - Optional pre-fetched USD→ILS rate
+ * @returns {Promise<number|null>}
  */
 export async function convertAmount(amount, fromCurrency, toCurrency, fxRate = null) {
   if (typeof amount !== 'number' || isNaN(amount) || !isFinite(amount)) return amount;
   if (!fromCurrency || !toCurrency) return amount;
   if (fromCurrency === toCurrency) return amount;
 
-  // Only support USD↔ILS
-  if (
-    !(fromCurrency === 'USD' && toCurrency === 'ILS') &&
-    !(fromCurrency === 'ILS' && toCurrency === 'USD')
-  ) {
-    return amount;
-  }
-
-  const rate = fxRate || await getExchangeRate();
-
   if (fromCurrency === 'USD' && toCurrency === 'ILS') {
-    return amount * rate;
+    return amount * (fxRate || await getExchangeRate());
   }
   if (fromCurrency === 'ILS' && toCurrency === 'USD') {
-    return amount / rate;
+    return amount / (fxRate || await getExchangeRate());
   }
 
-  return amount;
+  const rate = await getPairRate(fromCurrency, toCurrency);
+  if (!rate) {
+    console.warn(`[CURRENCY] No rate for ${fromCurrency}/${toCurrency}`);
+    return null;
+  }
+  return amount * rate;
+}
+
+/**
+ * Convert amount at the exchange rate of a past date
+ * (USD↔ILS only - other pairs have no history and use the current rate)
+ * @param {number} amount
+ * @param {string} fromCurrency
+ * @param {string} toCurrency
+ * @param {string|Date|number} date
+ * @returns {Promise<number|null>} Null when no rate is available
+ */
+export async function convertAmountAtDate(amount, fromCurrency, toCurrency, date) {
+  const isUsdIls = [fromCurrency, toCurrency].sort().join('/') === 'ILS/USD';
+  if (!isUsdIls || !date) {
+    return convertAmount(amount, fromCurrency, toCurrency);
+  }
+  return convertAmount(amount, fromCurrency, toCurrency, await getHistoricalExchangeRate(date));
 }
 
 /**
  * Format amount as currency string
  * @param {number} amount
- * @param {string} currency - 'USD' | 'ILS'
+ * @param {string} currency - ISO code (default: ILS)
  * @param {Object} options
  * @returns {string}
  */
@@ -130,7 +361,7 @@ export function formatCurrency(amount, currency, options = {}) {
       maximumFractionDigits,
     }).format(amount);
   } catch {
-    const symbol = currency === 'USD' ? '$' : '₪';
+    const symbol = getCurrencySymbol(currency);
     return `${symbol}${amount.toLocaleString(locale, { minimumFractionDigits, maximumFractionDigits })}`;
   }
 }
@@ -0,0 +1,73 @@
+import { collection, onSnapshot } from 'firebase/firestore';
+import { db, appId } from './firebase';
+import { callExchangeSync } from './backendApi';
+
+/**
+ * Service for read-only exchange account sync (Binance / Bybit).
+ *
+ * The keys never come back to the client: /api/exchange-sync checks that they are
+ * read-only, stores them encrypted and does the balance sync on the server.
+ *
+ * Connection status path (written by the server only):
+ * artifacts/{appId}/users/{uid}/exchangeConnections/{exchange}
+ * {
+ *   exchange, label, platform,
+ *   keyHint: '…abcd',
+ *   connectedAt, lastSyncAt,
+ *   lastError: string | null,
+ *   lastResult: { created, updated, assets, warnings }
+ * }
+ *
+ * Synced assets carry `exchangeSync: { exchange, key, wallets: { spot, earn, staking }, syncedAt }`.
+ */
+
+// ==================== CONSTANTS ====================
+
+export const SUPPORTED_EXCHANGES = [
+  { id: 'binance', label: 'Binance', keyHelp: 'API Management → Create API → הרשאת Enable Reading בלבד' },
+  { id: 'bybit', label: 'Bybit', keyHelp: 'API → Create New Key → System-generated → Read-Only' },
+];
+
+// ==================== CONNECTIONS ====================
+
+/**
+ * Subscribe to the user's exchange connections (real-time)
+ * @param {Object} user - Firebase user object
+ * @param {Function} callback - Receives { [exchange]: connection }
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToExchangeConnections = (user, callback) => {
+  if (!user || !db) return () => { };
+
+  return onSnapshot(collection(db, 'artifacts', appId, 'users', user.uid, 'exchangeConnections'), (snapshot) => {
+    callback(Object.fromEntries(snapshot.docs.map(d => [d.id, { id: d.id, ...d.data() }])));
+  }, (error) => {
+    console.error('[exchangeService] Snapshot error:', error);
+    callback({});
+  });
+};
+
+/**
+ * Store a read-only key pair for an exchange (rejected by the server if it can trade or withdraw)
+ * @param {Object} user - Firebase user object
+ * @param {Object} params - { exchange, apiKey, apiSecret, platform }
+ */
+export const connectExchange = (user, { exchange, apiKey, apiSecret, platform }) =>
+  callExchangeSync(user, { action: 'connect', exchange, apiKey, apiSecret, platform });
+
+/**
+ * Sync balances into assets
+ * @param {Object} user - Firebase user object
+ * @param {string|null} exchange - One exchange, or null for every connected one
+ * @returns {Promise<Object>} { results: [{ exchange, items, created, updated, warnings } | { exchange, error }] }
+ */
+export const syncExchanges = (user, exchange = null) =>
+  callExchangeSync(user, { action: 'sync', ...(exchange && { exchange }) });
+
+/**
+ * Delete the stored keys (synced assets are kept)
+ * @param {Object} user - Firebase user object
+ * @param {string} exchange
+ */
+export const disconnectExchange = (user, exchange) =>
+  callExchangeSync(user, { action: 'disconnect', exchange });
@@ -0,0 +1,117 @@
+import { collection, addDoc, updateDoc, deleteDoc, doc, onSnapshot } from 'firebase/firestore';
+import { db, appId } from './firebase';
+
+/**
+ * Service for financial goals (down payment, education, retirement...).
+ *
+ * Path: artifacts/{appId}/users/{uid}/goals/{goalId}
+ *
+ * Only the target and the asset assignments are stored - progress and the required
+ * monthly contribution are derived on the client (see utils/goals).
+ *
+ * Goal shape:
+ * {
+ *   name: string,
+ *   type: 'home' | 'education' | 'retirement' | 'emergency' | 'car' | 'travel' | 'other',
+ *   currency: 'ILS' | 'USD' | ...,
+ *   targetAmount: number,                       // in `currency`
+ *   targetDate: 'YYYY-MM-DD',
+ *   expectedReturn: number,                     // annual % on the assigned assets until the target date
+ *   allocations: [{ assetId, percent }],        // share of each asset's value that belongs to the goal
+ *   note: string,
+ *   createdAt: Date
+ * }
+ */
+
+// ==================== CONSTANTS ====================
+
+export const GOAL_TYPES = {
+  home: { label: 'דירה', color: '#3b82f6' },
+  education: { label: 'לימודים', color: '#8b5cf6' },
+  retirement: { label: 'פרישה', color: '#10b981' },
+  emergency: { label: 'קרן חירום', color: '#f59e0b' },
+  car: { label: 'רכב', color: '#ec4899' },
+  travel: { label: 'טיול', color: '#14b8a6' },
+  other: { label: 'אחר', color: '#64748b' },
+};
+
+/** Annual return assumed for new goals (a balanced portfolio, after fees) */
+export const DEFAULT_EXPECTED_RETURN = 4;
+
+const goalsRef = (user) =>
+  collection(db, 'artifacts', appId, 'users', user.uid, 'goals');
+
+// ==================== FIRESTORE ====================
+
+/**
+ * Subscribe to all goals (real-time), nearest target date first
+ * @param {Object} user - Firebase user object
+ * @param {Function} callback - Receives the goal array
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToGoals = (user, callback) => {
+  if (!user || !db) return () => { };
+
+  return onSnapshot(goalsRef(user), (snapshot) => {
+    const items = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+    items.sort((a, b) => (a.targetDate || '').localeCompare(b.targetDate || ''));
+    callback(items);
+  }, (error) => {
+    console.error('[goalService] Snapshot error:', error);
+    callback([]);
+  });
+};
+
+/**
+ * Normalize form values: numbers, known enum values, one allocation per asset, percent within 0-100
+ * @param {Object} goal - Raw form values
+ * @returns {Object} Goal ready to store
+ */
+export const normalizeGoal = (goal) => {
+  const allocations = new Map();
+  (goal.allocations || []).forEach(({ assetId, percent }) => {
+    const value = Math.min(100, Math.max(0, Number(percent) || 0));
+    if (assetId && value > 0) allocations.set(assetId, value);
+  });
+
+  return {
+    name: (goal.name || '').trim(),
+    type: GOAL_TYPES[goal.type] ? goal.type : 'other',
+    currency: goal.currency || 'ILS',
+    targetAmount: Math.abs(Number(goal.targetAmount) || 0),
+    targetDate: goal.targetDate,
+    expectedReturn: Number(goal.expectedReturn ?? DEFAULT_EXPECTED_RETURN) || 0,
+    allocations: [...allocations].map(([assetId, percent]) => ({ assetId, percent })),
+    note: goal.note || '',
+  };
+};
+
+/**
+ * Add or update a goal
+ * @param {Object} user - Firebase user object
+ * @param {Object} goal - Goal (with `id` to update)
+ * @returns {Promise<string>} Goal ID
+ */
+export const saveGoal = async (user, goal) => {
+  if (!user || !db) throw new Error('User or database not available');
+  if (!goal.name?.trim() || !goal.targetDate) throw new Error('Goal requires a name and a target date');
+
+  const payload = { ...normalizeGoal(goal), updatedAt: new Date() };
+
+  if (goal.id) {
+    await updateDoc(doc(goalsRef(user), goal.id), payload);
+    return goal.id;
+  }
+  const docRef = await addDoc(goalsRef(user), { ...payload, createdAt: new Date() });
+  return docRef.id;
+};
+
+/**
+ * Delete a goal (the assigned assets are not touched)
+ * @param {Object} user - Firebase user object
+ * @param {string} goalId - Goal document ID
+ */
+export const deleteGoal = async (user, goalId) => {
+  if (!user || !db) return;
+  await deleteDoc(doc(goalsRef(user), goalId));
+};
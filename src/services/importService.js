@@ -0,0 +1,382 @@
+import { collection, addDoc, updateDoc, deleteDoc, doc, onSnapshot, writeBatch } from 'firebase/firestore';
+import { db, appId } from './firebase';
+import { searchAssets } from './backendApi';
+import { resolveInternalId } from './internalIds';
+import { derivePosition } from './transactionService';
+import { getImportKey, getTradeFingerprint } from '../utils/brokerImport';
+
+/**
+ * Service for importing broker statements (see utils/brokerImport for parsing).
+ *
+ * Mapping profiles path: artifacts/{appId}/users/{uid}/importProfiles/{profileId}
+ *
+ * Profile shape:
+ * {
+ *   name: string,
+ *   broker: 'excellence' | 'meitav' | 'ibkr' | 'blink' | 'generic',
+ *   mode: 'holdings' | 'transactions',
+ *   mapping: { [field]: headerName },  // by header text, so the profile fits the next export too
+ *   dateOrder: 'DMY' | 'MDY' | 'YMD',
+ *   pricesInAgorot: boolean,
+ *   defaultCurrency: string,
+ *   createdAt: Date
+ * }
+ */
+
+// ==================== CONSTANTS ====================
+
+/** Parallel /api/search requests while resolving a statement */
+const SEARCH_CONCURRENCY = 4;
+
+/** Firestore batch limit is 500 writes - keep a margin like the other batch writers */
+const BATCH_LIMIT = 490;
+
+const profilesRef = (user) =>
+  collection(db, 'artifacts', appId, 'users', user.uid, 'importProfiles');
+
+// ==================== PROFILES ====================
+
+/**
+ * Subscribe to the saved mapping profiles (real-time), by name
+ * @param {Object} user - Firebase user object
+ * @param {Function} callback - Receives the profile array
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToImportProfiles = (user, callback) => {
+  if (!user || !db) return () => { };
+
+  return onSnapshot(profilesRef(user), (snapshot) => {
+    const items = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+    items.sort((a, b) => (a.name || '').localeCompare(b.name || '', 'he'));
+    callback(items);
+  }, (error) => {
+    console.error('[importService] Snapshot error:', error);
+    callback([]);
+  });
+};
+
+/**
+ * Create or update a mapping profile
+ * @param {Object} user - Firebase user object
+ * @param {Object} profile - Profile (with `id` to update)
+ * @returns {Promise<string>} Profile ID
+ */
+export const saveImportProfile = async (user, profile) => {
+  if (!user || !db) throw new Error('User or database not available');
+  if (!profile.name?.trim()) throw new Error('Import profile requires a name');
+
+  const { id, ...data } = profile;
+  const payload = {
+    name: data.name.trim(),
+    broker: data.broker || 'generic',
+    mode: data.mode || 'holdings',
+    mapping: data.mapping || {},
+    dateOrder: data.dateOrder || 'DMY',
+    pricesInAgorot: !!data.pricesInAgorot,
+    defaultCurrency: data.defaultCurrency || 'ILS',
+    updatedAt: new Date(),
+  };
+
+  if (id) {
+    await updateDoc(doc(profilesRef(user), id), payload);
+    return id;
+  }
+  const docRef = await addDoc(profilesRef(user), { ...payload, createdAt: new Date() });
+  return docRef.id;
+};
+
+/**
+ * Delete a mapping profile
+ * @param {Object} user - Firebase user object
+ * @param {string} profileId - Profile document ID
+ */
+export const deleteImportProfile = async (user, profileId) => {
+  if (!user || !db) return;
+  await deleteDoc(doc(profilesRef(user), profileId));
+};
+
+// ==================== RESOLUTION ====================
+
+/**
+ * Asset fields from an /api/search result (same rules as the ticker search in AssetForm)
+ * @param {Object} result - SearchResult
+ * @returns {Object} { apiId, symbol, name, currency, marketDataSource, assetType, securityId }
+ */
+export const searchResultToAsset = (result) => {
+  const marketDataSource = result.provider === 'coingecko'
+    ? 'coingecko'
+    : result.provider === 'tase-local' ? 'tase-local' : 'yahoo';
+  const assetType = result.type === 'crypto'
+    ? 'CRYPTO'
+    : result.type === 'index' ? 'INDEX' : result.type === 'etf' ? 'ETF' : 'STOCK';
+  const apiId = resolveInternalId(result.id, marketDataSource === 'tase-local' ? 'tase' : null);
+
+  return {
+    apiId,
+    symbol: result.symbol || '',
+    name: result.name || result.symbol || '',
+    currency: result.currency || 'USD',
+    marketDataSource,
+    assetType,
+    ...(apiId?.startsWith('tase:') && { securityId: apiId.replace('tase:', '') }),
+  };
+};
+
+/**
+ * Pick the search result that is the same security as the record - by security number
+ * or exact ticker (a `.TA` suffix is ignored). A name-only record is accepted when the
+ * search returns a single match.
+ * @param {Object} record - Import record
+ * @param {Array} results - /api/search results
+ * @returns {Object|null}
+ */
+const pickSearchResult = (record, results) => {
+  const bare = (symbol) => String(symbol || '').toUpperCase().replace(/\.TA$/, '');
+  if (record.securityId) {
+    const bySecurity = results.find(r => r.extra?.securityNumber === record.securityId || r.id === `tase:${record.securityId}`);
+    if (bySecurity) return bySecurity;
+  }
+  if (record.symbol) {
+    const matches = results.filter(r => bare(r.symbol) === bare(record.symbol));
+    // Prefer a listing in the statement's currency (e.g. a dual-listed ticker)
+    return matches.find(r => r.currency === record.currency) || matches[0] || null;
+  }
+  return results.length === 1 ? results[0] : null;
+};
+
+/**
+ * Resolve each distinct security in the records to an internal ID via /api/search
+ * @param {Array<Object>} records - Valid import records
+ * @param {Function} onProgress - Called with (done, total)
+ * @returns {Promise<Object>} { [importKey]: { status: 'resolved', asset } | { status: 'unresolved', candidates } }
+ */
+export const resolveImportRecords = async (records, onProgress = () => { }) => {
+  const byKey = new Map();
+  records.forEach(record => {
+    const key = getImportKey(record);
+    if (key && !byKey.has(key)) byKey.set(key, record);
+  });
+
+  const entries = Array.from(byKey.entries());
+  const resolutions = {};
+  let done = 0;
+
+  for (let i = 0; i < entries.length; i += SEARCH_CONCURRENCY) {
+    await Promise.all(entries.slice(i, i + SEARCH_CONCURRENCY).map(async ([key, record]) => {
+      const queries = [record.securityId, record.symbol, record.name].filter(Boolean);
+      let candidates = [];
+      try {
+        for (const q of queries) {
+          const results = await searchAssets(q);
+          const match = pickSearchResult(record, results);
+          if (match) {
+            resolutions[key] = { status: 'resolved', asset: searchResultToAsset(match) };
+            return;
+          }
+          if (!candidates.length) candidates = results.slice(0, 5);
+        }
+      } catch (error) {
+        console.error('[importService] Search failed for', key, error);
+      } finally {
+        done++;
+        onProgress(done, entries.length);
+      }
+      if (!resolutions[key]) resolutions[key] = { status: 'unresolved', candidates };
+    }));
+  }
+
+  return resolutions;
+};
+
+// ==================== PLAN ====================
+
+/**
+ * Group records per security and match them against the existing portfolio.
+ *
+ * Item status:
+ * - 'new'        - a new asset is created
+ * - 'merge'      - transactions mode, the asset exists; new trades are added to its ledger
+ * - 'duplicate'  - holdings mode, the asset already exists (skipped)
+ * - 'unresolved' - no internal ID (skipped until a candidate is chosen)
+ *
+ * @param {Array<Object>} records - markDuplicateRows output (invalid rows are left out)
+ * @param {Object} resolutions - resolveImportRecords output
+ * @param {Array} assets - Current assets (with `transactions` overlay)
+ * @param {string} mode - 'holdings' | 'transactions'
+ * @param {string} [platform] - Platform the statement belongs to. The same security held at
+ *   another platform is a different asset; without a platform any holding of it matches
+ * @returns {Array<Object>} Items: { key, status, asset, existing, records, skipped }
+ */
+export const buildImportPlan = (records, resolutions, assets, mode, platform = '') => {
+  const existingByKey = new Map();
+  const matchKey = (id, assetPlatform) => (platform ? `${id}|${assetPlatform || ''}` : id);
+  assets.forEach(asset => {
+    const id = resolveInternalId(asset);
+    const key = id && matchKey(id, asset.platform);
+    if (key && !existingByKey.has(key)) existingByKey.set(key, asset);
+  });
+
+  const groups = new Map();
+  records.forEach(record => {
+    if (record.errors.length) return;
+    if (!groups.has(record.key)) groups.set(record.key, []);
+    groups.get(record.key).push(record);
+  });
+
+  return Array.from(groups.entries()).map(([key, group]) => {
+    const resolution = resolutions[key];
+    if (resolution?.status !== 'resolved') {
+      return { key, status: 'unresolved', asset: null, existing: null, records: group, skipped: [], candidates: resolution?.candidates || [] };
+    }
+
+    const asset = resolution.asset;
+    const existing = existingByKey.get(matchKey(asset.apiId, platform)) || null;
+    if (existing && mode === 'holdings') {
+      return { key, status: 'duplicate', asset, existing, records: [], skipped: group };
+    }
+
+    // Trades already in the ledger (or repeated in the file) are skipped
+    const known = new Set((existing?.transactions || []).map(getTradeFingerprint));
+    const fresh = group.filter(r => !r.duplicateOf && !known.has(getTradeFingerprint(r)));
+    const skipped = group.filter(r => !fresh.includes(r));
+    return { key, status: existing ? 'merge' : 'new', asset, existing, records: fresh, skipped };
+  });
+};
+
+// ==================== WRITE ====================
+
+/**
+ * An existing asset without a ledger gets an opening entry from its quantity/price
+ * before imported trades are added (see TransactionLedger)
+ * @param {Object} item - Plan item
+ * @returns {boolean}
+ */
+export const needsOpeningBalance = (item) =>
+  item.status === 'merge' && !item.existing?.transactions?.length && Number(item.existing?.quantity) > 0;
+
+const toTransaction = (record, note) => ({
+  type: record.type,
+  date: record.date,
+  quantity: Math.abs(Number(record.quantity) || 0),
+  price: Number(record.price) || 0,
+  fee: Math.abs(Number(record.fee) || 0),
+  note,
+});
+
+/**
+ * Write an import plan to Firestore in batches.
+ * Holdings become QUANTITY assets; transactions go to each asset's ledger and the
+ * derived position is written on the asset document (as syncAssetPosition does).
+ * @param {Object} user - Firebase user object
+ * @param {Array<Object>} plan - buildImportPlan output
+ * @param {Object} options - { mode, platform, defaultMethod, note, instrumentFor, categoryFor }
+ * @returns {Promise<{assets: number, transactions: number}>}
+ */
+export const commitImportPlan = async (user, plan, options) => {
+  if (!user || !db) throw new Error('User or database not available');
+
+  const { mode, platform, defaultMethod, note = 'ייבוא מדוח ברוקר', instrumentFor, categoryFor } = options;
+  const assetsRef = collection(db, 'artifacts', appId, 'users', user.uid, 'assets');
+
+  let batch = writeBatch(db);
+  let ops = 0;
+  const counts = { assets: 0, transactions: 0 };
+
+  const queue = async (apply) => {
+    apply(batch);
+    ops++;
+    if (ops >= BATCH_LIMIT) {
+      await batch.commit();
+      batch = writeBatch(db);
+      ops = 0;
+    }
+  };
+
+  for (const item of plan) {
+    if ((item.status !== 'new' && item.status !== 'merge') || item.records.length === 0) continue;
+
+    const assetRef = item.existing ? doc(assetsRef, item.existing.id) : doc(assetsRef);
+    const first = item.records[0];
+    const currency = first.currency || item.asset.currency;
+
+    if (mode === 'holdings') {
+      const quantity = item.records.reduce((sum, r) => sum + r.quantity, 0);
+      const cost = item.records.reduce((sum, r) => sum + r.quantity * r.price, 0);
+      await queue(b => b.set(assetRef, {
+        name: first.name || item.asset.name,
+        symbol: item.asset.symbol,
+        apiId: item.asset.apiId,
+        marketDataSource: item.asset.marketDataSource,
+        ...(item.asset.securityId && { securityId: item.asset.securityId }),
+        instrument: instrumentFor(item.asset),
+        platform,
+        category: categoryFor(item.asset),
+        subcategory: 'אחר',
+        currency,
+        tags: [],
+        assetType: item.asset.assetType,
+        assetMode: 'QUANTITY',
+        quantity,
+        purchasePrice: quantity > 0 ? cost / quantity : 0,
+        purchaseDate: item.records.map(r => r.date).filter(Boolean).sort()[0] || null,
+        originalValue: cost,
+      }));
+      counts.assets++;
+      continue;
+    }
+
+    const transactions = item.records.map(r => toTransaction(r, note));
+    // First ledger entries on a legacy position - open it first, as the ledger form does
+    if (needsOpeningBalance(item)) {
+      transactions.unshift({
+        type: 'buy',
+        date: item.existing.purchaseDate || transactions.map(tx => tx.date).sort()[0],
+        quantity: Number(item.existing.quantity),
+        price: Number(item.existing.purchasePrice) || 0,
+        fee: 0,
+        note: 'יתרת פתיחה',
+      });
+    }
+    for (const tx of transactions) {
+      await queue(b => b.set(doc(collection(assetRef, 'transactions')), { ...tx, createdAt: new Date(), updatedAt: new Date() }));
+      counts.transactions++;
+    }
+
+    const position = derivePosition(
+      [...(item.existing?.transactions || []), ...transactions],
+      item.existing?.costBasisMethod || defaultMethod
+    );
+    const positionFields = {
+      hasTransactions: true,
+      quantity: position.quantity,
+      purchasePrice: position.avgCost,
+      purchaseDate: position.firstDate,
+      originalValue: position.costBasis,
+    };
+
+    if (item.existing) {
+      await queue(b => b.update(assetRef, positionFields));
+    } else {
+      await queue(b => b.set(assetRef, {
+        name: first.name || item.asset.name,
+        symbol: item.asset.symbol,
+        apiId: item.asset.apiId,
+        marketDataSource: item.asset.marketDataSource,
+        ...(item.asset.securityId && { securityId: item.asset.securityId }),
+        instrument: instrumentFor(item.asset),
+        platform,
+        category: categoryFor(item.asset),
+        subcategory: 'אחר',
+        currency,
+        tags: [],
+        assetType: item.asset.assetType,
+        assetMode: 'QUANTITY',
+        ...positionFields,
+      }));
+      counts.assets++;
+    }
+  }
+
+  if (ops > 0) await batch.commit();
+  return counts;
+};
@@ -0,0 +1,227 @@
+import { collection, addDoc, updateDoc, deleteDoc, doc, getDocs, onSnapshot, query, where, writeBatch } from 'firebase/firestore';
+import { db, appId } from './firebase';
+import { getDividendHistory } from './backendApi';
+import { resolveInternalId } from './internalIds';
+import { getQuantityAtDate } from './transactionService';
+
+/**
+ * Service for income events (dividends, interest, distributions, rent) and the
+ * expenses of income-producing assets (maintenance, property tax, management fees).
+ *
+ * Path: artifacts/{appId}/users/{uid}/income/{eventId}
+ *
+ * One collection for the whole portfolio (not a subcollection per asset) so the
+ * income page and summaries can read everything with a single query.
+ *
+ * Expenses are stored with positive amounts; INCOME_TYPES marks them as `outflow`
+ * and getSignedNet gives the signed cash flow.
+ *
+ * Event shape:
+ * {
+ *   assetId: string,
+ *   type: 'dividend' | 'interest' | 'distribution' | 'rent' | 'expense',
+ *   date: 'YYYY-MM-DD',      // ex-date for backfilled dividends, pay date for manual entries
+ *   currency: 'ILS' | 'USD',  // payout currency
+ *   gross: number,
+ *   withholding: number,      // tax withheld at source (0 for expenses)
+ *   net: number,              // gross - withholding
+ *   perShare: number | null,
+ *   quantity: number | null,  // units that received the payout
+ *   source: 'manual' | 'yahoo',
+ *   note: string,
+ *   createdAt: Date
+ * }
+ */
+
+// ==================== CONSTANTS ====================
+
+export const INCOME_TYPES = {
+  dividend: { label: 'דיבידנד' },
+  interest: { label: 'ריבית' },
+  distribution: { label: 'חלוקה' },
+  rent: { label: 'שכר דירה' },
+  expense: { label: 'הוצאה', outflow: true },
+};
+
+/** Withholding applied to backfilled dividends (25% - Israeli residents, also the US treaty rate) */
+export const DEFAULT_WITHHOLDING_RATE = 0.25;
+
+const incomeRef = (user) =>
+  collection(db, 'artifacts', appId, 'users', user.uid, 'income');
+
+const toDateKey = (ms) => new Date(ms).toISOString().split('T')[0];
+
+/**
+ * Net cash flow of an event - negative for expenses
+ * @param {Object} event - Income event
+ * @returns {number} In the event currency
+ */
+export const getSignedNet = (event) =>
+  (INCOME_TYPES[event.type]?.outflow ? -1 : 1) * (Number(event.net) || 0);
+
+// ==================== FIRESTORE ====================
+
+/**
+ * Subscribe to all income events (real-time), newest first
+ * @param {Object} user - Firebase user object
+ * @param {Function} callback - Receives the event array
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToIncome = (user, callback) => {
+  if (!user || !db) return () => { };
+
+  return onSnapshot(incomeRef(user), (snapshot) => {
+    const items = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+    items.sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+    callback(items);
+  }, (error) => {
+    console.error('[incomeService] Snapshot error:', error);
+    callback([]);
+  });
+};
+
+/**
+ * Normalize amounts: net defaults to gross - withholding
+ * @param {Object} event - Raw form values
+ * @returns {Object} Event ready to store
+ */
+export const normalizeIncomeEvent = (event) => {
+  const gross = Math.abs(Number(event.gross) || 0);
+  const withholding = INCOME_TYPES[event.type]?.outflow ? 0 : Math.min(Math.abs(Number(event.withholding) || 0), gross);
+  const net = event.net !== undefined && event.net !== '' && event.net !== null
+    ? Math.abs(Number(event.net) || 0)
+    : gross - withholding;
+
+  return {
+    assetId: event.assetId,
+    type: INCOME_TYPES[event.type] ? event.type : 'dividend',
+    date: event.date,
+    currency: event.currency || 'ILS',
+    gross,
+    withholding,
+    net,
+    perShare: Number(event.perShare) || null,
+    quantity: Number(event.quantity) || null,
+    source: event.source || 'manual',
+    note: event.note || '',
+  };
+};
+
+/**
+ * Add or update an income event
+ * @param {Object} user - Firebase user object
+ * @param {Object} event - Event (with `id` to update)
+ * @returns {Promise<string>} Event ID
+ */
+export const saveIncomeEvent = async (user, event) => {
+  if (!user || !db) throw new Error('User or database not available');
+  if (!event.assetId || !event.date) throw new Error('Income event requires an asset and a date');
+
+  const payload = { ...normalizeIncomeEvent(event), updatedAt: new Date() };
+
+  if (event.id) {
+    await updateDoc(doc(incomeRef(user), event.id), payload);
+    return event.id;
+  }
+  const docRef = await addDoc(incomeRef(user), { ...payload, createdAt: new Date() });
+  return docRef.id;
+};
+
+/**
+ * Delete an income event
+ * @param {Object} user - Firebase user object
+ * @param {string} eventId - Event document ID
+ */
+export const deleteIncomeEvent = async (user, eventId) => {
+  if (!user || !db) return;
+  await deleteDoc(doc(incomeRef(user), eventId));
+};
+
+/**
+ * Delete every income event of an asset (called when the asset is deleted)
+ * @param {Object} user - Firebase user object
+ * @param {string} assetId - Asset document ID
+ */
+export const deleteAssetIncome = async (user, assetId) => {
+  if (!user || !db || !assetId) return;
+  const snapshot = await getDocs(query(incomeRef(user), where('assetId', '==', assetId)));
+  if (snapshot.empty) return;
+
+  let batch = writeBatch(db);
+  let ops = 0;
+  for (const d of snapshot.docs) {
+    batch.delete(d.ref);
+    ops++;
+    if (ops >= 490) {
+      await batch.commit();
+      batch = writeBatch(db);
+      ops = 0;
+    }
+  }
+  if (ops > 0) await batch.commit();
+};
+
+// ==================== BACKFILL ====================
+
+/**
+ * Backfill dividend history for an asset from Yahoo (chart events=div).
+ * Gross = dividend per share × units held on the ex-date; events already
+ * recorded for the same asset and date are skipped.
+ * @param {Object} user - Firebase user object
+ * @param {Object} asset - QUANTITY asset (with `transactions` when it has a ledger)
+ * @param {Array} existingEvents - Income events already stored
+ * @param {Object} options - { withholdingRate, range }
+ * @returns {Promise<number>} Number of events added
+ */
+export const backfillDividends = async (user, asset, existingEvents = [], options = {}) => {
+  if (!user || !db) throw new Error('User or database not available');
+
+  const { withholdingRate = DEFAULT_WITHHOLDING_RATE, range = '5y' } = options;
+  const internalId = resolveInternalId(asset);
+  const history = await getDividendHistory(internalId, range);
+  if (!history?.dividends?.length) return 0;
+
+  const knownDates = new Set(
+    existingEvents.filter(e => e.assetId === asset.id).map(e => e.date)
+  );
+
+  let batch = writeBatch(db);
+  let ops = 0;
+  let added = 0;
+
+  for (const dividend of history.dividends) {
+    const date = toDateKey(dividend.t);
+    if (knownDates.has(date)) continue;
+
+    const quantity = getQuantityAtDate(asset, date);
+    if (quantity <= 0) continue;
+
+    const gross = dividend.amount * quantity;
+    const withholding = gross * withholdingRate;
+    batch.set(doc(incomeRef(user)), {
+      ...normalizeIncomeEvent({
+        assetId: asset.id,
+        type: 'dividend',
+        date,
+        currency: history.currency || asset.currency || 'USD',
+        gross,
+        withholding,
+        perShare: dividend.amount,
+        quantity,
+        source: 'yahoo',
+      }),
+      createdAt: new Date(),
+    });
+    ops++;
+    added++;
+
+    if (ops >= 490) {
+      await batch.commit();
+      batch = writeBatch(db);
+      ops = 0;
+    }
+  }
+
+  if (ops > 0) await batch.commit();
+  return added;
+};
@@ -0,0 +1,138 @@
+import { collection, addDoc, updateDoc, deleteDoc, doc, onSnapshot } from 'firebase/firestore';
+import { db, appId } from './firebase';
+
+/**
+ * Service for liabilities (mortgages, loans, margin and credit lines).
+ *
+ * Path: artifacts/{appId}/users/{uid}/liabilities/{liabilityId}
+ *
+ * Only the loan terms are stored - balances and the amortization schedule are
+ * derived on the client (see utils/liabilities).
+ *
+ * Liability shape:
+ * {
+ *   name: string,
+ *   type: 'mortgage' | 'loan' | 'car' | 'margin' | 'credit' | 'other',
+ *   lender: string,
+ *   currency: 'ILS' | 'USD' | ...,
+ *   principal: number,             // amount borrowed, in `currency`
+ *   startDate: 'YYYY-MM-DD',       // first payment is a month later
+ *   termMonths: number,            // 0 = open-ended (margin / credit line, interest only)
+ *   rate: number,                  // annual %; for prime-linked loans the margin over prime
+ *   indexation: 'none' | 'prime' | 'cpi',
+ *   primeRate: number,             // annual % used for prime-linked loans
+ *   expectedInflation: number,     // annual %, CPI months that are not published yet
+ *   amortization: 'spitzer' | 'equal-principal' | 'bullet',
+ *   note: string,
+ *   createdAt: Date
+ * }
+ */
+
+// ==================== CONSTANTS ====================
+
+export const LIABILITY_TYPES = {
+  mortgage: { label: 'משכנתא', color: '#ef4444' },
+  loan: { label: 'הלוואה', color: '#f59e0b' },
+  car: { label: 'הלוואת רכב', color: '#8b5cf6' },
+  margin: { label: 'מרג\'ין', color: '#ec4899' },
+  credit: { label: 'מסגרת אשראי', color: '#6366f1' },
+  other: { label: 'אחר', color: '#64748b' },
+};
+
+export const INDEXATION_TYPES = {
+  none: { label: 'קבועה לא צמודה' },
+  prime: { label: 'פריים + מרווח' },
+  cpi: { label: 'צמודה למדד' },
+};
+
+export const AMORTIZATION_METHODS = {
+  spitzer: { label: 'שפיצר (החזר חודשי קבוע)' },
+  'equal-principal': { label: 'קרן שווה' },
+  bullet: { label: 'בלון (ריבית בלבד, קרן בסוף)' },
+};
+
+/** Bank of Israel rate + 1.5% - default for new prime-linked loans */
+export const DEFAULT_PRIME_RATE = 6.0;
+
+/** Annual inflation assumed for CPI months not yet published */
+export const DEFAULT_EXPECTED_INFLATION = 2.5;
+
+const liabilitiesRef = (user) =>
+  collection(db, 'artifacts', appId, 'users', user.uid, 'liabilities');
+
+// ==================== FIRESTORE ====================
+
+/**
+ * Subscribe to all liabilities (real-time), oldest loan first
+ * @param {Object} user - Firebase user object
+ * @param {Function} callback - Receives the liability array
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToLiabilities = (user, callback) => {
+  if (!user || !db) return () => { };
+
+  return onSnapshot(liabilitiesRef(user), (snapshot) => {
+    const items = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+    items.sort((a, b) => (a.startDate || '').localeCompare(b.startDate || ''));
+    callback(items);
+  }, (error) => {
+    console.error('[liabilityService] Snapshot error:', error);
+    callback([]);
+  });
+};
+
+/**
+ * Normalize form values: numbers, known enum values, open-ended loans are interest only
+ * @param {Object} liability - Raw form values
+ * @returns {Object} Liability ready to store
+ */
+export const normalizeLiability = (liability) => {
+  const termMonths = Math.max(0, Math.round(Number(liability.termMonths) || 0));
+  const indexation = INDEXATION_TYPES[liability.indexation] ? liability.indexation : 'none';
+
+  return {
+    name: (liability.name || '').trim(),
+    type: LIABILITY_TYPES[liability.type] ? liability.type : 'other',
+    lender: (liability.lender || '').trim(),
+    currency: liability.currency || 'ILS',
+    principal: Math.abs(Number(liability.principal) || 0),
+    startDate: liability.startDate,
+    termMonths,
+    rate: Number(liability.rate) || 0,
+    indexation,
+    primeRate: indexation === 'prime' ? Number(liability.primeRate ?? DEFAULT_PRIME_RATE) || 0 : null,
+    expectedInflation: indexation === 'cpi' ? Number(liability.expectedInflation ?? DEFAULT_EXPECTED_INFLATION) || 0 : null,
+    amortization: termMonths === 0 || !AMORTIZATION_METHODS[liability.amortization] ? 'bullet' : liability.amortization,
+    note: liability.note || '',
+  };
+};
+
+/**
+ * Add or update a liability
+ * @param {Object} user - Firebase user object
+ * @param {Object} liability - Liability (with `id` to update)
+ * @returns {Promise<string>} Liability ID
+ */
+export const saveLiability = async (user, liability) => {
+  if (!user || !db) throw new Error('User or database not available');
+  if (!liability.name?.trim() || !liability.startDate) throw new Error('Liability requires a name and a start date');
+
+  const payload = { ...normalizeLiability(liability), updatedAt: new Date() };
+
+  if (liability.id) {
+    await updateDoc(doc(liabilitiesRef(user), liability.id), payload);
+    return liability.id;
+  }
+  const docRef = await addDoc(liabilitiesRef(user), { ...payload, createdAt: new Date() });
+  return docRef.id;
+};
+
+/**
+ * Delete a liability
+ * @param {Object} user - Firebase user object
+ * @param {string} liabilityId - Liability document ID
+ */
+export const deleteLiability = async (user, liabilityId) => {
+  if (!user || !db) return;
+  await deleteDoc(doc(liabilitiesRef(user), liabilityId));
+};
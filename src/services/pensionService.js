@@ -0,0 +1,181 @@
+import { collection, doc, writeBatch } from 'firebase/firestore';
+import { db, appId } from './firebase';
+import { PENSION_PRODUCT_TYPES } from '../utils/pensionXml';
+
+/**
+ * Service for importing pension clearing house files (see utils/pensionXml for parsing).
+ *
+ * Each account is a LEGACY asset whose value (`originalValue`) is the reported balance,
+ * with the clearing house details under `pension`:
+ * {
+ *   accountId: 'providerId:accountNumber',  // matches the account on the next import
+ *   providerName, providerId, accountNumber, planName,
+ *   productType: 'pension' | 'provident' | 'study',
+ *   trackName, tracks: [{ code, name, balance }],
+ *   fees: { deposit, balance },                        // % from deposits / % from savings
+ *   contributions: { employee, employer, severance },  // as reported in the file
+ *   valuationDate: 'YYYY-MM-DD',
+ *   importedAt: Date
+ * }
+ *
+ * Every import also writes a valuation point:
+ * artifacts/{appId}/users/{uid}/assets/{assetId}/valuations/{YYYY-MM-DD}
+ * { date, value, currency, source: 'pension-xml', note, trackName, fees, contributions, createdAt }
+ * The date is the document ID, so importing the same file twice does not add a point.
+ * The asset's `valuation` summary follows the newest point (see services/valuationService).
+ */
+
+// ==================== CONSTANTS ====================
+
+/** Firestore batch limit is 500 writes - keep a margin like the other batch writers */
+const BATCH_LIMIT = 490;
+
+// ==================== PLAN ====================
+
+/**
+ * Match parsed accounts against the portfolio.
+ *
+ * Item status:
+ * - 'new'    - a new asset is created
+ * - 'update' - the asset's balance and details are replaced by the file
+ * - 'older'  - the file is older than the asset's last import; only the valuation point is added
+ *
+ * @param {Array<Object>} accounts - parsePensionXml accounts (from one or more files)
+ * @param {Array} assets - Current assets
+ * @param {Object} links - { [account.key]: assetId } chosen by the user for accounts not imported before
+ * @returns {Array<Object>} Items: { account, status, existing }
+ */
+export const buildPensionPlan = (accounts, assets, links = {}) => {
+  const byAccountId = new Map(assets.filter(a => a.pension?.accountId).map(a => [a.pension.accountId, a]));
+
+  // The same account in two files - keep the latest valuation
+  const latest = new Map();
+  accounts.forEach(account => {
+    const current = latest.get(account.key);
+    if (!current || (account.valuationDate || '') > (current.valuationDate || '')) latest.set(account.key, account);
+  });
+
+  return Array.from(latest.values()).map(account => {
+    const existing = byAccountId.get(account.key)
+      || (links[account.key] && assets.find(a => a.id === links[account.key]))
+      || null;
+    const isOlder = existing?.pension?.valuationDate && account.valuationDate
+      && account.valuationDate < existing.pension.valuationDate;
+    return { account, status: existing ? (isOlder ? 'older' : 'update') : 'new', existing };
+  });
+};
+
+/**
+ * Display name for a new asset, e.g. "קרן השתלמות - מיטב"
+ * @param {Object} account
+ * @returns {string}
+ */
+export const getPensionAssetName = (account) =>
+  `${account.planName || PENSION_PRODUCT_TYPES[account.productType].label} - ${account.providerName}`;
+
+// ==================== WRITE ====================
+
+const toPensionFields = (account) => ({
+  accountId: account.key,
+  providerName: account.providerName,
+  providerId: account.providerId || null,
+  accountNumber: account.accountNumber || null,
+  planName: account.planName || null,
+  productType: account.productType,
+  trackName: account.trackName || null,
+  tracks: account.tracks,
+  fees: account.fees,
+  contributions: account.contributions,
+  valuationDate: account.valuationDate || null,
+  importedAt: new Date(),
+});
+
+/**
+ * Write a pension import plan to Firestore in batches
+ * @param {Object} user - Firebase user object
+ * @param {Array<Object>} plan - buildPensionPlan output
+ * @param {Object} options - { platformFor(account), category, note }
+ * @returns {Promise<{created: number, updated: number, valuations: number}>}
+ */
+export const commitPensionPlan = async (user, plan, options) => {
+  if (!user || !db) throw new Error('User or database not available');
+
+  const { platformFor, category, note = 'ייבוא מהמסלקה הפנסיונית' } = options;
+  const assetsRef = collection(db, 'artifacts', appId, 'users', user.uid, 'assets');
+
+  let batch = writeBatch(db);
+  let ops = 0;
+  const counts = { created: 0, updated: 0, valuations: 0 };
+
+  const queue = async (apply) => {
+    apply(batch);
+    ops++;
+    if (ops >= BATCH_LIMIT) {
+      await batch.commit();
+      batch = writeBatch(db);
+      ops = 0;
+    }
+  };
+
+  for (const { account, status, existing } of plan) {
+    const assetRef = existing ? doc(assetsRef, existing.id) : doc(assetsRef);
+
+    if (status === 'new') {
+      await queue(b => b.set(assetRef, {
+        name: getPensionAssetName(account),
+        symbol: '',
+        apiId: '',
+        marketDataSource: 'manual',
+        instrument: PENSION_PRODUCT_TYPES[account.productType].instrument,
+        platform: platformFor(account),
+        category,
+        subcategory: 'אחר',
+        currency: 'ILS',
+        tags: ['פנסיוני'],
+        assetType: 'MANUAL',
+        assetMode: 'LEGACY',
+        originalValue: account.balance,
+        quantity: null,
+        purchasePrice: null,
+        purchaseDate: null,
+        pension: toPensionFields(account),
+        ...(account.valuationDate ? { valuation: { date: account.valuationDate, value: account.balance } } : {}),
+      }));
+      counts.created++;
+    } else if (status === 'update') {
+      // Name, platform and category stay as the user set them
+      await queue(b => b.update(assetRef, {
+        assetMode: 'LEGACY',
+        currency: 'ILS',
+        originalValue: account.balance,
+        quantity: null,
+        purchasePrice: null,
+        purchaseDate: null,
+        pension: toPensionFields(account),
+        // An older file does not roll back a newer revaluation
+        ...(account.valuationDate && !(existing.valuation?.date > account.valuationDate)
+          ? { 'valuation.date': account.valuationDate, 'valuation.value': account.balance }
+          : {}),
+      }));
+      counts.updated++;
+    }
+
+    if (account.valuationDate) {
+      await queue(b => b.set(doc(assetRef, 'valuations', account.valuationDate), {
+        date: account.valuationDate,
+        value: account.balance,
+        currency: 'ILS',
+        source: 'pension-xml',
+        note,
+        trackName: account.trackName || null,
+        fees: account.fees,
+        contributions: account.contributions,
+        createdAt: new Date(),
+      }));
+      counts.valuations++;
+    }
+  }
+
+  if (ops > 0) await batch.commit();
+  return counts;
+};
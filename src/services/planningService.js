@@ -0,0 +1,72 @@
+import { doc, onSnapshot, setDoc } from 'firebase/firestore';
+import { db, appId } from './firebase';
+
+/**
+ * Service for the retirement / FIRE plan inputs (see utils/monteCarlo).
+ *
+ * Path: artifacts/{appId}/users/{uid}/settings/planning
+ * {
+ *   currentAge, retirementAge, targetAge: number,
+ *   monthlyContribution: number,          // reporting currency, today's money
+ *   withdrawalRate: number,               // annual % of the value at retirement
+ *   inflation: number,                    // annual %
+ *   overrides: { [category]: { expectedReturn, volatility } }   // annual %, replace the history estimates
+ * }
+ */
+
+export const DEFAULT_PLAN = {
+  currentAge: 35,
+  retirementAge: 55,
+  targetAge: 90,
+  monthlyContribution: 0,
+  withdrawalRate: 4,
+  inflation: 2.5,
+  overrides: {},
+};
+
+const planRef = (user) =>
+  doc(db, 'artifacts', appId, 'users', user.uid, 'settings', 'planning');
+
+/**
+ * Subscribe to the saved plan (real-time)
+ * @param {Object} user - Firebase user object
+ * @param {Function} callback - Receives the plan (defaults when none is saved)
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToPlan = (user, callback) => {
+  if (!user || !db) return () => { };
+
+  return onSnapshot(planRef(user), (snapshot) => {
+    callback({ ...DEFAULT_PLAN, ...(snapshot.exists() ? snapshot.data() : {}) });
+  }, (error) => {
+    console.error('[planningService] Snapshot error:', error);
+    callback(DEFAULT_PLAN);
+  });
+};
+
+/**
+ * Save the plan inputs
+ * @param {Object} user - Firebase user object
+ * @param {Object} plan
+ */
+export const savePlan = async (user, plan) => {
+  if (!user || !db) throw new Error('User or database not available');
+
+  const overrides = Object.fromEntries(Object.entries(plan.overrides || {})
+    .map(([category, o]) => [category, {
+      expectedReturn: o.expectedReturn === '' || o.expectedReturn == null ? null : Number(o.expectedReturn),
+      volatility: o.volatility === '' || o.volatility == null ? null : Math.abs(Number(o.volatility)),
+    }])
+    .filter(([, o]) => o.expectedReturn !== null || o.volatility !== null));
+
+  await setDoc(planRef(user), {
+    currentAge: Number(plan.currentAge) || DEFAULT_PLAN.currentAge,
+    retirementAge: Number(plan.retirementAge) || DEFAULT_PLAN.retirementAge,
+    targetAge: Number(plan.targetAge) || DEFAULT_PLAN.targetAge,
+    monthlyContribution: Number(plan.monthlyContribution) || 0,
+    withdrawalRate: Number(plan.withdrawalRate) || 0,
+    inflation: Number(plan.inflation) || 0,
+    overrides,
+    updatedAt: new Date(),
+  });
+};
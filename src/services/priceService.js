@@ -19,7 +19,7 @@
 import { getQuotes, getHistory } from './backendApi';
 import { resolveInternalId } from './internalIds';
 import { fetchWithProxy } from '../utils/corsProxy';
-import { convertAmount } from './currency';
+import { convertAmount, convertAmountAtDate } from './currency';
 
 // ==================== CACHE ====================
 
@@ -464,8 +464,11 @@ export const fetchPriceHistory = async (asset, timeRange = '1M') => {
 /**
  * Fetch historical price for an asset on a specific date
  * Supports dates up to 5 years in the past
+ * @param {Object} asset
+ * @param {string|Date} date
+ * @param {string|null} targetCurrency - Convert at that date's exchange rate (default: native currency)
  */
-export const fetchAssetHistoricalPrice = async (asset, date) => {
+export const fetchAssetHistoricalPrice = async (asset, date, targetCurrency = null) => {
   if (!asset || !date) return null;
 
   const internalId = resolveInternalId(asset);
@@ -476,7 +479,7 @@ export const fetchAssetHistoricalPrice = async (asset, date) => {
 
   const targetDate = new Date(date);
   const dateStr = targetDate.toISOString().split('T')[0];
-  const cacheKey = `histprice:${internalId}:${dateStr}`;
+  const cacheKey = `histprice:${internalId}:${dateStr}${targetCurrency ? `:${targetCurrency}` : ''}`;
   const cachedData = getCached(cacheKey);
   if (cachedData) return cachedData;
 
@@ -501,19 +504,22 @@ export const fetchAssetHistoricalPrice = async (asset, date) => {
       range = '5d'; // Last 5 days
     }
 
-    const history = await getHistory(internalId, range, '1d');
-    if (!history?.points?.length) {
+    let history = await getHistory(internalId, range, '1d');
+    if (!history?.points?.length && range !== '5y') {
       // Try with longer range if no data found
-      if (range !== '5y') {
-        const fallbackHistory = await getHistory(internalId, '5y', '1d');
-        if (fallbackHistory?.points?.length) {
-          return findClosestPrice(fallbackHistory.points, targetDate, cacheKey);
-        }
-      }
-      return null;
+      history = await getHistory(internalId, '5y', '1d');
     }
+    if (!history?.points?.length) return null;
+
+    const price = findClosestPrice(history.points, targetDate);
+    if (price === null) return null;
 
-    return findClosestPrice(history.points, targetDate, cacheKey);
+    const sourceCurrency = history.currency || asset.currency || 'USD';
+    const result = targetCurrency
+      ? await convertAmountAtDate(price, sourceCurrency, targetCurrency, dateStr)
+      : price;
+    if (result !== null) setCache(cacheKey, result);
+    return result;
   } catch (error) {
     console.error('[fetchAssetHistoricalPrice] Error:', error);
     return null;
@@ -523,7 +529,7 @@ export const fetchAssetHistoricalPrice = async (asset, date) => {
 /**
  * Helper: Find closest price point to target date
  */
-function findClosestPrice(points, targetDate, cacheKey) {
+function findClosestPrice(points, targetDate) {
   const targetTs = targetDate.getTime();
   let closest = null;
   let minDiff = Infinity;
@@ -538,7 +544,6 @@ function findClosestPrice(points, targetDate, cacheKey) {
 
   // Accept if within 7 days (for weekends/holidays)
   if (closest && minDiff < 7 * 24 * 60 * 60 * 1000) {
-    setCache(cacheKey, closest.v);
     return closest.v;
   }
   return null;
@@ -0,0 +1,230 @@
+import { doc, setDoc, addDoc, updateDoc, deleteDoc, onSnapshot, collection, query, orderBy, limit } from 'firebase/firestore';
+import { db, appId } from './firebase';
+
+/**
+ * Service for the rebalancing targets and their drift history.
+ *
+ * Paths:
+ *   artifacts/{appId}/users/{uid}/settings/rebalancing      - { groups, lastAnalysis }
+ *   artifacts/{appId}/users/{uid}/driftHistory/{YYYY-MM-DD}  - one entry per day
+ *   artifacts/{appId}/users/{uid}/modelPortfolios/{modelId}  - custom model portfolios
+ *
+ * Group shape:
+ * {
+ *   id, type: 'category' | 'subcategory' | 'platform' | 'instrument' | 'symbol' | 'tags' | 'currency' | 'hierarchy',
+ *   targets: { [item]: percent },                              // hierarchy: absolute leaf targets
+ *   levels: [type], tree: { [item]: { target, children } },    // hierarchy only (see utils/rebalancing)
+ *   band: { mode: 'absolute' | 'relative', value },           // tolerance of the whole group
+ *   itemBands: { [item]: { mode, value } }                     // per-item overrides
+ * }
+ *
+ * Drift is computed on the client (see utils/rebalancing); useRebalancingDrift keeps the
+ * day's entry up to date with the latest status, so breaches can be counted over time.
+ *
+ * Drift history entry:
+ * {
+ *   date: 'YYYY-MM-DD',
+ *   needsRebalancing: boolean,
+ *   breaches: number,
+ *   groups: { [groupId]: { type, breaches, maxDrift, breachedItems: [item] } },
+ *   updatedAt: Date
+ * }
+ *
+ * Model portfolio (built-in MODEL_PORTFOLIOS or a saved custom model):
+ * {
+ *   name: string,
+ *   description: string,
+ *   sleeves: [{
+ *     label: string,          // e.g. 'מניות ארה"ב'
+ *     item: string,           // target item the sleeve maps to by default (a category name)
+ *     proxy: string,          // internal ID whose /api/history series stands for the sleeve ('yahoo:VTI')
+ *     weight: number          // percent, sleeves sum to 100
+ *   }],
+ *   createdAt: Date
+ * }
+ */
+
+// ==================== CONSTANTS ====================
+
+export const MODEL_PORTFOLIOS = [
+  {
+    id: 'classic-60-40',
+    name: '60/40 קלאסי',
+    description: '60% מניות ו-40% אג"ח - תיק הבסיס המוכר',
+    sleeves: [
+      { label: 'מניות (שוק כולל)', item: 'מניות', proxy: 'yahoo:VTI', weight: 60 },
+      { label: 'אג"ח', item: 'אג"ח', proxy: 'yahoo:BND', weight: 40 },
+    ],
+  },
+  {
+    id: 'three-fund',
+    name: 'שלוש קרנות',
+    description: 'מניות ארה"ב, מניות בינלאומיות ואג"ח - בשיטת Bogleheads',
+    sleeves: [
+      { label: 'מניות ארה"ב', item: 'מניות', proxy: 'yahoo:VTI', weight: 42 },
+      { label: 'מניות בינלאומיות', item: 'מניות', proxy: 'yahoo:VXUS', weight: 18 },
+      { label: 'אג"ח', item: 'אג"ח', proxy: 'yahoo:BND', weight: 40 },
+    ],
+  },
+  {
+    id: 'all-weather',
+    name: 'All Weather',
+    description: 'תיק "לכל מזג אוויר" של ריי דליו - משקל גבוה לאג"ח ארוך, זהב וסחורות',
+    sleeves: [
+      { label: 'מניות', item: 'מניות', proxy: 'yahoo:VTI', weight: 30 },
+      { label: 'אג"ח ארוך', item: 'אג"ח', proxy: 'yahoo:TLT', weight: 40 },
+      { label: 'אג"ח בינוני', item: 'אג"ח', proxy: 'yahoo:IEF', weight: 15 },
+      { label: 'זהב', item: 'סחורות', proxy: 'yahoo:GLD', weight: 7.5 },
+      { label: 'סחורות', item: 'סחורות', proxy: 'yahoo:DBC', weight: 7.5 },
+    ],
+  },
+  {
+    id: 'permanent',
+    name: 'התיק הקבוע',
+    description: 'התיק של הארי בראון - רבעים שווים של מניות, אג"ח ארוך, זהב ומזומן',
+    sleeves: [
+      { label: 'מניות', item: 'מניות', proxy: 'yahoo:VTI', weight: 25 },
+      { label: 'אג"ח ארוך', item: 'אג"ח', proxy: 'yahoo:TLT', weight: 25 },
+      { label: 'זהב', item: 'סחורות', proxy: 'yahoo:GLD', weight: 25 },
+      { label: 'מזומן', item: 'מזומן', proxy: 'yahoo:BIL', weight: 25 },
+    ],
+  },
+];
+
+const DRIFT_HISTORY_DAYS = 365;
+
+const rebalancingRef = (user) =>
+  doc(db, 'artifacts', appId, 'users', user.uid, 'settings', 'rebalancing');
+
+const driftHistoryRef = (user) =>
+  collection(db, 'artifacts', appId, 'users', user.uid, 'driftHistory');
+
+const modelPortfoliosRef = (user) =>
+  collection(db, 'artifacts', appId, 'users', user.uid, 'modelPortfolios');
+
+// ==================== TARGETS ====================
+
+/**
+ * Subscribe to the rebalancing groups (legacy `targets` → a category group)
+ * @param {Object} user - Firebase user object
+ * @param {Function} callback - Receives the group array
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToRebalancingGroups = (user, callback) => {
+  if (!user || !db) return () => { };
+
+  return onSnapshot(rebalancingRef(user), (snapshot) => {
+    const data = snapshot.exists() ? snapshot.data() : {};
+    if (Array.isArray(data.groups)) callback(data.groups);
+    else callback(data.targets ? [{ id: 'category', type: 'category', targets: data.targets }] : []);
+  }, (error) => {
+    console.error('[rebalancingService] Snapshot error:', error);
+    callback([]);
+  });
+};
+
+// ==================== DRIFT HISTORY ====================
+
+/**
+ * Write today's drift entry (overwrites the day's previous status)
+ * @param {Object} user - Firebase user object
+ * @param {Object} status - getDriftStatus result
+ * @returns {Promise<void>}
+ */
+export const recordDriftStatus = async (user, status) => {
+  if (!user || !db) throw new Error('User or database not available');
+
+  const date = new Date().toLocaleDateString('en-CA');
+  await setDoc(doc(driftHistoryRef(user), date), {
+    date,
+    needsRebalancing: status.needsRebalancing,
+    breaches: status.breaches,
+    groups: Object.fromEntries(status.groups.map(group => [group.id, {
+      type: group.type,
+      breaches: group.breaches,
+      maxDrift: Math.round(group.maxDrift * 100) / 100,
+      breachedItems: group.items.filter(i => i.breached).map(i => i.item),
+    }])),
+    updatedAt: new Date(),
+  });
+};
+
+/**
+ * Subscribe to the drift history of the last year, oldest first
+ * @param {Object} user - Firebase user object
+ * @param {Function} callback - Receives the entry array
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToDriftHistory = (user, callback) => {
+  if (!user || !db) return () => { };
+
+  const q = query(driftHistoryRef(user), orderBy('date', 'desc'), limit(DRIFT_HISTORY_DAYS));
+  return onSnapshot(q, (snapshot) => {
+    callback(snapshot.docs.map(d => ({ id: d.id, ...d.data() })).reverse());
+  }, (error) => {
+    console.error('[rebalancingService] Drift history error:', error);
+    callback([]);
+  });
+};
+
+// ==================== MODEL PORTFOLIOS ====================
+
+/**
+ * Subscribe to the saved custom models (real-time), by name
+ * @param {Object} user - Firebase user object
+ * @param {Function} callback - Receives the model array
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToModelPortfolios = (user, callback) => {
+  if (!user || !db) return () => { };
+
+  return onSnapshot(modelPortfoliosRef(user), (snapshot) => {
+    const items = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+    items.sort((a, b) => (a.name || '').localeCompare(b.name || '', 'he'));
+    callback(items);
+  }, (error) => {
+    console.error('[rebalancingService] Model portfolios error:', error);
+    callback([]);
+  });
+};
+
+/**
+ * Create or update a custom model
+ * @param {Object} user - Firebase user object
+ * @param {Object} model - { id?, name, description, sleeves }
+ * @returns {Promise<string>} Model ID
+ */
+export const saveModelPortfolio = async (user, model) => {
+  if (!user || !db) throw new Error('User or database not available');
+
+  const data = {
+    name: (model.name || '').trim(),
+    description: (model.description || '').trim(),
+    sleeves: (model.sleeves || [])
+      .filter(sleeve => sleeve.proxy && Number(sleeve.weight) > 0)
+      .map(sleeve => ({
+        label: (sleeve.label || sleeve.item || sleeve.proxy).trim(),
+        item: (sleeve.item || '').trim(),
+        proxy: sleeve.proxy.trim(),
+        weight: Number(sleeve.weight),
+      })),
+  };
+
+  if (model.id) {
+    await updateDoc(doc(modelPortfoliosRef(user), model.id), data);
+    return model.id;
+  }
+  const ref = await addDoc(modelPortfoliosRef(user), { ...data, createdAt: new Date() });
+  return ref.id;
+};
+
+/**
+ * Delete a custom model
+ * @param {Object} user - Firebase user object
+ * @param {string} modelId
+ * @returns {Promise<void>}
+ */
+export const deleteModelPortfolio = async (user, modelId) => {
+  if (!user || !db) throw new Error('User or database not available');
+  await deleteDoc(doc(modelPortfoliosRef(user), modelId));
+};
@@ -0,0 +1,127 @@
+import { collection, doc, getDocs, orderBy, query, setDoc, serverTimestamp } from 'firebase/firestore';
+import { db, appId } from './firebase';
+import { getFxMatrix, convertWithMatrix } from './currency';
+import { resolveInternalId } from './internalIds';
+import { getValuationValue, getValuationCost } from '../utils/valuations';
+
+/**
+ * Service for daily portfolio snapshots (read by usePortfolioHistory)
+ *
+ * Path: artifacts/{appId}/users/{uid}/portfolioSnapshots/{YYYY-MM-DD}
+ *
+ * The document ID is the date key - writing the same day again replaces that day's
+ * snapshot, so the writer is idempotent. The server route (api/snapshot.ts) and the
+ * cron job write the same shape.
+ */
+
+/**
+ * Date key (YYYY-MM-DD) in Israel time - the same day boundary as the server writers
+ * (getSnapshotDateKey in api/_utils/snapshots.ts), whatever the browser's time zone
+ * @param {Date} date
+ * @returns {string}
+ */
+export const getSnapshotDateKey = (date = new Date()) => new Intl.DateTimeFormat('en-CA', {
+  timeZone: 'Asia/Jerusalem',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+}).format(date);
+
+/**
+ * Build a snapshot from the user's assets and the latest fetched prices
+ * @param {Array} assets - All assets (with ledger-derived quantities)
+ * @param {Object} prices - Live prices map keyed by internal ID (from fetchAssetPricesBatch)
+ * @param {number|null} fxRate - USD→ILS rate (null = resolve it; USD assets are flagged when none exists)
+ * @param {string} source - Writer identifier ('client' | 'server' | 'cron')
+ * @returns {Promise<Object>} Snapshot document (without timestamp)
+ */
+export const buildPortfolioSnapshot = async (assets, prices = {}, fxRate, source = 'client') => {
+  const entries = {};
+  let totalValue = 0;
+
+  const { rates } = await getFxMatrix(
+    assets.flatMap(asset => [asset.currency || 'ILS', prices[resolveInternalId(asset)]?.currency]),
+    'ILS',
+    fxRate ? { USD: fxRate } : {}
+  );
+
+  for (const asset of assets) {
+    const currency = asset.currency || 'ILS';
+    let nativeValue = 0;
+    let quantity = null;
+    let price = null;
+    let cost = 0;
+    let fxUnavailable = !rates[currency];
+
+    if (asset.assetMode === 'QUANTITY') {
+      quantity = Number(asset.quantity) || 0;
+      cost = quantity * (Number(asset.purchasePrice) || 0);
+      const livePrice = prices[resolveInternalId(asset)];
+      if (livePrice) {
+        price = convertWithMatrix(livePrice.currentPrice, livePrice.currency || 'USD', rates, currency);
+        if (price === null) fxUnavailable = true;
+      } else {
+        price = Number(asset.currentPrice) || Number(asset.purchasePrice) || 0;
+      }
+      nativeValue = quantity * (price || 0);
+    } else {
+      nativeValue = getValuationValue(asset);
+      // No recorded cost stays null - a cost equal to the value would turn revaluations into flows
+      cost = getValuationCost(asset);
+    }
+
+    // No rate for the asset's currency - keep it out of the total rather than count it 1:1
+    const value = fxUnavailable ? 0 : convertWithMatrix(nativeValue, currency, rates);
+    totalValue += value;
+    entries[asset.id] = {
+      name: asset.name || asset.symbol || asset.id,
+      value,
+      nativeValue,
+      currency,
+      quantity,
+      price,
+      cost,
+      platform: asset.platform || null,
+      ...(fxUnavailable ? { fxUnavailable: true } : {}),
+    };
+  }
+
+  return {
+    date: getSnapshotDateKey(),
+    totalValue,
+    assetsCount: assets.length,
+    assets: entries,
+    fxRate: fxRate || rates.USD || null,
+    currency: 'ILS',
+    source,
+  };
+};
+
+/**
+ * Write (or replace) the snapshot for its date key
+ * @param {Object} user - Firebase user object
+ * @param {Object} snapshot - Snapshot from buildPortfolioSnapshot
+ */
+export const writePortfolioSnapshot = async (user, snapshot) => {
+  if (!user || !db || !snapshot?.date) return;
+
+  await setDoc(
+    doc(db, 'artifacts', appId, 'users', user.uid, 'portfolioSnapshots', snapshot.date),
+    { ...snapshot, timestamp: serverTimestamp() }
+  );
+};
+
+/**
+ * Fetch every stored snapshot (oldest first) - input of the returns engine
+ * @param {Object} user - Firebase user object
+ * @returns {Promise<Array>} Snapshot documents
+ */
+export const fetchPortfolioSnapshots = async (user) => {
+  if (!user || !db) return [];
+
+  const snap = await getDocs(query(
+    collection(db, 'artifacts', appId, 'users', user.uid, 'portfolioSnapshots'),
+    orderBy('date', 'asc')
+  ));
+  return snap.docs.map(d => d.data());
+};
@@ -0,0 +1,300 @@
+import { collection, addDoc, updateDoc, deleteDoc, doc, getDoc, getDocs, onSnapshot, writeBatch } from 'firebase/firestore';
+import { db, appId } from './firebase';
+import { matchLots, sortTransactions, findOverSell, DEFAULT_COST_BASIS_METHOD } from '../utils/lotMatching';
+
+export { sortTransactions };
+
+/**
+ * Service for the per-asset transaction ledger.
+ *
+ * Path: artifacts/{appId}/users/{uid}/assets/{assetId}/transactions/{txId}
+ *
+ * Transaction shape:
+ * {
+ *   type: 'buy' | 'sell' | 'deposit' | 'withdrawal' | 'transfer_in' | 'transfer_out' | 'fee' | 'split',
+ *   date: 'YYYY-MM-DD',
+ *   quantity: number,   // units (always positive - direction comes from type)
+ *   price: number,      // per-unit price in the asset currency
+ *   fee: number,        // commission in the asset currency
+ *   ratio: number,      // split only - new units per old unit (2 = 2:1 split, 0.1 = 1:10 reverse split)
+ *   note: string,
+ *   createdAt: Date
+ * }
+ */
+
+// ==================== CONSTANTS ====================
+
+export const TRANSACTION_TYPES = {
+  buy: { label: 'קנייה', direction: 1 },
+  sell: { label: 'מכירה', direction: -1 },
+  deposit: { label: 'הפקדה', direction: 1 },
+  withdrawal: { label: 'משיכה', direction: -1 },
+  transfer_in: { label: 'העברה נכנסת', direction: 1 },
+  transfer_out: { label: 'העברה יוצאת', direction: -1 },
+  fee: { label: 'עמלה', direction: -1 },
+  // Written by corporateActionService (split / reverse split / merger), not from the ledger form
+  split: { label: 'פיצול', direction: 0, system: true },
+};
+
+const transactionsRef = (user, assetId) =>
+  collection(db, 'artifacts', appId, 'users', user.uid, 'assets', assetId, 'transactions');
+
+// ==================== POSITION DERIVATION ====================
+
+/**
+ * Derive the current position of an asset from its transaction ledger.
+ *
+ * - buy / deposit / transfer_in open lots; buy commission is capitalized into the cost basis
+ * - sell closes lots (per the cost-basis method) and realizes the difference
+ * - withdrawal / transfer_out remove units at cost without realizing P/L
+ * - fee removes optional units (e.g. network fee) and is booked as a realized expense
+ *
+ * @param {Array} transactions - Ledger entries
+ * @param {string} method - Cost-basis method ('AVERAGE' | 'FIFO' | 'SPECIFIC')
+ * @returns {Object} { quantity, avgCost, costBasis, realizedPL, closedCost, totalFees, openLots, closedLots, firstDate, count }
+ */
+export const derivePosition = (transactions = [], method = DEFAULT_COST_BASIS_METHOD) => {
+  const sorted = sortTransactions(transactions);
+  return {
+    ...matchLots(sorted, method),
+    firstDate: sorted[0]?.date || null,
+    count: sorted.length,
+  };
+};
+
+/**
+ * Get the effective position of an asset - from its ledger when it has one,
+ * otherwise from the legacy single quantity/purchasePrice fields.
+ * A per-asset `costBasisMethod` overrides the user default.
+ * @param {Object} asset - Asset object (may carry a `transactions` array)
+ * @param {string} method - Default cost-basis method
+ * @returns {Object} Position (see derivePosition) plus `fromLedger`
+ */
+export const getAssetPosition = (asset, method = DEFAULT_COST_BASIS_METHOD) => {
+  if (asset?.transactions?.length) {
+    return { ...derivePosition(asset.transactions, asset.costBasisMethod || method), fromLedger: true };
+  }
+  const quantity = Number(asset?.quantity) || 0;
+  const avgCost = Number(asset?.purchasePrice) || 0;
+  return {
+    quantity,
+    avgCost,
+    costBasis: quantity * avgCost,
+    realizedPL: 0,
+    closedCost: 0,
+    totalFees: 0,
+    openLots: [],
+    closedLots: [],
+    firstDate: asset?.purchaseDate || null,
+    count: 0,
+    fromLedger: false,
+  };
+};
+
+/**
+ * Units held at the start of a date (before that day's transactions) - the
+ * holding that qualifies for a dividend with that ex-date
+ * @param {Object} asset - Asset object (may carry a `transactions` array)
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {number}
+ */
+export const getQuantityAtDate = (asset, date) => {
+  if (asset?.transactions?.length) {
+    const before = asset.transactions.filter(tx => (tx.date || '') < date);
+    return before.length ? derivePosition(before, asset.costBasisMethod || DEFAULT_COST_BASIS_METHOD).quantity : 0;
+  }
+  if (asset?.purchaseDate && asset.purchaseDate >= date) return 0;
+  return Number(asset?.quantity) || 0;
+};
+
+/**
+ * Overlay the ledger-derived position onto an asset document
+ * @param {Object} asset - Raw asset from Firestore
+ * @param {Array} transactions - Ledger entries for the asset
+ * @param {string} method - Default cost-basis method
+ * @returns {Object} Asset with quantity / purchasePrice / originalValue taken from the ledger
+ */
+export const applyLedgerPosition = (asset, transactions, method = DEFAULT_COST_BASIS_METHOD) => {
+  if (!transactions?.length) return asset;
+  const position = derivePosition(transactions, asset.costBasisMethod || method);
+  return {
+    ...asset,
+    quantity: position.quantity,
+    purchasePrice: position.avgCost,
+    purchaseDate: position.firstDate || asset.purchaseDate,
+    originalValue: position.costBasis,
+    transactions,
+  };
+};
+
+// ==================== FIRESTORE ====================
+
+/**
+ * Subscribe to an asset's transactions (real-time)
+ * @param {Object} user - Firebase user object
+ * @param {string} assetId - Asset document ID
+ * @param {Function} callback - Receives the sorted transaction array
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToTransactions = (user, assetId, callback) => {
+  if (!user || !db || !assetId) return () => { };
+
+  return onSnapshot(transactionsRef(user, assetId), (snapshot) => {
+    const items = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+    callback(sortTransactions(items));
+  }, (error) => {
+    console.error('[transactionService] Snapshot error:', error);
+    callback([]);
+  });
+};
+
+/**
+ * Fetch all transactions of an asset once
+ * @param {Object} user - Firebase user object
+ * @param {string} assetId - Asset document ID
+ * @returns {Promise<Array>} Sorted transactions
+ */
+export const fetchTransactions = async (user, assetId) => {
+  if (!user || !db || !assetId) return [];
+  const snapshot = await getDocs(transactionsRef(user, assetId));
+  return sortTransactions(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+};
+
+/**
+ * Write the derived position back to the asset document so that
+ * consumers that don't read the ledger (server routes, exports) stay correct.
+ * @param {Object} user - Firebase user object
+ * @param {string} assetId - Asset document ID
+ */
+export const syncAssetPosition = async (user, assetId) => {
+  if (!user || !db || !assetId) return;
+  const transactions = await fetchTransactions(user, assetId);
+  const assetRef = doc(db, 'artifacts', appId, 'users', user.uid, 'assets', assetId);
+
+  // An emptied ledger means the holding is gone - don't leave the old derived position behind
+  if (transactions.length === 0) {
+    await updateDoc(assetRef, {
+      hasTransactions: false,
+      quantity: 0,
+      purchasePrice: 0,
+      purchaseDate: null,
+      originalValue: 0,
+    });
+    return;
+  }
+
+  const [assetSnap, preferencesSnap] = await Promise.all([
+    getDoc(assetRef),
+    getDoc(doc(db, 'artifacts', appId, 'users', user.uid, 'settings', 'preferences')),
+  ]);
+  const method = assetSnap.data()?.costBasisMethod
+    || preferencesSnap.data()?.costBasisMethod
+    || DEFAULT_COST_BASIS_METHOD;
+  const position = derivePosition(transactions, method);
+  await updateDoc(assetRef, {
+    hasTransactions: true,
+    quantity: position.quantity,
+    purchasePrice: position.avgCost,
+    purchaseDate: position.firstDate,
+    originalValue: position.costBasis,
+  });
+};
+
+/**
+ * Set the cost-basis method of a single asset (overrides the user default)
+ * @param {Object} user - Firebase user object
+ * @param {string} assetId - Asset document ID
+ * @param {string|null} method - 'AVERAGE' | 'FIFO' | 'SPECIFIC', or null for the user default
+ */
+export const setAssetCostBasisMethod = async (user, assetId, method) => {
+  if (!user || !db || !assetId) return;
+  await updateDoc(doc(db, 'artifacts', appId, 'users', user.uid, 'assets', assetId), {
+    costBasisMethod: method || null,
+  });
+  await syncAssetPosition(user, assetId);
+};
+
+/**
+ * Save (create or update) a transaction and resync the asset position.
+ * A disposal of more units than the ledger holds on its date is rejected.
+ * @param {Object} user - Firebase user object
+ * @param {string} assetId - Asset document ID
+ * @param {Object} transaction - Transaction object (with `id` for updates)
+ * @returns {Promise<string>} Transaction document ID
+ */
+export const saveTransaction = async (user, assetId, transaction) => {
+  if (!user || !db) {
+    throw new Error('User or database not available');
+  }
+  if (!TRANSACTION_TYPES[transaction.type]) {
+    throw new Error(`Unknown transaction type: ${transaction.type}`);
+  }
+
+  const { id, ...data } = transaction;
+  const payload = {
+    ...data,
+    quantity: Math.abs(Number(data.quantity) || 0),
+    price: Number(data.price) || 0,
+    fee: Math.abs(Number(data.fee) || 0),
+    updatedAt: new Date(),
+  };
+  if (payload.type === 'split') {
+    payload.ratio = Number(data.ratio) || 0;
+  }
+
+  // Only block an over-sell this save introduces - an older one must not lock the ledger
+  const existing = await fetchTransactions(user, assetId);
+  const candidate = { createdAt: new Date(), ...existing.find(tx => tx.id === id), ...payload, id: id || null };
+  const overSell = findOverSell([...existing.filter(tx => tx.id !== id), candidate]);
+  if (overSell && (overSell.transaction === candidate || !findOverSell(existing))) {
+    throw new Error(`${overSell.transaction.type} of ${overSell.transaction.quantity} on ${overSell.transaction.date} exceeds the ${overSell.available} units held`);
+  }
+
+  let txId = id;
+  if (id) {
+    await updateDoc(doc(transactionsRef(user, assetId), id), payload);
+  } else {
+    const docRef = await addDoc(transactionsRef(user, assetId), { ...payload, createdAt: new Date() });
+    txId = docRef.id;
+  }
+
+  await syncAssetPosition(user, assetId);
+  return txId;
+};
+
+/**
+ * Delete a transaction and resync the asset position
+ * @param {Object} user - Firebase user object
+ * @param {string} assetId - Asset document ID
+ * @param {string} transactionId - Transaction document ID
+ */
+export const deleteTransaction = async (user, assetId, transactionId) => {
+  if (!user || !db) return;
+  await deleteDoc(doc(transactionsRef(user, assetId), transactionId));
+  await syncAssetPosition(user, assetId);
+};
+
+/**
+ * Delete every transaction of an asset (used when the asset itself is deleted -
+ * Firestore does not cascade subcollection deletes)
+ * @param {Object} user - Firebase user object
+ * @param {string} assetId - Asset document ID
+ */
+export const deleteAllTransactions = async (user, assetId) => {
+  if (!user || !db || !assetId) return;
+  const snapshot = await getDocs(transactionsRef(user, assetId));
+  if (snapshot.empty) return;
+
+  let batch = writeBatch(db);
+  let ops = 0;
+  for (const d of snapshot.docs) {
+    batch.delete(d.ref);
+    ops++;
+    if (ops >= 490) {
+      await batch.commit();
+      batch = writeBatch(db);
+      ops = 0;
+    }
+  }
+  if (ops > 0) await batch.commit();
+};
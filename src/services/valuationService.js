@@ -0,0 +1,180 @@
+import { collection, doc, getDocs, onSnapshot, updateDoc, writeBatch } from 'firebase/firestore';
+import { db, appId } from './firebase';
+
+/**
+ * Service for revaluations of manually valued (LEGACY) assets - an apartment, a private
+ * company stake, a pension account (see utils/valuations for the value curves).
+ *
+ * Path: artifacts/{appId}/users/{uid}/assets/{assetId}/valuations/{YYYY-MM-DD}
+ * { date, value, currency, source, note, createdAt }
+ * The date is the document ID - one valuation per asset per day.
+ *
+ * The asset keeps a summary of the curve under `valuation` so its current value can be
+ * computed without reading the subcollection:
+ * {
+ *   date: 'YYYY-MM-DD',                 // latest revaluation
+ *   value: number,                      // latest revaluation value (also written to originalValue)
+ *   cost: number,                       // amount invested - set from originalValue on the first revaluation
+ *   interpolation: 'step' | 'linear',   // between revaluations
+ *   annualRate: number                  // % per year after the latest revaluation (negative = depreciation)
+ * }
+ */
+
+// ==================== CONSTANTS ====================
+
+export const VALUATION_SOURCES = {
+  manual: 'הערכה ידנית',
+  appraisal: 'שמאות',
+  'pension-xml': 'מסלקה פנסיונית',
+};
+
+export const VALUATION_INTERPOLATIONS = {
+  step: { label: 'מדרגות - השווי קבוע עד ההערכה הבאה' },
+  linear: { label: 'קו ישר בין הערכות' },
+};
+
+const assetRef = (user, assetId) =>
+  doc(db, 'artifacts', appId, 'users', user.uid, 'assets', assetId);
+
+const valuationsRef = (user, assetId) =>
+  collection(assetRef(user, assetId), 'valuations');
+
+const sortByDate = (points) => points.sort((a, b) => a.date.localeCompare(b.date));
+
+/**
+ * Asset fields for the latest of the given points
+ * @param {Array} points - All valuations after the change, oldest first
+ * @returns {Object} Dotted update paths (keeps interpolation / annualRate / cost as set)
+ */
+const latestFields = (points) => {
+  const latest = points[points.length - 1];
+  if (!latest) return { 'valuation.date': null, 'valuation.value': null };
+  return {
+    originalValue: latest.value,
+    'valuation.date': latest.date,
+    'valuation.value': latest.value,
+  };
+};
+
+// ==================== FIRESTORE ====================
+
+/**
+ * Subscribe to an asset's valuations (real-time), oldest first
+ * @param {Object} user - Firebase user object
+ * @param {string} assetId - Asset document ID
+ * @param {Function} callback - Receives the valuation array
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToValuations = (user, assetId, callback) => {
+  if (!user || !db || !assetId) return () => { };
+
+  return onSnapshot(valuationsRef(user, assetId), (snapshot) => {
+    callback(sortByDate(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))));
+  }, (error) => {
+    console.error('[valuationService] Snapshot error:', error);
+    callback([]);
+  });
+};
+
+/**
+ * Read the valuations of several assets at once
+ * @param {Object} user - Firebase user object
+ * @param {Array<string>} assetIds
+ * @returns {Promise<Object>} { [assetId]: [{ date, value, ... }] }, oldest first
+ */
+export const fetchValuations = async (user, assetIds) => {
+  if (!user || !db || assetIds.length === 0) return {};
+
+  const entries = await Promise.all(assetIds.map(async (assetId) => {
+    const snapshot = await getDocs(valuationsRef(user, assetId));
+    return [assetId, sortByDate(snapshot.docs.map(d => ({ id: d.id, ...d.data() })))];
+  }));
+  return Object.fromEntries(entries);
+};
+
+/**
+ * Add (or replace the same day's) revaluation and update the asset's current value.
+ * On the first revaluation the asset's recorded value becomes its cost.
+ * @param {Object} user - Firebase user object
+ * @param {Object} asset - LEGACY asset
+ * @param {Object} entry - { date, value, source, note }
+ * @param {Array} points - The asset's current valuations
+ */
+export const saveValuation = async (user, asset, entry, points = []) => {
+  if (!user || !db) throw new Error('User or database not available');
+  if (!entry.date || !(Number(entry.value) >= 0)) throw new Error('Valuation requires a date and a value');
+
+  const point = {
+    date: entry.date,
+    value: Number(entry.value) || 0,
+    currency: asset.currency || 'ILS',
+    source: VALUATION_SOURCES[entry.source] ? entry.source : 'manual',
+    note: entry.note || '',
+    createdAt: new Date(),
+  };
+  const next = sortByDate([...points.filter(p => p.date !== point.date), point]);
+
+  const batch = writeBatch(db);
+  batch.set(doc(valuationsRef(user, asset.id), point.date), point);
+  batch.update(assetRef(user, asset.id), {
+    ...latestFields(next),
+    ...(typeof asset.valuation?.cost === 'number' ? {} : { 'valuation.cost': Number(asset.originalValue) || 0 }),
+  });
+  await batch.commit();
+};
+
+/**
+ * Delete a revaluation; the asset falls back to the previous one
+ * @param {Object} user - Firebase user object
+ * @param {Object} asset - LEGACY asset
+ * @param {string} date - Valuation date (document ID)
+ * @param {Array} points - The asset's current valuations
+ */
+export const deleteValuation = async (user, asset, date, points = []) => {
+  if (!user || !db) throw new Error('User or database not available');
+
+  const batch = writeBatch(db);
+  batch.delete(doc(valuationsRef(user, asset.id), date));
+  batch.update(assetRef(user, asset.id), latestFields(points.filter(p => p.date !== date)));
+  await batch.commit();
+};
+
+/**
+ * Update the curve settings and cost of a revalued asset
+ * @param {Object} user - Firebase user object
+ * @param {Object} asset - LEGACY asset
+ * @param {Object} settings - { interpolation, annualRate, cost }
+ */
+export const updateValuationSettings = async (user, asset, settings) => {
+  if (!user || !db) throw new Error('User or database not available');
+
+  await updateDoc(assetRef(user, asset.id), {
+    'valuation.interpolation': VALUATION_INTERPOLATIONS[settings.interpolation] ? settings.interpolation : 'step',
+    'valuation.annualRate': Number(settings.annualRate) || 0,
+    'valuation.cost': Math.abs(Number(settings.cost) || 0),
+  });
+};
+
+/**
+ * Delete every valuation of an asset (called when the asset is deleted)
+ * @param {Object} user - Firebase user object
+ * @param {string} assetId - Asset document ID
+ */
+export const deleteAssetValuations = async (user, assetId) => {
+  if (!user || !db || !assetId) return;
+  const snapshot = await getDocs(valuationsRef(user, assetId));
+  if (snapshot.empty) return;
+
+  let batch = writeBatch(db);
+  let ops = 0;
+  for (const d of snapshot.docs) {
+    batch.delete(d.ref);
+    ops++;
+    if (ops >= 490) {
+      await batch.commit();
+      batch = writeBatch(db);
+      ops = 0;
+    }
+  }
+  if (ops > 0) await batch.commit();
+};
@@ -0,0 +1,235 @@
+import { collection, doc, writeBatch } from 'firebase/firestore';
+import { db, appId } from './firebase';
+import { getWalletBalances, getQuotes } from './backendApi';
+
+/**
+ * Service for self-custody wallet tracking by public address (see api/wallet-balances.ts).
+ *
+ * The user sets an address on a crypto asset; that asset then follows the chain's native
+ * coin and every token found on the address becomes its own QUANTITY asset on the same
+ * platform. Both kinds carry `wallet`:
+ * {
+ *   chain: 'btc' | 'evm' | 'sol' | 'ton',
+ *   address: '<public address>',
+ *   contract: null | '<token contract / mint / jetton master>',  // null = native coin asset
+ *   key: 'chain:address:contract|native',                     // matches the token on the next sync
+ *   syncedAt: Date
+ * }
+ *
+ * Prices come from the regular cg: quote flow - the sync only writes quantities.
+ */
+
+// ==================== CONSTANTS ====================
+
+export const WALLET_CHAINS = [
+  { id: 'btc', label: 'Bitcoin', symbol: 'BTC', apiId: 'cg:bitcoin', placeholder: 'bc1q…', pattern: /^(bc1[02-9ac-hj-np-z]{11,71}|[13][1-9A-HJ-NP-Za-km-z]{25,34})$/ },
+  { id: 'evm', label: 'Ethereum (EVM)', symbol: 'ETH', apiId: 'cg:ethereum', placeholder: '0x…', pattern: /^0x[0-9a-fA-F]{40}$/ },
+  { id: 'sol', label: 'Solana', symbol: 'SOL', apiId: 'cg:solana', placeholder: 'Base58', pattern: /^[1-9A-HJ-NP-Za-km-z]{32,44}$/ },
+  { id: 'ton', label: 'TON', symbol: 'TON', apiId: 'cg:the-open-network', placeholder: 'UQ… / EQ…', pattern: /^([A-Za-z0-9_-]{48}|-?\d+:[0-9a-fA-F]{64})$/ },
+];
+
+/** Firestore batch limit is 500 writes - keep a margin like the other batch writers */
+const BATCH_LIMIT = 490;
+
+/** Dust below this is ignored */
+const MIN_AMOUNT = 1e-9;
+
+// ==================== HELPERS ====================
+
+export const getWalletChain = (chain) => WALLET_CHAINS.find(c => c.id === chain) || null;
+
+/**
+ * Check an address against the chain's format (same patterns as the server providers)
+ * @param {string} chain
+ * @param {string} address
+ * @returns {boolean}
+ */
+export const isValidWalletAddress = (chain, address) => !!getWalletChain(chain)?.pattern.test((address || '').trim());
+
+export const getWalletKey = (chain, address, contract = null) => `${chain}:${address}:${contract || 'native'}`;
+
+/**
+ * Guess the chain from the asset's ticker (TON → ton, SOL → sol...), EVM for ETH and ERC-20s
+ * @param {Object} asset
+ * @returns {string|null}
+ */
+export const guessWalletChain = (asset) => {
+  const symbol = (asset?.symbol || '').toUpperCase();
+  return WALLET_CHAINS.find(c => c.symbol === symbol)?.id || (symbol ? 'evm' : null);
+};
+
+// ==================== SYNC ====================
+
+/**
+ * Sync every wallet-tracked asset from the chain.
+ *
+ * Item status:
+ * - 'updated' / 'unchanged' / 'created' - quantity written (or already equal)
+ * - 'zeroed'   - a token synced before is no longer on the address
+ * - 'ledger'   - the asset has a transaction ledger; the quantity is only reported
+ * - 'unmapped' - a token without a CoinGecko ID; nothing is written
+ *
+ * An address whose provider returned warnings (e.g. a failed token call) is listed in `errors`
+ * and none of its tokens are zeroed - a missing token may only be a failed lookup.
+ *
+ * The native asset switches to QUANTITY mode on its first sync. A LEGACY value becomes the
+ * cost basis (purchasePrice = value / quantity) so the recorded investment is kept.
+ *
+ * @param {Object} user - Firebase user object
+ * @param {Array} assets - Current assets
+ * @returns {Promise<Object>} { items: [{ name, symbol, chain, quantity, previousQuantity, status }], errors: [{ address, chain, message }] }
+ */
+export const syncWalletAssets = async (user, assets) => {
+  if (!user || !db) throw new Error('User or database not available');
+
+  const assetsRef = collection(db, 'artifacts', appId, 'users', user.uid, 'assets');
+  const roots = assets.filter(a => a.wallet?.address && !a.wallet.contract);
+  const items = [];
+  const errors = [];
+  const now = new Date();
+  const today = now.toISOString().split('T')[0];
+
+  let batch = writeBatch(db);
+  let ops = 0;
+  const queue = async (apply) => {
+    apply();
+    ops++;
+    if (ops >= BATCH_LIMIT) {
+      await batch.commit();
+      batch = writeBatch(db);
+      ops = 0;
+    }
+  };
+
+  for (const root of roots) {
+    const { chain, address } = root.wallet;
+    let result;
+    try {
+      result = await getWalletBalances(chain, address);
+    } catch (error) {
+      errors.push({ chain, address, message: error.message });
+      continue;
+    }
+
+    const partial = result.warnings?.length > 0;
+    if (partial) errors.push({ chain, address, message: result.warnings.join('; ') });
+
+    const tokens = result.balances.filter(b => b.contract && b.amount >= MIN_AMOUNT);
+    const native = result.balances.find(b => !b.contract);
+    const seen = new Set([root.id]);
+
+    // Initial cost basis of new token assets - today's price
+    const newIds = tokens
+      .filter(t => t.apiId && !assets.some(a => a.wallet?.key === getWalletKey(chain, address, t.contract)))
+      .map(t => t.apiId);
+    const quotes = newIds.length > 0 ? await getQuotes([...new Set(newIds)]) : [];
+    const priceOf = (apiId) => quotes.find(q => q?.id === apiId && !q.error)?.price || 0;
+
+    // ---- Native coin → the root asset ----
+    if (native) {
+      const quantity = native.amount;
+      const previousQuantity = root.assetMode === 'QUANTITY' ? Number(root.quantity) || 0 : null;
+      const item = { name: root.name, symbol: native.symbol, chain, quantity, previousQuantity, status: 'updated' };
+      const wallet = { chain, address, contract: null, key: getWalletKey(chain, address), syncedAt: now };
+
+      if (root.hasTransactions) {
+        item.status = 'ledger';
+      } else if (previousQuantity !== null && Math.abs(previousQuantity - quantity) < MIN_AMOUNT && root.apiId === native.apiId) {
+        item.status = 'unchanged';
+        await queue(() => batch.update(doc(assetsRef, root.id), { wallet }));
+      } else {
+        const purchasePrice = root.assetMode === 'QUANTITY'
+          ? Number(root.purchasePrice) || 0
+          : (quantity > 0 ? (Number(root.originalValue) || 0) / quantity : 0);
+        await queue(() => batch.update(doc(assetsRef, root.id), {
+          assetMode: 'QUANTITY',
+          assetType: 'CRYPTO',
+          symbol: native.symbol,
+          apiId: native.apiId,
+          marketDataSource: 'coingecko',
+          quantity,
+          purchasePrice,
+          purchaseDate: root.purchaseDate || today,
+          originalValue: quantity * purchasePrice,
+          wallet,
+        }));
+      }
+      items.push(item);
+    }
+
+    // ---- Tokens → one asset each ----
+    for (const token of tokens) {
+      const key = getWalletKey(chain, address, token.contract);
+      if (!token.apiId) {
+        items.push({ name: token.symbol, symbol: token.symbol, chain, quantity: token.amount, previousQuantity: null, status: 'unmapped' });
+        continue;
+      }
+
+      const existing = assets.find(a => a.wallet?.key === key)
+        || assets.find(a => a.platform === root.platform && a.assetMode === 'QUANTITY' && !a.wallet && a.apiId === token.apiId);
+      const wallet = { chain, address, contract: token.contract, key, syncedAt: now };
+      const item = { name: existing?.name || token.symbol, symbol: token.symbol, chain, quantity: token.amount, previousQuantity: null, status: 'created' };
+
+      if (existing) {
+        seen.add(existing.id);
+        item.previousQuantity = Number(existing.quantity) || 0;
+        if (existing.hasTransactions) {
+          item.status = 'ledger';
+        } else if (Math.abs(item.previousQuantity - token.amount) < MIN_AMOUNT) {
+          item.status = 'unchanged';
+          await queue(() => batch.update(doc(assetsRef, existing.id), { wallet }));
+        } else {
+          item.status = 'updated';
+          const purchasePrice = Number(existing.purchasePrice) || 0;
+          await queue(() => batch.update(doc(assetsRef, existing.id), {
+            quantity: token.amount,
+            originalValue: token.amount * purchasePrice,
+            wallet,
+          }));
+        }
+      } else {
+        const price = priceOf(token.apiId);
+        await queue(() => batch.set(doc(assetsRef), {
+          name: token.symbol,
+          symbol: token.symbol,
+          apiId: token.apiId,
+          marketDataSource: 'coingecko',
+          instrument: 'מטבע קריפטו',
+          platform: root.platform,
+          category: 'קריפטו',
+          subcategory: root.subcategory || 'אחר',
+          currency: 'USD',
+          tags: root.tags || [],
+          assetType: 'CRYPTO',
+          assetMode: 'QUANTITY',
+          quantity: token.amount,
+          purchasePrice: price,
+          purchaseDate: today,
+          originalValue: token.amount * price,
+          wallet,
+        }));
+      }
+      items.push(item);
+    }
+
+    // ---- Tokens synced before that are gone from the address ----
+    if (partial) continue;
+    const rootPrefix = `${chain}:${address}:`;
+    for (const asset of assets) {
+      if (seen.has(asset.id) || !asset.wallet?.key?.startsWith(rootPrefix) || !(Number(asset.quantity) > 0)) continue;
+      const item = { name: asset.name, symbol: asset.symbol, chain, quantity: 0, previousQuantity: Number(asset.quantity), status: asset.hasTransactions ? 'ledger' : 'zeroed' };
+      if (item.status === 'zeroed') {
+        await queue(() => batch.update(doc(assetsRef, asset.id), {
+          quantity: 0,
+          originalValue: 0,
+          wallet: { ...asset.wallet, syncedAt: now },
+        }));
+      }
+      items.push(item);
+    }
+  }
+
+  if (ops > 0) await batch.commit();
+
+  return { items, errors };
+};
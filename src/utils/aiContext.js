@@ -7,6 +7,7 @@
  * - Asset Category
  * - Current Value
  * - % Allocation
+ * - Goals: type, target, target date, progress and the tickers assigned to them
  * 
  * EXCLUDED (PII):
  * - User IDs
@@ -17,38 +18,73 @@
  * - Any metadata that could identify the user
  */
 
+import { getCurrencySymbol } from '../services/currency';
+import { GOAL_TYPES } from '../services/goalService';
+
+/**
+ * Goal lines for the AI context - amounts in each goal's own currency.
+ * Goals whose currency has no rate are listed by name only - their amounts are unknown.
+ * @param {Array} goals - Valued goals (output of useGoals)
+ * @returns {string} Empty when there are no goals
+ */
+const generateGoalsContext = (goals) => {
+  if (!goals || goals.length === 0) return '';
+
+  const unconverted = goals.filter(goal => goal.fxUnavailable);
+  const goalLines = goals.filter(goal => !goal.fxUnavailable).map(goal => {
+    const symbol = getCurrencySymbol(goal.currency || 'ILS');
+    const type = GOAL_TYPES[goal.type]?.label || 'אחר';
+    const assigned = goal.assigned.map(a => `${a.symbol || 'N/A'} ${a.percent}%`).join(', ') || 'none';
+
+    // Format: Goal | Type | Target | Target Date | Assigned | Progress% | Expected Return% | Required Monthly | Assigned Assets
+    return `${goal.name} | ${type} | ${symbol}${(Number(goal.targetAmount) || 0).toLocaleString('he-IL')} | ${goal.targetDate} | ${symbol}${Math.round(goal.currentAmount).toLocaleString('he-IL')} | ${goal.progress.toFixed(1)}% | ${goal.expectedReturn}% | ${symbol}${Math.round(goal.requiredMonthly).toLocaleString('he-IL')} | ${assigned}`;
+  });
+
+  return `
+
+FINANCIAL GOALS:
+Format: Goal | Type | Target | Target Date | Assigned Value | Progress% | Expected Annual Return% | Required Monthly Contribution | Assigned Assets (% of asset value)
+${goalLines.join('\n')}${unconverted.length ? `
+Progress unknown (no exchange rate for the goal currency): ${unconverted.map(goal => `${goal.name} (${goal.currency})`).join(', ')}` : ''}`;
+};
+
 /**
  * Generate a lightweight string representation of the portfolio for AI context
  * Only includes: Ticker, Category, Current Value, and % Allocation
  * @param {Array} assets - Array of asset objects
+ * @param {string} currency - Currency the asset values are in (the reporting currency)
+ * @param {Array} goals - Valued goals (output of useGoals), appended when present
  * @returns {string} - Formatted context string (PII-free)
  */
-export const generatePortfolioContext = (assets) => {
+export const generatePortfolioContext = (assets, currency = 'ILS', goals = []) => {
   if (!assets || assets.length === 0) {
-    return "CURRENT PORTFOLIO CONTEXT:\n(No assets in portfolio)";
+    return `CURRENT PORTFOLIO CONTEXT:\n(No assets in portfolio)${generateGoalsContext(goals)}`;
   }
 
+  const symbol = getCurrencySymbol(currency);
+
   // Calculate total value
   const totalValue = assets.reduce((sum, asset) => sum + (asset.value || 0), 0);
 
   // Build asset list with ONLY safe fields (no PII)
   const assetLines = assets.map(asset => {
     // Only include: Symbol, Category, Current Value, % Allocation
-    const symbol = asset.symbol || 'N/A';
+    const ticker = asset.symbol || 'N/A';
     const category = asset.category || 'אחר';
     const value = asset.value || 0;
     const allocation = totalValue > 0 ? ((value / totalValue) * 100).toFixed(2) : '0.00';
 
     // Format: Symbol | Category | Subcategory | Value | Allocation%
-    return `${symbol} | ${category} | ${asset.subcategory || 'אחר'} | ₪${value.toLocaleString('he-IL')} | ${allocation}%`;
+    return `${ticker} | ${category} | ${asset.subcategory || 'אחר'} | ${symbol}${value.toLocaleString('he-IL')} | ${allocation}%`;
   });
 
   // Format the context string (no user metadata, no IDs, no PII)
   const context = `CURRENT PORTFOLIO CONTEXT:
+Reporting currency: ${currency} (all values below)
 Format: Symbol | Category | Subcategory | Current Value | Allocation%
 ${assetLines.join('\n')}
-Total Value: ₪${totalValue.toLocaleString('he-IL')}
-Total Assets: ${assets.length}`;
+Total Value: ${symbol}${totalValue.toLocaleString('he-IL')}
+Total Assets: ${assets.length}${generateGoalsContext(goals)}`;
 
   return context;
 };
@@ -41,7 +41,8 @@ const ChartConfigSchema = z.object({
     'symbol',
     'name',
     'tags',
-    'currency'
+    'currency',
+    'liabilities'
   ]),
   aggregationType: z.enum(['sum', 'count', 'avg']).optional().default('sum'),
   filters: ChartFiltersSchema.optional().default({
@@ -0,0 +1,143 @@
+/**
+ * Alert rule evaluation (rules are stored by services/alertService).
+ *
+ * - price      - an asset's price (asset currency) is above / below a threshold
+ * - change     - an asset's daily change is up / down by at least `threshold` %
+ * - portfolio  - the total portfolio value (in the rule's currency) is above / below a threshold
+ * - drift      - an item of an allocation group (settings/rebalancing) is at least `threshold`
+ *                percentage points away from its target
+ *
+ * Rules are edge-triggered: a rule fires when its condition becomes true and re-arms once it
+ * is false again (`active` on the rule), so a price sitting under the threshold alerts once,
+ * not on every refresh. The same logic runs on the server in api/_utils/alerts.ts.
+ */
+
+/**
+ * @typedef {Object} AlertState
+ * @property {Array} assets - [{ id, name, symbol, currency, price, changePct, value, category, subcategory, platform, instrument, tags }]
+ *   price in the asset currency; value in one common currency (only used for allocation shares)
+ * @property {Object} totals - { [currency]: total portfolio value }
+ * @property {Array} allocationGroups - settings/rebalancing groups: [{ type, targets: { [item]: percent } }]
+ */
+
+// ==================== HELPERS ====================
+
+const formatNumber = (value, digits = 2) =>
+  Number(value).toLocaleString('he-IL', { maximumFractionDigits: digits });
+
+const assetLabel = (asset) => asset.symbol || asset.name || asset.id;
+
+/**
+ * Actual vs target share of every item in an allocation group
+ * @param {Array} assets - AlertState assets
+ * @param {Object} group - { type, targets: { [item]: percent } }
+ * @returns {Array} [{ item, target, actual, drift }] - drift = actual - target (percentage points)
+ */
+export const getAllocationDrift = (assets, group) => {
+  const total = assets.reduce((sum, asset) => sum + (Number(asset.value) || 0), 0);
+  if (!group || total <= 0) return [];
+
+  const matches = (asset, item) => (group.type === 'tags'
+    ? Array.isArray(asset.tags) && asset.tags.includes(item)
+    : asset[group.type] === item);
+
+  return Object.entries(group.targets || {}).map(([item, target]) => {
+    const value = assets
+      .filter(asset => matches(asset, item))
+      .reduce((sum, asset) => sum + (Number(asset.value) || 0), 0);
+    const actual = (value / total) * 100;
+    const targetPercent = Number(target) || 0;
+    return { item, target: targetPercent, actual, drift: actual - targetPercent };
+  });
+};
+
+// ==================== EVALUATION ====================
+
+/**
+ * Evaluate a single rule
+ * @param {Object} rule - { type, assetId, direction: 'above' | 'below', threshold, currency, groupType }
+ * @param {AlertState} state
+ * @returns {Object|null} { met, value, title, body } - null when the rule cannot be evaluated
+ *   right now (asset deleted, no price, no rate) - its state is then left as is
+ */
+export const evaluateAlertRule = (rule, state) => {
+  const threshold = Number(rule.threshold);
+  if (!Number.isFinite(threshold)) return null;
+  const above = rule.direction !== 'below';
+
+  switch (rule.type) {
+    case 'price': {
+      const asset = state.assets.find(a => a.id === rule.assetId);
+      if (!asset || !(asset.price > 0)) return null;
+      const currency = asset.currency || 'ILS';
+      return {
+        met: above ? asset.price >= threshold : asset.price <= threshold,
+        value: asset.price,
+        title: `${assetLabel(asset)}: ${above ? 'מעל' : 'מתחת ל-'}${formatNumber(threshold)} ${currency}`,
+        body: `המחיר ${above ? 'עלה' : 'ירד'} ל-${formatNumber(asset.price)} ${currency}`,
+      };
+    }
+
+    case 'change': {
+      const asset = state.assets.find(a => a.id === rule.assetId);
+      const change = asset ? asset.changePct : null;
+      if (typeof change !== 'number' || isNaN(change)) return null;
+      const limit = Math.abs(threshold);
+      return {
+        met: above ? change >= limit : change <= -limit,
+        value: change,
+        title: `${assetLabel(asset)}: ${above ? 'עלייה' : 'ירידה'} יומית של ${formatNumber(limit, 1)}%`,
+        body: `שינוי יומי של ${change > 0 ? '+' : ''}${formatNumber(change, 2)}%`,
+      };
+    }
+
+    case 'portfolio': {
+      const currency = rule.currency || 'ILS';
+      const total = state.totals?.[currency];
+      if (typeof total !== 'number' || isNaN(total)) return null;
+      return {
+        met: above ? total >= threshold : total <= threshold,
+        value: total,
+        title: `שווי התיק ${above ? 'מעל' : 'מתחת ל-'}${formatNumber(threshold, 0)} ${currency}`,
+        body: `שווי התיק כעת ${formatNumber(total, 0)} ${currency}`,
+      };
+    }
+
+    case 'drift': {
+      const group = (state.allocationGroups || []).find(g => g.type === (rule.groupType || 'category'));
+      const drifts = getAllocationDrift(state.assets, group);
+      if (drifts.length === 0) return null;
+      const worst = drifts.reduce((max, d) => (Math.abs(d.drift) > Math.abs(max.drift) ? d : max));
+      return {
+        met: Math.abs(worst.drift) >= Math.abs(threshold),
+        value: worst.drift,
+        title: `סטייה מהקצאת היעד: ${worst.item}`,
+        body: `${formatNumber(worst.actual, 1)}% מהתיק לעומת יעד של ${formatNumber(worst.target, 1)}%`,
+      };
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Evaluate the enabled rules against the current state
+ * @param {Array} rules - Stored rules (with `active` - condition met at the last check)
+ * @param {AlertState} state
+ * @returns {Object} { fired: [{ rule, result }], rearmed: [rule] }
+ */
+export const checkAlertRules = (rules, state) => {
+  const fired = [];
+  const rearmed = [];
+
+  rules.forEach(rule => {
+    if (rule.enabled === false) return;
+    const result = evaluateAlertRule(rule, state);
+    if (!result) return;
+    if (result.met && !rule.active) fired.push({ rule, result });
+    else if (!result.met && rule.active) rearmed.push(rule);
+  });
+
+  return { fired, rearmed };
+};
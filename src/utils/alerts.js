@@ -48,6 +48,23 @@ export const successToast = (message, duration = 2000) => {
   });
 };
 
+// פונקציה להתראה קצרה (toast) - התראות מחיר ותיק
+export const warningToast = (message, text = '', duration = 6000) => {
+  return Swal.fire({
+    title: message,
+    text,
+    icon: 'warning',
+    toast: true,
+    position: 'top-end',
+    showConfirmButton: false,
+    timer: duration,
+    timerProgressBar: true,
+    customClass: {
+      popup: 'rtl-popup',
+    },
+  });
+};
+
 // פונקציה להודעת הצלחה
 export const successAlert = (title, text = '') => {
   return Swal.fire({
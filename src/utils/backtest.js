@@ -0,0 +1,195 @@
+/**
+ * Allocation backtesting on monthly closes of /api/history series.
+ *
+ * - Every portfolio is a set of weights on internal IDs (a model's sleeve proxies, or the
+ *   priced holdings of the current portfolio)
+ * - All the portfolios of one comparison run on the calendar months every series spans,
+ *   starting from 100; a month a series has no close for reuses its previous close
+ * - At every rebalancing date the units are reset to the target weights; between them the
+ *   weights drift with the prices. No costs, taxes or FX - each series in its own currency
+ */
+
+import { resolveInternalId } from '../services/internalIds';
+
+// ==================== CONSTANTS ====================
+
+export const REBALANCE_FREQUENCIES = {
+  none: { label: 'ללא איזון (קנה והחזק)', months: 0 },
+  monthly: { label: 'חודשי', months: 1 },
+  quarterly: { label: 'רבעוני', months: 3 },
+  yearly: { label: 'שנתי', months: 12 },
+};
+
+export const BACKTEST_RANGES = {
+  '5y': 'חמש שנים',
+  '10y': 'עשר שנים',
+};
+
+/** Fewer common months than this are not worth reporting */
+const MIN_MONTHS = 13;
+
+// ==================== HELPERS ====================
+
+const monthKey = (t) => {
+  const d = new Date(t);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const monthIndex = (key) => {
+  const [year, month] = key.split('-').map(Number);
+  return year * 12 + month - 1;
+};
+
+const indexToMonth = (index) => `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`;
+
+/** Close of a month, or the latest close before it (null before the series starts) */
+const closeAt = (closes, month) => {
+  if (closes[month] > 0) return closes[month];
+  const earlier = Object.keys(closes).filter(m => m < month && closes[m] > 0).sort();
+  return earlier.length > 0 ? closes[earlier[earlier.length - 1]] : null;
+};
+
+/**
+ * Last close of every month
+ * @param {Array<{t: number, v: number}>} points - /api/history points
+ * @returns {Object} { 'YYYY-MM': close }
+ */
+export const toMonthlyCloses = (points) => {
+  const closes = {};
+  [...(points || [])]
+    .sort((a, b) => a.t - b.t)
+    .forEach(({ t, v }) => {
+      if (v > 0) closes[monthKey(t)] = v;
+    });
+  return closes;
+};
+
+/**
+ * Weights of a model portfolio by proxy (sleeves with the same proxy are added up)
+ * @param {Object} model - { sleeves: [{ proxy, weight }] }
+ * @returns {Object} { [internalId]: percent }
+ */
+export const getModelWeights = (model) => {
+  const weights = {};
+  (model?.sleeves || []).forEach(({ proxy, weight }) => {
+    const id = proxy ? resolveInternalId(proxy) : null;
+    if (id && Number(weight) > 0) weights[id] = (weights[id] || 0) + Number(weight);
+  });
+  return weights;
+};
+
+/**
+ * Weights of the current portfolio - its QUANTITY holdings that have a market data ID
+ * @param {Array} assets - Valued assets
+ * @returns {Object} { weights: { [internalId]: value }, coverage } - coverage: % of the portfolio value
+ */
+export const getCurrentWeights = (assets) => {
+  const weights = {};
+  let total = 0;
+  let covered = 0;
+  (assets || []).forEach(asset => {
+    const value = Number(asset.value) || 0;
+    if (value <= 0) return;
+    total += value;
+    const id = asset.assetMode === 'QUANTITY' ? resolveInternalId(asset) : null;
+    if (!id) return;
+    weights[id] = (weights[id] || 0) + value;
+    covered += value;
+  });
+  return { weights, coverage: total > 0 ? (covered / total) * 100 : 0 };
+};
+
+/**
+ * First and last month of a series
+ * @param {Object} closes - toMonthlyCloses output
+ * @returns {{first: string, last: string}|null}
+ */
+const getSpan = (closes) => {
+  const months = Object.keys(closes || {}).filter(m => closes[m] > 0).sort();
+  return months.length > 0 ? { first: months[0], last: months[months.length - 1] } : null;
+};
+
+/**
+ * Calendar months (no gaps) from the latest first close to the earliest last close of the series
+ * @param {Object} closesById - { [internalId]: toMonthlyCloses output }
+ * @param {Array<string>} ids
+ * @returns {Array<string>} 'YYYY-MM', oldest first
+ */
+export const getCommonMonths = (closesById, ids) => {
+  const spans = ids.map(id => getSpan(closesById[id]));
+  if (ids.length === 0 || spans.some(span => !span)) return [];
+  const from = monthIndex(spans.reduce((max, span) => (span.first > max ? span.first : max), spans[0].first));
+  const to = monthIndex(spans.reduce((min, span) => (span.last < min ? span.last : min), spans[0].last));
+  const months = [];
+  for (let i = from; i <= to; i++) months.push(indexToMonth(i));
+  return months;
+};
+
+/**
+ * Whether a series has a close on or before the first month and one in or after the last month
+ * @param {Object} closes - toMonthlyCloses output
+ * @param {Array<string>} months - getCommonMonths output
+ * @returns {boolean}
+ */
+export const spansMonths = (closes, months) => {
+  const span = getSpan(closes);
+  return !!span && months.length > 0 && span.first <= months[0] && span.last >= months[months.length - 1];
+};
+
+// ==================== SIMULATION ====================
+
+/**
+ * Simulate an allocation with periodic rebalancing
+ * @param {Object} closesById - { [internalId]: { 'YYYY-MM': close } }
+ * @param {Object} weights - { [internalId]: weight } (any scale)
+ * @param {Array<string>} months - Consecutive calendar months (see getCommonMonths)
+ * @param {string} frequency - REBALANCE_FREQUENCIES key
+ * @returns {Object|null} { values: [number], cagr, volatility, maxDrawdown, totalReturn } (%),
+ *   null when there are too few months or no weights
+ */
+export const runBacktest = (closesById, weights, months, frequency = 'yearly') => {
+  const ids = Object.keys(weights).filter(id => weights[id] > 0);
+  const weightTotal = ids.reduce((sum, id) => sum + weights[id], 0);
+  if (ids.length === 0 || weightTotal <= 0 || months.length < MIN_MONTHS) return null;
+
+  // Filled closes - a month without a close keeps the previous one
+  const prices = Object.fromEntries(ids.map(id => {
+    let previous = closeAt(closesById[id], months[0]);
+    return [id, months.map(month => (previous = closesById[id][month] > 0 ? closesById[id][month] : previous))];
+  }));
+  if (ids.some(id => !(prices[id][0] > 0))) return null;
+
+  const every = REBALANCE_FREQUENCIES[frequency]?.months || 0;
+  const buy = (value, i) => Object.fromEntries(
+    ids.map(id => [id, (value * weights[id]) / weightTotal / prices[id][i]])
+  );
+
+  let units = buy(100, 0);
+  const values = [100];
+  for (let i = 1; i < months.length; i++) {
+    const value = ids.reduce((sum, id) => sum + units[id] * prices[id][i], 0);
+    values.push(value);
+    if (every > 0 && i % every === 0) units = buy(value, i);
+  }
+
+  const returns = values.slice(1).map((value, i) => value / values[i] - 1);
+  const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / Math.max(1, returns.length - 1);
+
+  let peak = values[0];
+  let maxDrawdown = 0;
+  values.forEach(value => {
+    peak = Math.max(peak, value);
+    maxDrawdown = Math.min(maxDrawdown, value / peak - 1);
+  });
+
+  const last = values[values.length - 1];
+  const years = (monthIndex(months[months.length - 1]) - monthIndex(months[0])) / 12;
+  return {
+    values,
+    cagr: (Math.pow(last / 100, 1 / years) - 1) * 100,
+    volatility: Math.sqrt(variance * 12) * 100,
+    maxDrawdown: maxDrawdown * 100,
+    totalReturn: last - 100,
+  };
+};
@@ -0,0 +1,415 @@
+/**
+ * Broker statement import - column mapping and row normalization.
+ *
+ * A statement (CSV / XLSX, see spreadsheet.js) is a grid of cells. A mapping profile says
+ * which column holds which field; rows are then normalized into import records:
+ * - holdings mode: one row per position (quantity + average price or total cost)
+ * - transactions mode: one row per trade, written to the asset's ledger
+ *
+ * Symbol resolution and the Firestore writes live in services/importService.
+ */
+
+import { TRANSACTION_TYPES } from '../services/transactionService';
+
+// ==================== CONSTANTS ====================
+
+export const IMPORT_MODES = {
+  holdings: { label: 'החזקות', description: 'מצב תיק - שורה לכל נייר עם כמות ומחיר ממוצע' },
+  transactions: { label: 'תנועות', description: 'קניות ומכירות - נרשמות ביומן התנועות של כל נכס' },
+};
+
+/** Fields a column can be mapped to; `modes` limits a field to one import mode */
+export const IMPORT_FIELDS = {
+  symbol: { label: 'סימול' },
+  securityId: { label: 'מספר נייר' },
+  name: { label: 'שם נייר' },
+  quantity: { label: 'כמות' },
+  price: { label: 'מחיר / שער' },
+  costBasis: { label: 'עלות כוללת', modes: ['holdings'] },
+  currency: { label: 'מטבע' },
+  date: { label: 'תאריך' },
+  type: { label: 'סוג פעולה', modes: ['transactions'] },
+  fee: { label: 'עמלה', modes: ['transactions'] },
+};
+
+/**
+ * Known export layouts. `aliases` are header names used to suggest a mapping - the user
+ * can always change it. Israeli brokers quote TASE prices in agorot.
+ */
+export const BROKER_PRESETS = {
+  excellence: {
+    label: 'אקסלנס',
+    dateOrder: 'DMY',
+    pricesInAgorot: true,
+    aliases: {
+      symbol: ['סימול'],
+      securityId: ['מספר נייר', 'מס נייר', 'מספר ני"ע'],
+      name: ['שם נייר', 'שם ני"ע', 'שם נייר ערך'],
+      quantity: ['כמות', 'כמות נוכחית', 'יתרה'],
+      price: ['שער', 'שער ביצוע', 'שער עלות', 'מחיר'],
+      costBasis: ['עלות', 'עלות כוללת', 'שווי עלות'],
+      currency: ['מטבע', 'סוג מטבע'],
+      date: ['תאריך', 'תאריך ביצוע', 'תאריך ערך'],
+      type: ['סוג פעולה', 'פעולה', 'סוג תנועה'],
+      fee: ['עמלה', 'עמלות', 'עמלת ביצוע'],
+    },
+  },
+  meitav: {
+    label: 'מיטב',
+    dateOrder: 'DMY',
+    pricesInAgorot: true,
+    aliases: {
+      symbol: ['סימול', 'סימבול'],
+      securityId: ["מס' נייר", 'מספר נייר', 'מספר נייר ערך'],
+      name: ['שם נייר ערך', 'שם נייר', 'שם המכשיר'],
+      quantity: ['כמות', 'כמות נוכחית', 'יתרה נוכחית'],
+      price: ['שער', 'שער עלות', 'שער ביצוע', 'שער ממוצע'],
+      costBasis: ['עלות', 'עלות מתואמת', 'שווי עלות'],
+      currency: ['מטבע', 'מטבע נייר'],
+      date: ['תאריך', 'תאריך עסקה', 'תאריך ביצוע'],
+      type: ['סוג פעולה', 'פעולה', 'סוג עסקה'],
+      fee: ['עמלה', 'עמלות', 'עמלה כוללת'],
+    },
+  },
+  ibkr: {
+    label: 'Interactive Brokers',
+    dateOrder: 'YMD',
+    pricesInAgorot: false,
+    aliases: {
+      symbol: ['Symbol'],
+      securityId: ['ISIN', 'Security ID', 'Conid'],
+      name: ['Description'],
+      quantity: ['Quantity', 'Position'],
+      price: ['T. Price', 'Trade Price', 'Cost Price', 'Price'],
+      costBasis: ['Cost Basis', 'Basis'],
+      currency: ['Currency'],
+      date: ['Date/Time', 'TradeDate', 'Trade Date', 'Date'],
+      type: ['Buy/Sell', 'Code', 'Type'],
+      fee: ['Comm/Fee', 'Commission', 'IBCommission'],
+    },
+  },
+  blink: {
+    label: 'Blink',
+    dateOrder: 'DMY',
+    pricesInAgorot: false,
+    aliases: {
+      symbol: ['Ticker', 'Symbol', 'סימול'],
+      name: ['Name', 'Company', 'שם'],
+      quantity: ['Shares', 'Quantity', 'כמות'],
+      price: ['Average Price', 'Avg Price', 'Price', 'מחיר', 'מחיר ממוצע'],
+      costBasis: ['Total Cost', 'Cost', 'עלות'],
+      currency: ['Currency', 'מטבע'],
+      date: ['Date', 'Execution Date', 'תאריך'],
+      type: ['Action', 'Side', 'Type', 'פעולה'],
+      fee: ['Fee', 'Commission', 'עמלה'],
+    },
+  },
+  generic: {
+    label: 'אחר / ידני',
+    dateOrder: 'DMY',
+    pricesInAgorot: false,
+    aliases: {},
+  },
+};
+
+/** Cell text -> transaction type (matched after lowercasing and trimming) */
+const TYPE_ALIASES = {
+  buy: ['buy', 'bot', 'b', 'bought', 'קניה', 'קנייה', 'קניה בבורסה', 'קניה רצף', 'רכישה'],
+  sell: ['sell', 'sld', 's', 'sold', 'מכירה', 'מכירה בבורסה', 'מכירה רצף'],
+  deposit: ['deposit', 'הפקדה', 'הפקדת ני"ע', 'הפקדת נייר'],
+  withdrawal: ['withdrawal', 'משיכה', 'משיכת ני"ע', 'משיכת נייר'],
+  transfer_in: ['transfer in', 'העברה נכנסת', 'העברה לחשבון'],
+  transfer_out: ['transfer out', 'העברה יוצאת', 'העברה מחשבון'],
+  fee: ['fee', 'commission', 'עמלה', 'דמי ניהול'],
+};
+
+const CURRENCY_ALIASES = {
+  ILS: ['ils', 'nis', '₪', 'ש"ח', 'שח', 'שקל', 'שקל חדש', 'אגורות', 'אג'],
+  USD: ['usd', '$', 'דולר', 'דולר ארה"ב', 'דולר אמריקאי'],
+  EUR: ['eur', '€', 'אירו', 'יורו'],
+  GBP: ['gbp', '£', 'לירה שטרלינג', 'ליש"ט'],
+};
+
+// ==================== CELL PARSING ====================
+
+const normalizeHeader = (value) => String(value ?? '').toLowerCase().replace(/["'`׳״.\s]/g, '');
+
+/**
+ * Parse a number as brokers write it: thousands separators, currency signs,
+ * `(123)` or trailing `123-` for negatives
+ * @param {string|number} value
+ * @returns {number|null}
+ */
+export const parseImportNumber = (value) => {
+  if (typeof value === 'number') return isFinite(value) ? value : null;
+  let text = String(value ?? '').trim();
+  if (!text) return null;
+
+  let sign = 1;
+  if (/^\(.*\)$/.test(text)) {
+    sign = -1;
+    text = text.slice(1, -1);
+  }
+  if (/-$/.test(text)) {
+    sign = -1;
+    text = text.slice(0, -1);
+  }
+  text = text.replace(/[^\d.,-]/g, '').replace(/,/g, '');
+  if (!text || text === '-' || text === '.') return null;
+
+  const number = Number(text);
+  return isFinite(number) ? number * sign : null;
+};
+
+/**
+ * Parse a date cell to 'YYYY-MM-DD'.
+ * Accepts Excel serial numbers, ISO / compact (20240115) dates and D/M/Y or M/D/Y
+ * with `/`, `.` or `-` separators; a time part after a space or comma is ignored.
+ * @param {string|number} value
+ * @param {string} order - 'DMY' | 'MDY' | 'YMD' for ambiguous day/month dates
+ * @returns {string|null}
+ */
+export const parseImportDate = (value, order = 'DMY') => {
+  const text = String(value ?? '').trim().split(/[\s,T]/)[0];
+  if (!text) return null;
+
+  const toKey = (y, m, d) => {
+    const year = y < 100 ? 2000 + y : y;
+    const date = new Date(Date.UTC(year, m - 1, d));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+    return date.toISOString().split('T')[0];
+  };
+
+  // Excel serial date (days since 1899-12-30)
+  if (/^\d{5}(\.\d+)?$/.test(text)) {
+    const serial = Math.floor(Number(text));
+    if (serial > 20000 && serial < 80000) {
+      return new Date(Date.UTC(1899, 11, 30) + serial * 86400000).toISOString().split('T')[0];
+    }
+  }
+
+  let match = text.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (match) return toKey(Number(match[1]), Number(match[2]), Number(match[3]));
+
+  match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+  if (match) return toKey(Number(match[1]), Number(match[2]), Number(match[3]));
+
+  match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/);
+  if (match) {
+    const [a, b, year] = [Number(match[1]), Number(match[2]), Number(match[3])];
+    return order === 'MDY' ? toKey(year, a, b) : toKey(year, b, a);
+  }
+  return null;
+};
+
+/**
+ * Transaction type from a cell, falling back to the sign of the quantity (IBKR writes sells as negative)
+ * @param {string} value
+ * @param {number|null} quantity - Signed quantity from the same row
+ * @returns {string|null} A TRANSACTION_TYPES key
+ */
+export const parseTransactionType = (value, quantity = null) => {
+  const text = String(value ?? '').trim().toLowerCase();
+  if (text) {
+    const found = Object.entries(TYPE_ALIASES).find(([, aliases]) => aliases.includes(text))
+      || Object.entries(TYPE_ALIASES).find(([, aliases]) => aliases.some(a => a.length > 2 && text.includes(a)));
+    if (found) return found[0];
+  }
+  if (typeof quantity === 'number' && quantity !== 0) return quantity > 0 ? 'buy' : 'sell';
+  return null;
+};
+
+/**
+ * ISO currency code from a cell ('₪', 'ש"ח', 'דולר', 'usd'...)
+ * @param {string} value
+ * @returns {string|null}
+ */
+export const parseImportCurrency = (value) => {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+  const lower = text.toLowerCase();
+  const found = Object.entries(CURRENCY_ALIASES).find(([, aliases]) => aliases.includes(lower));
+  if (found) return found[0];
+  return /^[A-Z]{3}$/i.test(text) ? text.toUpperCase() : null;
+};
+
+// ==================== MAPPING ====================
+
+/**
+ * Index of the header row - the row (among the first 20) that matches the most preset aliases.
+ * Broker exports often start with account details above the table.
+ * @param {Array<Array<string>>} rows
+ * @param {string} broker - BROKER_PRESETS key
+ * @returns {number}
+ */
+export const findHeaderRow = (rows, broker = 'generic') => {
+  const aliases = Object.values(BROKER_PRESETS[broker]?.aliases || {}).flat().map(normalizeHeader);
+  let best = { index: 0, score: 0 };
+  rows.slice(0, 20).forEach((row, index) => {
+    const score = row.filter(cell => aliases.includes(normalizeHeader(cell))).length;
+    if (score > best.score) best = { index, score };
+  });
+  if (best.score > 0) return best.index;
+  // No known headers - the first row with at least two text cells
+  const textRow = rows.slice(0, 20).findIndex(row => row.filter(c => c && parseImportNumber(c) === null).length >= 2);
+  return textRow >= 0 ? textRow : 0;
+};
+
+/**
+ * Suggest a mapping from header names. A saved profile mapping takes priority when its
+ * column exists in this file.
+ * @param {Array<string>} headers
+ * @param {string} broker - BROKER_PRESETS key
+ * @param {Object} savedMapping - { field: headerName } from a profile
+ * @returns {Object} { field: headerName }
+ */
+export const suggestMapping = (headers, broker = 'generic', savedMapping = {}) => {
+  const normalized = headers.map(normalizeHeader);
+  const aliases = BROKER_PRESETS[broker]?.aliases || {};
+  const mapping = {};
+  const used = new Set();
+
+  Object.keys(IMPORT_FIELDS).forEach(field => {
+    const saved = savedMapping[field];
+    if (saved && headers.includes(saved)) {
+      mapping[field] = saved;
+      used.add(saved);
+      return;
+    }
+    const index = (aliases[field] || [])
+      .map(alias => normalized.indexOf(normalizeHeader(alias)))
+      .find(i => i >= 0 && !used.has(headers[i]));
+    if (index !== undefined) {
+      mapping[field] = headers[index];
+      used.add(headers[index]);
+    }
+  });
+  return mapping;
+};
+
+/**
+ * Check that the mapping has what the mode needs
+ * @param {Object} mapping - { field: headerName }
+ * @param {string} mode - IMPORT_MODES key
+ * @returns {Array<string>} Hebrew messages for missing fields (empty when complete)
+ */
+export const validateMapping = (mapping, mode) => {
+  const missing = [];
+  if (!mapping.symbol && !mapping.securityId && !mapping.name) missing.push('סימול, מספר נייר או שם נייר');
+  if (!mapping.quantity) missing.push(IMPORT_FIELDS.quantity.label);
+  if (mode === 'holdings' && !mapping.price && !mapping.costBasis) missing.push('מחיר או עלות כוללת');
+  if (mode === 'transactions') {
+    if (!mapping.date) missing.push(IMPORT_FIELDS.date.label);
+    if (!mapping.price) missing.push(IMPORT_FIELDS.price.label);
+  }
+  return missing;
+};
+
+// ==================== RECORDS ====================
+
+/**
+ * Identity of a record for symbol resolution - rows with the same key are one asset
+ * @param {Object} record
+ * @returns {string}
+ */
+export const getImportKey = (record) =>
+  (record.securityId || record.symbol || record.name || '').trim().toUpperCase();
+
+/**
+ * Normalize data rows into import records
+ * @param {Array<Array<string>>} rows - All rows of the file
+ * @param {number} headerRow - Index of the header row
+ * @param {Object} profile - { mode, mapping, dateOrder, pricesInAgorot, defaultCurrency }
+ * @returns {Array<Object>} Records: { rowNumber, key, symbol, securityId, name, quantity, price,
+ *   currency, date, type, fee, errors }
+ */
+export const mapImportRows = (rows, headerRow, profile) => {
+  const { mode, mapping, dateOrder = 'DMY', pricesInAgorot = false, defaultCurrency = 'ILS' } = profile;
+  const headers = rows[headerRow] || [];
+  const columns = Object.fromEntries(
+    Object.entries(mapping)
+      .filter(([, header]) => header)
+      .map(([field, header]) => [field, headers.indexOf(header)])
+      .filter(([, index]) => index >= 0)
+  );
+  const cell = (row, field) => (columns[field] !== undefined ? row[columns[field]] ?? '' : '');
+
+  return rows.slice(headerRow + 1).map((row, i) => {
+    const errors = [];
+    const signedQuantity = parseImportNumber(cell(row, 'quantity'));
+    const quantity = signedQuantity === null ? null : Math.abs(signedQuantity);
+    const securityId = cell(row, 'securityId').replace(/^0+(?=\d)/, '');
+    const currency = parseImportCurrency(cell(row, 'currency')) || defaultCurrency;
+
+    let price = parseImportNumber(cell(row, 'price'));
+    price = price === null ? null : Math.abs(price);
+    // TASE securities are quoted in agorot
+    if (price !== null && pricesInAgorot && currency === 'ILS') price /= 100;
+
+    const record = {
+      rowNumber: headerRow + i + 2,
+      symbol: cell(row, 'symbol').toUpperCase(),
+      securityId,
+      name: cell(row, 'name'),
+      quantity,
+      price,
+      currency,
+      date: null,
+      type: null,
+      fee: 0,
+      errors,
+    };
+    record.key = getImportKey(record);
+
+    if (!record.key) errors.push('חסר סימול / מספר נייר');
+
+    if (mode === 'holdings') {
+      const costBasis = parseImportNumber(cell(row, 'costBasis'));
+      if (record.price === null && costBasis !== null && quantity) record.price = Math.abs(costBasis) / quantity;
+      record.date = parseImportDate(cell(row, 'date'), dateOrder);
+      record.type = 'buy';
+      if (!quantity) errors.push('כמות חסרה או אפס');
+      if (record.price === null) errors.push('מחיר חסר');
+    } else {
+      record.date = parseImportDate(cell(row, 'date'), dateOrder);
+      record.type = parseTransactionType(cell(row, 'type'), signedQuantity);
+      record.fee = Math.abs(parseImportNumber(cell(row, 'fee')) || 0);
+      if (!record.date) errors.push('תאריך לא תקין');
+      if (!record.type || !TRANSACTION_TYPES[record.type] || TRANSACTION_TYPES[record.type].system) {
+        errors.push('סוג פעולה לא מזוהה');
+      }
+      if (!quantity && record.type !== 'fee') errors.push('כמות חסרה או אפס');
+      if (record.price === null) record.price = 0;
+    }
+    return record;
+  });
+};
+
+/**
+ * Fingerprint of a trade - rows and ledger entries with the same one are duplicates
+ * @param {Object} tx - { date, type, quantity, price }
+ * @returns {string}
+ */
+export const getTradeFingerprint = (tx) => [
+  tx.date,
+  tx.type,
+  Number(tx.quantity || 0).toFixed(6),
+  Number(tx.price || 0).toFixed(4),
+].join('|');
+
+/**
+ * Mark rows repeated within the file (same asset and trade fingerprint) - e.g. two
+ * overlapping statements pasted together. Only the first occurrence is kept.
+ * @param {Array<Object>} records - mapImportRows output
+ * @returns {Array<Object>} Records with `duplicateOf` (row number) on repeats
+ */
+export const markDuplicateRows = (records) => {
+  const seen = new Map();
+  return records.map(record => {
+    if (record.errors.length) return record;
+    const fingerprint = `${record.key}|${getTradeFingerprint(record)}`;
+    if (seen.has(fingerprint)) return { ...record, duplicateOf: seen.get(fingerprint) };
+    seen.set(fingerprint, record.rowNumber);
+    return record;
+  });
+};
@@ -0,0 +1,180 @@
+/**
+ * Israeli capital gains tax (מס רווחי הון) on realized sales from the transaction ledger.
+ *
+ * - ILS assets: real gain = nominal gain minus the inflationary amount (cost × CPI change
+ *   between the buy and sell dates, using the known index on each date). A nominal gain
+ *   smaller than the inflationary amount is fully exempt; a nominal loss stays a loss.
+ * - Foreign-currency assets: nominal gain in ILS - proceeds at the sell-date rate minus
+ *   cost at the buy-date rate.
+ * - Losses offset gains of any asset in the same tax year; a net loss is carried forward.
+ *
+ * Only the USD/ILS rate history is available, so other currencies are flagged as missing.
+ */
+
+import { matchLots, DEFAULT_COST_BASIS_METHOD } from './lotMatching';
+import { getRateForDate } from '../services/currency';
+
+// ==================== CONSTANTS ====================
+
+/** Rate on real capital gains for individuals (non-substantial shareholders) */
+export const ISRAELI_CGT_RATE = 0.25;
+
+/** CPI for month M is published on the 15th of month M+1 */
+const CPI_PUBLICATION_DAY = 15;
+
+// ==================== RATES ====================
+
+/**
+ * The known CPI on a date (המדד הידוע) - the last index published before it
+ * @param {Object} cpiByMonth - { 'YYYY-MM': value }
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @returns {number|null}
+ */
+export const getKnownCpi = (cpiByMonth, dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const lag = day >= CPI_PUBLICATION_DAY ? 1 : 2;
+  const known = new Date(year, month - 1 - lag, 1);
+  const key = `${known.getFullYear()}-${String(known.getMonth() + 1).padStart(2, '0')}`;
+  return cpiByMonth[key] ?? null;
+};
+
+// ==================== DISPOSALS ====================
+
+/**
+ * One row per sold lot piece, with the ILS cost / proceeds and the taxable gain
+ * @param {Array} assets - Assets with the ledger overlay (`transactions`)
+ * @param {Object} rates - { fx: fetchHistoricalRates output, cpi: [{ month, value }] }
+ * @param {string} defaultMethod - Cost-basis method when the asset has none
+ * @returns {Array} Rows sorted by sell date
+ */
+export const buildTaxDisposals = (assets, rates, defaultMethod = DEFAULT_COST_BASIS_METHOD) => {
+  const fx = rates.fx || [];
+  const cpiByMonth = Object.fromEntries((rates.cpi || []).map(p => [p.month, p.value]));
+  const rows = [];
+
+  assets.forEach(asset => {
+    if (!asset.transactions?.length) return;
+    const currency = asset.currency || 'ILS';
+    const { closedLots } = matchLots(asset.transactions, asset.costBasisMethod || defaultMethod);
+
+    closedLots.filter(lot => lot.type === 'sell').forEach(lot => {
+      const row = {
+        assetId: asset.id,
+        name: asset.name || asset.symbol || asset.id,
+        symbol: asset.symbol || '',
+        currency,
+        quantity: lot.quantity,
+        buyDate: lot.acquiredDate,
+        sellDate: lot.disposedDate,
+        cost: lot.cost,
+        proceeds: lot.proceeds,
+        fxBuy: null,
+        fxSell: null,
+        cpiBuy: null,
+        cpiSell: null,
+        costIls: null,
+        proceedsIls: null,
+        nominalGain: null,
+        inflationAmount: 0,
+        realGain: null,
+        missing: [],
+      };
+
+      if (currency === 'ILS') {
+        row.costIls = lot.cost;
+        row.proceedsIls = lot.proceeds;
+        row.nominalGain = lot.proceeds - lot.cost;
+        row.cpiBuy = getKnownCpi(cpiByMonth, lot.acquiredDate);
+        row.cpiSell = getKnownCpi(cpiByMonth, lot.disposedDate);
+        if (row.cpiBuy && row.cpiSell) {
+          row.inflationAmount = row.cpiSell > row.cpiBuy ? lot.cost * (row.cpiSell / row.cpiBuy - 1) : 0;
+        } else {
+          row.missing.push('cpi');
+        }
+        row.realGain = row.nominalGain > 0
+          ? Math.max(row.nominalGain - row.inflationAmount, 0)
+          : row.nominalGain;
+      } else {
+        row.fxBuy = currency === 'USD' ? getRateForDate(fx, lot.acquiredDate) : null;
+        row.fxSell = currency === 'USD' ? getRateForDate(fx, lot.disposedDate) : null;
+        if (row.fxBuy && row.fxSell) {
+          row.costIls = lot.cost * row.fxBuy;
+          row.proceedsIls = lot.proceeds * row.fxSell;
+          row.nominalGain = row.proceedsIls - row.costIls;
+          row.realGain = row.nominalGain;
+        } else {
+          row.missing.push('fx');
+        }
+      }
+
+      rows.push(row);
+    });
+  });
+
+  return rows.sort((a, b) => a.sellDate.localeCompare(b.sellDate));
+};
+
+// ==================== TAX YEARS ====================
+
+/**
+ * Per-year totals with loss carry-forward, oldest year first.
+ * Rows with a missing rate are left out of the totals (reported as `incomplete`).
+ * @param {Array} rows - Output of buildTaxDisposals
+ * @param {number} rate - Tax rate
+ * @returns {Array<{year, gains, losses, net, carryIn, lossOffset, taxable, tax, carryOut, incomplete}>}
+ */
+export const summarizeTaxYears = (rows, rate = ISRAELI_CGT_RATE) => {
+  const byYear = {};
+  rows.forEach(row => {
+    const year = Number(row.sellDate.slice(0, 4));
+    if (!byYear[year]) byYear[year] = { gains: 0, losses: 0, incomplete: 0 };
+    if (row.realGain === null) {
+      byYear[year].incomplete++;
+    } else if (row.realGain >= 0) {
+      byYear[year].gains += row.realGain;
+    } else {
+      byYear[year].losses += -row.realGain;
+    }
+  });
+
+  const years = Object.keys(byYear).map(Number).sort((a, b) => a - b);
+  if (years.length === 0) return [];
+
+  const summaries = [];
+  let carry = 0;
+  for (let year = years[0]; year <= years[years.length - 1]; year++) {
+    const { gains = 0, losses = 0, incomplete = 0 } = byYear[year] || {};
+    const net = gains - losses;
+    const carryIn = carry;
+    const lossOffset = net > 0 ? Math.min(carryIn, net) : 0;
+    const taxable = Math.max(net - lossOffset, 0);
+    carry = net > 0 ? carryIn - lossOffset : carryIn - net;
+
+    summaries.push({
+      year,
+      gains,
+      losses,
+      net,
+      carryIn,
+      lossOffset,
+      taxable,
+      tax: taxable * rate,
+      carryOut: carry,
+      incomplete,
+    });
+  }
+  return summaries;
+};
+
+/**
+ * Summary of one tax year - a year without sales carries the previous loss forward unchanged
+ * @param {Array} taxYears - Output of summarizeTaxYears
+ * @param {number} year
+ * @returns {Object} Same shape as a summarizeTaxYears entry
+ */
+export const getTaxYearSummary = (taxYears, year) => {
+  const found = taxYears.find(y => y.year === year);
+  if (found) return found;
+  const carry = taxYears.filter(y => y.year < year).pop()?.carryOut || 0;
+  return { year, gains: 0, losses: 0, net: 0, carryIn: carry, lossOffset: 0, taxable: 0, tax: 0, carryOut: carry, incomplete: 0 };
+};
@@ -3,6 +3,8 @@
  * RTL and Hebrew locale aware
  */
 
+import { getLiabilityChartRows } from './liabilities';
+
 // Hebrew font stack
 export const HEBREW_FONT = "'Assistant', 'Heebo', 'Rubik', sans-serif";
 
@@ -214,6 +216,23 @@ export const aggregateData = (assets, groupBy, filters = {}, labelMode = 'symbol
     .sort((a, b) => b.value - a.value);
 };
 
+/**
+ * Aggregate chart data for any dataKey - 'liabilities' charts the outstanding balance
+ * per liability, every other key groups the assets (see aggregateData)
+ * @param {Array} assets - Valued assets
+ * @param {Array} liabilities - Valued liabilities (output of useLiabilities)
+ * @param {string} dataKey - Field to group by, or 'liabilities'
+ * @param {Object} filters - Asset filters; only `currency` applies to liabilities
+ * @param {string} labelMode - Label mode for symbol grouping
+ * @returns {Array} Aggregated data array
+ */
+export const aggregateChartData = (assets, liabilities, dataKey, filters = {}, labelMode = 'symbol') => {
+  if (dataKey === 'liabilities') {
+    return aggregateData(getLiabilityChartRows(liabilities || []), 'name', { currency: filters?.currency });
+  }
+  return aggregateData(assets, dataKey, filters, labelMode);
+};
+
 /**
  * Get color for chart item based on data key and system data
  * @param {string} name - Item name
@@ -0,0 +1,95 @@
+/**
+ * Export helpers - CSV download and a printable HTML report (saved as PDF from the print dialog).
+ */
+
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Trigger a browser download of a Blob
+ * @param {string} filename
+ * @param {Blob} blob
+ */
+export const downloadBlob = (filename, blob) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Download tables as CSV (UTF-8 with BOM so Excel shows Hebrew correctly).
+ * Sections are separated by an empty line, each with its own header row.
+ * @param {string} filename
+ * @param {Array<{heading?: string, columns: Array<{key: string, label: string}>, rows: Array<Object>}>} sections
+ */
+export const downloadCsv = (filename, sections) => {
+  const lines = sections.flatMap((section, index) => [
+    ...(index > 0 ? [''] : []),
+    ...(section.heading ? [escapeCsv(section.heading)] : []),
+    section.columns.map(c => escapeCsv(c.label)).join(','),
+    ...section.rows.map(row => section.columns.map(c => escapeCsv(row[c.key])).join(',')),
+  ]);
+  downloadBlob(filename, new Blob(['\uFEFF' + lines.join('\r\n')], { type: 'text/csv;charset=utf-8' }));
+};
+
+/**
+ * Open a printable RTL report in a new window and show the print dialog
+ * @param {string} title
+ * @param {Array<{heading?: string, columns: Array<{key, label}>, rows: Array<Object>}>} sections
+ * @param {string} footnote - Optional text under the tables
+ * @returns {boolean} False when the popup was blocked
+ */
+export const printReport = (title, sections, footnote = '') => {
+  const win = window.open('', '_blank');
+  if (!win) return false;
+
+  const tables = sections.map(section => `
+    ${section.heading ? `<h2>${escapeHtml(section.heading)}</h2>` : ''}
+    <table>
+      <thead><tr>${section.columns.map(c => `<th>${escapeHtml(c.label)}</th>`).join('')}</tr></thead>
+      <tbody>${section.rows.map(row => `<tr>${section.columns.map(c => `<td>${escapeHtml(row[c.key])}</td>`).join('')}</tr>`).join('')}</tbody>
+    </table>`).join('');
+
+  win.document.write(`<!DOCTYPE html>
+<html dir="rtl" lang="he">
+<head>
+  <meta charset="utf-8" />
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: 'Assistant', 'Heebo', 'Rubik', Arial, sans-serif; color: #0f172a; margin: 24px; }
+    h1 { font-size: 20px; margin: 0 0 4px; }
+    h2 { font-size: 15px; margin: 24px 0 8px; }
+    .meta { color: #64748b; font-size: 12px; margin-bottom: 16px; }
+    table { width: 100%; border-collapse: collapse; font-size: 11px; }
+    th, td { border: 1px solid #cbd5e1; padding: 4px 6px; text-align: right; }
+    th { background: #f1f5f9; }
+    .footnote { color: #64748b; font-size: 11px; margin-top: 16px; white-space: pre-line; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <div class="meta">הופק ב-${escapeHtml(new Date().toLocaleDateString('he-IL'))}</div>
+  ${tables}
+  ${footnote ? `<div class="footnote">${escapeHtml(footnote)}</div>` : ''}
+</body>
+</html>`);
+  win.document.close();
+  win.focus();
+  win.print();
+  return true;
+};
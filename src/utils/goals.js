@@ -0,0 +1,146 @@
+/**
+ * Goal progress from the assets assigned to each goal (see services/goalService).
+ *
+ * - An allocation assigns a percent of an asset's current value to a goal; the same asset
+ *   can be split between goals, up to 100% in total
+ * - The required monthly contribution is the payment that, together with the assigned value,
+ *   reaches the target by the target date at the goal's expected annual return
+ *   (monthly compounding, contributions at the end of each month)
+ */
+
+// ==================== HELPERS ====================
+
+/**
+ * Whole months from a date until the target date (0 when the date has passed)
+ * @param {string} targetDate - 'YYYY-MM-DD'
+ * @param {Date} from
+ * @returns {number}
+ */
+export const getMonthsUntil = (targetDate, from = new Date()) => {
+  if (!targetDate) return 0;
+  const [year, month, day] = targetDate.split('-').map(Number);
+  let months = (year - from.getFullYear()) * 12 + (month - 1 - from.getMonth());
+  if ((day || 1) < from.getDate()) months--;
+  return Math.max(0, months);
+};
+
+/** Monthly rate equivalent to an annual % return */
+const toMonthlyRate = (annualReturn) => Math.pow(1 + (Number(annualReturn) || 0) / 100, 1 / 12) - 1;
+
+/**
+ * Monthly contribution needed to reach a target
+ * @param {number} current - Value already assigned
+ * @param {number} target - Target amount
+ * @param {number} months - Months left
+ * @param {number} annualReturn - Expected annual %
+ * @returns {number} 0 when the assigned value already grows to the target
+ */
+export const getRequiredMonthly = (current, target, months, annualReturn = 0) => {
+  const r = toMonthlyRate(annualReturn);
+  const growth = Math.pow(1 + r, months);
+  const remaining = target - current * growth;
+  if (remaining <= 0) return 0;
+  if (months === 0) return remaining;
+  return r !== 0 ? (remaining * r) / (growth - 1) : remaining / months;
+};
+
+/**
+ * Percent of each asset already assigned to goals
+ * @param {Array} goals
+ * @param {string} [excludeGoalId] - Goal being edited (its own allocations are free)
+ * @returns {Object} { [assetId]: percent }
+ */
+export const getAssignedPercents = (goals, excludeGoalId = null) => {
+  const assigned = {};
+  goals.forEach(goal => {
+    if (goal.id === excludeGoalId) return;
+    (goal.allocations || []).forEach(({ assetId, percent }) => {
+      assigned[assetId] = (assigned[assetId] || 0) + (Number(percent) || 0);
+    });
+  });
+  return assigned;
+};
+
+// ==================== VALUATION ====================
+
+/**
+ * Value every goal from its assigned assets
+ * @param {Array} goals - Stored goals
+ * @param {Array} assets - Valued assets (value in the reporting currency)
+ * @param {Object} rates - Goal currency → reporting currency (useFxMatrix)
+ * @param {Date} today
+ * @returns {Array} Goals with:
+ *   assigned: [{ assetId, name, symbol, percent, value }]  - value in the reporting currency
+ *   value           - assigned value, reporting currency
+ *   currentAmount   - assigned value, goal currency
+ *   progress        - % of the target (uncapped)
+ *   monthsLeft, requiredMonthly (goal currency), projectedAmount (goal currency, no contributions)
+ *   fxRate          - goal currency → reporting currency
+ *   fxUnavailable   - no rate for the goal currency (currentAmount, progress, requiredMonthly
+ *                     and projectedAmount are null - unknown, not 0)
+ */
+export const valueGoals = (goals, assets, rates, today = new Date()) => {
+  const byId = new Map(assets.map(asset => [asset.id, asset]));
+
+  return goals.map(goal => {
+    const assigned = (goal.allocations || [])
+      .filter(({ assetId }) => byId.has(assetId))
+      .map(({ assetId, percent }) => {
+        const asset = byId.get(assetId);
+        return {
+          assetId,
+          name: asset.name || asset.symbol,
+          symbol: asset.symbol || null,
+          percent,
+          value: (Number(asset.value) || 0) * (Number(percent) || 0) / 100,
+        };
+      });
+
+    const value = assigned.reduce((sum, a) => sum + a.value, 0);
+    const fxRate = rates[goal.currency || 'ILS'];
+    const targetAmount = Number(goal.targetAmount) || 0;
+    const monthsLeft = getMonthsUntil(goal.targetDate, today);
+
+    if (!fxRate) {
+      return {
+        ...goal,
+        assigned,
+        value,
+        currentAmount: null,
+        progress: null,
+        monthsLeft,
+        requiredMonthly: null,
+        projectedAmount: null,
+        fxRate: null,
+        fxUnavailable: true,
+      };
+    }
+
+    const currentAmount = value / fxRate;
+    return {
+      ...goal,
+      assigned,
+      value,
+      currentAmount,
+      progress: targetAmount > 0 ? (currentAmount / targetAmount) * 100 : 0,
+      monthsLeft,
+      requiredMonthly: getRequiredMonthly(currentAmount, targetAmount, monthsLeft, goal.expectedReturn),
+      projectedAmount: currentAmount * Math.pow(1 + toMonthlyRate(goal.expectedReturn), monthsLeft),
+      fxRate,
+      fxUnavailable: false,
+    };
+  });
+};
+
+/**
+ * Totals across valued goals, in the reporting currency
+ * @param {Array} valued - Output of valueGoals
+ * @returns {Object} { target, current, requiredMonthly }
+ */
+export const getGoalsTotals = (valued) => valued.reduce((totals, goal) => {
+  if (goal.fxUnavailable) return totals;
+  totals.target += (Number(goal.targetAmount) || 0) * goal.fxRate;
+  totals.current += goal.value;
+  totals.requiredMonthly += goal.requiredMonthly * goal.fxRate;
+  return totals;
+}, { target: 0, current: 0, requiredMonthly: 0 });
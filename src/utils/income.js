@@ -0,0 +1,247 @@
+/**
+ * Income analytics - monthly totals, trailing-12-month yield and a projected
+ * payout calendar built from past income events (see services/incomeService).
+ *
+ * Amounts are converted to ILS with an FX matrix (getFxMatrix / useFxMatrix into ILS). An event
+ * in a currency the matrix has no rate for is left out of the totals and flagged (`fxUnavailable`)
+ * rather than counted 1:1.
+ * Expenses (INCOME_TYPES outflow) are kept apart from gross / withholding / net.
+ */
+
+import { INCOME_TYPES } from '../services/incomeService';
+import { convertWithMatrix } from '../services/currency';
+
+// ==================== HELPERS ====================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const monthKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+const dateKey = (date) => `${monthKey(date)}-${String(date.getDate()).padStart(2, '0')}`;
+
+const parseDateKey = (key) => new Date(`${key}T00:00:00`);
+
+const isOutflow = (event) => !!INCOME_TYPES[event.type]?.outflow;
+
+/**
+ * Hebrew month label for a 'YYYY-MM' key
+ * @param {string} key
+ * @returns {string}
+ */
+export const formatMonthLabel = (key) => {
+  const [year, month] = key.split('-').map(Number);
+  return new Date(year, month - 1, 1).toLocaleDateString('he-IL', { month: 'short', year: '2-digit' });
+};
+
+/**
+ * Convert an amount in the payout currency to ILS
+ * @param {number} amount
+ * @param {string} currency - Payout currency
+ * @param {Object} rates - FX matrix into ILS ({ [currency]: rate })
+ * @returns {number|null} Null when there is no rate for the currency
+ */
+export const incomeToIls = (amount, currency, rates) =>
+  convertWithMatrix(Number(amount) || 0, currency || 'ILS', rates);
+
+const hasRate = (event, rates) => incomeToIls(0, event.currency, rates) !== null;
+
+// ==================== SUMMARIES ====================
+
+/**
+ * Income per calendar month (ILS), oldest first, including empty months
+ * @param {Array} events - Income events
+ * @param {Object} rates - FX matrix into ILS
+ * @param {number} months - How many months back (including the current one)
+ * @param {Date} today
+ * @returns {Array<{month: string, label: string, gross: number, withholding: number, net: number, expenses: number, fxUnavailable: boolean}>}
+ */
+export const getMonthlyIncome = (events, rates, months = 24, today = new Date()) => {
+  const buckets = [];
+  for (let i = months - 1; i >= 0; i--) {
+    const key = monthKey(new Date(today.getFullYear(), today.getMonth() - i, 1));
+    buckets.push({ month: key, label: formatMonthLabel(key), gross: 0, withholding: 0, net: 0, expenses: 0, fxUnavailable: false });
+  }
+  const byMonth = Object.fromEntries(buckets.map(b => [b.month, b]));
+
+  events.forEach(event => {
+    const bucket = byMonth[(event.date || '').slice(0, 7)];
+    if (!bucket) return;
+    if (!hasRate(event, rates)) {
+      bucket.fxUnavailable = true;
+      return;
+    }
+    if (isOutflow(event)) {
+      bucket.expenses += incomeToIls(event.net, event.currency, rates);
+      return;
+    }
+    bucket.gross += incomeToIls(event.gross, event.currency, rates);
+    bucket.withholding += incomeToIls(event.withholding, event.currency, rates);
+    bucket.net += incomeToIls(event.net, event.currency, rates);
+  });
+
+  return buckets;
+};
+
+/**
+ * Trailing-12-month income and yield on the current value
+ * @param {Array} events - Income events
+ * @param {Array} assets - Valued assets (`valueILS`, or `value` when it is already in ILS)
+ * @param {Object} rates - FX matrix into ILS
+ * @param {Date} today
+ * @returns {{ gross: number, withholding: number, net: number, expenses: number, yield: number|null, byAsset: Object, fxUnavailable: Array<string> }}
+ *   fxUnavailable - currencies of events left out for lack of a rate
+ */
+export const getTrailingIncome = (events, assets, rates, today = new Date()) => {
+  const fromKey = dateKey(new Date(today.getTime() - 365 * DAY_MS));
+  const todayKey = dateKey(today);
+  const byAsset = {};
+  const totals = { gross: 0, withholding: 0, net: 0, expenses: 0 };
+  const fxUnavailable = new Set();
+
+  events
+    .filter(e => e.date > fromKey && e.date <= todayKey)
+    .forEach(event => {
+      if (!hasRate(event, rates)) {
+        fxUnavailable.add(event.currency);
+        return;
+      }
+      if (!byAsset[event.assetId]) byAsset[event.assetId] = { gross: 0, withholding: 0, net: 0, expenses: 0, yield: null };
+
+      if (isOutflow(event)) {
+        const amount = incomeToIls(event.net, event.currency, rates);
+        totals.expenses += amount;
+        byAsset[event.assetId].expenses += amount;
+        return;
+      }
+
+      const gross = incomeToIls(event.gross, event.currency, rates);
+      const withholding = incomeToIls(event.withholding, event.currency, rates);
+      const net = incomeToIls(event.net, event.currency, rates);
+
+      totals.gross += gross;
+      totals.withholding += withholding;
+      totals.net += net;
+
+      byAsset[event.assetId].gross += gross;
+      byAsset[event.assetId].withholding += withholding;
+      byAsset[event.assetId].net += net;
+    });
+
+  let totalValue = 0;
+  assets.forEach(asset => {
+    const valueIls = Number(asset.valueILS ?? asset.value) || 0;
+    totalValue += valueIls;
+    const entry = byAsset[asset.id];
+    if (entry && valueIls > 0) entry.yield = entry.gross / valueIls;
+  });
+
+  return {
+    ...totals,
+    yield: totalValue > 0 ? totals.gross / totalValue : null,
+    byAsset,
+    fxUnavailable: [...fxUnavailable],
+  };
+};
+
+// ==================== PROJECTION ====================
+
+/**
+ * Months between payouts, inferred from the median gap of the latest events
+ * @param {Array<string>} dates - Sorted payout date keys
+ * @returns {number} 1 | 3 | 6 | 12
+ */
+export const inferPayoutInterval = (dates) => {
+  if (dates.length < 2) return 12;
+  const recent = dates.slice(-8);
+  const gaps = recent.slice(1).map((d, i) => (parseDateKey(d) - parseDateKey(recent[i])) / DAY_MS).sort((a, b) => a - b);
+  const median = gaps[Math.floor(gaps.length / 2)];
+  if (median <= 45) return 1;
+  if (median <= 120) return 3;
+  if (median <= 240) return 6;
+  return 12;
+};
+
+/**
+ * Projected payouts for the coming months, repeating each asset's payout rhythm.
+ * The amount is the last dividend per share × the units held today (or the last
+ * payout when no per-share figure exists), with the last withholding ratio.
+ * Assets without a payout in the last 18 months are considered discontinued.
+ * @param {Array} events - Income events
+ * @param {Array} assets - Current assets
+ * @param {Object} rates - FX matrix into ILS
+ * @param {number} months - Projection horizon
+ * @param {Date} today
+ * @returns {Array<{assetId, name, type, date, currency, gross, net, netIls}>} Sorted by date
+ *   (netIls is null when there is no rate for the currency)
+ */
+export const projectIncome = (events, assets, rates, months = 12, today = new Date()) => {
+  const todayKey = dateKey(today);
+  const horizonKey = dateKey(new Date(today.getFullYear(), today.getMonth() + months, today.getDate()));
+  const staleKey = dateKey(new Date(today.getFullYear(), today.getMonth() - 18, today.getDate()));
+  const projected = [];
+
+  const eventsByAsset = {};
+  events.forEach(e => {
+    if (!eventsByAsset[e.assetId]) eventsByAsset[e.assetId] = [];
+    eventsByAsset[e.assetId].push(e);
+  });
+
+  assets.forEach(asset => {
+    const history = (eventsByAsset[asset.id] || []).filter(e => !isOutflow(e)).sort((a, b) => a.date.localeCompare(b.date));
+    if (history.length === 0) return;
+
+    const last = history[history.length - 1];
+    if (last.date < staleKey) return;
+
+    const interval = inferPayoutInterval([...new Set(history.map(e => e.date))]);
+    const quantity = Number(asset.quantity) || 0;
+    const gross = last.perShare && quantity > 0 ? last.perShare * quantity : Number(last.gross) || 0;
+    const netRatio = last.gross > 0 ? last.net / last.gross : 1;
+    if (gross <= 0) return;
+
+    const lastDate = parseDateKey(last.date);
+    for (let step = 1; step <= Math.ceil(24 / interval) + months; step++) {
+      const next = dateKey(new Date(lastDate.getFullYear(), lastDate.getMonth() + step * interval, lastDate.getDate()));
+      if (next > horizonKey) break;
+      if (next <= todayKey) continue;
+
+      projected.push({
+        assetId: asset.id,
+        name: asset.name || asset.symbol,
+        type: last.type,
+        date: next,
+        currency: last.currency,
+        gross,
+        net: gross * netRatio,
+        netIls: incomeToIls(gross * netRatio, last.currency, rates),
+      });
+    }
+  });
+
+  return projected.sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/**
+ * Group projected payouts by month for the calendar view
+ * @param {Array} projected - Output of projectIncome
+ * @param {number} months - Horizon
+ * @param {Date} today
+ * @returns {Array<{month: string, label: string, total: number, payouts: Array}>}
+ */
+export const groupProjectedByMonth = (projected, months = 12, today = new Date()) => {
+  const calendar = [];
+  for (let i = 0; i < months; i++) {
+    const key = monthKey(new Date(today.getFullYear(), today.getMonth() + i, 1));
+    calendar.push({ month: key, label: formatMonthLabel(key), total: 0, payouts: [] });
+  }
+  const byMonth = Object.fromEntries(calendar.map(c => [c.month, c]));
+
+  projected.forEach(p => {
+    const bucket = byMonth[p.date.slice(0, 7)];
+    if (!bucket) return;
+    bucket.total += p.netIls ?? 0;
+    bucket.payouts.push(p);
+  });
+
+  return calendar;
+};
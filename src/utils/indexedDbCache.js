@@ -199,6 +199,8 @@ export function getTTL(type) {
       return 60 * 60 * 1000; // 1 hour
     case 'fx':
       return 60 * 60 * 1000; // 1 hour
+    case 'cpi':
+      return 24 * 60 * 60 * 1000; // 24 hours (published monthly)
     default:
       return 60 * 60 * 1000; // 1 hour default
   }
@@ -0,0 +1,246 @@
+/**
+ * Liability analytics - amortization schedules, balances on a date, net worth over time
+ * and a projected payoff series (see services/liabilityService for the stored terms).
+ *
+ * Schedules are monthly. CPI-linked loans index the balance by the "known" index
+ * (published two months before the payment month); months that are not published yet
+ * use the loan's expected inflation. Prime-linked loans use the stored prime rate for
+ * the whole term - a future prime change shows up once the user updates it.
+ */
+
+import { LIABILITY_TYPES } from '../services/liabilityService';
+import { formatMonthLabel } from './income';
+
+// ==================== HELPERS ====================
+
+/** Balances below this are treated as paid off (rounding of the last payment) */
+const EPSILON = 0.005;
+
+/** Projection horizon cap - 40 years */
+const MAX_PROJECTION_MONTHS = 480;
+
+/** Open-ended loans (margin, credit lines) are projected this far when nothing else is */
+const OPEN_ENDED_PROJECTION_MONTHS = 60;
+
+const toMonthKey = (date) => {
+  if (typeof date === 'string') return date.slice(0, 7);
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const addMonths = (key, count) => {
+  const [year, month] = key.split('-').map(Number);
+  const d = new Date(year, month - 1 + count, 1);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const monthsBetween = (fromKey, toKey) => {
+  const [fy, fm] = fromKey.split('-').map(Number);
+  const [ty, tm] = toKey.split('-').map(Number);
+  return (ty - fy) * 12 + (tm - fm);
+};
+
+/**
+ * Annual rate actually charged (prime + margin for prime-linked loans)
+ * @param {Object} liability
+ * @returns {number} Annual %
+ */
+export const getEffectiveRate = (liability) =>
+  (Number(liability.rate) || 0) + (liability.indexation === 'prime' ? Number(liability.primeRate) || 0 : 0);
+
+/**
+ * CPI value per month, extrapolated with the expected inflation past the last published month
+ * @param {Array<{month: string, value: number}>} cpiSeries - Oldest first
+ * @param {number} expectedInflation - Annual %
+ * @returns {Function} (monthKey) => index value
+ */
+const createCpiLookup = (cpiSeries, expectedInflation) => {
+  const byMonth = new Map((cpiSeries || []).map(p => [p.month, p.value]));
+  const first = cpiSeries?.[0];
+  const last = cpiSeries?.[cpiSeries.length - 1];
+  const monthlyGrowth = Math.pow(1 + (Number(expectedInflation) || 0) / 100, 1 / 12);
+
+  return (key) => {
+    if (byMonth.has(key)) return byMonth.get(key);
+    if (!last) return Math.pow(monthlyGrowth, monthsBetween('2000-01', key));
+    if (key < first.month) return first.value;
+    return last.value * Math.pow(monthlyGrowth, monthsBetween(last.month, key));
+  };
+};
+
+// ==================== SCHEDULE ====================
+
+/**
+ * Monthly amortization schedule from the first payment (a month after the start date)
+ *
+ * Spitzer payments are recomputed on the remaining balance and term every month, so a
+ * CPI-linked loan keeps a constant real payment and the nominal payment follows the index.
+ *
+ * @param {Object} liability - Stored liability terms
+ * @param {Array} cpiSeries - Output of getCpiSeries (only used for CPI-linked loans)
+ * @returns {Array<{month, opening, indexation, interest, principal, payment, balance}>}
+ *   Empty for open-ended loans (termMonths 0)
+ */
+export const buildAmortizationSchedule = (liability, cpiSeries = []) => {
+  const term = Math.round(Number(liability.termMonths) || 0);
+  const startMonth = toMonthKey(liability.startDate || new Date());
+  if (term <= 0) return [];
+
+  const r = getEffectiveRate(liability) / 100 / 12;
+  const cpi = liability.indexation === 'cpi' ? createCpiLookup(cpiSeries, liability.expectedInflation) : null;
+  const rows = [];
+  let balance = Number(liability.principal) || 0;
+
+  for (let i = 1; i <= term && balance > EPSILON; i++) {
+    const month = addMonths(startMonth, i);
+    const opening = balance;
+    const indexation = cpi ? balance * (cpi(addMonths(month, -2)) / cpi(addMonths(month, -3)) - 1) : 0;
+    balance += indexation;
+
+    const remaining = term - i + 1;
+    const interest = balance * r;
+    let principal;
+    if (liability.amortization === 'bullet') {
+      principal = i === term ? balance : 0;
+    } else if (liability.amortization === 'equal-principal' || r === 0) {
+      principal = balance / remaining;
+    } else {
+      principal = (balance * r) / (1 - Math.pow(1 + r, -remaining)) - interest;
+    }
+
+    balance -= principal;
+    if (balance < EPSILON) balance = 0;
+    rows.push({ month, opening, indexation, interest, principal, payment: interest + principal, balance });
+  }
+
+  return rows;
+};
+
+/**
+ * Outstanding balance at a date, in the loan currency
+ * @param {Object} liability - Stored liability terms
+ * @param {Array} schedule - Output of buildAmortizationSchedule
+ * @param {string|Date} date
+ * @returns {number} 0 before the start date and after the last payment
+ */
+export const getBalanceAt = (liability, schedule, date) => {
+  const key = toMonthKey(date);
+  if (!liability.startDate || key < toMonthKey(liability.startDate)) return 0;
+  if (!schedule.length) return Number(liability.principal) || 0;
+
+  let balance = Number(liability.principal) || 0;
+  for (const row of schedule) {
+    if (row.month > key) break;
+    balance = row.balance;
+  }
+  return balance;
+};
+
+// ==================== VALUATION ====================
+
+/**
+ * Current state of each liability, converted to the reporting currency
+ * @param {Array} liabilities - Stored liabilities
+ * @param {Array} cpiSeries - Output of getCpiSeries
+ * @param {Object} rates - { [currency]: rate to the reporting currency } (useFxMatrix)
+ * @param {Date} today
+ * @returns {Array} Liabilities with schedule, balance, monthlyPayment, payoffMonth, remainingInterest,
+ *   fxRate, value (balance in the reporting currency) and fxUnavailable when there is no rate
+ */
+export const valueLiabilities = (liabilities, cpiSeries, rates, today = new Date()) => {
+  const currentMonth = toMonthKey(today);
+
+  return liabilities.map(liability => {
+    const schedule = buildAmortizationSchedule(liability, cpiSeries);
+    const balance = getBalanceAt(liability, schedule, today);
+    const upcoming = schedule.filter(row => row.month > currentMonth);
+    const monthlyPayment = schedule.length
+      ? upcoming[0]?.payment || 0
+      : balance * getEffectiveRate(liability) / 100 / 12;
+    const fxRate = rates?.[liability.currency || 'ILS'];
+
+    return {
+      ...liability,
+      schedule,
+      balance,
+      monthlyPayment,
+      payoffMonth: schedule.length ? schedule[schedule.length - 1].month : null,
+      remainingInterest: upcoming.reduce((sum, row) => sum + row.interest, 0),
+      fxRate: fxRate || 1,
+      fxUnavailable: fxRate ? null : liability.currency,
+      value: fxRate ? balance * fxRate : 0,
+    };
+  });
+};
+
+/**
+ * Total balance at a date in the reporting currency (today's FX rates)
+ * @param {Array} valued - Output of valueLiabilities
+ * @param {string|Date} date
+ * @returns {number}
+ */
+export const getLiabilitiesValueAt = (valued, date) =>
+  valued.reduce((sum, l) => sum + (l.fxUnavailable ? 0 : getBalanceAt(l, l.schedule, date) * l.fxRate), 0);
+
+/**
+ * Net worth series - each portfolio value point minus the liabilities outstanding on its date
+ * @param {Array<{date: string, value: number}>} points - Portfolio history in the reporting currency
+ * @param {Array} valued - Output of valueLiabilities
+ * @returns {Array<{date, assets, liabilities, netWorth}>}
+ */
+export const buildNetWorthSeries = (points, valued) =>
+  (points || []).map(point => {
+    const liabilities = getLiabilitiesValueAt(valued, point.date);
+    return { date: point.date, assets: point.value, liabilities, netWorth: point.value - liabilities };
+  });
+
+/**
+ * Projected balance per liability from this month until the last one is paid off
+ * @param {Array} valued - Output of valueLiabilities
+ * @param {Date} today
+ * @returns {Array<{month, label, total, [liabilityId]: number}>} Reporting currency
+ */
+export const projectPayoff = (valued, today = new Date()) => {
+  const currentMonth = toMonthKey(today);
+  const active = valued.filter(l => !l.fxUnavailable && l.balance > 0);
+  if (active.length === 0) return [];
+
+  const lastPayoff = active
+    .map(l => l.payoffMonth)
+    .filter(Boolean)
+    .sort()
+    .pop();
+  const horizon = Math.min(
+    lastPayoff ? monthsBetween(currentMonth, lastPayoff) : OPEN_ENDED_PROJECTION_MONTHS,
+    MAX_PROJECTION_MONTHS
+  );
+
+  const points = [];
+  for (let i = 0; i <= horizon; i++) {
+    const month = addMonths(currentMonth, i);
+    const point = { month, label: formatMonthLabel(month), total: 0 };
+    active.forEach(l => {
+      const value = getBalanceAt(l, l.schedule, month) * l.fxRate;
+      point[l.id] = value;
+      point.total += value;
+    });
+    points.push(point);
+  }
+  return points;
+};
+
+/**
+ * Chart rows for the ChartBuilder 'liabilities' dataKey - shaped like assets so aggregateData can group them
+ * @param {Array} valued - Output of valueLiabilities
+ * @returns {Array<{name, value, category, platform, currency}>}
+ */
+export const getLiabilityChartRows = (valued) =>
+  valued
+    .filter(l => !l.fxUnavailable && l.value > 0)
+    .map(l => ({
+      name: l.name,
+      value: l.value,
+      category: LIABILITY_TYPES[l.type]?.label || l.type,
+      platform: l.lender,
+      currency: l.currency,
+    }));
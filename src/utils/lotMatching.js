@@ -0,0 +1,229 @@
+/**
+ * Lot matching engine - splits an asset's ledger into open lots (unrealized)
+ * and closed lots (realized P/L).
+ *
+ * Methods:
+ * - AVERAGE:  disposals are charged the running average cost (Israeli default)
+ * - FIFO:     disposals consume the oldest lots first
+ * - SPECIFIC: sells pick lots explicitly via `lotSelections: [{ lotId, quantity }]`,
+ *             any unmatched remainder falls back to FIFO
+ *
+ * Corporate actions: a `split` entry (`ratio` = new units per old unit) rescales every
+ * open lot - units × ratio, unit cost ÷ ratio - so the cost basis is unchanged.
+ */
+
+// ==================== CONSTANTS ====================
+
+export const COST_BASIS_METHODS = {
+  AVERAGE: { label: 'עלות ממוצעת', description: 'ברירת המחדל בישראל - כל מכירה מחויבת בעלות הממוצעת' },
+  FIFO: { label: 'FIFO', description: 'ראשון נכנס, ראשון יוצא - המנות הוותיקות נמכרות קודם' },
+  SPECIFIC: { label: 'זיהוי ספציפי', description: 'בחירת המנות שנמכרות בכל מכירה' },
+};
+
+export const DEFAULT_COST_BASIS_METHOD = 'AVERAGE';
+
+const ACQUISITION_TYPES = ['buy', 'deposit', 'transfer_in'];
+const DISPOSAL_TYPES = ['sell', 'withdrawal', 'transfer_out', 'fee'];
+const EPSILON = 1e-9;
+
+// ==================== HELPERS ====================
+
+/**
+ * Sort transactions chronologically (date, then creation time).
+ * A split sorts first within its day - it applies to the units held before the ex-date.
+ * @param {Array} transactions
+ * @returns {Array} New sorted array
+ */
+export const sortTransactions = (transactions = []) => {
+  const createdMs = (tx) => {
+    const c = tx.createdAt;
+    if (!c) return 0;
+    if (typeof c.toMillis === 'function') return c.toMillis();
+    return new Date(c).getTime() || 0;
+  };
+  const dayOrder = (tx) => (tx.type === 'split' ? 0 : 1);
+  return [...transactions].sort((a, b) =>
+    (a.date || '').localeCompare(b.date || '') || dayOrder(a) - dayOrder(b) || createdMs(a) - createdMs(b)
+  );
+};
+
+/**
+ * Remove `quantity` units from the lot pool according to the method.
+ * Mutates the lots and returns the consumed pieces.
+ * @returns {Array<{lot: Object, quantity: number, cost: number}>}
+ */
+function consumeLots(lots, quantity, method, selections = []) {
+  const pieces = [];
+  const open = lots.filter(l => l.quantity > EPSILON);
+  const totalQty = open.reduce((sum, l) => sum + l.quantity, 0);
+  if (totalQty <= EPSILON || quantity <= EPSILON) return pieces;
+
+  let remaining = Math.min(quantity, totalQty);
+
+  if (method === 'AVERAGE') {
+    // Proportional removal from every lot keeps the average cost unchanged
+    const totalCost = open.reduce((sum, l) => sum + l.quantity * l.unitCost, 0);
+    const avgCost = totalCost / totalQty;
+    const ratio = remaining / totalQty;
+    for (const lot of open) {
+      const taken = lot.quantity * ratio;
+      lot.quantity -= taken;
+      pieces.push({ lot, quantity: taken, cost: taken * avgCost });
+    }
+    return pieces;
+  }
+
+  const take = (lot, wanted) => {
+    const taken = Math.min(wanted, lot.quantity);
+    if (taken <= EPSILON) return 0;
+    lot.quantity -= taken;
+    pieces.push({ lot, quantity: taken, cost: taken * lot.unitCost });
+    return taken;
+  };
+
+  if (method === 'SPECIFIC') {
+    for (const selection of selections) {
+      const lot = open.find(l => l.lotId === selection.lotId);
+      if (!lot || remaining <= EPSILON) continue;
+      remaining -= take(lot, Math.min(Number(selection.quantity) || 0, remaining));
+    }
+  }
+
+  // FIFO (and SPECIFIC remainder)
+  for (const lot of open) {
+    if (remaining <= EPSILON) break;
+    remaining -= take(lot, remaining);
+  }
+
+  return pieces;
+}
+
+// ==================== VALIDATION ====================
+
+/**
+ * First disposal that takes out more units than were held at that point of the ledger.
+ * The matcher clamps such a disposal to the open position, so it would disagree with the
+ * recorded quantity and proceeds - callers reject it instead.
+ * @param {Array} transactions - Ledger entries (any order)
+ * @returns {{transaction: Object, available: number}|null}
+ */
+export const findOverSell = (transactions = []) => {
+  let held = 0;
+  for (const tx of sortTransactions(transactions)) {
+    const qty = Math.abs(Number(tx.quantity) || 0);
+    if (ACQUISITION_TYPES.includes(tx.type)) {
+      held += qty;
+    } else if (tx.type === 'split') {
+      const ratio = Number(tx.ratio) || 0;
+      if (ratio > EPSILON) held *= ratio;
+    } else if (DISPOSAL_TYPES.includes(tx.type)) {
+      if (qty - held > 1e-6) return { transaction: tx, available: held };
+      held -= qty;
+    }
+  }
+  return null;
+};
+
+// ==================== ENGINE ====================
+
+/**
+ * Match an asset's ledger into open and closed lots
+ * @param {Array} transactions - Ledger entries ({ id, type, date, quantity, price, fee, lotSelections?, ratio? })
+ * @param {string} method - 'AVERAGE' | 'FIFO' | 'SPECIFIC'
+ * @returns {Object} {
+ *   openLots: [{ lotId, date, quantity, unitCost }],
+ *   closedLots: [{ transactionId, lotId, acquiredDate, disposedDate, type, quantity, cost, proceeds, realizedPL }],
+ *   quantity, costBasis, avgCost, realizedPL, closedCost, totalFees
+ * }
+ */
+export const matchLots = (transactions = [], method = DEFAULT_COST_BASIS_METHOD) => {
+  const effectiveMethod = COST_BASIS_METHODS[method] ? method : DEFAULT_COST_BASIS_METHOD;
+  const lots = [];
+  const closedLots = [];
+  let realizedPL = 0;
+  let closedCost = 0;
+  let totalFees = 0;
+
+  for (const tx of sortTransactions(transactions)) {
+    const qty = Math.abs(Number(tx.quantity) || 0);
+    const price = Number(tx.price) || 0;
+    const fee = Math.abs(Number(tx.fee) || 0);
+    totalFees += fee;
+
+    if (ACQUISITION_TYPES.includes(tx.type)) {
+      if (qty <= EPSILON) continue;
+      // Buy commission is capitalized into the lot cost
+      lots.push({
+        lotId: tx.id,
+        date: tx.date,
+        quantity: qty,
+        originalQuantity: qty,
+        unitCost: (qty * price + fee) / qty,
+      });
+      continue;
+    }
+
+    if (tx.type === 'split') {
+      const ratio = Number(tx.ratio) || 0;
+      if (ratio <= EPSILON) continue;
+      lots.forEach(lot => {
+        lot.quantity *= ratio;
+        lot.originalQuantity *= ratio;
+        lot.unitCost /= ratio;
+      });
+      continue;
+    }
+
+    if (!DISPOSAL_TYPES.includes(tx.type)) continue;
+
+    const pieces = consumeLots(lots, qty, effectiveMethod, tx.lotSelections);
+    const disposedQty = pieces.reduce((sum, p) => sum + p.quantity, 0);
+    const disposedCost = pieces.reduce((sum, p) => sum + p.cost, 0);
+
+    if (tx.type === 'sell') {
+      // Sell commission is split across the matched pieces
+      pieces.forEach(p => {
+        const feeShare = disposedQty > 0 ? fee * (p.quantity / disposedQty) : 0;
+        const proceeds = p.quantity * price - feeShare;
+        closedLots.push({
+          transactionId: tx.id,
+          lotId: p.lot.lotId,
+          acquiredDate: p.lot.date,
+          disposedDate: tx.date,
+          type: tx.type,
+          quantity: p.quantity,
+          cost: p.cost,
+          proceeds,
+          realizedPL: proceeds - p.cost,
+        });
+      });
+      realizedPL += disposedQty * price - fee - disposedCost;
+      closedCost += disposedCost;
+    } else if (tx.type === 'fee') {
+      // Units consumed by a fee (e.g. network fee) are an expense at cost
+      realizedPL -= fee + disposedCost;
+      closedCost += disposedCost;
+    } else {
+      // Withdrawals / outgoing transfers move units out at cost - nothing is realized
+      realizedPL -= fee;
+    }
+  }
+
+  const openLots = lots
+    .filter(l => l.quantity > EPSILON)
+    .map(({ lotId, date, quantity, originalQuantity, unitCost }) => ({ lotId, date, quantity, originalQuantity, unitCost }));
+  const quantity = openLots.reduce((sum, l) => sum + l.quantity, 0);
+  const costBasis = openLots.reduce((sum, l) => sum + l.quantity * l.unitCost, 0);
+
+  return {
+    openLots,
+    closedLots,
+    quantity,
+    costBasis,
+    avgCost: quantity > 0 ? costBasis / quantity : 0,
+    realizedPL,
+    closedCost,
+    totalFees,
+    method: effectiveMethod,
+  };
+};
@@ -0,0 +1,253 @@
+/**
+ * Monte Carlo retirement / FIRE projection (runs inside workers/monteCarlo.worker.js).
+ *
+ * - The portfolio is split into buckets (one per category), each with its own expected
+ *   annual return and volatility; monthly returns are lognormal and independent between buckets
+ * - Everything is in today's money: returns are deflated by the inflation rate, so contributions
+ *   and the withdrawal stay fixed in real terms
+ * - Until retirement the monthly contribution is added by the buckets' starting weights;
+ *   from retirement the yearly withdrawal (withdrawal rate × the value at retirement, the
+ *   "4% rule") is taken monthly in proportion to each bucket's value
+ * - A run succeeds when the portfolio is not depleted before the target age
+ */
+
+// ==================== RANDOM ====================
+
+/**
+ * Seeded PRNG (mulberry32) - the same inputs give the same fan chart
+ * @param {number} seed
+ * @returns {Function} () => number in [0, 1)
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Standard normal sampler (Box-Muller)
+ * @param {Function} random
+ * @returns {Function} () => number
+ */
+const createNormal = (random) => {
+  let spare = null;
+  return () => {
+    if (spare !== null) {
+      const value = spare;
+      spare = null;
+      return value;
+    }
+    let u = 0;
+    while (u === 0) u = random();
+    const v = random();
+    const radius = Math.sqrt(-2 * Math.log(u));
+    spare = radius * Math.sin(2 * Math.PI * v);
+    return radius * Math.cos(2 * Math.PI * v);
+  };
+};
+
+// ==================== ASSUMPTIONS ====================
+
+/** Fallback nominal assumptions (annual %) when a category has no price history */
+export const DEFAULT_CATEGORY_ASSUMPTIONS = {
+  'מניות': { expectedReturn: 7, volatility: 16 },
+  'קריפטו': { expectedReturn: 10, volatility: 65 },
+  'מזומן': { expectedReturn: 3, volatility: 0.5 },
+};
+export const DEFAULT_ASSUMPTION = { expectedReturn: 5, volatility: 10 };
+
+/**
+ * Annualized return and volatility from a daily price series
+ * @param {Array<{t: number, v: number}>} points - /api/history points, oldest first
+ * @returns {Object|null} { expectedReturn, volatility, months } (annual %), null under 12 months
+ */
+export const estimateReturnStats = (points) => {
+  // Last price of every month
+  const monthly = new Map();
+  (points || []).forEach(({ t, v }) => {
+    if (!(v > 0)) return;
+    const d = new Date(t);
+    monthly.set(`${d.getFullYear()}-${d.getMonth()}`, v);
+  });
+  const prices = [...monthly.values()];
+  if (prices.length < 13) return null;
+
+  const logReturns = prices.slice(1).map((price, i) => Math.log(price / prices[i]));
+  const mean = logReturns.reduce((sum, r) => sum + r, 0) / logReturns.length;
+  const variance = logReturns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (logReturns.length - 1);
+
+  // Arithmetic annual mean of a lognormal process: exp(12μ + 6σ²) - 1
+  return {
+    expectedReturn: (Math.exp(12 * mean + 6 * variance) - 1) * 100,
+    volatility: Math.sqrt(variance * 12) * 100,
+    months: logReturns.length,
+  };
+};
+
+/**
+ * Value-weighted assumptions per category
+ * @param {Array} assets - Valued assets
+ * @param {Object} statsByAsset - { [assetId]: estimateReturnStats output }
+ * @returns {Array} [{ category, value, expectedReturn, volatility, source: 'history' | 'default', coverage }]
+ *   coverage - share of the category's value that has price history
+ */
+export const buildCategoryAssumptions = (assets, statsByAsset) => {
+  const groups = new Map();
+  assets.forEach(asset => {
+    const value = Number(asset.value) || 0;
+    if (value <= 0) return;
+    const category = asset.category || 'אחר';
+    const group = groups.get(category) || { category, value: 0, covered: 0, returnSum: 0, volatilitySum: 0 };
+    group.value += value;
+    const stats = statsByAsset[asset.id];
+    if (stats) {
+      group.covered += value;
+      group.returnSum += stats.expectedReturn * value;
+      group.volatilitySum += stats.volatility * value;
+    }
+    groups.set(category, group);
+  });
+
+  return [...groups.values()]
+    .sort((a, b) => b.value - a.value)
+    .map(group => {
+      const fallback = DEFAULT_CATEGORY_ASSUMPTIONS[group.category] || DEFAULT_ASSUMPTION;
+      const fromHistory = group.covered > 0;
+      return {
+        category: group.category,
+        value: group.value,
+        expectedReturn: fromHistory ? group.returnSum / group.covered : fallback.expectedReturn,
+        volatility: fromHistory ? group.volatilitySum / group.covered : fallback.volatility,
+        source: fromHistory ? 'history' : 'default',
+        coverage: group.value > 0 ? group.covered / group.value : 0,
+      };
+    });
+};
+
+// ==================== SIMULATION ====================
+
+const PERCENTILES = [10, 25, 50, 75, 90];
+
+const percentile = (sorted, p) => {
+  const index = (sorted.length - 1) * (p / 100);
+  const low = Math.floor(index);
+  const high = Math.ceil(index);
+  return sorted[low] + (sorted[high] - sorted[low]) * (index - low);
+};
+
+/**
+ * Run the simulation
+ * @param {Object} params
+ * @param {Array} params.buckets - [{ value, expectedReturn, volatility }] (value in the reporting currency, annual %)
+ * @param {number} params.monthlyContribution - Until retirement
+ * @param {number} params.withdrawalRate - Annual % of the value at retirement
+ * @param {number} params.inflation - Annual %
+ * @param {number} params.currentAge
+ * @param {number} params.retirementAge
+ * @param {number} params.targetAge - End of the plan
+ * @param {number} params.simulations
+ * @param {number} params.seed
+ * @returns {Object} {
+ *   years: [{ age, p10, p25, p50, p75, p90 }],   // value at the end of each year, today's money
+ *   successProbability,                          // % of runs not depleted before the target age
+ *   medianAtRetirement, medianWithdrawal,        // yearly withdrawal of the median run
+ *   depletedMedianAge                            // median depletion age among failed runs (null if none)
+ * }
+ */
+export const runMonteCarlo = ({
+  buckets,
+  monthlyContribution = 0,
+  withdrawalRate = 4,
+  inflation = 2.5,
+  currentAge,
+  retirementAge,
+  targetAge,
+  simulations = 2000,
+  seed = 1,
+}) => {
+  const normal = createNormal(createRandom(seed));
+  const totalMonths = Math.max(0, Math.round((targetAge - currentAge) * 12));
+  const retirementMonth = Math.max(0, Math.round((retirementAge - currentAge) * 12));
+  const startValue = buckets.reduce((sum, b) => sum + b.value, 0);
+  const weights = buckets.map(b => (startValue > 0 ? b.value / startValue : 1 / buckets.length));
+
+  // Monthly lognormal parameters of the real return
+  const params = buckets.map(b => {
+    const real = (1 + b.expectedReturn / 100) / (1 + inflation / 100);
+    const sigma = b.volatility / 100 / Math.sqrt(12);
+    return { mu: Math.log(real) / 12 - (sigma * sigma) / 2, sigma };
+  });
+
+  const years = Math.ceil(totalMonths / 12);
+  const yearValues = Array.from({ length: years + 1 }, () => new Float64Array(simulations));
+  const retirementValues = new Float64Array(simulations);
+  const depletionAges = [];
+  let successes = 0;
+
+  for (let run = 0; run < simulations; run++) {
+    const values = buckets.map(b => b.value);
+    let monthlyWithdrawal = 0;
+    let depleted = false;
+    yearValues[0][run] = startValue;
+    if (retirementMonth === 0) retirementValues[run] = startValue;
+
+    for (let month = 1; month <= totalMonths; month++) {
+      let total = 0;
+      for (let i = 0; i < values.length; i++) {
+        values[i] *= Math.exp(params[i].mu + params[i].sigma * normal());
+        total += values[i];
+      }
+
+      if (month <= retirementMonth) {
+        for (let i = 0; i < values.length; i++) values[i] += monthlyContribution * weights[i];
+        total += monthlyContribution;
+        if (month === retirementMonth) retirementValues[run] = total;
+      }
+      if (month === retirementMonth || (month === 1 && retirementMonth === 0)) {
+        monthlyWithdrawal = (total * withdrawalRate) / 100 / 12;
+      }
+      if (month > retirementMonth && !depleted) {
+        if (total <= monthlyWithdrawal) {
+          depleted = true;
+          depletionAges.push(currentAge + month / 12);
+          values.fill(0);
+          total = 0;
+        } else {
+          for (let i = 0; i < values.length; i++) values[i] -= monthlyWithdrawal * (values[i] / total);
+          total -= monthlyWithdrawal;
+        }
+      }
+
+      if (month % 12 === 0 || month === totalMonths) {
+        yearValues[Math.ceil(month / 12)][run] = depleted ? 0 : total;
+      }
+    }
+
+    if (!depleted) successes++;
+  }
+
+  const yearRows = yearValues.map((column, year) => {
+    const sorted = Array.from(column).sort((a, b) => a - b);
+    return {
+      age: Math.min(targetAge, currentAge + year),
+      ...Object.fromEntries(PERCENTILES.map(p => [`p${p}`, percentile(sorted, p)])),
+    };
+  });
+
+  const sortedRetirement = Array.from(retirementValues).sort((a, b) => a - b);
+  const sortedDepletion = depletionAges.sort((a, b) => a - b);
+  const medianAtRetirement = simulations > 0 ? percentile(sortedRetirement, 50) : 0;
+
+  return {
+    years: yearRows,
+    successProbability: simulations > 0 ? (successes / simulations) * 100 : 0,
+    medianAtRetirement,
+    medianWithdrawal: (medianAtRetirement * withdrawalRate) / 100,
+    depletedMedianAge: sortedDepletion.length ? percentile(sortedDepletion, 50) : null,
+  };
+};
@@ -0,0 +1,231 @@
+/**
+ * Pension clearing house (מסלקה פנסיונית) XML parsing.
+ *
+ * The clearing house exports one XML file per provider in the unified interface
+ * (ממשק אחיד): a provider (YeshutYatzran) holds products (Mutzar), each product holds
+ * accounts / policies (HeshbonOPolisa) with balances, investment tracks, management fees
+ * and recent deposits. Every account becomes one record here; the Firestore writes live
+ * in services/pensionService.
+ *
+ * Providers are not consistent about which optional blocks they fill, so each field is
+ * looked up by a list of tag names (PENSION_XML_TAGS) - the first tag found wins.
+ * Everything runs in the browser (DOMParser), no server call.
+ */
+
+import { decodeText } from './spreadsheet';
+import { parseImportNumber, parseImportDate } from './brokerImport';
+
+// ==================== CONSTANTS ====================
+
+/** Product types an account is imported as (instrument = systemData instrument name) */
+export const PENSION_PRODUCT_TYPES = {
+  pension: { label: 'קרן פנסיה', instrument: 'פנסיה' },
+  provident: { label: 'קופת גמל', instrument: 'קופת גמל' },
+  study: { label: 'קרן השתלמות', instrument: 'קרן השתלמות' },
+};
+
+/** SUG-MUTZAR codes -> product type (managers' insurance is kept with pension) */
+const PRODUCT_TYPE_CODES = {
+  1: 'pension',
+  2: 'pension',
+  3: 'provident',
+  4: 'study',
+  5: 'provident',
+  7: 'pension',
+};
+
+/** Plan-name keywords win over the product code - providers reuse codes across products */
+const PRODUCT_TYPE_KEYWORDS = [
+  { type: 'study', pattern: /השתלמות/ },
+  { type: 'provident', pattern: /גמל/ },
+  { type: 'pension', pattern: /פנסי|מנהלים|ביטוח/ },
+];
+
+/** Tag names per field, in priority order (matched case-insensitively, namespaces ignored) */
+export const PENSION_XML_TAGS = {
+  account: ['HeshbonOPolisa'],
+  track: ['PerutMasluleiHashkaa', 'MaslulHashkaa'],
+  providerName: ['SHEM-YATZRAN'],
+  providerId: ['KOD-MEZAHE-YATZRAN'],
+  productCode: ['SUG-MUTZAR'],
+  accountNumber: ['MISPAR-POLISA-O-HESHBON', 'MISPAR-HESHBON', 'MISPAR-POLISA'],
+  planName: ['SHEM-TOCHNIT', 'SHEM-KUPA'],
+  valuationDate: ['TAARICH-ERECH-TZVIROT', 'TAARICH-NECHONUT', 'TAARICH-ERECH'],
+  fileDate: ['TAARICH-BITZUA', 'TAARICH-HAFAKAT-HADOCH'],
+  balance: ['TOTAL-CHISACHON-MTZBR', 'YITRAT-KASPEY-TAGMULIM', 'TOTAL-ERKEI-PIDION', 'YITRA'],
+  trackName: ['SHEM-MASLUL-HASHKAA'],
+  trackCode: ['KOD-MASLUL-HASHKAA'],
+  trackBalance: ['SCHUM-TZVIRA-BAMASLUL', 'YITRA-BAMASLUL'],
+  depositFee: ['SHEUR-DMEI-NIHUL-HAFKADA', 'SHIUR-DMEI-NIHUL-HAFKADA', 'DMEI-NIHUL-HAFKADA'],
+  balanceFee: ['SHEUR-DMEI-NIHUL-TZVIRA', 'SHIUR-DMEI-NIHUL-TZVIRA', 'SHEUR-DMEI-NIHUL-ACHUZ-MEHACHISACHON', 'DMEI-NIHUL-TZVIRA'],
+  employeeContribution: ['TOTAL-HAFKADOT-OVED-TAGMULIM-SHANA-NOCHECHIT', 'HAFKADAT-OVED', 'SCHUM-HAFKADOT-OVED'],
+  employerContribution: ['TOTAL-HAFKADOT-MAASIK-TAGMULIM-SHANA-NOCHECHIT', 'HAFKADAT-MAASIK', 'SCHUM-HAFKADOT-MAASIK'],
+  severanceContribution: ['TOTAL-HAFKADOT-PITZUIM-SHANA-NOCHECHIT', 'HAFKADAT-PITZUIM', 'SCHUM-HAFKADOT-PITZUIM'],
+  lastDepositDate: ['TAARICH-HAFKADA-ACHARON', 'TAARICH-HAFKADA-ACHRONA'],
+};
+
+// ==================== XML HELPERS ====================
+
+const tagSet = (names) => new Set(names.map(name => name.toUpperCase()));
+
+const nameOf = (element) => (element.localName || element.nodeName).toUpperCase();
+
+const textOf = (element) => element?.textContent?.trim() || '';
+
+/**
+ * Descendants of `root` with one of the tag names, skipping anything inside
+ * a nested account other than `owner` (so a product does not read its sibling accounts)
+ */
+const findAll = (root, names, owner = null) => {
+  const wanted = tagSet(names);
+  const accountTags = tagSet(PENSION_XML_TAGS.account);
+  return Array.from(root.getElementsByTagName('*')).filter(element => {
+    if (!wanted.has(nameOf(element))) return false;
+    for (let parent = element.parentElement; parent && parent !== root; parent = parent.parentElement) {
+      if (accountTags.has(nameOf(parent)) && parent !== owner) return false;
+    }
+    return true;
+  });
+};
+
+/** First non-empty value for a field - tag names are tried in priority order */
+const findValue = (root, field, owner = null) => {
+  for (const name of PENSION_XML_TAGS[field]) {
+    const element = findAll(root, [name], owner).find(e => textOf(e));
+    if (element) return textOf(element);
+  }
+  return '';
+};
+
+/** Sum of every occurrence of the first tag name of a field that exists */
+const sumValues = (root, field, owner = null) => {
+  for (const name of PENSION_XML_TAGS[field]) {
+    const values = findAll(root, [name], owner).map(e => parseImportNumber(textOf(e))).filter(v => v !== null);
+    if (values.length) return values.reduce((sum, v) => sum + v, 0);
+  }
+  return null;
+};
+
+/** Walk up from an account to the nearest ancestor that has a value for the field */
+const findInAncestors = (account, field) => {
+  for (let parent = account.parentElement; parent; parent = parent.parentElement) {
+    const value = findValue(parent, field, account);
+    if (value) return value;
+  }
+  return '';
+};
+
+/**
+ * Product type from the plan name, then the SUG-MUTZAR code
+ * @param {string} planName
+ * @param {string} productCode
+ * @returns {string|null} A PENSION_PRODUCT_TYPES key
+ */
+export const detectProductType = (planName, productCode) => {
+  const keyword = PRODUCT_TYPE_KEYWORDS.find(k => k.pattern.test(planName || ''));
+  if (keyword) return keyword.type;
+  return PRODUCT_TYPE_CODES[Number(productCode)] || null;
+};
+
+// ==================== PARSER ====================
+
+/**
+ * Parse one clearing house XML document into account records
+ * @param {string} text - XML text
+ * @returns {{ fileDate: string|null, accounts: Array<Object>, warnings: Array<string> }}
+ *   account: { key, providerName, providerId, accountNumber, planName, productType, valuationDate,
+ *              balance, tracks: [{ code, name, balance }], trackName,
+ *              fees: { deposit, balance }, contributions: { employee, employer, severance }, lastDepositDate }
+ */
+export const parsePensionXml = (text) => {
+  const document = new DOMParser().parseFromString(text, 'application/xml');
+  if (document.getElementsByTagName('parsererror').length) {
+    throw new Error('The file is not valid XML');
+  }
+
+  const root = document.documentElement;
+  const fileDate = parseImportDate(findValue(root, 'fileDate'), 'DMY');
+  const warnings = [];
+
+  let accountElements = findAll(root, PENSION_XML_TAGS.account);
+  if (accountElements.length === 0) {
+    // Files without the account wrapper - the parent of each account number is the account
+    accountElements = [...new Set(findAll(root, PENSION_XML_TAGS.accountNumber).map(e => e.parentElement))];
+  }
+
+  const accounts = accountElements.map((account, index) => {
+    const accountNumber = findValue(account, 'accountNumber', account);
+    const providerName = findInAncestors(account, 'providerName') || 'לא ידוע';
+    const providerId = findInAncestors(account, 'providerId');
+    const planName = findValue(account, 'planName', account) || findInAncestors(account, 'planName');
+    const productCode = findValue(account, 'productCode', account) || findInAncestors(account, 'productCode');
+    const label = accountNumber || `#${index + 1}`;
+
+    let productType = detectProductType(planName, productCode);
+    if (!productType) {
+      warnings.push(`${providerName} ${label}: unknown product type (SUG-MUTZAR ${productCode || '-'}) - imported as pension`);
+      productType = 'pension';
+    }
+
+    const tracks = findAll(account, PENSION_XML_TAGS.track, account).map(track => ({
+      code: findValue(track, 'trackCode', account),
+      name: findValue(track, 'trackName', account),
+      balance: sumValues(track, 'trackBalance', account),
+    })).filter(track => track.name || track.code);
+
+    // Track balances are the most detailed figure; the account totals are the fallback
+    const trackTotal = tracks.reduce((sum, track) => sum + (track.balance || 0), 0);
+    const balance = tracks.some(track => track.balance !== null) ? trackTotal : sumValues(account, 'balance', account);
+    if (balance === null) warnings.push(`${providerName} ${label}: no balance found`);
+
+    const valuationDate = parseImportDate(findValue(account, 'valuationDate', account), 'DMY') || fileDate;
+
+    return {
+      key: `${providerId || providerName}:${accountNumber || index}`,
+      providerName,
+      providerId,
+      accountNumber,
+      planName,
+      productType,
+      valuationDate,
+      balance: balance ?? 0,
+      tracks,
+      trackName: tracks.map(track => track.name).filter(Boolean).join(' / ') || findValue(account, 'trackName', account),
+      fees: {
+        deposit: parseImportNumber(findValue(account, 'depositFee', account)),
+        balance: parseImportNumber(findValue(account, 'balanceFee', account)),
+      },
+      contributions: {
+        employee: sumValues(account, 'employeeContribution', account),
+        employer: sumValues(account, 'employerContribution', account),
+        severance: sumValues(account, 'severanceContribution', account),
+      },
+      lastDepositDate: parseImportDate(findValue(account, 'lastDepositDate', account), 'DMY'),
+    };
+  });
+
+  if (accounts.length === 0) warnings.push('No accounts found in the file');
+  return { fileDate, accounts, warnings };
+};
+
+// ==================== FILE ====================
+
+/**
+ * Read an uploaded clearing house XML file. The XML declaration's encoding is honored
+ * (older files are windows-1255); otherwise UTF-8 with a windows-1255 fallback.
+ * @param {File} file
+ * @returns {Promise<{ fileDate, accounts, warnings }>}
+ */
+export const readPensionXmlFile = async (file) => {
+  const buffer = await file.arrayBuffer();
+  const head = new TextDecoder('ascii').decode(buffer.slice(0, 200));
+  const declared = head.match(/encoding=["']([\w-]+)["']/i)?.[1];
+
+  let text;
+  try {
+    text = declared ? new TextDecoder(declared).decode(buffer) : decodeText(buffer);
+  } catch {
+    text = decodeText(buffer);
+  }
+  return parsePensionXml(text.replace(/^\uFEFF/, ''));
+};
@@ -0,0 +1,252 @@
+/**
+ * Deterministic rebalancing solver - turns an allocation group's targets into a trade list.
+ *
+ * - Only QUANTITY assets with a live price can be traded; everything else (manual values,
+ *   assets on locked platforms) stays as is but still counts in the allocation
+ * - Sells (mode 'full') come from the overweight items, largest holding first, never more
+ *   than the excess; mode 'cashOnly' only invests the new cash
+ * - Buys go to the underweight items, largest gap first, into the item's largest tradeable
+ *   holding. When the cash does not cover every gap, each gap is scaled down equally
+ * - With `keepWithinPlatform` a buy is funded only by the cash and the sells on the same
+ *   platform (no transfers between brokers). New cash not assigned to a platform has not been
+ *   deposited anywhere yet, so any platform can draw on it once its own cash runs out
+ * - Units are rounded down to whole shares (crypto keeps fractions) and trades under the
+ *   minimum size are dropped; what could not be placed is reported, never forced
+ *
+ * All amounts are in the reporting currency (the `value` / `currentPrice` of valued assets).
+ * Hierarchy groups are solved on their leaves, whose absolute targets already respect every
+ * level of the tree (see utils/rebalancing).
+ */
+
+import { HIERARCHY_GROUP_TYPE, getHierarchyPath } from './rebalancing';
+
+// ==================== CONSTANTS ====================
+
+export const SOLVER_MODES = {
+  full: { label: 'קנייה ומכירה', description: 'מוכר מהפריטים שמעל היעד וקונה בפריטים שמתחתיו' },
+  cashOnly: { label: 'כסף חדש בלבד', description: 'בלי מכירות - הכסף החדש מופנה לפריטים שמתחת ליעד' },
+};
+
+export const UNASSIGNED_ITEM = 'ללא יעד';
+
+const EPSILON = 1e-9;
+
+// Cash pool of new cash that is not tied to a platform
+const SHARED_POOL = '*';
+
+// ==================== HELPERS ====================
+
+const isFractional = (asset) =>
+  asset.assetType === 'CRYPTO' || asset.category === 'קריפטו' || asset.apiId?.startsWith('cg:');
+
+/**
+ * Target item an asset belongs to in a group (tags: the first tag that has a target,
+ * hierarchy: its leaf path)
+ */
+export const getAssetItem = (asset, group) => {
+  if (group.type === HIERARCHY_GROUP_TYPE) {
+    return getHierarchyPath(asset, group) || UNASSIGNED_ITEM;
+  }
+  if (group.type === 'tags') {
+    const tag = (asset.tags || []).find(t => Object.prototype.hasOwnProperty.call(group.targets || {}, t));
+    return tag || UNASSIGNED_ITEM;
+  }
+  const item = asset[group.type];
+  return item && Object.prototype.hasOwnProperty.call(group.targets || {}, item) ? item : UNASSIGNED_ITEM;
+};
+
+/**
+ * Round a trade to the asset's unit size
+ * @returns {Object} { units, amount }
+ */
+const roundTrade = (asset, amount, wholeShares) => {
+  const price = asset.currentPrice;
+  const rawUnits = amount / price;
+  const units = wholeShares && !isFractional(asset) ? Math.floor(rawUnits + EPSILON) : rawUnits;
+  return { units, amount: units * price };
+};
+
+const allocationOf = (values, total) =>
+  Object.fromEntries(Object.entries(values).map(([item, value]) => [item, total > 0 ? (value / total) * 100 : 0]));
+
+// ==================== SOLVER ====================
+
+/**
+ * Build a trade list for one allocation group
+ * @param {Array} assets - Valued assets (value / currentPrice in the reporting currency)
+ * @param {Object} group - { type, targets: { [item]: percent } } - targets should sum to 100
+ * @param {Object} options
+ * @param {'full'|'cashOnly'} options.mode
+ * @param {number} options.newCash - Cash to invest when no platform cash is given
+ * @param {number} options.minTrade - Smallest trade worth placing
+ * @param {boolean} options.wholeShares - Round units down to whole shares
+ * @param {boolean} options.keepWithinPlatform - Fund buys only from the same platform
+ * @param {Object} options.platforms - { [platform]: { cash, locked } } - cash per platform
+ *   (overrides newCash when any is set), locked platforms are never traded
+ * @returns {Object} {
+ *   trades: [{ assetId, name, symbol, platform, item, side: 'buy' | 'sell', units, amount, price, priceNative, currency }],
+ *   before, after: { [item]: percent },
+ *   targets: { [item]: percent },
+ *   totals: { sell, buy, newCash, cashLeft },
+ *   unfilled: [{ item, amount, reason: 'no-holding' | 'no-cash' | 'min-trade' | 'rounding' }]
+ * }
+ */
+export const solveRebalance = (assets, group, options = {}) => {
+  const {
+    mode = 'full',
+    newCash = 0,
+    minTrade = 0,
+    wholeShares = true,
+    keepWithinPlatform = false,
+    platforms = {},
+  } = options;
+
+  const targets = Object.fromEntries(
+    Object.entries(group.targets || {}).map(([item, percent]) => [item, Number(percent) || 0])
+  );
+  const platformCash = Object.fromEntries(
+    Object.entries(platforms).map(([name, p]) => [name, Math.max(0, Number(p?.cash) || 0)])
+  );
+  const hasPlatformCash = Object.values(platformCash).some(cash => cash > 0);
+  const totalNewCash = hasPlatformCash
+    ? Object.values(platformCash).reduce((sum, cash) => sum + cash, 0)
+    : Math.max(0, Number(newCash) || 0);
+
+  const isTradeable = (asset) => asset.assetMode === 'QUANTITY'
+    && asset.currentPrice > 0
+    && !platforms[asset.platform || '']?.locked;
+
+  // Current values per item
+  const values = Object.fromEntries(Object.keys(targets).map(item => [item, 0]));
+  const positions = assets
+    .filter(asset => (Number(asset.value) || 0) > 0 || isTradeable(asset))
+    .map(asset => ({ asset, item: getAssetItem(asset, group), value: Number(asset.value) || 0 }));
+  positions.forEach(({ item, value }) => { values[item] = (values[item] || 0) + value; });
+
+  const currentTotal = Object.values(values).reduce((sum, v) => sum + v, 0);
+  const finalTotal = currentTotal + totalNewCash;
+  const before = allocationOf(values, currentTotal);
+
+  const after = { ...values };
+  const trades = [];
+  const unfilled = [];
+
+  // Cash pools: the shared new cash, plus one per platform when buys stay within it
+  const pools = { [SHARED_POOL]: 0 };
+  const poolOf = (asset) => (keepWithinPlatform ? asset.platform || '' : SHARED_POOL);
+  if (keepWithinPlatform && hasPlatformCash) {
+    Object.entries(platformCash).forEach(([name, cash]) => { pools[name] = cash; });
+  } else {
+    pools[SHARED_POOL] = totalNewCash;
+  }
+  const availableCash = (pool) =>
+    (pools[pool] || 0) + (pool === SHARED_POOL ? 0 : pools[SHARED_POOL]);
+  // Spend the platform's own cash first, then the shared new cash
+  const drawCash = (pool, amount) => {
+    const own = pool === SHARED_POOL ? 0 : Math.min(amount, pools[pool] || 0);
+    if (own > 0) pools[pool] -= own;
+    pools[SHARED_POOL] -= amount - own;
+  };
+
+  const addTrade = (asset, item, side, amount) => {
+    const rounded = roundTrade(asset, amount, wholeShares);
+    if (rounded.units <= EPSILON) return { amount: 0, reason: 'rounding' };
+    if (rounded.amount < minTrade) return { amount: 0, reason: 'min-trade' };
+    trades.push({
+      assetId: asset.id,
+      name: asset.name,
+      symbol: asset.symbol || null,
+      platform: asset.platform || null,
+      item,
+      side,
+      units: rounded.units,
+      amount: rounded.amount,
+      price: asset.currentPrice,
+      priceNative: asset.currentPriceNative ?? null,
+      currency: asset.currency || 'ILS',
+    });
+    return { amount: rounded.amount };
+  };
+
+  // 1. Sells from overweight items (UNASSIGNED_ITEM has a 0% target)
+  if (mode === 'full') {
+    Object.keys(values)
+      .map(item => ({ item, excess: values[item] - ((targets[item] || 0) / 100) * finalTotal }))
+      .filter(({ excess }) => excess > EPSILON)
+      .sort((a, b) => b.excess - a.excess)
+      .forEach(({ item, excess }) => {
+        let remaining = excess;
+        positions
+          .filter(p => p.item === item && isTradeable(p.asset))
+          .sort((a, b) => b.value - a.value)
+          .forEach(({ asset, value }) => {
+            if (remaining <= EPSILON) return;
+            const { amount } = addTrade(asset, item, 'sell', Math.min(remaining, value));
+            if (!amount) return;
+            remaining -= amount;
+            after[item] -= amount;
+            const pool = poolOf(asset);
+            pools[pool] = (pools[pool] || 0) + amount;
+          });
+      });
+  }
+
+  // 2. Buys into underweight items, scaled down when the cash does not cover every gap
+  const gaps = Object.keys(targets)
+    .map(item => ({ item, gap: (targets[item] / 100) * finalTotal - after[item] }))
+    .filter(({ gap }) => gap > EPSILON)
+    .sort((a, b) => b.gap - a.gap);
+  const totalGap = gaps.reduce((sum, g) => sum + g.gap, 0);
+  const totalCash = Object.values(pools).reduce((sum, cash) => sum + cash, 0);
+  const scale = totalGap > 0 ? Math.min(1, totalCash / totalGap) : 0;
+
+  gaps.forEach(({ item, gap }) => {
+    let remaining = gap * scale;
+    const candidates = positions
+      .filter(p => p.item === item && isTradeable(p.asset))
+      .sort((a, b) => b.value - a.value);
+
+    if (candidates.length === 0) {
+      unfilled.push({ item, amount: gap, reason: 'no-holding' });
+      return;
+    }
+
+    let reason = null;
+    candidates.forEach(({ asset }) => {
+      if (remaining <= EPSILON) return;
+      const pool = poolOf(asset);
+      const available = availableCash(pool);
+      if (available <= EPSILON) {
+        reason = reason || 'no-cash';
+        return;
+      }
+      const result = addTrade(asset, item, 'buy', Math.min(remaining, available));
+      if (!result.amount) {
+        reason = reason || result.reason;
+        return;
+      }
+      remaining -= result.amount;
+      drawCash(pool, result.amount);
+      after[item] += result.amount;
+    });
+
+    const missing = gap - (gap * scale - remaining);
+    if (missing > Math.max(minTrade, 1)) {
+      unfilled.push({ item, amount: missing, reason: reason || (scale < 1 ? 'no-cash' : 'rounding') });
+    }
+  });
+
+  const sellTotal = trades.filter(t => t.side === 'sell').reduce((sum, t) => sum + t.amount, 0);
+  const buyTotal = trades.filter(t => t.side === 'buy').reduce((sum, t) => sum + t.amount, 0);
+  const cashLeft = Object.values(pools).reduce((sum, cash) => sum + cash, 0);
+
+  // Uninvested cash stays in the portfolio, outside every item
+  return {
+    trades,
+    before,
+    after: allocationOf(after, finalTotal),
+    targets,
+    totals: { sell: sellTotal, buy: buyTotal, newCash: totalNewCash, cashLeft },
+    unfilled,
+  };
+};
@@ -0,0 +1,362 @@
+/**
+ * Allocation and drift of the rebalancing groups (settings/rebalancing).
+ *
+ * - The current allocation of a group is the share of the total portfolio value held by each
+ *   of its items (tags: an asset counts for every tag it carries)
+ * - Each group has a tolerance band, and any item can override it. An 'absolute' band is in
+ *   percentage points (target 30% ± 5), a 'relative' band is a percent of the target
+ *   (target 30% ± 20% → ± 6 points)
+ * - An item breaches its band when |current - target| is larger than the band; a group needs
+ *   rebalancing when any of its items does. Groups whose targets do not sum to 100% are skipped
+ *
+ * Hierarchy groups nest the targets along `levels` (e.g. category → subcategory → symbol):
+ * `tree: { [item]: { target, children: { [item]: { target, children } } } }`, where a child's
+ * target is a percent of its parent. Every level that has targets must sum to 100%. The group's
+ * flat `targets` hold the absolute share of each leaf path ('מניות › ארה"ב'), so drift, bands
+ * and the trade list solver work on the leaves like on any other group.
+ */
+
+// ==================== CONSTANTS ====================
+
+export const DRIFT_BAND_MODES = {
+  absolute: { label: 'נקודות אחוז', short: 'נק\'' },
+  relative: { label: 'יחסי ליעד (%)', short: '% מהיעד' },
+};
+
+export const DEFAULT_DRIFT_BAND = { mode: 'absolute', value: 5 };
+
+/** Deviations below this are rounding noise, even with a 0% band */
+const DRIFT_EPSILON = 0.01;
+
+export const HIERARCHY_GROUP_TYPE = 'hierarchy';
+
+/** Fields a hierarchy level can group by (single-valued - tags are not) */
+export const HIERARCHY_LEVEL_TYPES = ['category', 'subcategory', 'platform', 'instrument', 'symbol', 'currency'];
+
+export const MAX_HIERARCHY_LEVELS = 3;
+
+export const PATH_SEPARATOR = ' › ';
+
+// ==================== ALLOCATION ====================
+
+/**
+ * Items a group can target
+ * @param {string} groupType - category | subcategory | platform | instrument | symbol | tags | currency
+ * @param {Object} systemData - { categories, platforms, ... } - [{ name, color }]
+ * @param {Array} assets
+ * @returns {Array} [{ name, color }] (or names)
+ */
+export const getAvailableItems = (groupType, systemData, assets) => {
+  if (!systemData || !assets) return [];
+
+  switch (groupType) {
+    case 'category':
+      return systemData.categories || [];
+    case 'subcategory':
+      return systemData.subcategories || [];
+    case 'platform':
+      return systemData.platforms || [];
+    case 'instrument':
+      return systemData.instruments || [];
+    case 'symbol':
+      return systemData.symbols || [];
+    case 'tags': {
+      const tagSet = new Set();
+      assets.forEach(asset => {
+        if (Array.isArray(asset.tags)) {
+          asset.tags.forEach(tag => tagSet.add(tag));
+        }
+      });
+      return Array.from(tagSet).map(tag => ({ name: tag, color: '#94a3b8' }));
+    }
+    case 'currency': {
+      const currencySet = new Set();
+      assets.forEach(asset => {
+        if (asset.currency) currencySet.add(asset.currency);
+      });
+      return Array.from(currencySet).map(curr => ({ name: curr, color: '#94a3b8' }));
+    }
+    default:
+      return [];
+  }
+};
+
+const matchesItem = (asset, groupType, itemName) => (groupType === 'tags'
+  ? Array.isArray(asset.tags) && asset.tags.includes(itemName)
+  : asset[groupType] === itemName);
+
+/**
+ * Current allocation of a group
+ * @param {Array} assets - Valued assets
+ * @param {Object} group - { type, targets }
+ * @param {Object} systemData
+ * @returns {Object} { [item]: percent of the total portfolio value }
+ */
+export const calculateCurrentAllocation = (assets, group, systemData) => {
+  const totalWealth = (assets || []).reduce((sum, asset) => sum + (Number(asset.value) || 0), 0);
+  if (!assets || assets.length === 0 || totalWealth === 0) return {};
+
+  const allocation = {};
+  if (group.type === HIERARCHY_GROUP_TYPE) {
+    Object.keys(flattenTargetTree(group.tree)).forEach(path => { allocation[path] = 0; });
+    assets.forEach(asset => {
+      const path = getHierarchyPath(asset, group);
+      if (path) allocation[path] += ((Number(asset.value) || 0) / totalWealth) * 100;
+    });
+    return allocation;
+  }
+
+  getAvailableItems(group.type, systemData, assets).forEach(item => {
+    const itemName = typeof item === 'string' ? item : item.name;
+    const totalValue = assets
+      .filter(asset => matchesItem(asset, group.type, itemName))
+      .reduce((sum, asset) => sum + (Number(asset.value) || 0), 0);
+    allocation[itemName] = (totalValue / totalWealth) * 100;
+  });
+
+  return allocation;
+};
+
+/**
+ * Sum of a group's targets
+ * @param {Object} group
+ * @returns {number}
+ */
+export const getGroupTotalPercentage = (group) => {
+  if (!group || !group.targets || typeof group.targets !== 'object') {
+    return 0;
+  }
+  return Object.values(group.targets).reduce((sum, val) => {
+    const numVal = Number(val);
+    return sum + (isNaN(numVal) ? 0 : numVal);
+  }, 0);
+};
+
+/**
+ * Whether a group's targets are complete - 100% in total, and on every level of a hierarchy
+ * @param {Object} group
+ * @returns {boolean}
+ */
+export const isGroupValid = (group) => {
+  if (group?.type === HIERARCHY_GROUP_TYPE) {
+    const tree = group.tree || {};
+    return Object.keys(tree).length > 0 && getTreeErrors(tree).length === 0;
+  }
+  return Math.abs(getGroupTotalPercentage(group) - 100) <= 0.01;
+};
+
+// ==================== TARGET TREES ====================
+
+const sumTargets = (nodes) =>
+  Object.values(nodes || {}).reduce((sum, node) => sum + (Number(node?.target) || 0), 0);
+
+/**
+ * Whether a tree node is split further (any child has a target)
+ * @param {Object} node - { target, children }
+ * @returns {boolean}
+ */
+export const hasChildTargets = (node) =>
+  Object.values(node?.children || {}).some(child => (Number(child?.target) || 0) > 0);
+
+/**
+ * Absolute target of every leaf of a target tree
+ * @param {Object} tree - { [item]: { target, children } }
+ * @returns {Object} { [path]: percent of the portfolio }
+ */
+export const flattenTargetTree = (tree, prefix = '', share = 100) => {
+  const targets = {};
+  Object.entries(tree || {}).forEach(([item, node]) => {
+    const path = prefix ? `${prefix}${PATH_SEPARATOR}${item}` : item;
+    const absolute = (share * (Number(node?.target) || 0)) / 100;
+    if (hasChildTargets(node)) {
+      Object.assign(targets, flattenTargetTree(node.children, path, absolute));
+    } else {
+      targets[path] = Math.round(absolute * 10000) / 10000;
+    }
+  });
+  return targets;
+};
+
+/**
+ * Levels of a target tree whose targets do not sum to 100%
+ * @param {Object} tree
+ * @returns {Array} [{ path, total }] - path '' is the top level
+ */
+export const getTreeErrors = (tree, prefix = '') => {
+  const errors = [];
+  const total = sumTargets(tree);
+  if (Math.abs(total - 100) > 0.01) errors.push({ path: prefix, total });
+  Object.entries(tree || {}).forEach(([item, node]) => {
+    if (hasChildTargets(node)) {
+      errors.push(...getTreeErrors(node.children, prefix ? `${prefix}${PATH_SEPARATOR}${item}` : item));
+    }
+  });
+  return errors;
+};
+
+/**
+ * Leaf path of an asset in a hierarchy group - null when one of its levels has no target
+ * @param {Object} asset
+ * @param {Object} group - { levels, tree }
+ * @returns {string|null}
+ */
+export const getHierarchyPath = (asset, group) => {
+  const path = [];
+  let nodes = group.tree || {};
+  for (const level of group.levels || []) {
+    const node = nodes[asset[level]];
+    if (!node) return null;
+    path.push(asset[level]);
+    if (!hasChildTargets(node)) return path.join(PATH_SEPARATOR);
+    nodes = node.children;
+  }
+  return null;
+};
+
+/**
+ * Every level of a hierarchy group, current against target - targeted and held items
+ * @param {Array} assets - Valued assets
+ * @param {Object} group - { levels, tree }
+ * @returns {Array} Rows in display order: [{
+ *   path, item, depth, target, targetAbs, current, currentAbs, value, drift, driftAbs, split
+ * }] - target / current are relative to the parent, *Abs to the whole portfolio
+ */
+export const getTreeAllocation = (assets, group) => {
+  const levels = group.levels || [];
+  const totalWealth = (assets || []).reduce((sum, asset) => sum + (Number(asset.value) || 0), 0);
+  const rows = [];
+
+  const walk = (nodes, members, depth, prefix, parentValue, parentTargetAbs) => {
+    const level = levels[depth];
+    const held = {};
+    members.forEach(asset => {
+      const item = asset[level];
+      if (item) held[item] = (held[item] || 0) + (Number(asset.value) || 0);
+    });
+
+    const items = [...new Set([...Object.keys(nodes || {}), ...Object.keys(held)])];
+    items.sort((a, b) => (Number(nodes?.[b]?.target) || 0) - (Number(nodes?.[a]?.target) || 0) || (held[b] || 0) - (held[a] || 0));
+
+    items.forEach(item => {
+      const node = nodes?.[item];
+      const value = held[item] || 0;
+      const target = Number(node?.target) || 0;
+      const current = parentValue > 0 ? (value / parentValue) * 100 : 0;
+      const currentAbs = totalWealth > 0 ? (value / totalWealth) * 100 : 0;
+      const targetAbs = (parentTargetAbs * target) / 100;
+      const path = prefix ? `${prefix}${PATH_SEPARATOR}${item}` : item;
+      const split = hasChildTargets(node) && depth + 1 < levels.length;
+
+      rows.push({
+        path, item, depth, target, targetAbs, current, currentAbs, value,
+        drift: current - target,
+        driftAbs: currentAbs - targetAbs,
+        split,
+      });
+      if (split) {
+        walk(node.children, members.filter(asset => asset[level] === item), depth + 1, path, value, targetAbs);
+      }
+    });
+  };
+
+  if (levels.length > 0) walk(group.tree || {}, assets || [], 0, '', totalWealth, 100);
+  return rows;
+};
+
+// ==================== DRIFT BANDS ====================
+
+/**
+ * Tolerance band of an item - its own override, else the group's band, else the default
+ * @param {Object} group - { band, itemBands: { [item]: band } }
+ * @param {string} itemName
+ * @returns {Object} { mode: 'absolute' | 'relative', value }
+ */
+export const getItemBand = (group, itemName) => {
+  const band = group?.itemBands?.[itemName] || group?.band || DEFAULT_DRIFT_BAND;
+  return {
+    mode: DRIFT_BAND_MODES[band.mode] ? band.mode : DEFAULT_DRIFT_BAND.mode,
+    value: Math.max(0, Number(band.value) || 0),
+  };
+};
+
+/**
+ * Allowed deviation of an item, in percentage points
+ * @param {Object} band - { mode, value }
+ * @param {number} target - Target percent
+ * @returns {number}
+ */
+export const getBandLimit = (band, target) => (band.mode === 'relative'
+  ? (Math.abs(Number(target) || 0) * band.value) / 100
+  : band.value);
+
+/**
+ * Drift of every item of a group that is held or targeted
+ * @param {Object} allocation - Current allocation (see calculateCurrentAllocation)
+ * @param {Object} group
+ * @returns {Object} {
+ *   items: [{ item, current, target, drift, limit, usage, breached }],  // usage: |drift| / limit
+ *   breaches: number,
+ *   maxUsage: number
+ * }
+ */
+export const getGroupDrift = (allocation, group) => {
+  const names = new Set([...Object.keys(allocation), ...Object.keys(group.targets || {})]);
+  const items = [];
+
+  names.forEach(item => {
+    const current = allocation[item] || 0;
+    const target = Number(group.targets?.[item]) || 0;
+    if (current <= 0 && target <= 0) return;
+
+    const drift = current - target;
+    const limit = getBandLimit(getItemBand(group, item), target);
+    const absDrift = Math.abs(drift);
+    const breached = absDrift > DRIFT_EPSILON && absDrift > limit;
+    items.push({
+      item,
+      current,
+      target,
+      drift,
+      limit,
+      usage: limit > 0 ? absDrift / limit : (breached ? Infinity : 0),
+      breached,
+    });
+  });
+
+  items.sort((a, b) => b.usage - a.usage);
+  return {
+    items,
+    breaches: items.filter(i => i.breached).length,
+    maxUsage: items.length > 0 ? items[0].usage : 0,
+  };
+};
+
+/**
+ * Drift status of all the rebalancing groups
+ * @param {Array} assets - Valued assets
+ * @param {Array} groups - settings/rebalancing groups
+ * @param {Object} systemData
+ * @returns {Object|null} null when there is nothing to measure, else {
+ *   needsRebalancing, breaches,
+ *   groups: [{ id, type, breaches, maxUsage, maxDrift, items }]
+ * }
+ */
+export const getDriftStatus = (assets, groups, systemData) => {
+  if (!assets || assets.length === 0 || !Array.isArray(groups)) return null;
+
+  const validGroups = groups.filter(isGroupValid);
+  if (validGroups.length === 0) return null;
+
+  const groupStatus = validGroups.map(group => {
+    const drift = getGroupDrift(calculateCurrentAllocation(assets, group, systemData), group);
+    return {
+      id: group.id,
+      type: group.type,
+      ...drift,
+      maxDrift: drift.items.reduce((max, i) => Math.max(max, Math.abs(i.drift)), 0),
+    };
+  });
+  const breaches = groupStatus.reduce((sum, g) => sum + g.breaches, 0);
+
+  return { needsRebalancing: breaches > 0, breaches, groups: groupStatus };
+};
@@ -0,0 +1,371 @@
+/**
+ * Returns engine - time-weighted (TWR) and money-weighted (XIRR) returns
+ * from daily portfolio snapshots and cash flows.
+ *
+ * - TWR chain-links the sub-period returns between consecutive snapshots, so new
+ *   deposits (e.g. the monthly קרן השתלמות contribution) do not count as gains.
+ *   Flows are assumed to land at the end of their day: r = (V_t - F_t) / V_{t-1} - 1
+ * - XIRR is the annualized rate that zeroes the NPV of: starting value (paid in),
+ *   every flow inside the window, and the ending value (paid out).
+ *
+ * Sign convention: flow.amount > 0 is money put INTO the investment, < 0 is money taken out.
+ * All values and flows are in ILS.
+ */
+
+import { getSignedNet } from '../services/incomeService';
+
+// ==================== CONSTANTS ====================
+
+export const RETURN_PERIODS = {
+  MTD: { label: 'מתחילת החודש', shortLabel: 'MTD' },
+  YTD: { label: 'מתחילת השנה', shortLabel: 'YTD' },
+  '1Y': { label: '12 חודשים', shortLabel: '1Y' },
+  ITD: { label: 'מההתחלה', shortLabel: 'הכל' },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EPSILON = 1e-9;
+
+const ACQUISITION_TYPES = ['buy', 'deposit', 'transfer_in'];
+const DISPOSAL_TYPES = ['sell', 'withdrawal', 'transfer_out'];
+
+// ==================== HELPERS ====================
+
+const toDateKey = (date) => {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+};
+
+const dateKeyToMs = (key) => new Date(`${key}T00:00:00`).getTime();
+
+/**
+ * Last date key BEFORE the period starts (the period's opening value is that day's close)
+ * @param {string} period - Key of RETURN_PERIODS
+ * @param {Date} today
+ * @returns {string|null} null = since inception
+ */
+export const getPeriodStartKey = (period, today = new Date()) => {
+  switch (period) {
+    case 'MTD':
+      return toDateKey(new Date(today.getFullYear(), today.getMonth(), 0));
+    case 'YTD':
+      return toDateKey(new Date(today.getFullYear() - 1, 11, 31));
+    case '1Y':
+      return toDateKey(new Date(today.getFullYear() - 1, today.getMonth(), today.getDate()));
+    default:
+      return null;
+  }
+};
+
+/**
+ * Format a return ratio as a signed percentage
+ * @param {number|null} ratio - 0.05 = 5%
+ * @returns {string}
+ */
+export const formatReturn = (ratio) => {
+  if (typeof ratio !== 'number' || !isFinite(ratio)) return '—';
+  const pct = ratio * 100;
+  return `${pct >= 0 ? '+' : ''}${pct.toFixed(2)}%`;
+};
+
+// ==================== CORE MATH ====================
+
+/**
+ * XIRR - annualized internal rate of return for irregular cash flows.
+ * Newton-Raphson with a bisection fallback.
+ * @param {Array<{date: string, amount: number}>} cashFlows - Investor view: paid in < 0, received > 0
+ * @returns {number|null} Annual rate (0.07 = 7%), or null when it has no solution
+ */
+export const xirr = (cashFlows) => {
+  const flows = cashFlows.filter(f => Math.abs(f.amount) > EPSILON);
+  if (!flows.some(f => f.amount > 0) || !flows.some(f => f.amount < 0)) return null;
+
+  const t0 = dateKeyToMs(flows[0].date);
+  const years = flows.map(f => (dateKeyToMs(f.date) - t0) / (365 * DAY_MS));
+  if (Math.max(...years) <= 0) return null;
+
+  const npv = (rate) => flows.reduce((sum, f, i) => sum + f.amount / Math.pow(1 + rate, years[i]), 0);
+  const dNpv = (rate) => flows.reduce((sum, f, i) => sum - years[i] * f.amount / Math.pow(1 + rate, years[i] + 1), 0);
+
+  let rate = 0.1;
+  for (let i = 0; i < 50; i++) {
+    const value = npv(rate);
+    const slope = dNpv(rate);
+    if (Math.abs(value) < 1e-7) return rate;
+    if (!isFinite(slope) || Math.abs(slope) < EPSILON) break;
+    const next = rate - value / slope;
+    if (!isFinite(next) || next <= -1) break;
+    if (Math.abs(next - rate) < 1e-10) return next;
+    rate = next;
+  }
+
+  // Bisection fallback
+  let low = -0.9999;
+  let high = 10;
+  let npvLow = npv(low);
+  if (npvLow * npv(high) > 0) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const npvMid = npv(mid);
+    if (Math.abs(npvMid) < 1e-7) return mid;
+    if (npvLow * npvMid < 0) {
+      high = mid;
+    } else {
+      low = mid;
+      npvLow = npvMid;
+    }
+  }
+  return (low + high) / 2;
+};
+
+/**
+ * Returns for one window of a value series
+ * @param {Array<{date: string, value: number}>} points - Sorted by date, one per day
+ * @param {Array<{date: string, amount: number}>} flows - External cash flows
+ * @param {string|null} startKey - Opening date key (null = first point)
+ * @param {string} endKey - Closing date key
+ * @returns {Object|null} { twr, irr, irrAnnualized, gain, startValue, endValue, netFlows, startDate, endDate, partial }
+ */
+export const computeWindowReturn = (points, flows, startKey, endKey) => {
+  const inWindow = points.filter(p => p.date <= endKey);
+  if (inWindow.length < 2) return null;
+
+  let startIndex = 0;
+  let partial = false;
+  if (startKey) {
+    const idx = inWindow.map(p => p.date <= startKey).lastIndexOf(true);
+    if (idx === -1) {
+      partial = true; // history starts inside the period
+    } else {
+      startIndex = idx;
+    }
+  }
+
+  const series = inWindow.slice(startIndex);
+  if (series.length < 2) return null;
+
+  const start = series[0];
+  const end = series[series.length - 1];
+  const windowFlows = flows.filter(f => f.date > start.date && f.date <= end.date);
+
+  // TWR - chain-link sub-periods between consecutive points
+  let growth = 1;
+  let linked = false;
+  for (let i = 1; i < series.length; i++) {
+    const prev = series[i - 1];
+    const cur = series[i];
+    const periodFlow = windowFlows
+      .filter(f => f.date > prev.date && f.date <= cur.date)
+      .reduce((sum, f) => sum + f.amount, 0);
+
+    if (prev.value > EPSILON) {
+      growth *= (cur.value - periodFlow) / prev.value;
+      linked = true;
+    }
+  }
+
+  // XIRR - investor cash flows
+  const netFlows = windowFlows.reduce((sum, f) => sum + f.amount, 0);
+  const cashFlows = [
+    { date: start.date, amount: -start.value },
+    ...windowFlows.map(f => ({ date: f.date, amount: -f.amount })),
+    { date: end.date, amount: end.value },
+  ].sort((a, b) => a.date.localeCompare(b.date));
+  const irrAnnualized = xirr(cashFlows);
+
+  // De-annualize for windows shorter than a year so all periods read the same way
+  const days = (dateKeyToMs(end.date) - dateKeyToMs(start.date)) / DAY_MS;
+  const irr = irrAnnualized === null
+    ? null
+    : days < 365 ? Math.pow(1 + irrAnnualized, days / 365) - 1 : irrAnnualized;
+
+  return {
+    twr: linked ? growth - 1 : null,
+    irr,
+    irrAnnualized,
+    gain: end.value - start.value - netFlows,
+    startValue: start.value,
+    endValue: end.value,
+    netFlows,
+    startDate: start.date,
+    endDate: end.date,
+    partial,
+  };
+};
+
+/**
+ * Period returns (MTD / YTD / 1Y / since inception)
+ * @returns {Object} { [period]: windowResult | null }
+ */
+export const computePeriodReturns = (points, flows, today = new Date()) => {
+  const endKey = toDateKey(today);
+  return Object.keys(RETURN_PERIODS).reduce((acc, period) => {
+    acc[period] = computeWindowReturn(points, flows, getPeriodStartKey(period, today), endKey);
+    return acc;
+  }, {});
+};
+
+// ==================== SERIES & FLOWS ====================
+
+/**
+ * ILS value of one native unit of the asset's currency on a snapshot
+ */
+const getIlsRate = (snapshot, assetId, currency) => {
+  const entry = snapshot?.assets?.[assetId];
+  if (entry && entry.nativeValue > EPSILON) return entry.value / entry.nativeValue;
+  if (currency === 'ILS') return 1;
+  if (currency === 'USD' && snapshot?.fxRate) return snapshot.fxRate;
+  return null;
+};
+
+/**
+ * Value series of a group of assets
+ * @param {Array} snapshots - Sorted snapshots ({ date, assets: { [id]: { value } } }), live point last
+ * @param {Set<string>|null} assetIds - Group members (null = whole portfolio)
+ * @returns {Array<{date: string, value: number}>}
+ */
+export const buildValueSeries = (snapshots, assetIds = null) => snapshots
+  .filter(s => s.assets)
+  .map(s => ({
+    date: s.date,
+    value: Object.entries(s.assets)
+      .filter(([id]) => !assetIds || assetIds.has(id))
+      .reduce((sum, [, entry]) => sum + (Number(entry.value) || 0), 0),
+  }));
+
+/**
+ * External cash flows of a single asset (ILS)
+ *
+ * - Ledger assets: every buy/deposit/transfer_in adds money, sell/withdrawal/transfer_out
+ *   takes it out (fees are a cost inside the return, not a flow). A transaction is converted
+ *   at the asset's rate on the snapshots, otherwise with the FX matrix; with neither it is
+ *   left out and its currency added to `fxUnavailable`
+ * - Other assets: inferred from the snapshots - the value on the first day the asset
+ *   appears is paid in, the last value before it disappears is taken out, and any change
+ *   in its recorded cost basis in between is a deposit/withdrawal (assets with no recorded
+ *   cost have none, so a revaluation stays a gain or loss)
+ * - Income events (dividends, interest, rent) are paid out of the asset, so their net amount
+ *   is a withdrawal - this is what makes the return a total return. Expenses (maintenance,
+ *   property tax) are money put in, so they count as deposits. They are converted at the rate
+ *   of their date when the snapshots have one, otherwise with the FX matrix; an event with no
+ *   rate at all is left out and its currency added to `fxUnavailable`
+ *
+ * @param {Object} asset - Asset (with `transactions` when it has a ledger)
+ * @param {Array} snapshots - Sorted snapshots, live point last
+ * @param {Array} incomeEvents - The asset's income events
+ * @param {Object} fxRates - FX matrix into ILS (getFxMatrix / useFxMatrix)
+ * @param {Set<string>} [fxUnavailable] - Collects the currencies of income and transactions left out
+ * @returns {Array<{date: string, amount: number}>}
+ */
+export const buildAssetFlows = (asset, snapshots, incomeEvents = [], fxRates = { ILS: 1 }, fxUnavailable = null) => {
+  const flows = [];
+  const currency = asset.currency || 'ILS';
+  const live = snapshots[snapshots.length - 1];
+
+  incomeEvents.forEach(event => {
+    const incomeCurrency = event.currency || 'ILS';
+    const snapshotAtDate = [...snapshots].reverse().find(s => s.date <= event.date) || snapshots[0];
+    const datedRate = incomeCurrency === currency
+      ? getIlsRate(snapshotAtDate, asset.id, currency) ?? getIlsRate(live, asset.id, currency)
+      : getIlsRate(snapshotAtDate, null, incomeCurrency);
+    const rate = datedRate ?? fxRates[incomeCurrency] ?? null;
+    if (!rate) {
+      fxUnavailable?.add(incomeCurrency);
+      return;
+    }
+    flows.push({ date: event.date, amount: -getSignedNet(event) * rate });
+  });
+
+  if (asset.transactions?.length) {
+    asset.transactions.forEach(tx => {
+      const isIn = ACQUISITION_TYPES.includes(tx.type);
+      const isOut = DISPOSAL_TYPES.includes(tx.type);
+      if (!isIn && !isOut) return;
+
+      const quantity = Math.abs(Number(tx.quantity) || 0);
+      const price = Number(tx.price) || Number(asset.purchasePrice) || 0;
+      const fee = Math.abs(Number(tx.fee) || 0);
+      const native = isIn ? quantity * price + fee : -(quantity * price - fee);
+
+      const snapshotAtDate = [...snapshots].reverse().find(s => s.date <= tx.date) || snapshots[0];
+      const rate = getIlsRate(snapshotAtDate, asset.id, currency) ?? getIlsRate(live, asset.id, currency) ?? fxRates[currency] ?? null;
+      if (!rate) {
+        fxUnavailable?.add(currency);
+        return;
+      }
+      flows.push({ date: tx.date, amount: native * rate });
+    });
+    return flows;
+  }
+
+  let prev = null;
+  snapshots.forEach(snapshot => {
+    const entry = snapshot.assets?.[asset.id] || null;
+    if (entry && !prev) {
+      flows.push({ date: snapshot.date, amount: Number(entry.value) || 0 });
+    } else if (!entry && prev) {
+      flows.push({ date: snapshot.date, amount: -(Number(prev.value) || 0) });
+    } else if (entry && prev && typeof entry.cost === 'number' && typeof prev.cost === 'number') {
+      const delta = entry.cost - prev.cost;
+      if (Math.abs(delta) > EPSILON) {
+        const rate = getIlsRate(snapshot, asset.id, currency) ?? fxRates[currency] ?? null;
+        if (rate) flows.push({ date: snapshot.date, amount: delta * rate });
+        else fxUnavailable?.add(currency);
+      }
+    }
+    prev = entry;
+  });
+  return flows;
+};
+
+/**
+ * Returns for the whole portfolio, per platform and per asset
+ * @param {Array} snapshots - Stored snapshots (any order)
+ * @param {Object} liveSnapshot - Today's point built from the live valuation
+ * @param {Array} assets - Current assets
+ * @param {Date} today
+ * @param {Array} income - Income events (all assets)
+ * @param {Object} fxRates - FX matrix into ILS, for income and transactions the snapshots have no rate for
+ * @returns {{ portfolio: Object, byPlatform: Array, byAsset: Array, fxUnavailable: Array<string> }}
+ *   fxUnavailable - currencies of income events and transactions left out for lack of a rate
+ */
+export const computePortfolioReturns = (snapshots, liveSnapshot, assets, today = new Date(), income = [], fxRates = { ILS: 1 }) => {
+  const series = [...snapshots]
+    .filter(s => s.date !== liveSnapshot.date)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  series.push(liveSnapshot);
+
+  const flowsByAsset = {};
+  const knownIds = new Set();
+  series.forEach(s => Object.keys(s.assets || {}).forEach(id => knownIds.add(id)));
+  assets.forEach(a => knownIds.add(a.id));
+
+  const assetsById = Object.fromEntries(assets.map(a => [a.id, a]));
+  const fxUnavailable = new Set();
+  knownIds.forEach(id => {
+    const assetIncome = income.filter(e => e.assetId === id);
+    flowsByAsset[id] = buildAssetFlows(assetsById[id] || { id }, series, assetIncome, fxRates, fxUnavailable);
+  });
+
+  const groupReturns = (ids) => {
+    const points = buildValueSeries(series, ids);
+    const flows = [...ids].flatMap(id => flowsByAsset[id] || []);
+    return computePeriodReturns(points, flows, today);
+  };
+
+  const platforms = {};
+  assets.forEach(a => {
+    const platform = a.platform || 'אחר';
+    if (!platforms[platform]) platforms[platform] = new Set();
+    platforms[platform].add(a.id);
+  });
+
+  return {
+    portfolio: groupReturns(knownIds),
+    byPlatform: Object.entries(platforms).map(([name, ids]) => ({ name, returns: groupReturns(ids) })),
+    byAsset: assets.map(a => ({ id: a.id, name: a.name || a.symbol, returns: groupReturns(new Set([a.id])) })),
+    fxUnavailable: [...fxUnavailable],
+  };
+};
@@ -0,0 +1,225 @@
+/**
+ * Spreadsheet readers for broker statements - CSV and XLSX to a grid of strings.
+ *
+ * XLSX is a zip of XML parts; it is read here with the browser's DecompressionStream
+ * and DOMParser (first worksheet only, no styles), so no spreadsheet library is needed.
+ * Dates in XLSX come back as Excel serial numbers - see parseImportDate in brokerImport.
+ */
+
+// ==================== CSV ====================
+
+const CSV_DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Pick the delimiter that splits the first line into the most fields (quotes respected)
+ * @param {string} line
+ * @returns {string}
+ */
+const detectDelimiter = (line) => {
+  const counts = Object.fromEntries(CSV_DELIMITERS.map(d => [d, 0]));
+  let inQuotes = false;
+  for (const ch of line) {
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && counts[ch] !== undefined) counts[ch]++;
+  }
+  return CSV_DELIMITERS.reduce((best, d) => (counts[d] > counts[best] ? d : best), ',');
+};
+
+/**
+ * Parse CSV text (RFC 4180 quoting, `,` / `;` / tab auto-detected)
+ * @param {string} text
+ * @returns {Array<Array<string>>} Rows of cells, blank rows dropped
+ */
+export const parseCsv = (text) => {
+  const source = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(source.split(/\r?\n/).find(l => l.trim()) || '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (inQuotes) {
+      if (ch === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows
+    .map(r => r.map(c => c.trim()))
+    .filter(r => r.some(c => c !== ''));
+};
+
+/**
+ * Decode a text file - UTF-8, falling back to Windows-1255 (Hebrew exports from Israeli brokers)
+ * @param {ArrayBuffer} buffer
+ * @returns {string}
+ */
+export const decodeText = (buffer) => {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    return new TextDecoder('windows-1255').decode(buffer);
+  }
+};
+
+// ==================== XLSX ====================
+
+/**
+ * Read the entries of a zip archive (central directory), inflating on demand
+ * @param {ArrayBuffer} buffer
+ * @returns {Map<string, Function>} File name -> async () => Uint8Array
+ */
+const readZipEntries = (buffer) => {
+  const view = new DataView(buffer);
+  let eocd = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error('Not a valid XLSX file');
+
+  const entries = new Map();
+  const count = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) break;
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+    entries.set(name, async () => {
+      const dataStart = localOffset + 30
+        + view.getUint16(localOffset + 26, true)
+        + view.getUint16(localOffset + 28, true);
+      const data = new Uint8Array(buffer, dataStart, compressedSize);
+      if (method === 0) return data;
+      if (method !== 8) throw new Error(`Unsupported zip compression: ${method}`);
+      const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+};
+
+const readXml = async (entries, name) => {
+  const read = entries.get(name);
+  if (!read) return null;
+  const text = new TextDecoder().decode(await read());
+  return new DOMParser().parseFromString(text, 'application/xml');
+};
+
+/** 'AB12' -> 27 (zero-based column index) */
+const columnIndex = (ref) => {
+  const letters = (ref || '').replace(/\d+$/, '');
+  let index = 0;
+  for (const ch of letters) index = index * 26 + (ch.charCodeAt(0) - 64);
+  return index - 1;
+};
+
+/**
+ * Path of the first worksheet, following workbook.xml -> workbook.xml.rels
+ * @param {Map} entries
+ * @returns {Promise<string>}
+ */
+const firstSheetPath = async (entries) => {
+  const fallback = 'xl/worksheets/sheet1.xml';
+  const workbook = await readXml(entries, 'xl/workbook.xml');
+  const rels = await readXml(entries, 'xl/_rels/workbook.xml.rels');
+  const sheet = workbook?.getElementsByTagName('sheet')[0];
+  if (!sheet || !rels) return fallback;
+
+  const relId = sheet.getAttribute('r:id');
+  const rel = Array.from(rels.getElementsByTagName('Relationship')).find(r => r.getAttribute('Id') === relId);
+  const target = rel?.getAttribute('Target');
+  if (!target) return fallback;
+  return target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`;
+};
+
+/**
+ * Parse the first worksheet of an XLSX file
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<Array<Array<string>>>} Rows of cells, blank rows dropped
+ */
+export const parseXlsx = async (buffer) => {
+  const entries = readZipEntries(buffer);
+
+  const stringsXml = await readXml(entries, 'xl/sharedStrings.xml');
+  const sharedStrings = stringsXml
+    ? Array.from(stringsXml.getElementsByTagName('si')).map(si =>
+      Array.from(si.getElementsByTagName('t')).map(t => t.textContent).join(''))
+    : [];
+
+  const sheet = await readXml(entries, await firstSheetPath(entries));
+  if (!sheet) throw new Error('Worksheet not found in XLSX file');
+
+  const rows = Array.from(sheet.getElementsByTagName('row')).map(rowEl => {
+    const cells = [];
+    Array.from(rowEl.getElementsByTagName('c')).forEach((c, i) => {
+      const type = c.getAttribute('t');
+      const raw = c.getElementsByTagName('v')[0]?.textContent ?? '';
+      let value;
+      if (type === 's') value = sharedStrings[Number(raw)] ?? '';
+      else if (type === 'inlineStr') value = Array.from(c.getElementsByTagName('t')).map(t => t.textContent).join('');
+      else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+      else value = raw;
+
+      const index = c.getAttribute('r') ? columnIndex(c.getAttribute('r')) : i;
+      cells[index] = String(value).trim();
+    });
+    return Array.from(cells, c => c ?? '');
+  });
+
+  return rows.filter(r => r.some(c => c !== ''));
+};
+
+// ==================== FILE ====================
+
+/**
+ * Read an uploaded CSV / XLSX file into rows
+ * @param {File} file
+ * @returns {Promise<Array<Array<string>>>}
+ */
+export const readSpreadsheetFile = async (file) => {
+  const buffer = await file.arrayBuffer();
+  const isZip = buffer.byteLength > 4 && new DataView(buffer).getUint32(0, true) === 0x04034b50;
+  if (isZip || /\.xlsx$/i.test(file.name)) {
+    return parseXlsx(buffer);
+  }
+  if (/\.xls$/i.test(file.name)) {
+    throw new Error('Legacy .xls files are not supported - save the file as XLSX or CSV');
+  }
+  return parseCsv(decodeText(buffer));
+};
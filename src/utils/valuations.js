@@ -0,0 +1,132 @@
+/**
+ * Valuation curves for manually valued (LEGACY) assets - real estate, private companies,
+ * pension accounts - built from their revaluation points (see services/valuationService).
+ *
+ * - Between two revaluations the value either holds until the next one ('step') or moves
+ *   in a straight line ('linear')
+ * - After the latest revaluation it compounds at the asset's annual rate (appreciation,
+ *   or depreciation when negative); with no rate it stays at the latest value
+ * - Before the first revaluation there is no curve - recorded snapshot values are kept
+ *
+ * All values are in the asset's own currency.
+ */
+
+// ==================== HELPERS ====================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_DAYS = 365.25;
+
+const toDateKey = (date) => (typeof date === 'string' ? date.slice(0, 10) : new Date(date).toISOString().split('T')[0]);
+
+const yearsBetween = (fromKey, toKey) =>
+  (new Date(`${toKey}T00:00:00`) - new Date(`${fromKey}T00:00:00`)) / DAY_MS / YEAR_DAYS;
+
+/**
+ * Compound a value at an annual % rate
+ * @param {number} value
+ * @param {number} annualRate - % per year (negative = depreciation)
+ * @param {number} years
+ * @returns {number}
+ */
+const compound = (value, annualRate, years) =>
+  annualRate && years > 0 ? value * Math.pow(1 + annualRate / 100, years) : value;
+
+// ==================== CURRENT VALUE ====================
+
+/**
+ * Value of a LEGACY asset on a date - the latest revaluation carried forward at the annual rate
+ * @param {Object} asset - Asset (uses `valuation` when set, otherwise `originalValue`)
+ * @param {string|Date} date - Default today
+ * @returns {number} Asset currency
+ */
+export const getValuationValue = (asset, date = new Date()) => {
+  const valuation = asset.valuation;
+  const base = Number(asset.originalValue ?? asset.value) || 0;
+  if (!valuation?.date) return base;
+  return compound(Number(valuation.value ?? base) || 0, Number(valuation.annualRate) || 0, yearsBetween(valuation.date, toDateKey(date)));
+};
+
+/**
+ * Amount invested in a revalued asset (revaluations change its value, not its cost)
+ * @param {Object} asset
+ * @returns {number|null} Asset currency, null when the asset has no recorded cost
+ */
+export const getValuationCost = (asset) =>
+  typeof asset.valuation?.cost === 'number' ? asset.valuation.cost : null;
+
+// ==================== HISTORY ====================
+
+/**
+ * Value on a date from the revaluation points
+ * @param {Array<{date: string, value: number}>} points - Oldest first
+ * @param {string|Date} date
+ * @param {Object} settings - { interpolation: 'step' | 'linear', annualRate }
+ * @returns {number|null} Null before the first point
+ */
+export const getValueFromPoints = (points, date, settings = {}) => {
+  const key = toDateKey(date);
+  if (!points?.length || key < points[0].date) return null;
+
+  let i = 0;
+  while (i + 1 < points.length && points[i + 1].date <= key) i++;
+  const current = points[i];
+  const next = points[i + 1];
+
+  if (!next) return compound(current.value, Number(settings.annualRate) || 0, yearsBetween(current.date, key));
+  if (settings.interpolation !== 'linear') return current.value;
+
+  const span = yearsBetween(current.date, next.date);
+  const progress = span > 0 ? yearsBetween(current.date, key) / span : 0;
+  return current.value + (next.value - current.value) * progress;
+};
+
+/**
+ * Re-value the revalued assets inside stored snapshots from their curves, so the portfolio
+ * history and returns follow the revaluations instead of the value recorded that day.
+ * The snapshot's own rate (value / nativeValue, or fxRate for USD) converts to ILS;
+ * the recorded cost is replaced by the asset's cost in every snapshot so a revaluation is a
+ * gain, not a deposit.
+ * @param {Array} snapshots - Stored snapshots ({ date, totalValue, value, assets, fxRate })
+ * @param {Object} valuationsByAsset - { [assetId]: points } (useValuations)
+ * @param {Array} assets - Current assets
+ * @returns {Array} Snapshots with updated entries, totalValue and value
+ */
+export const applyValuationHistory = (snapshots, valuationsByAsset, assets) => {
+  const revalued = assets.filter(a => a.assetMode !== 'QUANTITY' && valuationsByAsset?.[a.id]?.length);
+  if (!snapshots?.length || revalued.length === 0) return snapshots;
+
+  return snapshots.map(snapshot => {
+    if (!snapshot.assets) return snapshot;
+
+    let delta = 0;
+    const entries = { ...snapshot.assets };
+    revalued.forEach(asset => {
+      const entry = entries[asset.id];
+      if (!entry || entry.fxUnavailable) return;
+
+      const cost = getValuationCost(asset);
+      if (cost !== null) entries[asset.id] = { ...entry, cost };
+
+      const nativeValue = getValueFromPoints(valuationsByAsset[asset.id], snapshot.date, asset.valuation || {});
+      if (nativeValue === null) return;
+
+      const currency = entry.currency || asset.currency || 'ILS';
+      const rate = entry.nativeValue > 0
+        ? entry.value / entry.nativeValue
+        : currency === 'ILS' ? 1 : currency === 'USD' ? snapshot.fxRate : null;
+      if (!rate) return;
+
+      const value = nativeValue * rate;
+      delta += value - (Number(entry.value) || 0);
+      entries[asset.id] = { ...entries[asset.id], value, nativeValue };
+    });
+
+    if (delta === 0) return { ...snapshot, assets: entries };
+    return {
+      ...snapshot,
+      assets: entries,
+      ...(typeof snapshot.totalValue === 'number' ? { totalValue: snapshot.totalValue + delta } : {}),
+      ...(typeof snapshot.value === 'number' ? { value: snapshot.value + delta } : {}),
+    };
+  });
+};
@@ -0,0 +1,14 @@
+import { runMonteCarlo } from '../utils/monteCarlo';
+
+/**
+ * Monte Carlo worker - keeps thousands of simulated paths off the main thread.
+ * Message in: { id, params } (see runMonteCarlo) → message out: { id, result } or { id, error }
+ */
+self.onmessage = (event) => {
+  const { id, params } = event.data;
+  try {
+    self.postMessage({ id, result: runMonteCarlo(params) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};